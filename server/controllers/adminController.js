@@ -17,6 +17,7 @@ const {
 } = require('../models/index.js');
 const { PAYOUT_STATUS } = require('../models/PayoutRequest.js');
 const { asyncHandler, ValidationError, NotFoundError } = require('../middleware/errorHandler.js');
+const payoutProcessor = require('../services/payoutProcessor.js');
 
 /**
  * Get comprehensive admin dashboard statistics
@@ -426,7 +427,7 @@ const batchProcessPayouts = asyncHandler(async (req, res) => {
             results.failed.push({ id: payoutId, error: `Cannot approve payout in ${payout.status} status` });
             continue;
           }
-          await payout.approve(req.user._id, { notes: paymentInfo.notes || 'Batch approved' });
+          await payoutProcessor.approvePayout(payout, req.user._id, { notes: paymentInfo.notes || 'Batch approved' });
           results.processed.push({
             id: payoutId,
             requestNumber: payout.requestNumber,
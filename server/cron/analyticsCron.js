@@ -41,8 +41,7 @@ class AnalyticsCron {
       try {
         const expiredReports = await Report.getExpiredReports(100);
         for (const report of expiredReports) {
-          report.status = 'expired';
-          await report.save();
+          await ReportBuilderService.expireReport(report);
         }
         console.log(`Expired ${expiredReports.length} reports`);
       } catch (error) {
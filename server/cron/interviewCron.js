@@ -0,0 +1,47 @@
+/**
+ * Interview Cron Job
+ * Sends candidate interview reminders ahead of scheduled interviews
+ * Runs every 15 minutes
+ */
+
+const cron = require('node-cron');
+const interviewService = require('../services/interviewService.js');
+
+// Active cron job storage
+let reminderJob = null;
+
+/**
+ * Initialize interview reminder cron job
+ */
+const initializeInterviewCron = () => {
+  reminderJob = cron.schedule('*/15 * * * *', async () => {
+    try {
+      const { sent, failed } = await interviewService.sendReminders();
+      if (sent > 0 || failed > 0) {
+        console.log(`[InterviewCron] Reminders sent: ${sent}, failed: ${failed}`);
+      }
+    } catch (error) {
+      console.error('[InterviewCron] Error sending interview reminders:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: 'Asia/Yangon',
+  });
+
+  console.log('[InterviewCron] Interview reminder cron job initialized (every 15 minutes)');
+};
+
+/**
+ * Stop interview cron job
+ */
+const stopInterviewCron = () => {
+  if (reminderJob) {
+    reminderJob.stop();
+    console.log('[InterviewCron] Reminder job stopped');
+  }
+};
+
+module.exports = {
+  initializeInterviewCron,
+  stopInterviewCron,
+};
@@ -7,6 +7,7 @@
 
 const cron = require('node-cron');
 const payoutProcessor = require('../services/payoutProcessor.js');
+const guaranteeService = require('../services/guaranteeService.js');
 const PayoutBatch = require('../models/PayoutBatch.js');
 const PayoutTransaction = require('../models/PayoutTransaction.js');
 
@@ -14,6 +15,7 @@ const PayoutTransaction = require('../models/PayoutTransaction.js');
 let dailyPayoutJob = null;
 let hourlyRetryJob = null;
 let hourlyBatchJob = null;
+let dailyGuaranteeJob = null;
 
 /**
  * Initialize payout processing cron jobs
@@ -51,10 +53,20 @@ const initializePayoutCron = () => {
     timezone: 'Asia/Yangon',
   });
 
+  // Daily guarantee processing - runs at 8:00 AM, before the daily payout run
+  dailyGuaranteeJob = cron.schedule('0 8 * * *', async () => {
+    console.log('[PayoutCron] Processing hire guarantee periods...');
+    await processGuaranteePeriods();
+  }, {
+    scheduled: true,
+    timezone: 'Asia/Yangon',
+  });
+
   console.log('[PayoutCron] Payout processing cron jobs initialized');
   console.log('[PayoutCron] - Daily payouts: 9:00 AM Asia/Yangon');
   console.log('[PayoutCron] - Retry attempts: Every hour');
   console.log('[PayoutCron] - Batch processing: Every hour at :30');
+  console.log('[PayoutCron] - Guarantee periods: 8:00 AM Asia/Yangon');
 };
 
 /**
@@ -73,6 +85,10 @@ const stopPayoutCron = () => {
     hourlyBatchJob.stop();
     console.log('[PayoutCron] Hourly batch job stopped');
   }
+  if (dailyGuaranteeJob) {
+    dailyGuaranteeJob.stop();
+    console.log('[PayoutCron] Daily guarantee job stopped');
+  }
 };
 
 /**
@@ -109,6 +125,24 @@ async function processDailyPayouts() {
   }
 }
 
+/**
+ * Release staged payout installments whose guarantee window has passed
+ * and re-assess retention risk for hires still inside their guarantee
+ */
+async function processGuaranteePeriods() {
+  try {
+    const released = await guaranteeService.processDueInstallments();
+    console.log(`[PayoutCron] Released ${released.released.toLocaleString()} MMK across ${released.referrals} referrals`);
+
+    const risk = await guaranteeService.assessActiveGuarantees();
+    if (risk.flagged > 0) {
+      console.warn(`[PayoutCron] ${risk.flagged} of ${risk.assessed} hires flagged as high retention risk`);
+    }
+  } catch (error) {
+    console.error('[PayoutCron] Guarantee processing error:', error);
+  }
+}
+
 /**
  * Process retry attempts for failed transactions
  * Uses exponential backoff (1hr, 4hr, 12hr delays)
@@ -1,7 +1,9 @@
 /**
  * Workflow Cron Job
  * Scheduled execution of pending workflow executions
- * Runs every hour to check and execute scheduled workflows
+ * Runs every minute to resume due executions, including those waiting on
+ * durable timers. Executions are claimed through a lease, so several
+ * instances can run this cron without running the same execution twice.
  * Part of the Auto-Followup Workflow Engine for TRM platform
  */
 
@@ -22,6 +24,7 @@ const {
   executeWorkflow,
   initializePredefinedWorkflows 
 } = require('../services/workflowEngine.js');
+const workflowTimerService = require('../services/workflowTimerService.js');
 
 // Active cron job storage
 let workflowCronJob = null;
@@ -31,12 +34,14 @@ let triggerCheckJob = null;
  * Initialize workflow cron jobs
  */
 const initializeWorkflowCron = () => {
-  // Main job: Process pending executions every hour
-  workflowCronJob = cron.schedule('0 * * * *', async () => {
-    console.log('[WorkflowCron] Processing scheduled workflow executions...');
+  // Main job: Process due executions every minute
+  workflowCronJob = cron.schedule('* * * * *', async () => {
     await processScheduledExecutions();
   });
 
+  // Redis-backed timers resume executions as soon as they are due
+  workflowTimerService.initialize(executionId => executeWorkflow(executionId));
+
   // Trigger check job: Check for new triggers every 15 minutes
   triggerCheckJob = cron.schedule('*/15 * * * *', async () => {
     console.log('[WorkflowCron] Checking workflow triggers...');
@@ -58,6 +63,9 @@ const stopWorkflowCron = () => {
     triggerCheckJob.stop();
     console.log('[WorkflowCron] Trigger check job stopped');
   }
+  workflowTimerService.stop().catch(error => {
+    console.error('[WorkflowCron] Error stopping timer queue:', error.message);
+  });
 };
 
 /**
@@ -73,13 +81,15 @@ const processScheduledExecutions = async () => {
       limit: 100,
     });
 
-    console.log(`[WorkflowCron] Found ${executions.length} pending executions`);
+    if (executions.length > 0) {
+      console.log(`[WorkflowCron] Found ${executions.length} due executions`);
+    }
 
     for (const execution of executions) {
       try {
         console.log(`[WorkflowCron] Executing workflow: ${execution.workflowName} (${execution._id})`);
-        await executeWorkflow(execution._id);
-        console.log(`[WorkflowCron] Execution completed: ${execution._id}`);
+        const result = await executeWorkflow(execution._id);
+        console.log(`[WorkflowCron] Execution ${execution._id} is ${result.status}`);
       } catch (error) {
         console.error(`[WorkflowCron] Execution failed: ${execution._id}`, error);
         
@@ -5,6 +5,7 @@
  */
 
 const { validation } = require('../config/security.js');
+const { normalizeText, normalizeDeep } = require('../utils/myanmarText.js');
 
 /**
  * SQL Injection detection patterns
@@ -128,7 +129,8 @@ const validateString = (value, options = {}) => {
     };
   }
 
-  let sanitized = String(value).trim();
+  // Zawgyi Burmese is converted to Unicode before any length or content check
+  let sanitized = normalizeText(String(value).trim());
 
   // Check length
   if (sanitized.length < minLength) {
@@ -561,6 +563,11 @@ const validateQuery = (schema) => {
   };
 };
 
+// Fields compared byte for byte (passwords, tokens, one-time codes, signatures)
+const SECRET_FIELD_PATTERN = /pass(word|code|phrase)|secret|token|otp|^pin$|signature|api_?key|backup_?codes?|verification_?code/i;
+
+const isSecretField = key => SECRET_FIELD_PATTERN.test(key);
+
 /**
  * Sanitize request body middleware
  * Removes potentially dangerous content from request body
@@ -572,13 +579,13 @@ const sanitizeRequestBody = () => {
       return next();
     }
 
-    const sanitize = (obj) => {
+    const sanitize = (obj, secret = false) => {
       if (typeof obj === 'string') {
-        return sanitizeHTML(obj);
+        return sanitizeHTML(secret ? obj : normalizeText(obj));
       }
 
       if (Array.isArray(obj)) {
-        return obj.map(sanitize);
+        return obj.map(item => sanitize(item, secret));
       }
 
       if (typeof obj === 'object' && obj !== null) {
@@ -588,7 +595,7 @@ const sanitizeRequestBody = () => {
           if (NOSQL_PROHIBITED_KEYS.includes(key)) {
             continue;
           }
-          sanitized[key] = sanitize(value);
+          sanitized[key] = sanitize(value, secret || isSecretField(key));
         }
         return sanitized;
       }
@@ -602,6 +609,41 @@ const sanitizeRequestBody = () => {
   };
 };
 
+/**
+ * Burmese text normalization middleware
+ * Converts Zawgyi-encoded Burmese in the request body and query to Unicode,
+ * so referrals, job posts and searches are stored and matched in one encoding.
+ * Webhooks are skipped: their payloads are verified as received, and inbound
+ * messages are normalized by the messaging services. Secret fields are left
+ * as typed, so a password set in one encoding still matches at login.
+ * @returns {Function} Express middleware
+ */
+const normalizeRequestText = () => {
+  return (req, res, next) => {
+    if (/\/webhooks?(\/|$)/.test(req.path || '')) {
+      return next();
+    }
+
+    if (req.body && typeof req.body === 'object') {
+      req.body = normalizeDeep(req.body, 0, isSecretField);
+    }
+
+    // req.query is a getter in Express 5, so a normalized copy replaces it
+    const query = req.query;
+    const normalizedQuery = normalizeDeep(query, 0, isSecretField);
+    if (normalizedQuery !== query) {
+      Object.defineProperty(req, 'query', {
+        value: normalizedQuery,
+        writable: true,
+        configurable: true,
+        enumerable: true,
+      });
+    }
+
+    next();
+  };
+};
+
 module.exports = {
   detectSQLInjection,
   detectXSS,
@@ -619,4 +661,5 @@ module.exports = {
   validateRequest,
   validateQuery,
   sanitizeRequestBody,
+  normalizeRequestText,
 };
@@ -26,6 +26,7 @@ const {
   validateRequest,
   validateQuery,
   sanitizeRequestBody,
+  normalizeRequestText,
   detectSQLInjection,
   detectXSS,
   detectNoSQLInjection,
@@ -85,6 +86,7 @@ const applySecurityMiddleware = (app, options = {}) => {
 
   // 4. Input sanitization
   if (enableValidation) {
+    app.use(normalizeRequestText());
     app.use(sanitizeRequestBody());
   }
 
@@ -162,6 +164,7 @@ module.exports = {
   validateRequest,
   validateQuery,
   sanitizeRequestBody,
+  normalizeRequestText,
   detectSQLInjection,
   detectXSS,
   detectNoSQLInjection,
@@ -0,0 +1,104 @@
+/**
+ * Normalize Zawgyi Text Migration
+ * Converts Zawgyi-encoded Burmese in users, jobs, referrals and CV data to
+ * Unicode, so existing records search, deduplicate and match like new ones.
+ * The original values are kept in a backup collection for rollback.
+ * Date: 2026-10-19
+ */
+
+const { normalizeDeep } = require('../../utils/myanmarText.js');
+
+// Collections of the User, Job, Referral and CVData models
+const COLLECTIONS = ['users', 'jobs', 'referrals', 'cvdatas'];
+
+const BACKUP_COLLECTION = 'zawgyi_normalization_backups';
+
+const BATCH_SIZE = 500;
+
+module.exports = {
+  async up(db) {
+    // Documents are converted in batches rather than one transaction, which
+    // would exceed transaction limits on large collections; the migration
+    // only rewrites Zawgyi text, so it is safe to run again after a failure
+    for (const name of COLLECTIONS) {
+      console.log(`[Migration] Normalizing Zawgyi text in ${name}...`);
+
+      const collection = db.collection(name);
+      const cursor = collection.find({});
+      let updates = [];
+      let backups = [];
+      let converted = 0;
+
+      const write = async () => {
+        if (updates.length === 0) return;
+        await db.collection(BACKUP_COLLECTION).insertMany(backups, { ordered: false });
+        await collection.bulkWrite(updates, { ordered: false });
+        converted += updates.length;
+        updates = [];
+        backups = [];
+      };
+
+      for await (const doc of cursor) {
+        const changes = {};
+        const originals = {};
+
+        for (const [field, value] of Object.entries(doc)) {
+          if (field === '_id') continue;
+          const normalized = normalizeDeep(value);
+          if (normalized !== value) {
+            changes[field] = normalized;
+            originals[field] = value;
+          }
+        }
+
+        if (Object.keys(changes).length === 0) continue;
+
+        updates.push({ updateOne: { filter: { _id: doc._id }, update: { $set: changes } } });
+        backups.push({ collectionName: name, documentId: doc._id, fields: originals, migratedAt: new Date() });
+
+        if (updates.length >= BATCH_SIZE) {
+          await write();
+        }
+      }
+      await write();
+
+      console.log(`[Migration] ${converted} ${name} documents normalized`);
+    }
+
+    await db.collection(BACKUP_COLLECTION).createIndex({ collectionName: 1, documentId: 1 }, { name: 'idx_zawgyi_backup_document' });
+  },
+
+  async down(db) {
+    console.log('[Migration] Restoring text from before Zawgyi normalization...');
+
+    const backups = db.collection(BACKUP_COLLECTION);
+    // Newest first, so a document normalized twice ends up with its first original
+    const cursor = backups.find({}).sort({ migratedAt: -1 });
+    let restores = {};
+    let count = 0;
+
+    const write = async () => {
+      for (const [name, operations] of Object.entries(restores)) {
+        await db.collection(name).bulkWrite(operations, { ordered: true });
+      }
+      restores = {};
+    };
+
+    for await (const backup of cursor) {
+      restores[backup.collectionName] = restores[backup.collectionName] || [];
+      restores[backup.collectionName].push({
+        updateOne: { filter: { _id: backup.documentId }, update: { $set: backup.fields } },
+      });
+      count++;
+
+      if (count % BATCH_SIZE === 0) {
+        await write();
+      }
+    }
+    await write();
+
+    await backups.drop().catch(() => {});
+
+    console.log(`[Migration] ${count} documents restored`);
+  },
+};
@@ -0,0 +1,73 @@
+/**
+ * Move Member Reports To Companies Migration
+ * Reports, report definitions and custom report requests of company members
+ * were saved under the member's user ID. Report customers are now derived
+ * from company membership, so those records move to the member's company,
+ * the same company the report routes resolve for them.
+ * The moved document IDs are kept in a backup collection for rollback.
+ * Date: 2026-10-19
+ */
+
+// Collections of the Report, ReportDefinition and CustomReportRequest models
+const COLLECTIONS = ['reports', 'reportdefinitions', 'customreportrequests'];
+
+const BACKUP_COLLECTION = 'report_customer_migration_backups';
+
+module.exports = {
+  async up(db) {
+    // Same membership the report routes use: the first active, accepted one
+    const cursor = db.collection('companyusers').find({ isActive: true, invitationStatus: 'accepted' });
+    const seen = new Set();
+    const moved = Object.fromEntries(COLLECTIONS.map(name => [name, 0]));
+
+    for await (const membership of cursor) {
+      const userKey = String(membership.userId);
+      if (seen.has(userKey)) continue;
+      seen.add(userKey);
+
+      for (const name of COLLECTIONS) {
+        const collection = db.collection(name);
+        const filter = { customerId: membership.userId, customerType: 'User' };
+        const ids = await collection.distinct('_id', filter);
+        if (ids.length === 0) continue;
+
+        await db.collection(BACKUP_COLLECTION).insertMany(ids.map(documentId => ({
+          collectionName: name,
+          documentId,
+          userId: membership.userId,
+          companyId: membership.companyId,
+          migratedAt: new Date(),
+        })), { ordered: false });
+        await collection.updateMany(
+          { _id: { $in: ids } },
+          { $set: { customerId: membership.companyId, customerType: 'Company' } }
+        );
+        moved[name] += ids.length;
+      }
+    }
+
+    for (const name of COLLECTIONS) {
+      console.log(`[Migration] ${moved[name]} ${name} documents moved to their member's company`);
+    }
+  },
+
+  async down(db) {
+    console.log('[Migration] Returning member reports to their users...');
+
+    const backups = db.collection(BACKUP_COLLECTION);
+    const cursor = backups.find({});
+    let count = 0;
+
+    for await (const backup of cursor) {
+      await db.collection(backup.collectionName).updateOne(
+        { _id: backup.documentId },
+        { $set: { customerId: backup.userId, customerType: 'User' } }
+      );
+      count++;
+    }
+
+    await backups.drop().catch(() => {});
+
+    console.log(`[Migration] ${count} documents restored`);
+  },
+};
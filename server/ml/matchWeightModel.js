@@ -0,0 +1,166 @@
+/**
+ * Match Weight Model
+ *
+ * Fits the factor weights of the matching engine from historical hire
+ * outcomes. A non-negative logistic regression is trained on the factor
+ * scores (0-1) of past referrals and applications; the coefficients are
+ * normalised into weights that sum to 1, so they plug straight into
+ * matchingEngine.calculateOverallScore.
+ */
+
+class MatchWeightModel {
+  constructor() {
+    this.modelVersion = '1.0.0';
+    this.defaults = {
+      epochs: 500,
+      learningRate: 0.5,
+      l2: 0.01,
+      testRatio: 0.2,
+    };
+  }
+
+  /**
+   * Logistic function
+   * @param {number} z - Linear term
+   * @returns {number} Probability
+   */
+  sigmoid(z) {
+    return 1 / (1 + Math.exp(-z));
+  }
+
+  /**
+   * Deterministically split samples into train and test sets, keeping the
+   * share of hires similar in both
+   * @param {Array} samples - Array of {features, label}
+   * @param {number} testRatio - Share of samples held out
+   * @returns {Object} { train, test }
+   */
+  split(samples, testRatio = this.defaults.testRatio) {
+    const train = [];
+    const test = [];
+    const every = Math.max(2, Math.round(1 / testRatio));
+
+    [1, 0].forEach(label => {
+      samples
+        .filter(sample => sample.label === label)
+        .forEach((sample, index) => {
+          (index % every === every - 1 ? test : train).push(sample);
+        });
+    });
+
+    return { train, test };
+  }
+
+  /**
+   * Fit factor weights
+   * @param {Array} samples - Array of {features: {factor: 0-1}, label: 0|1}
+   * @param {Array} factors - Factor keys
+   * @param {Object} options - { epochs, learningRate, l2 }
+   * @returns {Object} { weights, coefficients, intercept }
+   */
+  fit(samples, factors, options = {}) {
+    if (!Array.isArray(samples) || samples.length === 0) {
+      throw new Error('Training data must be a non-empty array');
+    }
+
+    const { epochs, learningRate, l2 } = { ...this.defaults, ...options };
+    const coefficients = Object.fromEntries(factors.map(factor => [factor, 0]));
+    let intercept = 0;
+
+    // Full-batch projected gradient descent: coefficients stay >= 0, so a
+    // better factor score can never lower the match score
+    for (let epoch = 0; epoch < epochs; epoch++) {
+      const gradient = Object.fromEntries(factors.map(factor => [factor, 0]));
+      let interceptGradient = 0;
+
+      for (const { features, label } of samples) {
+        const z = intercept + factors.reduce((sum, factor) => sum + coefficients[factor] * (features[factor] || 0), 0);
+        const error = this.sigmoid(z) - label;
+        interceptGradient += error;
+        factors.forEach(factor => {
+          gradient[factor] += error * (features[factor] || 0);
+        });
+      }
+
+      intercept -= learningRate * (interceptGradient / samples.length);
+      factors.forEach(factor => {
+        const step = gradient[factor] / samples.length + l2 * coefficients[factor];
+        coefficients[factor] = Math.max(0, coefficients[factor] - learningRate * step);
+      });
+    }
+
+    const total = factors.reduce((sum, factor) => sum + coefficients[factor], 0);
+    const weights = total > 0
+      ? Object.fromEntries(factors.map(factor => [factor, this.round(coefficients[factor] / total)]))
+      : null;
+
+    return { weights, coefficients, intercept };
+  }
+
+  /**
+   * Weighted match score (0-100) of one sample
+   * @param {Object} features - Factor scores (0-1)
+   * @param {Object} weights - Factor weights
+   * @returns {number}
+   */
+  score(features, weights) {
+    return Object.entries(weights).reduce((sum, [factor, weight]) => sum + (features[factor] || 0) * weight, 0) * 100;
+  }
+
+  /**
+   * Evaluate how well weighted scores rank hires above non-hires
+   * @param {Array} samples - Array of {features, label}
+   * @param {Object} weights - Factor weights
+   * @returns {Object} { auc, topQuartileHireRate, meanScoreHired, meanScoreNotHired, samples }
+   */
+  evaluate(samples, weights) {
+    const scored = samples
+      .map(sample => ({ score: this.score(sample.features, weights), label: sample.label }))
+      .sort((a, b) => b.score - a.score);
+
+    const hired = scored.filter(sample => sample.label === 1);
+    const notHired = scored.filter(sample => sample.label === 0);
+    const top = scored.slice(0, Math.max(1, Math.ceil(scored.length / 4)));
+    const mean = list => (list.length ? list.reduce((sum, sample) => sum + sample.score, 0) / list.length : null);
+
+    return {
+      auc: this.auc(scored),
+      topQuartileHireRate: this.round(top.filter(sample => sample.label === 1).length / top.length),
+      meanScoreHired: hired.length ? this.round(mean(hired)) : null,
+      meanScoreNotHired: notHired.length ? this.round(mean(notHired)) : null,
+      samples: scored.length,
+    };
+  }
+
+  /**
+   * Area under the ROC curve (Mann-Whitney U, ties count half)
+   * @param {Array} scored - Array of {score, label}
+   * @returns {number|null} AUC, or null when only one class is present
+   */
+  auc(scored) {
+    const positives = scored.filter(sample => sample.label === 1);
+    const negatives = scored.filter(sample => sample.label === 0);
+    if (positives.length === 0 || negatives.length === 0) return null;
+
+    let wins = 0;
+    for (const positive of positives) {
+      for (const negative of negatives) {
+        if (positive.score > negative.score) wins += 1;
+        else if (positive.score === negative.score) wins += 0.5;
+      }
+    }
+
+    return this.round(wins / (positives.length * negatives.length));
+  }
+
+  /**
+   * Round to 4 decimals
+   * @param {number} value
+   * @returns {number}
+   */
+  round(value) {
+    return Math.round(value * 10000) / 10000;
+  }
+}
+
+module.exports = new MatchWeightModel();
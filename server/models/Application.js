@@ -547,3 +547,4 @@ ApplicationSchema.statics.getApplicantStats = async function(applicantId) {
 const Application = mongoose.model('Application', ApplicationSchema);
 
 module.exports = Application;
+module.exports.APPLICATION_STATUS = APPLICATION_STATUS;
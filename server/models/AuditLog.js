@@ -44,6 +44,7 @@ const AUDIT_ACTIONS = {
   COMPANY_DELETED: 'company_deleted',
   COMPANY_VERIFIED: 'company_verified',
   COMPANY_REJECTED: 'company_rejected',
+  COMPANY_PIPELINE_UPDATED: 'company_pipeline_updated',
   
   // Team management
   MEMBER_INVITED: 'member_invited',
@@ -67,6 +68,11 @@ const AUDIT_ACTIONS = {
   REFERRAL_WITHDRAWN: 'referral_withdrawn',
   REFERRAL_REJECTED: 'referral_rejected',
   REFERRAL_HIRED: 'referral_hired',
+  REFERRAL_DISPUTE_RESOLVED: 'referral_dispute_resolved',
+  REFERRAL_GUARANTEE_BREACHED: 'referral_guarantee_breached',
+  REFERRAL_FRAUD_FLAGGED: 'referral_fraud_flagged',
+  REFERRAL_FRAUD_CLEARED: 'referral_fraud_cleared',
+  REFERRAL_FRAUD_CONFIRMED: 'referral_fraud_confirmed',
   
   // Applications
   APPLICATION_SUBMITTED: 'application_submitted',
@@ -80,15 +86,27 @@ const AUDIT_ACTIONS = {
   INVOICE_CREATED: 'invoice_created',
   INVOICE_PAID: 'invoice_paid',
   INVOICE_FAILED: 'invoice_failed',
+  INVOICE_CREDITED: 'invoice_credited',
   
   // Payouts
   PAYOUT_REQUESTED: 'payout_requested',
   PAYOUT_APPROVED: 'payout_approved',
   PAYOUT_REJECTED: 'payout_rejected',
   PAYOUT_PAID: 'payout_paid',
+  PAYOUT_LIMIT_REVIEW_APPROVED: 'payout_limit_review_approved',
+  PAYOUT_LIMIT_REVIEW_REJECTED: 'payout_limit_review_rejected',
   
   // System
   SETTINGS_UPDATED: 'settings_updated',
+  COMMISSION_POLICY_CREATED: 'commission_policy_created',
+  COMMISSION_POLICY_ACTIVATED: 'commission_policy_activated',
+  LEDGER_ENTRY_REVERSED: 'ledger_entry_reversed',
+  SETTLEMENT_IMPORTED: 'settlement_imported',
+  SETTLEMENT_EXCEPTION_RESOLVED: 'settlement_exception_resolved',
+  SKILL_CREATED: 'skill_created',
+  SKILL_UPDATED: 'skill_updated',
+  SKILL_DELETED: 'skill_deleted',
+  SKILLS_IMPORTED: 'skills_imported',
   EXPORT_GENERATED: 'export_generated',
   BULK_ACTION: 'bulk_action',
   
@@ -110,6 +128,10 @@ const ENTITY_TYPES = {
   SUBSCRIPTION_PLAN: 'subscription_plan',
   BILLING_RECORD: 'billing_record',
   PAYOUT_REQUEST: 'payout_request',
+  COMMISSION_POLICY: 'commission_policy',
+  LEDGER_ENTRY: 'ledger_entry',
+  SETTLEMENT_IMPORT: 'settlement_import',
+  SKILL: 'skill',
   SYSTEM: 'system',
 };
 
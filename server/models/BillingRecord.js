@@ -35,6 +35,11 @@ const InvoiceItemSchema = new Schema({
     required: [true, 'Amount is required'],
     min: 0,
   },
+  // Whether commercial tax applies to this item
+  taxable: {
+    type: Boolean,
+    default: true,
+  },
   metadata: {
     type: Schema.Types.Mixed,
     default: {},
@@ -81,6 +86,111 @@ const PaymentDetailsSchema = new Schema({
   },
 }, { _id: false });
 
+// Payment attempt schema
+const PaymentAttemptSchema = new Schema({
+  amount: {
+    type: Number,
+    min: 0,
+  },
+  method: {
+    type: String,
+    trim: true,
+  },
+  provider: {
+    type: String,
+    trim: true,
+  },
+  transactionId: {
+    type: String,
+    trim: true,
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'failed'],
+    required: true,
+  },
+  failureReason: {
+    type: String,
+    trim: true,
+  },
+  attemptNumber: {
+    type: Number,
+  },
+  attemptedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: true });
+
+// Refund schema, one per refund of the invoice's payments
+const RefundSchema = new Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  reason: {
+    type: String,
+    trim: true,
+  },
+  refundedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  refundedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, { _id: true });
+
+// Rendered document types
+const DOCUMENT_TYPES = {
+  INVOICE: 'invoice',
+  RECEIPT: 'receipt',
+};
+
+// Rendered document schema. Stored files are never overwritten; a changed
+// invoice gets a new version alongside the earlier ones.
+const RenderedDocumentSchema = new Schema({
+  type: {
+    type: String,
+    enum: Object.values(DOCUMENT_TYPES),
+    required: true,
+  },
+  number: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  version: {
+    type: Number,
+    default: 1,
+  },
+  key: {
+    type: String,
+    required: true,
+  },
+  sha256: {
+    type: String,
+    required: true,
+  },
+  size: {
+    type: Number,
+  },
+  // Fingerprint of the billing data the document was rendered from
+  contentHash: {
+    type: String,
+  },
+  // Payment attempt a receipt was issued for
+  paymentId: {
+    type: Schema.Types.ObjectId,
+  },
+  renderedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: true });
+
 // Main BillingRecord Schema
 const BillingRecordSchema = new Schema({
   // Relationships
@@ -146,6 +256,25 @@ const BillingRecordSchema = new Schema({
     min: 0,
     max: 100,
   },
+  taxName: {
+    type: String,
+    trim: true,
+  },
+  // Item prices already include tax, so it is not added to the total
+  taxInclusive: {
+    type: Boolean,
+    default: false,
+  },
+  // Region whose tax rules were applied at issue
+  regionCode: {
+    type: String,
+    uppercase: true,
+    trim: true,
+  },
+  taxRegistrationNumber: {
+    type: String,
+    trim: true,
+  },
   total: {
     type: Number,
     required: [true, 'Total is required'],
@@ -179,7 +308,7 @@ const BillingRecordSchema = new Schema({
   // Status
   status: {
     type: String,
-    enum: ['draft', 'pending', 'sent', 'paid', 'partial', 'overdue', 'failed', 'refunded', 'cancelled'],
+    enum: ['draft', 'pending', 'sent', 'paid', 'partial', 'overdue', 'failed', 'partially_refunded', 'refunded', 'cancelled'],
     default: 'draft',
     index: true,
   },
@@ -189,6 +318,7 @@ const BillingRecordSchema = new Schema({
     type: PaymentDetailsSchema,
     default: () => ({}),
   },
+  paymentHistory: [PaymentAttemptSchema],
   
   // Due date
   dueDate: {
@@ -213,7 +343,8 @@ const BillingRecordSchema = new Schema({
     type: Date,
   },
   
-  // Refund information
+  // Refund information; refundAmount is the total of refunds
+  refunds: [RefundSchema],
   refundAmount: {
     type: Number,
     default: 0,
@@ -245,6 +376,7 @@ const BillingRecordSchema = new Schema({
     type: String,
     trim: true,
   },
+  documents: [RenderedDocumentSchema],
   
   // Metadata
   metadata: {
@@ -298,7 +430,7 @@ BillingRecordSchema.virtual('formattedTotal').get(function() {
 // ==================== MIDDLEWARE ====================
 
 // Pre-save middleware to calculate totals
-BillingRecordSchema.pre('save', function(next) {
+BillingRecordSchema.pre('save', function() {
   // Calculate subtotal from items
   if (this.isModified('items')) {
     this.subtotal = this.items.reduce((sum, item) => sum + item.amount, 0);
@@ -306,7 +438,7 @@ BillingRecordSchema.pre('save', function(next) {
   
   // Calculate total
   if (this.isModified('subtotal') || this.isModified('tax') || this.isModified('discount')) {
-    this.total = this.subtotal + this.tax - this.discount;
+    this.total = this.subtotal - this.discount + (this.taxInclusive ? 0 : this.tax);
   }
   
   // Calculate balance
@@ -326,11 +458,9 @@ BillingRecordSchema.pre('save', function(next) {
   }
   
   // Check overdue status
-  if (this.dueDate && this.dueDate < new Date() && !['paid', 'cancelled', 'refunded'].includes(this.status)) {
+  if (this.dueDate && this.dueDate < new Date() && !['paid', 'cancelled', 'partially_refunded', 'refunded'].includes(this.status)) {
     this.isOverdue = true;
   }
-  
-  next();
 });
 
 // ==================== INSTANCE METHODS ====================
@@ -344,6 +474,12 @@ BillingRecordSchema.methods.recordPayment = async function(payment) {
   const { amount, method, transactionId, paidBy, receiptUrl, notes } = payment;
   
   this.amountPaid += amount;
+  this.paymentHistory.push({
+    amount,
+    method,
+    transactionId,
+    status: 'completed',
+  });
   
   // Update payment details
   this.payment = {
@@ -369,24 +505,49 @@ BillingRecordSchema.methods.markAsSent = async function() {
 };
 
 /**
- * Process refund
- * @param {Object} refund - Refund details
- * @returns {Promise<void>}
+ * Add a refund of part or all of the amount paid. The invoice stays
+ * partially refunded until the refunds cover everything paid.
+ * @param {Object} refund - { amount, reason, refundedBy }
+ * @returns {Object} Refund record
  */
-BillingRecordSchema.methods.processRefund = async function(refund) {
+BillingRecordSchema.methods.addRefund = function(refund) {
   const { amount, reason, refundedBy } = refund;
-  
-  if (amount > this.amountPaid) {
+
+  if (this.status === 'refunded') {
+    throw new Error('Invoice has already been fully refunded');
+  }
+
+  if (!(amount > 0)) {
+    throw new Error('Refund amount must be greater than 0');
+  }
+
+  if ((this.refundAmount || 0) + amount > this.amountPaid) {
     throw new Error('Refund amount cannot exceed amount paid');
   }
-  
-  this.refundAmount = amount;
+
+  this.refunds.push({ amount, reason, refundedBy });
+  const record = this.refunds[this.refunds.length - 1];
+
+  this.refundAmount = (this.refundAmount || 0) + amount;
   this.refundReason = reason;
-  this.refundedAt = new Date();
+  this.refundedAt = record.refundedAt;
   this.refundedBy = refundedBy;
-  this.status = 'refunded';
-  
+  this.status = this.refundAmount >= this.amountPaid ? 'refunded' : 'partially_refunded';
+
+  return record;
+};
+
+/**
+ * Process refund
+ * @param {Object} refund - Refund details
+ * @returns {Promise<Object>} Refund record
+ */
+BillingRecordSchema.methods.processRefund = async function(refund) {
+  const record = this.addRefund(refund);
+
   await this.save();
+
+  return record;
 };
 
 /**
@@ -449,7 +610,7 @@ BillingRecordSchema.statics.findByCompany = function(companyId, options = {}) {
  */
 BillingRecordSchema.statics.findOverdue = function(options = {}) {
   return this.find({
-    status: { $nin: ['paid', 'cancelled', 'refunded'] },
+    status: { $nin: ['paid', 'cancelled', 'partially_refunded', 'refunded'] },
     dueDate: { $lt: new Date() },
   })
     .populate('companyId', 'name email')
@@ -555,3 +716,4 @@ BillingRecordSchema.statics.createSubscriptionInvoice = async function(data) {
 const BillingRecord = mongoose.model('BillingRecord', BillingRecordSchema);
 
 module.exports = BillingRecord;
+module.exports.DOCUMENT_TYPES = DOCUMENT_TYPES;
@@ -5,6 +5,7 @@
  */
 
 const mongoose = require('mongoose');
+const Skill = require('./Skill.js');
 
 const { Schema } = mongoose;
 
@@ -461,6 +462,38 @@ CVDataSchema.virtual('hasCompleteData').get(function() {
   return this.quality?.completeness >= 80;
 });
 
+// Pre-save middleware to store skills under their canonical taxonomy names
+CVDataSchema.pre('save', async function() {
+  if (!this.isModified('skills') || !this.skills) return;
+
+  const listFields = ['tools', 'frameworks', 'databases', 'cloud'];
+  const technical = this.skills.technical || [];
+  const names = [
+    ...technical.map(skill => skill.name),
+    ...listFields.flatMap(field => this.skills[field] || []),
+  ].filter(Boolean);
+  if (names.length === 0) return;
+
+  const byKey = await Skill.findCanonicalNames(names);
+
+  // Keep the first entry of each technical skill, with its level and years
+  const seen = new Set();
+  this.skills.technical = technical.filter(skill => {
+    if (!skill.name) return false;
+    skill.name = Skill.applyCanonicalNames([skill.name], byKey)[0] || skill.name;
+    const key = Skill.normalizeSkillKey(skill.name);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  listFields.forEach(field => {
+    if (this.skills[field]?.length > 0) {
+      this.skills[field] = Skill.applyCanonicalNames(this.skills[field], byKey);
+    }
+  });
+});
+
 // Pre-save middleware to generate searchable text and calculate experience
 CVDataSchema.pre('save', function(next) {
   // Generate searchable text
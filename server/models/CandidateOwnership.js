@@ -0,0 +1,225 @@
+/**
+ * CandidateOwnership Model
+ * Records which referrer "owns" a candidate at a company (or job) for the
+ * company's configured ownership window, and the arbitration queue entries
+ * raised when a second referrer submits the same person.
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// Ownership status
+const OWNERSHIP_STATUS = {
+  ACTIVE: 'active',
+  TRANSFERRED: 'transferred',
+};
+
+// Dispute status
+const DISPUTE_STATUS = {
+  OPEN: 'open',
+  RESOLVED: 'resolved',
+  DISMISSED: 'dismissed',
+};
+
+// Arbitration decisions
+const DISPUTE_RESOLUTION = {
+  UPHOLD_OWNER: 'uphold_owner', // Original referrer keeps the candidate
+  AWARD_CHALLENGER: 'award_challenger', // Ownership moves to the new referrer
+  NOT_DUPLICATE: 'not_duplicate', // Different people - both referrals stand
+};
+
+// Fields a candidate can be matched on
+const MATCH_FIELDS = ['email', 'phone', 'linkedIn'];
+
+// Normalized candidate identity keys
+const CandidateKeysSchema = new Schema({
+  email: {
+    type: String,
+    trim: true,
+  },
+  phone: {
+    type: String,
+    trim: true,
+  },
+  linkedIn: {
+    type: String,
+    trim: true,
+  },
+}, { _id: false });
+
+// Main CandidateOwnership Schema
+const CandidateOwnershipSchema = new Schema({
+  companyId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true,
+    index: true,
+  },
+  // Only set when the company scopes ownership per job
+  jobId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Job',
+  },
+  candidateKeys: {
+    type: CandidateKeysSchema,
+    required: true,
+  },
+  referralId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Referral',
+    required: true,
+  },
+  referrerId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  status: {
+    type: String,
+    enum: Object.values(OWNERSHIP_STATUS),
+    default: OWNERSHIP_STATUS.ACTIVE,
+    index: true,
+  },
+  claimedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  transferredTo: {
+    type: Schema.Types.ObjectId,
+    ref: 'CandidateOwnership',
+  },
+}, {
+  timestamps: true,
+});
+
+CandidateOwnershipSchema.index({ companyId: 1, 'candidateKeys.email': 1, status: 1 });
+CandidateOwnershipSchema.index({ companyId: 1, 'candidateKeys.phone': 1, status: 1 });
+CandidateOwnershipSchema.index({ companyId: 1, 'candidateKeys.linkedIn': 1, status: 1 });
+
+// Virtual for whether the ownership window is still running
+CandidateOwnershipSchema.virtual('isInWindow').get(function() {
+  return this.status === OWNERSHIP_STATUS.ACTIVE && this.expiresAt > new Date();
+});
+
+/**
+ * Find active ownership records that match any of the given candidate keys
+ * @param {Object} params - Company, optional job and normalized keys
+ * @returns {Promise<Array>}
+ */
+CandidateOwnershipSchema.statics.findMatching = function({ companyId, jobId, candidateKeys }) {
+  const or = MATCH_FIELDS
+    .filter(field => candidateKeys[field])
+    .map(field => ({ [`candidateKeys.${field}`]: candidateKeys[field] }));
+
+  if (or.length === 0) {
+    return Promise.resolve([]);
+  }
+
+  const query = {
+    companyId,
+    status: OWNERSHIP_STATUS.ACTIVE,
+    expiresAt: { $gt: new Date() },
+    $or: or,
+  };
+
+  if (jobId) {
+    query.jobId = jobId;
+  }
+
+  return this.find(query).sort({ claimedAt: 1 });
+};
+
+// Dispute (arbitration queue) schema
+const ReferralDisputeSchema = new Schema({
+  companyId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true,
+    index: true,
+  },
+  jobId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Job',
+  },
+  ownershipId: {
+    type: Schema.Types.ObjectId,
+    ref: 'CandidateOwnership',
+    required: true,
+  },
+  // Referral that holds ownership at the time the dispute was raised
+  ownerReferralId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Referral',
+    required: true,
+    index: true,
+  },
+  // Referral that collided with the existing ownership
+  challengerReferralId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Referral',
+    required: true,
+    index: true,
+  },
+  matchedOn: [{
+    type: String,
+    enum: MATCH_FIELDS,
+  }],
+  status: {
+    type: String,
+    enum: Object.values(DISPUTE_STATUS),
+    default: DISPUTE_STATUS.OPEN,
+    index: true,
+  },
+  resolution: {
+    type: String,
+    enum: Object.values(DISPUTE_RESOLUTION),
+  },
+  resolvedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  resolvedAt: {
+    type: Date,
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters'],
+  },
+}, {
+  timestamps: true,
+});
+
+ReferralDisputeSchema.index({ status: 1, createdAt: 1 });
+
+/**
+ * Check whether a referral is involved in an open dispute
+ * @param {string} referralId - Referral ID
+ * @returns {Promise<boolean>}
+ */
+ReferralDisputeSchema.statics.hasOpenDispute = async function(referralId) {
+  const count = await this.countDocuments({
+    status: DISPUTE_STATUS.OPEN,
+    $or: [
+      { ownerReferralId: referralId },
+      { challengerReferralId: referralId },
+    ],
+  });
+  return count > 0;
+};
+
+const CandidateOwnership = mongoose.model('CandidateOwnership', CandidateOwnershipSchema);
+const ReferralDispute = mongoose.model('ReferralDispute', ReferralDisputeSchema);
+
+module.exports = CandidateOwnership;
+module.exports.ReferralDispute = ReferralDispute;
+module.exports.OWNERSHIP_STATUS = OWNERSHIP_STATUS;
+module.exports.DISPUTE_STATUS = DISPUTE_STATUS;
+module.exports.DISPUTE_RESOLUTION = DISPUTE_RESOLUTION;
+module.exports.MATCH_FIELDS = MATCH_FIELDS;
@@ -0,0 +1,198 @@
+/**
+ * CommissionPolicy Model
+ * Versioned commission policies that decide how a referral bonus is split
+ * between the platform and the referrer. Rules match on company plan, job
+ * category, referrer tier, region and promotion; each referral records the
+ * policy version applied so payouts can be audited.
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// Platform share used when no policy is active (15% platform / 85% referrer)
+const DEFAULT_PLATFORM_RATE = 0.15;
+
+// Share of the referral bonus paid to each upline level (direct parent first)
+// when no policy is active; deeper levels get the last rate
+const DEFAULT_NETWORK_RATES = [0.05, 0.03, 0.02, 0.01];
+
+// Policy status
+const POLICY_STATUS = {
+  DRAFT: 'draft',
+  ACTIVE: 'active',
+  ARCHIVED: 'archived',
+};
+
+// Rule conditions - an empty list matches everything
+const RuleConditionsSchema = new Schema({
+  companyPlans: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+  }],
+  jobCategories: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+  }],
+  referrerTiers: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+  }],
+  regions: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+  }],
+  promotionCodes: [{
+    type: String,
+    trim: true,
+    uppercase: true,
+  }],
+}, { _id: false });
+
+// Commission rule schema
+const CommissionRuleSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+  },
+  priority: {
+    type: Number,
+    default: 0, // Higher priority rules are evaluated first
+  },
+  conditions: {
+    type: RuleConditionsSchema,
+    default: () => ({}),
+  },
+  platformRate: {
+    type: Number,
+    required: [true, 'Platform rate is required'],
+    min: 0,
+    max: 1,
+  },
+  // Optional time box, used for promotions
+  startsAt: {
+    type: Date,
+  },
+  endsAt: {
+    type: Date,
+  },
+}, { _id: true });
+
+// Main CommissionPolicy Schema
+const CommissionPolicySchema = new Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true,
+  },
+  name: {
+    type: String,
+    trim: true,
+  },
+  status: {
+    type: String,
+    enum: Object.values(POLICY_STATUS),
+    default: POLICY_STATUS.DRAFT,
+    index: true,
+  },
+  defaultPlatformRate: {
+    type: Number,
+    default: DEFAULT_PLATFORM_RATE,
+    min: 0,
+    max: 1,
+  },
+  rules: [CommissionRuleSchema],
+  // Upline network commission, paid out of the platform commission
+  networkRates: {
+    type: [{ type: Number, min: 0, max: 1 }],
+    default: () => [...DEFAULT_NETWORK_RATES],
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  activatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  activatedAt: {
+    type: Date,
+  },
+  archivedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+/**
+ * Get the currently active policy
+ * @returns {Promise<Document|null>}
+ */
+CommissionPolicySchema.statics.getActive = function() {
+  return this.findOne({ status: POLICY_STATUS.ACTIVE }).sort({ version: -1 });
+};
+
+/**
+ * Create a new draft policy version
+ * Versions are immutable once activated, so edits always create a new version.
+ * @param {Object} data - Policy data
+ * @returns {Promise<Document>}
+ */
+CommissionPolicySchema.statics.createVersion = async function(data) {
+  const latest = await this.findOne().sort({ version: -1 }).select('version');
+
+  return this.create({
+    ...data,
+    version: (latest?.version || 0) + 1,
+    status: POLICY_STATUS.DRAFT,
+  });
+};
+
+/**
+ * Activate this policy version, archiving the previously active one
+ * @param {string} userId - Admin activating the policy
+ * @returns {Promise<Document>}
+ */
+CommissionPolicySchema.methods.activate = async function(userId) {
+  if (this.status !== POLICY_STATUS.DRAFT) {
+    throw new Error(`Only draft policies can be activated. Current status: ${this.status}`);
+  }
+
+  await this.constructor.updateMany(
+    { status: POLICY_STATUS.ACTIVE, _id: { $ne: this._id } },
+    { $set: { status: POLICY_STATUS.ARCHIVED, archivedAt: new Date() } }
+  );
+
+  this.status = POLICY_STATUS.ACTIVE;
+  this.activatedBy = userId;
+  this.activatedAt = new Date();
+  await this.save();
+
+  return this;
+};
+
+// Prevent edits to rates of active or archived policies
+CommissionPolicySchema.pre('save', function() {
+  if (this.isNew || this.status === POLICY_STATUS.DRAFT) return;
+
+  if (this.isModified('rules') || this.isModified('defaultPlatformRate') || this.isModified('networkRates')) {
+    throw new Error('An activated commission policy cannot be changed; create a new version');
+  }
+});
+
+const CommissionPolicy = mongoose.model('CommissionPolicy', CommissionPolicySchema);
+
+module.exports = CommissionPolicy;
+module.exports.POLICY_STATUS = POLICY_STATUS;
+module.exports.DEFAULT_PLATFORM_RATE = DEFAULT_PLATFORM_RATE;
+module.exports.DEFAULT_NETWORK_RATES = DEFAULT_NETWORK_RATES;
@@ -103,6 +103,50 @@ const BrandingSchema = new Schema({
   },
 }, { _id: false });
 
+// Payout installment - share of the referrer payout released N days after hire
+const PayoutInstallmentRuleSchema = new Schema({
+  percent: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 100,
+  },
+  afterDays: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+}, { _id: false });
+
+// Hire guarantee (probation) policy - also used as a per-job override
+const GuaranteePolicySchema = new Schema({
+  // Days the hire must stay before the referral is fully earned (0 = no guarantee)
+  guaranteeDays: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 365,
+  },
+  // Staged payout, e.g. 50% at hire and 50% after 90 days. Empty = 100% at hire.
+  installments: [PayoutInstallmentRuleSchema],
+  // What the company gets back if the hire leaves inside the guarantee
+  companyRemedy: {
+    type: String,
+    enum: ['refund', 'credit_note', 'none'],
+    default: 'credit_note',
+  },
+  refundBasis: {
+    type: String,
+    enum: ['full', 'pro_rata'],
+    default: 'full',
+  },
+  // Recover already released referrer payouts on early exit
+  clawbackFromReferrer: {
+    type: Boolean,
+    default: true,
+  },
+}, { _id: false });
+
 // Settings schema
 const SettingsSchema = new Schema({
   requireApproval: {
@@ -114,6 +158,21 @@ const SettingsSchema = new Schema({
     default: 100000, // 100,000 MMK
     min: 0,
   },
+  // Candidate ownership - how long the first referrer "owns" a candidate at this company
+  candidateOwnershipDays: {
+    type: Number,
+    default: 180,
+    min: 0,
+  },
+  candidateOwnershipScope: {
+    type: String,
+    enum: ['company', 'job'],
+    default: 'company',
+  },
+  guaranteePolicy: {
+    type: GuaranteePolicySchema,
+    default: () => ({}),
+  },
   notificationPreferences: {
     emailOnNewReferral: {
       type: Boolean,
@@ -1477,3 +1536,4 @@ CompanySchema.statics.validateApiKey = async function(apiKey) {
 const Company = mongoose.model('Company', CompanySchema);
 
 module.exports = Company;
+module.exports.GuaranteePolicySchema = GuaranteePolicySchema;
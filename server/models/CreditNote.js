@@ -0,0 +1,127 @@
+/**
+ * CreditNote Model
+ * Credits issued to a company against a paid invoice (e.g. when a hire
+ * leaves during the guarantee period) and later applied to a new invoice
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// Credit note status
+const CREDIT_NOTE_STATUS = {
+  ISSUED: 'issued',
+  APPLIED: 'applied',
+  VOID: 'void',
+};
+
+// Main CreditNote Schema
+const CreditNoteSchema = new Schema({
+  creditNoteNumber: {
+    type: String,
+    required: [true, 'Credit note number is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+  },
+  companyId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company is required'],
+    index: true,
+  },
+  // Invoice the credit was issued against
+  invoiceId: {
+    type: Schema.Types.ObjectId,
+    ref: 'BillingRecord',
+  },
+  referralId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Referral',
+    index: true,
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [1, 'Credit amount must be positive'],
+  },
+  currency: {
+    type: String,
+    default: 'MMK',
+  },
+  // Tax contained in the credited amount, at the invoice's tax rate
+  tax: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+  },
+  reason: {
+    type: String,
+    trim: true,
+  },
+  status: {
+    type: String,
+    enum: Object.values(CREDIT_NOTE_STATUS),
+    default: CREDIT_NOTE_STATUS.ISSUED,
+    index: true,
+  },
+  issuedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Invoice the credit was used on
+  appliedToInvoiceId: {
+    type: Schema.Types.ObjectId,
+    ref: 'BillingRecord',
+  },
+  appliedAt: {
+    type: Date,
+  },
+  // Rendered PDF, stored once and never replaced
+  document: {
+    key: String,
+    sha256: String,
+    size: Number,
+    renderedAt: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+/**
+ * Generate unique credit note number
+ * @returns {Promise<string>}
+ */
+CreditNoteSchema.statics.generateCreditNoteNumber = async function() {
+  const now = new Date();
+  const year = now.getFullYear();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+
+  const count = await this.countDocuments({
+    createdAt: {
+      $gte: new Date(year, now.getMonth(), 1),
+      $lt: new Date(year, now.getMonth() + 1, 1),
+    },
+  });
+
+  const sequence = String(count + 1).padStart(4, '0');
+  return `CN-${year}${month}-${sequence}`;
+};
+
+/**
+ * Find unapplied credit notes for a company
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Array>}
+ */
+CreditNoteSchema.statics.findOpenForCompany = function(companyId) {
+  return this.find({ companyId, status: CREDIT_NOTE_STATUS.ISSUED }).sort({ createdAt: 1 });
+};
+
+const CreditNote = mongoose.model('CreditNote', CreditNoteSchema);
+
+module.exports = CreditNote;
+module.exports.CREDIT_NOTE_STATUS = CREDIT_NOTE_STATUS;
@@ -82,6 +82,22 @@ const dataProductSchema = new mongoose.Schema({
     charts: Number,
     updateFrequency: String
   },
+  // Privacy of released data; can be stricter than the platform minimums
+  // (see services/dataPrivacyService) but never looser
+  privacy: {
+    minCohortSize: {
+      type: Number,
+      min: 2
+    },
+    noise: {
+      type: Boolean,
+      default: false
+    },
+    epsilon: {
+      type: Number,
+      min: 0.01
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
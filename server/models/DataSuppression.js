@@ -0,0 +1,119 @@
+/**
+ * DataSuppression Model
+ * Audit of market data withheld for privacy: one record per Data API query
+ * or report section in which groups smaller than the minimum cohort size
+ * were suppressed
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// Where the suppressed data would have been released
+const SUPPRESSION_SOURCES = {
+  DATA_API: 'data_api',
+  REPORT: 'report',
+  REPORT_PREVIEW: 'report_preview',
+};
+
+const DataSuppressionSchema = new Schema({
+  source: {
+    type: String,
+    enum: Object.values(SUPPRESSION_SOURCES),
+    required: true,
+  },
+  // Data API endpoint or report section
+  endpoint: {
+    type: String,
+    required: true,
+  },
+  customerId: {
+    type: Schema.Types.ObjectId,
+    refPath: 'customerType',
+  },
+  customerType: {
+    type: String,
+    enum: ['User', 'Company'],
+  },
+  apiKeyId: {
+    type: Schema.Types.ObjectId,
+    ref: 'APIKey',
+  },
+  reportId: {
+    type: String,
+  },
+  // Query parameters as JSON, truncated
+  query: {
+    type: String,
+    maxlength: 2000,
+  },
+  minCohortSize: {
+    type: Number,
+    required: true,
+  },
+  totalGroups: {
+    type: Number,
+    default: 0,
+  },
+  suppressedGroups: {
+    type: Number,
+    default: 0,
+  },
+  // Nothing was left to release
+  fullySuppressed: {
+    type: Boolean,
+    default: false,
+  },
+  noise: {
+    type: Boolean,
+    default: false,
+  },
+  epsilon: {
+    type: Number,
+  },
+}, {
+  timestamps: true,
+});
+
+DataSuppressionSchema.index({ createdAt: -1 });
+DataSuppressionSchema.index({ source: 1, endpoint: 1, createdAt: -1 });
+DataSuppressionSchema.index({ customerId: 1, createdAt: -1 });
+
+/**
+ * Suppressions by source and endpoint over a period
+ * @param {Date} startDate - Period start
+ * @param {Date} endDate - Period end
+ * @returns {Promise<Array<Object>>} [{ source, endpoint, queries, fullySuppressed, suppressedGroups, totalGroups }]
+ */
+DataSuppressionSchema.statics.getSummary = function(startDate, endDate = new Date()) {
+  return this.aggregate([
+    { $match: { createdAt: { $gte: startDate, $lte: endDate } } },
+    {
+      $group: {
+        _id: { source: '$source', endpoint: '$endpoint' },
+        queries: { $sum: 1 },
+        fullySuppressed: { $sum: { $cond: ['$fullySuppressed', 1, 0] } },
+        suppressedGroups: { $sum: '$suppressedGroups' },
+        totalGroups: { $sum: '$totalGroups' },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        source: '$_id.source',
+        endpoint: '$_id.endpoint',
+        queries: 1,
+        fullySuppressed: 1,
+        suppressedGroups: 1,
+        totalGroups: 1,
+      },
+    },
+    { $sort: { queries: -1 } },
+  ]);
+};
+
+// Create and export the model
+const DataSuppression = mongoose.model('DataSuppression', DataSuppressionSchema);
+
+module.exports = DataSuppression;
+module.exports.SUPPRESSION_SOURCES = SUPPRESSION_SOURCES;
@@ -0,0 +1,102 @@
+/**
+ * IdempotencyKey Model
+ * Receipts for side-effecting operations (workflow emails, WhatsApp
+ * messages, webhooks...). A key is claimed before the side effect runs, so
+ * a replayed or concurrently resumed step never performs it twice.
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// Receipt status
+const IDEMPOTENCY_STATUS = {
+  STARTED: 'started',
+  COMPLETED: 'completed',
+};
+
+// Receipts are kept for 30 days
+const RETENTION_DAYS = 30;
+
+// Main IdempotencyKey Schema
+const IdempotencyKeySchema = new Schema({
+  key: {
+    type: String,
+    required: [true, 'Idempotency key is required'],
+    unique: true,
+    trim: true,
+  },
+  // What the key protects, e.g. 'workflow_action'
+  scope: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  status: {
+    type: String,
+    enum: Object.values(IDEMPOTENCY_STATUS),
+    default: IDEMPOTENCY_STATUS.STARTED,
+  },
+  // Output of the completed operation, returned on duplicates
+  response: {
+    type: Schema.Types.Mixed,
+  },
+  metadata: {
+    type: Schema.Types.Mixed,
+    default: {},
+  },
+  completedAt: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000),
+  },
+}, {
+  timestamps: true,
+});
+
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Claim a key before performing a side effect
+ * @param {string} key - Idempotency key
+ * @param {string} scope - Key scope
+ * @param {Object} metadata - Extra details stored with the receipt
+ * @returns {Promise<Object>} { acquired, receipt }
+ */
+IdempotencyKeySchema.statics.claim = async function(key, scope, metadata = {}) {
+  try {
+    const receipt = await this.create({ key, scope, metadata });
+    return { acquired: true, receipt };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return { acquired: false, receipt: await this.findOne({ key }).lean() };
+  }
+};
+
+/**
+ * Mark a claimed key as completed
+ * @param {string} key - Idempotency key
+ * @param {any} response - Operation output
+ * @returns {Promise<void>}
+ */
+IdempotencyKeySchema.statics.complete = async function(key, response) {
+  await this.updateOne({ key }, {
+    $set: { status: IDEMPOTENCY_STATUS.COMPLETED, response, completedAt: new Date() },
+  });
+};
+
+/**
+ * Release a claimed key after the operation failed, so it may be retried
+ * @param {string} key - Idempotency key
+ * @returns {Promise<void>}
+ */
+IdempotencyKeySchema.statics.release = async function(key) {
+  await this.deleteOne({ key, status: IDEMPOTENCY_STATUS.STARTED });
+};
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
+
+module.exports = IdempotencyKey;
+module.exports.IDEMPOTENCY_STATUS = IDEMPOTENCY_STATUS;
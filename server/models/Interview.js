@@ -0,0 +1,411 @@
+/**
+ * Interview Model
+ * Interviews scheduled for a referral, recruiter availability slots,
+ * candidate self-booking tokens, reschedule history and scorecard feedback
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// Interview status
+const INTERVIEW_STATUS = {
+  PENDING_BOOKING: 'pending_booking', // Waiting for the candidate to pick a slot
+  SCHEDULED: 'scheduled',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  NO_SHOW: 'no_show',
+};
+
+// Interview formats
+const INTERVIEW_TYPES = {
+  PHONE: 'phone',
+  VIDEO: 'video',
+  ONSITE: 'onsite',
+};
+
+// Availability slot status
+const SLOT_STATUS = {
+  OPEN: 'open',
+  BOOKED: 'booked',
+  CANCELLED: 'cancelled',
+};
+
+// Scorecard recommendations
+const RECOMMENDATIONS = ['strong_yes', 'yes', 'no', 'strong_no'];
+
+// Reschedule history entry
+const RescheduleSchema = new Schema({
+  fromStart: {
+    type: Date,
+  },
+  toStart: {
+    type: Date,
+  },
+  reason: {
+    type: String,
+    trim: true,
+  },
+  changedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  changedByType: {
+    type: String,
+    enum: ['candidate', 'recruiter', 'system'],
+    default: 'recruiter',
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// Reminder delivery record
+const ReminderSchema = new Schema({
+  offsetMinutes: {
+    type: Number,
+    required: true,
+  },
+  channel: {
+    type: String,
+    enum: ['whatsapp', 'viber', 'telegram'],
+    required: true,
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now,
+  },
+  success: {
+    type: Boolean,
+    default: true,
+  },
+  error: {
+    type: String,
+  },
+}, { _id: false });
+
+// Scorecard rating for one criterion
+const RatingSchema = new Schema({
+  criterion: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  score: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+}, { _id: false });
+
+// Interviewer scorecard
+const ScorecardSchema = new Schema({
+  interviewerId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  ratings: [RatingSchema],
+  overallScore: {
+    type: Number,
+    min: 1,
+    max: 5,
+  },
+  recommendation: {
+    type: String,
+    enum: RECOMMENDATIONS,
+    required: true,
+  },
+  comments: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Comments cannot exceed 5000 characters'],
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: true });
+
+// Main Interview Schema
+const InterviewSchema = new Schema({
+  referralId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Referral',
+    required: [true, 'Referral is required'],
+    index: true,
+  },
+  jobId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true,
+  },
+  companyId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true,
+    index: true,
+  },
+  round: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+  title: {
+    type: String,
+    trim: true,
+  },
+  type: {
+    type: String,
+    enum: Object.values(INTERVIEW_TYPES),
+    default: INTERVIEW_TYPES.VIDEO,
+  },
+  location: {
+    type: String,
+    trim: true,
+  },
+  meetingUrl: {
+    type: String,
+    trim: true,
+  },
+  durationMinutes: {
+    type: Number,
+    default: 60,
+    min: 15,
+    max: 480,
+  },
+  timezone: {
+    type: String,
+    default: 'Asia/Yangon',
+  },
+
+  // People
+  recruiterId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  interviewerIds: [{
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  candidate: {
+    name: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    phone: { type: String, trim: true },
+    userId: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+
+  // Schedule
+  status: {
+    type: String,
+    enum: Object.values(INTERVIEW_STATUS),
+    default: INTERVIEW_STATUS.PENDING_BOOKING,
+    index: true,
+  },
+  startsAt: {
+    type: Date,
+    index: true,
+  },
+  endsAt: {
+    type: Date,
+  },
+  slotId: {
+    type: Schema.Types.ObjectId,
+    ref: 'InterviewSlot',
+  },
+  // iCal SEQUENCE - bumped every time the invite changes
+  sequence: {
+    type: Number,
+    default: 0,
+  },
+
+  // Candidate self-booking
+  bookingToken: {
+    type: String,
+    index: true,
+    sparse: true,
+  },
+  bookingTokenExpiresAt: {
+    type: Date,
+  },
+
+  rescheduleHistory: [RescheduleSchema],
+  reminders: [ReminderSchema],
+  scorecards: [ScorecardSchema],
+
+  cancelledAt: {
+    type: Date,
+  },
+  cancelledBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+  },
+  completedAt: {
+    type: Date,
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+InterviewSchema.index({ status: 1, startsAt: 1 });
+InterviewSchema.index({ referralId: 1, round: 1 });
+
+// Virtual for average scorecard score
+InterviewSchema.virtual('averageScore').get(function() {
+  const scores = (this.scorecards || [])
+    .map(card => card.overallScore)
+    .filter(score => typeof score === 'number');
+  if (scores.length === 0) return null;
+  return Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100) / 100;
+});
+
+// Virtual for the users expected to submit feedback (the recruiter when no interviewers are assigned)
+InterviewSchema.virtual('assignedInterviewerIds').get(function() {
+  return (this.interviewerIds || []).length > 0
+    ? this.interviewerIds.map(id => id.toString())
+    : [this.recruiterId.toString()];
+});
+
+// Virtual for whether every assigned interviewer has submitted feedback
+InterviewSchema.virtual('hasAllScorecards').get(function() {
+  const submitted = new Set((this.scorecards || []).map(card => card.interviewerId.toString()));
+  return this.assignedInterviewerIds.every(id => submitted.has(id));
+});
+
+/**
+ * Issue a new candidate self-booking token
+ * @param {number} validDays - Token lifetime in days
+ * @returns {string}
+ */
+InterviewSchema.methods.issueBookingToken = function(validDays = 7) {
+  this.bookingToken = crypto.randomBytes(24).toString('hex');
+  this.bookingTokenExpiresAt = new Date(Date.now() + validDays * 24 * 60 * 60 * 1000);
+  return this.bookingToken;
+};
+
+/**
+ * Find an interview by a valid (unexpired) booking token
+ * @param {string} token - Booking token
+ * @returns {Promise<Document|null>}
+ */
+InterviewSchema.statics.findByBookingToken = function(token) {
+  return this.findOne({
+    bookingToken: token,
+    bookingTokenExpiresAt: { $gt: new Date() },
+    status: { $in: [INTERVIEW_STATUS.PENDING_BOOKING, INTERVIEW_STATUS.SCHEDULED] },
+  });
+};
+
+// Recruiter availability slot schema
+const InterviewSlotSchema = new Schema({
+  recruiterId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  companyId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true,
+    index: true,
+  },
+  startsAt: {
+    type: Date,
+    required: true,
+  },
+  endsAt: {
+    type: Date,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: Object.values(SLOT_STATUS),
+    default: SLOT_STATUS.OPEN,
+  },
+  interviewId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Interview',
+  },
+}, {
+  timestamps: true,
+});
+
+InterviewSlotSchema.index({ recruiterId: 1, startsAt: 1 });
+InterviewSlotSchema.index({ companyId: 1, status: 1, startsAt: 1 });
+
+/**
+ * Find open future slots for a recruiter
+ * @param {string} recruiterId - Recruiter user ID
+ * @param {Object} options - from/to window
+ * @returns {Promise<Array>}
+ */
+InterviewSlotSchema.statics.findOpen = function(recruiterId, options = {}) {
+  const from = options.from ? new Date(options.from) : new Date();
+  const query = {
+    recruiterId,
+    status: SLOT_STATUS.OPEN,
+    startsAt: { $gt: from },
+  };
+
+  if (options.to) {
+    query.startsAt.$lte = new Date(options.to);
+  }
+
+  return this.find(query).sort({ startsAt: 1 });
+};
+
+/**
+ * Atomically book an open slot
+ * @param {string} slotId - Slot ID
+ * @param {string} interviewId - Interview booking the slot
+ * @returns {Promise<Document|null>} Null if the slot was taken
+ */
+InterviewSlotSchema.statics.book = function(slotId, interviewId) {
+  return this.findOneAndUpdate(
+    { _id: slotId, status: SLOT_STATUS.OPEN, startsAt: { $gt: new Date() } },
+    { $set: { status: SLOT_STATUS.BOOKED, interviewId } },
+    { new: true }
+  );
+};
+
+/**
+ * Release a booked slot back into availability
+ * @param {string} slotId - Slot ID
+ * @returns {Promise<Object>}
+ */
+InterviewSlotSchema.statics.release = function(slotId) {
+  return this.updateOne(
+    { _id: slotId, status: SLOT_STATUS.BOOKED },
+    { $set: { status: SLOT_STATUS.OPEN }, $unset: { interviewId: 1 } }
+  );
+};
+
+const Interview = mongoose.model('Interview', InterviewSchema);
+const InterviewSlot = mongoose.model('InterviewSlot', InterviewSlotSchema);
+
+module.exports = Interview;
+module.exports.InterviewSlot = InterviewSlot;
+module.exports.INTERVIEW_STATUS = INTERVIEW_STATUS;
+module.exports.INTERVIEW_TYPES = INTERVIEW_TYPES;
+module.exports.SLOT_STATUS = SLOT_STATUS;
+module.exports.RECOMMENDATIONS = RECOMMENDATIONS;
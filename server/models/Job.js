@@ -5,6 +5,8 @@
  */
 
 const mongoose = require('mongoose');
+const { GuaranteePolicySchema } = require('./Company.js');
+const Skill = require('./Skill.js');
 
 const { Schema } = mongoose;
 
@@ -240,6 +242,11 @@ const JobSchema = new Schema({
     type: String,
     default: 'MMK',
   },
+  // Overrides the company hire guarantee / staged payout policy when set
+  guaranteePolicy: {
+    type: GuaranteePolicySchema,
+    default: undefined,
+  },
   
   // Status
   status: {
@@ -564,6 +571,13 @@ JobSchema.virtual('featuredDaysRemaining').get(function() {
 
 // ==================== MIDDLEWARE ====================
 
+// Pre-save middleware to store skills under their canonical taxonomy names
+JobSchema.pre('save', async function() {
+  if (this.isModified('skills') && this.skills?.length > 0) {
+    this.skills = await Skill.canonicalizeNames(this.skills);
+  }
+});
+
 // Pre-save middleware to generate slug
 JobSchema.pre('save', async function(next) {
   if (this.isNew || this.isModified('title')) {
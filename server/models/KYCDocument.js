@@ -53,8 +53,12 @@ const OCRDataSchema = new Schema({
   extractedData: {
     // For NRC
     nrcNumber: String,
+    nrcStateCode: String,
     nrcStateRegion: String,
+    nrcTownship: String, // Township abbreviation, e.g. OUKAMA
+    nrcTownshipName: String,
     nrcType: String, // N, E, P, etc.
+    nrcSerial: String,
     name: String,
     fatherName: String,
     dateOfBirth: Date,
@@ -89,14 +93,25 @@ const OCRDataSchema = new Schema({
       field: String,
       confidence: Number,
       value: String,
+      // Value passed its own check (known township, MRZ check digit)
+      valid: Boolean,
+      // Name and date of birth compared with the user's profile
+      profileMatch: Boolean,
+      profileScore: Number,
     }],
   },
   
+  // Set when a reviewer must check the extracted data, with the reasons
+  requiresReview: {
+    type: Boolean,
+    default: false,
+  },
+  reviewReasons: [String],
+  
   // OCR engine used
   engine: {
     type: String,
     enum: ['tesseract', 'google_vision', 'aws_textract', 'azure_form', 'manual'],
-    default: 'tesseract',
   },
   
   // Processing metadata
@@ -105,6 +120,7 @@ const OCRDataSchema = new Schema({
   
   // Face detection (for selfies)
   faceDetection: {
+    provider: String,
     detected: Boolean,
     confidence: Number,
     faceCount: Number,
@@ -113,6 +129,51 @@ const OCRDataSchema = new Schema({
       sharpness: Number,
       contrast: Number,
     },
+    // Passive liveness score (0-100) and the checks behind it
+    liveness: {
+      score: Number,
+      checks: Schema.Types.Mixed,
+    },
+  },
+}, { _id: false });
+
+// Face comparison of a selfie with an ID document
+const FaceMatchSchema = new Schema({
+  idDocumentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'KYCDocument',
+  },
+  provider: String,
+  score: Number, // 0-100, null when the provider cannot score
+  livenessScore: Number,
+  
+  // KYC level whose thresholds were applied
+  level: Number,
+  thresholds: {
+    match: Number,
+    review: Number,
+    liveness: Number,
+  },
+  
+  decision: {
+    type: String,
+    enum: ['matched', 'review', 'failed'],
+  },
+  reasons: [String],
+  matchedAt: Date,
+  
+  // Side-by-side review of borderline results
+  review: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+    },
+    reviewedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: Date,
+    notes: String,
   },
 }, { _id: false });
 
@@ -245,6 +306,12 @@ const KYCDocumentSchema = new Schema({
     default: null,
   },
   
+  // Face comparison (selfies)
+  faceMatch: {
+    type: FaceMatchSchema,
+    default: null,
+  },
+  
   // Verification details
   verification: {
     type: VerificationSchema,
@@ -355,6 +422,7 @@ KYCDocumentSchema.index({ status: 1, documentType: 1 });
 KYCDocumentSchema.index({ createdAt: -1 });
 KYCDocumentSchema.index({ 'ocrData.extractedData.nrcNumber': 1 });
 KYCDocumentSchema.index({ 'ocrData.extractedData.documentNumber': 1 });
+KYCDocumentSchema.index({ 'faceMatch.review.status': 1, createdAt: 1 });
 
 // Instance methods
 
@@ -487,6 +555,23 @@ KYCDocumentSchema.statics.findPendingVerification = function(options = {}) {
     .limit(limit);
 };
 
+/**
+ * Find selfies whose face match awaits a reviewer, with the ID document
+ * they were compared to
+ * @param {Object} options - Query options
+ * @returns {Promise<Array>}
+ */
+KYCDocumentSchema.statics.findPendingFaceReviews = function(options = {}) {
+  const { limit = 50, skip = 0 } = options;
+
+  return this.find({ 'faceMatch.review.status': 'pending' })
+    .populate('userId', 'name email')
+    .populate('faceMatch.idDocumentId', 'documentType file.originalName file.mimeType ocrData.extractedData')
+    .sort({ createdAt: 1 })
+    .skip(skip)
+    .limit(limit);
+};
+
 /**
  * Check if user has document of specific type
  * @param {string} userId - User ID
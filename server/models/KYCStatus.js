@@ -102,6 +102,69 @@ const RejectionReasonSchema = new Schema({
   },
 }, { _id: false });
 
+// Step-up verification requested when a payout exceeds the user's limits.
+// A KYC level step-up completes when that level is approved; a manual
+// review step-up, once approved, allows one payout of up to its amount.
+const StepUpRequestSchema = new Schema({
+  reason: {
+    type: String,
+    enum: ['payout_limit'],
+    default: 'payout_limit',
+  },
+  method: {
+    type: String,
+    enum: ['kyc_level', 'manual_review'],
+    required: true,
+  },
+  requiredLevel: {
+    type: Number,
+    min: 0,
+    max: 4,
+  },
+  // Amount requested, in the payout limit currency
+  amount: {
+    type: Number,
+    min: 0,
+  },
+  currency: {
+    type: String,
+  },
+  exceeded: [{
+    type: String,
+    enum: ['per_transaction', 'daily', 'monthly'],
+  }],
+  riskTier: {
+    type: String,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'approved', 'rejected'],
+    default: 'pending',
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  resolvedAt: {
+    type: Date,
+  },
+  resolvedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  notes: {
+    type: String,
+  },
+  // Approved manual reviews: when the approval lapses and the payout that used it
+  expiresAt: {
+    type: Date,
+  },
+  payoutRequestId: {
+    type: Schema.Types.ObjectId,
+    ref: 'PayoutRequest',
+  },
+}, { _id: true });
+
 // Main KYC Status Schema
 const KYCStatusSchema = new Schema({
   // User reference
@@ -301,6 +364,12 @@ const KYCStatusSchema = new Schema({
     description: String,
   }],
 
+  // Step-up verification requests from payout limits
+  stepUpRequests: {
+    type: [StepUpRequestSchema],
+    default: [],
+  },
+
   // Metadata
   metadata: {
     ipAddress: String,
@@ -335,6 +404,7 @@ KYCStatusSchema.index({ 'levelStatus.level3.status': 1 });
 KYCStatusSchema.index({ 'levelStatus.level4.status': 1 });
 KYCStatusSchema.index({ riskScore: 1 });
 KYCStatusSchema.index({ expiresAt: 1 });
+KYCStatusSchema.index({ 'stepUpRequests.status': 1, 'stepUpRequests.method': 1 });
 
 // Instance methods
 
@@ -457,6 +527,15 @@ KYCStatusSchema.methods.approve = async function(reviewerId, notes = '') {
   // Clear current rejection
   this.currentRejection = null;
   
+  // Level step-ups the approved level satisfies
+  this.stepUpRequests.forEach(stepUp => {
+    if (stepUp.status === 'pending' && stepUp.method === 'kyc_level' && stepUp.requiredLevel <= this.currentLevel) {
+      stepUp.status = 'completed';
+      stepUp.resolvedAt = new Date();
+      stepUp.resolvedBy = reviewerId;
+    }
+  });
+  
   // Set expiry for re-verification (1 year)
   this.expiresAt = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
   
@@ -515,6 +594,23 @@ KYCStatusSchema.statics.findPendingReviews = function(options = {}) {
     .limit(limit);
 };
 
+/**
+ * Find users with manual review step-ups awaiting a decision
+ * @param {Object} options - Query options
+ * @returns {Promise<Array>}
+ */
+KYCStatusSchema.statics.findPendingStepUps = function(options = {}) {
+  const { limit = 50, skip = 0 } = options;
+  
+  return this.find({
+    stepUpRequests: { $elemMatch: { status: 'pending', method: 'manual_review' } },
+  })
+    .populate('userId', 'name email phone createdAt')
+    .sort({ lastActivityAt: 1 })
+    .skip(skip)
+    .limit(limit);
+};
+
 /**
  * Find users requiring re-verification
  * @returns {Promise<Array>}
@@ -581,3 +677,6 @@ KYCStatusSchema.pre('save', function(next) {
 const KYCStatus = mongoose.model('KYCStatus', KYCStatusSchema);
 
 module.exports = KYCStatus;
+module.exports.KYCStatus = KYCStatus;
+module.exports.KYC_LEVELS = KYC_LEVELS;
+module.exports.KYC_STATUS = KYC_STATUS;
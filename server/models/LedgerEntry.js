@@ -0,0 +1,205 @@
+/**
+ * LedgerEntry Model
+ * Append-only double-entry journal for all money movement. Each entry has
+ * two or more lines whose debits and credits balance; entries are never
+ * edited or deleted, mistakes are corrected with a reversing entry.
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// Business events that post to the ledger
+const ENTRY_TYPES = {
+  DEPOSIT: 'deposit',
+  DEPOSIT_REFUND: 'deposit_refund',
+  INVOICE_ISSUED: 'invoice_issued',
+  INVOICE_ADJUSTMENT: 'invoice_adjustment',
+  INVOICE_PAYMENT: 'invoice_payment',
+  INVOICE_REFUND: 'invoice_refund',
+  CREDIT_NOTE_ISSUED: 'credit_note_issued',
+  CREDIT_NOTE_APPLIED: 'credit_note_applied',
+  REFERRAL_BONUS_ACCRUAL: 'referral_bonus_accrual',
+  PLATFORM_COMMISSION: 'platform_commission',
+  INSTALLMENT_RELEASE: 'installment_release',
+  PAYOUT: 'payout',
+  FX_CONVERSION: 'fx_conversion',
+  CLAWBACK: 'clawback',
+  REVERSAL: 'reversal',
+};
+
+// Top-level account types, the first segment of an account code
+const ACCOUNT_TYPES = {
+  ASSETS: 'assets',
+  LIABILITIES: 'liabilities',
+  EQUITY: 'equity',
+  REVENUE: 'revenue',
+  EXPENSES: 'expenses',
+};
+
+// Journal line schema
+const LedgerLineSchema = new Schema({
+  // Account code, e.g. assets:providers:kbzpay or liabilities:referrers:<id>:available
+  account: {
+    type: String,
+    required: [true, 'Account is required'],
+    trim: true,
+    lowercase: true,
+    match: [new RegExp(`^(${Object.values(ACCOUNT_TYPES).join('|')})(:[a-z0-9_]+)+$`), 'Invalid account code'],
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  memo: {
+    type: String,
+    trim: true,
+  },
+}, { _id: false });
+
+// Main LedgerEntry Schema
+const LedgerEntrySchema = new Schema({
+  entryNumber: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  type: {
+    type: String,
+    enum: Object.values(ENTRY_TYPES),
+    required: [true, 'Entry type is required'],
+    index: true,
+  },
+  currency: {
+    type: String,
+    default: 'MMK',
+    uppercase: true,
+  },
+  lines: {
+    type: [LedgerLineSchema],
+    validate: [lines => lines.length >= 2, 'An entry needs at least two lines'],
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  // Record that caused the entry
+  source: {
+    model: {
+      type: String,
+      trim: true,
+    },
+    id: {
+      type: Schema.Types.ObjectId,
+    },
+    reference: {
+      type: String,
+      trim: true,
+    },
+  },
+  // Stable key per business event, so retries never post twice
+  idempotencyKey: {
+    type: String,
+    trim: true,
+  },
+  // Entry this one reverses
+  reversalOf: {
+    type: Schema.Types.ObjectId,
+    ref: 'LedgerEntry',
+  },
+  postedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  postedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// ==================== INDEXES ====================
+
+LedgerEntrySchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+LedgerEntrySchema.index({ reversalOf: 1 }, { unique: true, sparse: true });
+LedgerEntrySchema.index({ 'lines.account': 1, postedAt: 1 });
+LedgerEntrySchema.index({ 'source.model': 1, 'source.id': 1 });
+LedgerEntrySchema.index({ postedAt: -1 });
+
+// ==================== MIDDLEWARE ====================
+
+// Entries must balance, and a line is either a debit or a credit
+LedgerEntrySchema.pre('validate', function() {
+  const toMinor = amount => Math.round(amount * 100);
+
+  for (const line of this.lines) {
+    if ((line.debit > 0) === (line.credit > 0)) {
+      this.invalidate('lines', `Line for ${line.account} must have either a debit or a credit`);
+      return;
+    }
+  }
+
+  const debits = this.lines.reduce((sum, line) => sum + toMinor(line.debit), 0);
+  const credits = this.lines.reduce((sum, line) => sum + toMinor(line.credit), 0);
+  if (debits !== credits) {
+    this.invalidate('lines', `Entry does not balance: debits ${debits / 100}, credits ${credits / 100}`);
+  }
+});
+
+// Posted entries are immutable
+LedgerEntrySchema.pre('save', function() {
+  if (!this.isNew) {
+    throw new Error('Ledger entries cannot be changed; post a reversing entry instead');
+  }
+});
+
+const rejectChange = function() {
+  throw new Error('Ledger entries are append-only');
+};
+
+for (const operation of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']) {
+  LedgerEntrySchema.pre(operation, rejectChange);
+}
+
+// ==================== STATICS ====================
+
+/**
+ * Generate unique entry number
+ * @returns {string}
+ */
+LedgerEntrySchema.statics.generateEntryNumber = function() {
+  const now = new Date();
+  const date = now.toISOString().slice(0, 10).replace(/-/g, '');
+  return `JE-${date}-${now.getTime().toString(36).toUpperCase()}${Math.random().toString(36).slice(2, 6).toUpperCase()}`;
+};
+
+/**
+ * Account type of an account code
+ * @param {string} account - Account code
+ * @returns {string}
+ */
+LedgerEntrySchema.statics.accountType = function(account) {
+  return String(account).split(':')[0];
+};
+
+/**
+ * Whether an account type normally carries a debit balance
+ * @param {string} type - Account type
+ * @returns {boolean}
+ */
+LedgerEntrySchema.statics.isDebitNormal = function(type) {
+  return type === ACCOUNT_TYPES.ASSETS || type === ACCOUNT_TYPES.EXPENSES;
+};
+
+const LedgerEntry = mongoose.model('LedgerEntry', LedgerEntrySchema);
+
+module.exports = LedgerEntry;
+module.exports.ENTRY_TYPES = ENTRY_TYPES;
+module.exports.ACCOUNT_TYPES = ACCOUNT_TYPES;
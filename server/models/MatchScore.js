@@ -48,6 +48,23 @@ const FactorScoreSchema = new Schema({
   },
 }, { _id: false });
 
+// Why a factor scored the way it did
+const FactorExplanationSchema = new Schema({
+  factor: {
+    type: String,
+    enum: ['skills', 'experience', 'location', 'salary', 'candidateQuality', 'referrerNetwork'],
+    required: true,
+  },
+  score: { type: Number, min: 0, max: 100 },
+  weight: { type: Number, min: 0, max: 1 },
+  // Points this factor added to the overall score
+  contribution: { type: Number },
+  // Human-readable reason, e.g. "Matched 3 of 5 required skills"
+  summary: { type: String },
+  // Factor-specific evidence (matched skills, parsed years, ...)
+  details: { type: Schema.Types.Mixed },
+}, { _id: false });
+
 // Match score status constants
 const MATCH_SCORE_STATUS = {
   CALCULATED: 'calculated',
@@ -111,6 +128,14 @@ const MatchScoreSchema = new Schema({
     candidateQualityWeight: { type: Number, default: 0.10 },
     referrerNetworkWeight: { type: Number, default: 0.05 },
   },
+  // Fitted weight set used, empty when the engine defaults were used
+  weightsId: {
+    type: Schema.Types.ObjectId,
+    ref: 'MatchingWeights',
+  },
+
+  // Per-factor explanation of the score
+  explanations: [FactorExplanationSchema],
 
   // Matching details
   matchedSkills: [{
@@ -273,7 +298,7 @@ MatchScoreSchema.virtual('daysSinceCalculated').get(function() {
 // ==================== MIDDLEWARE ====================
 
 // Pre-save middleware to set isPerfectMatch and expiresAt
-MatchScoreSchema.pre('save', function(next) {
+MatchScoreSchema.pre('save', function() {
   // Set isPerfectMatch flag
   this.isPerfectMatch = this.overallScore >= 90;
 
@@ -281,8 +306,6 @@ MatchScoreSchema.pre('save', function(next) {
   if (!this.expiresAt) {
     this.expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
   }
-
-  next();
 });
 
 // ==================== INSTANCE METHODS ====================
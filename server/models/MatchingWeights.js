@@ -0,0 +1,124 @@
+/**
+ * MatchingWeights Model
+ * Factor weights for the matching engine, fitted per job category from
+ * historical hire outcomes. A fitted set starts as a candidate with an
+ * evaluation report against the weights in use and only affects scoring
+ * once activated.
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// Scoring factors, in the order used by matchingEngine
+const MATCH_FACTORS = ['skills', 'experience', 'location', 'salary', 'candidateQuality', 'referrerNetwork'];
+
+// Weight set status
+const WEIGHTS_STATUS = {
+  CANDIDATE: 'candidate',
+  ACTIVE: 'active',
+  RETIRED: 'retired',
+  REJECTED: 'rejected',
+};
+
+// One weight per factor
+const FactorWeightsSchema = new Schema(
+  Object.fromEntries(MATCH_FACTORS.map(factor => [factor, { type: Number, min: 0, max: 1, required: true }])),
+  { _id: false }
+);
+
+// Ranking metrics of a weight set on held-out outcomes
+const EvaluationMetricsSchema = new Schema({
+  auc: { type: Number },
+  topQuartileHireRate: { type: Number },
+  meanScoreHired: { type: Number },
+  meanScoreNotHired: { type: Number },
+  samples: { type: Number },
+}, { _id: false });
+
+// Main MatchingWeights Schema
+const MatchingWeightsSchema = new Schema({
+  // Job category the weights apply to
+  category: {
+    type: String,
+    required: [true, 'Job category is required'],
+    trim: true,
+    index: true,
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  status: {
+    type: String,
+    enum: Object.values(WEIGHTS_STATUS),
+    default: WEIGHTS_STATUS.CANDIDATE,
+    index: true,
+  },
+  weights: {
+    type: FactorWeightsSchema,
+    required: true,
+  },
+
+  // Training data summary
+  training: {
+    sampleSize: { type: Number, default: 0 },
+    hires: { type: Number, default: 0 },
+    trainSize: { type: Number, default: 0 },
+    testSize: { type: Number, default: 0 },
+    dataFrom: { type: Date },
+    dataTo: { type: Date },
+    modelVersion: { type: String },
+    fittedAt: { type: Date, default: Date.now },
+  },
+
+  // Old vs new weights on the same held-out outcomes
+  evaluation: {
+    baselineWeights: { type: FactorWeightsSchema },
+    baselineSource: { type: String, enum: ['default', 'active'] },
+    baseline: { type: EvaluationMetricsSchema },
+    candidate: { type: EvaluationMetricsSchema },
+    aucDelta: { type: Number },
+    recommended: { type: Boolean, default: false },
+  },
+
+  activatedAt: { type: Date },
+  activatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  retiredAt: { type: Date },
+}, {
+  timestamps: true,
+});
+
+MatchingWeightsSchema.index({ category: 1, version: -1 }, { unique: true });
+MatchingWeightsSchema.index({ category: 1, status: 1 });
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Get the active weights of a category
+ * @param {string} category - Job category
+ * @returns {Promise<Document|null>}
+ */
+MatchingWeightsSchema.statics.findActive = function(category) {
+  return this.findOne({ category, status: WEIGHTS_STATUS.ACTIVE });
+};
+
+/**
+ * Next version number for a category
+ * @param {string} category - Job category
+ * @returns {Promise<number>}
+ */
+MatchingWeightsSchema.statics.nextVersion = async function(category) {
+  const latest = await this.findOne({ category }).sort({ version: -1 }).select('version');
+  return (latest?.version || 0) + 1;
+};
+
+const MatchingWeights = mongoose.model('MatchingWeights', MatchingWeightsSchema);
+
+module.exports = MatchingWeights;
+module.exports.MATCH_FACTORS = MATCH_FACTORS;
+module.exports.WEIGHTS_STATUS = WEIGHTS_STATUS;
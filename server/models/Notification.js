@@ -45,6 +45,7 @@ const NOTIFICATION_TYPES = {
   WELCOME: 'welcome',
   KYC_VERIFIED: 'kyc_verified',
   KYC_REJECTED: 'kyc_rejected',
+  KYC_STEP_UP_REQUIRED: 'kyc_step_up_required',
   PASSWORD_CHANGED: 'password_changed',
   ACCOUNT_SUSPENDED: 'account_suspended',
   SYSTEM_MAINTENANCE: 'system_maintenance',
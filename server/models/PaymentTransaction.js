@@ -42,7 +42,9 @@ const PAYMENT_PROVIDER = {
   STRIPE: 'stripe',
   TWOC2P: 'twoc2p',
   BANK_TRANSFER: 'bank_transfer',
-  CASH: 'cash'
+  CASH: 'cash',
+  // Dynamic MMQR code not yet paid through a provider
+  MMQR: 'mmqr'
 };
 
 // Provider response schema for audit trail
@@ -330,6 +332,21 @@ const PaymentTransactionSchema = new Schema({
     expiryTime: {
       type: Date,
       default: null
+    },
+    // One-time reference of a dynamic MMQR code we issued
+    reference: {
+      type: String,
+      default: null
+    },
+    // When the code was scanned to pay, after which it cannot be used again
+    consumedAt: {
+      type: Date,
+      default: null
+    },
+    consumedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
     }
   },
 
@@ -474,6 +491,10 @@ PaymentTransactionSchema.index({ providerTransactionId: 1 });
 PaymentTransactionSchema.index({ 'recipientInfo.phone': 1 });
 PaymentTransactionSchema.index({ createdAt: -1 });
 PaymentTransactionSchema.index({ reconciledAt: 1 });
+PaymentTransactionSchema.index(
+  { 'qrCode.reference': 1 },
+  { unique: true, partialFilterExpression: { 'qrCode.reference': { $type: 'string' } } }
+);
 
 // Virtual for isRefundable
 PaymentTransactionSchema.virtual('isRefundable').get(function() {
@@ -572,7 +593,7 @@ PaymentTransactionSchema.methods.addRefund = function(refundData) {
 PaymentTransactionSchema.methods.sanitizeForStorage = function(data) {
   if (!data || typeof data !== 'object') return data;
   
-  const sensitiveFields = ['password', 'pin', 'cvv', 'cardNumber', 'secret', 'apiKey'];
+  const sensitiveFields = ['password', 'pin', 'cvv', 'cardNumber', 'secret', 'apiKey', 'client_secret'];
   const sanitized = { ...data };
   
   sensitiveFields.forEach(field => {
@@ -698,3 +698,6 @@ PayoutProviderSchema.statics.initializeDefaults = async function() {
 const PayoutProvider = mongoose.model('PayoutProvider', PayoutProviderSchema);
 
 module.exports = PayoutProvider;
+module.exports.PROVIDER_TYPES = PROVIDER_TYPES;
+module.exports.PROVIDER_STATUS = PROVIDER_STATUS;
+module.exports.MYANMAR_BANKS = MYANMAR_BANKS;
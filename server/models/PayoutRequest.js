@@ -88,6 +88,60 @@ const ProcessingHistorySchema = new Schema({
   },
 }, { _id: true });
 
+// FX quote schema: the rate locked when a payout in one currency is approved
+// for settlement in the referrer's currency, and how it settled
+const FxQuoteSchema = new Schema({
+  sourceAmount: {
+    type: Number,
+    required: true,
+  },
+  sourceCurrency: {
+    type: String,
+    required: true,
+    uppercase: true,
+  },
+  targetCurrency: {
+    type: String,
+    required: true,
+    uppercase: true,
+  },
+  // Target currency units per source currency unit
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  convertedAmount: {
+    type: Number,
+    required: true,
+  },
+  rateUpdatedAt: {
+    type: Date,
+  },
+  quotedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  // Settlement: the amount sent in the target currency, the market rate at
+  // the time and the gain (positive) or loss in the source currency
+  settledAmount: {
+    type: Number,
+  },
+  settlementRate: {
+    type: Number,
+  },
+  realisedGainLoss: {
+    type: Number,
+  },
+  settledAt: {
+    type: Date,
+  },
+}, { _id: false });
+
 // Payout status constants
 const PAYOUT_STATUS = {
   PENDING: 'pending',
@@ -98,6 +152,9 @@ const PAYOUT_STATUS = {
   CANCELLED: 'cancelled',
 };
 
+// Smallest amount a payout request may be for, in MMK
+const MIN_PAYOUT_AMOUNT = 1000;
+
 // Main PayoutRequest Schema
 const PayoutRequestSchema = new Schema({
   // Request identifier
@@ -121,13 +178,30 @@ const PayoutRequestSchema = new Schema({
   amount: {
     type: Number,
     required: [true, 'Amount is required'],
-    min: [1000, 'Minimum payout amount is 1,000 MMK'],
+    min: [MIN_PAYOUT_AMOUNT, 'Minimum payout amount is 1,000 MMK'],
   },
   currency: {
     type: String,
     default: 'MMK',
   },
+
+  // What the referrer asked for, before conversion to the balance currency
+  requested: {
+    amount: {
+      type: Number,
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+  },
   
+  // Rate locked on approval when the referrer is paid in another currency
+  fx: {
+    type: FxQuoteSchema,
+  },
+
   // Referrals included in this payout
   referrals: [ReferralItemSchema],
   
@@ -217,6 +291,29 @@ const PayoutRequestSchema = new Schema({
     type: Number,
     default: 0,
   },
+  // Withholding tax deducted at payout under the referrer's region rules
+  withholdingTax: {
+    amount: {
+      type: Number,
+      default: 0,
+    },
+    rate: {
+      type: Number,
+      default: 0,
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    regionCode: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+    calculatedAt: {
+      type: Date,
+    },
+  },
   netAmount: {
     type: Number,
     default: function() {
@@ -241,6 +338,7 @@ PayoutRequestSchema.index({ requestNumber: 1 }, { unique: true });
 PayoutRequestSchema.index({ referrerId: 1, status: 1 });
 PayoutRequestSchema.index({ status: 1, requestedAt: -1 });
 PayoutRequestSchema.index({ requestedAt: -1 });
+PayoutRequestSchema.index({ 'referrals.referralId': 1 });
 
 // ==================== VIRTUALS ====================
 
@@ -271,6 +369,13 @@ PayoutRequestSchema.virtual('formattedAmount').get(function() {
   return `${this.amount.toLocaleString()} ${this.currency}`;
 });
 
+// Virtual for the amount the referrer receives in their own currency
+PayoutRequestSchema.virtual('formattedConvertedAmount').get(function() {
+  if (!this.fx) return null;
+  const amount = this.fx.settledAmount ?? this.fx.convertedAmount;
+  return `${amount.toLocaleString()} ${this.fx.targetCurrency}`;
+});
+
 // Virtual for total fees
 PayoutRequestSchema.virtual('totalFees').get(function() {
   return (this.platformFee || 0) + (this.processingFee || 0);
@@ -398,6 +503,31 @@ PayoutRequestSchema.methods.reject = async function(adminId, reason) {
   await this.save();
 };
 
+/**
+ * Remove a referral from the request and reduce the amount by its share.
+ * A locked FX quote is dropped so the new amount is re-quoted.
+ * @param {string} referralId - Referral ID
+ * @param {string} reason - Why the referral was removed
+ * @returns {Promise<number>} Amount removed
+ */
+PayoutRequestSchema.methods.removeReferral = async function(referralId, reason) {
+  const removed = this.referrals.filter(item => item.referralId.toString() === referralId.toString());
+  const share = Math.min(this.amount, removed.reduce((sum, item) => sum + item.amount, 0));
+  
+  this.referrals = this.referrals.filter(item => item.referralId.toString() !== referralId.toString());
+  this.amount -= share;
+  this.fx = undefined;
+  
+  this.processingHistory.push({
+    status: this.status,
+    changedAt: new Date(),
+    notes: `${reason}; amount reduced by ${share.toLocaleString()} ${this.currency}`,
+  });
+  
+  await this.save();
+  return share;
+};
+
 /**
  * Cancel payout request (by referrer)
  * @param {string} reason - Cancellation reason
@@ -473,6 +603,18 @@ PayoutRequestSchema.statics.findPending = function(options = {}) {
     .limit(options.limit || 100);
 };
 
+/**
+ * Find pending or approved payouts that include a referral
+ * @param {string} referralId - Referral ID
+ * @returns {Promise<Array>}
+ */
+PayoutRequestSchema.statics.findOpenForReferral = function(referralId) {
+  return this.find({
+    'referrals.referralId': referralId,
+    status: { $in: [PAYOUT_STATUS.PENDING, PAYOUT_STATUS.APPROVED] },
+  });
+};
+
 /**
  * Find payouts requiring action
  * @returns {Promise<Array>}
@@ -565,6 +707,32 @@ PayoutRequestSchema.statics.getReferrerStats = async function(referrerId) {
   };
 };
 
+/**
+ * Amount a referrer has requested since a date, by currency, counting every
+ * request that has not been rejected or cancelled
+ * @param {string} referrerId - Referrer user ID
+ * @param {Date} since - Start of the period
+ * @param {Object} options - { excludeId: payout request left out of the total }
+ * @returns {Promise<Map>} currency => amount
+ */
+PayoutRequestSchema.statics.getVolumeByCurrency = async function(referrerId, since, options = {}) {
+  const match = {
+    referrerId: new mongoose.Types.ObjectId(referrerId),
+    createdAt: { $gte: since },
+    status: { $in: [PAYOUT_STATUS.PENDING, PAYOUT_STATUS.APPROVED, PAYOUT_STATUS.PROCESSING, PAYOUT_STATUS.PAID] },
+  };
+  if (options.excludeId) {
+    match._id = { $ne: new mongoose.Types.ObjectId(options.excludeId) };
+  }
+  
+  const volumes = await this.aggregate([
+    { $match: match },
+    { $group: { _id: '$currency', amount: { $sum: '$amount' } } },
+  ]);
+  
+  return new Map(volumes.map(volume => [volume._id, volume.amount]));
+};
+
 /**
  * Create payout request
  * @param {Object} data - Payout data
@@ -585,3 +753,5 @@ PayoutRequestSchema.statics.createRequest = async function(data) {
 const PayoutRequest = mongoose.model('PayoutRequest', PayoutRequestSchema);
 
 module.exports = PayoutRequest;
+module.exports.PAYOUT_STATUS = PAYOUT_STATUS;
+module.exports.MIN_PAYOUT_AMOUNT = MIN_PAYOUT_AMOUNT;
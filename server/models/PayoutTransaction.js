@@ -68,6 +68,46 @@ const RetryAttemptSchema = new Schema({
   },
 }, { _id: true });
 
+// Route schema: the provider and account a payout was sent through
+const RouteSchema = new Schema({
+  providerId: {
+    type: Schema.Types.ObjectId,
+    ref: 'PayoutProvider',
+  },
+  providerCode: {
+    type: String,
+  },
+  accountType: {
+    type: String,
+  },
+  fee: {
+    type: Number,
+  },
+}, { _id: false });
+
+// Route attempt schema
+const RouteAttemptSchema = new Schema({
+  providerCode: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'failed', 'outage', 'unconfirmed'],
+    required: true,
+  },
+  errorCode: {
+    type: String,
+  },
+  errorMessage: {
+    type: String,
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
 // Main PayoutTransaction Schema
 const PayoutTransactionSchema = new Schema({
   // Transaction identifier
@@ -169,6 +209,38 @@ const PayoutTransactionSchema = new Schema({
     },
   },
 
+  // Payout amount and rate before conversion to the settlement currency
+  fx: {
+    sourceAmount: {
+      type: Number,
+    },
+    sourceCurrency: {
+      type: String,
+      uppercase: true,
+    },
+    rate: {
+      type: Number,
+    },
+  },
+
+  // Routing: the route chosen first and, after a provider outage, the route
+  // the payout failed over to
+  routing: {
+    originalRoute: {
+      type: RouteSchema,
+    },
+    fallbackRoute: {
+      type: RouteSchema,
+    },
+    failoverReason: {
+      type: String,
+    },
+    failedOverAt: {
+      type: Date,
+    },
+    attempts: [RouteAttemptSchema],
+  },
+
   // Provider transaction reference
   providerTransactionId: {
     type: String,
@@ -385,6 +457,43 @@ PayoutTransactionSchema.methods.markFailed = async function(errorCode, errorMess
   await this.save();
 };
 
+/**
+ * Record the outcome of sending the payout through its current route
+ * @param {string} status - completed, failed, outage or unconfirmed
+ * @param {Object} result - Provider result { errorCode, errorMessage }
+ */
+PayoutTransactionSchema.methods.recordRouteAttempt = function(status, result = {}) {
+  this.routing.attempts.push({
+    providerCode: this.providerCode,
+    status,
+    errorCode: result.errorCode,
+    errorMessage: result.errorMessage,
+  });
+};
+
+/**
+ * Move the payout to a fallback route after a provider outage
+ * @param {Object} route - Fallback route { providerId, providerCode, account, fee }
+ * @param {string} reason - Why the previous route was abandoned
+ * @returns {Promise<void>}
+ */
+PayoutTransactionSchema.methods.failOver = async function(route, reason) {
+  this.routing.fallbackRoute = {
+    providerId: route.providerId,
+    providerCode: route.providerCode,
+    accountType: route.account.type,
+    fee: route.fee,
+  };
+  this.routing.failoverReason = reason;
+  this.routing.failedOverAt = new Date();
+
+  this.providerId = route.providerId;
+  this.providerCode = route.providerCode;
+  this.fee = route.fee;
+  this.paymentDetails = route.account;
+  await this.save();
+};
+
 /**
  * Mark as cancelled
  * @param {string} reason - Cancellation reason
@@ -531,6 +640,30 @@ PayoutTransactionSchema.statics.createTransaction = async function(data) {
   return transaction;
 };
 
+/**
+ * Amount sent in a currency through each provider since a point in time
+ * (for daily limits)
+ * @param {Array<string>} providerCodes - Provider codes
+ * @param {Date} since - Start of the period
+ * @param {string} currency - Currency the amounts are in
+ * @returns {Promise<Map<string, number>>} Provider code => amount
+ */
+PayoutTransactionSchema.statics.getVolumeByProvider = async function(providerCodes, since, currency) {
+  const volumes = await this.aggregate([
+    {
+      $match: {
+        providerCode: { $in: providerCodes },
+        currency,
+        createdAt: { $gte: since },
+        status: { $in: [TRANSACTION_STATUS.INITIATED, TRANSACTION_STATUS.PROCESSING, TRANSACTION_STATUS.COMPLETED] },
+      },
+    },
+    { $group: { _id: '$providerCode', amount: { $sum: '$amount' } } },
+  ]);
+
+  return new Map(volumes.map(volume => [volume._id, volume.amount]));
+};
+
 /**
  * Find pending transactions ready for retry
  * @returns {Promise<Array>}
@@ -577,14 +710,15 @@ PayoutTransactionSchema.statics.findByStatus = function(status, options = {}) {
 };
 
 /**
- * Find unreconciled transactions
+ * Find unreconciled transactions, including those still waiting for the
+ * provider to confirm them
  * @param {Object} options - Query options
  * @returns {Promise<Array>}
  */
 PayoutTransactionSchema.statics.findUnreconciled = function(options = {}) {
   return this.find({
     reconciled: false,
-    status: { $in: [TRANSACTION_STATUS.COMPLETED, TRANSACTION_STATUS.FAILED] },
+    status: { $in: [TRANSACTION_STATUS.COMPLETED, TRANSACTION_STATUS.FAILED, TRANSACTION_STATUS.PROCESSING] },
   })
     .sort({ createdAt: -1 })
     .limit(options.limit || 100);
@@ -704,3 +838,5 @@ PayoutTransactionSchema.statics.getProviderStats = async function(filters = {})
 const PayoutTransaction = mongoose.model('PayoutTransaction', PayoutTransactionSchema);
 
 module.exports = PayoutTransaction;
+module.exports.TRANSACTION_STATUS = TRANSACTION_STATUS;
+module.exports.TRANSACTION_TYPE = TRANSACTION_TYPE;
@@ -5,6 +5,7 @@
  */
 
 const mongoose = require('mongoose');
+const { DEFAULT_PLATFORM_RATE } = require('./CommissionPolicy.js');
 
 const { Schema } = mongoose;
 
@@ -14,6 +15,10 @@ const StatusHistorySchema = new Schema({
     type: String,
     required: true,
   },
+  // Company pipeline stage key, when the company uses a custom pipeline
+  stage: {
+    type: String,
+  },
   changedBy: {
     type: Schema.Types.ObjectId,
     ref: 'User',
@@ -88,6 +93,10 @@ const SourceSchema = new Schema({
     type: String,
     trim: true,
   },
+  deviceFingerprint: {
+    type: String,
+    trim: true,
+  },
   referrerUrl: {
     type: String,
     trim: true,
@@ -106,7 +115,192 @@ const SourceSchema = new Schema({
   },
 }, { _id: false });
 
+// Payout hold schema - a payout can only be released once every hold is lifted
+const PayoutHoldSchema = new Schema({
+  source: {
+    type: String,
+    enum: ['ownership_dispute', 'guarantee_breach', 'fraud_review', 'admin'],
+    required: true,
+  },
+  reason: {
+    type: String,
+    trim: true,
+  },
+  referenceId: {
+    type: Schema.Types.ObjectId,
+  },
+  placedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  releasedAt: {
+    type: Date,
+  },
+}, { _id: true });
+
+// Fraud signal schema - one scored finding from the referral fraud engine
+const FraudSignalSchema = new Schema({
+  signal: {
+    type: String,
+    enum: ['shared_device', 'self_referral', 'circular_referral', 'disposable_email', 'referral_burst', 'early_exit'],
+    required: true,
+  },
+  points: {
+    type: Number,
+    required: true,
+  },
+  detail: {
+    type: String,
+    trim: true,
+  },
+}, { _id: false });
+
+// Candidate visit to the tracking link, compared with the referrer's device
+const CandidateVisitSchema = new Schema({
+  ipAddress: {
+    type: String,
+    trim: true,
+  },
+  deviceFingerprint: {
+    type: String,
+    trim: true,
+  },
+  visitedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// Fraud schema - latest fraud score and the review it triggered
+const FraudSchema = new Schema({
+  score: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100,
+  },
+  level: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'low',
+  },
+  signals: [FraudSignalSchema],
+  assessedAt: {
+    type: Date,
+  },
+  candidateVisits: [CandidateVisitSchema],
+  review: {
+    status: {
+      type: String,
+      enum: ['none', 'pending', 'cleared', 'confirmed'],
+      default: 'none',
+    },
+    flaggedAt: {
+      type: Date,
+    },
+    reviewedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    // Score the reviewer saw; a cleared referral is flagged again only above it
+    reviewedScore: {
+      type: Number,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+  },
+}, { _id: false });
+
 // Payout schema
+// Staged payout installment (released once its guarantee window has passed)
+const PayoutInstallmentSchema = new Schema({
+  sequence: {
+    type: Number,
+    required: true,
+  },
+  percent: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  dueAt: {
+    type: Date,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'released', 'cancelled'],
+    default: 'scheduled',
+  },
+  releasedAt: {
+    type: Date,
+  },
+  cancelledAt: {
+    type: Date,
+  },
+}, { _id: true });
+
+// Hire guarantee (probation) tracking, clawback and retention risk
+const GuaranteeSchema = new Schema({
+  status: {
+    type: String,
+    enum: ['none', 'active', 'passed', 'breached'],
+    default: 'none',
+  },
+  days: {
+    type: Number,
+    default: 0,
+  },
+  startsAt: {
+    type: Date,
+  },
+  endsAt: {
+    type: Date,
+  },
+  // Early exit
+  leftAt: {
+    type: Date,
+  },
+  exitReason: {
+    type: String,
+    trim: true,
+  },
+  reportedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  clawback: {
+    referrerAmount: { type: Number, default: 0 },
+    cancelledAmount: { type: Number, default: 0 },
+    companyRemedy: { type: String, enum: ['refund', 'credit_note', 'none'] },
+    companyAmount: { type: Number, default: 0 },
+    invoiceId: { type: Schema.Types.ObjectId, ref: 'BillingRecord' },
+    creditNoteId: { type: Schema.Types.ObjectId, ref: 'CreditNote' },
+    processedAt: { type: Date },
+  },
+  // Latest retention model prediction
+  retentionRisk: {
+    score: { type: Number, min: 0, max: 100 },
+    level: { type: String, enum: ['low', 'medium', 'high'] },
+    factors: [{ type: String }],
+    flagged: { type: Boolean, default: false },
+    // Company check-in signals (0-1) fed to the retention model
+    signals: { type: Schema.Types.Mixed },
+    assessedAt: { type: Date },
+  },
+}, { _id: false });
+
 const PayoutSchema = new Schema({
   status: {
     type: String,
@@ -156,6 +350,37 @@ const PayoutSchema = new Schema({
     type: String,
     trim: true,
   },
+  holds: [PayoutHoldSchema],
+  installments: [PayoutInstallmentSchema],
+}, { _id: false });
+
+// Commission policy applied to the referral (for payout audits)
+const AppliedCommissionPolicySchema = new Schema({
+  policyId: {
+    type: Schema.Types.ObjectId,
+    ref: 'CommissionPolicy',
+  },
+  version: {
+    type: Number, // 0 = built-in default, no policy configured
+  },
+  ruleId: {
+    type: Schema.Types.ObjectId,
+  },
+  ruleName: {
+    type: String,
+    trim: true,
+  },
+  platformRate: {
+    type: Number,
+    min: 0,
+    max: 1,
+  },
+  context: {
+    type: Schema.Types.Mixed,
+  },
+  appliedAt: {
+    type: Date,
+  },
 }, { _id: false });
 
 // Referral status constants
@@ -190,6 +415,33 @@ const STATUS_FLOW = {
   [REFERRAL_STATUS.PAID]: [],
 };
 
+/**
+ * Check whether a canonical status can be reached from another by following
+ * STATUS_FLOW (used when a company pipeline skips canonical steps)
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+const isStatusReachable = (from, to) => {
+  if (from === to) return true;
+
+  const visited = new Set([from]);
+  const queue = [from];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const next of STATUS_FLOW[current] || []) {
+      if (next === to) return true;
+      if (!visited.has(next)) {
+        visited.add(next);
+        queue.push(next);
+      }
+    }
+  }
+
+  return false;
+};
+
 // Main Referral Schema
 const ReferralSchema = new Schema({
   // Unique referral code
@@ -226,12 +478,30 @@ const ReferralSchema = new Schema({
     required: [true, 'Referred person details are required'],
   },
   
+  // Normalized identity keys used for candidate ownership matching
+  candidateKeys: {
+    email: { type: String, trim: true },
+    phone: { type: String, trim: true },
+    linkedIn: { type: String, trim: true },
+  },
+  ownershipStatus: {
+    type: String,
+    enum: ['owner', 'disputed', 'lost', 'not_duplicate'],
+    default: 'owner',
+  },
+  
   // Source tracking
   source: {
     type: SourceSchema,
     default: () => ({}),
   },
   
+  // Fraud scoring
+  fraud: {
+    type: FraudSchema,
+    default: () => ({}),
+  },
+  
   // Status
   status: {
     type: String,
@@ -240,6 +510,26 @@ const ReferralSchema = new Schema({
     index: true,
   },
   
+  // Company pipeline stage key; Referral.status holds the canonical status
+  // the stage maps to. Unset when the company uses the default pipeline.
+  stage: {
+    type: String,
+    trim: true,
+  },
+  
+  // Company recruiter handling the referral
+  assignedRecruiterId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    index: true,
+  },
+  
+  // Tags for organization
+  tags: [{
+    type: String,
+    trim: true,
+  }],
+  
   // Status history
   statusHistory: [StatusHistorySchema],
   
@@ -252,15 +542,18 @@ const ReferralSchema = new Schema({
   platformCommission: {
     type: Number,
     default: function() {
-      return this.referralBonus * 0.15; // 15% commission
+      return Math.round(this.referralBonus * DEFAULT_PLATFORM_RATE);
     },
   },
   referrerPayout: {
     type: Number,
     default: function() {
-      return this.referralBonus * 0.85; // 85% to referrer
+      return this.referralBonus - Math.round(this.referralBonus * DEFAULT_PLATFORM_RATE);
     },
   },
+  commissionPolicy: {
+    type: AppliedCommissionPolicySchema,
+  },
   perHireFee: {
     type: Number,
     default: 50000, // 50,000 MMK per-hire fee
@@ -276,6 +569,12 @@ const ReferralSchema = new Schema({
     default: () => ({}),
   },
   
+  // Hire guarantee period (probation) and early-exit clawback
+  guarantee: {
+    type: GuaranteeSchema,
+    default: () => ({}),
+  },
+  
   // Notes
   internalNotes: {
     type: String,
@@ -341,7 +640,14 @@ const ReferralSchema = new Schema({
   },
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Fraud scores are for admins; the review queue returns them explicitly
+    transform: (doc, ret) => {
+      delete ret.fraud;
+      return ret;
+    },
+  },
   toObject: { virtuals: true },
 });
 
@@ -354,6 +660,13 @@ ReferralSchema.index({ status: 1, 'payout.status': 1 });
 ReferralSchema.index({ 'referredPerson.email': 1 });
 ReferralSchema.index({ submittedAt: -1 });
 ReferralSchema.index({ hiredAt: -1 });
+ReferralSchema.index({ 'candidateKeys.email': 1 });
+ReferralSchema.index({ 'candidateKeys.phone': 1 });
+ReferralSchema.index({ 'commissionPolicy.version': 1 });
+ReferralSchema.index({ 'guarantee.status': 1, 'guarantee.endsAt': 1 });
+ReferralSchema.index({ 'payout.installments.status': 1, 'payout.installments.dueAt': 1 });
+ReferralSchema.index({ 'fraud.review.status': 1, 'fraud.score': -1 });
+ReferralSchema.index({ 'source.deviceFingerprint': 1 });
 
 // ==================== VIRTUALS ====================
 
@@ -393,6 +706,25 @@ ReferralSchema.virtual('isPayable').get(function() {
   return this.status === 'hired' || this.status === 'payment_pending';
 });
 
+// Virtual for whether any payout hold is still active
+ReferralSchema.virtual('isPayoutOnHold').get(function() {
+  return (this.payout?.holds || []).some(hold => !hold.releasedAt);
+});
+
+// Virtual for the referrer payout released so far (staged payouts)
+ReferralSchema.virtual('releasedPayoutAmount').get(function() {
+  const installments = this.payout?.installments || [];
+  if (installments.length === 0) return this.isHired ? this.referrerPayout : 0;
+  return installments
+    .filter(installment => installment.status === 'released')
+    .reduce((sum, installment) => sum + installment.amount, 0);
+});
+
+// Virtual for whether staged payout installments are still waiting on the guarantee period
+ReferralSchema.virtual('hasScheduledInstallments').get(function() {
+  return (this.payout?.installments || []).some(installment => installment.status === 'scheduled');
+});
+
 // ==================== MIDDLEWARE ====================
 
 // Pre-save middleware to initialize status history
@@ -411,40 +743,51 @@ ReferralSchema.pre('save', function(next) {
 
 /**
  * Update referral status
+ * Passing options.stage records a company pipeline stage move; the pipeline
+ * has already validated the stage transition, so the canonical status may
+ * skip steps as long as it moves forward through STATUS_FLOW.
  * @param {string} newStatus - New status
  * @param {Object} options - Update options
  * @returns {Promise<void>}
  */
 ReferralSchema.methods.updateStatus = async function(newStatus, options = {}) {
-  const { changedBy, changedByType = 'system', notes } = options;
+  const { changedBy, changedByType = 'system', notes, stage } = options;
   
   // Validate status transition
   const validTransitions = STATUS_FLOW[this.status] || [];
-  if (!validTransitions.includes(newStatus) && this.status !== newStatus) {
+  const allowed = validTransitions.includes(newStatus) ||
+    this.status === newStatus ||
+    (stage !== undefined && isStatusReachable(this.status, newStatus));
+  if (!allowed) {
     throw new Error(`Invalid status transition from ${this.status} to ${newStatus}`);
   }
   
   const oldStatus = this.status;
+  const oldStage = this.stage;
   this.status = newStatus;
+  this.stage = stage;
   
   // Add to status history
   this.statusHistory.push({
     status: newStatus,
+    stage,
     changedBy,
     changedByType,
     changedAt: new Date(),
     notes,
   });
   
-  // Update timestamp fields
-  const timestampField = `${newStatus}At`;
-  if (this[timestampField] !== undefined) {
-    this[timestampField] = new Date();
-  }
-  
-  // Special handling for hired status
-  if (newStatus === REFERRAL_STATUS.HIRED) {
-    this.payout.status = 'pending';
+  if (oldStatus !== newStatus) {
+    // Update timestamp fields
+    const timestampField = `${newStatus}At`;
+    if (this[timestampField] !== undefined) {
+      this[timestampField] = new Date();
+    }
+    
+    // Special handling for hired status
+    if (newStatus === REFERRAL_STATUS.HIRED) {
+      this.payout.status = 'pending';
+    }
   }
   
   await this.save();
@@ -452,6 +795,8 @@ ReferralSchema.methods.updateStatus = async function(newStatus, options = {}) {
   return {
     oldStatus,
     newStatus,
+    oldStage,
+    newStage: stage,
     changedAt: new Date(),
   };
 };
@@ -497,6 +842,14 @@ ReferralSchema.methods.requestPayout = async function() {
     throw new Error('Cannot request payout: referral is not hired');
   }
   
+  if (this.isPayoutOnHold) {
+    throw new Error('Cannot request payout: referral payout is on hold');
+  }
+  
+  if (this.hasScheduledInstallments) {
+    throw new Error('Cannot request payout: guarantee period has not ended');
+  }
+  
   this.payout.status = 'pending';
   this.payout.requestedAt = new Date();
   await this.updateStatus(REFERRAL_STATUS.PAYMENT_PENDING, {
@@ -513,6 +866,10 @@ ReferralSchema.methods.requestPayout = async function() {
 ReferralSchema.methods.markAsPaid = async function(paymentDetails) {
   const { processedBy, transactionId, receiptUrl, paymentMethod, paymentDetails: details } = paymentDetails;
   
+  if (this.isPayoutOnHold) {
+    throw new Error('Cannot mark as paid: referral payout is on hold');
+  }
+  
   this.payout.status = 'paid';
   this.payout.processedBy = processedBy;
   this.payout.processedAt = new Date();
@@ -529,6 +886,47 @@ ReferralSchema.methods.markAsPaid = async function(paymentDetails) {
   });
 };
 
+/**
+ * Place a hold on the referral payout
+ * @param {string} source - Hold source (e.g. ownership_dispute)
+ * @param {Object} options - Reason and reference document ID
+ * @returns {Promise<void>}
+ */
+ReferralSchema.methods.placePayoutHold = async function(source, options = {}) {
+  const { reason, referenceId } = options;
+  
+  const existing = this.payout.holds.find(hold =>
+    hold.source === source &&
+    !hold.releasedAt &&
+    String(hold.referenceId || '') === String(referenceId || '')
+  );
+  if (existing) return;
+  
+  this.payout.holds.push({ source, reason, referenceId });
+  await this.save();
+};
+
+/**
+ * Release payout holds from a given source
+ * @param {string} source - Hold source
+ * @param {string} referenceId - Optional reference document ID to narrow the release
+ * @returns {Promise<void>}
+ */
+ReferralSchema.methods.releasePayoutHold = async function(source, referenceId) {
+  let changed = false;
+  
+  for (const hold of this.payout.holds) {
+    if (hold.source !== source || hold.releasedAt) continue;
+    if (referenceId && String(hold.referenceId) !== String(referenceId)) continue;
+    hold.releasedAt = new Date();
+    changed = true;
+  }
+  
+  if (changed) {
+    await this.save();
+  }
+};
+
 // ==================== STATIC METHODS ====================
 
 /**
@@ -579,6 +977,20 @@ ReferralSchema.statics.findByJob = function(jobId, options = {}) {
     .sort(options.sort || { submittedAt: -1 });
 };
 
+/**
+ * Find referrals flagged for fraud review, highest score first
+ * @param {Object} options - Query options
+ * @returns {Promise<Array>}
+ */
+ReferralSchema.statics.findPendingFraudReviews = function(options = {}) {
+  return this.find({ 'fraud.review.status': 'pending' })
+    .populate('referrerId', 'name email')
+    .populate('jobId', 'title companyId')
+    .sort({ 'fraud.score': -1, 'fraud.review.flaggedAt': 1 })
+    .limit(options.limit || 50)
+    .skip(options.skip || 0);
+};
+
 /**
  * Get referrer statistics
  * @param {string} referrerId - Referrer user ID
@@ -678,3 +1090,6 @@ ReferralSchema.statics.generateCode = function() {
 const Referral = mongoose.model('Referral', ReferralSchema);
 
 module.exports = Referral;
+module.exports.REFERRAL_STATUS = REFERRAL_STATUS;
+module.exports.STATUS_FLOW = STATUS_FLOW;
+module.exports.isStatusReachable = isStatusReachable;
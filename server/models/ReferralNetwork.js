@@ -38,14 +38,6 @@ const ReferralNetworkSchema = new Schema({
     index: true,
   },
   
-  // Commission percentage earned by ancestor from descendant's activity
-  commissionPercent: {
-    type: Number,
-    default: 0,
-    min: 0,
-    max: 100,
-  },
-  
   // Total earnings from this relationship
   totalEarnings: {
     type: Number,
@@ -88,7 +80,6 @@ ReferralNetworkSchema.statics.addToNetwork = async function(userId, parentId = n
         ancestorId: userId,
         descendantId: userId,
         depth: 0,
-        commissionPercent: 0,
       }], { session });
       
       if (parentId) {
@@ -102,7 +93,6 @@ ReferralNetworkSchema.statics.addToNetwork = async function(userId, parentId = n
           ancestorId: ancestor.ancestorId,
           descendantId: userId,
           depth: ancestor.depth + 1,
-          commissionPercent: calculateCommissionPercent(ancestor.depth + 1),
         }));
         
         if (newEntries.length > 0) {
@@ -200,33 +190,16 @@ ReferralNetworkSchema.statics.getNetworkStats = async function(userId) {
 /**
  * Record earnings from a descendant's activity
  * @param {string} descendantId - Descendant who generated the earnings
- * @param {number} amount - Total amount earned
+ * @param {Array} shares - Commission per ancestor ({ ancestorId, amount })
  * @returns {Promise<void>}
  */
-ReferralNetworkSchema.statics.recordEarnings = async function(descendantId, amount) {
-  // Get all ancestors who should receive commission
-  const ancestors = await this.find({
-    descendantId,
-    depth: { $gt: 0 },
-    commissionPercent: { $gt: 0 },
-  });
-  
-  const updates = ancestors.map(ancestor => {
-    const commission = amount * (ancestor.commissionPercent / 100);
-    return this.updateOne(
-      { _id: ancestor._id },
-      { $inc: { totalEarnings: commission } }
-    );
-  });
+ReferralNetworkSchema.statics.recordEarnings = async function(descendantId, shares) {
+  const updates = shares.map(share => this.updateOne(
+    { ancestorId: share.ancestorId, descendantId },
+    { $inc: { totalEarnings: share.amount } }
+  ));
   
   await Promise.all(updates);
-  
-  // Return commission breakdown for notification/logging
-  return ancestors.map(ancestor => ({
-    ancestorId: ancestor.ancestorId,
-    commissionPercent: ancestor.commissionPercent,
-    amount: amount * (ancestor.commissionPercent / 100),
-  }));
 };
 
 /**
@@ -279,7 +252,6 @@ ReferralNetworkSchema.statics.getNetworkTree = async function(userId, maxDepth =
         id: entry.descendantId._id.toString(),
         user: entry.descendantId,
         depth: entry.depth,
-        commissionPercent: entry.commissionPercent,
         totalEarnings: entry.totalEarnings,
         children: [],
       };
@@ -305,23 +277,6 @@ ReferralNetworkSchema.statics.getNetworkTree = async function(userId, maxDepth =
   return tree;
 };
 
-// ==================== HELPER FUNCTIONS ====================
-
-/**
- * Calculate commission percentage based on depth
- * Level 1 (direct): 5%, Level 2: 3%, Level 3: 2%, Level 4+: 1%
- * @param {number} depth - Depth level
- * @returns {number} Commission percentage
- */
-function calculateCommissionPercent(depth) {
-  switch (depth) {
-    case 1: return 5;  // Direct referral
-    case 2: return 3;  // Level 2
-    case 3: return 2;  // Level 3
-    default: return 1; // Level 4+
-  }
-}
-
 // Create and export the model
 const ReferralNetwork = mongoose.model('ReferralNetwork', ReferralNetworkSchema);
 
@@ -0,0 +1,119 @@
+/**
+ * ReferralPipeline Model
+ * Company-defined referral pipeline stages and allowed transitions.
+ * Every custom stage maps to a canonical referral status so analytics,
+ * payouts and workflow triggers keep working on Referral.status.
+ */
+
+const mongoose = require('mongoose');
+const { REFERRAL_STATUS } = require('./Referral.js');
+
+const { Schema } = mongoose;
+
+// Canonical statuses a custom stage may map to. Draft and the payout
+// statuses are driven by the platform, not by company pipelines.
+const MAPPABLE_STATUSES = [
+  REFERRAL_STATUS.SUBMITTED,
+  REFERRAL_STATUS.UNDER_REVIEW,
+  REFERRAL_STATUS.SHORTLISTED,
+  REFERRAL_STATUS.INTERVIEW_SCHEDULED,
+  REFERRAL_STATUS.INTERVIEW_COMPLETED,
+  REFERRAL_STATUS.OFFER_EXTENDED,
+  REFERRAL_STATUS.HIRED,
+  REFERRAL_STATUS.REJECTED,
+  REFERRAL_STATUS.WITHDRAWN,
+];
+
+// Canonical statuses whose stages can be entered from any open stage
+const EXIT_STATUSES = [
+  REFERRAL_STATUS.REJECTED,
+  REFERRAL_STATUS.WITHDRAWN,
+];
+
+// Pipeline stage schema
+const PipelineStageSchema = new Schema({
+  key: {
+    type: String,
+    required: [true, 'Stage key is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_]+$/, 'Stage key may only contain letters, numbers and underscores'],
+  },
+  name: {
+    type: String,
+    required: [true, 'Stage name is required'],
+    trim: true,
+    maxlength: [100, 'Stage name cannot exceed 100 characters'],
+  },
+  canonicalStatus: {
+    type: String,
+    enum: MAPPABLE_STATUSES,
+    required: [true, 'Canonical status is required'],
+  },
+  order: {
+    type: Number,
+    default: 0,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+}, { _id: false });
+
+// Allowed stage transition
+const StageTransitionSchema = new Schema({
+  from: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+  },
+  to: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+  },
+}, { _id: false });
+
+// Main ReferralPipeline Schema
+const ReferralPipelineSchema = new Schema({
+  companyId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company is required'],
+    unique: true,
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: 'Referral pipeline',
+  },
+  stages: [PipelineStageSchema],
+  transitions: [StageTransitionSchema],
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+/**
+ * Find the active pipeline for a company
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Document|null>}
+ */
+ReferralPipelineSchema.statics.findActiveForCompany = function(companyId) {
+  return this.findOne({ companyId, isActive: true });
+};
+
+const ReferralPipeline = mongoose.model('ReferralPipeline', ReferralPipelineSchema);
+
+module.exports = ReferralPipeline;
+module.exports.MAPPABLE_STATUSES = MAPPABLE_STATUSES;
+module.exports.EXIT_STATUSES = EXIT_STATUSES;
@@ -260,14 +260,55 @@ const RegionConfigSchema = new Schema({
       type: String,
       trim: true,
     },
+    // Commercial tax rate on platform services, in percent
     rate: {
       type: Number,
       default: 0,
+      min: 0,
+      max: 100,
     },
     registrationRequired: {
       type: Boolean,
       default: false,
     },
+    // Platform tax registration number printed on invoices
+    registrationNumber: {
+      type: String,
+      trim: true,
+    },
+    // Whether listed prices already include commercial tax
+    pricesIncludeTax: {
+      type: Boolean,
+      default: false,
+    },
+    // Invoice item types that are not subject to commercial tax
+    exemptItemTypes: [{
+      type: String,
+      trim: true,
+    }],
+    // Withholding tax deducted from referrer payouts
+    withholding: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      name: {
+        type: String,
+        trim: true,
+      },
+      rate: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100,
+      },
+      // Payouts at or below this amount are paid without withholding
+      threshold: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+    },
   },
   
   // KYC configuration
@@ -38,12 +38,20 @@ const reportSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     description: 'Snapshot of data used to generate report'
   },
+  // Deprecated: placeholder URLs from before files were stored
   fileUrls: {
     pdf: String,
     excel: String,
     csv: String,
     json: String
   },
+  // Storage keys of the rendered files; downloads use signed, expiring links
+  fileKeys: {
+    pdf: String,
+    excel: String,
+    csv: String,
+    json: String
+  },
   fileSizes: {
     pdf: Number,
     excel: Number,
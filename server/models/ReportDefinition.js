@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Saved report query definitions; see services/reportQueryService for the DSL
+const reportDefinitionSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'customerType'
+  },
+  customerType: {
+    type: String,
+    enum: ['User', 'Company'],
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  definition: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+    description: 'Normalized report query definition'
+  },
+  lastRunAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+reportDefinitionSchema.index({ customerId: 1, customerType: 1, updatedAt: -1 });
+
+// Pre-save middleware
+reportDefinitionSchema.pre('save', function() {
+  this.updatedAt = Date.now();
+});
+
+// Static method to get customer definitions
+reportDefinitionSchema.statics.getCustomerDefinitions = function(customerId, customerType, options = {}) {
+  return this.find({ customerId, customerType })
+    .sort({ updatedAt: -1 })
+    .skip(options.skip || 0)
+    .limit(options.limit || 50);
+};
+
+module.exports = mongoose.model('ReportDefinition', reportDefinitionSchema);
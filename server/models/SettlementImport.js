@@ -0,0 +1,250 @@
+/**
+ * SettlementImport Model
+ * A settlement or statement file received from a payment provider, the
+ * lines parsed from it, how each line matched our transactions and the
+ * exceptions finance has to resolve
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// Providers we accept settlement files from
+const SETTLEMENT_PROVIDERS = {
+  KBZPAY: 'kbzpay',
+  WAVEPAY: 'wavepay',
+  AYAPAY: 'ayapay',
+};
+
+// Direction of money on a statement line, from the merchant's side
+const LINE_DIRECTIONS = {
+  IN: 'in',
+  OUT: 'out',
+};
+
+// How a statement line matched
+const LINE_STATUS = {
+  MATCHED: 'matched',
+  AMOUNT_MISMATCH: 'amount_mismatch',
+  UNMATCHED: 'unmatched',
+};
+
+// Reconciliation exceptions
+const EXCEPTION_TYPES = {
+  UNMATCHED_LINE: 'unmatched_line',
+  AMOUNT_MISMATCH: 'amount_mismatch',
+  MISSING_TRANSACTION: 'missing_transaction',
+};
+
+// Ways an exception can be resolved
+const RESOLUTION_ACTIONS = {
+  // Match an unmatched line to a transaction by hand
+  LINK: 'link',
+  // Accept the difference or absence (e.g. settles in the next file)
+  ACCEPT: 'accept',
+  // Raise a dispute with the provider
+  DISPUTE: 'dispute',
+  // Line is not ours or needs no action
+  IGNORE: 'ignore',
+};
+
+const IMPORT_STATUS = {
+  COMPLETED: 'completed',
+  RESOLVED: 'resolved',
+};
+
+// Transaction models a line can match
+const TRANSACTION_MODELS = ['PaymentTransaction', 'PayoutTransaction'];
+
+// Parsed statement line schema
+const SettlementLineSchema = new Schema({
+  lineNumber: {
+    type: Number,
+    required: true,
+  },
+  // Provider's transaction ID
+  reference: {
+    type: String,
+    trim: true,
+  },
+  // Our order ID or transaction number as sent to the provider
+  merchantReference: {
+    type: String,
+    trim: true,
+  },
+  direction: {
+    type: String,
+    enum: Object.values(LINE_DIRECTIONS),
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+  fee: {
+    type: Number,
+    default: 0,
+  },
+  currency: {
+    type: String,
+    default: 'MMK',
+  },
+  transactedAt: {
+    type: Date,
+  },
+  status: {
+    type: String,
+    enum: Object.values(LINE_STATUS),
+    default: LINE_STATUS.UNMATCHED,
+  },
+  transactionModel: {
+    type: String,
+    enum: TRANSACTION_MODELS,
+  },
+  transactionId: {
+    type: Schema.Types.ObjectId,
+  },
+  raw: {
+    type: Schema.Types.Mixed,
+  },
+}, { _id: false });
+
+// Reconciliation exception schema
+const SettlementExceptionSchema = new Schema({
+  type: {
+    type: String,
+    enum: Object.values(EXCEPTION_TYPES),
+    required: true,
+  },
+  lineNumber: {
+    type: Number,
+  },
+  reference: {
+    type: String,
+  },
+  transactionModel: {
+    type: String,
+    enum: TRANSACTION_MODELS,
+  },
+  transactionId: {
+    type: Schema.Types.ObjectId,
+  },
+  transactionNumber: {
+    type: String,
+  },
+  // Amount on our transaction
+  expectedAmount: {
+    type: Number,
+  },
+  // Amount on the statement
+  statementAmount: {
+    type: Number,
+  },
+  difference: {
+    type: Number,
+  },
+  resolved: {
+    type: Boolean,
+    default: false,
+  },
+  resolution: {
+    action: {
+      type: String,
+      enum: Object.values(RESOLUTION_ACTIONS),
+    },
+    notes: String,
+    resolvedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    resolvedAt: Date,
+  },
+}, { _id: true });
+
+// Main SettlementImport Schema
+const SettlementImportSchema = new Schema({
+  provider: {
+    type: String,
+    enum: Object.values(SETTLEMENT_PROVIDERS),
+    required: [true, 'Provider is required'],
+    index: true,
+  },
+  fileName: {
+    type: String,
+    trim: true,
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx'],
+    required: true,
+  },
+  // Hash of the file contents, so the same file is not imported twice
+  sha256: {
+    type: String,
+    required: true,
+  },
+  // Period the statement covers
+  periodStart: {
+    type: Date,
+  },
+  periodEnd: {
+    type: Date,
+  },
+  status: {
+    type: String,
+    enum: Object.values(IMPORT_STATUS),
+    default: IMPORT_STATUS.COMPLETED,
+    index: true,
+  },
+  lines: [SettlementLineSchema],
+  exceptions: [SettlementExceptionSchema],
+  summary: {
+    lineCount: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    amountMismatches: { type: Number, default: 0 },
+    unmatchedLines: { type: Number, default: 0 },
+    missingTransactions: { type: Number, default: 0 },
+    totalIn: { type: Number, default: 0 },
+    totalOut: { type: Number, default: 0 },
+    totalFees: { type: Number, default: 0 },
+  },
+  importedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// ==================== INDEXES ====================
+
+SettlementImportSchema.index({ provider: 1, sha256: 1 }, { unique: true });
+SettlementImportSchema.index({ createdAt: -1 });
+SettlementImportSchema.index({ 'exceptions.resolved': 1 });
+
+// ==================== VIRTUALS ====================
+
+SettlementImportSchema.virtual('openExceptionCount').get(function() {
+  return (this.exceptions || []).filter(exception => !exception.resolved).length;
+});
+
+SettlementImportSchema.set('toJSON', { virtuals: true });
+
+// ==================== MIDDLEWARE ====================
+
+// An import is resolved once every exception is
+SettlementImportSchema.pre('save', function() {
+  this.status = this.exceptions.every(exception => exception.resolved)
+    ? IMPORT_STATUS.RESOLVED
+    : IMPORT_STATUS.COMPLETED;
+});
+
+const SettlementImport = mongoose.model('SettlementImport', SettlementImportSchema);
+
+module.exports = SettlementImport;
+module.exports.SETTLEMENT_PROVIDERS = SETTLEMENT_PROVIDERS;
+module.exports.LINE_DIRECTIONS = LINE_DIRECTIONS;
+module.exports.LINE_STATUS = LINE_STATUS;
+module.exports.EXCEPTION_TYPES = EXCEPTION_TYPES;
+module.exports.RESOLUTION_ACTIONS = RESOLUTION_ACTIONS;
+module.exports.IMPORT_STATUS = IMPORT_STATUS;
@@ -0,0 +1,185 @@
+/**
+ * Skill Model
+ * Canonical skill taxonomy used to normalise skills on jobs, profiles and
+ * CVs. Each skill has aliases (including Burmese spellings), an optional
+ * parent (e.g. Vue → Frontend) and related skills, which matching uses to
+ * credit adjacent skills.
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// Top-level skill categories
+const SKILL_CATEGORIES = {
+  PROGRAMMING: 'programming',
+  WEB: 'web',
+  MOBILE: 'mobile',
+  DATA: 'data',
+  CLOUD: 'cloud',
+  DESIGN: 'design',
+  MANAGEMENT: 'management',
+  BUSINESS: 'business',
+  LANGUAGE: 'language',
+  OTHER: 'other',
+};
+
+/**
+ * Normalise a skill name into its lookup key: Unicode NFC, lower case,
+ * without zero-width characters, spaces, dots, dashes or underscores, so
+ * "React.js", "ReactJS" and "react js" share the key "reactjs"
+ * @param {string} name - Skill name or alias
+ * @returns {string} Lookup key
+ */
+const normalizeSkillKey = (name) => String(name || '')
+  .normalize('NFC')
+  .toLowerCase()
+  .replace(/[\u200B-\u200D\uFEFF]/g, '')
+  .replace(/[\s._\-/]+/g, '');
+
+// Main Skill Schema
+const SkillSchema = new Schema({
+  // Canonical display name
+  name: {
+    type: String,
+    required: [true, 'Skill name is required'],
+    trim: true,
+    maxlength: [100, 'Skill name cannot exceed 100 characters'],
+  },
+  key: {
+    type: String,
+    unique: true,
+  },
+  aliases: [{
+    type: String,
+    trim: true,
+  }],
+  // Normalised aliases, kept in sync on save
+  aliasKeys: {
+    type: [String],
+    index: true,
+  },
+  category: {
+    type: String,
+    enum: Object.values(SKILL_CATEGORIES),
+    default: SKILL_CATEGORIES.OTHER,
+    index: true,
+  },
+  parentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Skill',
+    default: null,
+    index: true,
+  },
+  relatedSkillIds: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Skill',
+  }],
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true,
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// ==================== MIDDLEWARE ====================
+
+// Keep lookup keys in sync with the name and aliases
+SkillSchema.pre('validate', function() {
+  this.key = normalizeSkillKey(this.name);
+  this.aliases = [...new Set((this.aliases || []).map(alias => alias.trim()).filter(Boolean))];
+  this.aliasKeys = [...new Set(this.aliases.map(normalizeSkillKey).filter(key => key && key !== this.key))];
+
+  if (this.parentId && this._id && String(this.parentId) === String(this._id)) {
+    throw new Error('A skill cannot be its own parent');
+  }
+});
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Find the active skill a name or alias refers to
+ * @param {string} name - Skill name or alias
+ * @returns {Promise<Document|null>}
+ */
+SkillSchema.statics.findByNameOrAlias = function(name) {
+  const key = normalizeSkillKey(name);
+  return this.findOne({ isActive: true, $or: [{ key }, { aliasKeys: key }] });
+};
+
+/**
+ * Look up the canonical names of skill names or aliases
+ * @param {Array<string>} names - Skill names
+ * @returns {Promise<Map>} Lookup key → canonical name, for the names found
+ */
+SkillSchema.statics.findCanonicalNames = async function(names) {
+  const keys = [...new Set((names || []).map(normalizeSkillKey).filter(Boolean))];
+  const byKey = new Map();
+  if (keys.length === 0) return byKey;
+
+  const skills = await this.find({
+    isActive: true,
+    $or: [{ key: { $in: keys } }, { aliasKeys: { $in: keys } }],
+  }).select('name key aliasKeys').lean();
+
+  skills.forEach(skill => byKey.set(skill.key, skill.name));
+  // Canonical names win over aliases that collide with them
+  skills.forEach(skill => {
+    skill.aliasKeys.forEach(aliasKey => {
+      if (!byKey.has(aliasKey)) byKey.set(aliasKey, skill.name);
+    });
+  });
+
+  return byKey;
+};
+
+/**
+ * Replace skill names by their canonical names from a lookup and drop
+ * duplicates. Names that are not in the lookup are kept as entered.
+ * @param {Array<string>} names - Skill names
+ * @param {Map} byKey - Result of findCanonicalNames
+ * @returns {Array<string>} Canonical names
+ */
+SkillSchema.statics.applyCanonicalNames = function(names, byKey) {
+  const seen = new Set();
+  return (names || []).reduce((result, name) => {
+    const trimmed = String(name || '').trim();
+    const canonical = byKey.get(normalizeSkillKey(trimmed)) || trimmed;
+    const key = normalizeSkillKey(canonical);
+    if (key && !seen.has(key)) {
+      seen.add(key);
+      result.push(canonical);
+    }
+    return result;
+  }, []);
+};
+
+/**
+ * Replace skill names by their canonical names and drop duplicates
+ * @param {Array<string>} names - Skill names
+ * @returns {Promise<Array<string>>} Canonical names
+ */
+SkillSchema.statics.canonicalizeNames = async function(names) {
+  return this.applyCanonicalNames(names, await this.findCanonicalNames(names));
+};
+
+const Skill = mongoose.model('Skill', SkillSchema);
+
+module.exports = Skill;
+module.exports.SKILL_CATEGORIES = SKILL_CATEGORIES;
+module.exports.normalizeSkillKey = normalizeSkillKey;
@@ -0,0 +1,118 @@
+/**
+ * Task Model
+ * Follow-up tasks for company recruiters, created manually or by
+ * workflow `create_task` actions
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// Task status
+const TASK_STATUS = {
+  OPEN: 'open',
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+};
+
+// Task priority
+const TASK_PRIORITY = {
+  LOW: 'low',
+  NORMAL: 'normal',
+  HIGH: 'high',
+  URGENT: 'urgent',
+};
+
+// Main Task Schema
+const TaskSchema = new Schema({
+  title: {
+    type: String,
+    required: [true, 'Task title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters'],
+  },
+  companyId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Company',
+    index: true,
+  },
+  assignedTo: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    index: true,
+  },
+  // Entity the task is about
+  entityType: {
+    type: String,
+    enum: ['user', 'job', 'company', 'referral', 'application'],
+  },
+  entityId: {
+    type: Schema.Types.ObjectId,
+  },
+  status: {
+    type: String,
+    enum: Object.values(TASK_STATUS),
+    default: TASK_STATUS.OPEN,
+    index: true,
+  },
+  priority: {
+    type: String,
+    enum: Object.values(TASK_PRIORITY),
+    default: TASK_PRIORITY.NORMAL,
+  },
+  dueAt: {
+    type: Date,
+  },
+  completedAt: {
+    type: Date,
+  },
+  // Origin of the task
+  source: {
+    type: {
+      type: String,
+      enum: ['manual', 'workflow'],
+      default: 'manual',
+    },
+    workflowId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Workflow',
+    },
+    executionId: {
+      type: Schema.Types.ObjectId,
+      ref: 'WorkflowExecution',
+    },
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+TaskSchema.index({ assignedTo: 1, status: 1, dueAt: 1 });
+TaskSchema.index({ entityType: 1, entityId: 1 });
+
+/**
+ * Find open tasks assigned to a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>}
+ */
+TaskSchema.statics.findOpenForUser = function(userId) {
+  return this.find({
+    assignedTo: userId,
+    status: { $in: [TASK_STATUS.OPEN, TASK_STATUS.IN_PROGRESS] },
+  }).sort({ dueAt: 1 });
+};
+
+const Task = mongoose.model('Task', TaskSchema);
+
+module.exports = Task;
+module.exports.TASK_STATUS = TASK_STATUS;
+module.exports.TASK_PRIORITY = TASK_PRIORITY;
@@ -11,6 +11,7 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const Skill = require('./Skill.js');
 
 const { Schema } = mongoose;
 
@@ -257,6 +258,10 @@ const UserSchema = new Schema({
     type: String,
     trim: true,
   },
+  // Checked against identity documents during KYC
+  dateOfBirth: {
+    type: Date,
+  },
   
   // Role and type
   role: {
@@ -380,6 +385,13 @@ UserSchema.pre('save', async function(next) {
   }
 });
 
+// Pre-save middleware to store job seeker skills under their canonical taxonomy names
+UserSchema.pre('save', async function() {
+  if (this.isModified('jobseekerProfile.skills') && this.jobseekerProfile?.skills?.length > 0) {
+    this.jobseekerProfile.skills = await Skill.canonicalizeNames(this.jobseekerProfile.skills);
+  }
+});
+
 // Pre-save middleware to generate referral code for referrers
 UserSchema.pre('save', async function(next) {
   if (this.isNew && this.role === 'referrer' && !this.referrerProfile?.referralCode) {
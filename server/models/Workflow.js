@@ -37,6 +37,20 @@ const ACTION_TYPES = {
   WEBHOOK: 'webhook',
   DELAY: 'delay',
   CONDITION: 'condition',
+  PARALLEL: 'parallel',
+  FOR_EACH: 'for_each',
+  SUB_WORKFLOW: 'sub_workflow',
+  CREATE_TASK: 'create_task',
+  ASSIGN_RECRUITER: 'assign_recruiter',
+  ADD_TAG: 'add_tag',
+  ENROLL_IN_SEQUENCE: 'enroll_in_sequence',
+};
+
+// What happens when an action fails or times out
+const ERROR_STRATEGIES = {
+  FAIL: 'fail', // Stop the workflow
+  CONTINUE: 'continue', // Record the failure and move on
+  FALLBACK: 'fallback', // Run onError.actions, then move on if they succeed
 };
 
 // Condition Operators
@@ -181,6 +195,34 @@ const ActionSchema = new Schema({
   },
   trueActions: [Schema.Types.Mixed], // Nested actions (stored as ObjectIds or embedded)
   falseActions: [Schema.Types.Mixed],
+  // Type-specific settings read by the workflow engine
+  config: {
+    type: Schema.Types.Mixed,
+    default: {},
+  },
+  // Condition branches (embedded actions)
+  onTrue: [Schema.Types.Mixed],
+  onFalse: [Schema.Types.Mixed],
+  // For parallel action - each branch is an array of embedded actions
+  branches: [Schema.Types.Mixed],
+  // For for_each action - actions run once per item
+  actions: [Schema.Types.Mixed],
+  // Abort the action after this many seconds (0 = no limit)
+  timeoutSeconds: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 86400,
+  },
+  // Error handler for failures and timeouts
+  onError: {
+    strategy: {
+      type: String,
+      enum: Object.values(ERROR_STRATEGIES),
+      default: ERROR_STRATEGIES.FAIL,
+    },
+    actions: [Schema.Types.Mixed],
+  },
   // General settings
   enabled: {
     type: Boolean,
@@ -400,18 +442,16 @@ WorkflowSchema.virtual('successRate').get(function() {
 });
 
 // Pre-save middleware to validate trigger-specific configuration
-WorkflowSchema.pre('save', function(next) {
+WorkflowSchema.pre('save', function() {
   // Validate schedule configuration for scheduled triggers
   if (this.trigger.type === TRIGGER_TYPES.SCHEDULED && !this.schedule) {
-    return next(new Error('Schedule configuration is required for scheduled triggers'));
+    throw new Error('Schedule configuration is required for scheduled triggers');
   }
   
   // Validate actions exist
   if (!this.actions || this.actions.length === 0) {
-    return next(new Error('At least one action is required'));
+    throw new Error('At least one action is required');
   }
-  
-  next();
 });
 
 // Static method to find active workflows by trigger type
@@ -470,4 +510,5 @@ module.exports = Workflow;
 module.exports.TRIGGER_TYPES = TRIGGER_TYPES;
 module.exports.WORKFLOW_STATUS = WORKFLOW_STATUS;
 module.exports.ACTION_TYPES = ACTION_TYPES;
-module.exports.CONDITION_OPERATORS = CONDITION_OPERATORS;
\ No newline at end of file
+module.exports.CONDITION_OPERATORS = CONDITION_OPERATORS;
+module.exports.ERROR_STRATEGIES = ERROR_STRATEGIES;
\ No newline at end of file
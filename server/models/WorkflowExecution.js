@@ -17,8 +17,16 @@ const EXECUTION_STATUS = {
   CANCELLED: 'cancelled',
   PAUSED: 'paused',
   RETRYING: 'retrying',
+  WAITING: 'waiting', // Suspended on a durable timer
 };
 
+// Statuses a worker may claim once scheduledAt has passed
+const CLAIMABLE_STATUSES = [
+  EXECUTION_STATUS.PENDING,
+  EXECUTION_STATUS.RETRYING,
+  EXECUTION_STATUS.WAITING,
+];
+
 // Action Execution Status
 const ACTION_STATUS = {
   PENDING: 'pending',
@@ -28,6 +36,7 @@ const ACTION_STATUS = {
   SKIPPED: 'skipped',
   RETRYING: 'retrying',
   CANCELLED: 'cancelled',
+  WAITING: 'waiting',
 };
 
 // Entity Types
@@ -149,6 +158,93 @@ const ActionResultSchema = new Schema({
   }],
 }, { _id: true });
 
+// Node Trace Schema - one entry per action node run, including nested
+// branch, loop and sub-workflow nodes, so the UI can render the run as a tree
+const NodeTraceSchema = new Schema({
+  // Path of the node in the workflow definition, e.g. '2', '2.branches.1.0', '3.items.4.0'.
+  // Sub-workflow actions run inline under '<nodeId>.workflow.<index>'.
+  nodeId: {
+    type: String,
+    required: true,
+  },
+  parentNodeId: {
+    type: String,
+    default: null,
+  },
+  actionType: {
+    type: String,
+    required: true,
+  },
+  actionName: {
+    type: String,
+  },
+  status: {
+    type: String,
+    enum: Object.values(ACTION_STATUS),
+    default: ACTION_STATUS.PENDING,
+  },
+  // Parallel branch index / for-each item index when run inside one
+  branch: {
+    type: Number,
+  },
+  iteration: {
+    type: Number,
+  },
+  startedAt: {
+    type: Date,
+  },
+  completedAt: {
+    type: Date,
+  },
+  durationMs: {
+    type: Number,
+    default: 0,
+  },
+  timedOut: {
+    type: Boolean,
+    default: false,
+  },
+  // Error handler strategy applied after a failure
+  errorHandled: {
+    type: String,
+  },
+  output: {
+    type: Schema.Types.Mixed,
+  },
+  error: {
+    type: String,
+  },
+}, { _id: false });
+
+// Checkpoint Schema - durable state of a node, used to resume a suspended
+// execution by replaying the workflow without repeating finished nodes
+const CheckpointSchema = new Schema({
+  nodeId: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: [ACTION_STATUS.COMPLETED, ACTION_STATUS.SKIPPED, ACTION_STATUS.FAILED, ACTION_STATUS.WAITING],
+    required: true,
+  },
+  output: {
+    type: Schema.Types.Mixed,
+  },
+  error: {
+    type: String,
+  },
+  // Delay nodes - when the timer fires
+  wakeAt: {
+    type: Date,
+  },
+  // Composite nodes - decisions that must not change on replay
+  // (condition result, for_each items)
+  state: {
+    type: Schema.Types.Mixed,
+  },
+}, { _id: false });
+
 // Execution Log Entry Schema
 const ExecutionLogSchema = new Schema({
   timestamp: {
@@ -267,6 +363,19 @@ const WorkflowExecutionSchema = new Schema({
   },
   // Action results
   actionResults: [ActionResultSchema],
+  // Per-node execution trace
+  trace: [NodeTraceSchema],
+  // Durable node state for resuming after a timer
+  checkpoints: [CheckpointSchema],
+  // Worker lease - only the owner may run the execution until it expires
+  lease: {
+    owner: {
+      type: String,
+    },
+    expiresAt: {
+      type: Date,
+    },
+  },
   // Execution context (variables available during execution)
   context: {
     type: Schema.Types.Mixed,
@@ -350,6 +459,7 @@ WorkflowExecutionSchema.index({ status: 1, scheduledAt: 1 });
 WorkflowExecutionSchema.index({ status: 1, nextScheduledAt: 1 });
 WorkflowExecutionSchema.index({ createdAt: -1 });
 WorkflowExecutionSchema.index({ 'relatedEntities.userId': 1, createdAt: -1 });
+WorkflowExecutionSchema.index({ status: 1, 'lease.expiresAt': 1 });
 
 // Virtual for progress percentage
 WorkflowExecutionSchema.virtual('progress').get(function() {
@@ -369,7 +479,7 @@ WorkflowExecutionSchema.virtual('isSuccessful').get(function() {
 });
 
 // Pre-save middleware to update timestamps
-WorkflowExecutionSchema.pre('save', function(next) {
+WorkflowExecutionSchema.pre('save', function() {
   if (this.isModified('status')) {
     if (this.status === EXECUTION_STATUS.RUNNING && !this.startedAt) {
       this.startedAt = new Date();
@@ -381,7 +491,6 @@ WorkflowExecutionSchema.pre('save', function(next) {
       }
     }
   }
-  next();
 });
 
 // Instance method to add log entry
@@ -434,6 +543,28 @@ WorkflowExecutionSchema.methods.updateActionStatus = function(actionIndex, statu
   }
 };
 
+// Instance method to nest the flat trace into a tree for rendering
+WorkflowExecutionSchema.methods.getTraceTree = function() {
+  const nodes = new Map();
+  const roots = [];
+
+  for (const entry of this.trace || []) {
+    const plain = typeof entry.toObject === 'function' ? entry.toObject() : { ...entry };
+    nodes.set(plain.nodeId, { ...plain, children: [] });
+  }
+
+  for (const node of nodes.values()) {
+    const parent = node.parentNodeId !== null ? nodes.get(node.parentNodeId) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+};
+
 // Instance method to cancel execution
 WorkflowExecutionSchema.methods.cancel = function(userId, reason) {
   this.status = EXECUTION_STATUS.CANCELLED;
@@ -452,21 +583,57 @@ WorkflowExecutionSchema.methods.cancel = function(userId, reason) {
   this.addLog('info', `Execution cancelled by user ${userId}. Reason: ${reason}`, 'workflow_engine');
 };
 
+/**
+ * Build the filter for executions a worker may take over: due claimable
+ * executions with no live lease, plus running executions whose lease expired
+ * (the worker running them died).
+ * @param {Date} now - Current time
+ * @returns {Object} Query filter
+ */
+const claimableFilter = (now) => ({
+  $or: [
+    {
+      status: { $in: CLAIMABLE_STATUSES },
+      $and: [
+        { $or: [{ scheduledAt: { $lte: now } }, { scheduledAt: null }] },
+        { $or: [{ 'lease.expiresAt': null }, { 'lease.expiresAt': { $lte: now } }] },
+      ],
+    },
+    {
+      status: EXECUTION_STATUS.RUNNING,
+      'lease.expiresAt': { $lte: now },
+    },
+  ],
+});
+
 // Static method to find pending executions
 WorkflowExecutionSchema.statics.findPending = function(options = {}) {
   const { scheduledBefore = new Date(), limit = 100 } = options;
   
-  return this.find({
-    status: { $in: [EXECUTION_STATUS.PENDING, EXECUTION_STATUS.RETRYING] },
-    $or: [
-      { scheduledAt: { $lte: scheduledBefore } },
-      { scheduledAt: null },
-    ],
-  })
+  return this.find(claimableFilter(scheduledBefore))
     .sort({ priority: 1, scheduledAt: 1, createdAt: 1 })
     .limit(limit);
 };
 
+// Static method to atomically claim a specific execution if it is due
+WorkflowExecutionSchema.statics.claimById = function(executionId, owner, leaseMs, now = new Date()) {
+  return this.findOneAndUpdate(
+    { _id: executionId, ...claimableFilter(now) },
+    { $set: { 'lease.owner': owner, 'lease.expiresAt': new Date(now.getTime() + leaseMs) } },
+    { new: true }
+  );
+};
+
+// Static method to extend a lease held by owner. Resolves to false when the
+// lease was lost.
+WorkflowExecutionSchema.statics.renewLease = async function(executionId, owner, leaseMs) {
+  const result = await this.updateOne(
+    { _id: executionId, 'lease.owner': owner },
+    { $set: { 'lease.expiresAt': new Date(Date.now() + leaseMs) } }
+  );
+  return result.matchedCount > 0;
+};
+
 // Static method to find executions by entity
 WorkflowExecutionSchema.statics.findByEntity = function(entityType, entityId, options = {}) {
   const { status, limit = 50, skip = 0 } = options;
@@ -532,4 +699,5 @@ const WorkflowExecution = mongoose.model('WorkflowExecution', WorkflowExecutionS
 module.exports = WorkflowExecution;
 module.exports.EXECUTION_STATUS = EXECUTION_STATUS;
 module.exports.ACTION_STATUS = ACTION_STATUS;
-module.exports.ENTITY_TYPES = ENTITY_TYPES;
\ No newline at end of file
+module.exports.ENTITY_TYPES = ENTITY_TYPES;
+module.exports.CLAIMABLE_STATUSES = CLAIMABLE_STATUSES;
\ No newline at end of file
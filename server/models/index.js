@@ -10,10 +10,18 @@ const Company = require('./Company.js');
 const CompanyUser = require('./CompanyUser.js');
 const Job = require('./Job.js');
 const Referral = require('./Referral.js');
+const CandidateOwnership = require('./CandidateOwnership.js');
+const { ReferralDispute } = require('./CandidateOwnership.js');
+const Interview = require('./Interview.js');
+const { InterviewSlot } = require('./Interview.js');
+const ReferralPipeline = require('./ReferralPipeline.js');
 const Application = require('./Application.js');
 const SubscriptionPlan = require('./SubscriptionPlan.js');
 const Subscription = require('./Subscription.js');
 const BillingRecord = require('./BillingRecord.js');
+const CreditNote = require('./CreditNote.js');
+const LedgerEntry = require('./LedgerEntry.js');
+const SettlementImport = require('./SettlementImport.js');
 const PayoutRequest = require('./PayoutRequest.js');
 const RevenueAnalytics = require('./RevenueAnalytics.js');
 const AuditLog = require('./AuditLog.js');
@@ -43,9 +51,14 @@ const EmailSequence = require('./EmailSequence.js');
 const UserSegment = require('./UserSegment.js');
 const EmailLog = require('./EmailLog.js');
 const MatchScore = require('./MatchScore.js');
+const MatchingWeights = require('./MatchingWeights.js');
+const Skill = require('./Skill.js');
 const Workflow = require('./Workflow.js');
 const WorkflowExecution = require('./WorkflowExecution.js');
+const Task = require('./Task.js');
+const IdempotencyKey = require('./IdempotencyKey.js');
 const PricingRule = require('./PricingRule.js');
+const CommissionPolicy = require('./CommissionPolicy.js');
 const PromotionalCode = require('./PromotionalCode.js');
 const FeaturedJobSlot = require('./FeaturedJobSlot.js');
 const EnterprisePlan = require('./EnterprisePlan.js');
@@ -113,10 +126,18 @@ module.exports = {
   CompanyUser,
   Job,
   Referral,
+  CandidateOwnership,
+  ReferralDispute,
+  Interview,
+  InterviewSlot,
+  ReferralPipeline,
   Application,
   SubscriptionPlan,
   Subscription,
   BillingRecord,
+  CreditNote,
+  LedgerEntry,
+  SettlementImport,
   PayoutRequest,
 
   PayoutBatch,
@@ -162,9 +183,14 @@ module.exports = {
   UserSegment,
   EmailLog,
   MatchScore,
+  MatchingWeights,
+  Skill,
   Workflow,
   WorkflowExecution,
+  Task,
+  IdempotencyKey,
   PricingRule,
+  CommissionPolicy,
   PromotionalCode,
   FeaturedJobSlot,
   EnterprisePlan,
@@ -2,8 +2,12 @@
  * Local NLP Fallback
  * Provides basic NLP capabilities without external API calls
  * Uses pattern matching and keyword-based approaches
+ * Zawgyi-encoded Burmese is converted to Unicode before matching, since the
+ * Burmese keywords are Unicode
  */
 
+const { containsMyanmar, normalizeText } = require('../utils/myanmarText.js');
+
 class Local_NLP {
   constructor() {
     // Intent patterns with keywords
@@ -146,7 +150,7 @@ class Local_NLP {
    * @returns {Object} - Intent classification result
    */
   classifyIntent(message) {
-    const lowerMessage = message.toLowerCase();
+    const lowerMessage = normalizeText(message).toLowerCase();
     let bestMatch = null;
     let highestScore = 0;
     
@@ -202,6 +206,7 @@ class Local_NLP {
    * @returns {Array} - Extracted entities
    */
   extractEntities(message) {
+    message = normalizeText(message);
     const entities = [];
     
     // Extract using regex patterns
@@ -274,7 +279,7 @@ class Local_NLP {
    * @returns {Object} - Sentiment analysis
    */
   analyzeSentiment(message) {
-    const lowerMessage = message.toLowerCase();
+    const lowerMessage = normalizeText(message).toLowerCase();
     let positiveScore = 0;
     let negativeScore = 0;
     
@@ -305,21 +310,13 @@ class Local_NLP {
   }
   
   /**
-   * Detect language (simple detection)
+   * Detect language
    * @param {string} message - User message
    * @returns {string} - Language code
    */
   detectLanguage(message) {
-    // Simple detection based on common Myanmar words
-    const myanmarWords = ['ကျွန်တော်', 'ကျွန်မ', 'မင်္ဂလာ', 'ဟိုင်း', 'ကျေးဇူး', 'ဘယ်လို', 'အလုပ်', 'လစာ', 'ကုမ္ပဏီ'];
-    
-    for (const word of myanmarWords) {
-      if (message.includes(word)) {
-        return 'my';
-      }
-    }
-    
-    return 'en';
+    // Any Burmese script, in Unicode or Zawgyi
+    return containsMyanmar(message) ? 'my' : 'en';
   }
   
   /**
@@ -8,7 +8,8 @@ const { authenticate } = require('../middleware/auth.js');
 const { requireRole } = require('../middleware/rbac.js');
 const { billingEngine } = require('../services/billingEngine.js');
 const { paymentGatewayService } = require('../services/paymentGatewayService.js');
-const { BillingRecord, Company, User } = require('../models/index.js');
+const paymentService = require('../services/payment/PaymentService.js');
+const { BillingRecord, Company, User, CreditNote } = require('../models/index.js');
 
 const router = express.Router();
 
@@ -221,28 +222,23 @@ router.post('/process-payment', authenticate, async (req, res) => {
 
     // Process payment based on provider
     let paymentResult;
-    if (provider === 'stripe') {
-      const intent = await paymentGatewayService.createStripePaymentIntent({
-        amount: invoice.amountDue * 100, // Convert to smallest unit
+    if (provider === 'stripe' || provider === '2c2p') {
+      // The invoice number is the provider order ID, so webhooks can find the invoice
+      const deposit = await paymentService.getProvider(provider).createDeposit({
+        orderId: invoice.invoiceNumber,
+        amount: invoice.amountDue,
         currency: invoice.currency,
+        description: `Invoice ${invoice.invoiceNumber}`,
+        customerEmail: req.user.email,
         metadata: {
           invoiceId: invoice._id.toString(),
           invoiceNumber: invoice.invoiceNumber,
         },
       });
 
-      paymentResult = {
-        clientSecret: intent.clientSecret,
-        paymentIntentId: intent.paymentIntentId,
-      };
-    } else if (provider === '2c2p') {
-      paymentResult = await paymentGatewayService.createTwoC2PPayment({
-        amount: invoice.amountDue,
-        currency: invoice.currency,
-        invoiceNo: invoice.invoiceNumber,
-        description: `Invoice ${invoice.invoiceNumber}`,
-        customerEmail: req.user.email,
-      });
+      paymentResult = provider === 'stripe'
+        ? { clientSecret: deposit.clientSecret, paymentIntentId: deposit.transactionId }
+        : { paymentToken: deposit.providerOrderId, webPaymentUrl: deposit.paymentUrl, invoiceNo: invoice.invoiceNumber };
     }
 
     res.json({
@@ -470,6 +466,37 @@ router.post('/apply-discount', authenticate, async (req, res) => {
 
 // ==================== ADMIN ROUTES ====================
 
+/**
+ * @route GET /api/billing/credit-notes/:id/pdf
+ * @desc Download a credit note PDF
+ * @access Private
+ */
+router.get('/credit-notes/:id/pdf', authenticate, async (req, res) => {
+  try {
+    const creditNote = await CreditNote.findById(req.params.id).select('companyId');
+
+    if (!creditNote || !req.user.companyId || String(creditNote.companyId) !== String(req.user.companyId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Credit note not found',
+      });
+    }
+
+    const { downloadUrl, expiresAt, fileName } = await billingEngine.generateCreditNotePDF(req.params.id);
+
+    res.json({
+      success: true,
+      data: { downloadUrl, expiresAt, fileName },
+    });
+  } catch (error) {
+    console.error('Download Credit Note PDF Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate PDF',
+    });
+  }
+});
+
 /**
  * @route GET /api/billing/admin/overdue
  * @desc Get overdue invoices (admin only)
@@ -546,4 +573,29 @@ router.post('/admin/refund', authenticate, requireRole('admin'), async (req, res
   }
 });
 
+/**
+ * @route POST /api/billing/admin/credit-notes/:id/apply
+ * @desc Apply a credit note to an open invoice (admin only)
+ * @access Admin
+ */
+router.post('/admin/credit-notes/:id/apply', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { invoiceId } = req.body;
+
+    const result = await billingEngine.applyCreditNote(req.params.id, invoiceId);
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Credit note applied successfully',
+    });
+  } catch (error) {
+    console.error('Apply Credit Note Error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to apply credit note',
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,157 @@
+/**
+ * Commission Policy Routes
+ * Admin management of versioned commission policies and split previews
+ */
+
+const express = require('express');
+const { CommissionPolicy, AuditLog } = require('../models/index.js');
+const { POLICY_STATUS } = require('../models/CommissionPolicy.js');
+const { authenticate } = require('../middleware/auth.js');
+const { asyncHandler, ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler.js');
+const { requireAdmin } = require('../middleware/rbac.js');
+const commissionEngine = require('../services/commissionEngine.js');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/commission-policies
+ * @desc    List commission policy versions
+ * @access  Private (Admin)
+ */
+router.get('/', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+  const { status } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+
+  const policies = await CommissionPolicy.find(query)
+    .populate('createdBy', 'name email')
+    .populate('activatedBy', 'name email')
+    .sort({ version: -1 });
+
+  res.json({
+    success: true,
+    data: { policies },
+  });
+}));
+
+/**
+ * @route   GET /api/commission-policies/active
+ * @desc    Get the active commission policy
+ * @access  Private (Admin)
+ */
+router.get('/active', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+  const policy = await CommissionPolicy.getActive();
+
+  res.json({
+    success: true,
+    data: { policy },
+  });
+}));
+
+/**
+ * @route   POST /api/commission-policies
+ * @desc    Create a new draft policy version
+ * @access  Private (Admin)
+ */
+router.post('/', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+  const { name, defaultPlatformRate, rules = [], networkRates, notes } = req.body;
+
+  if (!Array.isArray(rules)) {
+    throw new ValidationError('Rules must be an array');
+  }
+
+  const invalidRule = rules.find(rule =>
+    !rule.name || typeof rule.platformRate !== 'number' || rule.platformRate < 0 || rule.platformRate > 1
+  );
+  if (invalidRule) {
+    throw new ValidationError('Each rule needs a name and a platformRate between 0 and 1');
+  }
+
+  if (networkRates !== undefined && (!Array.isArray(networkRates) ||
+    networkRates.some(rate => typeof rate !== 'number' || rate < 0 || rate > 1))) {
+    throw new ValidationError('networkRates must be an array of rates between 0 and 1');
+  }
+
+  const policy = await CommissionPolicy.createVersion({
+    name,
+    defaultPlatformRate,
+    rules,
+    networkRates,
+    notes,
+    createdBy: req.user._id,
+  });
+
+  await AuditLog.logUserAction({
+    user: req.user,
+    action: 'commission_policy_created',
+    entityType: 'commission_policy',
+    entityId: policy._id,
+    description: `Commission policy version ${policy.version} created`,
+    req,
+    severity: 'info',
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Commission policy draft created',
+    data: { policy },
+  });
+}));
+
+/**
+ * @route   POST /api/commission-policies/preview
+ * @desc    Preview the split for a bonus and context
+ * @access  Private (Admin)
+ */
+router.post('/preview', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+  const { referralBonus, context = {}, policyId } = req.body;
+
+  if (typeof referralBonus !== 'number' || referralBonus < 0) {
+    throw new ValidationError('referralBonus must be a non-negative number');
+  }
+
+  const result = await commissionEngine.preview(referralBonus, context, policyId);
+
+  res.json({
+    success: true,
+    data: result,
+  });
+}));
+
+/**
+ * @route   POST /api/commission-policies/:id/activate
+ * @desc    Activate a draft policy version
+ * @access  Private (Admin)
+ */
+router.post('/:id/activate', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+  const policy = await CommissionPolicy.findById(req.params.id);
+
+  if (!policy) {
+    throw new NotFoundError('Commission policy');
+  }
+
+  if (policy.status !== POLICY_STATUS.DRAFT) {
+    throw new ConflictError(`Only draft policies can be activated. Current status: ${policy.status}`);
+  }
+
+  await policy.activate(req.user._id);
+
+  await AuditLog.logUserAction({
+    user: req.user,
+    action: 'commission_policy_activated',
+    entityType: 'commission_policy',
+    entityId: policy._id,
+    description: `Commission policy version ${policy.version} activated`,
+    req,
+    severity: 'warning',
+  });
+
+  res.json({
+    success: true,
+    message: `Commission policy version ${policy.version} is now active`,
+    data: { policy },
+  });
+}));
+
+module.exports = router;
@@ -9,6 +9,8 @@ const { authenticate } = require('../middleware/auth.js');
 const { asyncHandler, ValidationError, NotFoundError, AuthorizationError, ConflictError } = require('../middleware/errorHandler.js');
 const { requireAdmin, requireCorporateAdmin, requireCompanyAccess, requireCompanyAdmin } = require('../middleware/rbac.js');
 const { PERMISSIONS } = require('../models/CompanyUser.js');
+const ReferralPipeline = require('../models/ReferralPipeline.js');
+const pipelineService = require('../services/pipelineService.js');
 
 const router = express.Router();
 
@@ -523,4 +525,115 @@ router.get('/:id/analytics', authenticate, requireCompanyAccess([PERMISSIONS.REA
   });
 }));
 
+// ==================== REFERRAL PIPELINE ====================
+
+/**
+ * @route   GET /api/companies/:companyId/pipeline
+ * @desc    Get the company referral pipeline (custom or default) with stage counts
+ * @access  Private (Company Member)
+ */
+router.get('/:companyId/pipeline', authenticate, requireCompanyAccess([PERMISSIONS.READ_COMPANY]), asyncHandler(async (req, res) => {
+  const { companyId } = req.params;
+  
+  const pipeline = await pipelineService.getPipeline(companyId);
+  const jobIds = await Job.find({ companyId }).distinct('_id');
+  const stageCounts = await pipelineService.getStageCounts(companyId, jobIds);
+  
+  res.json({
+    success: true,
+    data: { pipeline, stageCounts },
+  });
+}));
+
+/**
+ * @route   PUT /api/companies/:companyId/pipeline
+ * @desc    Define custom referral pipeline stages and transitions
+ * @access  Private (Company Admin or Platform Admin)
+ */
+router.put('/:companyId/pipeline', authenticate, requireCompanyAccess([PERMISSIONS.WRITE_COMPANY]), asyncHandler(async (req, res) => {
+  const { companyId } = req.params;
+  const { name, stages, transitions = [] } = req.body;
+  
+  if (!Array.isArray(stages) || !Array.isArray(transitions)) {
+    throw new ValidationError('stages and transitions must be arrays');
+  }
+  
+  const errors = pipelineService.validateDefinition({ stages, transitions });
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid pipeline definition', errors);
+  }
+  
+  const company = await Company.findById(companyId);
+  if (!company) {
+    throw new NotFoundError('Company');
+  }
+  
+  const pipeline = await ReferralPipeline.findOneAndUpdate(
+    { companyId },
+    {
+      $set: {
+        name,
+        stages: stages.map((stage, index) => ({ ...stage, order: stage.order ?? index })),
+        transitions,
+        isActive: true,
+        updatedBy: req.user._id,
+      },
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  
+  await AuditLog.logUserAction({
+    user: req.user,
+    action: 'company_pipeline_updated',
+    entityType: 'company',
+    entityId: company._id,
+    entityName: company.name,
+    description: `Referral pipeline updated (${pipeline.stages.length} stages)`,
+    req,
+    companyId: company._id,
+    severity: 'info',
+  });
+  
+  res.json({
+    success: true,
+    message: 'Referral pipeline updated successfully',
+    data: { pipeline },
+  });
+}));
+
+/**
+ * @route   DELETE /api/companies/:companyId/pipeline
+ * @desc    Revert to the default referral pipeline
+ * @access  Private (Company Admin or Platform Admin)
+ */
+router.delete('/:companyId/pipeline', authenticate, requireCompanyAccess([PERMISSIONS.WRITE_COMPANY]), asyncHandler(async (req, res) => {
+  const { companyId } = req.params;
+  
+  const pipeline = await ReferralPipeline.findOneAndUpdate(
+    { companyId, isActive: true },
+    { $set: { isActive: false, updatedBy: req.user._id } },
+    { new: true }
+  );
+  
+  if (!pipeline) {
+    throw new NotFoundError('Custom pipeline');
+  }
+  
+  await AuditLog.logUserAction({
+    user: req.user,
+    action: 'company_pipeline_updated',
+    entityType: 'company',
+    entityId: companyId,
+    description: 'Reverted to the default referral pipeline',
+    req,
+    companyId,
+    severity: 'info',
+  });
+  
+  res.json({
+    success: true,
+    message: 'Company now uses the default referral pipeline',
+  });
+}));
+
 module.exports = router;
@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../middleware/auth.js');
+const { requireAdmin } = require('../middleware/rbac.js');
 const DataAPIService = require('../services/dataAPIService.js');
+const dataPrivacyService = require('../services/dataPrivacyService.js');
+const DataSuppression = require('../models/DataSuppression.js');
 
 // Middleware to get customer tier from API key or subscription
 const getCustomerTier = async (req, res, next) => {
@@ -287,4 +290,40 @@ router.get('/limits', authenticate, async (req, res) => {
   }
 });
 
+// Admin: Audit of queries whose results were suppressed for privacy
+router.get('/privacy/suppressions', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+
+    const [suppressions, summary] = await Promise.all([
+      dataPrivacyService.getSuppressions({
+        source: req.query.source,
+        endpoint: req.query.endpoint,
+        customerId: req.query.customerId,
+        startDate,
+        endDate
+      }, {
+        skip: req.query.skip ? parseInt(req.query.skip) : 0,
+        limit: req.query.limit ? parseInt(req.query.limit) : 50
+      }),
+      DataSuppression.getSummary(startDate, endDate)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        policy: dataPrivacyService.getPolicy(),
+        summary,
+        suppressions
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,412 @@
+/**
+ * Interview Routes
+ * Interview scheduling for referrals: availability, self-booking,
+ * reschedule/cancel, calendar invites and scorecard feedback
+ */
+
+const express = require('express');
+const { Referral, Job, CompanyUser } = require('../models/index.js');
+const Interview = require('../models/Interview.js');
+const { InterviewSlot, INTERVIEW_STATUS, INTERVIEW_TYPES, RECOMMENDATIONS } = require('../models/Interview.js');
+const { PERMISSIONS } = require('../models/CompanyUser.js');
+const { authenticate } = require('../middleware/auth.js');
+const { asyncHandler, ValidationError, NotFoundError, AuthorizationError, ConflictError } = require('../middleware/errorHandler.js');
+const interviewService = require('../services/interviewService.js');
+
+const router = express.Router();
+
+// ==================== AVAILABILITY ====================
+
+/**
+ * @route   POST /api/interviews/availability
+ * @desc    Publish recruiter availability slots
+ * @access  Private (Company Recruiter)
+ */
+router.post('/availability', authenticate, asyncHandler(async (req, res) => {
+  const { companyId, slots } = req.body;
+
+  if (!companyId || !Array.isArray(slots) || slots.length === 0) {
+    throw new ValidationError('Please provide companyId and at least one slot');
+  }
+
+  if (!await hasCompanyPermission(req.user, companyId, PERMISSIONS.WRITE_REFERRALS)) {
+    throw new AuthorizationError();
+  }
+
+  let created;
+  try {
+    created = await interviewService.addAvailability(req.user, companyId, slots);
+  } catch (error) {
+    throw new ValidationError(error.message);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `${created.length} availability slot(s) added`,
+    data: { slots: created },
+  });
+}));
+
+/**
+ * @route   GET /api/interviews/availability
+ * @desc    Get open availability slots for a recruiter
+ * @access  Private
+ */
+router.get('/availability', authenticate, asyncHandler(async (req, res) => {
+  const { recruiterId = req.user._id, from, to } = req.query;
+
+  const slots = await InterviewSlot.findOpen(recruiterId, { from, to });
+
+  res.json({
+    success: true,
+    data: { slots },
+  });
+}));
+
+/**
+ * @route   DELETE /api/interviews/availability/:slotId
+ * @desc    Remove an open availability slot
+ * @access  Private (Slot owner)
+ */
+router.delete('/availability/:slotId', authenticate, asyncHandler(async (req, res) => {
+  const removed = await interviewService.removeAvailability(req.params.slotId, req.user);
+
+  if (!removed) {
+    throw new NotFoundError('Open slot');
+  }
+
+  res.json({
+    success: true,
+    message: 'Availability slot removed',
+  });
+}));
+
+// ==================== CANDIDATE SELF-BOOKING ====================
+
+/**
+ * @route   GET /api/interviews/book/:token
+ * @desc    Get interview details and open slots for a booking link
+ * @access  Public
+ */
+router.get('/book/:token', asyncHandler(async (req, res) => {
+  const booking = await interviewService.getBooking(req.params.token);
+
+  if (!booking) {
+    throw new NotFoundError('Booking link');
+  }
+
+  const { interview, job, slots } = booking;
+
+  res.json({
+    success: true,
+    data: {
+      interview: {
+        id: interview._id,
+        title: interview.title,
+        type: interview.type,
+        durationMinutes: interview.durationMinutes,
+        timezone: interview.timezone,
+        status: interview.status,
+        startsAt: interview.startsAt,
+        candidateName: interview.candidate.name,
+      },
+      job,
+      slots: slots.map(slot => ({ id: slot._id, startsAt: slot.startsAt, endsAt: slot.endsAt })),
+    },
+  });
+}));
+
+/**
+ * @route   POST /api/interviews/book/:token
+ * @desc    Book or re-book a slot through a booking link
+ * @access  Public
+ */
+router.post('/book/:token', asyncHandler(async (req, res) => {
+  const { slotId } = req.body;
+
+  if (!slotId) {
+    throw new ValidationError('slotId is required');
+  }
+
+  let interview;
+  try {
+    interview = await interviewService.bookByToken(req.params.token, slotId);
+  } catch (error) {
+    throw new ConflictError(error.message);
+  }
+
+  res.json({
+    success: true,
+    message: 'Interview booked',
+    data: {
+      startsAt: interview.startsAt,
+      endsAt: interview.endsAt,
+      timezone: interview.timezone,
+      inviteUrl: `${req.baseUrl}/book/${req.params.token}/invite.ics`,
+    },
+  });
+}));
+
+/**
+ * @route   GET /api/interviews/book/:token/invite.ics
+ * @desc    Download the calendar invite for a booked interview
+ * @access  Public
+ */
+router.get('/book/:token/invite.ics', asyncHandler(async (req, res) => {
+  const interview = await Interview.findByBookingToken(req.params.token);
+
+  if (!interview || interview.status !== INTERVIEW_STATUS.SCHEDULED) {
+    throw new NotFoundError('Scheduled interview');
+  }
+
+  sendInvite(res, interview, await interviewService.generateInvite(interview));
+}));
+
+// ==================== RECRUITER MANAGEMENT ====================
+
+/**
+ * @route   POST /api/interviews
+ * @desc    Create an interview for a referral
+ * @access  Private (Company Recruiter)
+ */
+router.post('/', authenticate, asyncHandler(async (req, res) => {
+  const { referralId, type, slotId, startsAt } = req.body;
+
+  if (!referralId) {
+    throw new ValidationError('referralId is required');
+  }
+
+  if (type && !Object.values(INTERVIEW_TYPES).includes(type)) {
+    throw new ValidationError(`Invalid interview type. Allowed: ${Object.values(INTERVIEW_TYPES).join(', ')}`);
+  }
+
+  const referral = await Referral.findById(referralId);
+
+  if (!referral) {
+    throw new NotFoundError('Referral');
+  }
+
+  const job = await Job.findById(referral.jobId).select('companyId');
+  if (!job || !await hasCompanyPermission(req.user, job.companyId, PERMISSIONS.WRITE_REFERRALS)) {
+    throw new AuthorizationError();
+  }
+
+  if (!['shortlisted', 'interview_scheduled'].includes(referral.status)) {
+    throw new ValidationError(`Cannot schedule an interview for a referral in ${referral.status} status`);
+  }
+
+  let result;
+  try {
+    result = await interviewService.createInterview(referral, req.body, req.user);
+  } catch (error) {
+    if (slotId || startsAt) throw new ConflictError(error.message);
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: result.bookingUrl ? 'Interview created and booking link sent' : 'Interview scheduled',
+    data: result,
+  });
+}));
+
+/**
+ * @route   GET /api/interviews/referral/:referralId
+ * @desc    List interviews for a referral
+ * @access  Private (Company Member)
+ */
+router.get('/referral/:referralId', authenticate, asyncHandler(async (req, res) => {
+  const referral = await Referral.findById(req.params.referralId).select('jobId');
+
+  if (!referral) {
+    throw new NotFoundError('Referral');
+  }
+
+  const job = await Job.findById(referral.jobId).select('companyId');
+  if (!job || !await hasCompanyPermission(req.user, job.companyId, PERMISSIONS.READ_REFERRALS)) {
+    throw new AuthorizationError();
+  }
+
+  const interviews = await Interview.find({ referralId: referral._id })
+    .select('-bookingToken')
+    .populate('recruiterId', 'name email')
+    .populate('interviewerIds', 'name email')
+    .populate('scorecards.interviewerId', 'name')
+    .sort({ round: 1 });
+
+  res.json({
+    success: true,
+    data: { interviews },
+  });
+}));
+
+/**
+ * @route   POST /api/interviews/:id/reschedule
+ * @desc    Reschedule an interview
+ * @access  Private (Company Recruiter)
+ */
+router.post('/:id/reschedule', authenticate, asyncHandler(async (req, res) => {
+  const { slotId, startsAt, reason } = req.body;
+
+  if (!slotId && !startsAt) {
+    throw new ValidationError('Provide either slotId or startsAt');
+  }
+
+  const interview = await findInterviewWithPermission(req.user, req.params.id, PERMISSIONS.WRITE_REFERRALS);
+
+  if (interview.status !== INTERVIEW_STATUS.SCHEDULED) {
+    throw new ValidationError(`Only scheduled interviews can be rescheduled. Current status: ${interview.status}`);
+  }
+
+  try {
+    await interviewService.reschedule(interview, { slotId, startsAt, reason }, req.user);
+  } catch (error) {
+    throw new ConflictError(error.message);
+  }
+
+  res.json({
+    success: true,
+    message: 'Interview rescheduled',
+    data: { interview },
+  });
+}));
+
+/**
+ * @route   POST /api/interviews/:id/cancel
+ * @desc    Cancel an interview
+ * @access  Private (Company Recruiter)
+ */
+router.post('/:id/cancel', authenticate, asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const interview = await findInterviewWithPermission(req.user, req.params.id, PERMISSIONS.WRITE_REFERRALS);
+
+  if ([INTERVIEW_STATUS.COMPLETED, INTERVIEW_STATUS.CANCELLED].includes(interview.status)) {
+    throw new ValidationError(`Interview is already ${interview.status}`);
+  }
+
+  await interviewService.cancel(interview, reason, req.user);
+
+  res.json({
+    success: true,
+    message: 'Interview cancelled',
+    data: { interview },
+  });
+}));
+
+/**
+ * @route   GET /api/interviews/:id/invite.ics
+ * @desc    Download the calendar invite (or cancellation) for an interview
+ * @access  Private (Company Member)
+ */
+router.get('/:id/invite.ics', authenticate, asyncHandler(async (req, res) => {
+  const interview = await findInterviewWithPermission(req.user, req.params.id, PERMISSIONS.READ_REFERRALS);
+
+  if (!interview.startsAt) {
+    throw new ValidationError('Interview has not been booked yet');
+  }
+
+  sendInvite(res, interview, await interviewService.generateInvite(interview));
+}));
+
+/**
+ * @route   POST /api/interviews/:id/scorecards
+ * @desc    Submit interviewer scorecard feedback
+ * @access  Private (Assigned Interviewer)
+ */
+router.post('/:id/scorecards', authenticate, asyncHandler(async (req, res) => {
+  const { ratings = [], overallScore, recommendation, comments } = req.body;
+
+  if (!RECOMMENDATIONS.includes(recommendation)) {
+    throw new ValidationError(`Recommendation must be one of: ${RECOMMENDATIONS.join(', ')}`);
+  }
+
+  if (!Array.isArray(ratings)) {
+    throw new ValidationError('Ratings must be a list');
+  }
+
+  const invalidRating = ratings.find(r => !r || typeof r !== 'object' || !r.criterion ||
+    typeof r.score !== 'number' || r.score < 1 || r.score > 5);
+  if (invalidRating) {
+    throw new ValidationError('Each rating needs a criterion and a score from 1 to 5');
+  }
+
+  const interview = await findInterviewWithPermission(req.user, req.params.id, PERMISSIONS.READ_REFERRALS);
+
+  if (!interview.assignedInterviewerIds.includes(req.user._id.toString())) {
+    throw new AuthorizationError('Only the interview\'s assigned interviewers can submit feedback');
+  }
+
+  if (![INTERVIEW_STATUS.SCHEDULED, INTERVIEW_STATUS.COMPLETED].includes(interview.status)) {
+    throw new ValidationError(`Cannot submit feedback for a ${interview.status} interview`);
+  }
+
+  await interviewService.submitScorecard(interview, req.user, { ratings, overallScore, recommendation, comments });
+
+  res.json({
+    success: true,
+    message: interview.status === INTERVIEW_STATUS.COMPLETED
+      ? 'Feedback submitted and interview completed'
+      : 'Feedback submitted',
+    data: { interview },
+  });
+}));
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Check if user has a permission within a company
+ * @param {Object} user - Current user
+ * @param {string} companyId - Company ID
+ * @param {string} permission - Required permission
+ * @returns {Promise<boolean>}
+ */
+async function hasCompanyPermission(user, companyId, permission) {
+  if (user.role === 'platform_admin') {
+    return true;
+  }
+
+  const companyUser = await CompanyUser.findRelationship(user._id, companyId);
+
+  if (!companyUser || !companyUser.isActive || companyUser.invitationStatus !== 'accepted') {
+    return false;
+  }
+
+  return companyUser.hasPermission(permission);
+}
+
+/**
+ * Load an interview and check the user's company permission for it
+ * @param {Object} user - Current user
+ * @param {string} interviewId - Interview ID
+ * @param {string} permission - Required permission
+ * @returns {Promise<Document>}
+ */
+async function findInterviewWithPermission(user, interviewId, permission) {
+  const interview = await Interview.findById(interviewId);
+
+  if (!interview) {
+    throw new NotFoundError('Interview');
+  }
+
+  if (!await hasCompanyPermission(user, interview.companyId, permission)) {
+    throw new AuthorizationError();
+  }
+
+  return interview;
+}
+
+/**
+ * Send an iCal invite response
+ * @param {Object} res - Express response
+ * @param {Object} interview - Interview document
+ * @param {string} ical - iCal content
+ */
+function sendInvite(res, interview, ical) {
+  const method = interview.status === INTERVIEW_STATUS.CANCELLED ? 'CANCEL' : 'REQUEST';
+  res.setHeader('Content-Type', `text/calendar; charset=utf-8; method=${method}`);
+  res.setHeader('Content-Disposition', `attachment; filename="interview-${interview._id}.ics"`);
+  res.send(ical);
+}
+
+module.exports = router;
@@ -8,6 +8,7 @@ const { authenticate } = require('../middleware/auth.js');
 const { requireRole } = require('../middleware/rbac.js');
 const { billingEngine } = require('../services/billingEngine.js');
 const { BillingRecord } = require('../models/index.js');
+const paymentService = require('../services/payment/PaymentService.js');
 
 const router = express.Router();
 
@@ -123,14 +124,15 @@ router.get('/:id/pdf', authenticate, async (req, res) => {
       });
     }
 
-    const pdfResult = await billingEngine.generateInvoicePDF(id);
+    const { downloadUrl, expiresAt, fileName, document } = await billingEngine.generateInvoicePDF(id);
 
-    // In a real implementation, this would stream the PDF
-    // For now, return the URL
     res.json({
       success: true,
       data: {
-        downloadUrl: pdfResult.pdfUrl,
+        downloadUrl,
+        expiresAt,
+        fileName,
+        version: document.version,
         invoiceNumber: invoice.invoiceNumber,
       },
     });
@@ -143,6 +145,51 @@ router.get('/:id/pdf', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/invoices/:id/receipts/:paymentId/pdf
+ * @desc Download the receipt for a payment on an invoice
+ * @access Private
+ */
+router.get('/:id/receipts/:paymentId/pdf', authenticate, async (req, res) => {
+  try {
+    const { id, paymentId } = req.params;
+    const subscriberId = req.user.companyId || req.user._id;
+
+    const invoice = await BillingRecord.findOne({
+      _id: id,
+      $or: [
+        { companyId: subscriberId },
+        { userId: subscriberId },
+      ],
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found',
+      });
+    }
+
+    const { downloadUrl, expiresAt, fileName, document } = await billingEngine.generateReceiptPDF(id, paymentId);
+
+    res.json({
+      success: true,
+      data: {
+        downloadUrl,
+        expiresAt,
+        fileName,
+        receiptNumber: document.number,
+      },
+    });
+  } catch (error) {
+    console.error('Download Receipt PDF Error:', error);
+    res.status(error.message === 'Payment not found' ? 404 : 500).json({
+      success: false,
+      error: error.message === 'Payment not found' ? error.message : 'Failed to generate receipt',
+    });
+  }
+});
+
 /**
  * @route POST /api/invoices/:id/pay
  * @desc Pay an invoice
@@ -198,6 +245,63 @@ router.post('/:id/pay', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route POST /api/invoices/:id/qr-code
+ * @desc Issue a one-time MMQR code for the invoice balance, to scan and pay in the app
+ * @access Private
+ */
+router.post('/:id/qr-code', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const subscriberId = req.user.companyId || req.user._id;
+
+    const invoice = await BillingRecord.findOne({
+      _id: id,
+      $or: [
+        { companyId: subscriberId },
+        { userId: subscriberId },
+      ],
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found',
+      });
+    }
+
+    if (['draft', 'paid', 'refunded', 'cancelled'].includes(invoice.status) || invoice.amountDue <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invoice has no balance to pay',
+      });
+    }
+
+    const result = await paymentService.createDynamicQRCode({
+      userId: req.user._id,
+      amount: invoice.amountDue,
+      currency: invoice.currency,
+      description: `Invoice ${invoice.invoiceNumber}`,
+      billingRecordId: invoice._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        invoiceNumber: invoice.invoiceNumber,
+        transactionId: result.transaction._id,
+        ...result.qrCode,
+      },
+    });
+  } catch (error) {
+    console.error('Invoice QR Code Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate QR code',
+    });
+  }
+});
+
 /**
  * @route POST /api/invoices/:id/void
  * @desc Void an invoice (admin only)
@@ -351,11 +351,17 @@ router.post('/verify/selfie-match', requireAuth, asyncHandler(async (req, res) =
     throw new ValidationError('Selfie document ID and ID document ID are required');
   }
   
-  const result = await kycService.matchSelfie(selfieDocumentId, idDocumentId);
+  const result = await kycService.matchSelfie(selfieDocumentId, idDocumentId, req.user.sub);
+  
+  const messages = {
+    matched: 'Selfie matched successfully',
+    review: 'Selfie sent for manual review',
+    failed: 'Selfie match failed',
+  };
   
   res.json({
     success: true,
-    message: result.matched ? 'Selfie matched successfully' : 'Selfie match failed',
+    message: messages[result.decision],
     data: result,
   });
 }));
@@ -683,4 +689,76 @@ router.post('/admin/verify-document/:documentId',
   })
 );
 
+/**
+ * @route   GET /api/kyc/admin/face-reviews
+ * @desc    Get borderline selfie matches awaiting review (Admin only)
+ * @access  Admin
+ */
+router.get('/admin/face-reviews', 
+  requireAuth, 
+  requireRole('platform_admin'),
+  asyncHandler(async (req, res) => {
+    const { limit = 50, skip = 0 } = req.query;
+    
+    const reviews = await kycService.getPendingFaceReviews({
+      limit: parseInt(limit),
+      skip: parseInt(skip),
+    });
+    
+    res.json({
+      success: true,
+      count: reviews.length,
+      data: reviews,
+    });
+  })
+);
+
+/**
+ * @route   POST /api/kyc/admin/face-reviews/:documentId/decision
+ * @desc    Approve or reject a borderline selfie match (Admin only)
+ * @access  Admin
+ */
+router.post('/admin/face-reviews/:documentId/decision', 
+  requireAuth, 
+  requireRole('platform_admin'),
+  asyncHandler(async (req, res) => {
+    const { approved, notes } = req.body;
+    
+    if (typeof approved !== 'boolean') {
+      throw new ValidationError('approved must be true or false');
+    }
+    
+    const document = await kycService.reviewFaceMatch(req.params.documentId, req.user.sub, approved, notes);
+    
+    res.json({
+      success: true,
+      message: approved ? 'Selfie match approved' : 'Selfie match rejected',
+      data: document.faceMatch,
+    });
+  })
+);
+
+/**
+ * @route   GET /api/kyc/admin/documents/:documentId/file
+ * @desc    Stream a document image for review (Admin only)
+ * @access  Admin
+ */
+router.get('/admin/documents/:documentId/file', 
+  requireAuth, 
+  requireRole('platform_admin'),
+  asyncHandler(async (req, res) => {
+    const file = await kycService.openDocumentFile(req.params.documentId).catch(() => null);
+    
+    if (!file) {
+      throw new NotFoundError('Document file not found');
+    }
+    
+    res.set({
+      'Content-Type': file.mimeType,
+      'Cache-Control': 'private, no-store',
+    });
+    file.stream.pipe(res);
+  })
+);
+
 module.exports = router;
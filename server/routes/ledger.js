@@ -0,0 +1,175 @@
+/**
+ * Ledger Routes
+ * Admin access to the double-entry ledger: journal entries, trial balance,
+ * account statements, reconciliation and reversing entries
+ */
+
+const express = require('express');
+const { LedgerEntry, AuditLog } = require('../models/index.js');
+const { ENTRY_TYPES } = require('../models/LedgerEntry.js');
+const { authenticate } = require('../middleware/auth.js');
+const { asyncHandler, ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler.js');
+const { requireAdmin } = require('../middleware/rbac.js');
+const ledgerService = require('../services/ledgerService.js');
+
+const router = express.Router();
+
+const parseDate = (value, field) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${field} must be a valid date`);
+  }
+  return date;
+};
+
+/**
+ * @route   GET /api/ledger/entries
+ * @desc    List journal entries
+ * @access  Private (Admin)
+ */
+router.get('/entries', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+  const { type, account, sourceModel, sourceId, page = 1, limit = 50 } = req.query;
+
+  if (type && !Object.values(ENTRY_TYPES).includes(type)) {
+    throw new ValidationError(`type must be one of: ${Object.values(ENTRY_TYPES).join(', ')}`);
+  }
+
+  const query = {};
+  if (type) query.type = type;
+  if (account) query['lines.account'] = String(account).toLowerCase();
+  if (sourceModel) query['source.model'] = sourceModel;
+  if (sourceId) query['source.id'] = sourceId;
+
+  const from = parseDate(req.query.from, 'from');
+  const to = parseDate(req.query.to, 'to');
+  if (from || to) {
+    query.postedAt = {};
+    if (from) query.postedAt.$gte = from;
+    if (to) query.postedAt.$lte = to;
+  }
+
+  const [entries, total] = await Promise.all([
+    LedgerEntry.find(query)
+      .sort({ postedAt: -1 })
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .limit(parseInt(limit)),
+    LedgerEntry.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: { entries },
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  });
+}));
+
+/**
+ * @route   GET /api/ledger/trial-balance
+ * @desc    Debit and credit totals and balance of every account
+ * @access  Private (Admin)
+ */
+router.get('/trial-balance', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+  const trialBalance = await ledgerService.getTrialBalance({
+    asOf: parseDate(req.query.asOf, 'asOf'),
+    prefix: req.query.prefix,
+  });
+
+  res.json({
+    success: true,
+    data: trialBalance,
+  });
+}));
+
+/**
+ * @route   GET /api/ledger/accounts/:account/statement
+ * @desc    Account statement with running balance
+ * @access  Private (Admin)
+ */
+router.get('/accounts/:account/statement', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+  const { currency, limit } = req.query;
+
+  let statement;
+  try {
+    statement = await ledgerService.getAccountStatement(req.params.account, {
+      from: parseDate(req.query.from, 'from'),
+      to: parseDate(req.query.to, 'to'),
+      currency: currency ? String(currency).toUpperCase() : undefined,
+      limit,
+    });
+  } catch (error) {
+    if (error.message.startsWith('Unknown account type')) {
+      throw new ValidationError(error.message);
+    }
+    throw error;
+  }
+
+  res.json({
+    success: true,
+    data: statement,
+  });
+}));
+
+/**
+ * @route   GET /api/ledger/reconciliation
+ * @desc    Where ledger balances disagree with provider and balance records
+ * @access  Private (Admin)
+ */
+router.get('/reconciliation', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+  const currency = req.query.currency ? String(req.query.currency).toUpperCase() : undefined;
+
+  const reconciliation = await ledgerService.reconcile({ currency });
+
+  res.json({
+    success: true,
+    data: reconciliation,
+  });
+}));
+
+/**
+ * @route   POST /api/ledger/entries/:id/reverse
+ * @desc    Post a reversing entry for a journal entry
+ * @access  Private (Admin)
+ */
+router.post('/entries/:id/reverse', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  if (!reason) {
+    throw new ValidationError('A reason is required to reverse an entry');
+  }
+
+  const original = await LedgerEntry.findById(req.params.id);
+  if (!original) {
+    throw new NotFoundError('Ledger entry');
+  }
+
+  let reversal;
+  try {
+    reversal = await ledgerService.reverse(original._id, { reason, postedBy: req.user._id });
+  } catch (error) {
+    throw new ConflictError(error.message);
+  }
+
+  await AuditLog.logUserAction({
+    user: req.user,
+    action: 'ledger_entry_reversed',
+    entityType: 'ledger_entry',
+    entityId: original._id,
+    description: `Ledger entry ${original.entryNumber} reversed by ${reversal.entryNumber}: ${reason}`,
+    req,
+    severity: 'warning',
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Reversing entry posted',
+    data: { entry: reversal },
+  });
+}));
+
+module.exports = router;
@@ -7,7 +7,8 @@ const express = require('express');
 const { authenticate } = require('../middleware/auth.js');
 const { requireRole } = require('../middleware/rbac.js');
 const { matchingEngine } = require('../services/matchingEngine.js');
-const { MatchScore, Job, User } = require('../models/index.js');
+const matchingWeightService = require('../services/matchingWeightService.js');
+const { MatchScore, MatchingWeights, Job, User } = require('../models/index.js');
 const { asyncHandler, AppError } = require('../middleware/errorHandler.js');
 
 const router = express.Router();
@@ -441,6 +442,64 @@ router.post('/cleanup-expired', requireRole(['platform_admin']), asyncHandler(as
   });
 }));
 
+// ==================== WEIGHT MANAGEMENT ====================
+
+/**
+ * @route   GET /api/v1/matching/weights
+ * @desc    List fitted weight sets with their evaluation reports
+ * @access  Private (Admin only)
+ */
+router.get('/weights', requireRole(['platform_admin']), asyncHandler(async (req, res) => {
+  const { category, status } = req.query;
+
+  const query = {};
+  if (category) query.category = category;
+  if (status) query.status = status;
+
+  const weightSets = await MatchingWeights.find(query)
+    .populate('activatedBy', 'name email')
+    .sort({ category: 1, version: -1 })
+    .limit(200);
+
+  res.json({
+    success: true,
+    data: weightSets,
+  });
+}));
+
+/**
+ * @route   POST /api/v1/matching/weights/:id/activate
+ * @desc    Activate a candidate weight set for its job category
+ * @access  Private (Admin only)
+ */
+router.post('/weights/:id/activate', requireRole(['platform_admin']), asyncHandler(async (req, res) => {
+  const weightSet = await matchingWeightService.activate(req.params.id, {
+    userId: req.user._id,
+    force: req.body.force === true,
+  });
+
+  res.json({
+    success: true,
+    message: `Weights v${weightSet.version} activated for ${weightSet.category}`,
+    data: weightSet,
+  });
+}));
+
+/**
+ * @route   POST /api/v1/matching/weights/:id/reject
+ * @desc    Reject a candidate weight set
+ * @access  Private (Admin only)
+ */
+router.post('/weights/:id/reject', requireRole(['platform_admin']), asyncHandler(async (req, res) => {
+  const weightSet = await matchingWeightService.reject(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Weight set rejected',
+    data: weightSet,
+  });
+}));
+
 // ==================== WEBHOOK ENDPOINTS ====================
 
 /**
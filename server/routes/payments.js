@@ -498,6 +498,134 @@ router.post('/qr-code', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route POST /api/v1/payments/qr-code/dynamic
+ * @desc Issue a one-time dynamic MMQR code that expires
+ * @access Private
+ */
+router.post('/qr-code/dynamic', authenticate, async (req, res) => {
+  try {
+    const { amount, currency, description, expiresInMinutes } = req.body;
+
+    if (!amount || amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid amount'
+      });
+    }
+
+    const result = await paymentService.createDynamicQRCode({
+      userId: req.user._id,
+      amount,
+      currency: currency || 'MMK',
+      description,
+      expiresInMinutes: expiresInMinutes ? parseInt(expiresInMinutes) : undefined
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        transactionId: result.transaction._id,
+        transactionNumber: result.transaction.transactionNumber,
+        ...result.qrCode
+      }
+    });
+  } catch (error) {
+    console.error('Dynamic QR code generation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate QR code',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/payments/qr-code/verify
+ * @desc Decode a scanned MMQR/EMVCo QR code and check it has not been altered
+ * @access Private
+ */
+router.post('/qr-code/verify', authenticate, async (req, res) => {
+  try {
+    const { qrString } = req.body;
+
+    if (!qrString) {
+      return res.status(400).json({
+        success: false,
+        error: 'qrString is required'
+      });
+    }
+
+    const result = await paymentService.verifyQRCode(qrString);
+    const { fields, ...qr } = result.data || {};
+
+    res.json({
+      success: true,
+      data: {
+        valid: result.valid,
+        errors: result.errors,
+        issuedByPlatform: result.issuedByPlatform,
+        signatureValid: result.signatureValid,
+        expired: result.expired,
+        qr: result.data ? qr : null,
+        transaction: result.transaction ? {
+          id: result.transaction._id,
+          transactionNumber: result.transaction.transactionNumber,
+          status: result.transaction.status,
+          amount: result.transaction.amount,
+          currency: result.transaction.currency,
+          description: result.transaction.description,
+          expiresAt: result.transaction.qrCode.expiryTime
+        } : null
+      }
+    });
+  } catch (error) {
+    console.error('QR code verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify QR code',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/payments/qr-code/pay
+ * @desc Pay a scanned dynamic MMQR code through a provider
+ * @access Private
+ */
+router.post('/qr-code/pay', authenticate, async (req, res) => {
+  try {
+    const { qrString, provider } = req.body;
+
+    if (!qrString || !provider) {
+      return res.status(400).json({
+        success: false,
+        error: 'qrString and provider are required'
+      });
+    }
+
+    const result = await paymentService.payWithQRCode({
+      qrString,
+      userId: req.user._id,
+      provider
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('QR code payment error:', error);
+    const invalid = error.message.startsWith('Invalid QR code') || error.message.includes('already been used');
+    res.status(invalid ? 400 : 500).json({
+      success: false,
+      error: 'QR payment failed',
+      message: error.message
+    });
+  }
+});
+
 // ==================== PROVIDER ROUTES ====================
 
 /**
@@ -561,7 +689,7 @@ router.post('/webhooks/:provider', async (req, res) => {
 
     console.log(`Received webhook from ${provider}:`, payload);
 
-    const result = await paymentService.handleWebhook(provider, payload, headers);
+    const result = await paymentService.handleWebhook(provider, payload, headers, req.rawBody);
 
     if (result.success) {
       res.json({ success: true });
@@ -13,7 +13,7 @@ const {
   User,
   AuditLog,
 } = require('../models/index.js');
-const { PAYOUT_STATUS } = require('../models/PayoutRequest.js');
+const { PAYOUT_STATUS, MIN_PAYOUT_AMOUNT } = require('../models/PayoutRequest.js');
 const { BATCH_STATUS, BATCH_TYPE } = require('../models/PayoutBatch.js');
 const { TRANSACTION_STATUS } = require('../models/PayoutTransaction.js');
 const { authenticate } = require('../middleware/auth.js');
@@ -21,6 +21,9 @@ const { asyncHandler, ValidationError, NotFoundError, AuthorizationError } = req
 const { requireReferrer, requireAdmin } = require('../middleware/rbac.js');
 const { sendPayoutNotification } = require('../services/notificationService.js');
 const payoutProcessor = require('../services/payoutProcessor.js');
+const ledgerService = require('../services/ledgerService.js');
+const currencyService = require('../services/currencyService.js');
+const payoutLimitService = require('../services/payoutLimitService.js');
 const {
   createWeeklyBatch,
   createMonthlyBatch,
@@ -32,6 +35,9 @@ const {
 
 const router = express.Router();
 
+// Currency referrer balances are held in
+const BALANCE_CURRENCY = 'MMK';
+
 // ==================== REFERRER ROUTES ====================
 
 /**
@@ -40,16 +46,38 @@ const router = express.Router();
  * @access  Private (Referrer)
  */
 router.post('/', authenticate, requireReferrer, asyncHandler(async (req, res) => {
-  const { amount, paymentMethod, notes, referrals } = req.body;
+  const { amount, paymentMethod, notes, referrals, currency = 'MMK' } = req.body;
 
   // Validate required fields
   if (!amount || !paymentMethod) {
     throw new ValidationError('Please provide amount and payment method');
   }
 
+  const requestedCurrency = String(currency).toUpperCase();
+  if (!currencyService.getCurrencyInfo(requestedCurrency)) {
+    throw new ValidationError(`Unsupported currency: ${currency}`);
+  }
+
   // Validate amount
-  const payoutAmount = parseFloat(amount);
-  if (isNaN(payoutAmount) || payoutAmount < 1000) {
+  const requestedAmount = parseFloat(amount);
+  if (isNaN(requestedAmount) || requestedAmount <= 0) {
+    throw new ValidationError('Payout amount must be greater than zero');
+  }
+
+  // The request is kept in the balance currency, so the balance check, the
+  // limits and the balance moves all compare like with like. The referrer is
+  // paid in their own currency at the rate locked on approval.
+  const payoutCurrency = BALANCE_CURRENCY;
+  let payoutAmount = requestedAmount;
+  if (requestedCurrency !== BALANCE_CURRENCY) {
+    const conversion = await currencyService.convert(requestedAmount, requestedCurrency, BALANCE_CURRENCY).catch(() => null);
+    if (!conversion) {
+      throw new ValidationError(`No exchange rate available from ${requestedCurrency} to ${BALANCE_CURRENCY}`);
+    }
+    payoutAmount = currencyService.roundAmount(conversion.amount, BALANCE_CURRENCY);
+  }
+
+  if (payoutAmount < MIN_PAYOUT_AMOUNT) {
     throw new ValidationError('Minimum payout amount is 1,000 MMK');
   }
 
@@ -84,7 +112,7 @@ router.post('/', authenticate, requireReferrer, asyncHandler(async (req, res) =>
   // Check if user has sufficient available balance
   const availableBalance = user.referrerProfile.availableBalance || 0;
   if (availableBalance < payoutAmount) {
-    throw new ValidationError(`Insufficient balance. Available: ${availableBalance.toLocaleString()} MMK, Requested: ${payoutAmount.toLocaleString()} MMK`);
+    throw new ValidationError(`Insufficient balance. Available: ${availableBalance.toLocaleString()} ${payoutCurrency}, Requested: ${payoutAmount.toLocaleString()} ${payoutCurrency}`);
   }
 
   // Check if user has pending KYC verification
@@ -102,6 +130,27 @@ router.post('/', authenticate, requireReferrer, asyncHandler(async (req, res) =>
     throw new ValidationError('You already have a pending payout request. Please wait for it to be processed.');
   }
 
+  // Caps depend on KYC level and risk; over them, ask for step-up verification
+  const limitCheck = await payoutLimitService.checkPayout(req.user._id, payoutAmount, payoutCurrency);
+  if (!limitCheck.allowed) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        message: limitCheck.stepUp.method === 'kyc_level'
+          ? `This payout is above your limit. Complete KYC level ${limitCheck.stepUp.requiredLevel} verification to raise it.`
+          : 'This payout is above your limit and has been sent for review.',
+        code: 'STEP_UP_REQUIRED',
+      },
+      data: {
+        stepUp: limitCheck.stepUp,
+        exceeded: limitCheck.exceeded,
+        limits: limitCheck.limits,
+        remaining: limitCheck.remaining,
+        currency: limitCheck.currency,
+      },
+    });
+  }
+
   // Prepare payment method data
   const paymentMethodData = {
     type: paymentMethod.type,
@@ -118,13 +167,18 @@ router.post('/', authenticate, requireReferrer, asyncHandler(async (req, res) =>
   const payoutRequest = await PayoutRequest.createRequest({
     referrerId: req.user._id,
     amount: payoutAmount,
-    currency: 'MMK',
+    currency: payoutCurrency,
+    requested: { amount: requestedAmount, currency: requestedCurrency },
     paymentMethod: paymentMethodData,
     notes,
     referrals: referrals || [],
     status: PAYOUT_STATUS.PENDING,
   });
 
+  if (limitCheck.approvedStepUp) {
+    await payoutLimitService.useApprovedStepUp(req.user._id, limitCheck.approvedStepUp, payoutRequest._id);
+  }
+
   // Update user's pending balance (deduct from available, add to pending)
   await User.findByIdAndUpdate(req.user._id, {
     $inc: {
@@ -139,7 +193,7 @@ router.post('/', authenticate, requireReferrer, asyncHandler(async (req, res) =>
     action: 'payout_requested',
     entityType: 'payout_request',
     entityId: payoutRequest._id,
-    description: `Payout requested for ${payoutAmount.toLocaleString()} MMK`,
+    description: `Payout requested for ${payoutAmount.toLocaleString()} ${payoutCurrency}${requestedCurrency !== payoutCurrency ? ` (${requestedAmount.toLocaleString()} ${requestedCurrency})` : ''}`,
     req,
     severity: 'info',
     changes: [
@@ -212,6 +266,27 @@ router.get('/my-requests', authenticate, requireReferrer, asyncHandler(async (re
   });
 }));
 
+/**
+ * @route   GET /api/payouts/limits
+ * @desc    Get current user's payout limits, usage and risk tier
+ * @access  Private (Referrer)
+ */
+router.get('/limits', authenticate, requireReferrer, asyncHandler(async (req, res) => {
+  const evaluation = await payoutLimitService.evaluate(req.user._id, 0, payoutLimitService.policy.currency);
+
+  res.json({
+    success: true,
+    data: {
+      currency: evaluation.currency,
+      kycLevel: evaluation.kycLevel,
+      riskTier: evaluation.riskTier,
+      limits: evaluation.limits,
+      usage: evaluation.usage,
+      remaining: evaluation.remaining,
+    },
+  });
+}));
+
 /**
  * @route   GET /api/payouts/providers
  * @desc    Get available payout providers
@@ -529,6 +604,62 @@ router.get('/admin/reconciliation', authenticate, requireAdmin, asyncHandler(asy
   });
 }));
 
+/**
+ * @route   GET /api/payouts/admin/step-ups
+ * @desc    Admin: Get payouts over their limits awaiting manual review
+ * @access  Private (Admin)
+ */
+router.get('/admin/step-ups', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+  const { limit = 50, skip = 0 } = req.query;
+
+  const kycStatuses = await payoutLimitService.getPendingStepUps({
+    limit: parseInt(limit),
+    skip: parseInt(skip),
+  });
+
+  res.json({
+    success: true,
+    count: kycStatuses.length,
+    data: kycStatuses.map(kycStatus => ({
+      user: kycStatus.userId,
+      kycLevel: kycStatus.currentLevel,
+      riskScore: kycStatus.riskScore,
+      stepUps: kycStatus.stepUpRequests.filter(stepUp => stepUp.status === 'pending' && stepUp.method === 'manual_review'),
+    })),
+  });
+}));
+
+/**
+ * @route   POST /api/payouts/admin/step-ups/:id/resolve
+ * @desc    Admin: Approve or reject a payout over its limits
+ * @access  Private (Admin)
+ */
+router.post('/admin/step-ups/:id/resolve', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+  const { approved, notes } = req.body;
+
+  if (typeof approved !== 'boolean') {
+    throw new ValidationError('approved must be true or false');
+  }
+
+  const stepUp = await payoutLimitService.resolveStepUp(req.params.id, req.user._id, approved, notes);
+
+  await AuditLog.logUserAction({
+    user: req.user,
+    action: approved ? 'payout_limit_review_approved' : 'payout_limit_review_rejected',
+    entityType: 'user',
+    entityId: stepUp.ownerDocument().userId,
+    description: `Payout limit review ${approved ? 'approved' : 'rejected'} for ${stepUp.amount.toLocaleString()} ${stepUp.currency}`,
+    req,
+    severity: 'warning',
+  });
+
+  res.json({
+    success: true,
+    message: approved ? 'Payout limit review approved' : 'Payout limit review rejected',
+    data: stepUp,
+  });
+}));
+
 /**
  * @route   PUT /api/payouts/admin/:id/status
  * @desc    Admin: Update payout request status
@@ -576,11 +707,19 @@ router.put('/admin/:id/status', authenticate, requireAdmin, asyncHandler(async (
         throw new ValidationError('Payment method not set for this payout request');
       }
 
-      await payoutRequest.approve(req.user._id, { notes });
+      // Locks the FX rate when the referrer is paid in another currency
+      await payoutProcessor.approvePayout(payoutRequest, req.user._id, { notes });
 
       // Send notification
       await sendPayoutNotification(referrerId, payoutRequest._id, 'approved', {
         amount: payoutRequest.amount,
+        currency: payoutRequest.currency,
+        ...(payoutRequest.fx && {
+          convertedAmount: payoutRequest.fx.convertedAmount,
+          settlementCurrency: payoutRequest.fx.targetCurrency,
+          fxRate: payoutRequest.fx.rate,
+          fxQuoteExpiresAt: payoutRequest.fx.expiresAt,
+        }),
         requestNumber: payoutRequest.requestNumber,
       });
       break;
@@ -600,6 +739,9 @@ router.put('/admin/:id/status', authenticate, requireAdmin, asyncHandler(async (
         throw new ValidationError('Transaction ID is required when marking as paid');
       }
 
+      // Record the FX gain or loss when the referrer was paid in another currency
+      await payoutProcessor.settleFx(payoutRequest, payoutProcessor.getSettlement(payoutRequest).amount);
+
       await payoutRequest.markAsPaid({
         transactionId,
         notes,
@@ -613,6 +755,8 @@ router.put('/admin/:id/status', authenticate, requireAdmin, asyncHandler(async (
         },
       });
 
+      await ledgerService.recordPayout(payoutRequest, payoutRequest.paymentMethod?.type);
+
       // Send notification
       await sendPayoutNotification(referrerId, payoutRequest._id, 'paid', {
         amount: payoutRequest.amount,
@@ -8,7 +8,15 @@ const { Referral, Job, Company, User, AuditLog, Subscription } = require('../mod
 const { authenticate, optionalAuth } = require('../middleware/auth.js');
 const { asyncHandler, ValidationError, NotFoundError, AuthorizationError, ConflictError } = require('../middleware/errorHandler.js');
 const { requireReferrer, requireReferralManager, requireAdmin } = require('../middleware/rbac.js');
+const { createRateLimiter } = require('../middleware/enhancedRateLimiter.js');
 const { PERMISSIONS } = require('../models/CompanyUser.js');
+const { ReferralDispute, DISPUTE_STATUS, DISPUTE_RESOLUTION } = require('../models/CandidateOwnership.js');
+const candidateOwnershipService = require('../services/candidateOwnershipService.js');
+const commissionEngine = require('../services/commissionEngine.js');
+const pipelineService = require('../services/pipelineService.js');
+const guaranteeService = require('../services/guaranteeService.js');
+const referralFraudService = require('../services/referralFraudService.js');
+const { generateDeviceFingerprint } = require('../services/authSecurityService.js');
 
 const router = express.Router();
 
@@ -123,6 +131,7 @@ router.post('/', authenticate, requireReferrer, asyncHandler(async (req, res) =>
     referredPerson, 
     referrerNotes,
     source,
+    promotionCode,
   } = req.body;
   
   // Validate required fields
@@ -147,6 +156,19 @@ router.post('/', authenticate, requireReferrer, asyncHandler(async (req, res) =>
     throw new ValidationError('Cannot refer to unverified company');
   }
   
+  // Check candidate ownership - the same referrer cannot submit a candidate twice,
+  // a different referrer goes to arbitration once the referral is created
+  const ownershipCheck = await candidateOwnershipService.checkOwnership({
+    job,
+    company,
+    referrerId: req.user._id,
+    referredPerson,
+  });
+  
+  if (ownershipCheck.isSameReferrer) {
+    throw new ConflictError('You have already referred this candidate to this company');
+  }
+  
   // Generate unique referral code
   let code;
   let isUnique = false;
@@ -158,10 +180,15 @@ router.post('/', authenticate, requireReferrer, asyncHandler(async (req, res) =>
     }
   }
   
-  // Calculate financials
+  // Calculate financials from the active commission policy
   const referralBonus = job.referralBonus;
-  const platformCommission = referralBonus * 0.15; // 15%
-  const referrerPayout = referralBonus * 0.85; // 85%
+  const { platformCommission, referrerPayout, commissionPolicy } = await commissionEngine.calculateSplit({
+    referralBonus,
+    job,
+    company,
+    referrerId: req.user._id,
+    promotionCode,
+  });
   
   // Create referral
   const referral = await Referral.create({
@@ -178,10 +205,12 @@ router.post('/', authenticate, requireReferrer, asyncHandler(async (req, res) =>
       currentTitle: referredPerson.currentTitle,
       yearsOfExperience: referredPerson.yearsOfExperience,
     },
+    candidateKeys: ownershipCheck.candidateKeys,
     source: {
       channel: source?.channel || 'direct',
       ipAddress: req.ip,
       userAgent: req.headers['user-agent'],
+      deviceFingerprint: generateDeviceFingerprint(req),
       referrerUrl: source?.referrerUrl,
       utmSource: source?.utmSource,
       utmMedium: source?.utmMedium,
@@ -190,9 +219,25 @@ router.post('/', authenticate, requireReferrer, asyncHandler(async (req, res) =>
     referralBonus,
     platformCommission,
     referrerPayout,
+    commissionPolicy,
     referrerNotes,
   });
   
+  // Claim candidate ownership or open an arbitration dispute
+  const { dispute } = await candidateOwnershipService.registerReferral(referral, {
+    job,
+    company,
+    check: ownershipCheck,
+  });
+  
+  // Score for self-referrals, rings and fake candidates; high scores hold the payout for review
+  try {
+    await referralFraudService.assessReferral(referral, { user: req.user, req });
+  } catch (error) {
+    console.error('Error scoring referral for fraud:', error);
+    // Don't fail the saved referral if fraud scoring fails
+  }
+  
   // Increment job referral count
   await job.incrementReferrals();
   
@@ -215,11 +260,14 @@ router.post('/', authenticate, requireReferrer, asyncHandler(async (req, res) =>
   
   res.status(201).json({
     success: true,
-    message: 'Referral submitted successfully',
+    message: dispute
+      ? 'Referral submitted. This candidate was already referred by someone else, so the referral is under ownership review'
+      : 'Referral submitted successfully',
     data: {
       referral,
       referralLink: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/referrals/track/${code}`,
       code,
+      ownershipDisputed: !!dispute,
     },
   });
 }));
@@ -261,12 +309,21 @@ router.get('/:code', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
+// Tracking visits feed fraud scoring, so each visitor may only load a
+// referral's tracking page a few times a minute
+const trackingRateLimiter = createRateLimiter({
+  tier: 'anonymous',
+  customLimit: 10,
+  customWindow: 60 * 1000,
+  keyGenerator: req => `ratelimit:referral_track:${String(req.params.code).toUpperCase()}:${req.ip}`,
+});
+
 /**
  * @route   GET /api/referrals/track/:code
  * @desc    Public tracking for referral (limited info)
  * @access  Public
  */
-router.get('/track/:code', asyncHandler(async (req, res) => {
+router.get('/track/:code', trackingRateLimiter, optionalAuth, asyncHandler(async (req, res) => {
   const { code } = req.params;
   
   const referral = await Referral.findByCode(code)
@@ -278,6 +335,12 @@ router.get('/track/:code', asyncHandler(async (req, res) => {
     throw new NotFoundError('Referral');
   }
   
+  // Compare the visitor's device with the referrer's for fraud scoring,
+  // without holding up public tracking
+  referralFraudService.recordCandidateVisit(referral._id, req).catch(error => {
+    console.error('Error recording referral visit:', error);
+  });
+  
   // Return limited info for public tracking
   res.json({
     success: true,
@@ -303,10 +366,10 @@ router.get('/track/:code', asyncHandler(async (req, res) => {
  */
 router.put('/:id/status', authenticate, asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { status, notes } = req.body;
+  const { status, stage, notes } = req.body;
   
-  if (!status) {
-    throw new ValidationError('Status is required');
+  if (!status && !stage) {
+    throw new ValidationError('Status or pipeline stage is required');
   }
   
   const referral = await Referral.findById(id);
@@ -321,21 +384,20 @@ router.put('/:id/status', authenticate, asyncHandler(async (req, res) => {
     throw new AuthorizationError();
   }
   
-  // Update status
-  await referral.updateStatus(status, {
+  // Move through the company pipeline (custom stage or canonical status);
+  // moves the pipeline does not allow are rejected with a ValidationError
+  const change = await pipelineService.moveReferral(referral, { stage, status }, {
     changedBy: req.user._id,
     changedByType: 'recruiter',
     notes,
   });
+  const newStatus = change.newStatus;
+  const statusChanged = change.oldStatus !== newStatus;
   
   // If hired, update referrer's pending balance and send jackpot SMS notification
-  if (status === 'hired') {
-    await User.findByIdAndUpdate(referral.referrerId, {
-      $inc: {
-        'referrerProfile.pendingBalance': referral.referrerPayout,
-        'referrerProfile.successfulHires': 1,
-      },
-    });
+  if (statusChanged && newStatus === 'hired') {
+    // Credits the referrer and schedules staged payouts for the guarantee period
+    await guaranteeService.startGuarantee(referral);
     
     // Send jackpot SMS notification to referrer
     try {
@@ -350,7 +412,7 @@ router.put('/:id/status', authenticate, asyncHandler(async (req, res) => {
   }
   
   // Refer to Unlock: Award bonus AI credit when referral reaches interview_scheduled
-  if (status === 'interview_scheduled') {
+  if (statusChanged && newStatus === 'interview_scheduled') {
     try {
       // Find referrer's active subscription
       const subscription = await Subscription.findOne({
@@ -380,7 +442,7 @@ router.put('/:id/status', authenticate, asyncHandler(async (req, res) => {
     action: 'referral_status_changed',
     entityType: 'referral',
     entityId: referral._id,
-    description: `Referral status updated to ${status}`,
+    description: `Referral status updated to ${newStatus}${change.newStage ? ` (stage: ${change.newStage})` : ''}`,
     req,
     companyId: referral.jobId.companyId,
     severity: 'info',
@@ -428,6 +490,118 @@ router.post('/:id/notes', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @route   GET /api/referrals/:id/guarantee
+ * @desc    Get hire guarantee period, payout installments and retention risk
+ * @access  Private (Company Member or Referrer who owns it)
+ */
+router.get('/:id/guarantee', authenticate, asyncHandler(async (req, res) => {
+  const referral = await Referral.findById(req.params.id);
+  
+  if (!referral) {
+    throw new NotFoundError('Referral');
+  }
+  
+  const isOwner = referral.referrerId.toString() === req.user._id.toString();
+  if (!isOwner && !await checkReferralPermission(req.user, referral, PERMISSIONS.READ_REFERRALS)) {
+    throw new AuthorizationError();
+  }
+  
+  const guarantee = referral.guarantee.toObject();
+  if (isOwner) {
+    // Company check-in details stay internal
+    delete guarantee.retentionRisk;
+  }
+  
+  res.json({
+    success: true,
+    data: {
+      guarantee,
+      installments: referral.payout.installments,
+      releasedAmount: referral.releasedPayoutAmount,
+    },
+  });
+}));
+
+/**
+ * @route   POST /api/referrals/:id/guarantee/risk
+ * @desc    Record a check-in for a hire and re-assess retention risk
+ * @access  Private (Company Recruiter)
+ */
+router.post('/:id/guarantee/risk', authenticate, asyncHandler(async (req, res) => {
+  const { signals = {} } = req.body;
+  
+  const invalid = Object.entries(signals).find(([, value]) => typeof value !== 'number' || value < 0 || value > 1);
+  if (invalid) {
+    throw new ValidationError(`Signal ${invalid[0]} must be a number between 0 and 1`);
+  }
+  
+  const referral = await Referral.findById(req.params.id);
+  
+  if (!referral) {
+    throw new NotFoundError('Referral');
+  }
+  
+  if (!await checkReferralPermission(req.user, referral, PERMISSIONS.WRITE_REFERRALS)) {
+    throw new AuthorizationError();
+  }
+  
+  if (referral.guarantee.status !== 'active') {
+    throw new ValidationError('Referral is not in an active guarantee period');
+  }
+  
+  const retentionRisk = await guaranteeService.assessRisk(referral, signals);
+  
+  res.json({
+    success: true,
+    data: { retentionRisk },
+  });
+}));
+
+/**
+ * @route   POST /api/referrals/:id/guarantee/early-exit
+ * @desc    Report a hire leaving during the guarantee period (clawback / refund)
+ * @access  Private (Company Recruiter)
+ */
+router.post('/:id/guarantee/early-exit', authenticate, asyncHandler(async (req, res) => {
+  const { leftAt, reason } = req.body;
+  
+  if (leftAt && isNaN(new Date(leftAt).getTime())) {
+    throw new ValidationError('leftAt must be a valid date');
+  }
+  
+  const referral = await Referral.findById(req.params.id);
+  
+  if (!referral) {
+    throw new NotFoundError('Referral');
+  }
+  
+  if (!await checkReferralPermission(req.user, referral, PERMISSIONS.WRITE_REFERRALS)) {
+    throw new AuthorizationError();
+  }
+  
+  let clawback;
+  try {
+    clawback = await guaranteeService.recordEarlyExit(referral, { leftAt, reason, user: req.user, req });
+  } catch (error) {
+    throw new ValidationError(error.message);
+  }
+  
+  // A hire leaving almost immediately is a fake-candidate signal
+  try {
+    await referralFraudService.assessReferral(referral, { user: req.user, req });
+  } catch (error) {
+    console.error('Error scoring early exit for fraud:', error);
+    // The early exit and clawback are already recorded
+  }
+  
+  res.json({
+    success: true,
+    message: 'Early exit recorded',
+    data: { clawback },
+  });
+}));
+
 /**
  * @route   POST /api/referrals/:id/withdraw
  * @desc    Withdraw referral (referrer only)
@@ -511,6 +685,146 @@ router.get('/admin/all', authenticate, requireAdmin, asyncHandler(async (req, re
   });
 }));
 
+/**
+ * @route   GET /api/referrals/admin/disputes
+ * @desc    Get candidate ownership arbitration queue (admin only)
+ * @access  Private (Admin)
+ */
+router.get('/admin/disputes', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+  const { status = DISPUTE_STATUS.OPEN, companyId, page = 1, limit = 20 } = req.query;
+  
+  const { disputes, total } = await candidateOwnershipService.getDisputes({
+    status,
+    companyId,
+    page: parseInt(page),
+    limit: parseInt(limit),
+  });
+  
+  res.json({
+    success: true,
+    data: {
+      disputes,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit)),
+      },
+    },
+  });
+}));
+
+/**
+ * @route   POST /api/referrals/admin/disputes/:id/resolve
+ * @desc    Resolve a candidate ownership dispute (admin only)
+ * @access  Private (Admin)
+ */
+router.post('/admin/disputes/:id/resolve', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { resolution, notes } = req.body;
+  
+  if (!Object.values(DISPUTE_RESOLUTION).includes(resolution)) {
+    throw new ValidationError(`Resolution must be one of: ${Object.values(DISPUTE_RESOLUTION).join(', ')}`);
+  }
+  
+  const existing = await ReferralDispute.findById(id);
+  
+  if (!existing) {
+    throw new NotFoundError('Dispute');
+  }
+  
+  if (existing.status !== DISPUTE_STATUS.OPEN) {
+    throw new ConflictError(`Dispute is already ${existing.status}`);
+  }
+  
+  const dispute = await candidateOwnershipService.resolveDispute(id, {
+    resolution,
+    user: req.user,
+    notes,
+    req,
+  });
+  
+  res.json({
+    success: true,
+    message: 'Dispute resolved successfully',
+    data: { dispute },
+  });
+}));
+
+/**
+ * @route   GET /api/referrals/admin/fraud-reviews
+ * @desc    Get referrals flagged for fraud review (admin only)
+ * @access  Private (Admin)
+ */
+router.get('/admin/fraud-reviews', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+  const { limit = 50, skip = 0 } = req.query;
+  
+  const referrals = await referralFraudService.getReviewQueue({
+    limit: parseInt(limit),
+    skip: parseInt(skip),
+  });
+  
+  res.json({
+    success: true,
+    count: referrals.length,
+    data: referrals.map(referral => ({
+      _id: referral._id,
+      code: referral.code,
+      status: referral.status,
+      referrer: referral.referrerId,
+      job: referral.jobId,
+      referredPerson: referral.referredPerson,
+      source: referral.source,
+      submittedAt: referral.submittedAt,
+      hiredAt: referral.hiredAt,
+      guarantee: referral.guarantee,
+      fraud: referral.fraud,
+    })),
+  });
+}));
+
+/**
+ * @route   POST /api/referrals/admin/fraud-reviews/:id/resolve
+ * @desc    Clear a flagged referral or confirm fraud (admin only)
+ * @access  Private (Admin)
+ */
+router.post('/admin/fraud-reviews/:id/resolve', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { confirmed, notes } = req.body;
+  
+  if (typeof confirmed !== 'boolean') {
+    throw new ValidationError('confirmed must be true or false');
+  }
+  
+  const existing = await Referral.findById(id).select('fraud.review');
+  
+  if (!existing) {
+    throw new NotFoundError('Referral');
+  }
+  
+  if (existing.fraud.review.status !== 'pending') {
+    throw new ConflictError('Referral is not awaiting a fraud review');
+  }
+  
+  const referral = await referralFraudService.resolveReview(id, {
+    confirmed,
+    user: req.user,
+    notes,
+    req,
+  });
+  
+  res.json({
+    success: true,
+    message: confirmed ? 'Fraud confirmed; the referral payout stays on hold' : 'Referral cleared and its payout hold released',
+    data: {
+      referralId: referral._id,
+      code: referral.code,
+      fraud: referral.fraud,
+      payoutOnHold: referral.isPayoutOnHold,
+    },
+  });
+}));
+
 // ==================== HELPER FUNCTIONS ====================
 
 /**
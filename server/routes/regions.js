@@ -141,6 +141,7 @@ router.post('/',
       compliance,
       paymentProviders,
       referralLimits,
+      taxConfig,
       status = 'active',
     } = req.body;
 
@@ -165,6 +166,7 @@ router.post('/',
       compliance,
       paymentProviders,
       referralLimits,
+      taxConfig,
       status,
     };
 
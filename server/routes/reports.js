@@ -2,12 +2,67 @@ const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../middleware/auth');
 const ReportBuilderService = require('../services/reportBuilderService');
+const reportQueryService = require('../services/reportQueryService');
+const { getStorage, LocalStorageProvider } = require('../services/storage');
+const { CONTENT_TYPES, FILE_EXTENSIONS } = require('../services/reportRenderer');
+
+// Company roles that may create, change or remove their company's reports
+const REPORT_MANAGER_ROLES = ['admin', 'recruiter'];
+
+// Resolve the report customer for routes that change reports. Company
+// reports are shared by the whole team, so viewers may only read them.
+const requireReportManager = async (req, res, next) => {
+  try {
+    req.reportCustomer = await ReportBuilderService.getCustomer(req.user);
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (req.reportCustomer.customerType === 'Company' && !REPORT_MANAGER_ROLES.includes(req.reportCustomer.companyRole)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Company admin or recruiter access required'
+    });
+  }
+
+  next();
+};
+
+// Serve a locally stored report file behind a signed, expiring link
+router.get('/files/download', async (req, res) => {
+  try {
+    const storage = getStorage();
+    if (!(storage instanceof LocalStorageProvider)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Not found'
+      });
+    }
+
+    const { key, fileName } = storage.verifySignedParams(req.query);
+    const stream = await storage.getStream(key);
+    const format = Object.keys(FILE_EXTENSIONS).find(name => key.endsWith(`.${FILE_EXTENSIONS[name]}`));
+
+    res.setHeader('Content-Type', CONTENT_TYPES[format] || 'application/octet-stream');
+    res.setHeader('Content-Disposition', storage.contentDisposition(fileName));
+    res.setHeader('Cache-Control', 'private, no-store');
+    stream.on('error', () => res.destroy());
+    stream.pipe(res);
+  } catch (error) {
+    res.status(error.code === 'ENOENT' ? 404 : 403).json({
+      success: false,
+      message: error.code === 'ENOENT' ? 'File not found' : error.message
+    });
+  }
+});
 
 // Request custom report
-router.post('/custom', authenticate, async (req, res) => {
+router.post('/custom', authenticate, requireReportManager, async (req, res) => {
   try {
-    const customerId = req.user._id;
-    const customerType = req.user.role === 'company' ? 'Company' : 'User';
+    const { customerId, customerType } = req.reportCustomer;
     
     const requestData = {
       customerId,
@@ -36,8 +91,7 @@ router.post('/custom', authenticate, async (req, res) => {
 // Get my custom report requests
 router.get('/custom', authenticate, async (req, res) => {
   try {
-    const customerId = req.user._id;
-    const customerType = req.user.role === 'company' ? 'Company' : 'User';
+    const { customerId, customerType } = await ReportBuilderService.getCustomer(req.user);
     
     const options = {
       status: req.query.status,
@@ -66,8 +120,7 @@ router.get('/custom', authenticate, async (req, res) => {
 // Get custom report request by ID
 router.get('/custom/:id', authenticate, async (req, res) => {
   try {
-    const customerId = req.user._id;
-    const customerType = req.user.role === 'company' ? 'Company' : 'User';
+    const { customerId, customerType } = await ReportBuilderService.getCustomer(req.user);
     
     const request = await ReportBuilderService.getCustomReportRequest(
       req.params.id,
@@ -90,8 +143,7 @@ router.get('/custom/:id', authenticate, async (req, res) => {
 // Download custom report
 router.get('/custom/:id/download', authenticate, async (req, res) => {
   try {
-    const customerId = req.user._id;
-    const customerType = req.user.role === 'company' ? 'Company' : 'User';
+    const { customerId, customerType } = await ReportBuilderService.getCustomer(req.user);
     const { format } = req.query;
     const ipAddress = req.ip;
     const userAgent = req.headers['user-agent'];
@@ -125,10 +177,9 @@ router.get('/custom/:id/download', authenticate, async (req, res) => {
 });
 
 // Schedule recurring report
-router.post('/schedule', authenticate, async (req, res) => {
+router.post('/schedule', authenticate, requireReportManager, async (req, res) => {
   try {
-    const customerId = req.user._id;
-    const customerType = req.user.role === 'company' ? 'Company' : 'User';
+    const { customerId, customerType } = req.reportCustomer;
     
     const scheduleConfig = {
       customerId,
@@ -157,8 +208,7 @@ router.post('/schedule', authenticate, async (req, res) => {
 // Get scheduled reports
 router.get('/scheduled', authenticate, async (req, res) => {
   try {
-    const customerId = req.user._id;
-    const customerType = req.user.role === 'company' ? 'Company' : 'User';
+    const { customerId, customerType } = await ReportBuilderService.getCustomer(req.user);
     
     const reports = await ReportBuilderService.getScheduledReports(customerId, customerType);
     
@@ -175,10 +225,9 @@ router.get('/scheduled', authenticate, async (req, res) => {
 });
 
 // Cancel scheduled report
-router.delete('/scheduled/:id', authenticate, async (req, res) => {
+router.delete('/scheduled/:id', authenticate, requireReportManager, async (req, res) => {
   try {
-    const customerId = req.user._id;
-    const customerType = req.user.role === 'company' ? 'Company' : 'User';
+    const { customerId, customerType } = req.reportCustomer;
     
     const report = await ReportBuilderService.cancelScheduledReport(
       req.params.id,
@@ -198,11 +247,151 @@ router.delete('/scheduled/:id', authenticate, async (req, res) => {
   }
 });
 
+// Datasets, fields and operators available to report queries
+router.get('/query/catalog', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: reportQueryService.getCatalog()
+  });
+});
+
+// Preview a report query (inline definition or saved definitionId)
+router.post('/query/preview', authenticate, async (req, res) => {
+  try {
+    const customer = await ReportBuilderService.getCustomer(req.user);
+
+    const result = await ReportBuilderService.previewQuery(
+      { definition: req.body.definition, definitionId: req.body.definitionId },
+      customer,
+      req.body.limit ? parseInt(req.body.limit) : undefined
+    );
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Save a report query definition
+router.post('/definitions', authenticate, requireReportManager, async (req, res) => {
+  try {
+    const { customerId, customerType } = req.reportCustomer;
+
+    const definition = await ReportBuilderService.saveDefinition({
+      customerId,
+      customerType,
+      name: req.body.name,
+      description: req.body.description,
+      definition: req.body.definition
+    });
+
+    res.status(201).json({
+      success: true,
+      data: definition
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get my saved report query definitions
+router.get('/definitions', authenticate, async (req, res) => {
+  try {
+    const { customerId, customerType } = await ReportBuilderService.getCustomer(req.user);
+
+    const options = {
+      skip: req.query.skip ? parseInt(req.query.skip) : 0,
+      limit: req.query.limit ? parseInt(req.query.limit) : 50
+    };
+
+    const definitions = await ReportBuilderService.getDefinitions(customerId, customerType, options);
+
+    res.json({
+      success: true,
+      data: definitions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get a saved report query definition
+router.get('/definitions/:id', authenticate, async (req, res) => {
+  try {
+    const { customerId, customerType } = await ReportBuilderService.getCustomer(req.user);
+
+    const definition = await ReportBuilderService.getDefinition(req.params.id, customerId, customerType);
+
+    res.json({
+      success: true,
+      data: definition
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Update a saved report query definition
+router.put('/definitions/:id', authenticate, requireReportManager, async (req, res) => {
+  try {
+    const { customerId, customerType } = req.reportCustomer;
+
+    const definition = await ReportBuilderService.updateDefinition(req.params.id, customerId, customerType, {
+      name: req.body.name,
+      description: req.body.description,
+      definition: req.body.definition
+    });
+
+    res.json({
+      success: true,
+      data: definition
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Delete a saved report query definition
+router.delete('/definitions/:id', authenticate, requireReportManager, async (req, res) => {
+  try {
+    const { customerId, customerType } = req.reportCustomer;
+
+    await ReportBuilderService.deleteDefinition(req.params.id, customerId, customerType);
+
+    res.json({
+      success: true,
+      message: 'Report definition deleted'
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // Get my reports
 router.get('/', authenticate, async (req, res) => {
   try {
-    const customerId = req.user._id;
-    const customerType = req.user.role === 'company' ? 'Company' : 'User';
+    const { customerId, customerType } = await ReportBuilderService.getCustomer(req.user);
     
     const options = {
       status: req.query.status,
@@ -231,8 +420,7 @@ router.get('/', authenticate, async (req, res) => {
 // Get report by ID
 router.get('/:id', authenticate, async (req, res) => {
   try {
-    const customerId = req.user._id;
-    const customerType = req.user.role === 'company' ? 'Company' : 'User';
+    const { customerId, customerType } = await ReportBuilderService.getCustomer(req.user);
     
     const report = await ReportBuilderService.getReportById(
       req.params.id,
@@ -255,8 +443,7 @@ router.get('/:id', authenticate, async (req, res) => {
 // Download report
 router.get('/:id/download', authenticate, async (req, res) => {
   try {
-    const customerId = req.user._id;
-    const customerType = req.user.role === 'company' ? 'Company' : 'User';
+    const { customerId, customerType } = await ReportBuilderService.getCustomer(req.user);
     const { format } = req.query;
     const ipAddress = req.ip;
     const userAgent = req.headers['user-agent'];
@@ -307,10 +494,9 @@ router.get('/templates/all', async (req, res) => {
 });
 
 // Build custom report on-demand
-router.post('/build', authenticate, async (req, res) => {
+router.post('/build', authenticate, requireReportManager, async (req, res) => {
   try {
-    const customerId = req.user._id;
-    const customerType = req.user.role === 'company' ? 'Company' : 'User';
+    const { customerId, customerType } = req.reportCustomer;
     
     const reportConfig = {
       customerId,
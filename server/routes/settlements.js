@@ -0,0 +1,183 @@
+/**
+ * Settlement Routes
+ * Admin import of provider settlement files (KBZPay, WavePay, AYA Pay) and
+ * resolution of the reconciliation exceptions they raise
+ */
+
+const express = require('express');
+const multer = require('multer');
+const { SettlementImport, AuditLog } = require('../models/index.js');
+const { EXCEPTION_TYPES, IMPORT_STATUS } = require('../models/SettlementImport.js');
+const { authenticate } = require('../middleware/auth.js');
+const { asyncHandler, ValidationError, NotFoundError } = require('../middleware/errorHandler.js');
+const { requireAdmin } = require('../middleware/rbac.js');
+const settlementReconciliationService = require('../services/settlementReconciliationService.js');
+
+const router = express.Router();
+
+// Configure multer for memory storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 20 * 1024 * 1024, // 20MB
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new ValidationError('Settlement files must be .csv or .xlsx'), false);
+    }
+  },
+});
+
+const parseDate = (value, field) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${field} must be a valid date`);
+  }
+  return date;
+};
+
+/**
+ * @route   POST /api/settlements/imports
+ * @desc    Upload and reconcile a provider settlement file (multipart: file, provider, periodStart, periodEnd)
+ * @access  Private (Admin)
+ */
+router.post('/imports', authenticate, requireAdmin, upload.single('file'), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new ValidationError('A settlement file is required');
+  }
+
+  const settlement = await settlementReconciliationService.importFile({
+    provider: req.body.provider,
+    content: req.file.buffer,
+    fileName: req.file.originalname,
+    periodStart: parseDate(req.body.periodStart, 'periodStart'),
+    periodEnd: parseDate(req.body.periodEnd, 'periodEnd'),
+    userId: req.user._id,
+  });
+
+  const { summary } = settlement;
+  await AuditLog.logUserAction({
+    user: req.user,
+    action: 'settlement_imported',
+    entityType: 'settlement_import',
+    entityId: settlement._id,
+    description: `${settlement.provider} settlement ${settlement.fileName}: ${summary.matched}/${summary.lineCount} matched, ` +
+      `${summary.amountMismatches} mismatches, ${summary.unmatchedLines} unmatched lines, ${summary.missingTransactions} missing transactions`,
+    req,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Settlement file imported',
+    data: {
+      import: settlement.toJSON(),
+    },
+  });
+}));
+
+/**
+ * @route   GET /api/settlements/imports
+ * @desc    List settlement imports
+ * @access  Private (Admin)
+ */
+router.get('/imports', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+  const { provider, status, page, limit } = req.query;
+
+  if (status && !Object.values(IMPORT_STATUS).includes(status)) {
+    throw new ValidationError(`status must be one of: ${Object.values(IMPORT_STATUS).join(', ')}`);
+  }
+
+  const result = await settlementReconciliationService.listImports({ provider, status, page, limit });
+
+  res.json({
+    success: true,
+    data: { imports: result.imports },
+    pagination: result.pagination,
+  });
+}));
+
+/**
+ * @route   GET /api/settlements/imports/:id
+ * @desc    Get a settlement import with its lines and exceptions
+ * @access  Private (Admin)
+ */
+router.get('/imports/:id', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+  const settlement = await SettlementImport.findById(req.params.id)
+    .populate('importedBy', 'name email')
+    .populate('exceptions.resolution.resolvedBy', 'name email');
+
+  if (!settlement) {
+    throw new NotFoundError('Settlement import');
+  }
+
+  res.json({
+    success: true,
+    data: { import: settlement.toJSON() },
+  });
+}));
+
+/**
+ * @route   GET /api/settlements/exceptions
+ * @desc    Reconciliation exceptions across imports (open by default)
+ * @access  Private (Admin)
+ */
+router.get('/exceptions', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+  const { provider, type, resolved, limit } = req.query;
+
+  if (type && !Object.values(EXCEPTION_TYPES).includes(type)) {
+    throw new ValidationError(`type must be one of: ${Object.values(EXCEPTION_TYPES).join(', ')}`);
+  }
+
+  const exceptions = await settlementReconciliationService.listExceptions({
+    provider,
+    type,
+    resolved: resolved === 'true',
+    limit,
+  });
+
+  res.json({
+    success: true,
+    data: { exceptions },
+  });
+}));
+
+/**
+ * @route   POST /api/settlements/imports/:id/exceptions/:exceptionId/resolve
+ * @desc    Resolve an exception (action: link, accept, dispute, ignore)
+ * @access  Private (Admin)
+ */
+router.post('/imports/:id/exceptions/:exceptionId/resolve', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+  const { action, notes, transactionId } = req.body;
+
+  const { settlement, exception } = await settlementReconciliationService.resolveException(
+    req.params.id,
+    req.params.exceptionId,
+    { action, notes, transactionId },
+    req.user._id
+  );
+
+  await AuditLog.logUserAction({
+    user: req.user,
+    action: 'settlement_exception_resolved',
+    entityType: 'settlement_import',
+    entityId: settlement._id,
+    description: `Resolved ${exception.type} (${exception.reference || exception.transactionNumber}) with ${action}${notes ? `: ${notes}` : ''}`,
+    req,
+  });
+
+  res.json({
+    success: true,
+    message: 'Exception resolved',
+    data: {
+      exception,
+      status: settlement.status,
+      openExceptions: settlement.openExceptionCount,
+    },
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,170 @@
+/**
+ * Skill Routes
+ * Skill taxonomy lookup and admin management (aliases, hierarchy, CSV import)
+ */
+
+const express = require('express');
+const { AuditLog } = require('../models/index.js');
+const { authenticate } = require('../middleware/auth.js');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler.js');
+const { requireAdmin } = require('../middleware/rbac.js');
+const skillTaxonomyService = require('../services/skillTaxonomyService.js');
+
+const router = express.Router();
+
+// Largest CSV accepted by the import endpoint
+const MAX_IMPORT_SIZE = 1024 * 1024;
+
+/**
+ * @route   GET /api/skills
+ * @desc    Search the skill taxonomy
+ * @access  Private
+ */
+router.get('/', authenticate, asyncHandler(async (req, res) => {
+  const { search, category, parentId, page = 1, limit = 50 } = req.query;
+
+  const result = await skillTaxonomyService.listSkills({
+    search,
+    category,
+    parentId,
+    includeInactive: req.user.role === 'platform_admin' && req.query.includeInactive === 'true',
+    page,
+    limit: Math.min(parseInt(limit) || 50, 200),
+  });
+
+  res.json({
+    success: true,
+    data: result,
+  });
+}));
+
+/**
+ * @route   POST /api/skills/import
+ * @desc    Bulk import skills from CSV (name, aliases, category, parent, related, description)
+ * @access  Private (Admin)
+ */
+router.post('/import', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+  const { data, overwrite = false } = req.body;
+
+  if (typeof data !== 'string' || !data.trim()) {
+    throw new ValidationError('data must be CSV text');
+  }
+  if (data.length > MAX_IMPORT_SIZE) {
+    throw new ValidationError('CSV is too large (max 1 MB)');
+  }
+
+  const result = await skillTaxonomyService.importCsv(data, req.user._id, { overwrite: overwrite === true });
+
+  await AuditLog.logUserAction({
+    user: req.user,
+    action: 'skills_imported',
+    entityType: 'skill',
+    description: `Skill import: ${result.created} created, ${result.updated} updated, ${result.errors.length} errors`,
+    req,
+    severity: 'info',
+  });
+
+  res.json({
+    success: true,
+    message: `Imported ${result.created + result.updated} skills`,
+    data: result,
+  });
+}));
+
+/**
+ * @route   GET /api/skills/:id
+ * @desc    Get a skill with its parent, children and related skills
+ * @access  Private
+ */
+router.get('/:id', authenticate, asyncHandler(async (req, res) => {
+  const result = await skillTaxonomyService.getSkill(req.params.id);
+
+  res.json({
+    success: true,
+    data: result,
+  });
+}));
+
+/**
+ * @route   POST /api/skills
+ * @desc    Create a skill
+ * @access  Private (Admin)
+ */
+router.post('/', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+  if (!req.body.name || !String(req.body.name).trim()) {
+    throw new ValidationError('Skill name is required');
+  }
+
+  const skill = await skillTaxonomyService.createSkill(req.body, req.user._id);
+
+  await AuditLog.logUserAction({
+    user: req.user,
+    action: 'skill_created',
+    entityType: 'skill',
+    entityId: skill._id,
+    entityName: skill.name,
+    description: `Skill ${skill.name} created`,
+    req,
+    severity: 'info',
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Skill created',
+    data: { skill },
+  });
+}));
+
+/**
+ * @route   PUT /api/skills/:id
+ * @desc    Update a skill's name, aliases, category, parent or related skills
+ * @access  Private (Admin)
+ */
+router.put('/:id', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+  const skill = await skillTaxonomyService.updateSkill(req.params.id, req.body, req.user._id);
+
+  await AuditLog.logUserAction({
+    user: req.user,
+    action: 'skill_updated',
+    entityType: 'skill',
+    entityId: skill._id,
+    entityName: skill.name,
+    changes: Object.entries(req.body).map(([field, newValue]) => ({ field, newValue })),
+    description: `Skill ${skill.name} updated`,
+    req,
+    severity: 'info',
+  });
+
+  res.json({
+    success: true,
+    message: 'Skill updated',
+    data: { skill },
+  });
+}));
+
+/**
+ * @route   DELETE /api/skills/:id
+ * @desc    Delete a skill; its children move up to its parent
+ * @access  Private (Admin)
+ */
+router.delete('/:id', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+  const skill = await skillTaxonomyService.deleteSkill(req.params.id);
+
+  await AuditLog.logUserAction({
+    user: req.user,
+    action: 'skill_deleted',
+    entityType: 'skill',
+    entityId: skill._id,
+    entityName: skill.name,
+    description: `Skill ${skill.name} deleted`,
+    req,
+    severity: 'warning',
+  });
+
+  res.json({
+    success: true,
+    message: 'Skill deleted',
+  });
+}));
+
+module.exports = router;
@@ -18,6 +18,7 @@ const {
   initializePredefinedWorkflows,
   PREDEFINED_WORKFLOWS 
 } = require('../services/workflowEngine.js');
+const workflowSimulationService = require('../services/workflowSimulationService.js');
 
 const router = express.Router();
 
@@ -432,6 +433,105 @@ router.post('/:id/execute', authenticate, requireRole(['platform_admin']), async
   }
 });
 
+// ==================== SIMULATION ====================
+
+/**
+ * POST /api/v1/workflows/simulate
+ * Dry-run an unsaved workflow definition
+ */
+router.post('/simulate', authenticate, requireRole(['platform_admin']), async (req, res) => {
+  try {
+    const { workflow: definition, entityType, entityId, inputData = {}, payload } = req.body;
+
+    if (!definition || typeof definition !== 'object') {
+      return res.status(400).json({
+        success: false,
+        message: 'Workflow definition is required',
+      });
+    }
+
+    const { workflow, errors } = workflowSimulationService.buildDraftWorkflow(definition);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid workflow definition',
+        errors,
+      });
+    }
+
+    const report = await workflowSimulationService.simulate(workflow, {
+      entityType,
+      entityId,
+      inputData,
+      payload,
+    });
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error('Error simulating workflow:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to simulate workflow',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/v1/workflows/:id/simulate
+ * Dry-run a saved workflow against a historical entity or a synthetic payload
+ */
+router.post('/:id/simulate', authenticate, requireRole(['platform_admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { entityType, entityId, inputData = {}, payload } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid workflow ID',
+      });
+    }
+
+    if (!payload && (!entityType || !mongoose.Types.ObjectId.isValid(entityId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a payload or a valid entityType and entityId',
+      });
+    }
+
+    const workflow = await Workflow.findById(id);
+    if (!workflow) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workflow not found',
+      });
+    }
+
+    const report = await workflowSimulationService.simulate(workflow, {
+      entityType,
+      entityId,
+      inputData,
+      payload,
+    });
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error('Error simulating workflow:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to simulate workflow',
+      error: error.message,
+    });
+  }
+});
+
 // ==================== EXECUTION MANAGEMENT ====================
 
 /**
@@ -506,7 +606,7 @@ router.get('/executions', authenticate, async (req, res) => {
  * GET /api/v1/workflows/executions/:id
  * Get a single execution by ID
  */
-router.get('/executions/:id', authenticate, async (req, res) => {
+router.get('/executions/:id', authenticate, requireRole(['platform_admin']), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -542,6 +642,50 @@ router.get('/executions/:id', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/v1/workflows/executions/:id/trace
+ * Get the per-node execution trace as a tree
+ */
+router.get('/executions/:id/trace', authenticate, requireRole(['platform_admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid execution ID',
+      });
+    }
+
+    const execution = await WorkflowExecution.findById(id).select('workflowId workflowName status trace');
+
+    if (!execution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Execution not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        executionId: execution._id,
+        workflowId: execution.workflowId,
+        workflowName: execution.workflowName,
+        status: execution.status,
+        nodes: execution.getTraceTree(),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching execution trace:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch execution trace',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * POST /api/v1/workflows/executions/:id/cancel
  * Cancel a pending or running execution
@@ -567,8 +711,8 @@ router.post('/executions/:id/cancel', authenticate, async (req, res) => {
       });
     }
 
-    // Can only cancel pending or running executions
-    if (![EXECUTION_STATUS.PENDING, EXECUTION_STATUS.RUNNING, EXECUTION_STATUS.RETRYING].includes(execution.status)) {
+    // Can only cancel pending, waiting or running executions
+    if (![EXECUTION_STATUS.PENDING, EXECUTION_STATUS.RUNNING, EXECUTION_STATUS.RETRYING, EXECUTION_STATUS.WAITING].includes(execution.status)) {
       return res.status(400).json({
         success: false,
         message: `Cannot cancel execution with status: ${execution.status}`,
@@ -731,6 +875,13 @@ router.get('/metadata/action-types', authenticate, async (req, res) => {
     { key: 'WEBHOOK', value: 'webhook', label: 'Webhook', description: 'Call external webhook' },
     { key: 'DELAY', value: 'delay', label: 'Delay', description: 'Wait for specified time' },
     { key: 'CONDITION', value: 'condition', label: 'Condition', description: 'Conditional branch' },
+    { key: 'PARALLEL', value: 'parallel', label: 'Parallel', description: 'Run branches concurrently and join' },
+    { key: 'FOR_EACH', value: 'for_each', label: 'For Each', description: 'Repeat actions for each item of a list or query' },
+    { key: 'SUB_WORKFLOW', value: 'sub_workflow', label: 'Sub-workflow', description: 'Run another workflow' },
+    { key: 'CREATE_TASK', value: 'create_task', label: 'Create Task', description: 'Create a follow-up task' },
+    { key: 'ASSIGN_RECRUITER', value: 'assign_recruiter', label: 'Assign Recruiter', description: 'Assign a recruiter to the referral' },
+    { key: 'ADD_TAG', value: 'add_tag', label: 'Add Tag', description: 'Tag the referral or application' },
+    { key: 'ENROLL_IN_SEQUENCE', value: 'enroll_in_sequence', label: 'Enroll in Sequence', description: 'Enroll the user in an email sequence' },
   ];
 
   res.json({
@@ -0,0 +1,62 @@
+/**
+ * Matching Weight Fitting Script
+ * Fit matching engine weights per job category from historical hire
+ * outcomes and print the evaluation against the weights in use. Fitted sets
+ * are saved as candidates and must be activated separately.
+ * Usage: npm run matching:fit-weights [-- --category=<category>] [--since=<YYYY-MM-DD>]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const matchingWeightService = require('../services/matchingWeightService');
+
+const getArg = (name) => {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.split('=').slice(1).join('=') : null;
+};
+
+const formatWeights = weights => Object.entries(weights)
+  .map(([factor, weight]) => `${factor}=${weight.toFixed(3)}`)
+  .join(' ');
+
+async function fitMatchingWeights() {
+  try {
+    // Connect to database
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/myanjobs');
+    console.log('✓ Connected to database');
+
+    const category = getArg('category');
+    const since = getArg('since');
+    const options = since ? { since: new Date(since) } : {};
+
+    const results = category
+      ? [await matchingWeightService.fitCategory(category, options)]
+      : await matchingWeightService.fitAllCategories(options);
+
+    for (const result of results) {
+      console.log(`\n${result.category}`);
+
+      if (!result.fitted) {
+        console.log(`  • Skipped: ${result.reason}`);
+        continue;
+      }
+
+      const { _id, version, weights, training, evaluation } = result.weightSet;
+      console.log(`  Candidate v${version} (${_id}) from ${training.sampleSize} outcomes, ${training.hires} hires`);
+      console.log(`  Old weights (${evaluation.baselineSource}): ${formatWeights(evaluation.baselineWeights.toObject())}`);
+      console.log(`  New weights: ${formatWeights(weights.toObject())}`);
+      console.log(`  AUC: ${evaluation.baseline.auc} → ${evaluation.candidate.auc}`);
+      console.log(`  Top-quartile hire rate: ${evaluation.baseline.topQuartileHireRate} → ${evaluation.candidate.topQuartileHireRate}`);
+      console.log(`  ${evaluation.recommended ? '✓ Recommended for activation' : '✗ Not recommended'}`);
+    }
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Weight fitting failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run fitting
+fitMatchingWeights();
@@ -4,6 +4,7 @@
  * 
  * Usage:
  *   node seeders/index.js              - Seed all data
+ *   node seeders/index.js --skills     - Seed only the skill taxonomy
  *   node seeders/index.js --users      - Seed only users
  *   node seeders/index.js --jobs       - Seed only jobs
  *   node seeders/index.js --market     - Seed only market data
@@ -19,6 +20,7 @@ const seedAcademy = require('./academySeeder.js');
 const seedMarket = require('./marketSeeder.js');
 const seedJobs = require('./jobSeeder.js');
 const seedUsers = require('./userSeeder.js');
+const seedSkills = require('./skillSeeder.js');
 
 // Import models for clearing
 const AcademyCourse = require('../models/AcademyCourse.js');
@@ -67,6 +69,12 @@ async function seedAll() {
     await connectDatabase();
     console.log('✅ Connected to database\n');
     
+    // 0. Seed Skill taxonomy (used to normalise skills on users and jobs)
+    console.log('📦 SEEDING SKILLS');
+    console.log('-----------------');
+    await seedSkills();
+    console.log('\n');
+    
     // 1. Seed Users (must be first - referenced by other models)
     console.log('📦 SEEDING USERS');
     console.log('----------------');
@@ -116,6 +124,13 @@ async function main() {
     return;
   }
   
+  if (args.includes('--skills')) {
+    await connectDatabase();
+    await seedSkills();
+    await mongoose.disconnect();
+    return;
+  }
+  
   if (args.includes('--users')) {
     await connectDatabase();
     await seedUsers();
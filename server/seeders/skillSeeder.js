@@ -0,0 +1,94 @@
+/**
+ * Skill Seeder
+ * Seeds the default skill taxonomy: canonical names, common spellings,
+ * Burmese aliases and the parent/related links used by matching.
+ * Re-running merges into existing skills instead of duplicating them.
+ */
+
+const mongoose = require('mongoose');
+const skillTaxonomyService = require('../services/skillTaxonomyService.js');
+const { connectDatabase } = require('../config/database.js');
+
+// name, aliases, category, parent, related, description
+const defaultSkillsCsv = `name,aliases,category,parent,related,description
+Frontend Development,Frontend|Front-end|Front End,web,,Backend Development,Building user interfaces for the web
+Backend Development,Backend|Back-end|Back End|Server-side,web,,Frontend Development,Building server-side applications and APIs
+JavaScript,JS|ECMAScript|ES6,programming,,TypeScript,
+TypeScript,TS,programming,,JavaScript,
+Python,Python3|py,programming,,,
+Java,,programming,,,
+PHP,,programming,,Laravel,
+React.js,React|ReactJS|React JS,web,Frontend Development,Next.js|React Native,
+Vue.js,Vue|VueJS|Vue JS,web,Frontend Development,,
+Angular,AngularJS|Angular.js,web,Frontend Development,,
+Next.js,NextJS,web,React.js,,
+HTML,HTML5,web,Frontend Development,CSS,
+CSS,CSS3|SCSS|Sass,web,Frontend Development,HTML,
+Node.js,Node|NodeJS|Node JS,web,Backend Development,Express.js|JavaScript,
+Express.js,Express|ExpressJS,web,Node.js,,
+Laravel,,web,Backend Development,PHP,
+Django,,web,Backend Development,Python,
+Spring Boot,Spring,web,Backend Development,Java,
+Mobile Development,Mobile|Mobile App Development,mobile,,,
+React Native,,mobile,Mobile Development,React.js,
+Flutter,,mobile,Mobile Development,,
+Android,Android Development,mobile,Mobile Development,Java,
+iOS,iOS Development,mobile,Mobile Development,,
+Databases,Database,data,,,
+SQL,,data,Databases,,
+MySQL,,data,Databases,SQL,
+PostgreSQL,Postgres,data,Databases,SQL,
+MongoDB,Mongo,data,Databases,,
+Data Analysis,Data Analytics,data,,Excel|SQL,
+Machine Learning,ML,data,Data Analysis,Python,
+Cloud Computing,Cloud,cloud,,,
+AWS,Amazon Web Services,cloud,Cloud Computing,,
+Azure,Microsoft Azure,cloud,Cloud Computing,,
+Google Cloud,GCP|Google Cloud Platform,cloud,Cloud Computing,,
+Docker,,cloud,Cloud Computing,Kubernetes,
+Kubernetes,K8s,cloud,Cloud Computing,Docker,
+Graphic Design,ဂရပ်ဖစ်ဒီဇိုင်း,design,,Adobe Photoshop|Adobe Illustrator,
+UI/UX Design,UI Design|UX Design|UI/UX|UX,design,,Figma|Frontend Development,
+Figma,,design,UI/UX Design,,
+Adobe Photoshop,Photoshop,design,Graphic Design,,
+Adobe Illustrator,Illustrator,design,Graphic Design,,
+Project Management,PM,management,,Agile,
+Agile,Scrum,management,Project Management,,
+Team Leadership,Leadership|Team Lead,management,,,
+Accounting,စာရင်းကိုင်|Bookkeeping,business,,Excel,
+Sales,အရောင်း,business,,Customer Service,
+Marketing,စျေးကွက်ရှာဖွေရေး,business,,,
+Digital Marketing,Online Marketing,business,Marketing,,
+Customer Service,Customer Support,business,,,
+Microsoft Excel,Excel|MS Excel,business,,,
+English,အင်္ဂလိပ်စာ|English Language,language,,,
+Burmese,Myanmar|မြန်မာစာ|Myanmar Language,language,,,
+Chinese,Mandarin|တရုတ်စာ,language,,,
+Japanese,ဂျပန်စာ,language,,,
+Thai,ထိုင်းစာ,language,,,
+`;
+
+async function seedSkills() {
+  try {
+    console.log('Seeding skill taxonomy...');
+    const result = await skillTaxonomyService.importCsv(defaultSkillsCsv);
+
+    console.log(`✅ Skills: ${result.created} created, ${result.updated} updated`);
+    result.errors.forEach(error => {
+      console.warn(`  ⚠️  Line ${error.line} (${error.name}): ${error.error}`);
+    });
+
+  } catch (error) {
+    console.error('Error seeding skills:', error);
+  }
+}
+
+// Run seeder if called directly
+if (require.main === module) {
+  connectDatabase()
+    .then(seedSkills)
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = seedSkills;
+module.exports.defaultSkillsCsv = defaultSkillsCsv;
@@ -10,9 +10,11 @@ const dotenv = require('dotenv');
 const path = require('path');
 const { connectDatabase, disconnectDatabase } = require('./config/database.js');
 const { errorHandler, notFoundHandler, setupUnhandledRejectionHandler, setupUncaughtExceptionHandler } = require('./middleware/errorHandler.js');
+const { normalizeRequestText } = require('./middleware/inputValidation.js');
 const { initializeWorkflowCron, stopWorkflowCron } = require('./cron/workflowCron.js');
 const { initializeRevenueCron, stopRevenueCron } = require('./cron/revenueCron.js');
 const { initializePayoutCron, stopPayoutCron } = require('./cron/payoutCron.js');
+const { initializeInterviewCron, stopInterviewCron } = require('./cron/interviewCron.js');
 const { leaderboardCron } = require('./cron/leaderboardCron.js');
 const analyticsCron = require('./cron/analyticsCron.js');
 
@@ -28,6 +30,7 @@ const userRoutes = require('./routes/users.js');
 const companyRoutes = require('./routes/companies.js');
 const jobRoutes = require('./routes/jobs.js');
 const referralRoutes = require('./routes/referrals.js');
+const interviewRoutes = require('./routes/interviews.js');
 const referralNetworkRoutes = require('./routes/referralNetwork.js');
 const billingRoutes = require('./routes/billing.js');
 const subscriptionRoutes = require('./routes/subscriptions.js');
@@ -59,6 +62,10 @@ const workflowRoutes = require('./routes/workflows.js');
 const analyticsRoutes = require('./routes/analytics.js');
 const insightsRoutes = require('./routes/insights.js');
 const pricingRoutes = require('./routes/pricing.js');
+const commissionPolicyRoutes = require('./routes/commissionPolicies.js');
+const ledgerRoutes = require('./routes/ledger.js');
+const settlementRoutes = require('./routes/settlements.js');
+const skillRoutes = require('./routes/skills.js');
 const featuredJobsRoutes = require('./routes/featuredJobs.js');
 const enterpriseRoutes = require('./routes/enterprise.js');
 const kycRoutes = require('./routes/kyc.js');
@@ -131,9 +138,20 @@ const corsOptions = {
 app.use(cors(corsOptions));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// The raw body is kept for webhook signatures computed over the exact bytes (Stripe)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.includes('/webhooks')) {
+      req.rawBody = buf;
+    }
+  },
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Zawgyi Burmese in request bodies and queries is stored and searched as Unicode
+app.use(normalizeRequestText());
+
 // Structured request logging with correlation IDs
 app.use((req, res, next) => {
   const crypto = require('crypto');
@@ -254,6 +272,9 @@ app.use(`${API_PREFIX}/jobs`, jobRoutes);
 // Referral routes (existing job referral system)
 app.use(`${API_PREFIX}/referrals`, referralRoutes);
 
+// Interview scheduling routes (availability, self-booking, scorecards)
+app.use(`${API_PREFIX}/interviews`, interviewRoutes);
+
 // Referral Network routes (viral referral system) - FIXED PATH
 app.use(`${API_PREFIX}/referral-networks`, referralNetworkRoutes);
 
@@ -310,6 +331,18 @@ app.use(`${API_PREFIX}/insights`, insightsRoutes);
 // Pricing routes (dynamic pricing engine)
 app.use(`${API_PREFIX}/pricing`, pricingRoutes);
 
+// Commission policy routes (versioned referral bonus split)
+app.use(`${API_PREFIX}/commission-policies`, commissionPolicyRoutes);
+
+// Ledger routes (double-entry books, trial balance and reconciliation)
+app.use(`${API_PREFIX}/ledger`, ledgerRoutes);
+
+// Settlement routes (provider settlement file reconciliation)
+app.use(`${API_PREFIX}/settlements`, settlementRoutes);
+
+// Skill taxonomy routes (canonical skills, aliases and hierarchy)
+app.use(`${API_PREFIX}/skills`, skillRoutes);
+
 // Featured jobs routes (revenue generator)
 app.use(`${API_PREFIX}/featured-jobs`, featuredJobsRoutes);
 
@@ -502,6 +535,9 @@ const startServer = async () => {
 
     // Initialize payout processing cron jobs
     initializePayoutCron();
+
+    // Initialize interview reminder cron job
+    initializeInterviewCron();
     
     // Initialize leaderboard/gamification cron jobs
     if (leaderboardCron && typeof leaderboardCron.init === 'function') {
@@ -561,6 +597,7 @@ const startServer = async () => {
         stopWorkflowCron();
         stopRevenueCron();
         stopPayoutCron();
+        stopInterviewCron();
         if (leaderboardCron && typeof leaderboardCron.stop === 'function') {
           leaderboardCron.stop();
         }
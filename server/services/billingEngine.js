@@ -9,12 +9,19 @@ const {
   Subscription,
   Company,
   User,
+  CreditNote,
 } = require('../models/index.js');
+const { CREDIT_NOTE_STATUS } = require('../models/CreditNote.js');
+const { DOCUMENT_TYPES } = require('../models/BillingRecord.js');
+const taxService = require('./taxService.js');
+const invoiceRenderer = require('./invoiceRenderer.js');
+const { getStorage } = require('./storage');
+const ledgerService = require('./ledgerService.js');
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 
 class BillingEngine {
   constructor() {
-    this.taxRate = 0; // Myanmar doesn't have VAT currently
     this.currency = 'MMK';
   }
 
@@ -39,10 +46,10 @@ class BillingEngine {
         notes,
       } = data;
 
-      // Calculate totals
-      const subtotal = items.reduce((sum, item) => sum + item.amount, 0);
-      const tax = Math.round(subtotal * this.taxRate);
-      const total = subtotal + tax;
+      // Apply the tax rules of the subscriber's region
+      const regionCode = data.regionCode || await this.resolveSubscriberRegion(subscriberId, subscriberType);
+      const rules = await taxService.getTaxRules(regionCode);
+      const totals = taxService.calculateInvoiceTax(items, rules, { currency: this.currency });
 
       // Generate invoice number
       const invoiceNumber = await this.generateInvoiceNumber();
@@ -56,13 +63,17 @@ class BillingEngine {
             subscriptionId,
             invoiceNumber,
             invoiceType: 'subscription',
-            items,
-            subtotal,
-            tax,
-            taxRate: this.taxRate,
-            total,
+            items: totals.items,
+            subtotal: totals.subtotal,
+            tax: totals.tax,
+            taxRate: totals.taxRate,
+            taxName: totals.taxName,
+            taxInclusive: totals.taxInclusive,
+            regionCode: rules.regionCode,
+            taxRegistrationNumber: rules.registrationNumber,
+            total: totals.total,
             currency: this.currency,
-            amountDue: total,
+            amountDue: totals.total,
             dueDate: dueDate || new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
             status: 'pending',
             notes,
@@ -73,6 +84,8 @@ class BillingEngine {
 
       await session.commitTransaction();
 
+      await ledgerService.recordInvoiceIssued(invoice[0]);
+
       return invoice[0];
     } catch (error) {
       await session.abortTransaction();
@@ -209,6 +222,13 @@ class BillingEngine {
 
       // Update invoice
       invoice.amountPaid += amount;
+      invoice.paymentHistory.push({
+        amount,
+        method: paymentMethod,
+        provider,
+        transactionId,
+        status: 'completed',
+      });
       invoice.payment = {
         method: paymentMethod,
         transactionId,
@@ -247,6 +267,8 @@ class BillingEngine {
 
       await session.commitTransaction();
 
+      await ledgerService.recordInvoicePayment(invoice, invoice.paymentHistory[invoice.paymentHistory.length - 1]);
+
       return {
         invoice,
         payment: {
@@ -278,10 +300,6 @@ class BillingEngine {
     }
 
     // Add to payment history
-    if (!invoice.paymentHistory) {
-      invoice.paymentHistory = [];
-    }
-
     invoice.paymentHistory.push({
       status: 'failed',
       failureReason: reason,
@@ -343,19 +361,21 @@ class BillingEngine {
       const daysOverdue = Math.ceil((now - invoice.dueDate) / (1000 * 60 * 60 * 24));
 
       // Apply late fee after 7 days
+      const previous = { total: invoice.total, tax: invoice.tax };
       if (daysOverdue >= 7 && !invoice.lateFeeApplied) {
         const lateFee = Math.round(invoice.total * 0.05); // 5% late fee
         invoice.lateFeeApplied = true;
         invoice.total += lateFee;
         invoice.amountDue += lateFee;
 
-        // Add late fee as line item
+        // Add late fee as line item; late fees are not a taxable service
         invoice.items.push({
           description: 'Late payment fee (5%)',
           type: 'overage',
           quantity: 1,
           unitPrice: lateFee,
           amount: lateFee,
+          taxable: false,
         });
       }
 
@@ -367,6 +387,9 @@ class BillingEngine {
       }
 
       await invoice.save();
+      if (invoice.total !== previous.total) {
+        await ledgerService.recordInvoiceAdjustment(invoice, previous, 'late payment fee');
+      }
       processed.push(invoice);
     }
 
@@ -380,7 +403,7 @@ class BillingEngine {
    */
   async getOverdueInvoices(days = 0) {
     const query = {
-      status: { $nin: ['paid', 'cancelled', 'refunded'] },
+      status: { $nin: ['paid', 'cancelled', 'partially_refunded', 'refunded'] },
       dueDate: { $lt: new Date() },
     };
 
@@ -398,7 +421,8 @@ class BillingEngine {
   // ==================== REFUNDS ====================
 
   /**
-   * Process a refund
+   * Process a refund. An invoice may be refunded in parts until the
+   * refunds cover the amount paid.
    * @param {string} invoiceId - Invoice ID
    * @param {Object} refundData - Refund data
    * @returns {Promise<Object>} Refund result
@@ -415,26 +439,21 @@ class BillingEngine {
         throw new Error('Invoice not found');
       }
 
-      if (amount > invoice.amountPaid) {
-        throw new Error('Refund amount cannot exceed amount paid');
-      }
-
-      invoice.refundAmount = amount;
-      invoice.refundReason = reason;
-      invoice.refundedAt = new Date();
-      invoice.refundedBy = processedBy;
-      invoice.status = 'refunded';
+      const refund = invoice.addRefund({ amount, reason, refundedBy: processedBy });
 
       await invoice.save({ session });
 
       await session.commitTransaction();
 
+      await ledgerService.recordInvoiceRefund(invoice, refund);
+
       return {
         invoice,
         refund: {
+          _id: refund._id,
           amount,
           reason,
-          processedAt: new Date(),
+          processedAt: refund.refundedAt,
         },
       };
     } catch (error) {
@@ -445,6 +464,86 @@ class BillingEngine {
     }
   }
 
+  /**
+   * Issue a credit note against an invoice
+   * @param {string} invoiceId - Invoice the credit relates to
+   * @param {Object} creditData - { amount, reason, referralId, issuedBy }
+   * @returns {Promise<Object>} Credit note
+   */
+  async issueCreditNote(invoiceId, creditData) {
+    const { amount, reason, referralId, issuedBy } = creditData;
+
+    const invoice = await BillingRecord.findById(invoiceId);
+    if (!invoice) {
+      throw new Error('Invoice not found');
+    }
+
+    if (amount > invoice.amountPaid) {
+      throw new Error('Credit amount cannot exceed amount paid');
+    }
+
+    const creditNoteNumber = await CreditNote.generateCreditNoteNumber();
+
+    // The credited amount was paid including tax, so it reverses tax at the invoice's rate
+    const creditNote = await CreditNote.create({
+      creditNoteNumber,
+      companyId: invoice.companyId,
+      invoiceId: invoice._id,
+      referralId,
+      amount,
+      currency: invoice.currency,
+      tax: taxService.taxIncluded(amount, invoice.taxRate, invoice.currency),
+      taxRate: invoice.taxRate,
+      reason,
+      issuedBy,
+    });
+
+    await ledgerService.recordCreditNoteIssued(creditNote);
+
+    return creditNote;
+  }
+
+  /**
+   * Apply an issued credit note to an open invoice
+   * @param {string} creditNoteId - Credit note ID
+   * @param {string} invoiceId - Invoice to reduce
+   * @returns {Promise<Object>} { creditNote, invoice }
+   */
+  async applyCreditNote(creditNoteId, invoiceId) {
+    const creditNote = await CreditNote.findById(creditNoteId);
+    if (!creditNote || creditNote.status !== CREDIT_NOTE_STATUS.ISSUED) {
+      throw new Error('Credit note not found or already used');
+    }
+
+    const invoice = await BillingRecord.findById(invoiceId);
+    if (!invoice) {
+      throw new Error('Invoice not found');
+    }
+
+    if (String(invoice.companyId) !== String(creditNote.companyId)) {
+      throw new Error('Credit note belongs to a different company');
+    }
+
+    if (['paid', 'partially_refunded', 'refunded', 'cancelled'].includes(invoice.status)) {
+      throw new Error(`Cannot apply credit to a ${invoice.status} invoice`);
+    }
+
+    const updated = await this.applyDiscount(invoiceId, {
+      amount: Math.min(creditNote.amount + (invoice.discount || 0), invoice.subtotal),
+      code: creditNote.creditNoteNumber,
+      reason: creditNote.reason,
+    });
+
+    creditNote.status = CREDIT_NOTE_STATUS.APPLIED;
+    creditNote.appliedToInvoiceId = invoice._id;
+    creditNote.appliedAt = new Date();
+    await creditNote.save();
+
+    await ledgerService.recordCreditNoteApplied(creditNote);
+
+    return { creditNote, invoice: updated };
+  }
+
   // ==================== DISCOUNTS & PROMOS ====================
 
   /**
@@ -461,6 +560,7 @@ class BillingEngine {
       throw new Error('Invoice not found');
     }
 
+    const previous = { total: invoice.total, tax: invoice.tax };
     let discountAmount = 0;
 
     if (percentage) {
@@ -469,13 +569,23 @@ class BillingEngine {
       discountAmount = amount;
     }
 
+    // Discounts reduce the taxable amount, so tax is recalculated at the invoice's locked rate
+    const totals = taxService.calculateInvoiceTax(
+      invoice.items.map(item => item.toObject()),
+      taxService.rulesFromInvoice(invoice),
+      { discount: discountAmount, currency: invoice.currency }
+    );
+
     invoice.discount = discountAmount;
     invoice.discountCode = code;
-    invoice.total = invoice.subtotal + invoice.tax - discountAmount;
+    invoice.tax = totals.tax;
+    invoice.total = totals.total;
     invoice.amountDue = invoice.total - invoice.amountPaid;
 
     await invoice.save();
 
+    await ledgerService.recordInvoiceAdjustment(invoice, previous, `discount${code ? ` ${code}` : ''}`);
+
     return invoice;
   }
 
@@ -580,30 +690,234 @@ class BillingEngine {
   }
 
   /**
-   * Generate PDF for invoice
+   * Tax region of a subscriber: a company's billing address country or a
+   * user's region
+   * @param {string} subscriberId - Company or user ID
+   * @param {string} subscriberType - 'company' or 'user'
+   * @returns {Promise<string>} Region code
+   */
+  async resolveSubscriberRegion(subscriberId, subscriberType) {
+    if (subscriberType === 'company') {
+      const company = await Company.findById(subscriberId).select('address').lean();
+      return taxService.resolveRegionCode(company?.address);
+    }
+
+    const user = await User.findById(subscriberId).select('regionCode').lean();
+    return user?.regionCode || taxService.resolveRegionCode(null);
+  }
+
+  // ==================== DOCUMENTS ====================
+
+  /**
+   * Render and store the invoice PDF. A stored rendering is reused while the
+   * invoice is unchanged; any change produces a new revision and earlier
+   * files are kept as issued.
    * @param {string} invoiceId - Invoice ID
-   * @returns {Promise<Buffer>} PDF buffer
+   * @returns {Promise<Object>} { invoice, document, downloadUrl, expiresAt, fileName }
    */
   async generateInvoicePDF(invoiceId) {
-    // This would integrate with a PDF generation library
-    // For now, return a placeholder
-    const invoice = await BillingRecord.findById(invoiceId)
-      .populate('companyId', 'name email address')
-      .populate('subscriptionId', 'planId');
+    const invoice = await BillingRecord.findById(invoiceId);
+    if (!invoice) {
+      throw new Error('Invoice not found');
+    }
 
+    const contentHash = this.getInvoiceContentHash(invoice);
+    const rendered = invoice.documents.filter(doc => doc.type === DOCUMENT_TYPES.INVOICE);
+    let document = rendered[rendered.length - 1];
+
+    if (!document || document.contentHash !== contentHash) {
+      const version = rendered.length + 1;
+      const html = invoiceRenderer.renderInvoiceHtml({
+        invoice,
+        customer: await this.getCustomer(invoice.companyId),
+        issuer: invoiceRenderer.getIssuer(),
+        version,
+      });
+
+      document = await this.storeDocument(invoice, {
+        type: DOCUMENT_TYPES.INVOICE,
+        number: invoice.invoiceNumber,
+        version,
+        contentHash,
+        html,
+      });
+    }
+
+    const suffix = document.version > 1 ? `-r${document.version}` : '';
+    return { invoice, ...await this.getDocumentLink(document, `${invoice.invoiceNumber}${suffix}.pdf`) };
+  }
+
+  /**
+   * Render and store the receipt for a completed payment on an invoice.
+   * Each payment gets exactly one receipt.
+   * @param {string} invoiceId - Invoice ID
+   * @param {string} paymentId - Payment history entry ID
+   * @returns {Promise<Object>} { invoice, document, downloadUrl, expiresAt, fileName }
+   */
+  async generateReceiptPDF(invoiceId, paymentId) {
+    const invoice = await BillingRecord.findById(invoiceId);
     if (!invoice) {
       throw new Error('Invoice not found');
     }
 
-    // Placeholder for PDF generation
+    const payment = invoice.paymentHistory.id(paymentId);
+    if (!payment || payment.status !== 'completed') {
+      throw new Error('Payment not found');
+    }
+
+    let document = invoice.documents.find(doc =>
+      doc.type === DOCUMENT_TYPES.RECEIPT && String(doc.paymentId) === String(payment._id));
+
+    if (!document) {
+      const completed = invoice.paymentHistory.filter(entry => entry.status === 'completed');
+      const sequence = completed.findIndex(entry => String(entry._id) === String(payment._id)) + 1;
+      const receiptNumber = `RCT-${invoice.invoiceNumber.replace(/^INV-/, '')}-${sequence}`;
+
+      const html = invoiceRenderer.renderReceiptHtml({
+        invoice,
+        payment,
+        receiptNumber,
+        customer: await this.getCustomer(invoice.companyId),
+        issuer: invoiceRenderer.getIssuer(),
+      });
+
+      document = await this.storeDocument(invoice, {
+        type: DOCUMENT_TYPES.RECEIPT,
+        number: receiptNumber,
+        paymentId: payment._id,
+        html,
+      });
+    }
+
+    return { invoice, ...await this.getDocumentLink(document, `${document.number}.pdf`) };
+  }
+
+  /**
+   * Render and store a credit note PDF. The first rendering is final.
+   * @param {string} creditNoteId - Credit note ID
+   * @returns {Promise<Object>} { creditNote, document, downloadUrl, expiresAt, fileName }
+   */
+  async generateCreditNotePDF(creditNoteId) {
+    let creditNote = await CreditNote.findById(creditNoteId);
+    if (!creditNote) {
+      throw new Error('Credit note not found');
+    }
+
+    if (!creditNote.document?.key) {
+      const invoice = creditNote.invoiceId ? await BillingRecord.findById(creditNote.invoiceId) : null;
+      const html = invoiceRenderer.renderCreditNoteHtml({
+        creditNote,
+        invoice,
+        customer: await this.getCustomer(creditNote.companyId),
+        issuer: invoiceRenderer.getIssuer(),
+      });
+
+      const key = `credit-notes/${creditNote.creditNoteNumber}/${this.documentFileId()}.pdf`;
+      const file = await this.renderToStorage(key, html, creditNote.creditNoteNumber);
+
+      // Only the first rendering is kept if two requests race
+      const { modifiedCount } = await CreditNote.updateOne(
+        { _id: creditNote._id, 'document.key': { $exists: false } },
+        { $set: { document: { ...file, renderedAt: new Date() } } }
+      );
+      if (modifiedCount === 0) {
+        await getStorage().delete(key);
+      }
+
+      creditNote = await CreditNote.findById(creditNoteId);
+    }
+
+    return { creditNote, ...await this.getDocumentLink(creditNote.document, `${creditNote.creditNoteNumber}.pdf`) };
+  }
+
+  /**
+   * Print a document and append it to the invoice's rendered documents
+   * @param {Object} invoice - BillingRecord
+   * @param {Object} params - { type, number, version, contentHash, paymentId, html }
+   * @returns {Promise<Object>} Stored document entry
+   */
+  async storeDocument(invoice, { html, ...details }) {
+    const key = `invoices/${invoice.invoiceNumber}/${details.type}-${this.documentFileId()}.pdf`;
+    const file = await this.renderToStorage(key, html, details.number);
+    const document = { ...details, ...file, renderedAt: new Date() };
+
+    // $push rather than save() so concurrent payments or renders are not overwritten
+    await BillingRecord.updateOne({ _id: invoice._id }, { $push: { documents: document } });
+
+    return document;
+  }
+
+  /**
+   * Print HTML to PDF and store it under a new key
+   * @param {string} key - Storage key
+   * @param {string} html - Document HTML
+   * @param {string} footerText - PDF footer text
+   * @returns {Promise<Object>} { key, size, sha256 }
+   */
+  async renderToStorage(key, html, footerText) {
+    const pdf = await invoiceRenderer.renderPdf(html, footerText);
+    const { size } = await getStorage().put(key, pdf, { contentType: 'application/pdf' });
+
     return {
-      invoice,
-      pdfUrl: `/invoices/${invoiceId}/download`,
-      generatedAt: new Date(),
+      key,
+      size,
+      sha256: crypto.createHash('sha256').update(pdf).digest('hex'),
     };
   }
+
+  /**
+   * Signed download link for a stored document
+   * @param {Object} document - { key }
+   * @param {string} fileName - File name offered to the user
+   * @returns {Promise<Object>} { document, downloadUrl, expiresAt, fileName }
+   */
+  async getDocumentLink(document, fileName) {
+    const { url, expiresAt } = await getStorage().getSignedUrl(document.key, {
+      fileName,
+      contentType: 'application/pdf',
+    });
+
+    return { document, downloadUrl: url, expiresAt, fileName };
+  }
+
+  /**
+   * Fingerprint of the invoice data shown on the rendered invoice
+   * @param {Object} invoice - BillingRecord
+   * @returns {string}
+   */
+  getInvoiceContentHash(invoice) {
+    const data = invoice.toObject();
+    const fields = [
+      'invoiceNumber', 'status', 'items', 'subtotal', 'discount', 'discountCode', 'tax', 'taxRate', 'taxName',
+      'taxInclusive', 'total', 'amountPaid', 'refundAmount', 'dueDate', 'notes', 'paymentHistory',
+    ];
+
+    return crypto.createHash('sha256')
+      .update(JSON.stringify(fields.map(field => data[field] ?? null)))
+      .digest('hex');
+  }
+
+  /**
+   * Billing details of the company a document is addressed to
+   * @param {string} companyId - Company ID
+   * @returns {Promise<Object>} { name, email, address, taxId, registrationNumber }
+   */
+  async getCustomer(companyId) {
+    if (!companyId) return {};
+
+    const company = await Company.findById(companyId)
+      .select('name email address taxId registrationNumber')
+      .lean();
+
+    return company || {};
+  }
+
+  documentFileId() {
+    return `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  }
 }
 
 // Export singleton instance
 const billingEngine = new BillingEngine();
 module.exports = BillingEngine;
+module.exports.billingEngine = billingEngine;
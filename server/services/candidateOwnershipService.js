@@ -0,0 +1,380 @@
+/**
+ * Candidate Ownership Service
+ * Decides which referrer owns a candidate at a company, detects duplicate
+ * referrals by normalized email, phone and LinkedIn URL, and manages the
+ * admin arbitration queue for conflicting submissions.
+ */
+
+const { Referral, Company, AuditLog } = require('../models/index.js');
+const CandidateOwnership = require('../models/CandidateOwnership.js');
+const {
+  ReferralDispute,
+  OWNERSHIP_STATUS,
+  DISPUTE_STATUS,
+  DISPUTE_RESOLUTION,
+  MATCH_FIELDS,
+} = require('../models/CandidateOwnership.js');
+
+// Default ownership window when a company has not configured one
+const DEFAULT_OWNERSHIP_DAYS = 180;
+
+// Payout hold source used for referrals caught in a dispute
+const HOLD_SOURCE = 'ownership_dispute';
+
+class CandidateOwnershipService {
+  // ==================== NORMALIZATION ====================
+
+  /**
+   * Normalize an email address for matching
+   * Lowercases, strips "+tag" suffixes and Gmail dots
+   * @param {string} email - Raw email
+   * @returns {string|null}
+   */
+  normalizeEmail(email) {
+    if (!email || typeof email !== 'string') return null;
+
+    const trimmed = email.trim().toLowerCase();
+    const at = trimmed.lastIndexOf('@');
+    if (at < 1) return null;
+
+    let local = trimmed.slice(0, at);
+    let domain = trimmed.slice(at + 1);
+
+    local = local.split('+')[0];
+
+    if (domain === 'googlemail.com') {
+      domain = 'gmail.com';
+    }
+    if (domain === 'gmail.com') {
+      local = local.replace(/\./g, '');
+    }
+
+    return local ? `${local}@${domain}` : null;
+  }
+
+  /**
+   * Normalize a phone number for matching
+   * Myanmar numbers are reduced to the local 09xxxxxxx form
+   * @param {string} phone - Raw phone number
+   * @returns {string|null}
+   */
+  normalizePhone(phone) {
+    if (!phone || typeof phone !== 'string') return null;
+
+    let digits = phone.replace(/[^\d+]/g, '');
+    if (digits.startsWith('+')) {
+      digits = digits.slice(1);
+    } else if (digits.startsWith('00')) {
+      digits = digits.slice(2);
+    }
+
+    if (digits.startsWith('959')) {
+      digits = `0${digits.slice(2)}`;
+    } else if (digits.startsWith('9') && digits.length >= 8 && digits.length <= 10) {
+      digits = `0${digits}`;
+    }
+
+    return digits.length >= 7 ? digits : null;
+  }
+
+  /**
+   * Normalize a LinkedIn profile URL to its profile slug
+   * @param {string} url - Raw LinkedIn URL
+   * @returns {string|null}
+   */
+  normalizeLinkedIn(url) {
+    if (!url || typeof url !== 'string') return null;
+
+    const cleaned = url.trim().toLowerCase()
+      .replace(/^https?:\/\//, '')
+      .replace(/^([a-z]{2,3}\.)?(www\.)?/, '')
+      .split(/[?#]/)[0]
+      .replace(/\/+$/, '');
+
+    const match = cleaned.match(/^linkedin\.com\/(in|pub)\/([^/]+)/);
+    if (!match) return null;
+
+    try {
+      return `linkedin.com/in/${decodeURIComponent(match[2])}`;
+    } catch (error) {
+      return `linkedin.com/in/${match[2]}`;
+    }
+  }
+
+  /**
+   * Build normalized candidate keys from referred person details
+   * @param {Object} person - Referred person (email, phone, linkedInUrl)
+   * @returns {Object}
+   */
+  buildCandidateKeys(person = {}) {
+    return {
+      email: this.normalizeEmail(person.email),
+      phone: this.normalizePhone(person.phone),
+      linkedIn: this.normalizeLinkedIn(person.linkedInUrl),
+    };
+  }
+
+  /**
+   * List the key fields on which two key sets match
+   * @param {Object} a - Candidate keys
+   * @param {Object} b - Candidate keys
+   * @returns {Array<string>}
+   */
+  getMatchedFields(a = {}, b = {}) {
+    return MATCH_FIELDS.filter(field => a[field] && b[field] && a[field] === b[field]);
+  }
+
+  // ==================== OWNERSHIP ====================
+
+  /**
+   * Resolve the ownership policy configured for a company
+   * @param {Object} company - Company document
+   * @returns {{ days: number, scope: string }}
+   */
+  getOwnershipPolicy(company) {
+    const settings = company?.settings || {};
+    return {
+      days: Number.isFinite(settings.candidateOwnershipDays)
+        ? settings.candidateOwnershipDays
+        : DEFAULT_OWNERSHIP_DAYS,
+      scope: settings.candidateOwnershipScope || 'company',
+    };
+  }
+
+  /**
+   * Check for an existing owner before a referral is created
+   * Same-referrer resubmissions are reported so the route can reject them outright.
+   * @param {Object} params - Job, company, referrerId and referredPerson
+   * @returns {Promise<Object>} { candidateKeys, ownership, matchedOn, isSameReferrer }
+   */
+  async checkOwnership({ job, company, referrerId, referredPerson }) {
+    const candidateKeys = this.buildCandidateKeys(referredPerson);
+    const policy = this.getOwnershipPolicy(company);
+
+    const matches = await CandidateOwnership.findMatching({
+      companyId: company._id,
+      jobId: policy.scope === 'job' ? job._id : undefined,
+      candidateKeys,
+    });
+
+    const ownership = matches[0] || null;
+
+    return {
+      candidateKeys,
+      ownership,
+      matchedOn: ownership ? this.getMatchedFields(candidateKeys, ownership.candidateKeys) : [],
+      isSameReferrer: !!ownership && ownership.referrerId.toString() === referrerId.toString(),
+    };
+  }
+
+  /**
+   * Register a newly created referral against the ownership table
+   * Claims ownership when the candidate is free, otherwise opens a dispute
+   * and holds the payout of both referrals until an admin arbitrates.
+   * @param {Object} referral - Newly created referral
+   * @param {Object} params - Job, company and the result of checkOwnership
+   * @returns {Promise<Object>} { ownership, dispute }
+   */
+  async registerReferral(referral, { job, company, check }) {
+    const policy = this.getOwnershipPolicy(company);
+
+    if (!check.ownership) {
+      const ownership = await this.claim(referral, { job, company, policy });
+      return { ownership, dispute: null };
+    }
+
+    const dispute = await ReferralDispute.create({
+      companyId: company._id,
+      jobId: job._id,
+      ownershipId: check.ownership._id,
+      ownerReferralId: check.ownership.referralId,
+      challengerReferralId: referral._id,
+      matchedOn: check.matchedOn,
+    });
+
+    referral.ownershipStatus = 'disputed';
+    await referral.placePayoutHold(HOLD_SOURCE, {
+      reason: 'Candidate already referred by another referrer',
+      referenceId: dispute._id,
+    });
+
+    const ownerReferral = await Referral.findById(check.ownership.referralId);
+    if (ownerReferral) {
+      ownerReferral.ownershipStatus = 'disputed';
+      await ownerReferral.placePayoutHold(HOLD_SOURCE, {
+        reason: 'Ownership challenged by a later referral',
+        referenceId: dispute._id,
+      });
+    }
+
+    return { ownership: check.ownership, dispute };
+  }
+
+  /**
+   * Create an ownership record for a referral
+   * @param {Object} referral - Referral document
+   * @param {Object} params - Job, company and ownership policy
+   * @returns {Promise<Document>}
+   */
+  async claim(referral, { job, company, policy }) {
+    const claimedAt = new Date();
+    const expiresAt = new Date(claimedAt.getTime() + policy.days * 24 * 60 * 60 * 1000);
+
+    return CandidateOwnership.create({
+      companyId: company._id,
+      jobId: policy.scope === 'job' ? job._id : undefined,
+      candidateKeys: referral.candidateKeys,
+      referralId: referral._id,
+      referrerId: referral.referrerId,
+      claimedAt,
+      expiresAt,
+    });
+  }
+
+  /**
+   * Check whether a referral's payout is blocked by an open dispute
+   * @param {string} referralId - Referral ID
+   * @returns {Promise<boolean>}
+   */
+  async hasOpenDispute(referralId) {
+    return ReferralDispute.hasOpenDispute(referralId);
+  }
+
+  // ==================== ARBITRATION ====================
+
+  /**
+   * Get the arbitration queue
+   * @param {Object} options - Status filter and pagination
+   * @returns {Promise<Object>} { disputes, total }
+   */
+  async getDisputes(options = {}) {
+    const { status = DISPUTE_STATUS.OPEN, companyId, page = 1, limit = 20 } = options;
+
+    const query = {};
+    if (status) query.status = status;
+    if (companyId) query.companyId = companyId;
+
+    const [disputes, total] = await Promise.all([
+      ReferralDispute.find(query)
+        .populate('companyId', 'name slug')
+        .populate('jobId', 'title')
+        .populate({
+          path: 'ownerReferralId',
+          select: 'code referrerId referredPerson status submittedAt',
+          populate: { path: 'referrerId', select: 'name email' },
+        })
+        .populate({
+          path: 'challengerReferralId',
+          select: 'code referrerId referredPerson status submittedAt',
+          populate: { path: 'referrerId', select: 'name email' },
+        })
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ReferralDispute.countDocuments(query),
+    ]);
+
+    return { disputes, total };
+  }
+
+  /**
+   * Resolve an ownership dispute
+   * @param {string} disputeId - Dispute ID
+   * @param {Object} params - resolution, admin user, notes, request
+   * @returns {Promise<Document>}
+   */
+  async resolveDispute(disputeId, { resolution, user, notes, req }) {
+    if (!Object.values(DISPUTE_RESOLUTION).includes(resolution)) {
+      throw new Error(`Invalid resolution: ${resolution}`);
+    }
+
+    const dispute = await ReferralDispute.findById(disputeId);
+    if (!dispute) {
+      throw new Error('Dispute not found');
+    }
+    if (dispute.status !== DISPUTE_STATUS.OPEN) {
+      throw new Error(`Dispute is already ${dispute.status}`);
+    }
+
+    const [ownership, ownerReferral, challengerReferral] = await Promise.all([
+      CandidateOwnership.findById(dispute.ownershipId),
+      Referral.findById(dispute.ownerReferralId),
+      Referral.findById(dispute.challengerReferralId),
+    ]);
+
+    if (resolution === DISPUTE_RESOLUTION.UPHOLD_OWNER) {
+      await this.applyOutcome(ownerReferral, 'owner', dispute);
+      await this.applyOutcome(challengerReferral, 'lost', dispute);
+    } else if (resolution === DISPUTE_RESOLUTION.AWARD_CHALLENGER) {
+      await this.applyOutcome(ownerReferral, 'lost', dispute);
+      await this.applyOutcome(challengerReferral, 'owner', dispute);
+
+      if (ownership && challengerReferral) {
+        const job = { _id: dispute.jobId };
+        const company = await Company.findById(dispute.companyId);
+        const transferred = await this.claim(challengerReferral, {
+          job,
+          company,
+          policy: this.getOwnershipPolicy(company),
+        });
+        ownership.status = OWNERSHIP_STATUS.TRANSFERRED;
+        ownership.transferredTo = transferred._id;
+        await ownership.save();
+      }
+    } else {
+      await this.applyOutcome(ownerReferral, 'owner', dispute);
+      await this.applyOutcome(challengerReferral, 'not_duplicate', dispute);
+    }
+
+    dispute.status = resolution === DISPUTE_RESOLUTION.NOT_DUPLICATE
+      ? DISPUTE_STATUS.DISMISSED
+      : DISPUTE_STATUS.RESOLVED;
+    dispute.resolution = resolution;
+    dispute.resolvedBy = user._id;
+    dispute.resolvedAt = new Date();
+    dispute.notes = notes;
+    await dispute.save();
+
+    await AuditLog.logUserAction({
+      user,
+      action: 'referral_dispute_resolved',
+      entityType: 'referral',
+      entityId: dispute.challengerReferralId,
+      description: `Candidate ownership dispute resolved: ${resolution}`,
+      req,
+      companyId: dispute.companyId,
+      severity: 'info',
+    });
+
+    return dispute;
+  }
+
+  /**
+   * Apply an arbitration outcome to one side of a dispute
+   * Losing referrals have their payout marked not applicable; holds from this
+   * dispute are released on both sides.
+   * @param {Object} referral - Referral document
+   * @param {string} outcome - owner | lost | not_duplicate
+   * @param {Object} dispute - Dispute document
+   * @returns {Promise<void>}
+   */
+  async applyOutcome(referral, outcome, dispute) {
+    if (!referral) return;
+
+    referral.ownershipStatus = outcome;
+    if (outcome === 'lost') {
+      referral.payout.status = 'not_applicable';
+      referral.payout.notes = `Candidate ownership awarded to another referral (dispute ${dispute._id})`;
+    }
+
+    // Another open dispute may still involve this referral; only release this one
+    await referral.releasePayoutHold(HOLD_SOURCE, dispute._id);
+    if (!referral.isModified()) return;
+    await referral.save();
+  }
+}
+
+// Create singleton instance
+const candidateOwnershipService = new CandidateOwnershipService();
+
+module.exports = candidateOwnershipService;
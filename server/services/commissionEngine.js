@@ -0,0 +1,205 @@
+/**
+ * Commission Engine
+ * Single source of truth for splitting a referral bonus between the platform
+ * and the referrer. Resolves the referral context (company plan, job category,
+ * referrer tier, region, promotion) and applies the active versioned
+ * CommissionPolicy.
+ */
+
+const { Company, User, SubscriptionPlan } = require('../models/index.js');
+const CommissionPolicy = require('../models/CommissionPolicy.js');
+const { DEFAULT_PLATFORM_RATE, DEFAULT_NETWORK_RATES } = require('../models/CommissionPolicy.js');
+
+// Context keys and the rule condition list each one is matched against
+const CONDITION_KEYS = {
+  companyPlan: 'companyPlans',
+  jobCategory: 'jobCategories',
+  referrerTier: 'referrerTiers',
+  region: 'regions',
+  promotionCode: 'promotionCodes',
+};
+
+class CommissionEngine {
+  /**
+   * Build the commission context for a referral
+   * @param {Object} params - job, company (optional), referrerId, promotionCode;
+   *   without a job only referrer and promotion rules can match
+   * @returns {Promise<Object>}
+   */
+  async resolveContext({ job, company, referrerId, promotionCode }) {
+    const resolvedCompany = company || (job?.companyId ? await Company.findById(job.companyId) : null);
+
+    let companyPlan = null;
+    if (resolvedCompany?.currentSubscription?.planId) {
+      const plan = await SubscriptionPlan.findById(resolvedCompany.currentSubscription.planId).select('slug');
+      companyPlan = plan?.slug || null;
+    }
+
+    let referrerTier = null;
+    if (referrerId) {
+      const referrer = await User.findById(referrerId).select('referrerProfile.tierLevel');
+      referrerTier = referrer?.referrerProfile?.tierLevel || null;
+    }
+
+    return {
+      companyPlan,
+      jobCategory: job?.category || null,
+      referrerTier,
+      region: job?.location?.country || resolvedCompany?.address?.country || null,
+      promotionCode: promotionCode || null,
+    };
+  }
+
+  /**
+   * Check whether a rule matches a context
+   * @param {Object} rule - Commission rule
+   * @param {Object} context - Commission context
+   * @param {Date} now - Evaluation time
+   * @returns {boolean}
+   */
+  ruleMatches(rule, context, now = new Date()) {
+    if (rule.startsAt && now < new Date(rule.startsAt)) return false;
+    if (rule.endsAt && now > new Date(rule.endsAt)) return false;
+
+    const conditions = rule.conditions || {};
+
+    return Object.entries(CONDITION_KEYS).every(([contextKey, conditionKey]) => {
+      const allowed = conditions[conditionKey] || [];
+      if (allowed.length === 0) return true;
+
+      const value = context[contextKey];
+      if (!value) return false;
+
+      const normalized = contextKey === 'promotionCode'
+        ? String(value).toUpperCase()
+        : String(value).toLowerCase();
+      return allowed.includes(normalized);
+    });
+  }
+
+  /**
+   * Count how many condition lists a rule constrains
+   * Used to break priority ties in favour of the more specific rule.
+   * @param {Object} rule - Commission rule
+   * @returns {number}
+   */
+  ruleSpecificity(rule) {
+    const conditions = rule.conditions || {};
+    return Object.values(CONDITION_KEYS)
+      .filter(conditionKey => (conditions[conditionKey] || []).length > 0)
+      .length;
+  }
+
+  /**
+   * Pick the rule that applies to a context
+   * @param {Object} policy - Commission policy
+   * @param {Object} context - Commission context
+   * @param {Date} now - Evaluation time
+   * @returns {Object|null}
+   */
+  selectRule(policy, context, now = new Date()) {
+    const candidates = (policy?.rules || [])
+      .filter(rule => this.ruleMatches(rule, context, now))
+      .sort((a, b) =>
+        (b.priority || 0) - (a.priority || 0) ||
+        this.ruleSpecificity(b) - this.ruleSpecificity(a)
+      );
+
+    return candidates[0] || null;
+  }
+
+  /**
+   * Split a bonus according to a policy
+   * @param {number} referralBonus - Total referral bonus
+   * @param {Object} policy - Commission policy (null for the built-in default)
+   * @param {Object} context - Commission context
+   * @returns {Object} Split and the policy reference to store on the referral
+   */
+  split(referralBonus, policy, context) {
+    const rule = policy ? this.selectRule(policy, context) : null;
+
+    let platformRate = DEFAULT_PLATFORM_RATE;
+    if (rule) {
+      platformRate = rule.platformRate;
+    } else if (policy && Number.isFinite(policy.defaultPlatformRate)) {
+      platformRate = policy.defaultPlatformRate;
+    }
+
+    const platformCommission = Math.round(referralBonus * platformRate);
+
+    return {
+      platformCommission,
+      referrerPayout: referralBonus - platformCommission,
+      commissionPolicy: {
+        policyId: policy?._id,
+        version: policy ? policy.version : 0,
+        ruleId: rule?._id,
+        ruleName: rule?.name || (policy ? 'default' : 'builtin_default'),
+        platformRate,
+        context,
+        appliedAt: new Date(),
+      },
+    };
+  }
+
+  /**
+   * Calculate the commission split for a new referral
+   * @param {Object} params - referralBonus, job (optional), company, referrerId, promotionCode
+   * @returns {Promise<Object>} { platformCommission, referrerPayout, commissionPolicy }
+   */
+  async calculateSplit({ referralBonus, job, company, referrerId, promotionCode }) {
+    const [policy, context] = await Promise.all([
+      CommissionPolicy.getActive(),
+      this.resolveContext({ job, company, referrerId, promotionCode }),
+    ]);
+
+    return this.split(referralBonus, policy, context);
+  }
+
+  /**
+   * Split a referral's platform commission with the referrer's upline, at
+   * the network rates of the policy version applied to the referral. Shares
+   * never exceed the platform commission, so the referrer payout is unchanged.
+   * @param {Object} referral - Referral with its applied commission policy
+   * @param {Array} ancestors - Upline entries ({ ancestorId, depth })
+   * @returns {Promise<Array>} [{ ancestorId, depth, rate, amount }], nearest first
+   */
+  async calculateNetworkShares(referral, ancestors) {
+    const policyId = referral.commissionPolicy?.policyId;
+    const policy = policyId ? await CommissionPolicy.findById(policyId) : null;
+    const rates = policy ? policy.networkRates || [] : DEFAULT_NETWORK_RATES;
+    if (rates.length === 0) return [];
+
+    let remaining = referral.platformCommission || 0;
+
+    return [...ancestors]
+      .sort((a, b) => a.depth - b.depth)
+      .map(ancestor => {
+        const rate = rates[Math.min(ancestor.depth, rates.length) - 1];
+        const amount = Math.min(remaining, Math.round(referral.referralBonus * rate));
+        remaining -= amount;
+        return { ancestorId: ancestor.ancestorId, depth: ancestor.depth, rate, amount };
+      })
+      .filter(share => share.amount > 0);
+  }
+
+  /**
+   * Preview the split for an arbitrary context, optionally against a draft policy
+   * @param {number} referralBonus - Total referral bonus
+   * @param {Object} context - Commission context
+   * @param {string} policyId - Optional policy ID (defaults to active policy)
+   * @returns {Promise<Object>}
+   */
+  async preview(referralBonus, context, policyId) {
+    const policy = policyId
+      ? await CommissionPolicy.findById(policyId)
+      : await CommissionPolicy.getActive();
+
+    return this.split(referralBonus, policy, context);
+  }
+}
+
+// Create singleton instance
+const commissionEngine = new CommissionEngine();
+
+module.exports = commissionEngine;
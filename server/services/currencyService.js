@@ -23,6 +23,8 @@ class CurrencyService {
     this.cache = new Map();
     /** @type {number} Default TTL in milliseconds (5 minutes) */
     this.defaultTTL = 5 * 60 * 1000;
+    /** @type {number} How long a locked FX quote is honoured in milliseconds (24 hours) */
+    this.quoteTTL = (parseInt(process.env.FX_QUOTE_TTL_MINUTES, 10) || 24 * 60) * 60 * 1000;
     /** @type {string} Base currency */
     this.baseCurrency = 'USD';
     /** @type {Array<string>} Supported currencies */
@@ -254,6 +256,70 @@ class CurrencyService {
     }
   }
 
+  // ==================== FX QUOTES ====================
+
+  /**
+   * Lock the current rate for a conversion for a time window
+   * @param {number} amount - Amount in the source currency
+   * @param {string} fromCurrency - Source currency code
+   * @param {string} toCurrency - Target currency code
+   * @param {Object} [options] - { ttl } lock window in milliseconds
+   * @returns {Promise<Object>} Quote { sourceAmount, sourceCurrency, targetCurrency, rate, convertedAmount, rateUpdatedAt, quotedAt, expiresAt }
+   * @throws {Error} If exchange rate not found
+   */
+  async lockQuote(amount, fromCurrency, toCurrency, options = {}) {
+    const conversion = await this.convert(amount, fromCurrency, toCurrency);
+    const quotedAt = new Date();
+
+    return {
+      sourceAmount: amount,
+      sourceCurrency: conversion.fromCurrency,
+      targetCurrency: conversion.toCurrency,
+      rate: conversion.rate,
+      convertedAmount: this.roundAmount(conversion.amount, conversion.toCurrency),
+      rateUpdatedAt: conversion.lastUpdated,
+      quotedAt,
+      expiresAt: new Date(quotedAt.getTime() + (options.ttl || this.quoteTTL)),
+    };
+  }
+
+  /**
+   * Check whether a locked quote can still be used
+   * @param {Object} quote - Quote from lockQuote
+   * @param {Date} [now] - Current time
+   * @returns {boolean}
+   */
+  isQuoteValid(quote, now = new Date()) {
+    return Boolean(quote && quote.rate && quote.expiresAt && new Date(quote.expiresAt) > now);
+  }
+
+  /**
+   * Realised FX gain (positive) or loss (negative) on settling a quote, in the
+   * source currency: what the settled amount was locked at, less what it cost
+   * at the market rate on settlement
+   * @param {Object} quote - Locked quote
+   * @param {number} settledAmount - Amount paid in the target currency
+   * @param {number} settlementRate - Market rate at settlement
+   * @returns {number}
+   */
+  getRealisedGainLoss(quote, settledAmount, settlementRate) {
+    const lockedValue = settledAmount / quote.rate;
+    const marketValue = settledAmount / settlementRate;
+    return this.roundAmount(lockedValue - marketValue, quote.sourceCurrency);
+  }
+
+  /**
+   * Round an amount to a currency's minor units
+   * @param {number} amount - Amount
+   * @param {string} currencyCode - Currency code
+   * @returns {number}
+   */
+  roundAmount(amount, currencyCode) {
+    const info = this.currencyInfo[currencyCode.toUpperCase()];
+    const factor = 10 ** (info ? info.decimals : 2);
+    return Math.round(amount * factor) / factor;
+  }
+
   // ==================== RATE MANAGEMENT ====================
 
   /**
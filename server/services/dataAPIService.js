@@ -1,5 +1,7 @@
 // const AnalyticsQuery = require('../models/AnalyticsQuery'); // Model doesn't exist yet
 const { Job, Company, User, Application } = require('../models/index.js');
+const { SUPPRESSION_SOURCES } = require('../models/DataSuppression.js');
+const dataPrivacyService = require('./dataPrivacyService.js');
 const crypto = require('crypto');
 
 class DataAPIService {
@@ -10,6 +12,37 @@ class DataAPIService {
     enterprise: { requestsPerMonth: Infinity, creditsPerRequest: 1 }
   };
 
+  // Minimum cohort and noise rules for aggregate endpoints (see
+  // dataPrivacyService.protectAggregates). Job and company listings are
+  // public postings and are released as they are.
+  static PRIVACY_RULES = {
+    salaries: {
+      records: 'count',
+      key: row => [row.industry, row.role, row.experienceLevel],
+      counts: ['count'],
+      values: ['salaryRange.min', 'salaryRange.max', 'averageSalary.min', 'averageSalary.max', 'median'],
+      spread: row => (row.salaryRange?.max || 0) - (row.salaryRange?.min || 0)
+    },
+    skills: {
+      records: 'demand',
+      key: row => [row.skill],
+      counts: ['demand', 'industryCount'],
+      values: ['avgSalary']
+    },
+    locations: {
+      records: 'jobCount',
+      key: row => [row.location],
+      counts: ['jobCount', 'companyCount', 'industries'],
+      values: ['avgSalary']
+    },
+    industries: {
+      records: 'jobCount',
+      key: row => [row.industry],
+      counts: ['jobCount', 'companyCount', 'locationCount'],
+      values: ['avgSalary']
+    }
+  };
+
   // Execute data API query
   static async executeQuery(endpoint, queryParams, customerId, customerType, apiKeyId, tier = 'free') {
     const startTime = Date.now();
@@ -49,6 +82,15 @@ class DataAPIService {
           throw new Error(`Unknown endpoint: ${endpoint}`);
       }
 
+      // Suppress small cohorts before anything is released
+      const { data, privacy } = await this.protectResult(endpoint, result, {
+        customerId,
+        customerType,
+        apiKeyId,
+        query: queryParams
+      });
+      result = data;
+
       const executionTime = Date.now() - startTime;
       const creditsUsed = this.calculateCredits(endpoint, result);
 
@@ -72,7 +114,8 @@ class DataAPIService {
           executionTime,
           creditsUsed,
           remainingCredits: rateLimitCheck.remaining - creditsUsed,
-          resultCount: Array.isArray(result) ? result.length : 1
+          resultCount: Array.isArray(result) ? result.length : 1,
+          privacy
         }
       };
     } catch (error) {
@@ -95,6 +138,36 @@ class DataAPIService {
     }
   }
 
+  // Apply k-anonymity (and noise, when enabled) to an endpoint's result and
+  // audit what was suppressed
+  static async protectResult(endpoint, result, release) {
+    const policy = dataPrivacyService.getPolicy();
+    let released;
+
+    if (endpoint === 'candidates') {
+      released = dataPrivacyService.kAnonymize(result, candidate => this.getCandidateQuasiIdentifiers(candidate), policy);
+    } else if (this.PRIVACY_RULES[endpoint]) {
+      released = dataPrivacyService.protectAggregates(result, this.PRIVACY_RULES[endpoint], policy);
+    } else {
+      return { data: result, privacy: null };
+    }
+
+    await dataPrivacyService.recordSuppression({
+      source: SUPPRESSION_SOURCES.DATA_API,
+      endpoint,
+      ...release
+    }, released, policy);
+
+    return {
+      data: released.rows,
+      privacy: {
+        minCohortSize: policy.k,
+        suppressed: released.suppressed,
+        noise: policy.noise
+      }
+    };
+  }
+
   // Generate unique query ID
   static generateQueryId() {
     return 'QRY-' + crypto.randomBytes(6).toString('hex').toUpperCase();
@@ -487,10 +560,23 @@ class DataAPIService {
     delete candidateObj.firstName;
     delete candidateObj.lastName;
     delete candidateObj.__v;
+
+    // Generalize quasi-identifiers so candidates fall into larger cohorts
+    if (candidateObj.yearsOfExperience !== undefined) {
+      candidateObj.yearsOfExperience = dataPrivacyService.band(candidateObj.yearsOfExperience, [0, 3, 6, 11, 16]);
+    }
+    if (typeof candidateObj.expectedSalary === 'number') {
+      candidateObj.expectedSalary = Math.round(candidateObj.expectedSalary / 100000) * 100000;
+    }
     
     return candidateObj;
   }
 
+  // Candidate fields that could identify a person when combined
+  static getCandidateQuasiIdentifiers(candidate) {
+    return [candidate.location, candidate.industry, candidate.yearsOfExperience];
+  }
+
   // Get API usage stats
   static async getUsageStats(customerId, customerType, period = '30d') {
     try {
@@ -619,6 +705,11 @@ class DataAPIService {
         }
       ],
       rateLimits: this.RATE_LIMITS,
+      privacy: {
+        minCohortSize: dataPrivacyService.minCohortSize,
+        noise: dataPrivacyService.noise,
+        description: 'Aggregates and candidate records are only returned for groups of at least minCohortSize; smaller groups are left out and counted in meta.privacy.suppressed'
+      },
       authentication: 'API Key required in header: X-API-Key'
     };
   }
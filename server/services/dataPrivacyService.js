@@ -0,0 +1,240 @@
+/**
+ * Data Privacy Service
+ * Protects market data sold through the Data API, data products and report
+ * queries. Aggregates are only released for cohorts of at least k records
+ * (k-anonymity); smaller groups are suppressed and the suppression is
+ * audited. Counts and salary figures can also be released with Laplace
+ * noise. The noise for a figure is derived from the figure itself, so
+ * asking the same question again returns the same answer rather than a
+ * fresh sample that could be averaged away.
+ */
+
+const crypto = require('crypto');
+const DataSuppression = require('../models/DataSuppression.js');
+
+// Smallest cohort released when DATA_PRIVACY_MIN_COHORT is not set
+const DEFAULT_MIN_COHORT = 5;
+
+// Privacy budget per released figure when DATA_PRIVACY_EPSILON is not set
+const DEFAULT_EPSILON = 1;
+
+const get = (obj, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+
+const set = (obj, path, value) => {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((item, key) => (item == null ? undefined : item[key]), obj);
+  if (parent != null) parent[keys[keys.length - 1]] = value;
+};
+
+class DataPrivacyService {
+  constructor() {
+    this.minCohortSize = parseInt(process.env.DATA_PRIVACY_MIN_COHORT, 10) || DEFAULT_MIN_COHORT;
+    this.noise = process.env.DATA_PRIVACY_NOISE === 'true';
+    this.epsilon = parseFloat(process.env.DATA_PRIVACY_EPSILON) || DEFAULT_EPSILON;
+    // Noise is keyed on a stable secret of its own; a per-process random one
+    // would give fresh samples after every restart, and a shared one would
+    // expose it through the released figures
+    this.noiseSecret = process.env.DATA_PRIVACY_NOISE_SECRET;
+    if (this.noise && !this.noiseSecret) {
+      console.warn('[DataPrivacyService] DATA_PRIVACY_NOISE is on but DATA_PRIVACY_NOISE_SECRET is not set; noisy releases will fail');
+    }
+  }
+
+  // ==================== POLICY ====================
+
+  /**
+   * Privacy policy for a release; a data product can be stricter than the
+   * platform settings but never looser
+   * @param {Object} overrides - { minCohortSize, noise, epsilon } e.g. DataProduct.privacy
+   * @returns {Object} { k, noise, epsilon }
+   */
+  getPolicy(overrides = {}) {
+    const epsilon = overrides.epsilon > 0 ? Math.min(overrides.epsilon, this.epsilon) : this.epsilon;
+
+    return {
+      k: Math.max(this.minCohortSize, parseInt(overrides.minCohortSize, 10) || 0),
+      noise: this.noise || overrides.noise === true,
+      epsilon,
+    };
+  }
+
+  // ==================== AGGREGATES ====================
+
+  /**
+   * Suppress groups smaller than k and add noise to the figures released
+   * @param {Array<Object>} rows - Aggregate rows, updated in place
+   * @param {Object} rule - How to read the rows
+   *   records: path of the number of records in the group
+   *   key: row => values identifying the group, used to derive noise
+   *   counts: paths of counts (sensitivity 1)
+   *   values: paths of sums, averages and extremes, such as salaries
+   *   spread: row => range of the underlying values (defaults to the value)
+   * @param {Object} policy - getPolicy result
+   * @returns {Object} { rows, total, suppressed }
+   */
+  protectAggregates(rows, rule, policy) {
+    const released = [];
+
+    for (const row of rows || []) {
+      const records = Number(get(row, rule.records)) || 0;
+      if (records < policy.k) continue;
+
+      if (policy.noise) {
+        this.addNoise(row, rule, policy, records);
+      }
+      released.push(row);
+    }
+
+    return {
+      rows: released,
+      total: (rows || []).length,
+      suppressed: (rows || []).length - released.length,
+    };
+  }
+
+  /**
+   * Add Laplace noise to a row's counts and values
+   */
+  addNoise(row, rule, policy, records) {
+    const key = JSON.stringify(rule.key ? rule.key(row) : []);
+    const spread = rule.spread ? Math.abs(rule.spread(row)) || null : null;
+
+    (rule.counts || []).forEach(path => {
+      const value = get(row, path);
+      if (typeof value !== 'number') return;
+      const noisy = value + this.laplace(1 / policy.epsilon, `${key}|${path}|${value}`);
+      set(row, path, Math.max(0, Math.round(noisy)));
+    });
+
+    (rule.values || []).forEach(path => {
+      const value = get(row, path);
+      if (typeof value !== 'number') return;
+      // One record moves an average by at most the spread over the group size
+      const sensitivity = (spread || Math.abs(value)) / records;
+      const noisy = value + this.laplace(sensitivity / policy.epsilon, `${key}|${path}|${value}`);
+      set(row, path, Math.max(0, Math.round(noisy * 100) / 100));
+    });
+  }
+
+  /**
+   * Laplace-distributed noise, derived deterministically from a seed
+   * @param {number} scale - Scale (sensitivity / epsilon)
+   * @param {string} seed - Seed
+   * @returns {number}
+   */
+  laplace(scale, seed) {
+    if (!(scale > 0)) return 0;
+    if (!this.noiseSecret) {
+      throw new Error('Data privacy noise secret is not configured (DATA_PRIVACY_NOISE_SECRET)');
+    }
+
+    const digest = crypto.createHmac('sha256', this.noiseSecret).update(seed).digest();
+    // Uniform in (-0.5, 0.5), never exactly ±0.5
+    const uniform = (digest.readUIntBE(0, 6) + 0.5) / 2 ** 48 - 0.5;
+
+    return -scale * Math.sign(uniform) * Math.log(1 - 2 * Math.abs(uniform));
+  }
+
+  // ==================== RECORDS ====================
+
+  /**
+   * Release only records whose quasi-identifiers are shared by at least k
+   * records of the release
+   * @param {Array<Object>} rows - Records, already generalized
+   * @param {Function} quasiIdentifiers - row => values that could identify a person
+   * @param {Object} policy - getPolicy result
+   * @returns {Object} { rows, total, suppressed }
+   */
+  kAnonymize(rows, quasiIdentifiers, policy) {
+    const key = row => JSON.stringify(quasiIdentifiers(row));
+    const sizes = new Map();
+    (rows || []).forEach(row => sizes.set(key(row), (sizes.get(key(row)) || 0) + 1));
+
+    const released = (rows || []).filter(row => sizes.get(key(row)) >= policy.k);
+
+    return {
+      rows: released,
+      total: (rows || []).length,
+      suppressed: (rows || []).length - released.length,
+    };
+  }
+
+  /**
+   * A number as the band it falls in, e.g. 7 => '6-10'
+   * @param {number} value - Value
+   * @param {Array<number>} bounds - Lower bounds of each band, ascending
+   * @returns {string|null}
+   */
+  band(value, bounds) {
+    if (typeof value !== 'number' || Number.isNaN(value)) return null;
+
+    const index = bounds.findIndex((bound, i) => value >= bound && (i === bounds.length - 1 || value < bounds[i + 1]));
+    if (index === -1) return `<${bounds[0]}`;
+    if (index === bounds.length - 1) return `${bounds[index]}+`;
+    return `${bounds[index]}-${bounds[index + 1] - 1}`;
+  }
+
+  // ==================== AUDIT ====================
+
+  /**
+   * Record a release in which data was suppressed; releases without
+   * suppression are not recorded
+   * @param {Object} release - { source, endpoint, customerId, customerType, apiKeyId, reportId, query }
+   * @param {Object} result - protectAggregates or kAnonymize result
+   * @param {Object} policy - getPolicy result
+   * @returns {Promise<Object|null>} DataSuppression
+   */
+  async recordSuppression(release, result, policy) {
+    if (!result || result.suppressed === 0) return null;
+
+    try {
+      return await DataSuppression.create({
+        source: release.source,
+        endpoint: release.endpoint,
+        customerId: release.customerId,
+        customerType: release.customerType,
+        apiKeyId: release.apiKeyId,
+        reportId: release.reportId,
+        query: release.query ? JSON.stringify(release.query).slice(0, 2000) : undefined,
+        minCohortSize: policy.k,
+        totalGroups: result.total,
+        suppressedGroups: result.suppressed,
+        fullySuppressed: result.rows.length === 0,
+        noise: policy.noise,
+        epsilon: policy.noise ? policy.epsilon : undefined,
+      });
+    } catch (error) {
+      console.error('[DataPrivacy] Failed to record suppression:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Recent suppressions, newest first
+   * @param {Object} filters - { source, endpoint, customerId, startDate, endDate }
+   * @param {Object} options - { skip, limit }
+   * @returns {Promise<Array<Object>>}
+   */
+  async getSuppressions(filters = {}, options = {}) {
+    const query = {};
+    if (filters.source) query.source = filters.source;
+    if (filters.endpoint) query.endpoint = filters.endpoint;
+    if (filters.customerId) query.customerId = filters.customerId;
+    if (filters.startDate || filters.endDate) {
+      query.createdAt = {};
+      if (filters.startDate) query.createdAt.$gte = new Date(filters.startDate);
+      if (filters.endDate) query.createdAt.$lte = new Date(filters.endDate);
+    }
+
+    return DataSuppression.find(query)
+      .sort({ createdAt: -1 })
+      .skip(options.skip || 0)
+      .limit(Math.min(options.limit || 50, 200))
+      .lean();
+  }
+}
+
+// Export singleton instance
+const dataPrivacyService = new DataPrivacyService();
+module.exports = dataPrivacyService;
+module.exports.DataPrivacyService = DataPrivacyService;
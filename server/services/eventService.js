@@ -6,6 +6,7 @@
 const { Event, EVENT_STATUS, EVENT_FORMATS, ATTENDEE_STATUS } = require('../models/Event.js');
 const { PublicProfile } = require('../models/PublicProfile.js');
 const NotificationService = require('./notificationService.js');
+const { buildICalendar } = require('../utils/ical.js');
 const { createCanvas } = require('canvas');
 
 class EventService {
@@ -380,10 +381,6 @@ class EventService {
         throw new Error('Event not found');
       }
 
-      const formatDate = (date) => {
-        return date.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
-      };
-
       let location = '';
       if (event.format === EVENT_FORMATS.PHYSICAL && event.location) {
         location = `${event.location.venue}, ${event.location.address?.city}`;
@@ -391,21 +388,18 @@ class EventService {
         location = 'Virtual Event';
       }
 
-      const icalContent = [
-        'BEGIN:VCALENDAR',
-        'VERSION:2.0',
-        'PRODID:-//TRM Platform//Event Calendar//EN',
-        'BEGIN:VEVENT',
-        `UID:${event.eventId}@trm-platform.com`,
-        `DTSTART:${formatDate(event.startDate)}`,
-        `DTEND:${formatDate(event.endDate)}`,
-        `SUMMARY:${event.title}`,
-        `DESCRIPTION:${event.shortDescription || event.description?.substring(0, 200)}`,
-        `LOCATION:${location}`,
-        `ORGANIZER;CN=${event.organizerId?.name || 'Organizer'}:mailto:${event.organizerId?.email || 'events@trm-platform.com'}`,
-        'END:VEVENT',
-        'END:VCALENDAR',
-      ].join('\r\n');
+      const icalContent = buildICalendar({
+        uid: `${event.eventId}@trm-platform.com`,
+        start: event.startDate,
+        end: event.endDate,
+        summary: event.title,
+        description: event.shortDescription || event.description?.substring(0, 200),
+        location,
+        organizer: {
+          name: event.organizerId?.name,
+          email: event.organizerId?.email,
+        },
+      });
 
       return icalContent;
     } catch (error) {
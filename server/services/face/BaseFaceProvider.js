@@ -0,0 +1,73 @@
+/**
+ * BaseFaceProvider
+ * Abstract base class for face comparison and passive liveness providers
+ * used to verify KYC selfies against ID documents
+ * Defines the contract that all face providers must implement
+ */
+
+class BaseFaceProvider {
+  constructor(config = {}) {
+    this.name = config.name || 'base';
+    this.config = config;
+
+    // MIME types the provider can read
+    this.supportedTypes = config.supportedTypes || ['image/jpeg', 'image/jpg', 'image/png'];
+
+    // Validate configuration
+    this.validateConfig();
+  }
+
+  /**
+   * Validate provider configuration
+   * @throws {Error} If configuration is invalid
+   */
+  validateConfig() {
+    throw new Error('validateConfig() must be implemented by subclass');
+  }
+
+  /**
+   * Detect faces in an image and rate its quality
+   * @param {string} filePath - Path of the stored image
+   * @returns {Promise<Object>} { faces: [{ confidence (0-100), box }], quality: { brightness, sharpness, contrast } }
+   */
+  async detect(filePath) {
+    throw new Error('detect() must be implemented by subclass');
+  }
+
+  /**
+   * Compare the face in a selfie with the face on an ID document
+   * @param {string} selfiePath - Path of the selfie
+   * @param {string} idPath - Path of the ID document image
+   * @returns {Promise<Object>} { score (0-100, or null when the provider cannot score), selfieFaces, idFaces, details }
+   */
+  async compare(selfiePath, idPath) {
+    throw new Error('compare() must be implemented by subclass');
+  }
+
+  /**
+   * Passive liveness: how likely a single selfie shows a live person rather
+   * than a printed photo or a screen
+   * @param {string} filePath - Path of the selfie
+   * @returns {Promise<Object>} { score (0-100, or null when the provider cannot score), checks }
+   */
+  async checkLiveness(filePath) {
+    throw new Error('checkLiveness() must be implemented by subclass');
+  }
+
+  /**
+   * Release models and other resources held by the provider
+   * @returns {Promise<void>}
+   */
+  async terminate() {}
+
+  /**
+   * Whether the provider can read files of a MIME type
+   * @param {string} mimeType
+   * @returns {boolean}
+   */
+  supports(mimeType) {
+    return this.supportedTypes.includes(mimeType);
+  }
+}
+
+module.exports = BaseFaceProvider;
@@ -0,0 +1,310 @@
+/**
+ * LocalFaceProvider
+ * Compares faces on the CPU with face-api (SSD MobileNet detection, 68-point
+ * landmarks and 128-d face descriptors) on the TensorFlow.js WebAssembly
+ * backend, using the models bundled with @vladmandic/face-api.
+ *
+ * Liveness is a passive heuristic over the selfie alone (a single, large,
+ * sharp, evenly lit face in natural colour) that screens out the common
+ * printed-photo and screen-replay attempts. It is not certified
+ * presentation attack detection; register a vendor adapter where that is
+ * required.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const BaseFaceProvider = require('./BaseFaceProvider');
+
+// Images are scaled down to this many pixels on the longer side before analysis
+const MAX_DIMENSION = 1024;
+
+// face-api's cutoff: descriptors closer than this are the same person. The
+// similarity score is 50 here, 100 at zero distance and 0 at twice this.
+const SAME_PERSON_DISTANCE = 0.6;
+
+// Weights of the liveness checks in the liveness score
+const LIVENESS_WEIGHTS = {
+  detection: 0.2,
+  faceSize: 0.15,
+  sharpness: 0.25,
+  glare: 0.15,
+  colour: 0.15,
+  exposure: 0.1,
+};
+
+const clamp = value => Math.max(0, Math.min(1, value));
+
+class LocalFaceProvider extends BaseFaceProvider {
+  constructor(config = {}) {
+    super({
+      name: 'local',
+      ...config
+    });
+
+    this.modelPath = config.modelPath || path.join(path.dirname(require.resolve('@vladmandic/face-api/package.json')), 'model');
+    this.minDetectionConfidence = config.minDetectionConfidence || 0.5;
+    this.faceapi = null;
+    this.loading = null;
+  }
+
+  validateConfig() {
+    if (this.config.minDetectionConfidence !== undefined &&
+        !(this.config.minDetectionConfidence > 0 && this.config.minDetectionConfidence < 1)) {
+      throw new Error('Local face provider: minDetectionConfidence must be between 0 and 1');
+    }
+  }
+
+  /**
+   * Load the WebAssembly backend and models once; takes a few seconds
+   * @returns {Promise<Object>} face-api
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        const faceapi = require('@vladmandic/face-api/dist/face-api.node-wasm.js');
+        await faceapi.tf.setBackend('wasm');
+        await faceapi.tf.ready();
+        await Promise.all([
+          faceapi.nets.ssdMobilenetv1.loadFromDisk(this.modelPath),
+          faceapi.nets.faceLandmark68Net.loadFromDisk(this.modelPath),
+          faceapi.nets.faceRecognitionNet.loadFromDisk(this.modelPath),
+        ]);
+        this.faceapi = faceapi;
+        return faceapi;
+      })().catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async detect(filePath) {
+    const { image, faces } = await this.analyze(filePath);
+    const face = largest(faces);
+
+    return {
+      faces: faces.map(({ confidence, box }) => ({ confidence, box })),
+      quality: measure(image, face ? face.box : null),
+    };
+  }
+
+  async compare(selfiePath, idPath) {
+    const faceapi = await this.load();
+    const [selfie, id] = await Promise.all([this.analyze(selfiePath), this.analyze(idPath)]);
+    const selfieFace = largest(selfie.faces);
+    const idFace = largest(id.faces);
+
+    if (!selfieFace || !idFace) {
+      return { score: 0, selfieFaces: selfie.faces.length, idFaces: id.faces.length, details: { reason: 'face_not_found' } };
+    }
+
+    const distance = faceapi.euclideanDistance(selfieFace.descriptor, idFace.descriptor);
+    return {
+      score: this.scoreDistance(distance),
+      selfieFaces: selfie.faces.length,
+      idFaces: id.faces.length,
+      details: { distance: Math.round(distance * 1000) / 1000 },
+    };
+  }
+
+  /**
+   * Similarity score (0-100) for a descriptor distance
+   * @param {number} distance - Euclidean distance between face descriptors
+   * @returns {number}
+   */
+  scoreDistance(distance) {
+    return Math.round(100 * clamp(1 - distance / (2 * SAME_PERSON_DISTANCE)));
+  }
+
+  async checkLiveness(filePath) {
+    const { image, faces } = await this.analyze(filePath);
+
+    if (faces.length !== 1) {
+      return { score: 0, checks: { faceCount: faces.length } };
+    }
+
+    const face = faces[0];
+    const quality = measure(image, face.box);
+    const faceShare = (face.box.width * face.box.height) / (image.width * image.height);
+
+    const checks = {
+      faceCount: 1,
+      detection: clamp(face.confidence / 100),
+      // Selfies are taken at arm's length; a small face suggests a photo of a photo
+      faceSize: clamp(faceShare / 0.08),
+      // Prints and screens photographed again lose fine detail
+      sharpness: clamp(quality.sharpness / 40),
+      // Screens and glossy prints reflect flash and room lights
+      glare: clamp(1 - quality.glare / 0.05),
+      // Skin keeps its colour; grey or washed-out faces suggest copies
+      colour: clamp(quality.saturation / 0.15),
+      exposure: quality.brightness < 20 ? quality.brightness / 20 : quality.brightness > 90 ? (100 - quality.brightness) / 10 : 1,
+    };
+
+    const score = Object.entries(LIVENESS_WEIGHTS).reduce((sum, [check, weight]) => sum + checks[check] * weight, 0);
+
+    Object.keys(LIVENESS_WEIGHTS).forEach(check => {
+      checks[check] = Math.round(checks[check] * 100);
+    });
+
+    return { score: Math.round(score * 100), checks };
+  }
+
+  /**
+   * Decode an image and find its faces with their descriptors
+   * @param {string} filePath
+   * @returns {Promise<Object>} { image: { width, height, data (RGB) }, faces: [{ confidence, box, descriptor }] }
+   */
+  async analyze(filePath) {
+    const faceapi = await this.load();
+    const image = downscale(decode(await fs.readFile(filePath)));
+
+    const tensor = faceapi.tf.tensor3d(image.data, [image.height, image.width, 3], 'int32');
+    try {
+      const results = await faceapi
+        .detectAllFaces(tensor, new faceapi.SsdMobilenetv1Options({ minConfidence: this.minDetectionConfidence }))
+        .withFaceLandmarks()
+        .withFaceDescriptors();
+
+      const faces = results.map(result => {
+        const { x, y, width, height } = result.detection.box;
+        return {
+          confidence: Math.round(result.detection.score * 100),
+          box: { x: Math.round(x), y: Math.round(y), width: Math.round(width), height: Math.round(height) },
+          descriptor: result.descriptor,
+        };
+      });
+
+      return { image, faces };
+    } finally {
+      tensor.dispose();
+    }
+  }
+}
+
+/**
+ * Decode a JPEG or PNG file into RGB pixels
+ * @param {Buffer} buffer
+ * @returns {Object} { width, height, data }
+ */
+function decode(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    const jpeg = require('jpeg-js');
+    const { width, height, data } = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: false, maxMemoryUsageInMB: 256 });
+    return { width, height, data };
+  }
+
+  if (buffer.slice(1, 4).toString() === 'PNG') {
+    const { PNG } = require('pngjs');
+    const png = PNG.sync.read(buffer);
+    const data = new Uint8Array(png.width * png.height * 3);
+    for (let i = 0, j = 0; i < png.data.length; i += 4, j += 3) {
+      data[j] = png.data[i];
+      data[j + 1] = png.data[i + 1];
+      data[j + 2] = png.data[i + 2];
+    }
+    return { width: png.width, height: png.height, data };
+  }
+
+  throw new Error('Local face provider reads JPEG and PNG images only');
+}
+
+/**
+ * Scale an image down (nearest neighbour) so neither side exceeds MAX_DIMENSION
+ * @param {Object} image - { width, height, data }
+ * @returns {Object}
+ */
+function downscale(image) {
+  const factor = Math.max(image.width, image.height) / MAX_DIMENSION;
+  if (factor <= 1) return image;
+
+  const width = Math.round(image.width / factor);
+  const height = Math.round(image.height / factor);
+  const data = new Uint8Array(width * height * 3);
+
+  for (let y = 0; y < height; y++) {
+    const sourceRow = Math.min(image.height - 1, Math.floor(y * factor)) * image.width;
+    for (let x = 0; x < width; x++) {
+      const source = (sourceRow + Math.min(image.width - 1, Math.floor(x * factor))) * 3;
+      const target = (y * width + x) * 3;
+      data[target] = image.data[source];
+      data[target + 1] = image.data[source + 1];
+      data[target + 2] = image.data[source + 2];
+    }
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * Image quality over a region (the face, or the whole image)
+ * @param {Object} image - { width, height, data }
+ * @param {Object|null} box - { x, y, width, height }
+ * @returns {Object} { brightness, contrast, sharpness (0-100), glare, saturation (0-1) }
+ */
+function measure(image, box) {
+  const x0 = Math.max(1, box ? box.x : 0);
+  const y0 = Math.max(1, box ? box.y : 0);
+  const x1 = Math.min(image.width - 1, box ? box.x + box.width : image.width);
+  const y1 = Math.min(image.height - 1, box ? box.y + box.height : image.height);
+  const gray = (x, y) => {
+    const i = (y * image.width + x) * 3;
+    return 0.299 * image.data[i] + 0.587 * image.data[i + 1] + 0.114 * image.data[i + 2];
+  };
+
+  let count = 0;
+  let sum = 0;
+  let squares = 0;
+  let laplacianSum = 0;
+  let laplacianSquares = 0;
+  let glare = 0;
+  let saturation = 0;
+
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const i = (y * image.width + x) * 3;
+      const r = image.data[i];
+      const g = image.data[i + 1];
+      const b = image.data[i + 2];
+      const value = gray(x, y);
+      const laplacian = 4 * value - gray(x - 1, y) - gray(x + 1, y) - gray(x, y - 1) - gray(x, y + 1);
+      const max = Math.max(r, g, b);
+
+      count++;
+      sum += value;
+      squares += value * value;
+      laplacianSum += laplacian;
+      laplacianSquares += laplacian * laplacian;
+      if (r > 245 && g > 245 && b > 245) glare++;
+      if (max > 0) saturation += (max - Math.min(r, g, b)) / max;
+    }
+  }
+
+  if (count === 0) {
+    return { brightness: 0, contrast: 0, sharpness: 0, glare: 0, saturation: 0 };
+  }
+
+  const mean = sum / count;
+  const variance = squares / count - mean * mean;
+  const laplacianVariance = laplacianSquares / count - (laplacianSum / count) ** 2;
+
+  return {
+    brightness: Math.round(mean / 2.55),
+    contrast: Math.round(Math.min(100, Math.sqrt(Math.max(0, variance)) / 0.8)),
+    sharpness: Math.round(Math.min(100, laplacianVariance / 5)),
+    glare: Math.round((glare / count) * 1000) / 1000,
+    saturation: Math.round((saturation / count) * 1000) / 1000,
+  };
+}
+
+/**
+ * Largest face by area
+ * @param {Array<Object>} faces
+ * @returns {Object|null}
+ */
+function largest(faces) {
+  return faces.reduce((best, face) => (!best || face.box.width * face.box.height > best.box.width * best.box.height ? face : best), null);
+}
+
+module.exports = LocalFaceProvider;
@@ -0,0 +1,38 @@
+/**
+ * ManualFaceProvider
+ * Scores nothing: every selfie is compared with its ID document by a
+ * reviewer. Used where no face provider is deployed and for files the
+ * configured provider cannot read.
+ */
+
+const BaseFaceProvider = require('./BaseFaceProvider');
+
+class ManualFaceProvider extends BaseFaceProvider {
+  constructor(config = {}) {
+    super({
+      name: 'manual',
+      supportedTypes: [],
+      ...config
+    });
+  }
+
+  validateConfig() {}
+
+  async detect() {
+    return { faces: [], quality: null };
+  }
+
+  async compare() {
+    return { score: null, selfieFaces: null, idFaces: null, details: {} };
+  }
+
+  async checkLiveness() {
+    return { score: null, checks: {} };
+  }
+
+  supports() {
+    return true;
+  }
+}
+
+module.exports = ManualFaceProvider;
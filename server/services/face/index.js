@@ -0,0 +1,83 @@
+/**
+ * Face Verification
+ * Selects the provider that compares KYC selfies with ID documents and
+ * checks liveness, from the environment:
+ *   KYC_FACE_PROVIDER=local (default) - on-CPU face-api models, heuristic passive liveness
+ *   KYC_FACE_PROVIDER=manual          - no scoring, every selfie goes to review
+ * Commercial vendors plug in with registerFaceProvider(name, factory) and
+ * are selected by the same variable.
+ */
+
+const BaseFaceProvider = require('./BaseFaceProvider');
+const LocalFaceProvider = require('./LocalFaceProvider');
+const ManualFaceProvider = require('./ManualFaceProvider');
+
+// Vendor adapters: name -> factory(env) returning a BaseFaceProvider
+const vendors = new Map();
+
+let provider = null;
+
+/**
+ * Register a vendor adapter
+ * @param {string} name - Value of KYC_FACE_PROVIDER that selects it
+ * @param {Function} factory - (env) => BaseFaceProvider
+ */
+function registerFaceProvider(name, factory) {
+  const key = name.toLowerCase();
+  if (key === 'local' || key === 'manual') {
+    throw new Error(`Face provider name is reserved: ${name}`);
+  }
+  vendors.set(key, factory);
+}
+
+/**
+ * Create a face provider from configuration
+ * @param {Object} env - Environment variables
+ * @returns {BaseFaceProvider}
+ */
+function createFaceProvider(env = process.env) {
+  const name = (env.KYC_FACE_PROVIDER || 'local').toLowerCase();
+
+  switch (name) {
+    case 'local':
+      return new LocalFaceProvider({
+        modelPath: env.KYC_FACE_MODEL_PATH,
+      });
+    case 'manual':
+      return new ManualFaceProvider();
+    default:
+      if (vendors.has(name)) {
+        return vendors.get(name)(env);
+      }
+      throw new Error(`Unknown face provider: ${name}`);
+  }
+}
+
+/**
+ * Shared face provider, created on first use
+ * @returns {BaseFaceProvider}
+ */
+function getFaceProvider() {
+  if (!provider) {
+    provider = createFaceProvider();
+  }
+  return provider;
+}
+
+/**
+ * Replace the shared face provider (tests, scripts)
+ * @param {BaseFaceProvider|null} faceProvider
+ */
+function setFaceProvider(faceProvider) {
+  provider = faceProvider;
+}
+
+module.exports = {
+  createFaceProvider,
+  getFaceProvider,
+  setFaceProvider,
+  registerFaceProvider,
+  BaseFaceProvider,
+  LocalFaceProvider,
+  ManualFaceProvider,
+};
@@ -13,6 +13,7 @@ const {
   Job,
   Referral,
 } = require('../models/index.js');
+const commissionEngine = require('./commissionEngine.js');
 
 class FeatureGateService {
   constructor() {
@@ -153,13 +154,6 @@ class FeatureGateService {
       },
     };
 
-    // Commission rates by referrer tier
-    this.commissionRates = {
-      free: 50,
-      pro: 70,
-      elite: 85,
-    };
-
     // Payout thresholds by tier (MMK)
     this.payoutThresholds = {
       free: 100000,
@@ -521,21 +515,6 @@ class FeatureGateService {
 
   // ==================== COMMISSION & PAYOUTS ====================
 
-  /**
-   * Get commission rate for referrer
-   * @param {string} userId - User ID
-   * @returns {Promise<number>} Commission rate percentage
-   */
-  async getCommissionRate(userId) {
-    const subscription = await Subscription.findOne({
-      userId,
-      status: { $in: ['active', 'trialing'] },
-    });
-
-    const tier = subscription?.tier || 'free';
-    return this.commissionRates[tier] || this.commissionRates.free;
-  }
-
   /**
    * Get payout threshold for referrer
    * @param {string} userId - User ID
@@ -552,20 +531,22 @@ class FeatureGateService {
   }
 
   /**
-   * Calculate referrer earnings
+   * Calculate referrer earnings under the active commission policy
    * @param {string} userId - User ID
    * @param {number} baseAmount - Base commission amount
    * @returns {Promise<Object>} Earnings calculation
    */
   async calculateEarnings(userId, baseAmount) {
-    const rate = await this.getCommissionRate(userId);
-    const earnings = Math.round(baseAmount * (rate / 100));
+    const { platformCommission, referrerPayout, commissionPolicy } = await commissionEngine.calculateSplit({
+      referralBonus: baseAmount,
+      referrerId: userId,
+    });
 
     return {
       baseAmount,
-      rate,
-      earnings,
-      platformFee: baseAmount - earnings,
+      rate: Math.round((1 - commissionPolicy.platformRate) * 100),
+      earnings: referrerPayout,
+      platformFee: platformCommission,
     };
   }
 
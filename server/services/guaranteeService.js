@@ -0,0 +1,492 @@
+/**
+ * Guarantee Service
+ * Hire guarantee (probation) periods for referral payouts: staged payout
+ * installments released as the guarantee window passes, clawback and
+ * company refund / credit note when a hire leaves early, and retention
+ * risk flags from the retention model.
+ */
+
+const {
+  Referral,
+  Job,
+  Company,
+  User,
+  PayoutRequest,
+  BillingRecord,
+  AuditLog,
+} = require('../models/index.js');
+const { MIN_PAYOUT_AMOUNT } = require('../models/PayoutRequest.js');
+const { billingEngine } = require('./billingEngine.js');
+const ledgerService = require('./ledgerService.js');
+const notificationService = require('./notificationService.js');
+const retentionModel = require('../ml/retentionModel.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Neutral retention signals used when the company has not checked in yet
+const DEFAULT_SIGNALS = {
+  performanceScore: 0.5,
+  salaryCompetitiveness: 1,
+  promotionVelocity: 0,
+  engagementScore: 0.5,
+  marketOpportunity: 0.5,
+};
+
+class GuaranteeService {
+  // ==================== POLICY ====================
+
+  /**
+   * Resolve the guarantee policy for a hire (job override, then company)
+   * @param {Object} job - Job document
+   * @param {Object} company - Company document
+   * @returns {Object} Policy with defaults applied
+   */
+  getPolicy(job, company) {
+    const source = job?.guaranteePolicy || company?.settings?.guaranteePolicy || {};
+    const policy = typeof source.toObject === 'function' ? source.toObject() : source;
+
+    return {
+      guaranteeDays: policy.guaranteeDays || 0,
+      installments: policy.installments || [],
+      companyRemedy: policy.companyRemedy || 'credit_note',
+      refundBasis: policy.refundBasis || 'full',
+      clawbackFromReferrer: policy.clawbackFromReferrer !== false,
+    };
+  }
+
+  /**
+   * Build the payout installment schedule for a hire. Without configured
+   * installments the whole payout is due when the guarantee ends (or at hire
+   * when there is no guarantee). The last installment absorbs rounding.
+   * @param {number} amount - Referrer payout
+   * @param {Object} policy - Guarantee policy
+   * @param {Date} hiredAt - Hire date
+   * @returns {Array} Installments
+   */
+  buildInstallments(amount, policy, hiredAt) {
+    const rules = policy.installments.length > 0
+      ? [...policy.installments].sort((a, b) => a.afterDays - b.afterDays)
+      : [{ percent: 100, afterDays: policy.guaranteeDays }];
+
+    let allocated = 0;
+    return rules.map((rule, index) => {
+      const isLast = index === rules.length - 1;
+      const installmentAmount = isLast ? amount - allocated : Math.round(amount * rule.percent / 100);
+      allocated += installmentAmount;
+
+      return {
+        sequence: index + 1,
+        percent: rule.percent,
+        amount: installmentAmount,
+        dueAt: new Date(new Date(hiredAt).getTime() + rule.afterDays * DAY_MS),
+        status: 'scheduled',
+      };
+    });
+  }
+
+  /**
+   * Load the job and company for a referral
+   * @param {Object} referral - Referral document
+   * @returns {Promise<Object>} { job, company }
+   */
+  async loadContext(referral) {
+    const job = await Job.findById(referral.jobId?._id || referral.jobId).select('title companyId guaranteePolicy');
+    const company = job ? await Company.findById(job.companyId).select('name settings') : null;
+    return { job, company };
+  }
+
+  // ==================== HIRE ====================
+
+  /**
+   * Start the guarantee period and payout schedule when a referral is hired.
+   * The full payout is credited to the referrer's pending balance and moves
+   * to available as installments are released.
+   * @param {Object} referral - Referral document (status hired)
+   * @returns {Promise<Object>} { guarantee, installments, released }
+   */
+  async startGuarantee(referral) {
+    const { job, company } = await this.loadContext(referral);
+    const policy = this.getPolicy(job, company);
+    const hiredAt = referral.hiredAt || new Date();
+
+    referral.payout.installments = this.buildInstallments(referral.referrerPayout, policy, hiredAt);
+    referral.guarantee = {
+      status: policy.guaranteeDays > 0 ? 'active' : 'none',
+      days: policy.guaranteeDays,
+      startsAt: hiredAt,
+      endsAt: new Date(hiredAt.getTime() + policy.guaranteeDays * DAY_MS),
+    };
+    await referral.save();
+
+    await User.findByIdAndUpdate(referral.referrerId, {
+      $inc: {
+        'referrerProfile.pendingBalance': referral.referrerPayout,
+        'referrerProfile.successfulHires': 1,
+      },
+    });
+
+    await ledgerService.recordReferralHire(referral, job?.companyId);
+
+    const released = await this.releaseDueInstallments(referral);
+
+    return {
+      guarantee: referral.guarantee,
+      installments: referral.payout.installments,
+      released,
+    };
+  }
+
+  /**
+   * Release installments whose due date has passed
+   * @param {Object} referral - Referral document
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Amount released
+   */
+  async releaseDueInstallments(referral, now = new Date()) {
+    if (referral.isPayoutOnHold || referral.guarantee?.status === 'breached') {
+      return 0;
+    }
+
+    let released = 0;
+    const releasedInstallments = [];
+    for (const installment of referral.payout.installments) {
+      if (installment.status === 'scheduled' && installment.dueAt <= now) {
+        installment.status = 'released';
+        installment.releasedAt = now;
+        released += installment.amount;
+        releasedInstallments.push(installment);
+      }
+    }
+
+    if (referral.guarantee?.status === 'active' && referral.guarantee.endsAt <= now) {
+      referral.guarantee.status = 'passed';
+    }
+
+    if (released === 0 && !referral.isModified()) {
+      return 0;
+    }
+
+    await referral.save();
+
+    if (released > 0) {
+      await User.findByIdAndUpdate(referral.referrerId, {
+        $inc: {
+          'referrerProfile.pendingBalance': -released,
+          'referrerProfile.availableBalance': released,
+        },
+      });
+
+      for (const installment of releasedInstallments) {
+        await ledgerService.recordInstallmentRelease(referral, installment);
+      }
+    }
+
+    return released;
+  }
+
+  /**
+   * Release all due installments and close passed guarantees (cron)
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { referrals, released }
+   */
+  async processDueInstallments(now = new Date()) {
+    const referrals = await Referral.find({
+      'guarantee.status': { $ne: 'breached' },
+      $or: [
+        { 'payout.installments': { $elemMatch: { status: 'scheduled', dueAt: { $lte: now } } } },
+        { 'guarantee.status': 'active', 'guarantee.endsAt': { $lte: now } },
+      ],
+    });
+
+    let released = 0;
+    for (const referral of referrals) {
+      try {
+        released += await this.releaseDueInstallments(referral, now);
+      } catch (error) {
+        console.error(`[GuaranteeService] Failed to release installments for ${referral.code}:`, error.message);
+      }
+    }
+
+    return { referrals: referrals.length, released };
+  }
+
+  // ==================== RETENTION RISK ====================
+
+  /**
+   * Predict early-attrition risk for a hire inside its guarantee period
+   * @param {Object} referral - Referral document
+   * @param {Object} signals - Company check-in signals (0-1), merged with stored ones
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Retention risk
+   */
+  async assessRisk(referral, signals = {}, now = new Date()) {
+    const guarantee = referral.guarantee;
+    const stored = guarantee.retentionRisk?.signals || {};
+    const merged = { ...DEFAULT_SIGNALS, ...stored, ...signals };
+
+    const elapsed = guarantee.days > 0
+      ? Math.min(1, Math.max(0, (now - guarantee.startsAt) / (guarantee.days * DAY_MS)))
+      : 1;
+
+    const features = { ...merged, tenure: elapsed };
+    const score = Math.round(retentionModel.predict(features));
+    const level = retentionModel.getRiskLevel(score);
+
+    guarantee.retentionRisk = {
+      score,
+      level,
+      factors: retentionModel.getRiskFactors(features).map(factor => factor.factor),
+      flagged: level === 'high',
+      signals: { ...stored, ...signals },
+      assessedAt: now,
+    };
+    referral.markModified('guarantee.retentionRisk');
+    await referral.save();
+
+    return guarantee.retentionRisk;
+  }
+
+  /**
+   * Re-assess every active guarantee (cron)
+   * @returns {Promise<Object>} { assessed, flagged }
+   */
+  async assessActiveGuarantees() {
+    const referrals = await Referral.find({ 'guarantee.status': 'active' });
+
+    let flagged = 0;
+    for (const referral of referrals) {
+      const risk = await this.assessRisk(referral);
+      if (risk.flagged) flagged += 1;
+    }
+
+    return { assessed: referrals.length, flagged };
+  }
+
+  // ==================== EARLY EXIT ====================
+
+  /**
+   * Share of the company fee returned for an early exit
+   * @param {Object} guarantee - Referral guarantee
+   * @param {Object} policy - Guarantee policy
+   * @param {Date} leftAt - Exit date
+   * @returns {number} Fraction 0-1
+   */
+  getRefundFraction(guarantee, policy, leftAt) {
+    if (policy.refundBasis !== 'pro_rata') return 1;
+
+    const total = guarantee.endsAt - guarantee.startsAt;
+    if (total <= 0) return 0;
+    return Math.min(1, Math.max(0, (guarantee.endsAt - leftAt) / total));
+  }
+
+  /**
+   * Record that a hire left during the guarantee period: cancel unreleased
+   * installments, claw back released ones, reject open payout requests for
+   * the referral and refund or credit the company's placement fee.
+   * @param {Object} referral - Referral document
+   * @param {Object} data - { leftAt, reason, user, req }
+   * @returns {Promise<Object>} Clawback summary
+   */
+  async recordEarlyExit(referral, data) {
+    const { reason, user, req } = data;
+    const leftAt = data.leftAt ? new Date(data.leftAt) : new Date();
+    const guarantee = referral.guarantee;
+
+    if (!['active', 'passed'].includes(guarantee?.status) || guarantee.days === 0) {
+      throw new Error('Referral has no guarantee period');
+    }
+    if (leftAt < guarantee.startsAt || leftAt > guarantee.endsAt) {
+      throw new Error('Exit date is outside the guarantee period');
+    }
+
+    // Claim the exit before any money moves, so a retry or a concurrent
+    // report cannot claw back or refund twice
+    const claimed = await Referral.updateOne(
+      { _id: referral._id, 'guarantee.status': guarantee.status },
+      { $set: { 'guarantee.status': 'breached', 'guarantee.leftAt': leftAt } }
+    );
+    if (claimed.modifiedCount === 0) {
+      throw new Error('Early exit has already been recorded for this referral');
+    }
+    guarantee.status = 'breached';
+    guarantee.leftAt = leftAt;
+
+    const { job, company } = await this.loadContext(referral);
+    const policy = this.getPolicy(job, company);
+
+    // Referrer side
+    let cancelledAmount = 0;
+    let releasedAmount = 0;
+    for (const installment of referral.payout.installments) {
+      if (installment.status === 'scheduled') {
+        installment.status = 'cancelled';
+        installment.cancelledAt = new Date();
+        cancelledAmount += installment.amount;
+      } else if (installment.status === 'released') {
+        releasedAmount += installment.amount;
+      }
+    }
+    const referrerAmount = policy.clawbackFromReferrer ? releasedAmount : 0;
+
+    await this.rejectOpenPayoutRequests(referral, user, reason);
+
+    // A negative available balance is recovered from future earnings
+    await User.findByIdAndUpdate(referral.referrerId, {
+      $inc: {
+        'referrerProfile.pendingBalance': -cancelledAmount,
+        'referrerProfile.availableBalance': -referrerAmount,
+      },
+    });
+
+    await ledgerService.recordClawback(referral, job?.companyId, { cancelledAmount, referrerAmount });
+
+    // Company side
+    const companyClawback = await this.applyCompanyRemedy(referral, company, policy, {
+      fraction: this.getRefundFraction(guarantee, policy, leftAt),
+      reason: `Hire left during ${guarantee.days}-day guarantee: ${reason || 'no reason given'}`,
+      user,
+    });
+
+    guarantee.exitReason = reason;
+    guarantee.reportedBy = user?._id;
+    guarantee.clawback = {
+      referrerAmount,
+      cancelledAmount,
+      ...companyClawback,
+      processedAt: new Date(),
+    };
+    referral.payout.holds.push({
+      source: 'guarantee_breach',
+      reason: 'Hire left during the guarantee period',
+    });
+    await referral.save();
+
+    await AuditLog.logUserAction({
+      user,
+      action: 'referral_guarantee_breached',
+      entityType: 'referral',
+      entityId: referral._id,
+      description: `Hire for referral ${referral.code} left on ${leftAt.toISOString().slice(0, 10)}; clawed back ${referrerAmount.toLocaleString()} MMK, company ${companyClawback.companyRemedy} ${companyClawback.companyAmount.toLocaleString()} MMK`,
+      req,
+      companyId: company?._id,
+      severity: 'warning',
+    });
+
+    return guarantee.clawback;
+  }
+
+  /**
+   * Take the referral's share out of pending/approved payout requests that
+   * include it and return that share to the referrer's available balance.
+   * A request left below the payout minimum is rejected.
+   * @param {Object} referral - Referral document
+   * @param {Object} user - Acting user
+   * @param {string} reason - Exit reason
+   * @returns {Promise<Object>} { rejected, adjusted } request counts
+   */
+  async rejectOpenPayoutRequests(referral, user, reason) {
+    const requests = await PayoutRequest.findOpenForReferral(referral._id);
+
+    const rejectionReason = `Referral ${referral.code}: hire left during the guarantee period${reason ? ` (${reason})` : ''}`;
+    const result = { rejected: 0, adjusted: 0 };
+
+    for (const request of requests) {
+      const share = request.referrals
+        .filter(item => item.referralId.toString() === referral._id.toString())
+        .reduce((sum, item) => sum + item.amount, 0);
+
+      let returned;
+      // The rest of the request must still clear the payout minimum
+      if (request.amount - share >= MIN_PAYOUT_AMOUNT) {
+        returned = await request.removeReferral(referral._id, rejectionReason);
+        result.adjusted++;
+      } else {
+        await request.reject(user?._id, rejectionReason);
+        returned = request.amount;
+        result.rejected++;
+
+        await notificationService.sendPayoutNotification(request.referrerId, request._id, 'rejected', {
+          amount: request.amount,
+          requestNumber: request.requestNumber,
+          rejectionReason,
+        });
+      }
+
+      await User.findByIdAndUpdate(request.referrerId, {
+        $inc: {
+          'referrerProfile.availableBalance': returned,
+          'referrerProfile.pendingBalance': -returned,
+        },
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Refund or credit the company's placement fee for an early exit
+   * @param {Object} referral - Referral document
+   * @param {Object} company - Company document
+   * @param {Object} policy - Guarantee policy
+   * @param {Object} options - { fraction, reason, user }
+   * @returns {Promise<Object>} { companyRemedy, companyAmount, invoiceId, creditNoteId }
+   */
+  async applyCompanyRemedy(referral, company, policy, options) {
+    const { fraction, reason, user } = options;
+    const result = { companyRemedy: policy.companyRemedy, companyAmount: 0 };
+
+    if (policy.companyRemedy === 'none' || !company) {
+      return result;
+    }
+
+    const invoice = await BillingRecord.findOne({
+      companyId: company._id,
+      'items.metadata.hireId': referral._id,
+      status: { $nin: ['refunded', 'cancelled'] },
+    });
+
+    if (!invoice) {
+      return result;
+    }
+
+    const fee = invoice.items
+      .filter(item => String(item.metadata?.hireId) === String(referral._id))
+      .reduce((sum, item) => sum + item.amount, 0);
+    const amount = Math.round(fee * fraction);
+    result.invoiceId = invoice._id;
+
+    if (amount <= 0) {
+      return result;
+    }
+
+    if (invoice.amountPaid <= 0) {
+      // Unpaid fee: reduce the invoice instead of refunding, on top of any
+      // discount already given for other exits
+      const discount = invoice.discount || 0;
+      result.companyAmount = Math.min(amount, invoice.subtotal - discount);
+      await billingEngine.applyDiscount(invoice._id, { amount: discount + result.companyAmount, code: 'GUARANTEE', reason });
+    } else if (policy.companyRemedy === 'refund') {
+      // Earlier refunds on the invoice reduce what is left to return
+      result.companyAmount = Math.min(amount, invoice.amountPaid - (invoice.refundAmount || 0));
+      if (result.companyAmount > 0) {
+        await billingEngine.processRefund(invoice._id, { amount: result.companyAmount, reason, processedBy: user?._id });
+      }
+    } else {
+      result.companyAmount = Math.min(amount, invoice.amountPaid);
+      const creditNote = await billingEngine.issueCreditNote(invoice._id, {
+        amount: result.companyAmount,
+        reason,
+        referralId: referral._id,
+        issuedBy: user?._id,
+      });
+      result.creditNoteId = creditNote._id;
+    }
+
+    return result;
+  }
+}
+
+// Create singleton instance
+const guaranteeService = new GuaranteeService();
+
+module.exports = guaranteeService;
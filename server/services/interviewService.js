@@ -0,0 +1,556 @@
+/**
+ * Interview Service
+ * Schedules interviews for referrals: recruiter availability, candidate
+ * self-booking, reschedule/cancel flows, iCal invites, WhatsApp/Viber
+ * reminders and scorecard feedback. Drives the referral through the
+ * interview_scheduled and interview_completed statuses.
+ */
+
+const { Referral, Job, User } = require('../models/index.js');
+const { REFERRAL_STATUS } = require('../models/Referral.js');
+const Interview = require('../models/Interview.js');
+const { InterviewSlot, INTERVIEW_STATUS, SLOT_STATUS } = require('../models/Interview.js');
+const messagingService = require('./messagingService.js');
+const whatsappService = require('./whatsappService.js');
+const pipelineService = require('./pipelineService.js');
+const { buildICalendar } = require('../utils/ical.js');
+
+// Reminder offsets before the interview starts (minutes)
+const REMINDER_OFFSETS = [24 * 60, 60];
+
+// How far either side of an offset the reminder sweep looks (minutes)
+const REMINDER_WINDOW = 15;
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+class InterviewService {
+  // ==================== AVAILABILITY ====================
+
+  /**
+   * Publish recruiter availability slots
+   * @param {Object} recruiter - Recruiter user
+   * @param {string} companyId - Company ID
+   * @param {Array} slots - [{ startsAt, endsAt }]
+   * @returns {Promise<Array>}
+   */
+  async addAvailability(recruiter, companyId, slots) {
+    const now = new Date();
+
+    const docs = slots.map(slot => {
+      const startsAt = new Date(slot.startsAt);
+      const endsAt = new Date(slot.endsAt);
+
+      if (isNaN(startsAt) || isNaN(endsAt) || endsAt <= startsAt) {
+        throw new Error('Each slot needs a valid startsAt before endsAt');
+      }
+      if (startsAt <= now) {
+        throw new Error('Availability slots must be in the future');
+      }
+
+      return { recruiterId: recruiter._id, companyId, startsAt, endsAt };
+    });
+
+    return InterviewSlot.insertMany(docs);
+  }
+
+  /**
+   * Remove an open availability slot
+   * @param {string} slotId - Slot ID
+   * @param {Object} recruiter - Recruiter user
+   * @returns {Promise<boolean>}
+   */
+  async removeAvailability(slotId, recruiter) {
+    const result = await InterviewSlot.updateOne(
+      { _id: slotId, recruiterId: recruiter._id, status: SLOT_STATUS.OPEN },
+      { $set: { status: SLOT_STATUS.CANCELLED } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // ==================== SCHEDULING ====================
+
+  /**
+   * Create an interview for a referral
+   * Schedules it directly when a slot or start time is given; otherwise
+   * issues a self-booking link for the candidate.
+   * @param {Object} referral - Referral document
+   * @param {Object} data - Interview details
+   * @param {Object} user - Recruiter creating the interview
+   * @returns {Promise<Object>} { interview, bookingUrl }
+   */
+  async createInterview(referral, data, user) {
+    const job = await Job.findById(referral.jobId).select('title companyId');
+    if (!job) {
+      throw new Error('Job not found');
+    }
+
+    const previousRounds = await Interview.countDocuments({
+      referralId: referral._id,
+      status: { $ne: INTERVIEW_STATUS.CANCELLED },
+    });
+
+    const interview = new Interview({
+      referralId: referral._id,
+      jobId: job._id,
+      companyId: job.companyId,
+      round: previousRounds + 1,
+      title: data.title || `Interview for ${job.title}`,
+      type: data.type,
+      location: data.location,
+      meetingUrl: data.meetingUrl,
+      durationMinutes: data.durationMinutes,
+      recruiterId: data.recruiterId || user._id,
+      interviewerIds: data.interviewerIds || [],
+      candidate: {
+        name: referral.referredPerson.name,
+        email: referral.referredPerson.email,
+        phone: referral.referredPerson.phone,
+        userId: referral.referredUserId,
+      },
+      createdBy: user._id,
+    });
+
+    if (data.slotId || data.startsAt) {
+      await this.assignTime(interview, data);
+      await interview.save();
+      await this.onScheduled(interview, referral, user);
+      return { interview, bookingUrl: null };
+    }
+
+    interview.issueBookingToken(data.bookingValidDays);
+    await interview.save();
+
+    const bookingUrl = this.getBookingUrl(interview);
+    await this.notifyCandidate(interview, this.buildBookingMessage(interview, job, bookingUrl));
+
+    return { interview, bookingUrl };
+  }
+
+  /**
+   * Assign a time to an interview from a slot or an explicit start
+   * @param {Object} interview - Interview document
+   * @param {Object} data - { slotId } or { startsAt }
+   * @returns {Promise<void>}
+   */
+  async assignTime(interview, data) {
+    if (data.slotId) {
+      const slot = await InterviewSlot.book(data.slotId, interview._id);
+      if (!slot) {
+        throw new Error('Slot is no longer available');
+      }
+      interview.slotId = slot._id;
+      interview.startsAt = slot.startsAt;
+      interview.endsAt = slot.endsAt;
+      interview.recruiterId = slot.recruiterId;
+    } else {
+      const startsAt = new Date(data.startsAt);
+      if (isNaN(startsAt) || startsAt <= new Date()) {
+        throw new Error('Interview start time must be in the future');
+      }
+      interview.slotId = undefined;
+      interview.startsAt = startsAt;
+      interview.endsAt = new Date(startsAt.getTime() + interview.durationMinutes * 60 * 1000);
+    }
+
+    interview.status = INTERVIEW_STATUS.SCHEDULED;
+  }
+
+  /**
+   * Get booking details for the candidate self-booking page
+   * @param {string} token - Booking token
+   * @returns {Promise<Object|null>} { interview, job, slots }
+   */
+  async getBooking(token) {
+    const interview = await Interview.findByBookingToken(token);
+    if (!interview) return null;
+
+    const [job, slots] = await Promise.all([
+      Job.findById(interview.jobId).select('title companyId').populate('companyId', 'name logo'),
+      InterviewSlot.findOpen(interview.recruiterId, { to: interview.bookingTokenExpiresAt }),
+    ]);
+
+    return { interview, job, slots };
+  }
+
+  /**
+   * Candidate books (or re-books) a slot through the self-booking link
+   * @param {string} token - Booking token
+   * @param {string} slotId - Chosen slot
+   * @returns {Promise<Document>}
+   */
+  async bookByToken(token, slotId) {
+    const interview = await Interview.findByBookingToken(token);
+    if (!interview) {
+      throw new Error('Booking link is invalid or has expired');
+    }
+
+    const slot = await InterviewSlot.findById(slotId);
+    if (!slot || slot.recruiterId.toString() !== interview.recruiterId.toString()) {
+      throw new Error('Slot is not available for this interview');
+    }
+
+    if (interview.status === INTERVIEW_STATUS.SCHEDULED) {
+      return this.reschedule(interview, { slotId, reason: 'Rebooked by candidate' }, null, 'candidate');
+    }
+
+    await this.assignTime(interview, { slotId });
+    await interview.save();
+
+    const referral = await Referral.findById(interview.referralId);
+    await this.onScheduled(interview, referral, null);
+
+    return interview;
+  }
+
+  /**
+   * Reschedule an interview
+   * @param {Object} interview - Interview document
+   * @param {Object} data - { slotId } or { startsAt }, plus reason
+   * @param {Object} user - User rescheduling (null for candidate)
+   * @param {string} changedByType - recruiter | candidate
+   * @returns {Promise<Document>}
+   */
+  async reschedule(interview, data, user, changedByType = 'recruiter') {
+    if (interview.status !== INTERVIEW_STATUS.SCHEDULED) {
+      throw new Error(`Only scheduled interviews can be rescheduled. Current status: ${interview.status}`);
+    }
+
+    const previousSlotId = interview.slotId;
+    const fromStart = interview.startsAt;
+
+    await this.assignTime(interview, data);
+
+    if (previousSlotId && String(previousSlotId) !== String(interview.slotId)) {
+      await InterviewSlot.release(previousSlotId);
+    }
+
+    interview.sequence += 1;
+    interview.reminders = [];
+    interview.rescheduleHistory.push({
+      fromStart,
+      toStart: interview.startsAt,
+      reason: data.reason,
+      changedBy: user?._id,
+      changedByType,
+    });
+    await interview.save();
+
+    await this.notifyCandidate(interview, this.buildScheduleMessage(interview, 'rescheduled'));
+
+    return interview;
+  }
+
+  /**
+   * Cancel an interview and free its slot
+   * @param {Object} interview - Interview document
+   * @param {string} reason - Cancellation reason
+   * @param {Object} user - User cancelling
+   * @returns {Promise<Document>}
+   */
+  async cancel(interview, reason, user) {
+    if ([INTERVIEW_STATUS.COMPLETED, INTERVIEW_STATUS.CANCELLED].includes(interview.status)) {
+      throw new Error(`Interview is already ${interview.status}`);
+    }
+
+    if (interview.slotId) {
+      await InterviewSlot.release(interview.slotId);
+    }
+
+    const wasScheduled = interview.status === INTERVIEW_STATUS.SCHEDULED;
+
+    interview.status = INTERVIEW_STATUS.CANCELLED;
+    interview.cancelledAt = new Date();
+    interview.cancelledBy = user?._id;
+    interview.cancellationReason = reason;
+    interview.bookingToken = undefined;
+    interview.sequence += 1;
+    await interview.save();
+
+    if (wasScheduled) {
+      await this.notifyCandidate(interview, this.buildScheduleMessage(interview, 'cancelled'));
+    }
+
+    return interview;
+  }
+
+  /**
+   * Move the referral forward once an interview is on the calendar
+   * @param {Object} interview - Interview document
+   * @param {Object} referral - Referral document
+   * @param {Object} user - Acting user (null when the candidate booked)
+   * @returns {Promise<void>}
+   */
+  async onScheduled(interview, referral, user) {
+    if (referral && referral.status === REFERRAL_STATUS.SHORTLISTED) {
+      await this.advanceReferral(referral, REFERRAL_STATUS.INTERVIEW_SCHEDULED, {
+        changedBy: user?._id,
+        changedByType: user ? 'recruiter' : 'system',
+        notes: `Interview round ${interview.round} scheduled for ${this.formatWhen(interview)}`,
+      });
+    }
+
+    await this.notifyCandidate(interview, this.buildScheduleMessage(interview, 'scheduled'));
+  }
+
+  // ==================== FEEDBACK ====================
+
+  /**
+   * Submit an interviewer scorecard
+   * Once every expected scorecard is in, the interview is completed and the
+   * referral moves to interview_completed when no other rounds are pending.
+   * @param {Object} interview - Interview document
+   * @param {Object} user - Interviewer
+   * @param {Object} data - { ratings, overallScore, recommendation, comments }
+   * @returns {Promise<Document>}
+   */
+  async submitScorecard(interview, user, data) {
+    if (![INTERVIEW_STATUS.SCHEDULED, INTERVIEW_STATUS.COMPLETED].includes(interview.status)) {
+      throw new Error(`Cannot submit feedback for a ${interview.status} interview`);
+    }
+
+    const ratings = data.ratings || [];
+    const overallScore = data.overallScore ?? (ratings.length > 0
+      ? Math.round((ratings.reduce((sum, r) => sum + r.score, 0) / ratings.length) * 100) / 100
+      : undefined);
+
+    const existing = interview.scorecards.find(card => card.interviewerId.toString() === user._id.toString());
+    if (existing) {
+      existing.ratings = ratings;
+      existing.overallScore = overallScore;
+      existing.recommendation = data.recommendation;
+      existing.comments = data.comments;
+      existing.submittedAt = new Date();
+    } else {
+      interview.scorecards.push({
+        interviewerId: user._id,
+        ratings,
+        overallScore,
+        recommendation: data.recommendation,
+        comments: data.comments,
+      });
+    }
+
+    if (interview.status === INTERVIEW_STATUS.SCHEDULED && interview.hasAllScorecards) {
+      interview.status = INTERVIEW_STATUS.COMPLETED;
+      interview.completedAt = new Date();
+    }
+
+    await interview.save();
+
+    if (interview.status === INTERVIEW_STATUS.COMPLETED) {
+      await this.completeReferralIfDone(interview, user);
+    }
+
+    return interview;
+  }
+
+  /**
+   * Move a referral to interview_completed when no interviews remain open
+   * @param {Object} interview - Completed interview
+   * @param {Object} user - Acting user
+   * @returns {Promise<void>}
+   */
+  async completeReferralIfDone(interview, user) {
+    const referral = await Referral.findById(interview.referralId);
+    if (!referral || referral.status !== REFERRAL_STATUS.INTERVIEW_SCHEDULED) return;
+
+    const pending = await Interview.countDocuments({
+      referralId: referral._id,
+      status: { $in: [INTERVIEW_STATUS.PENDING_BOOKING, INTERVIEW_STATUS.SCHEDULED] },
+    });
+    if (pending > 0) return;
+
+    await this.advanceReferral(referral, REFERRAL_STATUS.INTERVIEW_COMPLETED, {
+      changedBy: user._id,
+      changedByType: 'recruiter',
+      notes: `Interview feedback submitted (average score ${interview.averageScore ?? 'n/a'})`,
+    });
+  }
+
+  /**
+   * Move a referral through its company pipeline after an interview event.
+   * Custom pipelines may not allow the move from the current stage; the
+   * recruiter then moves the referral by hand.
+   * @param {Object} referral - Referral document
+   * @param {string} status - Target canonical status
+   * @param {Object} options - { changedBy, changedByType, notes }
+   * @returns {Promise<void>}
+   */
+  async advanceReferral(referral, status, options) {
+    try {
+      await pipelineService.moveReferral(referral, { status }, options);
+    } catch (error) {
+      console.warn(`[InterviewService] Referral ${referral._id} not moved to ${status}: ${error.message}`);
+    }
+  }
+
+  // ==================== INVITES & REMINDERS ====================
+
+  /**
+   * Build the iCal invite for an interview
+   * @param {Object} interview - Interview document
+   * @returns {Promise<string>}
+   */
+  async generateInvite(interview) {
+    const [job, recruiter] = await Promise.all([
+      Job.findById(interview.jobId).select('title'),
+      User.findById(interview.recruiterId).select('name email'),
+    ]);
+
+    return buildICalendar({
+      uid: `interview-${interview._id}@trm-platform.com`,
+      start: interview.startsAt,
+      end: interview.endsAt,
+      summary: `${interview.title || 'Interview'} - ${job?.title || ''}`.trim(),
+      description: interview.meetingUrl
+        ? `Join: ${interview.meetingUrl}`
+        : `Round ${interview.round} ${interview.type} interview`,
+      location: interview.meetingUrl || interview.location,
+      organizer: { name: recruiter?.name, email: recruiter?.email },
+      attendees: [{ name: interview.candidate.name, email: interview.candidate.email }],
+      method: interview.status === INTERVIEW_STATUS.CANCELLED ? 'CANCEL' : 'REQUEST',
+      sequence: interview.sequence,
+      prodId: '-//TRM Platform//Interview Scheduler//EN',
+    });
+  }
+
+  /**
+   * Send due interview reminders
+   * Run periodically; each offset is sent at most once per schedule.
+   * @returns {Promise<Object>} { sent, failed }
+   */
+  async sendReminders() {
+    const now = Date.now();
+    let sent = 0;
+    let failed = 0;
+
+    for (const offset of REMINDER_OFFSETS) {
+      const windowStart = new Date(now + (offset - REMINDER_WINDOW) * 60 * 1000);
+      const windowEnd = new Date(now + (offset + REMINDER_WINDOW) * 60 * 1000);
+
+      const interviews = await Interview.find({
+        status: INTERVIEW_STATUS.SCHEDULED,
+        startsAt: { $gte: windowStart, $lte: windowEnd },
+        'reminders.offsetMinutes': { $ne: offset },
+      });
+
+      for (const interview of interviews) {
+        const message = this.buildScheduleMessage(interview, 'reminder');
+        const results = await this.notifyCandidate(interview, message);
+
+        for (const result of results) {
+          interview.reminders.push({
+            offsetMinutes: offset,
+            channel: result.channel,
+            success: result.success,
+            error: result.error,
+          });
+          if (result.success) sent += 1; else failed += 1;
+        }
+
+        if (results.length === 0) {
+          // Nothing to deliver to; record it so the sweep does not retry forever
+          interview.reminders.push({ offsetMinutes: offset, channel: 'whatsapp', success: false, error: 'No contact channel' });
+        }
+
+        await interview.save();
+      }
+    }
+
+    return { sent, failed };
+  }
+
+  /**
+   * Message the candidate on WhatsApp and, if they have an account, on their
+   * preferred Viber/Telegram channel
+   * @param {Object} interview - Interview document
+   * @param {string} text - Message text
+   * @returns {Promise<Array>} Delivery results per channel
+   */
+  async notifyCandidate(interview, text) {
+    const results = [];
+
+    if (interview.candidate?.phone) {
+      try {
+        await whatsappService.sendTextMessage(interview.candidate.phone, text);
+        results.push({ channel: 'whatsapp', success: true });
+      } catch (error) {
+        results.push({ channel: 'whatsapp', success: false, error: error.message });
+      }
+    }
+
+    if (interview.candidate?.userId) {
+      let platform;
+      try {
+        const user = await User.findById(interview.candidate.userId).select('messagingPreferences');
+        platform = user?.messagingPreferences?.preferredPlatform;
+        if (platform && user.messagingPreferences.platformUserId) {
+          await messagingService.sendMessage(interview.candidate.userId, text);
+          results.push({ channel: platform, success: true });
+        }
+      } catch (error) {
+        // Platform is unknown if the preference lookup itself failed
+        results.push({ channel: platform || 'messaging', success: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Format the interview start in the interview's timezone
+   * @param {Object} interview - Interview document
+   * @returns {string}
+   */
+  formatWhen(interview) {
+    return new Date(interview.startsAt).toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZone: interview.timezone || 'Asia/Yangon',
+      timeZoneName: 'short',
+    });
+  }
+
+  /**
+   * Self-booking URL for an interview
+   * @param {Object} interview - Interview document
+   * @returns {string}
+   */
+  getBookingUrl(interview) {
+    return `${FRONTEND_URL}/interviews/book/${interview.bookingToken}`;
+  }
+
+  /**
+   * Build the candidate booking-link message
+   */
+  buildBookingMessage(interview, job, bookingUrl) {
+    return `📅 Interview invitation\n\nHi ${interview.candidate.name}, you have been invited to interview for ${job.title}.\nPlease choose a time that suits you:\n${bookingUrl}`;
+  }
+
+  /**
+   * Build schedule / reschedule / cancel / reminder messages
+   */
+  buildScheduleMessage(interview, kind) {
+    const when = this.formatWhen(interview);
+    const where = interview.meetingUrl || interview.location || interview.type;
+
+    switch (kind) {
+      case 'rescheduled':
+        return `🔄 Your interview has been moved to ${when}.\nWhere: ${where}`;
+      case 'cancelled':
+        return `❌ Your interview on ${when} has been cancelled. The recruiter will contact you about next steps.`;
+      case 'reminder':
+        return `⏰ Reminder: your interview is on ${when}.\nWhere: ${where}`;
+      default:
+        return `✅ Your interview is confirmed for ${when}.\nWhere: ${where}`;
+    }
+  }
+}
+
+// Create singleton instance
+const interviewService = new InterviewService();
+
+module.exports = interviewService;
@@ -0,0 +1,304 @@
+/**
+ * InvoiceRenderer
+ * Renders billing documents (invoices, receipts and credit notes) to HTML
+ * and prints them to PDF
+ */
+
+const reportRenderer = require('./reportRenderer.js');
+const { ZERO_DECIMAL_CURRENCIES } = require('./taxService.js');
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+const PAYMENT_METHOD_LABELS = {
+  kbzpay: 'KBZPay',
+  wavepay: 'WavePay',
+  bank_transfer: 'Bank transfer',
+  card: 'Card',
+  cash: 'Cash',
+};
+
+class InvoiceRenderer {
+  /**
+   * Issuer details printed on every document
+   * @param {Object} env - Environment variables
+   * @returns {Object} { name, address, email }
+   */
+  getIssuer(env = process.env) {
+    return {
+      name: env.BILLING_LEGAL_NAME || env.APP_NAME || 'TRM Platform',
+      address: env.BILLING_ADDRESS || '',
+      email: env.BILLING_EMAIL || '',
+    };
+  }
+
+  // ==================== DOCUMENTS ====================
+
+  /**
+   * Invoice with line items, tax, discounts and payment history
+   * @param {Object} params - { invoice, customer, issuer, version }
+   * @returns {string} HTML
+   */
+  renderInvoiceHtml({ invoice, customer, issuer, version = 1 }) {
+    const money = (amount) => this.formatMoney(amount, invoice.currency);
+    const hasExemptItems = invoice.items.some(item => item.taxable === false);
+
+    const rows = invoice.items.map(item => `<tr>
+      <td>${this.escape(item.description)}${item.taxable === false && invoice.tax > 0 ? ' *' : ''}</td>
+      <td class="num">${this.escape(item.quantity)}</td>
+      <td class="num">${money(item.unitPrice)}</td>
+      <td class="num">${money(item.amount)}</td></tr>`).join('');
+
+    const totals = [['Subtotal', money(invoice.subtotal)]];
+    if (invoice.discount > 0) {
+      totals.push([`Discount${invoice.discountCode ? ` (${this.escape(invoice.discountCode)})` : ''}`, `-${money(invoice.discount)}`]);
+    }
+    if (invoice.taxRate > 0) {
+      totals.push(invoice.taxInclusive
+        ? [`Includes ${this.escape(invoice.taxName)} (${invoice.taxRate}%)`, money(invoice.tax)]
+        : [`${this.escape(invoice.taxName)} (${invoice.taxRate}%)`, money(invoice.tax)]);
+    }
+    totals.push(['Total', money(invoice.total)]);
+    totals.push(['Amount paid', money(invoice.amountPaid)]);
+    if (invoice.refundAmount > 0) {
+      totals.push(['Refunded', `-${money(invoice.refundAmount)}`]);
+    }
+    totals.push(['Balance due', money(Math.max(0, invoice.total - invoice.amountPaid))]);
+
+    const payments = (invoice.paymentHistory || []).map(payment => `<tr>
+      <td>${formatDate(payment.attemptedAt)}</td>
+      <td>${this.escape(this.paymentMethodLabel(payment.method || payment.provider))}</td>
+      <td>${this.escape(payment.transactionId)}</td>
+      <td>${this.escape(payment.status)}${payment.failureReason ? ` - ${this.escape(payment.failureReason)}` : ''}</td>
+      <td class="num">${payment.amount != null ? money(payment.amount) : ''}</td></tr>`).join('');
+
+    const body = `
+  <table>
+    <thead><tr><th>Description</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>
+  ${this.renderTotals(totals)}
+  ${hasExemptItems && invoice.tax > 0 ? `<p class="note">* Not subject to ${this.escape(invoice.taxName)}</p>` : ''}
+  ${payments ? `<h2>Payment history</h2>
+  <table>
+    <thead><tr><th>Date</th><th>Method</th><th>Reference</th><th>Status</th><th class="num">Amount</th></tr></thead>
+    <tbody>${payments}</tbody>
+  </table>` : ''}
+  ${invoice.notes ? `<h2>Notes</h2><p>${this.escape(invoice.notes)}</p>` : ''}`;
+
+    return this.renderDocument({
+      title: 'Tax Invoice',
+      number: invoice.invoiceNumber,
+      status: invoice.status === 'paid' ? 'Paid' : null,
+      meta: [
+        ['Invoice date', formatDate(invoice.createdAt)],
+        ['Due date', formatDate(invoice.dueDate)],
+        invoice.billingPeriodStart
+          ? ['Billing period', `${formatDate(invoice.billingPeriodStart)} - ${formatDate(invoice.billingPeriodEnd)}`]
+          : null,
+        version > 1 ? ['Revision', String(version)] : null,
+      ],
+      issuer: { ...issuer, taxRegistrationNumber: invoice.taxRegistrationNumber },
+      customer,
+      body,
+    });
+  }
+
+  /**
+   * Receipt for one completed payment
+   * @param {Object} params - { invoice, payment, receiptNumber, customer, issuer }
+   * @returns {string} HTML
+   */
+  renderReceiptHtml({ invoice, payment, receiptNumber, customer, issuer }) {
+    const money = (amount) => this.formatMoney(amount, invoice.currency);
+
+    // Payments up to and including this one
+    const completed = (invoice.paymentHistory || []).filter(entry => entry.status === 'completed');
+    const index = completed.findIndex(entry => String(entry._id) === String(payment._id));
+    const paidToDate = completed.slice(0, index + 1).reduce((sum, entry) => sum + (entry.amount || 0), 0);
+
+    const totals = [
+      ['Invoice total', money(invoice.total)],
+      ['Paid to date', money(paidToDate)],
+      ['Balance remaining', money(Math.max(0, invoice.total - paidToDate))],
+    ];
+
+    const body = `
+  <table>
+    <thead><tr><th>Description</th><th>Method</th><th>Reference</th><th class="num">Amount received</th></tr></thead>
+    <tbody><tr>
+      <td>Payment for invoice ${this.escape(invoice.invoiceNumber)}</td>
+      <td>${this.escape(this.paymentMethodLabel(payment.method || payment.provider))}</td>
+      <td>${this.escape(payment.transactionId)}</td>
+      <td class="num">${money(payment.amount)}</td>
+    </tr></tbody>
+  </table>
+  ${this.renderTotals(totals)}
+  ${invoice.taxRate > 0 ? `<p class="note">Invoice ${this.escape(invoice.invoiceNumber)} includes ${this.escape(invoice.taxName)} of ${money(invoice.tax)} (${invoice.taxRate}%).</p>` : ''}`;
+
+    return this.renderDocument({
+      title: 'Receipt',
+      number: receiptNumber,
+      meta: [
+        ['Payment date', formatDate(payment.attemptedAt)],
+        ['Invoice', invoice.invoiceNumber],
+      ],
+      issuer: { ...issuer, taxRegistrationNumber: invoice.taxRegistrationNumber },
+      customer,
+      body,
+    });
+  }
+
+  /**
+   * Credit note against an invoice
+   * @param {Object} params - { creditNote, invoice, customer, issuer }
+   * @returns {string} HTML
+   */
+  renderCreditNoteHtml({ creditNote, invoice, customer, issuer }) {
+    const money = (amount) => this.formatMoney(amount, creditNote.currency);
+
+    const totals = [];
+    if (creditNote.tax > 0) {
+      totals.push(['Net amount', money(creditNote.amount - creditNote.tax)]);
+      totals.push([`${this.escape(invoice?.taxName || 'Tax')} (${creditNote.taxRate}%)`, money(creditNote.tax)]);
+    }
+    totals.push(['Total credit', money(creditNote.amount)]);
+
+    const body = `
+  <table>
+    <thead><tr><th>Description</th><th class="num">Amount</th></tr></thead>
+    <tbody><tr>
+      <td>${this.escape(creditNote.reason || 'Credit')}${invoice ? ` - against invoice ${this.escape(invoice.invoiceNumber)}` : ''}</td>
+      <td class="num">${money(creditNote.amount)}</td>
+    </tr></tbody>
+  </table>
+  ${this.renderTotals(totals)}`;
+
+    return this.renderDocument({
+      title: 'Credit Note',
+      number: creditNote.creditNoteNumber,
+      meta: [
+        ['Issue date', formatDate(creditNote.createdAt)],
+        invoice ? ['Original invoice', invoice.invoiceNumber] : null,
+        invoice ? ['Invoice date', formatDate(invoice.createdAt)] : null,
+      ],
+      issuer: { ...issuer, taxRegistrationNumber: invoice?.taxRegistrationNumber },
+      customer,
+      body,
+    });
+  }
+
+  /**
+   * Print a document to PDF
+   * @param {string} html - Document HTML
+   * @param {string} footerText - Footer text
+   * @returns {Promise<Buffer>}
+   */
+  async renderPdf(html, footerText) {
+    return reportRenderer.printPdf(html, footerText);
+  }
+
+  // ==================== LAYOUT ====================
+
+  /**
+   * Shared page layout with issuer, customer and document details
+   * @param {Object} params - { title, number, status, meta, issuer, customer, body }
+   * @returns {string} HTML
+   */
+  renderDocument({ title, number, status, meta, issuer, customer = {}, body }) {
+    const metaRows = meta.filter(Boolean)
+      .map(([label, value]) => `<tr><th>${this.escape(label)}</th><td>${this.escape(value)}</td></tr>`).join('');
+
+    const issuerLines = [
+      issuer.address,
+      issuer.email,
+      issuer.taxRegistrationNumber ? `Tax registration no. ${issuer.taxRegistrationNumber}` : null,
+    ];
+    const customerLines = [
+      ...this.addressLines(customer.address),
+      customer.email,
+      customer.taxId ? `Tax ID ${customer.taxId}` : null,
+      customer.registrationNumber ? `Registration no. ${customer.registrationNumber}` : null,
+    ];
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${this.escape(title)} ${this.escape(number)}</title>
+<style>
+  body { font-family: 'Helvetica Neue', Arial, 'Noto Sans Myanmar', sans-serif; color: #111827; font-size: 11px; margin: 0; }
+  header { display: flex; justify-content: space-between; border-bottom: 3px solid #2563eb; padding-bottom: 12px; margin-bottom: 16px; }
+  h1 { font-size: 22px; margin: 0 0 4px; color: #2563eb; }
+  h2 { font-size: 13px; margin: 20px 0 6px; }
+  .issuer-name { font-size: 14px; font-weight: 700; }
+  .muted { color: #6b7280; }
+  .stamp { display: inline-block; border: 2px solid #16a34a; color: #16a34a; font-weight: 700; padding: 2px 10px; margin-top: 6px; }
+  .parties { display: flex; justify-content: space-between; margin-bottom: 16px; }
+  .meta th { text-align: left; padding: 2px 12px 2px 0; color: #6b7280; font-weight: 400; background: none; border: none; }
+  .meta td { padding: 2px 0; border: none; }
+  table { width: 100%; border-collapse: collapse; }
+  th { background: #f3f4f6; text-align: left; padding: 6px; font-size: 10px; }
+  td { padding: 6px; border-bottom: 1px solid #e5e7eb; }
+  .num { text-align: right; white-space: nowrap; }
+  .totals { width: 45%; margin: 12px 0 0 auto; }
+  .totals td { border: none; padding: 3px 6px; }
+  .totals tr:last-child td { font-weight: 700; border-top: 2px solid #111827; }
+  .note { color: #6b7280; font-size: 10px; }
+</style>
+</head>
+<body>
+  <header>
+    <div><div class="issuer-name">${this.escape(issuer.name)}</div>
+      ${issuerLines.filter(Boolean).map(line => `<div class="muted">${this.escape(line)}</div>`).join('')}</div>
+    <div style="text-align:right"><h1>${this.escape(title)}</h1><div>${this.escape(number)}</div>
+      ${status ? `<div class="stamp">${this.escape(status)}</div>` : ''}</div>
+  </header>
+  <div class="parties">
+    <div><div class="muted">Bill to</div><strong>${this.escape(customer.name)}</strong>
+      ${customerLines.filter(Boolean).map(line => `<div>${this.escape(line)}</div>`).join('')}</div>
+    <table class="meta" style="width:auto">${metaRows}</table>
+  </div>
+  ${body}
+</body>
+</html>`;
+  }
+
+  renderTotals(rows) {
+    return `<table class="totals">${rows
+      .map(([label, value]) => `<tr><td>${label}</td><td class="num">${value}</td></tr>`).join('')}</table>`;
+  }
+
+  addressLines(address = {}) {
+    if (!address) return [];
+    const cityLine = [address.city, address.state, address.postalCode].filter(Boolean).join(', ');
+    return [address.street, cityLine, address.country].filter(Boolean);
+  }
+
+  paymentMethodLabel(method) {
+    return PAYMENT_METHOD_LABELS[method] || method || '';
+  }
+
+  /**
+   * Amount with the currency's minor units
+   * @param {number} amount - Amount
+   * @param {string} currency - Currency code
+   * @returns {string} Escaped HTML
+   */
+  formatMoney(amount, currency = 'MMK') {
+    const digits = ZERO_DECIMAL_CURRENCIES.includes(currency) ? 0 : 2;
+    const value = Number(amount || 0).toLocaleString('en-US', {
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+    });
+    return this.escape(`${value} ${currency}`);
+  }
+
+  escape(value) {
+    return reportRenderer.escapeHtml(value);
+  }
+}
+
+// Create singleton instance
+const invoiceRenderer = new InvoiceRenderer();
+
+module.exports = invoiceRenderer;
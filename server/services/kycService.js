@@ -7,12 +7,18 @@
 const path = require('path');
 const crypto = require('crypto');
 const fs = require('fs/promises');
+const { createReadStream } = require('fs');
 const { KYCStatus, KYC_LEVELS, KYC_STATUS } = require('../models/KYCStatus.js');
 const KYCDocument = require('../models/KYCDocument.js');
 const { DOCUMENT_TYPES, DOCUMENT_STATUS, ALLOWED_FILE_TYPES } = require('../models/KYCDocument.js');
 const { User } = require('../models/index.js');
 const { sendNotification } = require('./notificationService.js');
 const { NOTIFICATION_TYPES, NOTIFICATION_PRIORITY } = require('../models/Notification.js');
+const { getOCREngine, ManualOCREngine } = require('./ocr/index.js');
+const { getFaceProvider, ManualFaceProvider } = require('./face/index.js');
+const { parseDocument } = require('./ocr/documentParsers.js');
+const { parseNRC, NRC_TYPES } = require('../utils/nrc.js');
+const { normalizeText, containsMyanmar } = require('../utils/myanmarText.js');
 
 // File upload configuration
 const UPLOAD_CONFIG = {
@@ -21,34 +27,72 @@ const UPLOAD_CONFIG = {
   uploadDir: process.env.UPLOAD_DIR || './uploads/kyc',
 };
 
-// Myanmar state/region codes for NRC
-const MYANMAR_STATE_REGIONS = {
-  '1': 'Kachin',
-  '2': 'Kayah',
-  '3': 'Kayin',
-  '4': 'Chin',
-  '5': 'Sagaing',
-  '6': 'Tanintharyi',
-  '7': 'Bago',
-  '8': 'Magway',
-  '9': 'Mandalay',
-  '10': 'Mon',
-  '11': 'Rakhine',
-  '12': 'Yangon',
-  '13': 'Shan',
-  '14': 'Ayeyarwady',
+// OCR configuration
+const OCR_CONFIG = {
+  // Fields read with less confidence send the document to manual review
+  minFieldConfidence: parseInt(process.env.KYC_OCR_MIN_CONFIDENCE) || 60,
+  // Name similarity (0-100) needed to match the profile
+  nameMatchThreshold: 90,
 };
 
-// NRC format patterns (Myanmar National Registration Card)
-const NRC_PATTERNS = {
-  // English format: 12/ABC(N)123456 or 12/ABC(N)1234567
-  ENGLISH: /^\d{1,2}\/[A-Z]{3,6}\([A-Z]\)\d{6,7}$/,
-  // Burmese format: ၁၂/အာဘီ(န)၁၂၃၄၅၆
-  BURMESE: /^[၀-၉]{1,2}\/[\u1000-\u109F]+\([\u1000-\u109F]\)[၀-၉]{6,7}$/,
-  // Mixed format variations
-  MIXED: /^\d{1,2}\/[A-Za-z\u1000-\u109F]+\([A-Za-z\u1000-\u109F]\)\d{6,7}$/,
+// Face match thresholds (0-100) by KYC level: scores from match up pass,
+// scores from review up go to a reviewer, lower scores fail; selfies below
+// the liveness score are always reviewed. With the local provider a score of
+// 50 is face-api's same-person cutoff, so review stays at or below 50 and no
+// face the model calls the same person is rejected outright. Override per
+// level with KYC_FACE_MATCH_THRESHOLDS=2:67,3:70,4:72 (likewise _REVIEW_ and
+// _LIVENESS_).
+const FACE_THRESHOLDS = {
+  match: parseLevelThresholds(process.env.KYC_FACE_MATCH_THRESHOLDS, { 2: 67, 3: 70, 4: 72 }),
+  review: parseLevelThresholds(process.env.KYC_FACE_REVIEW_THRESHOLDS, { 2: 45, 3: 48, 4: 50 }),
+  liveness: parseLevelThresholds(process.env.KYC_FACE_LIVENESS_THRESHOLDS, { 2: 50, 3: 60, 4: 70 }),
 };
 
+// Honorifics dropped before comparing names (Burmese ones may be written joined to the name)
+const NAME_HONORIFICS = ['u', 'daw', 'ko', 'ma', 'maung', 'mg', 'mr', 'mrs', 'ms', 'miss', 'dr'];
+const BURMESE_HONORIFICS = /^(?:ဦး|ဒေါ်|ကို|မောင်)/;
+
+/**
+ * Parse per-level thresholds such as "2:67,3:70,4:72" over defaults
+ * @param {string} value - Environment value
+ * @param {Object} defaults - { level: threshold }
+ * @returns {Object}
+ */
+function parseLevelThresholds(value, defaults) {
+  const thresholds = { ...defaults };
+  String(value || '').split(',').forEach(pair => {
+    const [level, threshold] = pair.split(':').map(part => Number(part.trim()));
+    if (thresholds[level] !== undefined && threshold >= 0 && threshold <= 100) {
+      thresholds[level] = threshold;
+    }
+  });
+  return thresholds;
+}
+
+/**
+ * Similarity of two strings from their edit distance
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0-1
+ */
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = a[i - 1] === b[j - 1]
+        ? previous[j - 1]
+        : Math.min(previous[j - 1], previous[j], current[j - 1]) + 1;
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
 // Phone number patterns
 const PHONE_PATTERNS = {
   // Myanmar mobile numbers
@@ -67,10 +111,6 @@ const PHONE_PATTERNS = {
  * KYC Service class
  */
 class KYCService {
-  constructor() {
-    this.ocrEngine = new MockOCREngine();
-  }
-
   // ==================== USER KYC MANAGEMENT ====================
 
   /**
@@ -346,26 +386,10 @@ class KYCService {
       // Mark as processing
       await document.markProcessing();
       
-      // Perform OCR based on document type
-      let ocrResults;
-      
-      switch (document.documentType) {
-        case DOCUMENT_TYPES.NRC_FRONT:
-        case DOCUMENT_TYPES.NRC_BACK:
-          ocrResults = await this.ocrEngine.processNRC(document);
-          break;
-        case DOCUMENT_TYPES.SELFIE:
-          ocrResults = await this.ocrEngine.processSelfie(document);
-          break;
-        case DOCUMENT_TYPES.PASSPORT:
-          ocrResults = await this.ocrEngine.processPassport(document);
-          break;
-        case DOCUMENT_TYPES.BUSINESS_REGISTRATION:
-          ocrResults = await this.ocrEngine.processBusinessDoc(document);
-          break;
-        default:
-          ocrResults = await this.ocrEngine.processGeneric(document);
-      }
+      // Selfies go to face detection, everything else is read by OCR
+      const ocrResults = document.documentType === DOCUMENT_TYPES.SELFIE
+        ? await this.detectSelfie(document)
+        : await this.readDocument(document);
       
       // Update document with OCR results
       await document.updateOCRResults(ocrResults);
@@ -387,6 +411,123 @@ class KYCService {
     }
   }
 
+  /**
+   * Read a document with the configured OCR engine, parse its fields and
+   * check the name and date of birth against the user's profile
+   * @param {Object} document - KYCDocument instance
+   * @returns {Promise<Object>} OCR results for the document
+   */
+  async readDocument(document) {
+    const startedAt = Date.now();
+    const reviewReasons = [];
+    
+    // Files the engine cannot read (PDFs) are transcribed by a reviewer
+    let engine = getOCREngine();
+    if (!engine.supports(document.file.mimeType)) {
+      engine = new ManualOCREngine();
+      reviewReasons.push('unsupported_file');
+    }
+    
+    const recognition = await engine.recognize(document.file.path, { mimeType: document.file.mimeType });
+    if (!recognition.text.trim()) {
+      reviewReasons.push('no_text');
+    }
+    
+    const parsed = parseDocument(document.documentType, recognition);
+    reviewReasons.push(...parsed.issues);
+    reviewReasons.push(...await this.matchProfile(document.userId, parsed));
+    
+    if (parsed.fields.some(field => field.confidence < OCR_CONFIG.minFieldConfidence)) {
+      reviewReasons.push('low_confidence');
+    }
+    
+    const overall = parsed.fields.length > 0
+      ? Math.round(parsed.fields.reduce((sum, field) => sum + field.confidence, 0) / parsed.fields.length)
+      : recognition.confidence;
+    
+    return {
+      rawText: recognition.text,
+      extractedData: { ...parsed.extractedData, confidence: overall },
+      confidence: {
+        overall,
+        fields: parsed.fields,
+      },
+      engine: engine.name,
+      processingDuration: Date.now() - startedAt,
+      requiresReview: reviewReasons.length > 0,
+      reviewReasons: [...new Set(reviewReasons)],
+    };
+  }
+
+  /**
+   * Compare the name and date of birth read from a document with the
+   * user's profile, recording the result on the parsed fields
+   * @param {string} userId - User ID
+   * @param {Object} parsed - Parsed document { extractedData, fields }
+   * @returns {Promise<string[]>} Review reasons
+   */
+  async matchProfile(userId, parsed) {
+    const nameField = parsed.fields.find(field => field.field === 'name');
+    const birthField = parsed.fields.find(field => field.field === 'dateOfBirth');
+    if (!nameField && !birthField) return [];
+    
+    const user = await User.findById(userId).select('name dateOfBirth');
+    if (!user) return ['profile_not_found'];
+    
+    const reasons = [];
+    
+    if (nameField) {
+      const score = this.compareNames(parsed.extractedData.name, user.name);
+      if (score === null) {
+        // A Burmese name cannot be compared with a profile name in English
+        reasons.push('name_not_comparable');
+      } else {
+        nameField.profileScore = score;
+        nameField.profileMatch = score >= OCR_CONFIG.nameMatchThreshold;
+        if (!nameField.profileMatch) reasons.push('name_mismatch');
+      }
+    }
+    
+    if (birthField) {
+      if (!user.dateOfBirth) {
+        reasons.push('date_of_birth_not_on_profile');
+      } else {
+        const profileDate = new Date(user.dateOfBirth).toISOString().slice(0, 10);
+        birthField.profileMatch = profileDate === birthField.value;
+        birthField.profileScore = birthField.profileMatch ? 100 : 0;
+        if (!birthField.profileMatch) reasons.push('date_of_birth_mismatch');
+      }
+    }
+    
+    return reasons;
+  }
+
+  /**
+   * Similarity of two names, ignoring honorifics, case, spacing and word order
+   * @param {string} documentName - Name read from the document
+   * @param {string} profileName - Name on the profile
+   * @returns {number|null} 0-100, or null when the names are in different scripts
+   */
+  compareNames(documentName, profileName) {
+    const tokens = name => normalizeText(String(name || ''))
+      .toLowerCase()
+      .replace(/[^\p{L}\p{M}\s]/gu, ' ')
+      .split(/\s+/)
+      .map(token => token.replace(BURMESE_HONORIFICS, ''))
+      .filter(token => token && !NAME_HONORIFICS.includes(token));
+    
+    const a = tokens(documentName);
+    const b = tokens(profileName);
+    if (a.length === 0 || b.length === 0) return 0;
+    if (containsMyanmar(a.join('')) !== containsMyanmar(b.join(''))) return null;
+    
+    const score = Math.max(
+      similarity(a.join(''), b.join('')),
+      similarity([...a].sort().join(''), [...b].sort().join(''))
+    );
+    return Math.round(score * 100);
+  }
+
   /**
    * Update KYC progress based on document OCR results
    * @param {Object} document - KYCDocument instance
@@ -413,9 +554,11 @@ class KYCService {
     if ((document.documentType === DOCUMENT_TYPES.NRC_FRONT || 
          document.documentType === DOCUMENT_TYPES.NRC_BACK) &&
         document.ocrData?.extractedData?.nrcNumber) {
-      await kycStatus.updateStep('nrc_ocr', 'completed', {
+      // Numbers that need a reviewer's check stay in progress until then
+      await kycStatus.updateStep('nrc_ocr', document.ocrData.requiresReview ? 'in_progress' : 'completed', {
         nrcNumber: document.ocrData.extractedData.nrcNumber,
         confidence: document.ocrData.confidence?.overall,
+        reviewReasons: document.ocrData.reviewReasons,
       });
       
       // Update level2 data
@@ -428,86 +571,12 @@ class KYCService {
   // ==================== MYANMAR-SPECIFIC VALIDATIONS ====================
 
   /**
-   * Validate Myanmar NRC number format
-   * @param {string} nrcNumber - NRC number to validate
+   * Validate Myanmar NRC number format and township
+   * @param {string} nrcNumber - NRC number in English or Burmese
    * @returns {Object}
    */
   validateNRC(nrcNumber) {
-    if (!nrcNumber) {
-      return { valid: false, error: 'NRC number is required' };
-    }
-    
-    const normalizedNRC = nrcNumber.trim().toUpperCase().replace(/\s/g, '');
-    
-    // Check English format
-    if (NRC_PATTERNS.ENGLISH.test(normalizedNRC)) {
-      return this.parseEnglishNRC(normalizedNRC);
-    }
-    
-    // Check Burmese format
-    if (NRC_PATTERNS.BURMESE.test(nrcNumber.trim())) {
-      return this.parseBurmeseNRC(nrcNumber.trim());
-    }
-    
-    return {
-      valid: false,
-      error: 'Invalid NRC format. Expected format: 12/ABC(N)123456 or Burmese equivalent',
-      format: null,
-    };
-  }
-
-  /**
-   * Parse English format NRC
-   * @param {string} nrcNumber - NRC number
-   * @returns {Object}
-   */
-  parseEnglishNRC(nrcNumber) {
-    // Format: 12/ABC(N)123456
-    const parts = nrcNumber.match(/^(\d{1,2})\/([A-Z]{3,6})\(([A-Z])\)(\d{6,7})$/);
-    
-    if (!parts) {
-      return { valid: false, error: 'Could not parse NRC number' };
-    }
-    
-    const [, stateCode, district, type, number] = parts;
-    const state = MYANMAR_STATE_REGIONS[stateCode];
-    
-    if (!state) {
-      return { valid: false, error: `Invalid state/region code: ${stateCode}` };
-    }
-    
-    // Validate NRC type
-    const validTypes = ['N', 'E', 'P', 'A', 'F', 'T', 'G', 'C', 'H', 'Y', 'K', 'L', 'M'];
-    if (!validTypes.includes(type)) {
-      return { valid: false, error: `Invalid NRC type: ${type}` };
-    }
-    
-    return {
-      valid: true,
-      format: 'english',
-      stateCode,
-      state,
-      district,
-      type,
-      typeName: this.getNRCTypeName(type),
-      number,
-      fullNumber: nrcNumber,
-    };
-  }
-
-  /**
-   * Parse Burmese format NRC
-   * @param {string} nrcNumber - NRC number in Burmese
-   * @returns {Object}
-   */
-  parseBurmeseNRC(nrcNumber) {
-    // This is a simplified parser - in production, you'd need more robust Burmese text handling
-    return {
-      valid: true,
-      format: 'burmese',
-      fullNumber: nrcNumber,
-      note: 'Burmese NRC parsing requires specialized handling',
-    };
+    return parseNRC(nrcNumber);
   }
 
   /**
@@ -516,22 +585,7 @@ class KYCService {
    * @returns {string}
    */
   getNRCTypeName(type) {
-    const typeNames = {
-      'N': 'National',
-      'E': 'Ethnic',
-      'P': 'Permanent Resident',
-      'A': 'Associate Citizen',
-      'F': 'Foreigner',
-      'T': 'Temporary',
-      'G': 'Guest',
-      'C': 'Citizen',
-      'H': 'Holding',
-      'Y': 'Naturalized',
-      'K': 'Kayin',
-      'L': 'Kachin',
-      'M': 'Mon',
-    };
-    return typeNames[type] || 'Unknown';
+    return NRC_TYPES[type]?.name || 'Unknown';
   }
 
   /**
@@ -610,55 +664,263 @@ class KYCService {
 
   // ==================== SELFIE MATCHING ====================
 
+  /**
+   * Detect the face in a selfie and check its liveness
+   * @param {Object} document - KYCDocument instance
+   * @returns {Promise<Object>} Results for the document's ocrData
+   */
+  async detectSelfie(document) {
+    const startedAt = Date.now();
+    const reviewReasons = [];
+    
+    let provider = getFaceProvider();
+    if (!provider.supports(document.file.mimeType)) {
+      provider = new ManualFaceProvider();
+      reviewReasons.push('unsupported_file');
+    }
+    
+    const detection = await provider.detect(document.file.path);
+    const liveness = await provider.checkLiveness(document.file.path);
+    const faceCount = detection.faces.length;
+    const best = detection.faces.reduce((top, face) => (!top || face.confidence > top.confidence ? face : top), null);
+    
+    if (liveness.score === null) {
+      reviewReasons.push('not_scored');
+    } else if (faceCount !== 1) {
+      reviewReasons.push(faceCount === 0 ? 'no_face' : 'multiple_faces');
+    }
+    
+    return {
+      rawText: '',
+      extractedData: {},
+      confidence: {
+        overall: best ? best.confidence : 0,
+        fields: [],
+      },
+      faceDetection: {
+        provider: provider.name,
+        detected: faceCount > 0,
+        confidence: best ? best.confidence : 0,
+        faceCount,
+        quality: detection.quality ? {
+          brightness: detection.quality.brightness,
+          sharpness: detection.quality.sharpness,
+          contrast: detection.quality.contrast,
+        } : undefined,
+        liveness: {
+          score: liveness.score,
+          checks: liveness.checks,
+        },
+      },
+      processingDuration: Date.now() - startedAt,
+      requiresReview: reviewReasons.length > 0,
+      reviewReasons,
+    };
+  }
+
+  /**
+   * Face match thresholds for a KYC level; selfies are first required at level 2
+   * @param {number} level - KYC level
+   * @returns {Object} { match, review, liveness }
+   */
+  getFaceThresholds(level) {
+    const applied = Math.min(4, Math.max(2, level || 2));
+    return {
+      match: FACE_THRESHOLDS.match[applied],
+      review: FACE_THRESHOLDS.review[applied],
+      liveness: FACE_THRESHOLDS.liveness[applied],
+    };
+  }
+
+  /**
+   * Decide a face match from its scores
+   * @param {number|null} score - Face similarity (0-100)
+   * @param {number|null} livenessScore - Liveness (0-100)
+   * @param {Object} thresholds - { match, review, liveness }
+   * @returns {Object} { decision: 'matched'|'review'|'failed', reasons }
+   */
+  decideFaceMatch(score, livenessScore, thresholds) {
+    if (score === null || score === undefined) {
+      return { decision: 'review', reasons: ['not_scored'] };
+    }
+    if (score < thresholds.review) {
+      return { decision: 'failed', reasons: ['face_mismatch'] };
+    }
+    
+    const reasons = [];
+    if (score < thresholds.match) {
+      reasons.push('borderline_match');
+    }
+    if (livenessScore === null || livenessScore === undefined) {
+      reasons.push('liveness_not_scored');
+    } else if (livenessScore < thresholds.liveness) {
+      reasons.push('low_liveness');
+    }
+    
+    return { decision: reasons.length > 0 ? 'review' : 'matched', reasons };
+  }
+
   /**
    * Match selfie with ID document
    * @param {string} selfieDocumentId - Selfie document ID
    * @param {string} idDocumentId - ID document ID
-   * @returns {Promise<Object>}
+   * @param {string} userId - Owner of both documents (omit for admin use)
+   * @returns {Promise<Object>} { matched, decision, score, livenessScore, reasons, level }
    */
-  async matchSelfie(selfieDocumentId, idDocumentId) {
+  async matchSelfie(selfieDocumentId, idDocumentId, userId = null) {
     try {
       const selfieDoc = await KYCDocument.findById(selfieDocumentId);
       const idDoc = await KYCDocument.findById(idDocumentId);
       
-      if (!selfieDoc || !idDoc) {
+      if (!selfieDoc || !idDoc ||
+          (userId && (String(selfieDoc.userId) !== String(userId) || String(idDoc.userId) !== String(userId)))) {
         throw new Error('Documents not found');
       }
+      if (selfieDoc.documentType !== DOCUMENT_TYPES.SELFIE) {
+        throw new Error('Selfie document must be a selfie');
+      }
+      if (idDoc.documentType === DOCUMENT_TYPES.SELFIE) {
+        throw new Error('ID document must not be a selfie');
+      }
       
-      // Mock face matching (replace with actual face recognition API)
-      const matchResult = await this.ocrEngine.matchFaces(selfieDoc, idDoc);
-      
-      // Update KYC status
       const kycStatus = await KYCStatus.findById(selfieDoc.kycStatusId);
-      if (kycStatus) {
-        await kycStatus.updateStep('selfie_matching', 
-          matchResult.matched ? 'completed' : 'failed',
-          { matchScore: matchResult.score }
-        );
-        
-        if (matchResult.matched) {
-          kycStatus.levelStatus.level2.selfieVerified = true;
-          kycStatus.levelStatus.level2.selfieVerifiedAt = new Date();
-          kycStatus.levelStatus.level2.selfieMatchScore = matchResult.score;
-          await kycStatus.save();
-        }
+      const level = Math.min(4, Math.max(2, kycStatus?.targetLevel || 2));
+      const thresholds = this.getFaceThresholds(level);
+      
+      let provider = getFaceProvider();
+      if (!provider.supports(selfieDoc.file.mimeType) || !provider.supports(idDoc.file.mimeType)) {
+        provider = new ManualFaceProvider();
       }
       
-      // Update selfie document with match info
+      const comparison = await provider.compare(selfieDoc.file.path, idDoc.file.path);
+      
+      // Liveness from when the selfie was processed, if the same provider scored it
+      const stored = selfieDoc.ocrData?.faceDetection;
+      const livenessScore = stored?.provider === provider.name && stored.liveness
+        ? stored.liveness.score
+        : (await provider.checkLiveness(selfieDoc.file.path)).score;
+      
+      const { decision, reasons } = this.decideFaceMatch(comparison.score, livenessScore, thresholds);
+      
+      selfieDoc.faceMatch = {
+        idDocumentId,
+        provider: provider.name,
+        score: comparison.score,
+        livenessScore,
+        level,
+        thresholds,
+        decision,
+        reasons,
+        matchedAt: new Date(),
+        review: decision === 'review' ? { status: 'pending' } : undefined,
+      };
       selfieDoc.relatedDocuments.push({
         documentId: idDocumentId,
         relationship: 'selfie_match',
-        matchScore: matchResult.score,
+        matchScore: comparison.score,
       });
       await selfieDoc.save();
       
-      return matchResult;
+      await this.applyFaceMatch(kycStatus, selfieDoc.faceMatch);
+      
+      return {
+        matched: decision === 'matched',
+        decision,
+        score: comparison.score,
+        livenessScore,
+        reasons,
+        level,
+      };
     } catch (error) {
       console.error('Error matching selfie:', error);
       throw error;
     }
   }
 
+  /**
+   * Record a face match decision on the KYC status
+   * @param {Object|null} kycStatus - KYCStatus instance
+   * @param {Object} faceMatch - Selfie document faceMatch
+   * @param {Object} metadata - Extra step metadata
+   */
+  async applyFaceMatch(kycStatus, faceMatch, metadata = {}) {
+    if (!kycStatus) return;
+    
+    const stepStatus = { matched: 'completed', review: 'in_progress', failed: 'failed' }[faceMatch.decision];
+    await kycStatus.updateStep('selfie_matching', stepStatus, {
+      matchScore: faceMatch.score,
+      livenessScore: faceMatch.livenessScore,
+      decision: faceMatch.decision,
+      reasons: faceMatch.reasons,
+      ...metadata,
+    });
+    
+    if (faceMatch.decision === 'matched') {
+      kycStatus.levelStatus.level2.selfieVerified = true;
+      kycStatus.levelStatus.level2.selfieVerifiedAt = new Date();
+      kycStatus.levelStatus.level2.selfieMatchScore = faceMatch.score ?? undefined;
+      await kycStatus.save();
+    }
+  }
+
+  /**
+   * Selfies whose face match awaits a reviewer
+   * @param {Object} options - { limit, skip }
+   * @returns {Promise<Array>}
+   */
+  async getPendingFaceReviews(options = {}) {
+    return KYCDocument.findPendingFaceReviews(options);
+  }
+
+  /**
+   * Settle a borderline face match after comparing the images side by side
+   * @param {string} documentId - Selfie document ID
+   * @param {string} adminId - Reviewer
+   * @param {boolean} approved - Whether the faces match
+   * @param {string} notes - Review notes
+   * @returns {Promise<Object>} Updated selfie document
+   */
+  async reviewFaceMatch(documentId, adminId, approved, notes = '') {
+    const selfieDoc = await KYCDocument.findById(documentId);
+    if (!selfieDoc || selfieDoc.faceMatch?.review?.status !== 'pending') {
+      throw new Error('No face match awaiting review');
+    }
+    
+    selfieDoc.faceMatch.decision = approved ? 'matched' : 'failed';
+    selfieDoc.faceMatch.review = {
+      status: approved ? 'approved' : 'rejected',
+      reviewedBy: adminId,
+      reviewedAt: new Date(),
+      notes,
+    };
+    await selfieDoc.save();
+    
+    const kycStatus = await KYCStatus.findById(selfieDoc.kycStatusId);
+    await this.applyFaceMatch(kycStatus, selfieDoc.faceMatch, { reviewedBy: adminId });
+    
+    return selfieDoc;
+  }
+
+  /**
+   * Open a stored document file for a reviewer
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object>} { stream, mimeType, fileName }
+   */
+  async openDocumentFile(documentId) {
+    const document = await KYCDocument.findById(documentId);
+    if (!document) {
+      throw new Error('Document not found');
+    }
+    
+    await fs.access(document.file.path);
+    
+    return {
+      stream: createReadStream(document.file.path),
+      mimeType: document.file.mimeType,
+      fileName: document.file.originalName,
+    };
+  }
+
   // ==================== LEVEL PROGRESSION ====================
 
   /**
@@ -1078,149 +1340,6 @@ class KYCService {
   }
 }
 
-// ==================== MOCK OCR ENGINE ====================
-
-/**
- * Mock OCR Engine for development
- * Replace with actual OCR provider (Google Vision, AWS Textract, etc.)
- */
-class MockOCREngine {
-  async processNRC(document) {
-    // Simulate processing delay
-    await this.delay(1000);
-    
-    // Mock NRC data extraction
-    return {
-      rawText: 'REPUBLIC OF THE UNION OF MYANMAR\nNATIONAL REGISTRATION CARD\n\n12/ABC(N)123456\nName: John Doe\nFather: U Hla Doe\nDOB: 1990-01-01',
-      extractedData: {
-        nrcNumber: '12/ABC(N)123456',
-        nrcStateRegion: 'Yangon',
-        nrcType: 'N',
-        name: 'John Doe',
-        fatherName: 'U Hla Doe',
-        dateOfBirth: new Date('1990-01-01'),
-        nationality: 'Myanmar',
-        confidence: 85,
-      },
-      confidence: {
-        overall: 85,
-        fields: [
-          { field: 'nrcNumber', confidence: 95, value: '12/ABC(N)123456' },
-          { field: 'name', confidence: 80, value: 'John Doe' },
-          { field: 'fatherName', confidence: 75, value: 'U Hla Doe' },
-        ],
-      },
-      engine: 'mock_tesseract',
-      processingDuration: 1000,
-    };
-  }
-
-  async processSelfie(document) {
-    await this.delay(500);
-    
-    return {
-      rawText: '',
-      extractedData: {},
-      confidence: {
-        overall: 90,
-        fields: [],
-      },
-      faceDetection: {
-        detected: true,
-        confidence: 95,
-        faceCount: 1,
-        quality: {
-          brightness: 80,
-          sharpness: 85,
-          contrast: 75,
-        },
-      },
-      engine: 'mock_face_api',
-      processingDuration: 500,
-    };
-  }
-
-  async processPassport(document) {
-    await this.delay(1000);
-    
-    return {
-      rawText: 'PASSPORT\nType: P\nCountry: MM\nPassport No: P12345678',
-      extractedData: {
-        passportNumber: 'P12345678',
-        issuingCountry: 'MM',
-        issueDate: new Date('2020-01-01'),
-        expiryDate: new Date('2030-01-01'),
-        confidence: 80,
-      },
-      confidence: {
-        overall: 80,
-        fields: [
-          { field: 'passportNumber', confidence: 90, value: 'P12345678' },
-        ],
-      },
-      engine: 'mock_tesseract',
-      processingDuration: 1000,
-    };
-  }
-
-  async processBusinessDoc(document) {
-    await this.delay(1500);
-    
-    return {
-      rawText: 'BUSINESS REGISTRATION\nCompany: ABC Co., Ltd.\nReg No: 123456789\nTIN: 123-456-789',
-      extractedData: {
-        businessName: 'ABC Co., Ltd.',
-        registrationNumber: '123456789',
-        tinNumber: '123-456-789',
-        registeredDate: new Date('2020-01-01'),
-        confidence: 75,
-      },
-      confidence: {
-        overall: 75,
-        fields: [
-          { field: 'businessName', confidence: 80, value: 'ABC Co., Ltd.' },
-          { field: 'registrationNumber', confidence: 70, value: '123456789' },
-        ],
-      },
-      engine: 'mock_tesseract',
-      processingDuration: 1500,
-    };
-  }
-
-  async processGeneric(document) {
-    await this.delay(500);
-    
-    return {
-      rawText: 'Document processed',
-      extractedData: {},
-      confidence: {
-        overall: 50,
-        fields: [],
-      },
-      engine: 'mock_tesseract',
-      processingDuration: 500,
-    };
-  }
-
-  async matchFaces(selfieDoc, idDoc) {
-    await this.delay(800);
-    
-    // Mock face matching with 85% confidence
-    const score = 85 + Math.random() * 10;
-    
-    return {
-      matched: score > 70,
-      score: Math.round(score * 100) / 100,
-      confidence: score,
-      method: 'mock_face_recognition',
-    };
-  }
-
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-}
-
 // Create singleton instance
 const kycService = new KYCService();
 
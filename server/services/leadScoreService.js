@@ -6,6 +6,7 @@
  */
 
 const { LeadScore, ReferrerQuality, Company, User, Job, Referral } = require('../models/index.js');
+const skillTaxonomyService = require('./skillTaxonomyService.js');
 
 /**
  * Service class for managing lead scoring operations
@@ -55,6 +56,7 @@ class LeadScoreService {
       factors.experienceMatch = this._calculateExperienceMatch(candidate);
 
       // 3. Skills Match (25 points)
+      await skillTaxonomyService.load();
       factors.skillsMatch = this._calculateSkillsMatch(candidate);
 
       // 4. Referrer Quality (15 points)
@@ -138,7 +140,8 @@ class LeadScoreService {
    * @private
    */
   _calculateSkillsMatch(candidate) {
-    const skills = candidate.jobseekerProfile?.skills || [];
+    // Aliases of the same skill (ReactJS, React.js) count once
+    const skills = skillTaxonomyService.canonicalizeList(candidate.jobseekerProfile?.skills || []);
     let score = 0;
 
     // Number of skills (15 points)
@@ -162,7 +165,8 @@ class LeadScoreService {
    * @private
    */
   _categorizeSkills(skills) {
-    const categories = new Set();
+    // Categories from the skill taxonomy, then keyword lists for unlisted skills
+    const categories = new Set(skillTaxonomyService.categorize(skills));
     const skillLower = skills.map(s => s.toLowerCase());
 
     // Programming languages
@@ -0,0 +1,855 @@
+/**
+ * Ledger Service
+ * Posts balanced double-entry journal entries for every money movement
+ * (deposits, invoices, referral bonuses, commission, payouts, refunds and
+ * clawbacks), and reports trial balances, account statements and
+ * reconciliation against provider and balance records.
+ */
+
+const {
+  LedgerEntry,
+  BillingRecord,
+  PayoutTransaction,
+  User,
+} = require('../models/index.js');
+const { ENTRY_TYPES, ACCOUNT_TYPES } = require('../models/LedgerEntry.js');
+const PaymentTransaction = require('../models/PaymentTransaction.js');
+const { TRANSACTION_STATUS: PAYOUT_TRANSACTION_STATUS } = require('../models/PayoutTransaction.js');
+const taxService = require('./taxService.js');
+
+// Account code segments must be lowercase words
+const segment = (value) => String(value || 'unknown').toLowerCase().replace(/[^a-z0-9_]+/g, '_');
+
+// Named accounts
+const ACCOUNTS = {
+  // Money held at a payment or payout provider
+  providerCash: provider => `assets:providers:${segment(provider)}`,
+  // Invoiced amounts a company still owes
+  invoiceReceivable: companyId => `assets:receivables:invoices:${segment(companyId)}`,
+  // Referral bonuses a company owes for hires
+  bonusReceivable: companyId => `assets:receivables:referral_bonuses:${segment(companyId)}`,
+  // Deposited funds held for a user
+  userWallet: userId => `liabilities:wallets:${segment(userId)}`,
+  // Referrer earnings still inside a guarantee period
+  referrerPending: userId => `liabilities:referrers:${segment(userId)}:pending`,
+  // Referrer earnings that can be paid out
+  referrerAvailable: userId => `liabilities:referrers:${segment(userId)}:available`,
+  // Credit notes not yet applied to an invoice
+  companyCredit: companyId => `liabilities:company_credits:${segment(companyId)}`,
+  commercialTax: 'liabilities:tax:commercial',
+  withholdingTax: 'liabilities:tax:withholding',
+  billingRevenue: 'revenue:billing',
+  commissionRevenue: 'revenue:commission',
+  // Contra-revenue for refunds and credits given back to customers
+  refunds: 'revenue:refunds',
+  // Currency trading account linking the two legs of a conversion; its
+  // balance per currency is the open FX position
+  fxConversion: 'equity:fx_conversion',
+  // Realised gains (credit) and losses (debit) on converted payouts
+  fxGainLoss: 'revenue:fx_gain_loss',
+};
+
+const toMinor = amount => Math.round((amount || 0) * 100);
+
+class LedgerService {
+  constructor() {
+    this.accounts = ACCOUNTS;
+  }
+
+  // ==================== POSTING ====================
+
+  /**
+   * Post a balanced journal entry. Zero-amount lines are dropped and an
+   * entry with an idempotency key is posted at most once.
+   * @param {Object} entry - { type, lines: [{ account, debit, credit, memo }], currency, description, source, idempotencyKey, postedBy }
+   * @returns {Promise<Object|null>} Posted (or previously posted) entry, null when nothing moved
+   */
+  async post(entry) {
+    const lines = entry.lines
+      .filter(line => toMinor(line.debit) > 0 || toMinor(line.credit) > 0)
+      .map(line => ({ ...line, debit: line.debit || 0, credit: line.credit || 0 }));
+
+    if (lines.length === 0) {
+      return null;
+    }
+
+    if (entry.idempotencyKey) {
+      const existing = await LedgerEntry.findOne({ idempotencyKey: entry.idempotencyKey });
+      if (existing) return existing;
+    }
+
+    try {
+      return await LedgerEntry.create({
+        ...entry,
+        lines,
+        entryNumber: LedgerEntry.generateEntryNumber(),
+      });
+    } catch (error) {
+      // Lost a race with another post of the same event
+      if (error.code === 11000 && entry.idempotencyKey) {
+        return LedgerEntry.findOne({ idempotencyKey: entry.idempotencyKey });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Post an entry for a money movement that has already happened. Failures
+   * are logged rather than thrown so the caller's operation stands; the
+   * reconciliation report lists source records without entries.
+   * @param {Function} build - Returns the entry to post (may be async)
+   * @returns {Promise<Object|null>}
+   */
+  async record(build) {
+    try {
+      const entry = await build();
+      return entry ? await this.post(entry) : null;
+    } catch (error) {
+      console.error('[LedgerService] Failed to post ledger entry:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Reverse a posted entry with a mirror entry
+   * @param {string} entryId - Entry to reverse
+   * @param {Object} options - { reason, postedBy }
+   * @returns {Promise<Object>} Reversing entry
+   */
+  async reverse(entryId, options = {}) {
+    const original = await LedgerEntry.findById(entryId);
+    if (!original) {
+      throw new Error('Ledger entry not found');
+    }
+    if (original.type === ENTRY_TYPES.REVERSAL) {
+      throw new Error('A reversing entry cannot itself be reversed');
+    }
+
+    const existing = await LedgerEntry.findOne({ reversalOf: original._id });
+    if (existing) {
+      throw new Error(`Entry ${original.entryNumber} was already reversed by ${existing.entryNumber}`);
+    }
+
+    return this.post({
+      type: ENTRY_TYPES.REVERSAL,
+      currency: original.currency,
+      lines: original.lines.map(line => ({
+        account: line.account,
+        debit: line.credit,
+        credit: line.debit,
+        memo: line.memo,
+      })),
+      description: `Reversal of ${original.entryNumber}${options.reason ? `: ${options.reason}` : ''}`,
+      source: original.source,
+      reversalOf: original._id,
+      postedBy: options.postedBy,
+    });
+  }
+
+  // ==================== EVENTS ====================
+
+  /**
+   * A completed deposit: provider cash in, held for the user
+   * @param {Object} transaction - PaymentTransaction
+   * @returns {Promise<Object|null>}
+   */
+  async recordDeposit(transaction) {
+    return this.record(() => ({
+      type: ENTRY_TYPES.DEPOSIT,
+      currency: transaction.currency,
+      lines: [
+        { account: ACCOUNTS.providerCash(transaction.provider), debit: transaction.amount },
+        { account: ACCOUNTS.userWallet(transaction.userId), credit: transaction.amount },
+      ],
+      description: `Deposit ${transaction.transactionNumber}`,
+      source: { model: 'PaymentTransaction', id: transaction._id, reference: transaction.transactionNumber },
+      idempotencyKey: `payment_transaction:${transaction._id}:completed`,
+    }));
+  }
+
+  /**
+   * A refund of a deposit back to the provider
+   * @param {Object} transaction - PaymentTransaction
+   * @param {Object} refund - { refundId, amount }
+   * @returns {Promise<Object|null>}
+   */
+  async recordDepositRefund(transaction, refund) {
+    return this.record(() => ({
+      type: ENTRY_TYPES.DEPOSIT_REFUND,
+      currency: transaction.currency,
+      lines: [
+        { account: ACCOUNTS.userWallet(transaction.userId), debit: refund.amount },
+        { account: ACCOUNTS.providerCash(transaction.provider), credit: refund.amount },
+      ],
+      description: `Refund ${refund.refundId} of deposit ${transaction.transactionNumber}`,
+      source: { model: 'PaymentTransaction', id: transaction._id, reference: transaction.transactionNumber },
+      idempotencyKey: `payment_transaction:${transaction._id}:refund:${refund.refundId}`,
+    }));
+  }
+
+  /**
+   * An issued invoice: receivable against revenue and commercial tax
+   * @param {Object} invoice - BillingRecord
+   * @returns {Promise<Object|null>}
+   */
+  async recordInvoiceIssued(invoice) {
+    return this.record(() => ({
+      type: ENTRY_TYPES.INVOICE_ISSUED,
+      currency: invoice.currency,
+      lines: [
+        { account: ACCOUNTS.invoiceReceivable(invoice.companyId), debit: invoice.total },
+        { account: ACCOUNTS.billingRevenue, credit: invoice.total - invoice.tax },
+        { account: ACCOUNTS.commercialTax, credit: invoice.tax },
+      ],
+      description: `Invoice ${invoice.invoiceNumber}`,
+      source: { model: 'BillingRecord', id: invoice._id, reference: invoice.invoiceNumber },
+      idempotencyKey: `invoice:${invoice._id}:issued`,
+    }));
+  }
+
+  /**
+   * A change to an invoice total (discount, credit note, late fee)
+   * @param {Object} invoice - BillingRecord after the change
+   * @param {Object} previous - { total, tax } before the change
+   * @param {string} reason - What changed
+   * @returns {Promise<Object|null>}
+   */
+  async recordInvoiceAdjustment(invoice, previous, reason) {
+    const totalChange = invoice.total - previous.total;
+    const taxChange = invoice.tax - previous.tax;
+    const revenueChange = totalChange - taxChange;
+    const side = amount => (amount > 0 ? { debit: amount } : { credit: -amount });
+    const opposite = amount => side(-amount);
+
+    return this.record(() => ({
+      type: ENTRY_TYPES.INVOICE_ADJUSTMENT,
+      currency: invoice.currency,
+      lines: [
+        { account: ACCOUNTS.invoiceReceivable(invoice.companyId), ...side(totalChange) },
+        { account: ACCOUNTS.billingRevenue, ...opposite(revenueChange) },
+        { account: ACCOUNTS.commercialTax, ...opposite(taxChange) },
+      ],
+      description: `Invoice ${invoice.invoiceNumber}: ${reason}`,
+      source: { model: 'BillingRecord', id: invoice._id, reference: invoice.invoiceNumber },
+    }));
+  }
+
+  /**
+   * A payment received on an invoice
+   * @param {Object} invoice - BillingRecord
+   * @param {Object} payment - Completed paymentHistory entry
+   * @returns {Promise<Object|null>}
+   */
+  async recordInvoicePayment(invoice, payment) {
+    return this.record(() => ({
+      type: ENTRY_TYPES.INVOICE_PAYMENT,
+      currency: invoice.currency,
+      lines: [
+        { account: ACCOUNTS.providerCash(payment.provider || payment.method), debit: payment.amount },
+        { account: ACCOUNTS.invoiceReceivable(invoice.companyId), credit: payment.amount },
+      ],
+      description: `Payment on invoice ${invoice.invoiceNumber}${payment.transactionId ? ` (${payment.transactionId})` : ''}`,
+      source: { model: 'BillingRecord', id: invoice._id, reference: invoice.invoiceNumber },
+      idempotencyKey: `invoice:${invoice._id}:payment:${payment._id}`,
+    }));
+  }
+
+  /**
+   * A refund of an invoice payment, returned through the provider of the
+   * last payment. The tax contained in the refund is reversed.
+   * @param {Object} invoice - BillingRecord
+   * @param {Object} refund - Refund record from invoice.refunds
+   * @returns {Promise<Object|null>}
+   */
+  async recordInvoiceRefund(invoice, refund) {
+    const { amount } = refund;
+    const payment = this.lastCompletedPayment(invoice);
+    const tax = taxService.taxIncluded(amount, invoice.taxRate, invoice.currency);
+
+    return this.record(() => ({
+      type: ENTRY_TYPES.INVOICE_REFUND,
+      currency: invoice.currency,
+      lines: [
+        { account: ACCOUNTS.refunds, debit: amount - tax },
+        { account: ACCOUNTS.commercialTax, debit: tax },
+        { account: ACCOUNTS.providerCash(payment?.provider || payment?.method), credit: amount },
+      ],
+      description: `Refund on invoice ${invoice.invoiceNumber}`,
+      source: { model: 'BillingRecord', id: invoice._id, reference: invoice.invoiceNumber },
+      idempotencyKey: `invoice:${invoice._id}:refund:${refund._id}`,
+    }));
+  }
+
+  /**
+   * A credit note owed to a company. Tax is reversed when the credit is
+   * applied to an invoice, through the invoice adjustment.
+   * @param {Object} creditNote - CreditNote
+   * @returns {Promise<Object|null>}
+   */
+  async recordCreditNoteIssued(creditNote) {
+    return this.record(() => ({
+      type: ENTRY_TYPES.CREDIT_NOTE_ISSUED,
+      currency: creditNote.currency,
+      lines: [
+        { account: ACCOUNTS.refunds, debit: creditNote.amount },
+        { account: ACCOUNTS.companyCredit(creditNote.companyId), credit: creditNote.amount },
+      ],
+      description: `Credit note ${creditNote.creditNoteNumber}`,
+      source: { model: 'CreditNote', id: creditNote._id, reference: creditNote.creditNoteNumber },
+      idempotencyKey: `credit_note:${creditNote._id}:issued`,
+    }));
+  }
+
+  /**
+   * A credit note used up as a discount on an invoice
+   * @param {Object} creditNote - CreditNote
+   * @returns {Promise<Object|null>}
+   */
+  async recordCreditNoteApplied(creditNote) {
+    return this.record(() => ({
+      type: ENTRY_TYPES.CREDIT_NOTE_APPLIED,
+      currency: creditNote.currency,
+      lines: [
+        { account: ACCOUNTS.companyCredit(creditNote.companyId), debit: creditNote.amount },
+        { account: ACCOUNTS.refunds, credit: creditNote.amount },
+      ],
+      description: `Credit note ${creditNote.creditNoteNumber} applied`,
+      source: { model: 'CreditNote', id: creditNote._id, reference: creditNote.creditNoteNumber },
+      idempotencyKey: `credit_note:${creditNote._id}:applied`,
+    }));
+  }
+
+  /**
+   * A hire: the company owes the referral bonus, split into the referrer's
+   * pending earnings and the platform commission
+   * @param {Object} referral - Referral (hired)
+   * @param {string} companyId - Hiring company
+   * @returns {Promise<Array>} [accrual, commission]
+   */
+  async recordReferralHire(referral, companyId) {
+    const source = { model: 'Referral', id: referral._id, reference: referral.code };
+    const currency = referral.currency || 'MMK';
+
+    const accrual = await this.record(() => ({
+      type: ENTRY_TYPES.REFERRAL_BONUS_ACCRUAL,
+      currency,
+      lines: [
+        { account: ACCOUNTS.bonusReceivable(companyId), debit: referral.referrerPayout },
+        { account: ACCOUNTS.referrerPending(referral.referrerId), credit: referral.referrerPayout },
+      ],
+      description: `Referral bonus for ${referral.code}`,
+      source,
+      idempotencyKey: `referral:${referral._id}:bonus_accrual`,
+    }));
+
+    const commission = await this.record(() => ({
+      type: ENTRY_TYPES.PLATFORM_COMMISSION,
+      currency,
+      lines: [
+        { account: ACCOUNTS.bonusReceivable(companyId), debit: referral.platformCommission },
+        { account: ACCOUNTS.commissionRevenue, credit: referral.platformCommission },
+      ],
+      description: `Platform commission on ${referral.code}`,
+      source,
+      idempotencyKey: `referral:${referral._id}:commission`,
+    }));
+
+    return [accrual, commission];
+  }
+
+  /**
+   * A payout installment released from pending to available earnings
+   * @param {Object} referral - Referral
+   * @param {Object} installment - Released installment
+   * @returns {Promise<Object|null>}
+   */
+  async recordInstallmentRelease(referral, installment) {
+    return this.record(() => ({
+      type: ENTRY_TYPES.INSTALLMENT_RELEASE,
+      currency: referral.currency || 'MMK',
+      lines: [
+        { account: ACCOUNTS.referrerPending(referral.referrerId), debit: installment.amount },
+        { account: ACCOUNTS.referrerAvailable(referral.referrerId), credit: installment.amount },
+      ],
+      description: `Installment ${installment.sequence} released for ${referral.code}`,
+      source: { model: 'Referral', id: referral._id, reference: referral.code },
+      idempotencyKey: `referral:${referral._id}:installment:${installment.sequence}:released`,
+    }));
+  }
+
+  /**
+   * A hire that left during the guarantee period: unreleased earnings are
+   * cancelled and released ones clawed back, reducing what the company owes
+   * @param {Object} referral - Referral
+   * @param {string} companyId - Hiring company
+   * @param {Object} amounts - { cancelledAmount, referrerAmount }
+   * @returns {Promise<Object|null>}
+   */
+  async recordClawback(referral, companyId, { cancelledAmount, referrerAmount }) {
+    return this.record(() => ({
+      type: ENTRY_TYPES.CLAWBACK,
+      currency: referral.currency || 'MMK',
+      lines: [
+        { account: ACCOUNTS.referrerPending(referral.referrerId), debit: cancelledAmount, memo: 'Cancelled installments' },
+        { account: ACCOUNTS.referrerAvailable(referral.referrerId), debit: referrerAmount, memo: 'Clawed back from referrer' },
+        { account: ACCOUNTS.bonusReceivable(companyId), credit: cancelledAmount + referrerAmount },
+      ],
+      description: `Guarantee clawback for ${referral.code}`,
+      source: { model: 'Referral', id: referral._id, reference: referral.code },
+      idempotencyKey: `referral:${referral._id}:clawback`,
+    }));
+  }
+
+  /**
+   * A paid payout: the referrer's earnings leave through the provider, less
+   * withholding tax kept for the tax authority. A payout paid in another
+   * currency leaves through the FX conversion account at the market rate on
+   * settlement, with the difference from the locked rate as FX gain or loss,
+   * and a second entry in the settlement currency moves the converted amount
+   * out of provider cash.
+   * @param {Object} payoutRequest - PayoutRequest
+   * @param {string} providerCode - Provider the money was sent through
+   * @returns {Promise<Object|null>}
+   */
+  async recordPayout(payoutRequest, providerCode) {
+    const referrerId = payoutRequest.referrerId?._id || payoutRequest.referrerId;
+    const withheld = payoutRequest.withholdingTax?.amount || 0;
+    const fx = payoutRequest.fx;
+
+    if (fx?.settledAt) {
+      return this.recordConvertedPayout(payoutRequest, providerCode, referrerId, withheld);
+    }
+
+    return this.record(() => ({
+      type: ENTRY_TYPES.PAYOUT,
+      currency: payoutRequest.currency,
+      lines: [
+        { account: ACCOUNTS.referrerAvailable(referrerId), debit: payoutRequest.amount },
+        { account: ACCOUNTS.providerCash(providerCode), credit: payoutRequest.amount - withheld },
+        { account: ACCOUNTS.withholdingTax, credit: withheld },
+      ],
+      description: `Payout ${payoutRequest.requestNumber}`,
+      source: { model: 'PayoutRequest', id: payoutRequest._id, reference: payoutRequest.requestNumber },
+      idempotencyKey: `payout_request:${payoutRequest._id}:paid`,
+    }));
+  }
+
+  /**
+   * Entries for a payout converted into the referrer's currency
+   * @returns {Promise<Object|null>} The payout entry
+   */
+  async recordConvertedPayout(payoutRequest, providerCode, referrerId, withheld) {
+    const { fx } = payoutRequest;
+    const gainLoss = fx.realisedGainLoss || 0;
+    const sent = payoutRequest.amount - withheld - gainLoss;
+    const source = { model: 'PayoutRequest', id: payoutRequest._id, reference: payoutRequest.requestNumber };
+
+    const entry = await this.record(() => ({
+      type: ENTRY_TYPES.PAYOUT,
+      currency: fx.sourceCurrency,
+      lines: [
+        { account: ACCOUNTS.referrerAvailable(referrerId), debit: payoutRequest.amount },
+        { account: ACCOUNTS.fxConversion, credit: sent, memo: `${fx.settledAmount} ${fx.targetCurrency} at ${fx.settlementRate}` },
+        { account: ACCOUNTS.withholdingTax, credit: withheld },
+        { account: ACCOUNTS.fxGainLoss, credit: Math.max(gainLoss, 0), debit: Math.max(-gainLoss, 0), memo: `Locked at ${fx.rate}` },
+      ],
+      description: `Payout ${payoutRequest.requestNumber}`,
+      source,
+      idempotencyKey: `payout_request:${payoutRequest._id}:paid`,
+    }));
+
+    await this.record(() => ({
+      type: ENTRY_TYPES.FX_CONVERSION,
+      currency: fx.targetCurrency,
+      lines: [
+        { account: ACCOUNTS.fxConversion, debit: fx.settledAmount },
+        { account: ACCOUNTS.providerCash(providerCode), credit: fx.settledAmount },
+      ],
+      description: `Payout ${payoutRequest.requestNumber} paid in ${fx.targetCurrency}`,
+      source,
+      idempotencyKey: `payout_request:${payoutRequest._id}:fx`,
+    }));
+
+    return entry;
+  }
+
+  lastCompletedPayment(invoice) {
+    const completed = (invoice.paymentHistory || []).filter(payment => payment.status === 'completed');
+    return completed[completed.length - 1] || null;
+  }
+
+  // ==================== REPORTING ====================
+
+  /**
+   * Signed balance of a line total from the account's normal side
+   * @param {string} account - Account code
+   * @param {number} debit - Total debits
+   * @param {number} credit - Total credits
+   * @returns {number}
+   */
+  normalBalance(account, debit, credit) {
+    const balance = LedgerEntry.isDebitNormal(LedgerEntry.accountType(account)) ? debit - credit : credit - debit;
+    return toMinor(balance) / 100;
+  }
+
+  /**
+   * Trial balance of every account, per currency
+   * @param {Object} options - { asOf, prefix }
+   * @returns {Promise<Object>} { asOf, currencies: [{ currency, accounts, totals, balanced }], balanced }
+   */
+  async getTrialBalance(options = {}) {
+    const asOf = options.asOf ? new Date(options.asOf) : new Date();
+    const lineMatch = options.prefix ? { 'lines.account': { $regex: `^${this.escapeRegex(options.prefix)}` } } : {};
+
+    const rows = await LedgerEntry.aggregate([
+      { $match: { postedAt: { $lte: asOf } } },
+      { $unwind: '$lines' },
+      { $match: lineMatch },
+      {
+        $group: {
+          _id: { currency: '$currency', account: '$lines.account' },
+          debit: { $sum: '$lines.debit' },
+          credit: { $sum: '$lines.credit' },
+        },
+      },
+      { $sort: { '_id.currency': 1, '_id.account': 1 } },
+    ]);
+
+    const byCurrency = new Map();
+    for (const row of rows) {
+      const { currency, account } = row._id;
+      if (!byCurrency.has(currency)) {
+        byCurrency.set(currency, { currency, accounts: [], totals: { debit: 0, credit: 0 } });
+      }
+
+      const group = byCurrency.get(currency);
+      group.accounts.push({
+        account,
+        type: LedgerEntry.accountType(account),
+        debit: row.debit,
+        credit: row.credit,
+        balance: this.normalBalance(account, row.debit, row.credit),
+      });
+      group.totals.debit += row.debit;
+      group.totals.credit += row.credit;
+    }
+
+    const currencies = [...byCurrency.values()].map(group => ({
+      ...group,
+      totals: {
+        debit: toMinor(group.totals.debit) / 100,
+        credit: toMinor(group.totals.credit) / 100,
+      },
+      // Only meaningful for the whole ledger, not a prefix
+      balanced: toMinor(group.totals.debit) === toMinor(group.totals.credit),
+    }));
+
+    return {
+      asOf,
+      prefix: options.prefix || null,
+      currencies,
+      balanced: options.prefix ? null : currencies.every(group => group.balanced),
+    };
+  }
+
+  /**
+   * Statement of one account: opening balance, lines with running balance
+   * and closing balance
+   * @param {string} account - Account code
+   * @param {Object} options - { from, to, currency, limit }
+   * @returns {Promise<Object>} Statement
+   */
+  async getAccountStatement(account, options = {}) {
+    const code = String(account).toLowerCase();
+    if (!Object.values(ACCOUNT_TYPES).includes(LedgerEntry.accountType(code))) {
+      throw new Error(`Unknown account type in ${account}`);
+    }
+
+    const { currency = 'MMK', limit = 500 } = options;
+    const from = options.from ? new Date(options.from) : null;
+    const to = options.to ? new Date(options.to) : new Date();
+
+    let opening = 0;
+    if (from) {
+      const [totals] = await LedgerEntry.aggregate([
+        { $match: { currency, 'lines.account': code, postedAt: { $lt: from } } },
+        { $unwind: '$lines' },
+        { $match: { 'lines.account': code } },
+        { $group: { _id: null, debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } },
+      ]);
+      opening = totals ? this.normalBalance(code, totals.debit, totals.credit) : 0;
+    }
+
+    const postedAt = { $lte: to };
+    if (from) postedAt.$gte = from;
+
+    const entries = await LedgerEntry.find({ currency, 'lines.account': code, postedAt })
+      .sort({ postedAt: 1, _id: 1 })
+      .limit(parseInt(limit));
+
+    let balance = opening;
+    const lines = [];
+    for (const entry of entries) {
+      for (const line of entry.lines.filter(item => item.account === code)) {
+        balance = toMinor(balance + this.normalBalance(code, line.debit, line.credit)) / 100;
+        lines.push({
+          entryId: entry._id,
+          entryNumber: entry.entryNumber,
+          type: entry.type,
+          postedAt: entry.postedAt,
+          description: entry.description,
+          memo: line.memo,
+          source: entry.source,
+          debit: line.debit,
+          credit: line.credit,
+          balance,
+        });
+      }
+    }
+
+    return {
+      account: code,
+      type: LedgerEntry.accountType(code),
+      currency,
+      from,
+      to,
+      openingBalance: opening,
+      closingBalance: balance,
+      lines,
+      truncated: entries.length >= parseInt(limit),
+    };
+  }
+
+  // ==================== RECONCILIATION ====================
+
+  /**
+   * Compare ledger balances with provider and balance records:
+   * provider cash against completed deposits, invoice payments and payouts;
+   * invoice receivables against open invoice amounts; referrer liabilities
+   * against users' pending and available balances. Also lists completed
+   * source records that have no ledger entry.
+   * @param {Object} options - { currency }
+   * @returns {Promise<Object>} { providers, receivables, referrers, missingEntries, inBalance }
+   */
+  async reconcile(options = {}) {
+    const { currency = 'MMK' } = options;
+    const { currencies } = await this.getTrialBalance();
+    const ledger = new Map(
+      (currencies.find(group => group.currency === currency)?.accounts || [])
+        .map(row => [row.account, row.balance])
+    );
+
+    const providers = this.compare(ledger, await this.getProviderBalances(currency),
+      'assets:providers:', ACCOUNTS.providerCash);
+    const receivables = this.compare(ledger, await this.getReceivableBalances(currency),
+      'assets:receivables:invoices:', ACCOUNTS.invoiceReceivable);
+    const referrers = this.compare(ledger, await this.getReferrerBalances(),
+      'liabilities:referrers:', userId => [ACCOUNTS.referrerPending(userId), ACCOUNTS.referrerAvailable(userId)]);
+
+    const missingEntries = await this.findMissingEntries(currency);
+
+    return {
+      currency,
+      providers,
+      receivables: receivables.filter(row => row.difference !== 0),
+      referrers: referrers.filter(row => row.difference !== 0),
+      missingEntries,
+      inBalance: [...providers, ...receivables, ...referrers].every(row => row.difference === 0)
+        && missingEntries.length === 0,
+    };
+  }
+
+  /**
+   * Rows of { key, accounts, ledgerBalance, recordBalance, difference } for
+   * every key seen in either the records or the ledger
+   * @param {Map} ledger - Account balances
+   * @param {Map} records - Record balances by key
+   * @param {string} prefix - Account prefix the keys follow
+   * @param {Function} accountsFor - Key to account code(s)
+   * @returns {Array}
+   */
+  compare(ledger, records, prefix, accountsFor) {
+    const keys = new Set(records.keys());
+    for (const account of ledger.keys()) {
+      if (account.startsWith(prefix)) {
+        keys.add(account.slice(prefix.length).split(':')[0]);
+      }
+    }
+
+    return [...keys].sort().map(key => {
+      const accounts = [].concat(accountsFor(key));
+      const ledgerBalance = toMinor(accounts.reduce((sum, account) => sum + (ledger.get(account) || 0), 0)) / 100;
+      const recordBalance = toMinor(records.get(key) || 0) / 100;
+
+      return {
+        key,
+        accounts,
+        ledgerBalance,
+        recordBalance,
+        difference: toMinor(ledgerBalance - recordBalance) / 100,
+      };
+    });
+  }
+
+  /**
+   * Net money held per provider according to provider transaction records
+   * @param {string} currency - Currency code
+   * @returns {Promise<Map>} provider => balance
+   */
+  async getProviderBalances(currency) {
+    const balances = new Map();
+    const add = (provider, amount) => {
+      const key = segment(provider);
+      balances.set(key, (balances.get(key) || 0) + amount);
+    };
+
+    const deposits = await PaymentTransaction.aggregate([
+      {
+        $match: {
+          type: 'deposit',
+          currency,
+          status: { $in: ['completed', 'partially_refunded', 'refunded'] },
+        },
+      },
+      { $group: { _id: '$provider', amount: { $sum: '$amount' } } },
+    ]);
+    deposits.forEach(row => add(row._id, row.amount));
+
+    // Deposit refunds are recorded as the refunds are processed
+    const depositRefunds = await PaymentTransaction.aggregate([
+      { $match: { type: 'deposit', currency, 'refunds.0': { $exists: true } } },
+      { $unwind: '$refunds' },
+      { $group: { _id: '$provider', amount: { $sum: '$refunds.amount' } } },
+    ]);
+    depositRefunds.forEach(row => add(row._id, -row.amount));
+
+    const invoicePayments = await BillingRecord.aggregate([
+      { $match: { currency, 'paymentHistory.status': 'completed' } },
+      { $unwind: '$paymentHistory' },
+      { $match: { 'paymentHistory.status': 'completed' } },
+      {
+        $group: {
+          _id: { $ifNull: ['$paymentHistory.provider', '$paymentHistory.method'] },
+          amount: { $sum: '$paymentHistory.amount' },
+        },
+      },
+    ]);
+    invoicePayments.forEach(row => add(row._id, row.amount));
+
+    const refunded = await BillingRecord.find({ currency, refundAmount: { $gt: 0 } })
+      .select('paymentHistory refundAmount');
+    for (const invoice of refunded) {
+      const payment = this.lastCompletedPayment(invoice);
+      add(payment?.provider || payment?.method, -invoice.refundAmount);
+    }
+
+    const payouts = await PayoutTransaction.aggregate([
+      { $match: { currency, status: PAYOUT_TRANSACTION_STATUS.COMPLETED } },
+      { $group: { _id: '$providerCode', amount: { $sum: '$amount' } } },
+    ]);
+    payouts.forEach(row => add(row._id, -row.amount));
+
+    return balances;
+  }
+
+  /**
+   * Unpaid amount per company across its invoices. Refunds are paid out of
+   * provider cash and do not reopen an invoice.
+   * @param {string} currency - Currency code
+   * @returns {Promise<Map>} companyId => open amount
+   */
+  async getReceivableBalances(currency) {
+    const rows = await BillingRecord.aggregate([
+      { $match: { currency, companyId: { $ne: null }, status: { $nin: ['draft', 'cancelled'] } } },
+      { $group: { _id: '$companyId', amount: { $sum: { $subtract: ['$total', '$amountPaid'] } } } },
+    ]);
+
+    return new Map(rows.map(row => [String(row._id), row.amount]));
+  }
+
+  /**
+   * Referrer earnings per user from the balances on their profile
+   * @returns {Promise<Map>} userId => pending + available
+   */
+  async getReferrerBalances() {
+    const users = await User.find({
+      $or: [
+        { 'referrerProfile.pendingBalance': { $ne: 0 } },
+        { 'referrerProfile.availableBalance': { $ne: 0 } },
+      ],
+    }).select('referrerProfile.pendingBalance referrerProfile.availableBalance').lean();
+
+    return new Map(users.map(user => [
+      String(user._id),
+      (user.referrerProfile?.pendingBalance || 0) + (user.referrerProfile?.availableBalance || 0),
+    ]));
+  }
+
+  /**
+   * Completed source records without the ledger entry they should have posted
+   * @param {string} currency - Currency code
+   * @param {number} limit - Maximum records checked per source
+   * @returns {Promise<Array>} [{ model, id, reference, idempotencyKey }]
+   */
+  async findMissingEntries(currency, limit = 1000) {
+    const expected = [];
+
+    const deposits = await PaymentTransaction.find({
+      type: 'deposit',
+      currency,
+      status: { $in: ['completed', 'partially_refunded', 'refunded'] },
+    }).select('transactionNumber').sort({ createdAt: -1 }).limit(limit).lean();
+    deposits.forEach(transaction => expected.push({
+      model: 'PaymentTransaction',
+      id: transaction._id,
+      reference: transaction.transactionNumber,
+      idempotencyKey: `payment_transaction:${transaction._id}:completed`,
+    }));
+
+    const invoices = await BillingRecord.find({ currency, status: { $nin: ['draft', 'cancelled'] } })
+      .select('invoiceNumber paymentHistory').sort({ createdAt: -1 }).limit(limit).lean();
+    for (const invoice of invoices) {
+      expected.push({
+        model: 'BillingRecord',
+        id: invoice._id,
+        reference: invoice.invoiceNumber,
+        idempotencyKey: `invoice:${invoice._id}:issued`,
+      });
+      (invoice.paymentHistory || [])
+        .filter(payment => payment.status === 'completed')
+        .forEach(payment => expected.push({
+          model: 'BillingRecord',
+          id: invoice._id,
+          reference: invoice.invoiceNumber,
+          idempotencyKey: `invoice:${invoice._id}:payment:${payment._id}`,
+        }));
+    }
+
+    const payouts = await PayoutTransaction.find({ currency, status: PAYOUT_TRANSACTION_STATUS.COMPLETED })
+      .select('payoutRequestId transactionNumber').sort({ createdAt: -1 }).limit(limit).lean();
+    payouts.forEach(transaction => expected.push({
+      model: 'PayoutRequest',
+      id: transaction.payoutRequestId,
+      reference: transaction.transactionNumber,
+      idempotencyKey: `payout_request:${transaction.payoutRequestId}:paid`,
+    }));
+
+    const posted = new Set(
+      (await LedgerEntry.find({ idempotencyKey: { $in: expected.map(item => item.idempotencyKey) } })
+        .select('idempotencyKey').lean())
+        .map(entry => entry.idempotencyKey)
+    );
+
+    return expected.filter(item => !posted.has(item.idempotencyKey));
+  }
+
+  escapeRegex(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+// Create singleton instance
+const ledgerService = new LedgerService();
+
+module.exports = ledgerService;
+module.exports.ACCOUNTS = ACCOUNTS;
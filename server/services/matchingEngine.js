@@ -4,8 +4,10 @@
  * Calculates compatibility ratings based on multiple factors
  */
 
-const { User, Job, MatchScore, Referral, Application, ReferralNetwork } = require('../models/index.js');
+const { User, Job, MatchScore, MatchingWeights, Referral, Application, ReferralNetwork } = require('../models/index.js');
+const { MATCH_FACTORS } = require('../models/MatchingWeights.js');
 const { sendNotification } = require('./notificationService.js');
+const skillTaxonomyService = require('./skillTaxonomyService.js');
 const { NOTIFICATION_TYPES, NOTIFICATION_PRIORITY, NOTIFICATION_CHANNELS } = require('../models/Notification.js');
 
 // Default weights for scoring factors
@@ -27,6 +29,20 @@ const EXPERIENCE_LEVELS = {
   executive: { min: 10, max: 50 },
 };
 
+// How an adjacent candidate skill relates to the required one, for explanations
+const SKILL_RELATION_LABELS = {
+  child: 'a specialisation of',
+  related: 'related to',
+  sibling: 'similar to',
+  parent: 'broader than',
+};
+
+// How long fitted category weights are cached
+const WEIGHTS_CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Version of the scoring algorithm stored on each MatchScore
+const ALGORITHM_VERSION = '1.1.0';
+
 // Tier quality multipliers
 const TIER_MULTIPLIERS = {
   bronze: 1.0,
@@ -41,6 +57,8 @@ const TIER_MULTIPLIERS = {
 class MatchingEngine {
   constructor() {
     this.weights = { ...DEFAULT_WEIGHTS };
+    // Active fitted weights per job category
+    this.categoryWeights = new Map();
   }
 
   /**
@@ -58,6 +76,43 @@ class MatchingEngine {
     }
   }
 
+  /**
+   * Get the weights to score a job with: the active fitted weights of its
+   * category, or the engine defaults
+   * @param {string} category - Job category
+   * @returns {Promise<Object>} { weights, weightsId }
+   */
+  async getWeightsForCategory(category) {
+    if (!category) {
+      return { weights: this.weights, weightsId: null };
+    }
+
+    let cached = this.categoryWeights.get(category);
+    if (!cached || Date.now() - cached.loadedAt > WEIGHTS_CACHE_TTL_MS) {
+      const active = await MatchingWeights.findActive(category).lean();
+      cached = {
+        weights: active ? Object.fromEntries(MATCH_FACTORS.map(factor => [factor, active.weights[factor]])) : null,
+        weightsId: active?._id || null,
+        loadedAt: Date.now(),
+      };
+      this.categoryWeights.set(category, cached);
+    }
+
+    return { weights: cached.weights || this.weights, weightsId: cached.weightsId };
+  }
+
+  /**
+   * Drop cached category weights after activation
+   * @param {string} category - Job category (all categories when omitted)
+   */
+  clearWeightCache(category = null) {
+    if (category) {
+      this.categoryWeights.delete(category);
+    } else {
+      this.categoryWeights.clear();
+    }
+  }
+
   /**
    * Calculate match score for a job-candidate pair
    * @param {string} jobId - Job ID
@@ -84,7 +139,8 @@ class MatchingEngine {
       const factorScores = await this.calculateFactorScores(job, candidate);
 
       // Calculate overall score
-      const overallScore = this.calculateOverallScore(factorScores);
+      const { weights, weightsId } = await this.getWeightsForCategory(job.category);
+      const overallScore = this.calculateOverallScore(factorScores, weights);
 
       // Prepare match score data
       const matchScoreData = {
@@ -102,13 +158,15 @@ class MatchingEngine {
           referrerNetworkQuality: Math.round(factorScores.referrerNetwork),
         },
         weights: {
-          skillsWeight: this.weights.skills,
-          experienceWeight: this.weights.experience,
-          locationWeight: this.weights.location,
-          salaryWeight: this.weights.salary,
-          candidateQualityWeight: this.weights.candidateQuality,
-          referrerNetworkWeight: this.weights.referrerNetwork,
+          skillsWeight: weights.skills,
+          experienceWeight: weights.experience,
+          locationWeight: weights.location,
+          salaryWeight: weights.salary,
+          candidateQualityWeight: weights.candidateQuality,
+          referrerNetworkWeight: weights.referrerNetwork,
         },
+        weightsId,
+        explanations: this.buildExplanations(factorScores, weights),
         matchedSkills: factorScores.matchedSkills,
         missingSkills: factorScores.missingSkills,
         skillMatchPercentage: factorScores.skillMatchPercentage,
@@ -120,7 +178,7 @@ class MatchingEngine {
           salaryMin: job.salary?.min,
           salaryMax: job.salary?.max,
         },
-        algorithmVersion: '1.0.0',
+        algorithmVersion: ALGORITHM_VERSION,
         calculatedAt: new Date(),
       };
 
@@ -133,6 +191,7 @@ class MatchingEngine {
         factorScores: matchScoreData.factorScores,
         overallScore: matchScoreData.overallScore,
         isPerfectMatch: matchScoreData.isPerfectMatch,
+        explanations: matchScoreData.explanations,
       };
     } catch (error) {
       console.error('Error calculating match score:', error);
@@ -147,20 +206,22 @@ class MatchingEngine {
    * @returns {Promise<Object>} Factor scores
    */
   async calculateFactorScores(job, candidate) {
+    await skillTaxonomyService.load();
+
     const [
       skillsScore,
-      experienceScore,
-      locationScore,
-      salaryScore,
+      experience,
+      location,
+      salary,
       candidateQualityScore,
-      referrerNetworkScore,
+      referrerNetwork,
     ] = await Promise.all([
       this.calculateSkillsMatch(job, candidate),
-      this.calculateExperienceMatch(job, candidate),
-      this.calculateLocationMatch(job, candidate),
-      this.calculateSalaryMatch(job, candidate),
+      this.assessExperience(job, candidate),
+      this.assessLocation(job, candidate),
+      this.assessSalary(job, candidate),
       this.calculateCandidateQuality(candidate),
-      this.calculateReferrerNetworkQuality(candidate),
+      this.assessReferrerNetwork(candidate),
     ]);
 
     return {
@@ -168,12 +229,86 @@ class MatchingEngine {
       matchedSkills: skillsScore.matched,
       missingSkills: skillsScore.missing,
       skillMatchPercentage: skillsScore.percentage,
-      experience: experienceScore,
-      location: locationScore,
-      salary: salaryScore,
+      experience: experience.score,
+      location: location.score,
+      salary: salary.score,
       candidateQuality: candidateQualityScore.overall,
       candidateQualitySnapshot: candidateQualityScore.snapshot,
-      referrerNetwork: referrerNetworkScore,
+      referrerNetwork: referrerNetwork.score,
+      // Reason behind each factor score
+      reasons: {
+        skills: this.explainSkills(skillsScore),
+        experience: { summary: experience.summary, details: experience.details },
+        location: { summary: location.summary, details: location.details },
+        salary: { summary: salary.summary, details: salary.details },
+        candidateQuality: this.explainCandidateQuality(candidateQualityScore.snapshot),
+        referrerNetwork: { summary: referrerNetwork.summary, details: referrerNetwork.details },
+      },
+    };
+  }
+
+  /**
+   * Combine factor scores, weights and reasons into per-factor explanations
+   * @param {Object} factorScores - Result of calculateFactorScores
+   * @param {Object} weights - Weights used for the overall score
+   * @returns {Array} Explanations, largest contribution first
+   */
+  buildExplanations(factorScores, weights = this.weights) {
+    return MATCH_FACTORS
+      .map(factor => ({
+        factor,
+        score: Math.round(factorScores[factor]),
+        weight: Math.round(weights[factor] * 10000) / 10000,
+        contribution: Math.round(factorScores[factor] * weights[factor] * 100) / 100,
+        ...(factorScores.reasons?.[factor] || {}),
+      }))
+      .sort((a, b) => b.contribution - a.contribution);
+  }
+
+  /**
+   * Explain a skills match result
+   * @param {Object} skillsScore - Result of calculateSkillsMatch
+   * @returns {Object} { summary, details }
+   */
+  explainSkills(skillsScore) {
+    const { matched, adjacent = [], missing, extraSkills = [] } = skillsScore;
+    const required = matched.length + adjacent.length + missing.length;
+
+    let summary;
+    if (required === 0) {
+      summary = 'The job lists no required skills';
+    } else {
+      summary = `Matched ${matched.length} of ${required} required skills`;
+      if (adjacent.length > 0) {
+        summary += `; partial credit for ${adjacent.map(item => `${item.candidateSkill} (${SKILL_RELATION_LABELS[item.relation]} ${item.skill})`).join(', ')}`;
+      }
+      if (missing.length > 0) {
+        summary += `; missing ${missing.join(', ')}`;
+      }
+    }
+    if (extraSkills.length > 0) {
+      summary += ` (+${Math.min(extraSkills.length * 2, 10)} bonus for ${extraSkills.length} additional skills)`;
+    }
+
+    return {
+      summary,
+      details: { matched, adjacent, missing, extraSkills, percentage: Math.round(skillsScore.percentage) },
+    };
+  }
+
+  /**
+   * Explain a candidate quality snapshot
+   * @param {Object} snapshot - Candidate quality snapshot
+   * @returns {Object} { summary, details }
+   */
+  explainCandidateQuality(snapshot) {
+    const successText = snapshot.totalReferrals > 0
+      ? `${snapshot.pastSuccessRate}% past success rate`
+      : 'no referral history (neutral success rate)';
+
+    return {
+      summary: `Profile ${snapshot.profileCompleteness}% complete, ${successText}, ${snapshot.referrerTier} tier`,
+      details: snapshot,
     };
   }
 
@@ -184,48 +319,24 @@ class MatchingEngine {
    * @returns {Object} Skills match result
    */
   calculateSkillsMatch(job, candidate) {
-    const jobSkills = (job.skills || []).map(s => s.toLowerCase().trim());
-    const candidateSkills = (candidate.jobseekerProfile?.skills || []).map(s => s.toLowerCase().trim());
+    const jobSkills = job.skills || [];
+    const candidateSkills = candidate.jobseekerProfile?.skills || [];
 
     if (jobSkills.length === 0) {
-      return { score: 100, matched: [], missing: [], percentage: 100 };
+      return { score: 100, matched: [], adjacent: [], missing: [], percentage: 100, extraSkills: [] };
     }
 
-    if (candidateSkills.length === 0) {
-      return { score: 0, matched: [], missing: jobSkills, percentage: 0 };
-    }
-
-    const matched = [];
-    const missing = [];
-
-    jobSkills.forEach(skill => {
-      // Check for exact match or partial match
-      const hasMatch = candidateSkills.some(cs => 
-        cs === skill || cs.includes(skill) || skill.includes(cs)
-      );
-      
-      if (hasMatch) {
-        matched.push(skill);
-      } else {
-        missing.push(skill);
-      }
-    });
+    // Exact and alias matches earn full credit, adjacent skills partial credit
+    const { matched, adjacent, missing, extraSkills, percentage } = skillTaxonomyService.matchSkills(jobSkills, candidateSkills);
 
-    const percentage = (matched.length / jobSkills.length) * 100;
-    
-    // Score calculation with bonus for exceeding requirements
-    let score = percentage;
-    const extraSkills = candidateSkills.filter(cs => 
-      !jobSkills.some(js => js === cs || cs.includes(js) || js.includes(cs))
-    );
-    
     // Bonus for additional relevant skills (up to 10 points)
     const bonus = Math.min(extraSkills.length * 2, 10);
-    score = Math.min(score + bonus, 100);
+    const score = Math.min(percentage + bonus, 100);
 
     return {
       score,
       matched,
+      adjacent,
       missing,
       percentage,
       extraSkills,
@@ -239,11 +350,21 @@ class MatchingEngine {
    * @returns {number} Experience match score
    */
   calculateExperienceMatch(job, candidate) {
+    return this.assessExperience(job, candidate).score;
+  }
+
+  /**
+   * Score experience level match with the reason behind it
+   * @param {Object} job - Job document
+   * @param {Object} candidate - Candidate document
+   * @returns {Object} { score, summary, details }
+   */
+  assessExperience(job, candidate) {
     const jobLevel = job.experienceLevel;
     const candidateExperience = candidate.jobseekerProfile?.experience || '';
 
     if (!jobLevel) {
-      return 100; // No requirement specified
+      return { score: 100, summary: 'No experience level required', details: {} };
     }
 
     // Parse years of experience from candidate profile
@@ -252,24 +373,37 @@ class MatchingEngine {
 
     const requiredRange = EXPERIENCE_LEVELS[jobLevel];
     if (!requiredRange) {
-      return 100;
+      return { score: 100, summary: `Unknown experience level "${jobLevel}"`, details: { jobLevel } };
     }
 
+    const details = {
+      jobLevel,
+      requiredYears: requiredRange,
+      candidateYears,
+      yearsParsed: Boolean(yearsMatch),
+    };
+    const required = `${requiredRange.min}-${requiredRange.max} years for ${jobLevel} level`;
+    const candidateText = yearsMatch ? `${candidateYears} years` : 'no stated years of experience';
+
     // Calculate match based on years
     if (candidateYears >= requiredRange.min && candidateYears <= requiredRange.max) {
-      return 100;
+      return { score: 100, summary: `${candidateText} is within the ${required}`, details };
     } else if (candidateYears > requiredRange.max) {
       // Overqualified - slight penalty but still good
-      return 85;
+      return { score: 85, summary: `${candidateText} exceeds the ${required} (overqualified)`, details };
     } else if (candidateYears >= requiredRange.min - 1) {
       // Close to requirement
-      return 75;
+      return { score: 75, summary: `${candidateText} is 1 year short of the ${required}`, details };
     } else if (candidateYears >= requiredRange.min - 2) {
       // Somewhat close
-      return 50;
+      return { score: 50, summary: `${candidateText} is 2 years short of the ${required}`, details };
     } else {
       // Far from requirement
-      return Math.max(20, (candidateYears / requiredRange.min) * 50);
+      return {
+        score: Math.max(20, (candidateYears / requiredRange.min) * 50),
+        summary: `${candidateText} is well below the ${required}`,
+        details,
+      };
     }
   }
 
@@ -280,25 +414,45 @@ class MatchingEngine {
    * @returns {number} Location match score
    */
   calculateLocationMatch(job, candidate) {
+    return this.assessLocation(job, candidate).score;
+  }
+
+  /**
+   * Score location match with the reason behind it
+   * @param {Object} job - Job document
+   * @param {Object} candidate - Candidate document
+   * @returns {Object} { score, summary, details }
+   */
+  assessLocation(job, candidate) {
     const jobLocation = job.location;
     
     if (!jobLocation) {
-      return 100;
+      return { score: 100, summary: 'The job has no location requirement', details: {} };
     }
 
+    const details = { locationType: jobLocation.type, city: jobLocation.city };
+
     // Remote jobs match everyone
     if (jobLocation.type === 'remote') {
-      return 100;
+      return { score: 100, summary: 'Remote role, open to any location', details };
     }
 
     // For now, return a neutral score since we don't have candidate location data
     // This can be enhanced with candidate location preferences
     if (jobLocation.type === 'hybrid') {
-      return 80;
+      return {
+        score: 80,
+        summary: 'Hybrid role; candidate location is unknown, so partial credit is given',
+        details,
+      };
     }
 
     // Onsite jobs require location match (placeholder logic)
-    return 60;
+    return {
+      score: 60,
+      summary: `Onsite role${jobLocation.city ? ` in ${jobLocation.city}` : ''}; candidate location is unknown, so the score is reduced`,
+      details,
+    };
   }
 
   /**
@@ -308,15 +462,29 @@ class MatchingEngine {
    * @returns {number} Salary match score
    */
   calculateSalaryMatch(job, candidate) {
+    return this.assessSalary(job, candidate).score;
+  }
+
+  /**
+   * Score salary match with the reason behind it
+   * @param {Object} job - Job document
+   * @param {Object} candidate - Candidate document
+   * @returns {Object} { score, summary, details }
+   */
+  assessSalary(job, candidate) {
     const jobSalary = job.salary;
     
     if (!jobSalary || (!jobSalary.min && !jobSalary.max)) {
-      return 100; // No salary specified
+      return { score: 100, summary: 'The job lists no salary range', details: {} };
     }
 
     // For now, return neutral score since we don't have candidate salary expectations
     // This can be enhanced with candidate salary preferences
-    return 70;
+    return {
+      score: 70,
+      summary: 'Candidate salary expectations are unknown, so a neutral score is used',
+      details: { salaryMin: jobSalary.min, salaryMax: jobSalary.max, currency: jobSalary.currency },
+    };
   }
 
   /**
@@ -408,10 +576,19 @@ class MatchingEngine {
    * @returns {number} Network quality score
    */
   async calculateReferrerNetworkQuality(candidate) {
+    return this.assessReferrerNetwork(candidate).score;
+  }
+
+  /**
+   * Score referrer network quality with the reason behind it
+   * @param {Object} candidate - Candidate document
+   * @returns {Object} { score, summary, details }
+   */
+  assessReferrerNetwork(candidate) {
     const referrerProfile = candidate.referrerProfile;
     
     if (!referrerProfile) {
-      return 50; // Neutral score for non-referrers
+      return { score: 50, summary: 'Not a referrer, neutral score', details: {} }; // Neutral score for non-referrers
     }
 
     const tier = referrerProfile.tierLevel || 'bronze';
@@ -431,22 +608,27 @@ class MatchingEngine {
     else if (directReferrals >= 10) score += 5;
     else if (directReferrals >= 5) score += 2;
 
-    return Math.min(score, 100);
+    return {
+      score: Math.min(score, 100),
+      summary: `${tier} tier referrer with a network of ${networkSize} and ${directReferrals} direct referrals`,
+      details: { tier, networkSize, directReferrals },
+    };
   }
 
   /**
    * Calculate overall match score from factor scores
    * @param {Object} factorScores - Individual factor scores
+   * @param {Object} weights - Factor weights (defaults to the engine weights)
    * @returns {number} Overall score (0-100)
    */
-  calculateOverallScore(factorScores) {
+  calculateOverallScore(factorScores, weights = this.weights) {
     const weightedScore = 
-      (factorScores.skills * this.weights.skills) +
-      (factorScores.experience * this.weights.experience) +
-      (factorScores.location * this.weights.location) +
-      (factorScores.salary * this.weights.salary) +
-      (factorScores.candidateQuality * this.weights.candidateQuality) +
-      (factorScores.referrerNetwork * this.weights.referrerNetwork);
+      (factorScores.skills * weights.skills) +
+      (factorScores.experience * weights.experience) +
+      (factorScores.location * weights.location) +
+      (factorScores.salary * weights.salary) +
+      (factorScores.candidateQuality * weights.candidateQuality) +
+      (factorScores.referrerNetwork * weights.referrerNetwork);
 
     return Math.min(Math.round(weightedScore), 100);
   }
@@ -477,6 +659,7 @@ class MatchingEngine {
         matchedSkills: match.matchedSkills,
         missingSkills: match.missingSkills,
         skillMatchPercentage: match.skillMatchPercentage,
+        explanations: match.explanations,
         matchQuality: match.matchQuality,
       }));
     } catch (error) {
@@ -907,3 +1090,5 @@ const sendSuggestionsToReferrer = (referrerId, jobId) =>
   matchingEngine.sendSuggestionsToReferrer(referrerId, jobId);
 
 module.exports = matchingEngine;
+module.exports.matchingEngine = matchingEngine;
+module.exports.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
@@ -0,0 +1,264 @@
+/**
+ * Matching Weight Service
+ * Offline fitting of matching engine weights per job category from
+ * historical hire outcomes in Referral and Application. Every fit is stored
+ * as a candidate weight set with an evaluation report comparing it to the
+ * weights currently in use; it only affects scoring once activated.
+ */
+
+const { Job, User, MatchScore, MatchingWeights, Referral, Application } = require('../models/index.js');
+const { MATCH_FACTORS, WEIGHTS_STATUS } = require('../models/MatchingWeights.js');
+const { REFERRAL_STATUS } = require('../models/Referral.js');
+const { APPLICATION_STATUS } = require('../models/Application.js');
+const { AppError } = require('../middleware/errorHandler.js');
+const matchWeightModel = require('../ml/matchWeightModel.js');
+const matchingEngine = require('./matchingEngine.js');
+
+// Statuses that count as a hire / as a final non-hire
+const HIRED_REFERRAL_STATUSES = [REFERRAL_STATUS.HIRED, REFERRAL_STATUS.PAYMENT_PENDING, REFERRAL_STATUS.PAID];
+const HIRED_APPLICATION_STATUSES = [APPLICATION_STATUS.HIRED];
+
+// Minimum outcomes needed before a category is fitted
+const MIN_SAMPLES = 50;
+const MIN_HIRES = 5;
+
+// Upper bound on outcomes read per category
+const MAX_SAMPLES = 5000;
+
+// Maps MatchScore.factorScores fields to engine factors
+const STORED_FACTOR_FIELDS = {
+  skills: 'skillsMatch',
+  experience: 'experienceMatch',
+  location: 'locationMatch',
+  salary: 'salaryMatch',
+  candidateQuality: 'candidateQuality',
+  referrerNetwork: 'referrerNetworkQuality',
+};
+
+class MatchingWeightService {
+  /**
+   * Collect labelled training samples for a job category
+   * @param {string} category - Job category
+   * @param {Object} options - { since, limit }
+   * @returns {Promise<Object>} { samples, dataFrom, dataTo }
+   */
+  async collectSamples(category, options = {}) {
+    const { since = null, limit = MAX_SAMPLES } = options;
+
+    const jobs = await Job.find({ category }).select('_id').lean();
+    const jobIds = jobs.map(job => job._id);
+    if (jobIds.length === 0) {
+      return { samples: [], dataFrom: null, dataTo: null };
+    }
+
+    const dateFilter = since ? { updatedAt: { $gte: since } } : {};
+    const [referrals, applications] = await Promise.all([
+      Referral.find({
+        jobId: { $in: jobIds },
+        referredUserId: { $exists: true, $ne: null },
+        status: { $in: [...HIRED_REFERRAL_STATUSES, REFERRAL_STATUS.REJECTED] },
+        ...dateFilter,
+      }).select('jobId referredUserId status updatedAt').sort({ updatedAt: -1 }).limit(limit).lean(),
+      Application.find({
+        jobId: { $in: jobIds },
+        status: { $in: [...HIRED_APPLICATION_STATUSES, APPLICATION_STATUS.REJECTED] },
+        ...dateFilter,
+      }).select('jobId applicantId status updatedAt').sort({ updatedAt: -1 }).limit(limit).lean(),
+    ]);
+
+    // One outcome per job-candidate pair; a hire wins over a rejection
+    const outcomes = new Map();
+    const addOutcome = (jobId, candidateId, hired, at) => {
+      const key = `${jobId}:${candidateId}`;
+      const existing = outcomes.get(key);
+      if (!existing || (hired && !existing.hired)) {
+        outcomes.set(key, { jobId, candidateId, hired, at });
+      }
+    };
+    referrals.forEach(referral => addOutcome(
+      referral.jobId, referral.referredUserId, HIRED_REFERRAL_STATUSES.includes(referral.status), referral.updatedAt
+    ));
+    applications.forEach(application => addOutcome(
+      application.jobId, application.applicantId, HIRED_APPLICATION_STATUSES.includes(application.status), application.updatedAt
+    ));
+
+    const samples = [];
+    let dataFrom = null;
+    let dataTo = null;
+
+    for (const outcome of [...outcomes.values()].slice(0, limit)) {
+      const features = await this.getFeatures(outcome.jobId, outcome.candidateId);
+      if (!features) continue;
+
+      samples.push({ features, label: outcome.hired ? 1 : 0 });
+      if (!dataFrom || outcome.at < dataFrom) dataFrom = outcome.at;
+      if (!dataTo || outcome.at > dataTo) dataTo = outcome.at;
+    }
+
+    return { samples, dataFrom, dataTo };
+  }
+
+  /**
+   * Factor scores (0-1) of a job-candidate pair, from the stored MatchScore
+   * or recomputed when none exists
+   * @param {string} jobId - Job ID
+   * @param {string} candidateId - Candidate ID
+   * @returns {Promise<Object|null>} Features
+   */
+  async getFeatures(jobId, candidateId) {
+    const stored = await MatchScore.findOne({ jobId, candidateId }).select('factorScores').lean();
+    if (stored?.factorScores) {
+      return Object.fromEntries(MATCH_FACTORS.map(factor => [
+        factor, (stored.factorScores[STORED_FACTOR_FIELDS[factor]] || 0) / 100,
+      ]));
+    }
+
+    const [job, candidate] = await Promise.all([Job.findById(jobId), User.findById(candidateId)]);
+    if (!job || !candidate) return null;
+
+    const factorScores = await matchingEngine.calculateFactorScores(job, candidate);
+    return Object.fromEntries(MATCH_FACTORS.map(factor => [factor, (factorScores[factor] || 0) / 100]));
+  }
+
+  /**
+   * Fit candidate weights for one category and evaluate them against the
+   * weights currently in use
+   * @param {string} category - Job category
+   * @param {Object} options - { since, limit, epochs, learningRate, l2 }
+   * @returns {Promise<Object>} { fitted, weightSet } or { fitted: false, reason }
+   */
+  async fitCategory(category, options = {}) {
+    const { samples, dataFrom, dataTo } = await this.collectSamples(category, options);
+    const hires = samples.filter(sample => sample.label === 1).length;
+
+    if (samples.length < MIN_SAMPLES || hires < MIN_HIRES || hires === samples.length) {
+      return {
+        category,
+        fitted: false,
+        reason: `Not enough outcomes (${samples.length} samples, ${hires} hires; need ${MIN_SAMPLES} samples with at least ${MIN_HIRES} hires and some rejections)`,
+      };
+    }
+
+    const { train, test } = matchWeightModel.split(samples);
+    const { weights } = matchWeightModel.fit(train, MATCH_FACTORS, options);
+    if (!weights) {
+      return { category, fitted: false, reason: 'No factor was predictive of hires' };
+    }
+
+    // Compare against what scoring uses today for this category
+    const active = await MatchingWeights.findActive(category).lean();
+    const baselineWeights = active
+      ? Object.fromEntries(MATCH_FACTORS.map(factor => [factor, active.weights[factor]]))
+      : { ...matchingEngine.weights };
+
+    const baseline = matchWeightModel.evaluate(test, baselineWeights);
+    const candidate = matchWeightModel.evaluate(test, weights);
+    const aucDelta = baseline.auc !== null && candidate.auc !== null
+      ? matchWeightModel.round(candidate.auc - baseline.auc)
+      : null;
+
+    const weightSet = await MatchingWeights.create({
+      category,
+      version: await MatchingWeights.nextVersion(category),
+      weights,
+      training: {
+        sampleSize: samples.length,
+        hires,
+        trainSize: train.length,
+        testSize: test.length,
+        dataFrom,
+        dataTo,
+        modelVersion: matchWeightModel.modelVersion,
+        fittedAt: new Date(),
+      },
+      evaluation: {
+        baselineWeights,
+        baselineSource: active ? 'active' : 'default',
+        baseline,
+        candidate,
+        aucDelta,
+        recommended: aucDelta !== null && aucDelta > 0,
+      },
+    });
+
+    return { category, fitted: true, weightSet };
+  }
+
+  /**
+   * Fit candidate weights for every job category
+   * @param {Object} options - Passed to fitCategory
+   * @returns {Promise<Array>} Per-category results
+   */
+  async fitAllCategories(options = {}) {
+    const categories = (await Job.distinct('category')).filter(Boolean);
+    const results = [];
+
+    for (const category of categories) {
+      try {
+        results.push(await this.fitCategory(category, options));
+      } catch (error) {
+        console.error(`[MatchingWeights] Failed to fit ${category}:`, error.message);
+        results.push({ category, fitted: false, reason: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Activate a candidate weight set, retiring the category's active one
+   * @param {string} weightsId - MatchingWeights ID
+   * @param {Object} options - { userId, force } - force activates a set its evaluation does not recommend
+   * @returns {Promise<Document>} Activated weight set
+   */
+  async activate(weightsId, { userId = null, force = false } = {}) {
+    const weightSet = await MatchingWeights.findById(weightsId);
+    if (!weightSet) {
+      throw new AppError('Weight set not found', 404);
+    }
+    if (weightSet.status !== WEIGHTS_STATUS.CANDIDATE) {
+      throw new AppError(`Only candidate weight sets can be activated (status: ${weightSet.status})`, 409);
+    }
+    if (!weightSet.evaluation?.recommended && !force) {
+      throw new AppError('Evaluation does not show an improvement over the current weights; pass force to activate anyway', 409);
+    }
+
+    await MatchingWeights.updateMany(
+      { category: weightSet.category, status: WEIGHTS_STATUS.ACTIVE },
+      { $set: { status: WEIGHTS_STATUS.RETIRED, retiredAt: new Date() } }
+    );
+
+    weightSet.status = WEIGHTS_STATUS.ACTIVE;
+    weightSet.activatedAt = new Date();
+    weightSet.activatedBy = userId;
+    await weightSet.save();
+
+    matchingEngine.clearWeightCache(weightSet.category);
+
+    return weightSet;
+  }
+
+  /**
+   * Reject a candidate weight set
+   * @param {string} weightsId - MatchingWeights ID
+   * @returns {Promise<Document>}
+   */
+  async reject(weightsId) {
+    const weightSet = await MatchingWeights.findOneAndUpdate(
+      { _id: weightsId, status: WEIGHTS_STATUS.CANDIDATE },
+      { $set: { status: WEIGHTS_STATUS.REJECTED } },
+      { new: true }
+    );
+    if (!weightSet) {
+      throw new AppError('Candidate weight set not found', 404);
+    }
+    return weightSet;
+  }
+}
+
+// Create singleton instance
+const matchingWeightService = new MatchingWeightService();
+
+module.exports = matchingWeightService;
+module.exports.MIN_SAMPLES = MIN_SAMPLES;
+module.exports.MIN_HIRES = MIN_HIRES;
@@ -7,6 +7,7 @@
 const axios = require('axios');
 const crypto = require('crypto');
 const { User, Referral, Job } = require('../models/index.js');
+const { normalizeText } = require('../utils/myanmarText.js');
 
 // Platform types
 const PLATFORM = {
@@ -446,7 +447,7 @@ const processViberWebhook = async (payload) => {
  * Process incoming Viber message
  */
 const processViberMessage = async (message, user) => {
-  const text = message.text?.toLowerCase().trim() || '';
+  const text = normalizeText(message.text)?.toLowerCase().trim() || '';
   const userId = user.id;
 
   // Find or create user
@@ -588,7 +589,7 @@ const processTelegramWebhook = async (payload) => {
  */
 const processTelegramMessage = async (message) => {
   const chatId = message.chat.id;
-  const text = message.text?.toLowerCase().trim() || '';
+  const text = normalizeText(message.text)?.toLowerCase().trim() || '';
   const username = message.from?.username;
   const firstName = message.from?.first_name;
 
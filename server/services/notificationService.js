@@ -341,6 +341,27 @@ const sendKYCNotification = async (userId, approved, reason = '') => {
   });
 };
 
+/**
+ * Send step-up verification notification when a payout exceeds the user's limits
+ * @param {string} userId - User ID
+ * @param {Object} stepUp - Step-up request (method, requiredLevel, amount, currency)
+ * @returns {Promise<Object>}
+ */
+const sendKYCStepUpNotification = async (userId, stepUp) => {
+  return sendNotification({
+    userId,
+    type: NOTIFICATION_TYPES.KYC_STEP_UP_REQUIRED,
+    priority: NOTIFICATION_PRIORITY.HIGH,
+    channels: [NOTIFICATION_CHANNELS.IN_APP, NOTIFICATION_CHANNELS.EMAIL],
+    data: {
+      method: stepUp.method,
+      requiredLevel: stepUp.requiredLevel,
+      amount: stepUp.amount,
+      currency: stepUp.currency,
+    },
+  });
+};
+
 // ==================== PRIVATE HELPER FUNCTIONS ====================
 
 /**
@@ -459,4 +480,5 @@ module.exports = {
   sendAdminNotification,
   sendWelcomeNotification,
   sendKYCNotification,
+  sendKYCStepUpNotification,
 };
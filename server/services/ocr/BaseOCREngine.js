@@ -0,0 +1,53 @@
+/**
+ * BaseOCREngine
+ * Abstract base class for OCR engines that read text from KYC documents
+ * Defines the contract that all OCR engines must implement
+ */
+
+class BaseOCREngine {
+  constructor(config = {}) {
+    this.name = config.name || 'base';
+    this.config = config;
+
+    // MIME types the engine can read
+    this.supportedTypes = config.supportedTypes || ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+
+    // Validate configuration
+    this.validateConfig();
+  }
+
+  /**
+   * Validate engine configuration
+   * @throws {Error} If configuration is invalid
+   */
+  validateConfig() {
+    throw new Error('validateConfig() must be implemented by subclass');
+  }
+
+  /**
+   * Read the text of a document image
+   * @param {string} filePath - Path of the stored file
+   * @param {Object} options - { mimeType, languages }
+   * @returns {Promise<Object>} { text, confidence (0-100), lines: [{ text, confidence }] }
+   */
+  async recognize(filePath, options = {}) {
+    throw new Error('recognize() must be implemented by subclass');
+  }
+
+  /**
+   * Release workers and other resources held by the engine
+   * @returns {Promise<void>}
+   */
+  async terminate() {}
+
+  /**
+   * Whether the engine can read files of a MIME type
+   * @param {string} mimeType
+   * @returns {boolean}
+   */
+  supports(mimeType) {
+    return this.supportedTypes.includes(mimeType);
+  }
+}
+
+module.exports = BaseOCREngine;
@@ -0,0 +1,29 @@
+/**
+ * ManualOCREngine
+ * Reads nothing: documents are transcribed by a reviewer. Used where no OCR
+ * engine is deployed and for files the configured engine cannot read.
+ */
+
+const BaseOCREngine = require('./BaseOCREngine');
+
+class ManualOCREngine extends BaseOCREngine {
+  constructor(config = {}) {
+    super({
+      name: 'manual',
+      supportedTypes: [],
+      ...config
+    });
+  }
+
+  validateConfig() {}
+
+  async recognize() {
+    return { text: '', confidence: 0, lines: [] };
+  }
+
+  supports() {
+    return true;
+  }
+}
+
+module.exports = ManualOCREngine;
@@ -0,0 +1,84 @@
+/**
+ * TesseractOCREngine
+ * Runs Tesseract locally through tesseract.js. Language data (eng, mya) is
+ * loaded from KYC_OCR_LANG_PATH, or downloaded once and cached.
+ */
+
+const BaseOCREngine = require('./BaseOCREngine');
+
+class TesseractOCREngine extends BaseOCREngine {
+  constructor(config = {}) {
+    super({
+      name: 'tesseract',
+      ...config
+    });
+
+    this.languages = String(config.languages || 'eng+mya').split('+').filter(Boolean);
+    this.langPath = config.langPath || undefined;
+    this.cachePath = config.cachePath || undefined;
+    this.worker = null;
+  }
+
+  validateConfig() {
+    if (this.config.languages !== undefined && !/^[a-z_]+(\+[a-z_]+)*$/i.test(this.config.languages)) {
+      throw new Error(`Tesseract OCR: invalid languages "${this.config.languages}"`);
+    }
+  }
+
+  /**
+   * Shared worker, created on first use; loading language data takes seconds
+   * @returns {Promise<Object>} tesseract.js worker
+   */
+  getWorker() {
+    if (!this.worker) {
+      const { createWorker } = require('tesseract.js');
+      this.worker = createWorker(this.languages, undefined, {
+        langPath: this.langPath,
+        cachePath: this.cachePath,
+      }).catch(error => {
+        this.worker = null;
+        throw error;
+      });
+    }
+    return this.worker;
+  }
+
+  async recognize(filePath, options = {}) {
+    if (options.mimeType && !this.supports(options.mimeType)) {
+      throw new Error(`Tesseract OCR cannot read ${options.mimeType} files`);
+    }
+
+    const worker = await this.getWorker();
+    const { data } = await worker.recognize(filePath, {}, { text: true, blocks: true });
+
+    const lines = [];
+    (data.blocks || []).forEach(block => {
+      block.paragraphs.forEach(paragraph => {
+        paragraph.lines.forEach(line => {
+          const text = line.text.trim();
+          if (text) {
+            lines.push({ text, confidence: Math.round(line.confidence) });
+          }
+        });
+      });
+    });
+
+    return {
+      text: data.text || '',
+      confidence: Math.round(data.confidence || 0),
+      lines,
+    };
+  }
+
+  async terminate() {
+    if (this.worker) {
+      const worker = await this.worker.catch(() => null);
+      this.worker = null;
+      if (worker) {
+        await worker.terminate();
+      }
+    }
+  }
+}
+
+module.exports = TesseractOCREngine;
@@ -0,0 +1,316 @@
+/**
+ * Document Parsers
+ * Turn the text an OCR engine read from a KYC document into structured
+ * fields, each with the confidence of the line it was read from:
+ * NRC cards (labels in English or Burmese), passports (machine readable
+ * zone, with check digits) and business registration certificates
+ */
+
+const { normalizeText } = require('../../utils/myanmarText');
+const { findNRC, toAsciiDigits } = require('../../utils/nrc');
+
+// Confidence kept when a value fails its own validation (unknown township, bad check digit)
+const INVALID_FACTOR = 0.5;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Labeled NRC card fields; the father's name is matched first since its
+// Burmese label (အဘအမည်) ends with the label for name (အမည်)
+const NRC_LABELS = [
+  { field: 'fatherName', pattern: /(?:father'?s?\s*name|father|အဘအမည်)\s*[:\-]?\s*(.+)$/i },
+  { field: 'name', pattern: /(?:^|[\s.:])(?:name|အမည်)\s*[:\-]?\s*(.+)$/i },
+  { field: 'dateOfBirth', pattern: /(?:date\s*of\s*birth|d\.?o\.?b\.?|birth\s*date|မွေးသက္ကရာဇ်)\s*[:\-]?\s*(.+)$/i, date: true },
+  { field: 'address', pattern: /(?:address|နေရပ်လိပ်စာ|နေရပ်)\s*[:\-]?\s*(.+)$/i },
+];
+
+const BUSINESS_LABELS = [
+  { field: 'businessName', pattern: /(?:company\s*name|name\s*of\s*(?:the\s*)?company|ကုမ္ပဏီအမည်)\s*[:\-]?\s*(.+)$/i },
+  { field: 'registrationNumber', pattern: /registration\s*(?:no\.?|number)\s*[:\-]?\s*([A-Z0-9][A-Z0-9\-\/]{4,})/i },
+  { field: 'tinNumber', pattern: /\bTIN\b\s*(?:no\.?|number)?\s*[:\-]?\s*([0-9][0-9\-\s]{5,}[0-9])/i },
+  { field: 'registeredDate', pattern: /(?:date\s*of\s*(?:incorporation|registration)|registered\s*(?:on|date)|incorporated\s*on)\s*[:\-]?\s*(.+)$/i, date: true },
+];
+
+// Fields a document must yield before it can pass without review
+const REQUIRED_FIELDS = {
+  nrc_front: ['nrcNumber', 'name', 'dateOfBirth'],
+  nrc_back: ['nrcNumber'],
+  passport: ['passportNumber', 'name', 'dateOfBirth', 'expiryDate'],
+  business_registration: ['registrationNumber', 'businessName'],
+};
+
+/**
+ * Parse a printed date: 15-06-1990, 15/6/1990, 1990-06-15, 15 Jun 1990,
+ * June 15, 1990, in ASCII or Burmese digits; numeric dates are day first
+ * @param {string} value
+ * @returns {Date|null}
+ */
+function parseDate(value) {
+  const text = toAsciiDigits(String(value || ''));
+  let day;
+  let month;
+  let year;
+  let parts;
+
+  if ((parts = text.match(/(\d{4})[-\/.](\d{1,2})[-\/.](\d{1,2})/))) {
+    [, year, month, day] = parts;
+  } else if ((parts = text.match(/(\d{1,2})[-\/.\s](\d{1,2})[-\/.\s](\d{4})/))) {
+    [, day, month, year] = parts;
+  } else if ((parts = text.match(/(\d{1,2})\s*([A-Za-z]{3,9})\.?,?\s*(\d{4})/))) {
+    [, day, month, year] = parts;
+    month = MONTHS.indexOf(month.slice(0, 3).toLowerCase()) + 1;
+  } else if ((parts = text.match(/([A-Za-z]{3,9})\.?\s*(\d{1,2}),?\s*(\d{4})/))) {
+    [, month, day, year] = parts;
+    month = MONTHS.indexOf(month.slice(0, 3).toLowerCase()) + 1;
+  } else {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (Number(month) < 1 || date.getUTCDate() !== Number(day) || date.getUTCMonth() !== Number(month) - 1) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * OCR lines with their confidence; engines without line detail get one
+ * line per row of text at the page confidence
+ * @param {Object} recognition - { text, confidence, lines }
+ * @returns {Array<Object>} [{ text, confidence }]
+ */
+function getLines(recognition) {
+  if (recognition.lines && recognition.lines.length > 0) {
+    return recognition.lines.map(line => ({ text: normalizeText(line.text), confidence: line.confidence }));
+  }
+  return String(recognition.text || '')
+    .split('\n')
+    .map(text => text.trim())
+    .filter(Boolean)
+    .map(text => ({ text: normalizeText(text), confidence: recognition.confidence || 0 }));
+}
+
+/**
+ * Read labeled values from lines; each line yields at most one field
+ * @param {Array<Object>} lines
+ * @param {Array<Object>} labels - [{ field, pattern, date }]
+ * @param {Object} result - { extractedData, fields }
+ */
+function readLabels(lines, labels, result) {
+  lines.forEach(line => {
+    for (const label of labels) {
+      if (result.extractedData[label.field] !== undefined) continue;
+
+      const match = line.text.match(label.pattern);
+      if (!match) continue;
+
+      const raw = match[1].trim();
+      if (label.date) {
+        const date = parseDate(raw);
+        if (!date) continue;
+        addField(result, label.field, date, line.confidence);
+      } else {
+        addField(result, label.field, raw.replace(/\s+/g, ' '), line.confidence);
+      }
+      break;
+    }
+  });
+}
+
+/**
+ * Record an extracted value and its confidence
+ * @param {Object} result - { extractedData, fields }
+ * @param {string} field
+ * @param {*} value
+ * @param {number} confidence - 0-100
+ * @param {boolean} valid - Whether the value passed its own validation
+ */
+function addField(result, field, value, confidence, valid = true) {
+  result.extractedData[field] = value;
+  result.fields.push({
+    field,
+    value: value instanceof Date ? value.toISOString().slice(0, 10) : String(value),
+    confidence: Math.round(valid ? confidence : confidence * INVALID_FACTOR),
+    valid,
+  });
+}
+
+/**
+ * Parse an NRC card
+ * @param {Object} recognition - OCR output
+ * @returns {Object} { extractedData, fields, issues }
+ */
+function parseNRCDocument(recognition) {
+  const lines = getLines(recognition);
+  const result = { extractedData: {}, fields: [], issues: [] };
+
+  const nrc = findNRC(lines.map(line => line.text));
+  if (nrc) {
+    const confidence = lines[nrc.line].confidence;
+    addField(result, 'nrcNumber', nrc.fullNumber || nrc.burmeseNumber, confidence, nrc.townshipKnown);
+    Object.assign(result.extractedData, {
+      nrcStateCode: nrc.stateCode,
+      nrcStateRegion: nrc.state,
+      nrcTownship: nrc.township ? nrc.township.code : nrc.townshipCode,
+      nrcTownshipName: nrc.township ? nrc.township.name : undefined,
+      nrcType: nrc.type,
+      nrcSerial: nrc.serial,
+      nationality: nrc.type === 'N' ? 'Myanmar' : undefined,
+    });
+    if (!nrc.townshipKnown) {
+      result.issues.push('nrc_township_unknown');
+    }
+  }
+
+  readLabels(lines.filter((line, index) => !nrc || index !== nrc.line), NRC_LABELS, result);
+
+  return result;
+}
+
+/**
+ * ICAO 9303 check digit
+ * @param {string} value - MRZ characters
+ * @returns {number}
+ */
+function mrzCheckDigit(value) {
+  const weights = [7, 3, 1];
+  return value.split('').reduce((sum, char, index) => {
+    let number = 0;
+    if (/[0-9]/.test(char)) number = Number(char);
+    else if (/[A-Z]/.test(char)) number = char.charCodeAt(0) - 55;
+    return sum + number * weights[index % 3];
+  }, 0) % 10;
+}
+
+/**
+ * Parse a YYMMDD machine readable date
+ * @param {string} value
+ * @param {boolean} past - Dates of birth lie in the past; expiry dates do not
+ * @returns {Date|null}
+ */
+function parseMRZDate(value, past) {
+  if (!/^\d{6}$/.test(value)) return null;
+
+  const currentYear = new Date().getUTCFullYear() % 100;
+  const yy = Number(value.slice(0, 2));
+  const century = past && yy > currentYear ? 1900 : 2000;
+  return parseDate(`${century + yy}-${value.slice(2, 4)}-${value.slice(4, 6)}`);
+}
+
+/**
+ * Parse a passport from its machine readable zone (TD3: two lines of 44)
+ * @param {Object} recognition - OCR output
+ * @returns {Object} { extractedData, fields, issues }
+ */
+function parsePassportDocument(recognition) {
+  const lines = getLines(recognition).map(line => ({
+    text: line.text.replace(/\s+/g, '').replace(/[«‹]/g, '<').toUpperCase(),
+    confidence: line.confidence,
+  }));
+  const result = { extractedData: {}, fields: [], issues: [] };
+
+  const index = lines.findIndex((line, i) => /^P[A-Z<][A-Z<]{42}$/.test(line.text) &&
+    lines[i + 1] && /^[A-Z0-9<]{44}$/.test(lines[i + 1].text));
+  if (index < 0) {
+    return result;
+  }
+
+  const [top, bottom] = [lines[index], lines[index + 1]];
+  const mrz = bottom.text;
+  const check = (value, digit) => String(mrzCheckDigit(value)) === digit;
+
+  const [surname, given = ''] = top.text.slice(5).split('<<');
+  const name = `${given.replace(/</g, ' ')} ${surname.replace(/</g, ' ')}`.replace(/\s+/g, ' ').trim();
+  const passportNumber = mrz.slice(0, 9).replace(/</g, '');
+  const dateOfBirth = parseMRZDate(mrz.slice(13, 19), true);
+  const expiryDate = parseMRZDate(mrz.slice(21, 27), false);
+  const composite = mrz.slice(0, 10) + mrz.slice(13, 20) + mrz.slice(21, 43);
+  const compositeValid = check(composite, mrz[43]);
+
+  addField(result, 'passportNumber', passportNumber, bottom.confidence, check(mrz.slice(0, 9), mrz[9]) && compositeValid);
+  addField(result, 'issuingCountry', top.text.slice(2, 5).replace(/</g, ''), top.confidence);
+  addField(result, 'nationality', mrz.slice(10, 13).replace(/</g, ''), bottom.confidence);
+  if (name) {
+    addField(result, 'name', name, top.confidence);
+  }
+  if (dateOfBirth) {
+    addField(result, 'dateOfBirth', dateOfBirth, bottom.confidence, check(mrz.slice(13, 19), mrz[19]));
+  }
+  if (expiryDate) {
+    addField(result, 'expiryDate', expiryDate, bottom.confidence, check(mrz.slice(21, 27), mrz[27]));
+  }
+
+  if (result.fields.some(field => !field.valid) || !compositeValid) {
+    result.issues.push('mrz_check_failed');
+  }
+
+  return result;
+}
+
+/**
+ * Parse a business registration certificate
+ * @param {Object} recognition - OCR output
+ * @returns {Object} { extractedData, fields, issues }
+ */
+function parseBusinessDocument(recognition) {
+  const lines = getLines(recognition);
+  const result = { extractedData: {}, fields: [], issues: [] };
+
+  readLabels(lines, BUSINESS_LABELS, result);
+
+  // Certificates often print the name alone, e.g. "ABC Trading Co., Ltd."
+  if (!result.extractedData.businessName) {
+    const line = lines.find(candidate => /\b(?:co\.?,?\s*ltd\.?|company\s+limited|limited)\s*$/i.test(candidate.text));
+    if (line) {
+      addField(result, 'businessName', line.text, line.confidence);
+    }
+  }
+
+  if (result.extractedData.tinNumber) {
+    result.extractedData.tinNumber = result.extractedData.tinNumber.replace(/\s+/g, '');
+    result.fields.find(field => field.field === 'tinNumber').value = result.extractedData.tinNumber;
+  }
+
+  return result;
+}
+
+/**
+ * Parse OCR output for a document type
+ * @param {string} documentType - KYCDocument document type
+ * @param {Object} recognition - { text, confidence, lines }
+ * @returns {Object} { extractedData, fields, issues } with missing required fields reported as issues
+ */
+function parseDocument(documentType, recognition) {
+  let result;
+
+  switch (documentType) {
+    case 'nrc_front':
+    case 'nrc_back':
+      result = parseNRCDocument(recognition);
+      break;
+    case 'passport':
+      result = parsePassportDocument(recognition);
+      break;
+    case 'business_registration':
+      result = parseBusinessDocument(recognition);
+      break;
+    default:
+      result = { extractedData: {}, fields: [], issues: [] };
+  }
+
+  (REQUIRED_FIELDS[documentType] || []).forEach(field => {
+    if (result.extractedData[field] === undefined) {
+      result.issues.push(`missing_${field}`);
+    }
+  });
+
+  return result;
+}
+
+module.exports = {
+  parseDocument,
+  parseNRCDocument,
+  parsePassportDocument,
+  parseBusinessDocument,
+  parseDate,
+  mrzCheckDigit,
+};
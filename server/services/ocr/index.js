@@ -0,0 +1,60 @@
+/**
+ * OCR
+ * Selects the engine that reads KYC documents from the environment:
+ *   KYC_OCR_ENGINE=tesseract (default) - local Tesseract (KYC_OCR_LANGUAGES, KYC_OCR_LANG_PATH)
+ *   KYC_OCR_ENGINE=manual              - no OCR, every document is transcribed in review
+ */
+
+const TesseractOCREngine = require('./TesseractOCREngine');
+const ManualOCREngine = require('./ManualOCREngine');
+
+let engine = null;
+
+/**
+ * Create an OCR engine from configuration
+ * @param {Object} env - Environment variables
+ * @returns {BaseOCREngine}
+ */
+function createOCREngine(env = process.env) {
+  const name = (env.KYC_OCR_ENGINE || 'tesseract').toLowerCase();
+
+  switch (name) {
+    case 'tesseract':
+      return new TesseractOCREngine({
+        languages: env.KYC_OCR_LANGUAGES || 'eng+mya',
+        langPath: env.KYC_OCR_LANG_PATH,
+        cachePath: env.KYC_OCR_CACHE_PATH,
+      });
+    case 'manual':
+      return new ManualOCREngine();
+    default:
+      throw new Error(`Unknown OCR engine: ${name}`);
+  }
+}
+
+/**
+ * Shared OCR engine, created on first use
+ * @returns {BaseOCREngine}
+ */
+function getOCREngine() {
+  if (!engine) {
+    engine = createOCREngine();
+  }
+  return engine;
+}
+
+/**
+ * Replace the shared OCR engine (tests, scripts)
+ * @param {BaseOCREngine|null} ocrEngine
+ */
+function setOCREngine(ocrEngine) {
+  engine = ocrEngine;
+}
+
+module.exports = {
+  createOCREngine,
+  getOCREngine,
+  setOCREngine,
+  TesseractOCREngine,
+  ManualOCREngine,
+};
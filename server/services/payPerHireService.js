@@ -11,6 +11,7 @@ const {
   Subscription,
   SubscriptionPlan,
 } = require('../models/index.js');
+const ledgerService = require('./ledgerService.js');
 const mongoose = require('mongoose');
 
 class PayPerHireService {
@@ -199,6 +200,8 @@ class PayPerHireService {
 
       await session.commitTransaction();
 
+      await ledgerService.recordInvoiceIssued(invoice[0]);
+
       return {
         transaction,
         invoice: invoice[0],
@@ -16,6 +16,8 @@ class MMQRService {
       merchantCity: config.merchantCity || process.env.MMQR_MERCHANT_CITY || 'Yangon',
       countryCode: config.countryCode || 'MM',
       currencyCode: config.currencyCode || '104', // MMK ISO numeric code
+      // Signs dynamic QR codes so we can tell if they were altered
+      signingSecret: config.signingSecret || process.env.MMQR_SIGNING_SECRET || process.env.JWT_SECRET,
       ...config
     };
 
@@ -37,7 +39,26 @@ class MMQRService {
       MERCHANT_CITY: '60',
       POSTAL_CODE: '61',
       ADDITIONAL_DATA_FIELD_TEMPLATE: '62',
-      CRC: '63'
+      CRC: '63',
+      MERCHANT_INFORMATION_LANGUAGE_TEMPLATE: '64',
+      // Unreserved template carrying our dynamic QR reference, expiry and signature
+      PLATFORM_TEMPLATE: '80'
+    };
+
+    // Globally unique identifier of the platform template
+    this.PLATFORM_GUI = 'mm.myanjobs';
+
+    // Additional data field (tag 62) sub-tags
+    this.ADDITIONAL_DATA_FIELDS = {
+      '01': 'billNumber',
+      '02': 'mobileNumber',
+      '03': 'storeLabel',
+      '04': 'loyaltyNumber',
+      '05': 'referenceLabel',
+      '06': 'customerLabel',
+      '07': 'terminalLabel',
+      '08': 'purpose',
+      '09': 'consumerDataRequest'
     };
 
     // Myanmar-specific payment network identifiers
@@ -176,7 +197,7 @@ class MMQRService {
    * Generate EMVCo-compliant QR string
    */
   generateEMVCoString(params) {
-    const { amount, currency, orderId, description, provider, additionalData } = params;
+    const { amount, currency, orderId, description, provider, additionalData, pointOfInitiation = '11' } = params;
 
     const data = [];
 
@@ -184,7 +205,7 @@ class MMQRService {
     data.push(this.buildTLV(this.TAGS.PAYLOAD_FORMAT_INDICATOR, '01'));
 
     // Point of Initiation Method (static = 11, dynamic = 12)
-    data.push(this.buildTLV(this.TAGS.POINT_OF_INITIATION_METHOD, '11'));
+    data.push(this.buildTLV(this.TAGS.POINT_OF_INITIATION_METHOD, pointOfInitiation));
 
     // Merchant Account Information
     const merchantAccountInfo = this.generateMerchantAccountInfo(provider, orderId);
@@ -238,9 +259,9 @@ class MMQRService {
     // Point of Initiation Method
     data.push(this.buildTLV(this.TAGS.POINT_OF_INITIATION_METHOD, '12'));
 
-    // Multiple Merchant Account Information (one per provider)
+    // Multiple Merchant Account Information (one per provider, tags 26-51)
     merchantAccounts.forEach((accountInfo, index) => {
-      const tag = index === 0 ? this.TAGS.MERCHANT_ACCOUNT_INFORMATION : '27';
+      const tag = String(Number(this.TAGS.MERCHANT_ACCOUNT_INFORMATION) + index);
       data.push(this.buildTLV(tag, accountInfo));
     });
 
@@ -414,89 +435,356 @@ class MMQRService {
   }
 
   /**
-   * Parse MMQR code string
+   * Generate a dynamic MMQR code for one payment. The code carries a
+   * one-time reference and an expiry in the platform template, signed so
+   * the server can tell if any field was altered.
+   * @param {Object} params - Generation parameters
+   * @param {number} params.amount - Transaction amount
+   * @param {string} params.currency - Currency code (default: MMK)
+   * @param {string} params.orderId - Order/invoice ID
+   * @param {string} params.reference - One-time reference
+   * @param {Date|string} params.expiresAt - When the code stops being payable
+   * @param {string} params.description - Transaction description
+   * @param {string} params.provider - Preferred provider (kbzpay, wavepay, ayapay, unified)
+   * @returns {Object} QR code data and image
+   */
+  async generateDynamicQRCode(params) {
+    const {
+      amount,
+      currency = 'MMK',
+      orderId,
+      reference,
+      expiresAt,
+      description,
+      provider = 'unified'
+    } = params;
+
+    if (!amount || amount <= 0) {
+      throw new Error('Dynamic MMQR codes need an amount');
+    }
+    if (!reference || !expiresAt) {
+      throw new Error('Dynamic MMQR codes need a reference and an expiry');
+    }
+
+    const qrString = this.generateEMVCoString({
+      amount,
+      currency,
+      orderId,
+      description,
+      provider,
+      additionalData: { referenceLabel: reference },
+      pointOfInitiation: '12'
+    });
+
+    const expiry = String(Math.floor(new Date(expiresAt).getTime() / 1000));
+    const signature = this.sign(this.signatureBase(this.decodeTLV(qrString), reference, expiry));
+    const platformTemplate = [
+      this.buildTLV('00', this.PLATFORM_GUI),
+      this.buildTLV('01', reference),
+      this.buildTLV('02', expiry),
+      this.buildTLV('03', signature)
+    ].join('');
+
+    const qrWithCRC = this.calculateCRC(qrString + this.buildTLV(this.TAGS.PLATFORM_TEMPLATE, platformTemplate));
+
+    const qrImage = await QRCode.toDataURL(qrWithCRC, {
+      type: 'image/png',
+      width: 512,
+      margin: 2,
+      errorCorrectionLevel: 'M'
+    });
+
+    return {
+      success: true,
+      qrString: qrWithCRC,
+      qrImage,
+      type: 'dynamic',
+      provider,
+      amount,
+      currency,
+      orderId,
+      reference,
+      expiryTime: new Date(Number(expiry) * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Split a TLV string into its fields
+   * @param {string} data - TLV string
+   * @returns {Array<Object>} [{ tag, length, value, raw, position }]
+   * @throws {Error} If the string is not well-formed TLV
+   */
+  decodeTLV(data) {
+    const fields = [];
+    let index = 0;
+
+    while (index < data.length) {
+      const header = data.substring(index, index + 4);
+      if (!/^\d{4}$/.test(header)) {
+        throw new Error(`Malformed TLV at position ${index}`);
+      }
+
+      const tag = header.substring(0, 2);
+      const length = parseInt(header.substring(2), 10);
+      const value = data.substring(index + 4, index + 4 + length);
+
+      if (value.length !== length) {
+        throw new Error(`Tag ${tag} at position ${index} is shorter than its length ${length}`);
+      }
+
+      fields.push({ tag, length, value, raw: header + value, position: index });
+      index += 4 + length;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Parse MMQR/EMVCo QR code string
    * @param {string} qrString - QR code string to parse
    * @returns {Object} Parsed QR data
+   * @throws {Error} If the string is not well-formed TLV
    */
   parseQRCode(qrString) {
+    let fields;
     try {
-      const result = {};
-      let index = 0;
-
-      while (index < qrString.length) {
-        // Extract tag (2 characters)
-        const tag = qrString.substring(index, index + 2);
-        index += 2;
-
-        // Extract length (2 characters)
-        const length = parseInt(qrString.substring(index, index + 2), 10);
-        index += 2;
-
-        // Extract value
-        const value = qrString.substring(index, index + length);
-        index += length;
-
-        // Handle nested TLV structures
-        if (tag === this.TAGS.MERCHANT_ACCOUNT_INFORMATION || 
-            tag === this.TAGS.ADDITIONAL_DATA_FIELD_TEMPLATE) {
-          result[tag] = this.parseNestedTLV(value);
+      fields = this.decodeTLV(String(qrString || '').trim());
+    } catch (error) {
+      throw new Error(`Failed to parse MMQR code: ${error.message}`);
+    }
+
+    const tags = {};
+    const merchantAccounts = [];
+    let additionalData = {};
+    let platform = null;
+    let alternateLanguage = null;
+
+    for (const field of fields) {
+      const tagNumber = Number(field.tag);
+
+      if (tagNumber >= 2 && tagNumber <= 51) {
+        merchantAccounts.push(this.parseMerchantAccount(field));
+        continue;
+      }
+
+      if (field.tag === this.TAGS.ADDITIONAL_DATA_FIELD_TEMPLATE) {
+        additionalData = this.parseTemplate(field, this.ADDITIONAL_DATA_FIELDS);
+      } else if (field.tag === this.TAGS.MERCHANT_INFORMATION_LANGUAGE_TEMPLATE) {
+        alternateLanguage = this.parseTemplate(field, { '00': 'language', '01': 'merchantName', '02': 'merchantCity' });
+      } else if (field.tag === this.TAGS.PLATFORM_TEMPLATE) {
+        platform = this.parseTemplate(field, { '00': 'gui', '01': 'reference', '02': 'expiry', '03': 'signature' });
+        if (platform.gui !== this.PLATFORM_GUI) {
+          platform = null;
         } else {
-          result[tag] = value;
+          platform.expiresAt = /^\d+$/.test(platform.expiry || '') ? new Date(Number(platform.expiry) * 1000) : null;
         }
-
-        // Stop at CRC
-        if (tag === this.TAGS.CRC) break;
       }
 
-      return this.normalizeParsedData(result);
-    } catch (error) {
-      throw new Error(`Failed to parse MMQR code: ${error.message}`);
+      tags[field.tag] = field.value;
     }
+
+    const amount = tags[this.TAGS.TRANSACTION_AMOUNT];
+    const pointOfInitiation = tags[this.TAGS.POINT_OF_INITIATION_METHOD];
+
+    return {
+      payloadFormat: tags[this.TAGS.PAYLOAD_FORMAT_INDICATOR],
+      pointOfInitiation,
+      isDynamic: pointOfInitiation === '12',
+      merchantAccounts,
+      merchantAccountInfo: merchantAccounts[0] || null,
+      merchantCategoryCode: tags[this.TAGS.MERCHANT_CATEGORY_CODE],
+      currency: this.getCurrencyFromCode(tags[this.TAGS.TRANSACTION_CURRENCY]),
+      currencyCode: tags[this.TAGS.TRANSACTION_CURRENCY],
+      amount: amount !== undefined ? parseFloat(amount) : null,
+      tip: {
+        indicator: tags[this.TAGS.TIP_OR_CONVENIENCE_INDICATOR] || null,
+        fixedFee: tags[this.TAGS.VALUE_OF_CONVENIENCE_FEE_FIXED] ? parseFloat(tags[this.TAGS.VALUE_OF_CONVENIENCE_FEE_FIXED]) : null,
+        percentageFee: tags[this.TAGS.VALUE_OF_CONVENIENCE_FEE_PERCENTAGE] ? parseFloat(tags[this.TAGS.VALUE_OF_CONVENIENCE_FEE_PERCENTAGE]) : null
+      },
+      countryCode: tags[this.TAGS.COUNTRY_CODE],
+      merchantName: tags[this.TAGS.MERCHANT_NAME],
+      merchantCity: tags[this.TAGS.MERCHANT_CITY],
+      postalCode: tags[this.TAGS.POSTAL_CODE],
+      alternateLanguage,
+      additionalData,
+      platform,
+      crc: tags[this.TAGS.CRC],
+      fields
+    };
   }
 
   /**
-   * Parse nested TLV structure
+   * Parse a merchant account information field (tags 02-51). Tags 02-25
+   * are card network IDs; 26-51 are templates with a GUI in sub-tag 00.
+   * @param {Object} field - Decoded TLV field
+   * @returns {Object} { tag, gui, provider, merchantId, reference, network }
    */
-  parseNestedTLV(data) {
-    const result = {};
-    let index = 0;
+  parseMerchantAccount(field) {
+    if (Number(field.tag) < 26) {
+      return { tag: field.tag, merchantId: field.value };
+    }
 
-    while (index < data.length) {
-      const tag = data.substring(index, index + 2);
-      index += 2;
+    const account = this.parseTemplate(field, { '00': 'gui', '01': 'merchantId', '02': 'reference', '03': 'network' });
+    const gui = (account.gui || '').toLowerCase();
+    const provider = Object.values(this.PAYMENT_NETWORKS).find(network => gui === `mm.${network}`) || null;
 
-      const length = parseInt(data.substring(index, index + 2), 10);
-      index += 2;
+    return { tag: field.tag, provider, ...account };
+  }
 
-      const value = data.substring(index, index + length);
-      index += length;
+  /**
+   * Parse a template field into named sub-fields
+   * @param {Object} field - Decoded TLV field
+   * @param {Object} names - Sub-tag => name
+   * @returns {Object}
+   */
+  parseTemplate(field, names) {
+    const result = {};
+    for (const sub of this.decodeTLV(field.value)) {
+      result[names[sub.tag] || sub.tag] = sub.value;
+    }
+    return result;
+  }
 
-      result[tag] = value;
+  /**
+   * Check the CRC of a QR code string
+   * @param {string} qrString - QR code string ending in the CRC field
+   * @returns {boolean}
+   */
+  validateCRC(qrString) {
+    const value = String(qrString || '');
+    if (value.length < 8 || value.substring(value.length - 8, value.length - 4) !== `${this.TAGS.CRC}04`) {
+      return false;
     }
 
-    return result;
+    const calculated = this.calculateCRC(value.substring(0, value.length - 8)).slice(-4);
+    return calculated === value.slice(-4).toUpperCase();
   }
 
   /**
-   * Normalize parsed QR data
+   * Decode and validate a QR code string: TLV structure, required fields,
+   * CRC and, for dynamic codes we issued, signature and expiry
+   * @param {string} qrString - QR code string
+   * @param {Object} options - { now }
+   * @returns {Object} { valid, errors, data, issuedByPlatform, signatureValid, expired }
    */
-  normalizeParsedData(data) {
+  verifyQRCode(qrString, options = {}) {
+    const errors = [];
+    const value = String(qrString || '').trim();
+
+    let data;
+    try {
+      data = this.parseQRCode(value);
+    } catch (error) {
+      return { valid: false, errors: [error.message], data: null, issuedByPlatform: false, signatureValid: null, expired: false };
+    }
+
+    const { fields } = data;
+    const seen = new Set();
+    for (const field of fields) {
+      if (seen.has(field.tag)) errors.push(`Duplicate tag ${field.tag}`);
+      seen.add(field.tag);
+    }
+
+    if (fields[0]?.tag !== this.TAGS.PAYLOAD_FORMAT_INDICATOR || data.payloadFormat !== '01') {
+      errors.push('Payload format indicator must come first with value 01');
+    }
+
+    const crcField = fields[fields.length - 1];
+    if (crcField?.tag !== this.TAGS.CRC || crcField.length !== 4) {
+      errors.push('CRC must be the last field');
+    } else if (!this.validateCRC(value)) {
+      errors.push('CRC mismatch');
+    }
+
+    const required = {
+      [this.TAGS.MERCHANT_CATEGORY_CODE]: 'merchant category code',
+      [this.TAGS.TRANSACTION_CURRENCY]: 'transaction currency',
+      [this.TAGS.COUNTRY_CODE]: 'country code',
+      [this.TAGS.MERCHANT_NAME]: 'merchant name',
+      [this.TAGS.MERCHANT_CITY]: 'merchant city'
+    };
+    for (const [tag, name] of Object.entries(required)) {
+      if (!seen.has(tag)) errors.push(`Missing ${name} (tag ${tag})`);
+    }
+
+    if (data.merchantAccounts.length === 0) {
+      errors.push('Missing merchant account information (tags 02-51)');
+    }
+    if (data.pointOfInitiation && !['11', '12'].includes(data.pointOfInitiation)) {
+      errors.push('Point of initiation must be 11 (static) or 12 (dynamic)');
+    }
+    if (data.currencyCode && !/^\d{3}$/.test(data.currencyCode)) {
+      errors.push('Transaction currency must be an ISO 4217 numeric code');
+    }
+    const amount = fields.find(field => field.tag === this.TAGS.TRANSACTION_AMOUNT);
+    if (amount && !/^\d+(\.\d{1,2})?$/.test(amount.value)) {
+      errors.push('Transaction amount is not a valid amount');
+    }
+    if (data.countryCode && !/^[A-Z]{2}$/.test(data.countryCode)) {
+      errors.push('Country code must be two letters');
+    }
+
+    // Dynamic codes we issued are signed and expire
+    let signatureValid = null;
+    let expired = false;
+    if (data.platform) {
+      if (!this.config.signingSecret) {
+        errors.push('Cannot check the QR signature: no MMQR signing secret configured');
+      } else {
+        const expected = this.sign(this.signatureBase(fields, data.platform.reference, data.platform.expiry));
+        signatureValid = this.safeEqual(expected, data.platform.signature || '');
+        if (!signatureValid) errors.push('Signature mismatch: the QR code was altered');
+      }
+
+      const now = options.now || new Date();
+      expired = !data.platform.expiresAt || data.platform.expiresAt <= now;
+      if (expired) errors.push('QR code has expired');
+    }
+
     return {
-      payloadFormat: data[this.TAGS.PAYLOAD_FORMAT_INDICATOR],
-      pointOfInitiation: data[this.TAGS.POINT_OF_INITIATION_METHOD],
-      merchantAccountInfo: data[this.TAGS.MERCHANT_ACCOUNT_INFORMATION],
-      merchantCategoryCode: data[this.TAGS.MERCHANT_CATEGORY_CODE],
-      currency: this.getCurrencyFromCode(data[this.TAGS.TRANSACTION_CURRENCY]),
-      amount: data[this.TAGS.TRANSACTION_AMOUNT],
-      countryCode: data[this.TAGS.COUNTRY_CODE],
-      merchantName: data[this.TAGS.MERCHANT_NAME],
-      merchantCity: data[this.TAGS.MERCHANT_CITY],
-      postalCode: data[this.TAGS.POSTAL_CODE],
-      additionalData: data[this.TAGS.ADDITIONAL_DATA_FIELD_TEMPLATE],
-      crc: data[this.TAGS.CRC]
+      valid: errors.length === 0,
+      errors,
+      data,
+      issuedByPlatform: Boolean(data.platform),
+      signatureValid,
+      expired
     };
   }
 
+  /**
+   * Text covered by the signature of a dynamic QR code: every field except
+   * the platform template and CRC, plus the reference and expiry
+   * @param {Array<Object>} fields - Decoded top-level fields
+   * @param {string} reference - One-time reference
+   * @param {string} expiry - Expiry (unix seconds)
+   * @returns {string}
+   */
+  signatureBase(fields, reference, expiry) {
+    const signed = fields
+      .filter(field => field.tag !== this.TAGS.CRC && field.tag !== this.TAGS.PLATFORM_TEMPLATE)
+      .map(field => field.raw)
+      .join('');
+    return `${signed}|${reference}|${expiry}`;
+  }
+
+  /**
+   * Sign QR content with the MMQR signing secret
+   * @param {string} content - Signature base
+   * @returns {string} Truncated HMAC-SHA256 (hex)
+   */
+  sign(content) {
+    if (!this.config.signingSecret) {
+      throw new Error('MMQR signing secret is not configured');
+    }
+    return crypto.createHmac('sha256', this.config.signingSecret).update(content).digest('hex').substring(0, 32);
+  }
+
+  safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+  }
+
   /**
    * Get ISO numeric currency code
    */
@@ -527,30 +815,8 @@ class MMQRService {
    * Validate QR code string
    */
   validateQRCode(qrString) {
-    try {
-      // Check minimum length
-      if (qrString.length < 10) {
-        return { valid: false, error: 'QR code too short' };
-      }
-
-      // Check payload format indicator
-      if (!qrString.startsWith('0002')) {
-        return { valid: false, error: 'Invalid payload format' };
-      }
-
-      // Verify CRC
-      const dataWithoutCRC = qrString.substring(0, qrString.length - 4);
-      const providedCRC = qrString.substring(qrString.length - 4);
-      const calculatedCRC = this.calculateCRC(dataWithoutCRC).slice(-4);
-
-      if (providedCRC.toUpperCase() !== calculatedCRC.toUpperCase()) {
-        return { valid: false, error: 'CRC mismatch' };
-      }
-
-      return { valid: true };
-    } catch (error) {
-      return { valid: false, error: error.message };
-    }
+    const result = this.verifyQRCode(qrString);
+    return result.valid ? { valid: true } : { valid: false, error: result.errors[0] };
   }
 
   /**
@@ -7,10 +7,23 @@
 const KBZPayProvider = require('./providers/KBZPayProvider');
 const WavePayProvider = require('./providers/WavePayProvider');
 const AYAPayProvider = require('./providers/AYAPayProvider');
+const StripeProvider = require('./providers/StripeProvider');
+const TwoC2PProvider = require('./providers/TwoC2PProvider');
 const MMQRService = require('./MMQRService');
 const PaymentTransaction = require('../../models/PaymentTransaction');
 const PaymentMethod = require('../../models/PaymentMethod');
 const { TRANSACTION_STATUS, TRANSACTION_TYPE, PAYMENT_PROVIDER } = require('../../models/PaymentTransaction');
+const ledgerService = require('../ledgerService');
+const { billingEngine } = require('../billingEngine');
+const crypto = require('crypto');
+
+// How long a dynamic MMQR code can be paid
+const DYNAMIC_QR_EXPIRY_MINUTES = 15;
+
+// Other names providers are known by (e.g. in webhook URLs)
+const PROVIDER_ALIASES = {
+  '2c2p': 'twoc2p'
+};
 
 class PaymentService {
   constructor(config = {}) {
@@ -87,6 +100,44 @@ class PaymentService {
       }
     }
 
+    // Stripe (international cards)
+    if (process.env.STRIPE_ENABLED !== 'false') {
+      try {
+        const stripeConfig = {
+          secretKey: process.env.STRIPE_SECRET_KEY || process.env.STRIPE_API_KEY,
+          webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+          apiVersion: process.env.STRIPE_API_VERSION,
+          enabled: true
+        };
+
+        const stripe = new StripeProvider(stripeConfig);
+        this.providers.set('stripe', stripe);
+        console.log('✓ Stripe provider initialized');
+      } catch (error) {
+        console.error('✗ Stripe initialization failed:', error.message);
+      }
+    }
+
+    // 2C2P
+    if (process.env.TWOC2P_ENABLED !== 'false') {
+      try {
+        const twoC2PConfig = {
+          merchantId: process.env.TWOC2P_MERCHANT_ID,
+          secretKey: process.env.TWOC2P_SECRET_KEY,
+          apiUrl: process.env.TWOC2P_API_URL,
+          maintenanceUrl: process.env.TWOC2P_MAINTENANCE_URL,
+          environment: process.env.TWOC2P_ENVIRONMENT || 'sandbox',
+          enabled: true
+        };
+
+        const twoC2P = new TwoC2PProvider(twoC2PConfig);
+        this.providers.set('twoc2p', twoC2P);
+        console.log('✓ 2C2P provider initialized');
+      } catch (error) {
+        console.error('✗ 2C2P initialization failed:', error.message);
+      }
+    }
+
     console.log(`✓ PaymentService initialized with ${this.providers.size} providers`);
   }
 
@@ -94,7 +145,8 @@ class PaymentService {
    * Get provider instance
    */
   getProvider(providerName) {
-    const provider = this.providers.get(providerName.toLowerCase());
+    const name = providerName.toLowerCase();
+    const provider = this.providers.get(PROVIDER_ALIASES[name] || name);
     if (!provider) {
       throw new Error(`Payment provider '${providerName}' not found or not enabled`);
     }
@@ -165,7 +217,7 @@ class PaymentService {
       status: TRANSACTION_STATUS.PENDING,
       amount,
       currency,
-      provider: providerName.toLowerCase(),
+      provider: provider.name,
       userId,
       description: description || 'Deposit',
       metadata,
@@ -187,6 +239,7 @@ class PaymentService {
         currency,
         description: description || 'Deposit',
         callbackUrl: callbackUrl || `${process.env.API_URL}/webhooks/${providerName.toLowerCase()}`,
+        successUrl,
         metadata: {
           transactionId: transaction._id.toString(),
           userId: userId.toString(),
@@ -196,6 +249,7 @@ class PaymentService {
 
       // Update transaction with provider response
       transaction.providerOrderId = result.providerOrderId;
+      transaction.providerTransactionId = result.transactionId || transaction.providerTransactionId;
       transaction.status = TRANSACTION_STATUS.INITIATED;
       
       if (result.qrCode) {
@@ -223,6 +277,7 @@ class PaymentService {
           qrImage: result.qrCode,
           paymentUrl: result.paymentUrl,
           deeplink: result.deeplink,
+          clientSecret: result.clientSecret,
           orderId,
           expiryTime: result.expiryTime
         }
@@ -290,6 +345,10 @@ class PaymentService {
     // Get provider
     const provider = this.getProvider(providerName);
 
+    if (!provider.getCapabilities().withdrawals) {
+      throw new Error(`${provider.displayName} does not support withdrawals`);
+    }
+
     // Generate order ID
     const orderId = `WDR${Date.now()}${Math.random().toString(36).substring(2, 6).toUpperCase()}`;
 
@@ -301,7 +360,7 @@ class PaymentService {
       status: TRANSACTION_STATUS.PENDING,
       amount,
       currency,
-      provider: providerName.toLowerCase(),
+      provider: provider.name,
       userId,
       recipientInfo: {
         phone: recipientPhone || paymentMethod?.mobileWallet?.phoneNumber,
@@ -411,6 +470,7 @@ class PaymentService {
         if (result.status === 'completed') {
           transaction.completedAt = result.paidAt || new Date();
           await transaction.save();
+          await this.recordCompletedDeposit(transaction);
         }
       }
 
@@ -464,8 +524,9 @@ class PaymentService {
       );
 
       // Add refund record
+      const refundId = result.refundId || `REF${Date.now()}`;
       await transaction.addRefund({
-        refundId: result.refundId || `REF${Date.now()}`,
+        refundId,
         amount,
         reason,
         status: result.status === 'refunded' ? 'completed' : 'pending',
@@ -474,6 +535,8 @@ class PaymentService {
         providerRefundId: result.refundId
       });
 
+      await ledgerService.recordDepositRefund(transaction, { refundId, amount });
+
       return {
         success: true,
         transaction,
@@ -485,6 +548,39 @@ class PaymentService {
     }
   }
 
+  /**
+   * Post a completed deposit to the ledger
+   */
+  async recordCompletedDeposit(transaction) {
+    if (transaction.type !== TRANSACTION_TYPE.DEPOSIT) {
+      return;
+    }
+
+    // A QR payment for an invoice posts to the ledger as an invoice payment
+    if (transaction.metadata?.billingRecordId) {
+      await this.applyToInvoice(transaction);
+      return;
+    }
+
+    await ledgerService.recordDeposit(transaction);
+  }
+
+  /**
+   * Apply a completed payment to the invoice it was issued for
+   */
+  async applyToInvoice(transaction) {
+    try {
+      await billingEngine.processPayment(transaction.metadata.billingRecordId, {
+        amount: transaction.amount,
+        paymentMethod: PAYMENT_PROVIDER.MMQR,
+        provider: transaction.provider,
+        transactionId: transaction.transactionNumber
+      });
+    } catch (error) {
+      console.error(`Failed to apply payment ${transaction.transactionNumber} to invoice:`, error.message);
+    }
+  }
+
   /**
    * Generate QR code for payment
    */
@@ -511,22 +607,214 @@ class PaymentService {
     });
   }
 
+  /**
+   * Issue a dynamic MMQR code for one payment. A pending transaction holds
+   * the code's one-time reference until the code is scanned and paid.
+   * @param {Object} params - { userId, amount, currency, description, billingRecordId, expiresInMinutes, metadata }
+   */
+  async createDynamicQRCode(params) {
+    const {
+      userId,
+      amount,
+      currency = 'MMK',
+      description,
+      billingRecordId,
+      expiresInMinutes = DYNAMIC_QR_EXPIRY_MINUTES,
+      metadata = {}
+    } = params;
+
+    if (!amount || amount <= 0) {
+      throw new Error('Invalid amount');
+    }
+
+    const orderId = `QR${Date.now()}${Math.random().toString(36).substring(2, 6).toUpperCase()}`;
+    const reference = crypto.randomBytes(8).toString('hex').toUpperCase();
+    const expiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+    const qrCode = await this.mqrService.generateDynamicQRCode({
+      amount,
+      currency,
+      orderId,
+      reference,
+      expiresAt,
+      description
+    });
+
+    const transaction = await PaymentTransaction.create({
+      transactionNumber: PaymentTransaction.generateTransactionNumber(),
+      orderId,
+      type: TRANSACTION_TYPE.DEPOSIT,
+      status: TRANSACTION_STATUS.PENDING,
+      amount,
+      currency,
+      provider: PAYMENT_PROVIDER.MMQR,
+      userId,
+      description: description || 'MMQR payment',
+      metadata: billingRecordId ? { ...metadata, billingRecordId: String(billingRecordId) } : metadata,
+      qrCode: {
+        data: qrCode.qrString,
+        imageUrl: qrCode.qrImage,
+        expiryTime: expiresAt,
+        reference
+      },
+      initiatedAt: new Date()
+    });
+
+    return {
+      success: true,
+      transaction,
+      qrCode
+    };
+  }
+
+  /**
+   * Decode and verify a scanned QR code. Codes we issued are also checked
+   * against their transaction: amount, currency and whether already used.
+   * @param {string} qrString - Scanned QR code string
+   */
+  async verifyQRCode(qrString) {
+    const result = this.mqrService.verifyQRCode(qrString);
+    let transaction = null;
+
+    if (result.issuedByPlatform) {
+      transaction = await PaymentTransaction.findOne({ 'qrCode.reference': result.data.platform.reference });
+
+      if (!transaction) {
+        result.errors.push('QR reference was not issued by this platform');
+      } else {
+        if (Math.round(transaction.amount * 100) !== Math.round((result.data.amount || 0) * 100) ||
+            transaction.currency !== result.data.currency) {
+          result.errors.push('QR amount does not match the payment it was issued for');
+        }
+        if (transaction.qrCode.consumedAt || transaction.status !== TRANSACTION_STATUS.PENDING) {
+          result.errors.push('QR code has already been used');
+        }
+      }
+
+      result.valid = result.errors.length === 0;
+    }
+
+    return {
+      ...result,
+      transaction
+    };
+  }
+
+  /**
+   * Pay a scanned dynamic QR code through a provider. The one-time
+   * reference is claimed first so the code cannot be paid twice.
+   * @param {Object} params - { qrString, userId, provider }
+   */
+  async payWithQRCode(params) {
+    const { qrString, userId, provider: providerName } = params;
+
+    const verification = await this.verifyQRCode(qrString);
+    if (!verification.valid) {
+      throw new Error(`Invalid QR code: ${verification.errors.join('; ')}`);
+    }
+    if (!verification.transaction) {
+      throw new Error('Only QR codes issued by this platform can be paid here');
+    }
+
+    const provider = this.getProvider(providerName);
+
+    const transaction = await PaymentTransaction.findOneAndUpdate(
+      {
+        _id: verification.transaction._id,
+        status: TRANSACTION_STATUS.PENDING,
+        'qrCode.consumedAt': null
+      },
+      {
+        $set: {
+          status: TRANSACTION_STATUS.INITIATED,
+          provider: provider.name,
+          'qrCode.consumedAt': new Date(),
+          'qrCode.consumedBy': userId
+        }
+      },
+      { new: true }
+    );
+
+    if (!transaction) {
+      throw new Error('QR code has already been used');
+    }
+
+    try {
+      const startTime = Date.now();
+      const result = await provider.createDeposit({
+        orderId: transaction.orderId,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        description: transaction.description,
+        callbackUrl: `${process.env.API_URL}/webhooks/${providerName.toLowerCase()}`,
+        metadata: {
+          transactionId: transaction._id.toString(),
+          userId: userId.toString()
+        }
+      });
+
+      transaction.providerOrderId = result.providerOrderId;
+      await transaction.addProviderResponse(
+        { orderId: transaction.orderId, amount: transaction.amount, currency: transaction.currency },
+        result.rawResponse,
+        Date.now() - startTime,
+        200
+      );
+
+      return {
+        success: true,
+        transaction,
+        paymentData: {
+          paymentUrl: result.paymentUrl,
+          deeplink: result.deeplink,
+          qrCode: result.qrCode,
+          orderId: transaction.orderId,
+          expiryTime: result.expiryTime
+        }
+      };
+    } catch (error) {
+      // Release the reference so the code can be scanned again
+      await PaymentTransaction.updateOne(
+        { _id: transaction._id },
+        {
+          $set: {
+            status: TRANSACTION_STATUS.PENDING,
+            provider: PAYMENT_PROVIDER.MMQR,
+            'qrCode.consumedAt': null,
+            'qrCode.consumedBy': null
+          }
+        }
+      );
+
+      throw error;
+    }
+  }
+
   /**
    * Handle webhook from provider
+   * @param {string} providerName - Provider the webhook came from
+   * @param {Object} payload - Parsed request body
+   * @param {Object} headers - Request headers
+   * @param {Buffer} [rawBody] - Unparsed request body, for providers that sign it (Stripe)
    */
-  async handleWebhook(providerName, payload, headers) {
+  async handleWebhook(providerName, payload, headers = {}, rawBody = null) {
     const provider = this.getProvider(providerName);
 
     // Verify webhook signature
     const signature = headers['x-signature'] || headers['signature'] || payload.sign;
     
-    if (!provider.verifyWebhook(payload, signature, headers)) {
+    if (!provider.verifyWebhook(payload, signature, headers, rawBody)) {
       throw new Error('Invalid webhook signature');
     }
 
     // Parse webhook data
     const webhookData = provider.parseWebhook(payload);
 
+    // Events that are not about one of our transactions (e.g. Stripe subscriptions)
+    if (!webhookData.orderId) {
+      return { success: false, error: 'Webhook is not for a payment transaction', webhookData };
+    }
+
     // Find transaction
     const transaction = await PaymentTransaction.findOne({
       orderId: webhookData.orderId
@@ -534,17 +822,20 @@ class PaymentService {
 
     if (!transaction) {
       console.warn(`Transaction not found for webhook: ${webhookData.orderId}`);
-      return { success: false, error: 'Transaction not found' };
+      return { success: false, error: 'Transaction not found', webhookData };
     }
 
     // Update transaction status
-    if (webhookData.status !== transaction.status) {
-      await transaction.updateStatus(webhookData.status);
+    if (webhookData.status !== 'unknown' && webhookData.status !== transaction.status) {
+      await transaction.updateStatus(webhookData.status, {
+        errorMessage: webhookData.errorMessage
+      });
 
       if (webhookData.status === 'completed') {
         transaction.completedAt = webhookData.paidAt;
         transaction.providerTransactionId = webhookData.transactionId;
         await transaction.save();
+        await this.recordCompletedDeposit(transaction);
       }
     }
 
@@ -579,6 +870,15 @@ class PaymentService {
 
     for (const transaction of pendingTransactions) {
       results.checked++;
+
+      // Dynamic QR codes nobody has paid yet have no provider to ask
+      if (transaction.provider === PAYMENT_PROVIDER.MMQR) {
+        if (transaction.qrCode?.expiryTime && transaction.qrCode.expiryTime <= new Date()) {
+          await transaction.updateStatus(TRANSACTION_STATUS.EXPIRED);
+          results.updated++;
+        }
+        continue;
+      }
       
       try {
         const result = await this.checkStatus(transaction._id);
@@ -118,9 +118,10 @@ class BasePaymentProvider {
    * @param {Object} payload - Webhook payload
    * @param {string} signature - Signature from headers
    * @param {Object} headers - All request headers
+   * @param {Buffer} rawBody - Unparsed request body, for signatures over the exact bytes
    * @returns {boolean} Verification result
    */
-  verifyWebhook(payload, signature, headers = {}) {
+  verifyWebhook(payload, signature, headers = {}, rawBody = null) {
     throw new Error('verifyWebhook() must be implemented by subclass');
   }
 
@@ -0,0 +1,356 @@
+/**
+ * StripeProvider
+ * Implementation of Stripe card payments for international clients
+ * Deposits are PaymentIntents; the client confirms them with the returned
+ * client secret and Stripe reports the outcome by webhook
+ */
+
+const BasePaymentProvider = require('./BasePaymentProvider');
+const Stripe = require('stripe');
+
+// Currencies Stripe charges in whole units rather than cents
+const ZERO_DECIMAL_CURRENCIES = [
+  'BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA',
+  'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'
+];
+
+// How old a webhook signature timestamp may be (seconds)
+const WEBHOOK_TOLERANCE = 300;
+
+const STATUS_MAP = {
+  requires_payment_method: 'pending',
+  requires_confirmation: 'pending',
+  requires_action: 'pending',
+  processing: 'processing',
+  requires_capture: 'processing',
+  succeeded: 'completed',
+  canceled: 'cancelled'
+};
+
+const EVENT_STATUS_MAP = {
+  'payment_intent.succeeded': 'completed',
+  'payment_intent.processing': 'processing',
+  'payment_intent.payment_failed': 'failed',
+  'payment_intent.canceled': 'cancelled'
+};
+
+class StripeProvider extends BasePaymentProvider {
+  constructor(config = {}) {
+    super({
+      name: 'stripe',
+      displayName: 'Stripe',
+      ...config
+    });
+
+    this.secretKey = config.secretKey;
+    this.webhookSecret = config.webhookSecret;
+    this.apiVersion = config.apiVersion || '2023-10-16';
+
+    this.stripe = config.client || new Stripe(this.secretKey, { apiVersion: this.apiVersion });
+  }
+
+  validateConfig() {
+    if (!this.config.secretKey) {
+      throw new Error('Stripe: secretKey is required');
+    }
+    if (!this.config.webhookSecret) {
+      throw new Error('Stripe: webhookSecret is required');
+    }
+  }
+
+  async initialize() {
+    try {
+      this.log('info', 'Initializing Stripe provider');
+
+      const health = await this.healthCheck();
+
+      if (health.status === 'healthy') {
+        this.log('info', 'Stripe provider initialized successfully');
+        return true;
+      }
+
+      throw new Error('Stripe health check failed');
+    } catch (error) {
+      this.log('error', 'Stripe initialization failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a deposit/payment request as a PaymentIntent
+   */
+  async createDeposit(params) {
+    return this.executeWithRetry(async () => {
+      const {
+        orderId,
+        amount,
+        currency = 'USD',
+        description,
+        customerEmail,
+        metadata = {}
+      } = params;
+
+      this.log('info', 'Creating Stripe deposit', { orderId, amount, currency });
+
+      const paymentIntent = await this.stripe.paymentIntents.create({
+        amount: this.toMinorUnits(amount, currency),
+        currency: currency.toLowerCase(),
+        description: description || 'Payment',
+        receipt_email: customerEmail,
+        automatic_payment_methods: { enabled: true },
+        metadata: {
+          ...metadata,
+          orderId
+        }
+      }, {
+        idempotencyKey: `deposit-${orderId}`
+      });
+
+      this.log('info', 'Stripe deposit created successfully', {
+        orderId,
+        paymentIntentId: paymentIntent.id
+      });
+
+      return {
+        success: true,
+        provider: 'stripe',
+        orderId,
+        providerOrderId: paymentIntent.id,
+        transactionId: paymentIntent.id,
+        clientSecret: paymentIntent.client_secret,
+        amount,
+        currency,
+        status: STATUS_MAP[paymentIntent.status] || 'pending',
+        rawResponse: paymentIntent
+      };
+    });
+  }
+
+  /**
+   * Stripe card payments cannot pay out to mobile wallets
+   */
+  async createWithdrawal(params) {
+    throw new Error('Stripe does not support withdrawals');
+  }
+
+  /**
+   * Check transaction status
+   * @param {string} transactionId - PaymentIntent ID
+   * @param {string} orderId - Our order ID, used when the PaymentIntent ID is unknown
+   */
+  async checkStatus(transactionId, orderId) {
+    return this.executeWithRetry(async () => {
+      this.log('info', 'Checking Stripe status', { transactionId, orderId });
+
+      const paymentIntent = transactionId
+        ? await this.stripe.paymentIntents.retrieve(transactionId)
+        : await this.findPaymentIntent(orderId);
+
+      if (!paymentIntent) {
+        throw new Error(`Stripe payment intent not found for order ${orderId}`);
+      }
+
+      return {
+        success: true,
+        provider: 'stripe',
+        orderId,
+        transactionId: paymentIntent.id,
+        status: this.paymentIntentStatus(paymentIntent),
+        amount: this.fromMinorUnits(paymentIntent.amount, paymentIntent.currency),
+        currency: paymentIntent.currency.toUpperCase(),
+        paidAt: paymentIntent.status === 'succeeded' ? new Date(paymentIntent.created * 1000) : null,
+        rawResponse: paymentIntent
+      };
+    });
+  }
+
+  /**
+   * Refund a payment; an unpaid PaymentIntent is cancelled instead
+   */
+  async cancel(transactionId, orderId, amount, reason) {
+    return this.executeWithRetry(async () => {
+      this.log('info', 'Refunding Stripe payment', { transactionId, orderId, amount });
+
+      const paymentIntent = await this.stripe.paymentIntents.retrieve(transactionId);
+
+      if (paymentIntent.status !== 'succeeded') {
+        const cancelled = await this.stripe.paymentIntents.cancel(transactionId);
+        return {
+          success: true,
+          provider: 'stripe',
+          orderId,
+          amount: 0,
+          status: 'cancelled',
+          rawResponse: cancelled
+        };
+      }
+
+      const refund = await this.stripe.refunds.create({
+        payment_intent: transactionId,
+        amount: amount ? this.toMinorUnits(amount, paymentIntent.currency) : undefined,
+        reason: 'requested_by_customer',
+        metadata: {
+          orderId,
+          reason: reason || 'Customer request'
+        }
+      });
+
+      if (['failed', 'canceled'].includes(refund.status)) {
+        throw new Error(`Stripe refund error: ${refund.failure_reason || refund.status}`);
+      }
+
+      return {
+        success: true,
+        provider: 'stripe',
+        orderId,
+        refundId: refund.id,
+        amount: this.fromMinorUnits(refund.amount, refund.currency),
+        status: refund.status === 'succeeded' ? 'refunded' : 'pending',
+        rawResponse: refund
+      };
+    });
+  }
+
+  /**
+   * Stripe has no QR payments; use the unified MMQR code instead
+   */
+  async generateQRCode(params) {
+    throw new Error('Stripe does not support QR code payments');
+  }
+
+  /**
+   * Verify the Stripe-Signature header against the raw request body
+   */
+  verifyWebhook(payload, signature, headers = {}, rawBody = null) {
+    try {
+      this.stripe.webhooks.constructEvent(
+        rawBody || payload,
+        headers['stripe-signature'] || signature,
+        this.webhookSecret,
+        WEBHOOK_TOLERANCE
+      );
+      return true;
+    } catch (error) {
+      this.log('error', 'Stripe webhook verification failed', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Parse webhook payload (a Stripe event)
+   * Only PaymentIntent events carry one of our order IDs; other events
+   * (subscriptions, Stripe invoices, refunds) are returned with orderId null
+   */
+  parseWebhook(payload) {
+    const event = Buffer.isBuffer(payload) || typeof payload === 'string'
+      ? JSON.parse(payload.toString())
+      : payload;
+    const object = event.data?.object || {};
+    const isPaymentIntent = object.object === 'payment_intent';
+
+    return {
+      provider: 'stripe',
+      eventType: event.type,
+      transactionId: isPaymentIntent ? object.id : object.payment_intent,
+      orderId: isPaymentIntent ? object.metadata?.orderId || null : null,
+      amount: object.amount !== undefined ? this.fromMinorUnits(object.amount, object.currency) : 0,
+      currency: (object.currency || '').toUpperCase(),
+      status: EVENT_STATUS_MAP[event.type] || 'unknown',
+      paidAt: event.created ? new Date(event.created * 1000) : new Date(),
+      errorMessage: object.last_payment_error?.message,
+      rawPayload: event
+    };
+  }
+
+  /**
+   * Get provider balance
+   */
+  async getBalance() {
+    return this.executeWithRetry(async () => {
+      const balance = await this.stripe.balance.retrieve();
+
+      const available = balance.available[0] || { amount: 0, currency: 'usd' };
+      const pending = balance.pending.find(item => item.currency === available.currency) || { amount: 0 };
+
+      return {
+        success: true,
+        balance: this.fromMinorUnits(available.amount + pending.amount, available.currency),
+        currency: available.currency.toUpperCase(),
+        availableBalance: this.fromMinorUnits(available.amount, available.currency),
+        frozenBalance: this.fromMinorUnits(pending.amount, available.currency)
+      };
+    });
+  }
+
+  /**
+   * Find a PaymentIntent by our order ID
+   */
+  async findPaymentIntent(orderId) {
+    const result = await this.stripe.paymentIntents.search({
+      query: `metadata['orderId']:'${orderId}'`,
+      limit: 1
+    });
+    return result.data[0] || null;
+  }
+
+  /**
+   * Our status for a PaymentIntent; a declined attempt leaves it waiting for
+   * a new payment method
+   */
+  paymentIntentStatus(paymentIntent) {
+    if (paymentIntent.status === 'requires_payment_method' && paymentIntent.last_payment_error) {
+      return 'failed';
+    }
+    return STATUS_MAP[paymentIntent.status] || 'unknown';
+  }
+
+  toMinorUnits(amount, currency) {
+    return ZERO_DECIMAL_CURRENCIES.includes(currency.toUpperCase())
+      ? Math.round(amount)
+      : Math.round(amount * 100);
+  }
+
+  fromMinorUnits(amount, currency = 'usd') {
+    return ZERO_DECIMAL_CURRENCIES.includes(currency.toUpperCase()) ? amount : amount / 100;
+  }
+
+  /**
+   * Get provider capabilities
+   */
+  getProviderCapabilities() {
+    return {
+      deposits: true,
+      withdrawals: false,
+      qrCode: false,
+      refunds: true,
+      partialRefunds: true,
+      webhookVerification: true,
+      balanceCheck: true,
+      cards: true,
+      internationalCurrencies: true
+    };
+  }
+
+  /**
+   * Health check
+   */
+  async healthCheck() {
+    try {
+      await this.stripe.balance.retrieve();
+      return {
+        provider: this.name,
+        status: 'healthy',
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      return {
+        provider: this.name,
+        status: 'unhealthy',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+}
+
+module.exports = StripeProvider;
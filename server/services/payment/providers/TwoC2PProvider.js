@@ -0,0 +1,362 @@
+/**
+ * TwoC2PProvider
+ * Implementation of the 2C2P payment gateway (PGW v4.3) for card and
+ * regional payments
+ * Requests and responses are JWT payloads signed (HS256) with the merchant
+ * secret key
+ */
+
+const BasePaymentProvider = require('./BasePaymentProvider');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+// 2C2P response codes; anything not listed is a failed payment
+const STATUS_MAP = {
+  '0000': 'completed',
+  '0001': 'pending',
+  '0003': 'cancelled',
+  '2000': 'processing',
+  '2001': 'processing',
+  '2002': 'pending',
+  '4200': 'pending'
+};
+
+class TwoC2PProvider extends BasePaymentProvider {
+  constructor(config = {}) {
+    super({
+      name: 'twoc2p',
+      displayName: '2C2P',
+      ...config
+    });
+
+    this.merchantId = config.merchantId;
+    this.secretKey = config.secretKey;
+    this.apiVersion = config.apiVersion || '4.3';
+
+    // Environment: sandbox or production
+    this.environment = config.environment || 'sandbox';
+
+    this.apiBaseUrl = config.apiUrl || (this.environment === 'sandbox'
+      ? `https://sandbox-pgw.2c2p.com/payment/${this.apiVersion}`
+      : `https://pgw.2c2p.com/payment/${this.apiVersion}`);
+
+    this.maintenanceUrl = config.maintenanceUrl || (this.environment === 'sandbox'
+      ? 'https://demo2.2c2p.com/2C2PFrontend/PaymentAction/2.0/action'
+      : 'https://t.2c2p.com/PaymentAction/2.0/action');
+  }
+
+  validateConfig() {
+    if (!this.config.merchantId) {
+      throw new Error('2C2P: merchantId is required');
+    }
+    if (!this.config.secretKey) {
+      throw new Error('2C2P: secretKey is required');
+    }
+  }
+
+  async initialize() {
+    try {
+      this.log('info', 'Initializing 2C2P provider');
+
+      const health = await this.healthCheck();
+
+      if (health.status === 'healthy') {
+        this.log('info', '2C2P provider initialized successfully');
+        return true;
+      }
+
+      throw new Error('2C2P health check failed');
+    } catch (error) {
+      this.log('error', '2C2P initialization failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a deposit/payment request via the 2C2P hosted payment page
+   */
+  async createDeposit(params) {
+    return this.executeWithRetry(async () => {
+      const {
+        orderId,
+        amount,
+        currency = 'MMK',
+        description,
+        customerEmail,
+        customerName,
+        callbackUrl,
+        successUrl,
+        metadata = {}
+      } = params;
+
+      this.log('info', 'Creating 2C2P deposit', { orderId, amount, currency });
+
+      const requestParams = {
+        merchantID: this.merchantId,
+        invoiceNo: orderId,
+        description: description || 'Payment',
+        amount: Number(amount.toFixed(2)),
+        currencyCode: currency,
+        paymentChannel: ['ALL'],
+        request3DS: 'Y',
+        backendReturnUrl: callbackUrl || `${process.env.API_URL}/webhooks/2c2p`,
+        frontendReturnUrl: successUrl || `${process.env.FRONTEND_URL}/payment/callback`,
+        userDefined1: metadata.transactionId || '',
+        userDefined2: metadata.userId || ''
+      };
+
+      if (customerEmail) {
+        requestParams.customerEmail = customerEmail;
+      }
+      if (customerName) {
+        requestParams.customerName = customerName;
+      }
+
+      const response = await this.request('/paymentToken', requestParams);
+
+      if (response.respCode !== '0000') {
+        throw new Error(`2C2P error: ${response.respDesc || 'Unknown error'}`);
+      }
+
+      this.log('info', '2C2P deposit created successfully', { orderId });
+
+      return {
+        success: true,
+        provider: 'twoc2p',
+        orderId,
+        providerOrderId: response.paymentToken,
+        amount,
+        currency,
+        paymentUrl: response.webPaymentUrl,
+        rawResponse: response
+      };
+    });
+  }
+
+  /**
+   * 2C2P collects payments only; payouts go through the mobile wallets
+   */
+  async createWithdrawal(params) {
+    throw new Error('2C2P does not support withdrawals');
+  }
+
+  /**
+   * Check transaction status
+   */
+  async checkStatus(transactionId, orderId) {
+    return this.executeWithRetry(async () => {
+      this.log('info', 'Checking 2C2P status', { transactionId, orderId });
+
+      const response = await this.request('/paymentInquiry', {
+        merchantID: this.merchantId,
+        invoiceNo: orderId,
+        locale: 'en'
+      });
+
+      return {
+        success: true,
+        provider: 'twoc2p',
+        orderId,
+        transactionId: response.tranRef || transactionId,
+        status: this.mapStatus(response.respCode),
+        amount: parseFloat(response.amount) || 0,
+        currency: response.currencyCode || 'MMK',
+        paidAt: this.parseDateTime(response.transactionDateTime),
+        rawResponse: response
+      };
+    });
+  }
+
+  /**
+   * Refund a settled transaction (Payment Maintenance API, process type R)
+   */
+  async cancel(transactionId, orderId, amount, reason) {
+    return this.executeWithRetry(async () => {
+      this.log('info', 'Refunding 2C2P transaction', { transactionId, orderId, amount });
+
+      const requestParams = {
+        version: '4.3',
+        merchantID: this.merchantId,
+        invoiceNo: orderId,
+        actionAmount: Number(amount.toFixed(2)),
+        processType: 'R',
+        userDefined1: reason || 'Customer request'
+      };
+
+      const response = await axios.post(
+        this.maintenanceUrl,
+        { payload: this.signPayload(requestParams) },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+          },
+          timeout: 30000
+        }
+      );
+
+      const result = this.decodePayload(response.data);
+
+      // 00: refund approved, 42: refund pending settlement
+      if (!['00', '42'].includes(result.respCode)) {
+        throw new Error(`2C2P refund error: ${result.respDesc || 'Unknown error'}`);
+      }
+
+      return {
+        success: true,
+        provider: 'twoc2p',
+        orderId,
+        refundId: result.referenceNo || `${orderId}-R${Date.now()}`,
+        amount,
+        status: result.respCode === '00' ? 'refunded' : 'pending',
+        rawResponse: result
+      };
+    });
+  }
+
+  /**
+   * 2C2P has no QR codes of its own; use the unified MMQR code instead
+   */
+  async generateQRCode(params) {
+    throw new Error('2C2P does not support QR code payments');
+  }
+
+  /**
+   * Verify a backend notification: the JWT payload must be signed with our key
+   */
+  verifyWebhook(payload, signature, headers = {}) {
+    try {
+      const token = payload?.payload;
+      if (!token) return false;
+
+      jwt.verify(token, this.secretKey, { algorithms: ['HS256'] });
+      return true;
+    } catch (error) {
+      this.log('error', '2C2P webhook verification failed', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Parse webhook payload
+   */
+  parseWebhook(payload) {
+    const data = jwt.decode(payload.payload) || {};
+
+    return {
+      provider: 'twoc2p',
+      transactionId: data.tranRef,
+      orderId: data.invoiceNo,
+      amount: parseFloat(data.amount) || 0,
+      currency: data.currencyCode || 'MMK',
+      status: this.mapStatus(data.respCode),
+      paidAt: this.parseDateTime(data.transactionDateTime) || new Date(),
+      paymentChannel: data.channelCode,
+      maskedCard: data.cardNo,
+      errorMessage: data.respCode === '0000' ? null : data.respDesc,
+      rawPayload: data
+    };
+  }
+
+  /**
+   * 2C2P does not expose a merchant balance API
+   */
+  async getBalance() {
+    throw new Error('2C2P does not support balance checks');
+  }
+
+  /**
+   * Send a signed request and decode the signed response
+   */
+  async request(path, params) {
+    const response = await axios.post(
+      `${this.apiBaseUrl}${path}`,
+      { payload: this.signPayload(params) },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        timeout: 30000
+      }
+    );
+
+    return this.decodePayload(response.data);
+  }
+
+  signPayload(params) {
+    return jwt.sign(params, this.secretKey, { algorithm: 'HS256', noTimestamp: true });
+  }
+
+  /**
+   * Responses are signed payloads, except errors which come back as plain JSON
+   */
+  decodePayload(data) {
+    if (!data?.payload) {
+      return data || {};
+    }
+    return jwt.verify(data.payload, this.secretKey, { algorithms: ['HS256'] });
+  }
+
+  mapStatus(respCode) {
+    if (!respCode) return 'unknown';
+    return STATUS_MAP[respCode] || 'failed';
+  }
+
+  /**
+   * Parse a 2C2P timestamp (yyyyMMddHHmmss, merchant local time)
+   */
+  parseDateTime(value) {
+    const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second] = match;
+    return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}+06:30`);
+  }
+
+  /**
+   * Get provider capabilities
+   */
+  getProviderCapabilities() {
+    return {
+      deposits: true,
+      withdrawals: false,
+      qrCode: false,
+      refunds: true,
+      partialRefunds: true,
+      webhookVerification: true,
+      balanceCheck: false,
+      cards: true,
+      hostedPaymentPage: true
+    };
+  }
+
+  /**
+   * Health check
+   */
+  async healthCheck() {
+    try {
+      // An inquiry for an unknown invoice still proves the key and endpoint work
+      const response = await this.request('/paymentInquiry', {
+        merchantID: this.merchantId,
+        invoiceNo: 'HEALTHCHECK',
+        locale: 'en'
+      });
+
+      return {
+        provider: this.name,
+        status: response.respCode ? 'healthy' : 'unhealthy',
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      return {
+        provider: this.name,
+        status: 'unhealthy',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+}
+
+module.exports = TwoC2PProvider;
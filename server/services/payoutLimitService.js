@@ -0,0 +1,506 @@
+/**
+ * Payout Limit Service
+ * Risk-based payout caps. A user's verified KYC level sets their
+ * per-transaction, daily and monthly caps; account age, fraud signals and
+ * referral history place them in a risk tier that scales those caps down.
+ * A payout above a cap opens a step-up verification request: the next KYC
+ * level whose caps would allow it, or a manual review where no level would.
+ */
+
+const { User, Referral, PayoutRequest } = require('../models/index.js');
+const KYCDocument = require('../models/KYCDocument.js');
+const { KYCStatus, KYC_STATUS } = require('../models/KYCStatus.js');
+const { REFERRAL_STATUS } = require('../models/Referral.js');
+const notificationService = require('./notificationService.js');
+const currencyService = require('./currencyService.js');
+
+// Myanmar Standard Time (UTC+06:30); daily and monthly caps reset at local midnight
+const UTC_OFFSET_MINUTES = 390;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_POLICY = {
+  // Currency the caps are set in; payouts in other currencies are converted
+  currency: 'MMK',
+
+  // Caps by verified KYC level
+  levels: {
+    0: { perTransaction: 0, daily: 0, monthly: 0 },
+    1: { perTransaction: 100000, daily: 200000, monthly: 1000000 },
+    2: { perTransaction: 1000000, daily: 2000000, monthly: 10000000 },
+    3: { perTransaction: 5000000, daily: 10000000, monthly: 50000000 },
+    4: { perTransaction: 20000000, daily: 40000000, monthly: 200000000 },
+  },
+
+  // Risk tiers by risk score (0-100) and the share of the level caps they allow
+  riskTiers: [
+    { name: 'low', maxScore: 19, multiplier: 1 },
+    { name: 'medium', maxScore: 39, multiplier: 0.5 },
+    { name: 'high', maxScore: 69, multiplier: 0.25 },
+    { name: 'critical', maxScore: 100, multiplier: 0 },
+  ],
+
+  // Risk score points per signal
+  signals: {
+    newAccountDays: 30,
+    newAccountPoints: 20,
+    youngAccountDays: 90,
+    youngAccountPoints: 10,
+    noHiresPoints: 15,
+    trustedHires: 5,
+    trustedHirePoints: -10,
+    guaranteeBreachPoints: 15,
+    maxGuaranteeBreachPoints: 30,
+    kycRiskWeight: 0.5,
+    documentRiskPoints: { high: 30, critical: 100 },
+    fraudRejectionPoints: 100,
+  },
+
+  // How long an approved manual review can be used for a payout
+  stepUpApprovalDays: 7,
+};
+
+const SUCCESSFUL_REFERRAL_STATUSES = [REFERRAL_STATUS.HIRED, REFERRAL_STATUS.PAYMENT_PENDING, REFERRAL_STATUS.PAID];
+
+class PayoutLimitService {
+  constructor(policy = DEFAULT_POLICY) {
+    this.policy = policy;
+  }
+
+  /**
+   * Replace the limit policy (tests, scripts)
+   * @param {Object|null} policy - Policy, or null for the default
+   */
+  setPolicy(policy) {
+    this.policy = policy || DEFAULT_POLICY;
+  }
+
+  // ==================== ASSESSMENT ====================
+
+  /**
+   * Assess a user's verified KYC level and risk tier
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { kycLevel, accountAgeDays, riskScore, riskTier, factors, kycStatus }
+   */
+  async assess(userId) {
+    const { signals } = this.policy;
+    const [user, kycStatus, hires, breaches, flaggedDocuments] = await Promise.all([
+      User.findById(userId).select('createdAt status'),
+      KYCStatus.findOne({ userId }),
+      Referral.countDocuments({ referrerId: userId, status: { $in: SUCCESSFUL_REFERRAL_STATUSES } }),
+      Referral.countDocuments({ referrerId: userId, 'guarantee.status': 'breached' }),
+      KYCDocument.find({ userId, 'verification.fraudCheck.riskLevel': { $in: ['high', 'critical'] } })
+        .select('documentType verification.fraudCheck'),
+    ]);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const factors = [];
+    const addFactor = (factor, points, description) => {
+      if (points !== 0) factors.push({ factor, points, description });
+    };
+
+    const accountAgeDays = Math.floor((Date.now() - new Date(user.createdAt).getTime()) / DAY_MS);
+    if (accountAgeDays < signals.newAccountDays) {
+      addFactor('account_age', signals.newAccountPoints, `Account is ${accountAgeDays} days old`);
+    } else if (accountAgeDays < signals.youngAccountDays) {
+      addFactor('account_age', signals.youngAccountPoints, `Account is ${accountAgeDays} days old`);
+    }
+
+    if (hires === 0) {
+      addFactor('referral_history', signals.noHiresPoints, 'No successful referrals yet');
+    } else if (hires >= signals.trustedHires && breaches === 0) {
+      addFactor('referral_history', signals.trustedHirePoints, `${hires} successful referrals`);
+    }
+
+    if (breaches > 0) {
+      addFactor(
+        'guarantee_breaches',
+        Math.min(signals.maxGuaranteeBreachPoints, breaches * signals.guaranteeBreachPoints),
+        `${breaches} hire(s) left during the guarantee period`
+      );
+    }
+
+    if (kycStatus?.riskScore) {
+      addFactor('kyc_risk', Math.round(kycStatus.riskScore * signals.kycRiskWeight), `KYC risk score ${kycStatus.riskScore}`);
+    }
+
+    const worstDocument = flaggedDocuments
+      .map(document => document.verification.fraudCheck.riskLevel)
+      .sort((a, b) => signals.documentRiskPoints[b] - signals.documentRiskPoints[a])[0];
+    if (worstDocument) {
+      addFactor('document_fraud', signals.documentRiskPoints[worstDocument], `KYC document flagged ${worstDocument} risk`);
+    }
+
+    if ((kycStatus?.rejectionHistory || []).some(rejection => rejection.code === 'fraud_detected')) {
+      addFactor('fraud_rejection', signals.fraudRejectionPoints, 'KYC previously rejected for fraud');
+    }
+
+    if (user.status === 'suspended') {
+      addFactor('account_suspended', 100, 'Account is suspended');
+    }
+
+    const riskScore = Math.max(0, Math.min(100, factors.reduce((sum, item) => sum + item.points, 0)));
+
+    return {
+      kycLevel: this.getVerifiedLevel(kycStatus),
+      accountAgeDays,
+      riskScore,
+      riskTier: this.getRiskTier(riskScore),
+      factors,
+      kycStatus,
+    };
+  }
+
+  /**
+   * KYC level that currently counts: none once verification has expired or been suspended
+   * @param {Object|null} kycStatus - KYCStatus
+   * @returns {number}
+   */
+  getVerifiedLevel(kycStatus) {
+    if (!kycStatus) return 0;
+    if ([KYC_STATUS.EXPIRED, KYC_STATUS.SUSPENDED].includes(kycStatus.status)) return 0;
+    if (kycStatus.expiresAt && kycStatus.expiresAt < new Date()) return 0;
+    return kycStatus.currentLevel || 0;
+  }
+
+  /**
+   * Risk tier for a risk score
+   * @param {number} riskScore - Risk score (0-100)
+   * @returns {Object} { name, maxScore, multiplier }
+   */
+  getRiskTier(riskScore) {
+    const { riskTiers } = this.policy;
+    return riskTiers.find(tier => riskScore <= tier.maxScore) || riskTiers[riskTiers.length - 1];
+  }
+
+  /**
+   * Caps for a KYC level in a risk tier
+   * @param {number} level - KYC level
+   * @param {Object} riskTier - Risk tier
+   * @returns {Object} { perTransaction, daily, monthly } in the policy currency
+   */
+  getLimits(level, riskTier) {
+    const caps = this.policy.levels[level] || this.policy.levels[0];
+    return {
+      perTransaction: Math.floor(caps.perTransaction * riskTier.multiplier),
+      daily: Math.floor(caps.daily * riskTier.multiplier),
+      monthly: Math.floor(caps.monthly * riskTier.multiplier),
+    };
+  }
+
+  // ==================== USAGE ====================
+
+  /**
+   * Amount requested today and this month, in the policy currency
+   * @param {string} userId - User ID
+   * @param {Object} options - { excludePayoutRequestId, now }
+   * @returns {Promise<Object>} { daily, monthly }
+   */
+  async getUsage(userId, options = {}) {
+    const now = options.now || new Date();
+    const [daily, monthly] = await Promise.all([
+      PayoutRequest.getVolumeByCurrency(userId, this.startOfDay(now), { excludeId: options.excludePayoutRequestId }),
+      PayoutRequest.getVolumeByCurrency(userId, this.startOfMonth(now), { excludeId: options.excludePayoutRequestId }),
+    ]);
+
+    return {
+      daily: await this.sumInPolicyCurrency(daily),
+      monthly: await this.sumInPolicyCurrency(monthly),
+    };
+  }
+
+  /**
+   * Total of amounts in several currencies, in the policy currency
+   * @param {Map} volumes - currency => amount
+   * @returns {Promise<number>}
+   */
+  async sumInPolicyCurrency(volumes) {
+    let total = 0;
+    for (const [currency, amount] of volumes) {
+      total += await this.toPolicyCurrency(amount, currency || this.policy.currency);
+    }
+    return Math.round(total);
+  }
+
+  /**
+   * Convert an amount into the policy currency
+   * @param {number} amount - Amount
+   * @param {string} currency - Currency code
+   * @returns {Promise<number>}
+   */
+  async toPolicyCurrency(amount, currency) {
+    const converted = await currencyService.convert(amount, currency, this.policy.currency);
+    return converted.amount;
+  }
+
+  // ==================== EVALUATION ====================
+
+  /**
+   * Check a payout against the user's caps
+   * @param {string} userId - User ID
+   * @param {number} amount - Payout amount
+   * @param {string} currency - Payout currency
+   * @param {Object} options - { payoutRequestId: request being checked, left out of usage }
+   * @returns {Promise<Object>} { allowed, amount, currency, limits, usage, remaining, exceeded, kycLevel, riskScore, riskTier, factors, stepUp, approvedStepUp }
+   */
+  async evaluate(userId, amount, currency, options = {}) {
+    const assessment = await this.assess(userId);
+    const usage = await this.getUsage(userId, { excludePayoutRequestId: options.payoutRequestId });
+    const policyAmount = Math.round(await this.toPolicyCurrency(amount, currency));
+    const limits = this.getLimits(assessment.kycLevel, assessment.riskTier);
+    const exceeded = this.getExceeded(limits, usage, policyAmount);
+
+    const result = {
+      allowed: exceeded.length === 0,
+      amount: policyAmount,
+      currency: this.policy.currency,
+      limits,
+      usage,
+      remaining: {
+        perTransaction: limits.perTransaction,
+        daily: Math.max(0, limits.daily - usage.daily),
+        monthly: Math.max(0, limits.monthly - usage.monthly),
+      },
+      exceeded,
+      kycLevel: assessment.kycLevel,
+      riskScore: assessment.riskScore,
+      riskTier: assessment.riskTier.name,
+      factors: assessment.factors,
+      stepUp: null,
+      approvedStepUp: null,
+    };
+
+    if (result.allowed) {
+      return result;
+    }
+
+    // A reviewer may already have cleared this payout
+    const approved = this.findApprovedStepUp(assessment.kycStatus, policyAmount, options.payoutRequestId);
+    if (approved) {
+      result.allowed = true;
+      result.approvedStepUp = approved._id;
+      return result;
+    }
+
+    const requiredLevel = this.getRequiredLevel(assessment, usage, policyAmount);
+    result.stepUp = requiredLevel
+      ? { method: 'kyc_level', requiredLevel }
+      : { method: 'manual_review', requiredLevel: null };
+
+    return result;
+  }
+
+  /**
+   * Caps a payout would exceed
+   * @param {Object} limits - { perTransaction, daily, monthly }
+   * @param {Object} usage - { daily, monthly }
+   * @param {number} amount - Payout amount in the policy currency
+   * @returns {Array<string>}
+   */
+  getExceeded(limits, usage, amount) {
+    const exceeded = [];
+    if (amount > limits.perTransaction) exceeded.push('per_transaction');
+    if (usage.daily + amount > limits.daily) exceeded.push('daily');
+    if (usage.monthly + amount > limits.monthly) exceeded.push('monthly');
+    return exceeded;
+  }
+
+  /**
+   * Lowest KYC level above the current one whose caps would allow a payout
+   * @param {Object} assessment - From assess()
+   * @param {Object} usage - { daily, monthly }
+   * @param {number} amount - Payout amount in the policy currency
+   * @returns {number|null} Level, or null when no level would
+   */
+  getRequiredLevel(assessment, usage, amount) {
+    const levels = Object.keys(this.policy.levels).map(Number).sort((a, b) => a - b);
+
+    for (const level of levels) {
+      if (level <= assessment.kycLevel) continue;
+      if (this.getExceeded(this.getLimits(level, assessment.riskTier), usage, amount).length === 0) {
+        return level;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Approved manual review covering a payout that has not been used for another one
+   * @param {Object|null} kycStatus - KYCStatus
+   * @param {number} amount - Payout amount in the policy currency
+   * @param {string} payoutRequestId - Payout being checked, if it exists yet
+   * @returns {Object|null} Step-up request
+   */
+  findApprovedStepUp(kycStatus, amount, payoutRequestId) {
+    const now = new Date();
+    return (kycStatus?.stepUpRequests || []).find(stepUp =>
+      stepUp.status === 'approved' &&
+      stepUp.amount >= amount &&
+      (!stepUp.expiresAt || stepUp.expiresAt > now) &&
+      (!stepUp.payoutRequestId || (payoutRequestId && String(stepUp.payoutRequestId) === String(payoutRequestId)))
+    ) || null;
+  }
+
+  /**
+   * Check a payout and open a step-up verification request when it is over the caps
+   * @param {string} userId - User ID
+   * @param {number} amount - Payout amount
+   * @param {string} currency - Payout currency
+   * @param {Object} options - { payoutRequestId }
+   * @returns {Promise<Object>} evaluate() result; stepUp is the saved request when one was opened
+   */
+  async checkPayout(userId, amount, currency, options = {}) {
+    const evaluation = await this.evaluate(userId, amount, currency, options);
+
+    if (!evaluation.allowed) {
+      evaluation.stepUp = await this.requestStepUp(userId, evaluation);
+    }
+
+    return evaluation;
+  }
+
+  // ==================== STEP-UP VERIFICATION ====================
+
+  /**
+   * Open a step-up verification request, or refresh the pending one. A KYC
+   * level step-up also raises the user's target level. Users who never
+   * started KYC get a status record to carry the request.
+   * @param {string} userId - User ID
+   * @param {Object} evaluation - evaluate() result with a stepUp
+   * @returns {Promise<Object>} Step-up request
+   */
+  async requestStepUp(userId, evaluation) {
+    const kycStatus = await KYCStatus.findOne({ userId }) || new KYCStatus({
+      userId,
+      currentLevel: 0,
+      targetLevel: 1,
+      status: KYC_STATUS.NOT_STARTED,
+      completedSteps: [],
+    });
+
+    const { method, requiredLevel } = evaluation.stepUp;
+    let stepUp = kycStatus.stepUpRequests.find(item =>
+      item.status === 'pending' && item.method === method && (item.requiredLevel ?? null) === requiredLevel
+    );
+
+    if (stepUp) {
+      stepUp.amount = Math.max(stepUp.amount || 0, evaluation.amount);
+      stepUp.exceeded = evaluation.exceeded;
+      stepUp.riskTier = evaluation.riskTier;
+    } else {
+      kycStatus.stepUpRequests.push({
+        method,
+        requiredLevel: requiredLevel ?? undefined,
+        amount: evaluation.amount,
+        currency: evaluation.currency,
+        exceeded: evaluation.exceeded,
+        riskTier: evaluation.riskTier,
+      });
+      stepUp = kycStatus.stepUpRequests[kycStatus.stepUpRequests.length - 1];
+    }
+
+    if (method === 'kyc_level' && requiredLevel > kycStatus.targetLevel) {
+      kycStatus.targetLevel = requiredLevel;
+    }
+
+    kycStatus.lastActivityAt = new Date();
+    await kycStatus.save();
+
+    try {
+      await notificationService.sendKYCStepUpNotification(userId, stepUp);
+    } catch (error) {
+      console.error('[PayoutLimitService] Failed to send step-up notification:', error.message);
+    }
+
+    return stepUp;
+  }
+
+  /**
+   * Tie an approved manual review to the payout it allowed so it is not used twice
+   * @param {string} userId - User ID
+   * @param {string} stepUpId - Step-up request ID
+   * @param {string} payoutRequestId - Payout request ID
+   * @returns {Promise<void>}
+   */
+  async useApprovedStepUp(userId, stepUpId, payoutRequestId) {
+    await KYCStatus.updateOne(
+      { userId, stepUpRequests: { $elemMatch: { _id: stepUpId, status: 'approved', payoutRequestId: null } } },
+      { $set: { 'stepUpRequests.$.payoutRequestId': payoutRequestId } }
+    );
+  }
+
+  /**
+   * Manual review step-ups awaiting a decision
+   * @param {Object} options - { limit, skip }
+   * @returns {Promise<Array>} KYC statuses with their pending step-ups
+   */
+  async getPendingStepUps(options = {}) {
+    return KYCStatus.findPendingStepUps(options);
+  }
+
+  /**
+   * Decide a manual review step-up. An approval allows one payout of up to
+   * the reviewed amount within the approval window.
+   * @param {string} stepUpId - Step-up request ID
+   * @param {string} adminId - Reviewer
+   * @param {boolean} approved - Whether the payout may go ahead
+   * @param {string} notes - Review notes
+   * @returns {Promise<Object>} Step-up request
+   */
+  async resolveStepUp(stepUpId, adminId, approved, notes = '') {
+    const kycStatus = await KYCStatus.findOne({ 'stepUpRequests._id': stepUpId });
+    const stepUp = kycStatus?.stepUpRequests.id(stepUpId);
+
+    if (!stepUp || stepUp.status !== 'pending' || stepUp.method !== 'manual_review') {
+      throw new Error('No manual review step-up awaiting a decision');
+    }
+
+    stepUp.status = approved ? 'approved' : 'rejected';
+    stepUp.resolvedAt = new Date();
+    stepUp.resolvedBy = adminId;
+    stepUp.notes = notes;
+    if (approved) {
+      stepUp.expiresAt = new Date(Date.now() + this.policy.stepUpApprovalDays * DAY_MS);
+    }
+
+    await kycStatus.save();
+    return stepUp;
+  }
+
+  // ==================== HELPERS ====================
+
+  /**
+   * Start of the local day
+   * @param {Date} now
+   * @returns {Date}
+   */
+  startOfDay(now = new Date()) {
+    const offset = UTC_OFFSET_MINUTES * 60 * 1000;
+    const local = new Date(now.getTime() + offset);
+    local.setUTCHours(0, 0, 0, 0);
+    return new Date(local.getTime() - offset);
+  }
+
+  /**
+   * Start of the local month
+   * @param {Date} now
+   * @returns {Date}
+   */
+  startOfMonth(now = new Date()) {
+    const offset = UTC_OFFSET_MINUTES * 60 * 1000;
+    const local = new Date(now.getTime() + offset);
+    local.setUTCDate(1);
+    local.setUTCHours(0, 0, 0, 0);
+    return new Date(local.getTime() - offset);
+  }
+}
+
+// Export singleton instance
+const payoutLimitService = new PayoutLimitService();
+module.exports = payoutLimitService;
+module.exports.PayoutLimitService = PayoutLimitService;
+module.exports.DEFAULT_POLICY = DEFAULT_POLICY;
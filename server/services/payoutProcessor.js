@@ -10,6 +10,7 @@ const {
   PayoutBatch,
   PayoutProvider,
   PayoutTransaction,
+  Referral,
   User,
   AuditLog,
 } = require('../models/index.js');
@@ -25,6 +26,17 @@ const SAFE_PROVIDER_TYPES = {
   BANK_TRANSFER: 'bank_transfer',
 };
 const { sendPayoutNotification } = require('./notificationService.js');
+const regionService = require('./regionService.js');
+const taxService = require('./taxService.js');
+const currencyService = require('./currencyService.js');
+const ledgerService = require('./ledgerService.js');
+const settlementReconciliationService = require('./settlementReconciliationService.js');
+const payoutRouter = require('./payoutRouter.js');
+const payoutLimitService = require('./payoutLimitService.js');
+const referralFraudService = require('./referralFraudService.js');
+
+// Currency referrers are paid in when their region is unknown
+const DEFAULT_SETTLEMENT_CURRENCY = 'MMK';
 
 // ==================== MOCK PROVIDER IMPLEMENTATIONS ====================
 
@@ -406,28 +418,69 @@ registerProvider(providerConfig) {
         throw new Error(`Payout request must be approved before processing. Current status: ${payoutRequest.status}`);
       }
 
-      // Determine provider
-      const providerCode = options.providerCode || this.getProviderCodeFromPaymentMethod(payoutRequest.paymentMethod);
-      const provider = this.getProvider(providerCode);
+      // Re-score referrals so fraud review holds are in place before checking holds
+      await referralFraudService.screenPayout(payoutRequest);
 
-      if (!provider) {
-        throw new Error(`Provider not found: ${providerCode}`);
+      // Block payouts for referrals with an open hold (e.g. candidate ownership dispute)
+      await this.assertNoPayoutHolds(payoutRequest);
+
+      // Block payouts for staged installments still inside the guarantee period
+      await this.assertInstallmentsReleased(payoutRequest);
+
+      // Block payouts over the referrer's KYC and risk-based caps
+      await this.assertWithinPayoutLimits(payoutRequest);
+
+      if (options.providerCode && !this.getProvider(options.providerCode)) {
+        throw new Error(`Provider not found: ${options.providerCode}`);
       }
 
-      // Calculate fee
-      const fee = provider.config.calculateFee(payoutRequest.amount);
+      // Deduct withholding tax before paying out
+      await this.applyWithholdingTax(payoutRequest);
+      const payableAmount = this.getPayableAmount(payoutRequest);
+
+      // Pay in the referrer's currency at the rate locked on approval
+      await this.lockFxQuote(payoutRequest);
+      const settlement = this.getSettlement(payoutRequest);
+
+      // Cheapest healthy route first; the rest are fallbacks for an outage
+      const { routes, skipped } = await payoutRouter.planRoutes(payoutRequest, {
+        amount: settlement.amount,
+        currency: settlement.currency,
+        providers: this.providers,
+        preferredProviderCode: options.providerCode,
+      });
+
+      if (routes.length === 0) {
+        const reasons = skipped.map(item => `${item.providerCode}: ${item.reason}`).join('; ');
+        throw new Error(`No payout provider available for ${payoutRequest.paymentMethod.type}${reasons ? ` (${reasons})` : ''}`);
+      }
+
+      let route = routes[0];
 
       // Create transaction record
       const transaction = await PayoutTransaction.createTransaction({
         payoutRequestId: payoutRequest._id,
         referrerId: payoutRequest.referrerId._id,
-        providerId: provider.config._id,
-        providerCode: provider.config.code,
-        amount: payoutRequest.amount,
-        fee,
-        currency: payoutRequest.currency,
-        paymentDetails: payoutRequest.paymentMethod,
+        providerId: route.providerId,
+        providerCode: route.providerCode,
+        amount: settlement.amount,
+        fee: route.fee,
+        currency: settlement.currency,
+        fx: payoutRequest.fx ? {
+          sourceAmount: payableAmount,
+          sourceCurrency: payoutRequest.currency,
+          rate: payoutRequest.fx.rate,
+        } : undefined,
+        paymentDetails: route.account,
         maxRetries: options.maxRetries || 3,
+        routing: {
+          originalRoute: {
+            providerId: route.providerId,
+            providerCode: route.providerCode,
+            accountType: route.account.type,
+            fee: route.fee,
+          },
+        },
       });
 
       // Update payout request status
@@ -436,15 +489,61 @@ registerProvider(providerConfig) {
       // Initiate transaction
       await transaction.initiate();
 
-      // Process payment
-      const result = await this.executePayment(provider, payoutRequest, transaction);
+      // Process payment, failing over to the next route while providers are down
+      let result = await this.executePayment(route.provider, payoutRequest, transaction, route.account);
+
+      for (const fallback of routes.slice(1)) {
+        if (!payoutRouter.isOutage(result)) break;
+
+        payoutRouter.recordOutage(route.providerCode);
+        transaction.recordRouteAttempt('outage', result);
+        await route.provider.config.updateStats(false, settlement.amount, result.processingTime);
+        await transaction.failOver(fallback, `${route.providerCode} outage: ${result.errorMessage}`);
+
+        route = fallback;
+        result = await this.executePayment(route.provider, payoutRequest, transaction, route.account);
+      }
+
+      const provider = route.provider;
+
+      // The provider may have accepted the payment: leave the transaction
+      // processing until its webhook or the settlement file settles it,
+      // rather than paying again
+      if (payoutRouter.isUncertain(result)) {
+        transaction.recordRouteAttempt('unconfirmed', result);
+        await transaction.save();
+
+        payoutRequest.processingHistory.push({
+          status: PAYOUT_STATUS.PROCESSING,
+          changedAt: new Date(),
+          notes: `Awaiting confirmation from ${provider.config.name}: ${result.errorMessage}`,
+        });
+        await payoutRequest.save();
+
+        return {
+          success: false,
+          pending: true,
+          error: result.errorMessage,
+          errorCode: result.errorCode,
+          transaction,
+          canRetry: false,
+        };
+      }
+
+      const outage = payoutRouter.isOutage(result);
+      if (outage) {
+        payoutRouter.recordOutage(route.providerCode);
+      }
+      transaction.recordRouteAttempt(result.success ? 'completed' : (outage ? 'outage' : 'failed'), result);
+      const failedOverFrom = transaction.routing.fallbackRoute ? ` (failed over from ${transaction.routing.originalRoute.providerCode})` : '';
 
       if (result.success) {
         // Mark as completed
         await transaction.markCompleted(result.transactionId);
+        await this.settleFx(payoutRequest, settlement.amount);
         await payoutRequest.markAsPaid({
           transactionId: result.transactionId,
-          notes: `Processed via ${provider.config.name}`,
+          notes: `Processed via ${provider.config.name}${failedOverFrom}`,
         });
 
         // Update user balance
@@ -455,8 +554,10 @@ registerProvider(providerConfig) {
           },
         });
 
+        await ledgerService.recordPayout(payoutRequest, provider.config.code);
+
         // Update provider stats
-        await provider.config.updateStats(true, payoutRequest.amount, result.processingTime);
+        await provider.config.updateStats(true, settlement.amount, result.processingTime);
 
         // Send notification
         await sendPayoutNotification(
@@ -464,7 +565,14 @@ registerProvider(providerConfig) {
           payoutRequest._id,
           'paid',
           {
-            amount: payoutRequest.amount,
+            amount: payableAmount,
+            currency: payoutRequest.currency,
+            ...(payoutRequest.fx && {
+              convertedAmount: settlement.amount,
+              settlementCurrency: settlement.currency,
+              fxRate: payoutRequest.fx.rate,
+            }),
+            withholdingTax: payoutRequest.withholdingTax?.amount || 0,
             requestNumber: payoutRequest.requestNumber,
             transactionId: result.transactionId,
           }
@@ -476,7 +584,7 @@ registerProvider(providerConfig) {
           action: 'payout_processed',
           entityType: 'payout_request',
           entityId: payoutRequest._id,
-          description: `Payout ${payoutRequest.requestNumber} processed successfully via ${provider.config.name}`,
+          description: `Payout ${payoutRequest.requestNumber} processed successfully via ${provider.config.name}${failedOverFrom}`,
           changes: [
             { field: 'status', oldValue: PAYOUT_STATUS.PROCESSING, newValue: PAYOUT_STATUS.PAID },
             { field: 'transactionId', oldValue: null, newValue: result.transactionId },
@@ -503,7 +611,7 @@ registerProvider(providerConfig) {
         await payoutRequest.save();
 
         // Update provider stats
-        await provider.config.updateStats(false, payoutRequest.amount, result.processingTime);
+        await provider.config.updateStats(false, settlement.amount, result.processingTime);
 
         return {
           success: false,
@@ -519,24 +627,241 @@ registerProvider(providerConfig) {
     }
   }
 
+  /**
+   * Calculate withholding tax on a payout once, under the tax rules of the
+   * referrer's region, and record it on the request
+   * @param {Object} payoutRequest - Payout request (referrerId populated or ID)
+   * @returns {Promise<Object>} Withholding { amount, rate, name, regionCode }
+   */
+  async applyWithholdingTax(payoutRequest) {
+    if (payoutRequest.withholdingTax?.calculatedAt) {
+      return payoutRequest.withholdingTax;
+    }
+
+    const referrerId = payoutRequest.referrerId?._id || payoutRequest.referrerId;
+    const regionCode = await regionService.getRegionFromUserProfile(referrerId);
+    const rules = await taxService.getTaxRules(regionCode);
+    const withholding = taxService.calculateWithholding(payoutRequest.amount, rules, payoutRequest.currency);
+
+    payoutRequest.withholdingTax = {
+      amount: withholding.amount,
+      rate: withholding.rate,
+      name: withholding.name,
+      regionCode: withholding.regionCode,
+      calculatedAt: new Date(),
+    };
+    payoutRequest.netAmount = payoutRequest.amount
+      - (payoutRequest.platformFee || 0)
+      - (payoutRequest.processingFee || 0)
+      - withholding.amount;
+    await payoutRequest.save();
+
+    return payoutRequest.withholdingTax;
+  }
+
+  /**
+   * Amount sent to the referrer: the payout less withholding tax
+   * @param {Object} payoutRequest - Payout request
+   * @returns {number}
+   */
+  getPayableAmount(payoutRequest) {
+    return payoutRequest.amount - (payoutRequest.withholdingTax?.amount || 0);
+  }
+
+  /**
+   * Approve a payout request, locking the FX rate when the referrer is paid
+   * in another currency
+   * @param {Object} payoutRequest - Payout request
+   * @param {string} adminId - Admin user ID
+   * @param {Object} options - Approval options
+   * @returns {Promise<Object>} Payout request
+   */
+  async approvePayout(payoutRequest, adminId, options = {}) {
+    await this.lockFxQuote(payoutRequest);
+    await payoutRequest.approve(adminId, options);
+    return payoutRequest;
+  }
+
+  /**
+   * Currency a referrer is paid in: the default currency of their region
+   * @param {Object} payoutRequest - Payout request (referrerId populated or ID)
+   * @returns {Promise<string>}
+   */
+  async getSettlementCurrency(payoutRequest) {
+    const referrerId = payoutRequest.referrerId?._id || payoutRequest.referrerId;
+    const regionCode = await regionService.getRegionFromUserProfile(referrerId);
+    const region = regionCode ? await regionService.getRegionConfig(regionCode) : null;
+
+    return (region?.defaultCurrency || DEFAULT_SETTLEMENT_CURRENCY).toUpperCase();
+  }
+
+  /**
+   * Lock the rate a payout converts at into the referrer's currency. A quote
+   * still inside its window is kept; an expired one is replaced at the
+   * current rate. The payable amount is quoted, so withholding applied after
+   * approval updates the quoted amounts at the locked rate. Sets
+   * payoutRequest.fx without saving.
+   * @param {Object} payoutRequest - Payout request
+   * @returns {Promise<Object|null>} Quote, or null when no conversion is needed
+   */
+  async lockFxQuote(payoutRequest) {
+    const targetCurrency = await this.getSettlementCurrency(payoutRequest);
+    if (targetCurrency === payoutRequest.currency.toUpperCase()) {
+      // A quote from before the referrer's region changed no longer applies
+      payoutRequest.fx = undefined;
+      return null;
+    }
+
+    const sourceAmount = this.getPayableAmount(payoutRequest);
+    const current = payoutRequest.fx;
+    if (current?.targetCurrency === targetCurrency && currencyService.isQuoteValid(current)) {
+      if (current.sourceAmount !== sourceAmount) {
+        current.sourceAmount = sourceAmount;
+        current.convertedAmount = currencyService.roundAmount(sourceAmount * current.rate, targetCurrency);
+      }
+      return current;
+    }
+
+    const quote = await currencyService.lockQuote(sourceAmount, payoutRequest.currency, targetCurrency);
+
+    if (current) {
+      payoutRequest.processingHistory.push({
+        status: payoutRequest.status,
+        changedAt: new Date(),
+        notes: `FX quote expired; re-quoted ${quote.sourceCurrency}/${quote.targetCurrency} at ${quote.rate}`,
+      });
+    }
+
+    payoutRequest.fx = quote;
+    return payoutRequest.fx;
+  }
+
+  /**
+   * Amount and currency the referrer receives: the payable amount, converted
+   * at the locked rate when the payout is paid in another currency
+   * @param {Object} payoutRequest - Payout request
+   * @returns {Object} { amount, currency }
+   */
+  getSettlement(payoutRequest) {
+    const amount = this.getPayableAmount(payoutRequest);
+    const { fx } = payoutRequest;
+
+    if (!fx) {
+      return { amount, currency: payoutRequest.currency };
+    }
+
+    return {
+      amount: currencyService.roundAmount(amount * fx.rate, fx.targetCurrency),
+      currency: fx.targetCurrency,
+    };
+  }
+
+  /**
+   * Record how a converted payout settled: the market rate when it was paid
+   * and the realised FX gain or loss against the locked rate. Sets
+   * payoutRequest.fx without saving.
+   * @param {Object} payoutRequest - Payout request
+   * @param {number} settledAmount - Amount paid in the settlement currency
+   * @returns {Promise<Object|null>}
+   */
+  async settleFx(payoutRequest, settledAmount) {
+    const { fx } = payoutRequest;
+    if (!fx) return null;
+
+    const market = await currencyService.getRate(fx.sourceCurrency, fx.targetCurrency);
+    if (!market) {
+      console.warn(`[PayoutProcessor] No ${fx.sourceCurrency}/${fx.targetCurrency} rate at settlement of ${payoutRequest.requestNumber}; using the locked rate`);
+    }
+
+    const settlementRate = market?.rate || fx.rate;
+
+    fx.settledAmount = settledAmount;
+    fx.settlementRate = settlementRate;
+    fx.realisedGainLoss = currencyService.getRealisedGainLoss(fx, settledAmount, settlementRate);
+    fx.settledAt = new Date();
+
+    return fx;
+  }
+
+  /**
+   * Ensure none of the referrals in a payout request have an active payout hold
+   * @param {Object} payoutRequest - Payout request
+   * @returns {Promise<void>}
+   */
+  async assertNoPayoutHolds(payoutRequest) {
+    const referralIds = (payoutRequest.referrals || []).map(item => item.referralId);
+    if (referralIds.length === 0) return;
+
+    const referrals = await Referral.find({ _id: { $in: referralIds } }).select('code payout.holds');
+    const held = referrals.filter(referral => referral.isPayoutOnHold);
+
+    if (held.length > 0) {
+      throw new Error(`Payout blocked: referral(s) ${held.map(r => r.code).join(', ')} have an open payout hold`);
+    }
+  }
+
+  /**
+   * Ensure referral amounts in a payout request do not exceed what the
+   * guarantee period has released so far
+   * @param {Object} payoutRequest - Payout request
+   * @returns {Promise<void>}
+   */
+  async assertInstallmentsReleased(payoutRequest) {
+    const items = payoutRequest.referrals || [];
+    if (items.length === 0) return;
+
+    const referrals = await Referral.find({ _id: { $in: items.map(item => item.referralId) } })
+      .select('code status referrerPayout payout.installments');
+    const byId = new Map(referrals.map(referral => [referral._id.toString(), referral]));
+
+    const unreleased = items.filter(item => {
+      const referral = byId.get(item.referralId.toString());
+      return referral && item.amount > referral.releasedPayoutAmount;
+    });
+
+    if (unreleased.length > 0) {
+      const codes = unreleased.map(item => byId.get(item.referralId.toString()).code);
+      throw new Error(`Payout blocked: referral(s) ${codes.join(', ')} are still in their guarantee period`);
+    }
+  }
+
+  /**
+   * Ensure a payout is still within the referrer's payout caps, which may
+   * have tightened since it was requested. Opens a step-up verification
+   * request when it is not.
+   * @param {Object} payoutRequest - Payout request
+   * @returns {Promise<void>}
+   */
+  async assertWithinPayoutLimits(payoutRequest) {
+    const referrerId = payoutRequest.referrerId?._id || payoutRequest.referrerId;
+    const check = await payoutLimitService.checkPayout(referrerId, payoutRequest.amount, payoutRequest.currency, {
+      payoutRequestId: payoutRequest._id,
+    });
+
+    if (!check.allowed) {
+      throw new Error(`Payout blocked: exceeds the referrer's ${check.exceeded.join(', ')} payout limit; step-up verification requested`);
+    }
+  }
+
   /**
    * Execute payment with provider
    * @param {Object} provider - Provider instance
    * @param {Object} payoutRequest - Payout request
    * @param {Object} transaction - Transaction record
+   * @param {Object} account - Payment details to pay into (defaults to the request's)
    * @returns {Promise<Object>}
    */
-  async executePayment(provider, payoutRequest, transaction) {
+  async executePayment(provider, payoutRequest, transaction, account = payoutRequest.paymentMethod) {
     const startTime = Date.now();
 
     try {
       await transaction.markProcessing();
 
       const paymentDetails = {
-        amount: payoutRequest.amount,
-        currency: payoutRequest.currency,
+        amount: transaction.amount,
+        currency: transaction.currency,
         reference: transaction.transactionNumber,
-        ...payoutRequest.paymentMethod,
+        ...account,
       };
 
       const result = await provider.instance.processPayment(paymentDetails);
@@ -560,6 +885,8 @@ registerProvider(providerConfig) {
         success: false,
         errorCode: 'PROCESSOR_ERROR',
         errorMessage: error.message,
+        networkErrorCode: error.code,
+        httpStatus: error.response?.status,
         processingTime,
       };
     }
@@ -610,6 +937,11 @@ registerProvider(providerConfig) {
               transactionId: result.transaction.providerTransactionId,
             });
             return { success: true };
+          } else if (result.pending) {
+            await batch.updatePayoutStatus(payoutItem.payoutRequestId, 'processing', {
+              errorMessage: result.error,
+            });
+            return { success: false, pending: true, error: result.error };
           } else {
             await batch.updatePayoutStatus(payoutItem.payoutRequestId, 'failed', {
               errorMessage: result.error,
@@ -691,10 +1023,16 @@ registerProvider(providerConfig) {
       const payoutRequest = await PayoutRequest.findById(transaction.payoutRequestId);
       const provider = this.getProvider(transaction.providerCode);
 
-      const result = await this.executePayment(provider, payoutRequest, transaction);
+      // A failed-over payout is retried on the route it failed over to
+      const account = transaction.routing?.fallbackRoute?.providerCode
+        ? transaction.toObject().paymentDetails
+        : payoutRequest.paymentMethod;
+
+      const result = await this.executePayment(provider, payoutRequest, transaction, account);
 
       if (result.success) {
         await transaction.markCompleted(result.transactionId);
+        await this.settleFx(payoutRequest, transaction.amount);
         await payoutRequest.markAsPaid({
           transactionId: result.transactionId,
           notes: `Retry successful via ${provider.config.name}`,
@@ -943,6 +1281,8 @@ registerProvider(providerConfig) {
       const transactionStats = await PayoutTransaction.getStats(filters);
       const providerStats = await PayoutTransaction.getProviderStats(filters);
       const unreconciled = await PayoutTransaction.findUnreconciled({ limit: 100 });
+      // Open exceptions from imported provider settlement files
+      const settlementExceptions = await settlementReconciliationService.listExceptions({ limit: 100 });
 
       return {
         success: true,
@@ -952,6 +1292,10 @@ registerProvider(providerConfig) {
           count: unreconciled.length,
           transactions: unreconciled,
         },
+        settlementExceptions: {
+          count: settlementExceptions.length,
+          exceptions: settlementExceptions,
+        },
       };
     } catch (error) {
       console.error('[PayoutProcessor] Get reconciliation report error:', error);
@@ -0,0 +1,331 @@
+/**
+ * Payout Router
+ * Chooses the provider a payout is sent through: the cheapest healthy
+ * provider that supports one of the referrer's verified payout accounts and
+ * still has room under its transaction and daily limits. The remaining
+ * routes, cheapest first, are the fallbacks used when a provider is down.
+ */
+
+const { PayoutTransaction } = require('../models/index.js');
+const PaymentMethod = require('../models/PaymentMethod.js');
+const { PAYMENT_METHOD_STATUS } = require('../models/PaymentMethod.js');
+const { PROVIDER_STATUS, PROVIDER_TYPES, MYANMAR_BANKS } = require('../models/PayoutProvider.js');
+const paymentService = require('./payment/PaymentService.js');
+
+// Account types payouts can be sent to
+const PAYOUT_ACCOUNT_TYPES = [PROVIDER_TYPES.KBZPAY, PROVIDER_TYPES.WAVEPAY, PROVIDER_TYPES.BANK_TRANSFER];
+
+// How long provider API health is cached
+const HEALTH_CACHE_MS = 60 * 1000;
+
+// How long a provider is skipped after an outage during a payout
+const OUTAGE_COOLDOWN_MS = 10 * 60 * 1000;
+
+// Myanmar Standard Time (UTC+06:30); provider daily limits reset at local midnight
+const UTC_OFFSET_MINUTES = 390;
+
+// Connection errors that prove the payment never reached the provider, so
+// another route can be tried without paying twice
+const OUTAGE_NETWORK_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// HTTP statuses a provider's gateway answers with before the payment is
+// handled. Other 5xx responses may come after the provider took the payment.
+const OUTAGE_HTTP_STATUSES = [502, 503];
+
+// Errors after which the provider may still have accepted the payment
+const UNCERTAIN_PATTERN = /timed? ?out|ETIMEDOUT|ECONNRESET|socket hang up/i;
+
+class PayoutRouter {
+  constructor() {
+    this.outages = new Map();
+    this.healthCache = null;
+  }
+
+  // ==================== ROUTING ====================
+
+  /**
+   * Plan the routes for a payout
+   * @param {Object} payoutRequest - Payout request (referrerId populated or ID)
+   * @param {Object} params - { amount, currency, providers, preferredProviderCode }
+   *   amount, currency: amount sent, in the currency it is paid in (defaults to the request's)
+   *   providers: registered providers (code => { instance, config })
+   *   preferredProviderCode: provider to try first regardless of fee
+   * @returns {Promise<Object>} { routes, skipped } - routes are { providerCode, providerId, provider, account, fee }
+   */
+  async planRoutes(payoutRequest, { amount, currency = payoutRequest.currency, providers, preferredProviderCode }) {
+    const accounts = await this.getPayoutAccounts(payoutRequest);
+    const health = await this.getProviderHealth(providers);
+    // Limits apply to the amount sent, so only payouts in that currency count
+    const volumes = await PayoutTransaction.getVolumeByProvider(
+      Array.from(providers.keys()),
+      this.startOfDay(),
+      currency
+    );
+
+    const routes = [];
+    const skipped = [];
+
+    for (const [providerCode, provider] of providers) {
+      const { config } = provider;
+      const supported = accounts.filter(account => this.supportsAccount(config, account));
+      if (supported.length === 0) continue;
+
+      const reason = this.getUnavailableReason(config, amount, currency, health.get(providerCode), volumes.get(providerCode) || 0);
+      if (reason) {
+        skipped.push({ providerCode, reason });
+        continue;
+      }
+
+      // Same-bank transfers first when a bank provider can reach several accounts
+      const { requested, ...account } = supported.find(item => this.getBankCode(item) === config.bankCode) || supported[0];
+
+      routes.push({
+        providerCode,
+        providerId: config._id,
+        provider,
+        account,
+        requested: Boolean(requested),
+        fee: config.calculateFee(amount),
+      });
+    }
+
+    routes.sort((a, b) => this.compareRoutes(a, b, preferredProviderCode));
+
+    return { routes, skipped };
+  }
+
+  /**
+   * Route order: the preferred provider, then lowest fee, then same-bank
+   * transfers, the account on the request, and provider priority
+   */
+  compareRoutes(a, b, preferredProviderCode) {
+    const preferred = route => (route.providerCode === preferredProviderCode ? 0 : 1);
+    const sameBank = route => (route.provider.config.bankCode && route.provider.config.bankCode === this.getBankCode(route.account) ? 0 : 1);
+    const requested = route => (route.requested ? 0 : 1);
+
+    return preferred(a) - preferred(b)
+      || a.fee - b.fee
+      || sameBank(a) - sameBank(b)
+      || requested(a) - requested(b)
+      || (b.provider.config.priority || 0) - (a.provider.config.priority || 0);
+  }
+
+  /**
+   * Why a provider cannot take this payout now, or null if it can
+   * @returns {string|null}
+   */
+  getUnavailableReason(config, amount, currency, health, usedToday) {
+    if (config.status !== PROVIDER_STATUS.ACTIVE) {
+      return `provider is ${config.status}`;
+    }
+    if (health && !health.healthy) {
+      return health.reason;
+    }
+
+    const currencies = config.supportedCurrencies || [];
+    if (currency && currencies.length > 0 && !currencies.includes(currency)) {
+      return `${currency} not supported`;
+    }
+
+    const limits = config.limits || {};
+    if (limits.minTransaction && amount < limits.minTransaction) {
+      return `below minimum of ${limits.minTransaction}`;
+    }
+    if (limits.maxTransaction && amount > limits.maxTransaction) {
+      return `above maximum of ${limits.maxTransaction}`;
+    }
+    if (limits.dailyLimit && usedToday + amount > limits.dailyLimit) {
+      return `daily limit of ${limits.dailyLimit} reached`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a provider can pay into an account; bank providers reach any bank
+   * account over interbank transfer
+   */
+  supportsAccount(config, account) {
+    return config.type === account.type;
+  }
+
+  // ==================== ACCOUNTS ====================
+
+  /**
+   * Accounts a payout may be sent to: the account on the request, then the
+   * referrer's other verified payout accounts
+   * @param {Object} payoutRequest - Payout request
+   * @returns {Promise<Array<Object>>} Payment details, the requested one flagged `requested`
+   */
+  async getPayoutAccounts(payoutRequest) {
+    const referrerId = payoutRequest.referrerId?._id || payoutRequest.referrerId;
+    const requested = payoutRequest.paymentMethod?.toObject
+      ? payoutRequest.paymentMethod.toObject()
+      : { ...payoutRequest.paymentMethod };
+
+    const methods = await PaymentMethod.find({
+      userId: referrerId,
+      status: PAYMENT_METHOD_STATUS.VERIFIED,
+      type: { $in: PAYOUT_ACCOUNT_TYPES },
+    }).sort({ isDefault: -1, createdAt: 1 });
+
+    const accounts = [{ ...requested, requested: true }];
+    const keys = new Set([this.accountKey(requested)]);
+
+    for (const method of methods) {
+      const account = this.toPaymentDetails(method);
+      if (!keys.has(this.accountKey(account))) {
+        keys.add(this.accountKey(account));
+        accounts.push(account);
+      }
+    }
+
+    return accounts;
+  }
+
+  /**
+   * Payout payment details for a saved payment method
+   * @param {Object} method - PaymentMethod
+   * @returns {Object}
+   */
+  toPaymentDetails(method) {
+    if (method.type === PROVIDER_TYPES.BANK_TRANSFER) {
+      return {
+        type: method.type,
+        bankCode: method.bankAccount.bankCode,
+        bankName: method.bankAccount.bankName,
+        bankBranch: method.bankAccount.branchName,
+        accountNumber: method.bankAccount.accountNumber,
+        accountName: method.bankAccount.accountHolderName,
+        accountHolderName: method.bankAccount.accountHolderName,
+        swiftCode: method.bankAccount.swiftCode,
+      };
+    }
+
+    return {
+      type: method.type,
+      phoneNumber: method.mobileWallet.phoneNumber,
+      accountName: method.mobileWallet.accountName,
+    };
+  }
+
+  accountKey(account) {
+    return `${account.type}:${(account.phoneNumber || account.accountNumber || '').replace(/\D/g, '')}`;
+  }
+
+  /**
+   * Bank code of a bank account (payout requests carry only the bank name)
+   * @param {Object} account - Payment details
+   * @returns {string|null}
+   */
+  getBankCode(account) {
+    if (account.type !== PROVIDER_TYPES.BANK_TRANSFER) return null;
+    if (account.bankCode) return account.bankCode.toUpperCase();
+
+    const name = (account.bankName || '').trim().toLowerCase();
+    const bank = Object.values(MYANMAR_BANKS).find(item =>
+      item.code.toLowerCase() === name || item.name.toLowerCase() === name
+    );
+    return bank ? bank.code : null;
+  }
+
+  // ==================== HEALTH ====================
+
+  /**
+   * Health of each registered payout provider: outages seen during recent
+   * payouts, and the provider API health reported by PaymentService
+   * @param {Map} providers - Registered providers (code => { instance, config })
+   * @returns {Promise<Map<string, Object>>} Provider code => { healthy, reason }
+   */
+  async getProviderHealth(providers) {
+    const apiHealth = await this.getApiHealth();
+    const health = new Map();
+
+    for (const [providerCode, { config }] of providers) {
+      const outageUntil = this.outages.get(providerCode);
+      const api = apiHealth.get(config.type);
+
+      if (outageUntil && outageUntil > Date.now()) {
+        health.set(providerCode, { healthy: false, reason: 'recent outage' });
+      } else if (api && api.status === 'unhealthy') {
+        health.set(providerCode, { healthy: false, reason: `provider API unhealthy${api.error ? `: ${api.error}` : ''}` });
+      } else {
+        health.set(providerCode, { healthy: true, reason: null });
+      }
+    }
+
+    return health;
+  }
+
+  /**
+   * PaymentService provider health by provider name, cached briefly
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async getApiHealth() {
+    if (this.healthCache && this.healthCache.expiresAt > Date.now()) {
+      return this.healthCache.health;
+    }
+
+    let health = new Map();
+    try {
+      const statuses = await paymentService.getProviderHealth();
+      health = new Map(statuses.map(status => [status.provider, status]));
+    } catch (error) {
+      console.error('[PayoutRouter] Provider health check failed:', error.message);
+    }
+
+    this.healthCache = { health, expiresAt: Date.now() + HEALTH_CACHE_MS };
+    return health;
+  }
+
+  /**
+   * Whether a failed payment was a provider outage that never reached the
+   * provider (try another route) rather than a problem with the recipient
+   * account. Only the connection error code and HTTP status are trusted;
+   * provider error messages vary too much to tell.
+   * @param {Object} result - executePayment result
+   * @returns {boolean}
+   */
+  isOutage(result) {
+    if (result.success) return false;
+    if (result.outage) return true;
+    return OUTAGE_NETWORK_CODES.includes(result.networkErrorCode) || OUTAGE_HTTP_STATUSES.includes(result.httpStatus);
+  }
+
+  /**
+   * Whether a failed payment may still have been accepted by the provider
+   * (timeouts, dropped connections, unexpected errors). These are neither
+   * retried nor failed over; the transaction waits for the provider's answer.
+   * @param {Object} result - executePayment result
+   * @returns {boolean}
+   */
+  isUncertain(result) {
+    if (result.success || this.isOutage(result)) return false;
+    return result.errorCode === 'PROCESSOR_ERROR' || UNCERTAIN_PATTERN.test(result.errorMessage || '');
+  }
+
+  /**
+   * Skip a provider for a while after it failed with an outage
+   * @param {string} providerCode - Provider code
+   */
+  recordOutage(providerCode) {
+    this.outages.set(providerCode, Date.now() + OUTAGE_COOLDOWN_MS);
+  }
+
+  /**
+   * Start of the current Myanmar day
+   * @param {Date} now - Current time
+   * @returns {Date}
+   */
+  startOfDay(now = new Date()) {
+    const offset = UTC_OFFSET_MINUTES * 60 * 1000;
+    const local = new Date(now.getTime() + offset);
+    local.setUTCHours(0, 0, 0, 0);
+    return new Date(local.getTime() - offset);
+  }
+}
+
+// Export singleton instance
+const payoutRouter = new PayoutRouter();
+module.exports = payoutRouter;
+module.exports.PayoutRouter = PayoutRouter;
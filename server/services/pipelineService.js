@@ -0,0 +1,312 @@
+/**
+ * Pipeline Service
+ * Resolves each company's referral pipeline (custom or the default
+ * canonical one), validates pipeline definitions and moves referrals
+ * between stages. Custom stages map onto canonical referral statuses, so
+ * Referral.status stays meaningful for analytics, payouts and workflows.
+ */
+
+const { Job } = require('../models/index.js');
+const Referral = require('../models/Referral.js');
+const { REFERRAL_STATUS, STATUS_FLOW, isStatusReachable } = require('../models/Referral.js');
+const ReferralPipeline = require('../models/ReferralPipeline.js');
+const { MAPPABLE_STATUSES, EXIT_STATUSES } = require('../models/ReferralPipeline.js');
+const { TRIGGER_TYPES } = require('../models/Workflow.js');
+const { ValidationError } = require('../middleware/errorHandler.js');
+
+class PipelineService {
+  // ==================== PIPELINE RESOLUTION ====================
+
+  /**
+   * Default pipeline - one stage per canonical status, STATUS_FLOW transitions
+   * @returns {Object}
+   */
+  getDefaultPipeline() {
+    const stages = MAPPABLE_STATUSES.map((status, index) => ({
+      key: status,
+      name: status.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
+      canonicalStatus: status,
+      order: index,
+    }));
+
+    const transitions = [];
+    for (const from of MAPPABLE_STATUSES) {
+      for (const to of STATUS_FLOW[from] || []) {
+        if (MAPPABLE_STATUSES.includes(to)) {
+          transitions.push({ from, to });
+        }
+      }
+    }
+
+    return { name: 'Default pipeline', isDefault: true, stages, transitions };
+  }
+
+  /**
+   * Get the pipeline a company uses
+   * @param {string} companyId - Company ID
+   * @returns {Promise<Object>}
+   */
+  async getPipeline(companyId) {
+    const pipeline = companyId ? await ReferralPipeline.findActiveForCompany(companyId) : null;
+
+    if (!pipeline) {
+      return this.getDefaultPipeline();
+    }
+
+    const definition = pipeline.toObject();
+    definition.isDefault = false;
+    definition.stages = [...definition.stages].sort((a, b) => a.order - b.order);
+    return definition;
+  }
+
+  /**
+   * Get the pipeline for a referral's company
+   * @param {Object} referral - Referral document
+   * @returns {Promise<Object>} { pipeline, companyId }
+   */
+  async getPipelineForReferral(referral) {
+    const job = await Job.findById(referral.jobId?._id || referral.jobId).select('companyId');
+    const companyId = job?.companyId;
+    return { pipeline: await this.getPipeline(companyId), companyId };
+  }
+
+  // ==================== VALIDATION ====================
+
+  /**
+   * Validate a pipeline definition
+   * @param {Object} definition - { stages, transitions }
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validateDefinition(definition) {
+    const errors = [];
+    const stages = definition.stages || [];
+    const transitions = definition.transitions || [];
+
+    if (stages.length === 0) {
+      errors.push('Pipeline must have at least one stage');
+      return errors;
+    }
+
+    const byKey = new Map();
+    for (const stage of stages) {
+      const key = String(stage.key || '').trim().toLowerCase();
+      if (!key || !/^[a-z0-9_]+$/.test(key)) {
+        errors.push(`Invalid stage key: ${stage.key}`);
+        continue;
+      }
+      if (byKey.has(key)) {
+        errors.push(`Duplicate stage key: ${key}`);
+        continue;
+      }
+      if (!MAPPABLE_STATUSES.includes(stage.canonicalStatus)) {
+        errors.push(`Stage ${key} must map to one of: ${MAPPABLE_STATUSES.join(', ')}`);
+        continue;
+      }
+      byKey.set(key, stage);
+    }
+
+    const hasStatus = status => [...byKey.values()].some(stage => stage.canonicalStatus === status);
+    if (!hasStatus(REFERRAL_STATUS.SUBMITTED)) {
+      errors.push('Pipeline needs a stage mapped to submitted');
+    }
+    if (!hasStatus(REFERRAL_STATUS.HIRED)) {
+      errors.push('Pipeline needs a stage mapped to hired');
+    }
+
+    for (const transition of transitions) {
+      const from = byKey.get(String(transition.from || '').toLowerCase());
+      const to = byKey.get(String(transition.to || '').toLowerCase());
+
+      if (!from || !to) {
+        errors.push(`Transition ${transition.from} -> ${transition.to} references an unknown stage`);
+        continue;
+      }
+      if (!isStatusReachable(from.canonicalStatus, to.canonicalStatus)) {
+        errors.push(`Transition ${transition.from} -> ${transition.to} moves backwards from ${from.canonicalStatus} to ${to.canonicalStatus}`);
+      }
+    }
+
+    return errors;
+  }
+
+  // ==================== STAGE RESOLUTION ====================
+
+  /**
+   * Find a stage by key
+   * @param {Object} pipeline - Pipeline definition
+   * @param {string} key - Stage key
+   * @returns {Object|null}
+   */
+  getStage(pipeline, key) {
+    return pipeline.stages.find(stage => stage.key === key) || null;
+  }
+
+  /**
+   * Resolve the referral's current stage. Falls back to the first stage
+   * mapped to its canonical status when the stored stage is missing or stale
+   * (e.g. after a platform-driven status change).
+   * @param {Object} referral - Referral document
+   * @param {Object} pipeline - Pipeline definition
+   * @returns {Object|null}
+   */
+  getCurrentStage(referral, pipeline) {
+    const stored = referral.stage ? this.getStage(pipeline, referral.stage) : null;
+    if (stored && stored.canonicalStatus === referral.status) {
+      return stored;
+    }
+    return pipeline.stages.find(stage => stage.canonicalStatus === referral.status) || null;
+  }
+
+  /**
+   * Stages a referral may move to from a stage. Rejected/withdrawn stages are
+   * open to any stage whose canonical status allows leaving the pipeline.
+   * @param {Object} pipeline - Pipeline definition
+   * @param {Object} stage - Current stage
+   * @returns {Array<Object>}
+   */
+  getNextStages(pipeline, stage) {
+    if (!stage) return [];
+
+    const keys = new Set(pipeline.transitions
+      .filter(transition => transition.from === stage.key)
+      .map(transition => transition.to));
+
+    const canExit = STATUS_FLOW[stage.canonicalStatus] || [];
+    for (const candidate of pipeline.stages) {
+      if (EXIT_STATUSES.includes(candidate.canonicalStatus) && canExit.includes(candidate.canonicalStatus)) {
+        keys.add(candidate.key);
+      }
+    }
+    keys.delete(stage.key);
+
+    return pipeline.stages.filter(candidate => keys.has(candidate.key));
+  }
+
+  /**
+   * Resolve the target stage for a move request
+   * @param {Object} pipeline - Pipeline definition
+   * @param {Object} current - Current stage
+   * @param {Object} target - { stage } or { status }
+   * @returns {Object} Target stage
+   */
+  resolveTarget(pipeline, current, target) {
+    const nextStages = this.getNextStages(pipeline, current);
+
+    if (target.stage) {
+      const stage = this.getStage(pipeline, target.stage);
+      if (!stage) {
+        throw new ValidationError(`Unknown pipeline stage: ${target.stage}`);
+      }
+      if (!nextStages.some(next => next.key === stage.key)) {
+        throw new ValidationError(`Invalid stage transition from ${current?.key || 'none'} to ${stage.key}`);
+      }
+      return stage;
+    }
+
+    // Canonical status only - pick the first reachable stage mapped to it
+    const stage = nextStages.find(next => next.canonicalStatus === target.status);
+    if (!stage) {
+      throw new ValidationError(`Invalid status transition from ${current?.key || 'none'} to ${target.status}`);
+    }
+    return stage;
+  }
+
+  // ==================== STAGE MOVES ====================
+
+  /**
+   * Move a referral to another stage (or canonical status) of its pipeline
+   * and fire the REFERRAL_STATUS_CHANGED workflow trigger when the canonical
+   * status changed. Moves the pipeline does not allow throw a ValidationError.
+   * @param {Object} referral - Referral document
+   * @param {Object} target - { stage } or { status }
+   * @param {Object} options - { changedBy, changedByType, notes }
+   * @returns {Promise<Object>} { oldStatus, newStatus, oldStage, newStage, changedAt }
+   */
+  async moveReferral(referral, target, options = {}) {
+    const { pipeline, companyId } = await this.getPipelineForReferral(referral);
+
+    let result;
+    if (!target.stage && (pipeline.isDefault || !MAPPABLE_STATUSES.includes(target.status))) {
+      // Default pipeline and platform-driven statuses follow STATUS_FLOW as-is
+      if (target.status !== referral.status && !(STATUS_FLOW[referral.status] || []).includes(target.status)) {
+        throw new ValidationError(`Invalid status transition from ${referral.status} to ${target.status}`);
+      }
+      result = await referral.updateStatus(target.status, options);
+    } else {
+      const current = this.getCurrentStage(referral, pipeline);
+      const stage = this.resolveTarget(pipeline, current, target);
+      result = await referral.updateStatus(stage.canonicalStatus, {
+        ...options,
+        stage: pipeline.isDefault ? undefined : stage.key,
+      });
+    }
+
+    // Moves between stages mapped to the same status are not status changes
+    if (result.oldStatus !== result.newStatus) {
+      await this.emitStatusChanged(referral, result, companyId);
+    }
+
+    return result;
+  }
+
+  /**
+   * Fire the REFERRAL_STATUS_CHANGED workflow trigger
+   * @param {Object} referral - Referral document
+   * @param {Object} change - Result of Referral.updateStatus
+   * @param {string} companyId - Company ID
+   * @returns {Promise<void>}
+   */
+  async emitStatusChanged(referral, change, companyId) {
+    try {
+      // Required lazily: the workflow engine pulls in the messaging services
+      const { triggerWorkflow } = require('./workflowEngine.js');
+      await triggerWorkflow(TRIGGER_TYPES.REFERRAL_STATUS_CHANGED, {
+        entityType: 'referral',
+        entityId: referral._id,
+        companyId,
+        inputData: {
+          referral: { _id: referral._id, code: referral.code, jobId: referral.jobId, referrerId: referral.referrerId },
+          oldStatus: change.oldStatus,
+          newStatus: change.newStatus,
+          oldStage: change.oldStage,
+          newStage: change.newStage,
+        },
+      });
+    } catch (error) {
+      console.error('[PipelineService] Error triggering status workflows:', error.message);
+    }
+  }
+
+  /**
+   * Count referrals per stage for a company pipeline
+   * @param {string} companyId - Company ID
+   * @param {Array} jobIds - Company job IDs
+   * @returns {Promise<Array>} [{ key, name, canonicalStatus, count }]
+   */
+  async getStageCounts(companyId, jobIds) {
+    const pipeline = await this.getPipeline(companyId);
+
+    const rows = await Referral.aggregate([
+      { $match: { jobId: { $in: jobIds } } },
+      { $group: { _id: { status: '$status', stage: '$stage' }, count: { $sum: 1 } } },
+    ]);
+
+    const counts = new Map(pipeline.stages.map(stage => [stage.key, 0]));
+    for (const row of rows) {
+      const stage = this.getCurrentStage({ status: row._id.status, stage: row._id.stage }, pipeline);
+      if (stage) counts.set(stage.key, counts.get(stage.key) + row.count);
+    }
+
+    return pipeline.stages.map(stage => ({
+      key: stage.key,
+      name: stage.name,
+      canonicalStatus: stage.canonicalStatus,
+      count: counts.get(stage.key),
+    }));
+  }
+}
+
+// Create singleton instance
+const pipelineService = new PipelineService();
+
+module.exports = pipelineService;
@@ -0,0 +1,432 @@
+/**
+ * Referral Fraud Service
+ * Scores referrals for self-referrals, referral rings and fake candidates:
+ * referrer and candidate sharing a device or IP address, circular
+ * relationships in the referral network, disposable candidate emails,
+ * bursts of referrals and hires who leave almost immediately. Referrals
+ * scoring at or above the review threshold go to an admin review queue and
+ * their payouts are held until the review clears them.
+ */
+
+const { Referral, User, ReferralNetwork, AuditLog } = require('../models/index.js');
+const authSecurityService = require('./authSecurityService.js');
+const { isDisposableEmail } = require('../utils/disposableEmail.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const DEFAULT_POLICY = {
+  // Score (0-100) at which a referral goes to review and its payout is held
+  reviewScore: parseInt(process.env.REFERRAL_FRAUD_REVIEW_SCORE) || 50,
+
+  // Score at which a referral is reported as medium risk
+  mediumScore: 25,
+
+  // Score points per signal
+  signals: {
+    sharedDevicePoints: 50,
+    sharedIpPoints: 25,
+    deviceRingPoints: 30,
+    selfReferralPoints: 100,
+    circularReferralPoints: 60,
+    disposableEmailPoints: 25,
+    burstPoints: 25,
+    hourlyReferrals: parseInt(process.env.REFERRAL_FRAUD_HOURLY_LIMIT) || 5,
+    dailyReferrals: parseInt(process.env.REFERRAL_FRAUD_DAILY_LIMIT) || 15,
+    earlyExitDays: parseInt(process.env.REFERRAL_FRAUD_EARLY_EXIT_DAYS) || 14,
+    earlyExitPoints: 40,
+    earlyExitHistoryPoints: 15,
+    maxEarlyExitHistoryPoints: 30,
+  },
+
+  // Tracking link visits kept per referral
+  visitHistory: 20,
+};
+
+class ReferralFraudService {
+  constructor(policy = DEFAULT_POLICY) {
+    this.policy = policy;
+  }
+
+  /**
+   * Replace the fraud policy (tests, scripts)
+   * @param {Object|null} policy - Policy, or null for the default
+   */
+  setPolicy(policy) {
+    this.policy = policy || DEFAULT_POLICY;
+  }
+
+  // ==================== SCORING ====================
+
+  /**
+   * Collect the fraud signals for a referral
+   * @param {Object} referral - Referral document
+   * @returns {Promise<Array>} [{ signal, points, detail }]
+   */
+  async collectSignals(referral) {
+    const { signals } = this.policy;
+    const found = [];
+    const addSignal = (signal, points, detail) => found.push({ signal, points, detail });
+
+    const referrerId = referral.referrerId?._id || referral.referrerId;
+    const candidateEmail = (referral.referredPerson?.email || '').toLowerCase();
+
+    const [referrer, candidate] = await Promise.all([
+      User.findById(referrerId).select('email'),
+      referral.referredUserId
+        ? User.findById(referral.referredUserId).select('email')
+        : User.findOne({ email: candidateEmail }).select('email'),
+    ]);
+
+    // Self-referral: the referrer put themselves forward as the candidate
+    if (candidate?._id.equals(referrerId) || (referrer?.email && referrer.email.toLowerCase() === candidateEmail)) {
+      addSignal('self_referral', signals.selfReferralPoints, 'Candidate is the referrer');
+    }
+
+    found.push(...await this.getDeviceSignals(referral, referrerId, candidate));
+
+    if (candidate && !candidate._id.equals(referrerId)) {
+      found.push(...await this.getNetworkSignals(referrerId, referrer, candidate));
+    }
+
+    if (isDisposableEmail(candidateEmail)) {
+      addSignal('disposable_email', signals.disposableEmailPoints, `Candidate email uses a disposable domain (${candidateEmail.split('@')[1]})`);
+    }
+
+    const burst = await this.getBurstSignal(referral, referrerId);
+    if (burst) found.push(burst);
+
+    found.push(...await this.getEarlyExitSignals(referral, referrerId));
+
+    return found;
+  }
+
+  /**
+   * Shared device and IP address signals
+   * @param {Object} referral - Referral document
+   * @param {string} referrerId - Referrer user ID
+   * @param {Object|null} candidate - Candidate's user account, if they have one
+   * @returns {Promise<Array>}
+   */
+  async getDeviceSignals(referral, referrerId, candidate) {
+    const { signals } = this.policy;
+    const found = [];
+    const { deviceFingerprint, ipAddress } = referral.source || {};
+    const visits = referral.fraud?.candidateVisits || [];
+
+    if (deviceFingerprint && visits.some(visit => visit.deviceFingerprint === deviceFingerprint)) {
+      found.push({ signal: 'shared_device', points: signals.sharedDevicePoints, detail: 'Tracking link opened from the referrer\'s device' });
+    } else if (ipAddress && visits.some(visit => visit.ipAddress === ipAddress)) {
+      found.push({ signal: 'shared_device', points: signals.sharedIpPoints, detail: `Tracking link opened from the referrer's IP address (${ipAddress})` });
+    }
+
+    if (deviceFingerprint && candidate && !candidate._id.equals(referrerId)
+      && await authSecurityService.isKnownDevice(candidate._id.toString(), deviceFingerprint)) {
+      found.push({ signal: 'shared_device', points: signals.sharedDevicePoints, detail: 'Candidate\'s account signs in from the referrer\'s device' });
+    }
+
+    // Several referrers submitting from one device points to a ring
+    if (deviceFingerprint) {
+      const otherReferrers = await Referral.distinct('referrerId', {
+        'source.deviceFingerprint': deviceFingerprint,
+        referrerId: { $ne: referrerId },
+      });
+      if (otherReferrers.length > 0) {
+        found.push({ signal: 'shared_device', points: signals.deviceRingPoints, detail: `Submitted from a device also used by ${otherReferrers.length} other referrer(s)` });
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Circular relationships between referrer and candidate
+   * @param {string} referrerId - Referrer user ID
+   * @param {Object|null} referrer - Referrer's user account
+   * @param {Object} candidate - Candidate's user account
+   * @returns {Promise<Array>}
+   */
+  async getNetworkSignals(referrerId, referrer, candidate) {
+    const { signals } = this.policy;
+    const found = [];
+
+    const [isUpline, referredBack] = await Promise.all([
+      ReferralNetwork.isInDownline(candidate._id, referrerId),
+      Referral.exists({
+        referrerId: candidate._id,
+        $or: [
+          { referredUserId: referrerId },
+          ...(referrer?.email ? [{ 'referredPerson.email': referrer.email.toLowerCase() }] : []),
+        ],
+      }),
+    ]);
+
+    if (isUpline) {
+      found.push({ signal: 'circular_referral', points: signals.circularReferralPoints, detail: 'Candidate brought the referrer into the referral network' });
+    } else if (referredBack) {
+      found.push({ signal: 'circular_referral', points: signals.circularReferralPoints, detail: 'Candidate has referred the referrer' });
+    }
+
+    return found;
+  }
+
+  /**
+   * Referral burst signal: too many referrals from one referrer in an hour or a day
+   * @param {Object} referral - Referral document
+   * @param {string} referrerId - Referrer user ID
+   * @returns {Promise<Object|null>}
+   */
+  async getBurstSignal(referral, referrerId) {
+    const { signals } = this.policy;
+    const submittedAt = new Date(referral.submittedAt || referral.createdAt || Date.now());
+
+    const countSince = since => Referral.countDocuments({
+      referrerId,
+      submittedAt: { $gt: since, $lte: submittedAt },
+    });
+
+    const [lastHour, lastDay] = await Promise.all([
+      countSince(new Date(submittedAt.getTime() - HOUR_MS)),
+      countSince(new Date(submittedAt.getTime() - DAY_MS)),
+    ]);
+
+    if (lastHour > signals.hourlyReferrals) {
+      return { signal: 'referral_burst', points: signals.burstPoints, detail: `${lastHour} referrals within an hour` };
+    }
+    if (lastDay > signals.dailyReferrals) {
+      return { signal: 'referral_burst', points: signals.burstPoints, detail: `${lastDay} referrals within a day` };
+    }
+    return null;
+  }
+
+  /**
+   * Early exit signals: this hire left almost immediately, or the referrer's
+   * earlier hires did
+   * @param {Object} referral - Referral document
+   * @param {string} referrerId - Referrer user ID
+   * @returns {Promise<Array>}
+   */
+  async getEarlyExitSignals(referral, referrerId) {
+    const { signals } = this.policy;
+    const found = [];
+
+    const daysEmployed = this.getDaysEmployed(referral);
+    if (daysEmployed !== null && daysEmployed < signals.earlyExitDays) {
+      found.push({ signal: 'early_exit', points: signals.earlyExitPoints, detail: `Hire left after ${daysEmployed} day(s)` });
+    }
+
+    const breached = await Referral.find({
+      referrerId,
+      _id: { $ne: referral._id },
+      'guarantee.status': 'breached',
+    }).select('hiredAt guarantee');
+    const earlyExits = breached.filter(other => {
+      const days = this.getDaysEmployed(other);
+      return days !== null && days < signals.earlyExitDays;
+    }).length;
+
+    if (earlyExits > 0) {
+      found.push({
+        signal: 'early_exit',
+        points: Math.min(signals.maxEarlyExitHistoryPoints, earlyExits * signals.earlyExitHistoryPoints),
+        detail: `${earlyExits} earlier hire(s) from this referrer left within ${signals.earlyExitDays} days`,
+      });
+    }
+
+    return found;
+  }
+
+  /**
+   * Whole days between hire and leaving, for hires that left during the guarantee
+   * @param {Object} referral - Referral document
+   * @returns {number|null}
+   */
+  getDaysEmployed(referral) {
+    const { guarantee, hiredAt } = referral;
+    if (guarantee?.status !== 'breached' || !guarantee.leftAt) return null;
+
+    const startedAt = hiredAt || guarantee.startsAt;
+    if (!startedAt) return null;
+
+    return Math.max(0, Math.floor((new Date(guarantee.leftAt) - new Date(startedAt)) / DAY_MS));
+  }
+
+  /**
+   * Risk level for a fraud score
+   * @param {number} score - Fraud score (0-100)
+   * @returns {string} low, medium or high
+   */
+  getLevel(score) {
+    if (score >= this.policy.reviewScore) return 'high';
+    if (score >= this.policy.mediumScore) return 'medium';
+    return 'low';
+  }
+
+  // ==================== ASSESSMENT ====================
+
+  /**
+   * Score a referral and send it to review, holding its payout, when the
+   * score reaches the review threshold. A referral cleared by a reviewer is
+   * only flagged again if its score rises above the score they cleared.
+   * @param {Object} referral - Referral document
+   * @param {Object} options - { user, req } for the audit log
+   * @returns {Promise<Object>} Referral fraud record
+   */
+  async assessReferral(referral, options = {}) {
+    const signals = await this.collectSignals(referral);
+    const score = Math.min(100, signals.reduce((sum, signal) => sum + signal.points, 0));
+
+    if (!referral.fraud) referral.fraud = {};
+    const { fraud } = referral;
+    fraud.score = score;
+    fraud.level = this.getLevel(score);
+    fraud.signals = signals;
+    fraud.assessedAt = new Date();
+
+    const review = fraud.review || {};
+    const shouldFlag = score >= this.policy.reviewScore && (
+      !review.status ||
+      review.status === 'none' ||
+      (review.status === 'cleared' && score > (review.reviewedScore || 0))
+    );
+
+    if (!shouldFlag) {
+      await referral.save();
+      return fraud;
+    }
+
+    fraud.review = { status: 'pending', flaggedAt: new Date() };
+    await referral.placePayoutHold('fraud_review', {
+      reason: `Fraud score ${score}: ${signals.map(signal => signal.signal).join(', ')}`,
+    });
+    await referral.save();
+
+    await AuditLog.logUserAction({
+      user: options.user,
+      action: 'referral_fraud_flagged',
+      entityType: 'referral',
+      entityId: referral._id,
+      description: `Referral ${referral.code} flagged for fraud review with score ${score}`,
+      req: options.req,
+      severity: 'warning',
+    });
+
+    return fraud;
+  }
+
+  /**
+   * Record a visit to a referral's public tracking link from a device not
+   * seen before, and re-score the referral when the visit also comes from a
+   * new IP address; headers alone are too cheap to vary. Visits by the
+   * referrer themselves are ignored.
+   * @param {string} referralId - Referral ID
+   * @param {Object} req - Express request of the visit
+   * @returns {Promise<Object|null>} Referral fraud record, or null if not re-scored
+   */
+  async recordCandidateVisit(referralId, req) {
+    const referral = await Referral.findById(referralId);
+    if (!referral) return null;
+
+    if (req.user && referral.referrerId.equals(req.user._id)) return null;
+
+    const deviceFingerprint = authSecurityService.generateDeviceFingerprint(req);
+    const visits = referral.fraud.candidateVisits;
+    const seen = visits.find(visit => visit.deviceFingerprint === deviceFingerprint);
+
+    if (seen) {
+      seen.visitedAt = new Date();
+      await referral.save();
+      return null;
+    }
+
+    const newIp = !visits.some(visit => visit.ipAddress === req.ip);
+
+    visits.push({ ipAddress: req.ip, deviceFingerprint });
+    if (visits.length > this.policy.visitHistory) {
+      visits.splice(0, visits.length - this.policy.visitHistory);
+    }
+
+    if (!newIp) {
+      await referral.save();
+      return null;
+    }
+
+    return this.assessReferral(referral, { req });
+  }
+
+  /**
+   * Re-score the referrals in a payout request so that fraud holds are in
+   * place before the payout is released
+   * @param {Object} payoutRequest - Payout request
+   * @returns {Promise<Array>} Referrals that are held for fraud review
+   */
+  async screenPayout(payoutRequest) {
+    const referralIds = (payoutRequest.referrals || []).map(item => item.referralId);
+    if (referralIds.length === 0) return [];
+
+    const referrals = await Referral.find({ _id: { $in: referralIds } });
+    for (const referral of referrals) {
+      await this.assessReferral(referral);
+    }
+
+    return referrals.filter(referral => ['pending', 'confirmed'].includes(referral.fraud.review.status));
+  }
+
+  // ==================== REVIEW ====================
+
+  /**
+   * Referrals awaiting a fraud review, highest score first
+   * @param {Object} options - { limit, skip }
+   * @returns {Promise<Array>}
+   */
+  async getReviewQueue(options = {}) {
+    return Referral.findPendingFraudReviews(options);
+  }
+
+  /**
+   * Decide a fraud review. Clearing a referral releases its payout hold;
+   * confirming fraud keeps the payout held.
+   * @param {string} referralId - Referral ID
+   * @param {Object} options - { confirmed, user, notes, req }
+   * @returns {Promise<Object>} Referral
+   */
+  async resolveReview(referralId, { confirmed, user, notes, req }) {
+    const referral = await Referral.findById(referralId);
+    if (!referral) {
+      throw new Error('Referral not found');
+    }
+    if (referral.fraud.review.status !== 'pending') {
+      throw new Error('No fraud review awaiting a decision');
+    }
+
+    const { review } = referral.fraud;
+    review.status = confirmed ? 'confirmed' : 'cleared';
+    review.reviewedBy = user?._id;
+    review.reviewedAt = new Date();
+    review.reviewedScore = referral.fraud.score;
+    review.notes = notes;
+
+    if (!confirmed) {
+      await referral.releasePayoutHold('fraud_review');
+    }
+    await referral.save();
+
+    await AuditLog.logUserAction({
+      user,
+      action: confirmed ? 'referral_fraud_confirmed' : 'referral_fraud_cleared',
+      entityType: 'referral',
+      entityId: referral._id,
+      description: `Fraud review for referral ${referral.code} ${confirmed ? 'confirmed fraud' : 'cleared the referral'} (score ${referral.fraud.score})`,
+      req,
+      severity: confirmed ? 'critical' : 'warning',
+    });
+
+    return referral;
+  }
+}
+
+// Export singleton instance
+const referralFraudService = new ReferralFraudService();
+module.exports = referralFraudService;
+module.exports.ReferralFraudService = ReferralFraudService;
+module.exports.DEFAULT_POLICY = DEFAULT_POLICY;
@@ -5,6 +5,7 @@
  */
 
 const { User, ReferralNetwork, TierBenefits, AuditLog } = require('../models/index.js');
+const commissionEngine = require('./commissionEngine.js');
 
 /**
  * Service class for managing referral network operations
@@ -295,14 +296,21 @@ class ReferralNetworkService {
   }
   
   /**
-   * Process network commission when a referral is successful
-   * @param {string} referrerId - Referrer who made the successful referral
-   * @param {number} amount - Total referral bonus amount
+   * Process network commission when a referral is successful. Upline shares
+   * come from the commission policy applied to the referral.
+   * @param {Object} referral - Successful referral
    * @returns {Promise<Object>} Commission breakdown
    */
-  async processNetworkCommission(referrerId, amount) {
+  async processNetworkCommission(referral) {
+    const ancestors = await ReferralNetwork.find({
+      descendantId: referral.referrerId,
+      depth: { $gt: 0 },
+    }).select('ancestorId depth');
+    
+    const commissionBreakdown = await commissionEngine.calculateNetworkShares(referral, ancestors);
+    
     // Record earnings in network
-    const commissionBreakdown = await ReferralNetwork.recordEarnings(referrerId, amount);
+    await ReferralNetwork.recordEarnings(referral.referrerId, commissionBreakdown);
     
     // Update network earnings for all ancestors
     for (const commission of commissionBreakdown) {
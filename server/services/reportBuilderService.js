@@ -1,13 +1,45 @@
 const Report = require('../models/Report');
 const CustomReportRequest = require('../models/CustomReportRequest');
+const ReportDefinition = require('../models/ReportDefinition');
 const DataProduct = require('../models/DataProduct');
 const Job = require('../models/Job');
 const Company = require('../models/Company');
 const User = require('../models/User');
 const Application = require('../models/Application');
+const CompanyUser = require('../models/CompanyUser');
+const reportRenderer = require('./reportRenderer');
+const reportQueryService = require('./reportQueryService');
+const dataPrivacyService = require('./dataPrivacyService');
+const { SUPPRESSION_SOURCES } = require('../models/DataSuppression');
+const { getStorage } = require('./storage');
 const crypto = require('crypto');
 
+// Minimum cohort and noise rule for salary statistics (see dataPrivacyService)
+const SALARY_PRIVACY_RULE = {
+  records: 'count',
+  key: row => [row._id?.industry, row._id?.experienceLevel],
+  counts: ['count'],
+  values: ['avgMinSalary', 'avgMaxSalary', 'medianSalary']
+};
+
 class ReportBuilderService {
+  // Report customer for a signed-in user: the company they are an active
+  // member of, with their role there, otherwise the user themselves
+  static async getCustomer(user) {
+    const membership = await CompanyUser.findOne({ userId: user._id, isActive: true, invitationStatus: 'accepted' })
+      .select('companyId role');
+
+    if (membership) {
+      return {
+        customerId: membership.companyId,
+        customerType: 'Company',
+        companyId: membership.companyId,
+        companyRole: membership.role,
+      };
+    }
+    return { customerId: user._id, customerType: 'User' };
+  }
+
   // Generate unique report ID
   static generateReportId() {
     return 'RPT-' + crypto.randomBytes(6).toString('hex').toUpperCase();
@@ -21,6 +53,8 @@ class ReportBuilderService {
   // Build custom report on-demand
   static async buildCustomReport(reportConfig) {
     try {
+      await this.resolveQueryParameters(reportConfig);
+
       const reportId = this.generateReportId();
       const expiresAt = new Date();
       expiresAt.setMonth(expiresAt.getMonth() + 1);
@@ -57,38 +91,66 @@ class ReportBuilderService {
   // Generate report data (async process)
   static async generateReportData(report, config) {
     try {
-      // Aggregate data based on parameters
-      const dataSnapshot = await this.aggregateData(config.parameters);
+      // Aggregate data based on parameters, as private as the product requires
+      const product = await DataProduct.findById(report.productId).select('privacy').lean();
+      const dataSnapshot = await this.aggregateData(config.parameters, {
+        customerId: report.customerId,
+        customerType: report.customerType,
+        reportId: report.reportId,
+        privacy: product?.privacy
+      });
       
       report.dataSnapshot = dataSnapshot;
       report.generationProgress = 50;
       await report.save();
 
-      // Generate file exports
-      const fileUrls = await this.generateExports(report, dataSnapshot, config.formats);
-      
-      report.fileUrls = fileUrls;
+      // Render and store file exports, replacing files from a previous run
+      const previousKeys = this.getFileKeys(report);
+      const { fileKeys, fileSizes, errors } = await this.generateExports(report, dataSnapshot, config.formats);
+
+      if (Object.keys(fileKeys).length === 0) {
+        throw new Error(`No report files could be generated: ${errors.join('; ')}`);
+      }
+
+      report.fileKeys = fileKeys;
+      report.fileSizes = fileSizes;
       report.status = 'completed';
       report.generationProgress = 100;
+      report.generationError = errors.length > 0 ? errors.join('; ') : undefined;
       await report.save();
 
+      await this.deleteFiles(previousKeys.filter(key => !Object.values(fileKeys).includes(key)));
+
       return report;
     } catch (error) {
       throw error;
     }
   }
 
-  // Aggregate data from multiple sources
-  static async aggregateData(parameters) {
+  // Aggregate data from multiple sources; customer is { customerId,
+  // customerType, reportId, privacy } where privacy is the product's policy
+  static async aggregateData(parameters, customer = {}) {
+    const policy = dataPrivacyService.getPolicy(customer.privacy);
     const data = {
       jobs: null,
       companies: null,
       applications: null,
       users: null,
       salaryData: null,
-      marketTrends: null
+      marketTrends: null,
+      query: null,
+      privacy: { minCohortSize: policy.k, noise: policy.noise }
     };
 
+    // Run the report query definition, if any
+    const definition = await this.getQueryDefinition(parameters, customer);
+    if (definition) {
+      data.query = await this.runQuery(definition, customer);
+      if (parameters.definitionId) {
+        await ReportDefinition.updateOne({ _id: parameters.definitionId }, { $set: { lastRunAt: new Date() } });
+      }
+    }
+
     // Aggregate jobs data
     if (parameters.dataSources?.includes('job-postings')) {
       const jobQuery = {};
@@ -119,12 +181,22 @@ class ReportBuilderService {
 
     // Aggregate applications data
     if (parameters.dataSources?.includes('applications')) {
-      data.applications = await Application.find({
+      const applications = await Application.find({
         createdAt: {
           $gte: parameters.dateRange?.startDate || new Date(Date.now() - 90 * 24 * 60 * 60 * 1000),
           $lte: parameters.dateRange?.endDate || new Date()
         }
-      }).select('-__v').limit(10000);
+      }).select('jobId status source.type createdAt').limit(10000).lean();
+
+      // Only generalized fields are released, and every one of them could
+      // help single out an applicant, so all of them form the cohort
+      const released = dataPrivacyService.kAnonymize(
+        applications.map(application => this.generalizeApplication(application)),
+        row => [row.jobId, row.status, row.source, row.appliedMonth],
+        policy
+      );
+      data.applications = released.rows;
+      await this.recordSuppression('applications', released, policy, customer);
     }
 
     // Aggregate company data
@@ -136,12 +208,54 @@ class ReportBuilderService {
 
     // Calculate salary statistics
     if (parameters.dataSources?.includes('salary-data')) {
-      data.salaryData = await this.calculateSalaryStats(parameters);
+      const released = dataPrivacyService.protectAggregates(await this.calculateSalaryStats(parameters), SALARY_PRIVACY_RULE, policy);
+      data.salaryData = released.rows;
+      await this.recordSuppression('salaryData', released, policy, customer);
     }
 
     return data;
   }
 
+  // An application reduced to the job, status, source and month applied
+  static generalizeApplication(application) {
+    return {
+      jobId: application.jobId ? String(application.jobId) : null,
+      status: application.status,
+      source: application.source?.type || null,
+      appliedMonth: application.createdAt ? new Date(application.createdAt).toISOString().slice(0, 7) : null
+    };
+  }
+
+  // Run a report query with the customer's privacy policy applied; a
+  // company's own data is not subject to minimum cohorts. A company
+  // customer's ID is its company ID.
+  static async runQuery(definition, customer = {}, options = {}) {
+    const policy = dataPrivacyService.getPolicy(customer.privacy);
+    const scope = {
+      ...customer,
+      companyId: customer.companyId || (customer.customerType === 'Company' ? customer.customerId : undefined)
+    };
+    const result = options.preview
+      ? await reportQueryService.preview(definition, { ...scope, limit: options.limit })
+      : await reportQueryService.run(definition, scope);
+
+    const released = reportQueryService.protect(result, result.scoped ? null : policy);
+    await this.recordSuppression('query', released, policy, { ...customer, preview: options.preview });
+
+    return result;
+  }
+
+  // Audit a report section from which small cohorts were withheld
+  static async recordSuppression(section, released, policy, customer = {}) {
+    await dataPrivacyService.recordSuppression({
+      source: customer.preview ? SUPPRESSION_SOURCES.REPORT_PREVIEW : SUPPRESSION_SOURCES.REPORT,
+      endpoint: section,
+      customerId: customer.customerId,
+      customerType: customer.customerType,
+      reportId: customer.reportId
+    }, released, policy);
+  }
+
   // Calculate salary statistics
   static async calculateSalaryStats(parameters) {
     const matchStage = { status: 'active' };
@@ -174,60 +288,234 @@ class ReportBuilderService {
     return stats;
   }
 
-  // Generate file exports
+  // Render and store file exports
   static async generateExports(report, dataSnapshot, formats = ['pdf']) {
-    const fileUrls = {};
+    const fileKeys = {};
+    const fileSizes = {};
+    const errors = [];
+    const branding = await this.getBranding(report);
+    const generators = {
+      pdf: () => this.generatePDF(report, dataSnapshot, branding),
+      excel: () => this.generateExcel(report, dataSnapshot, branding),
+      csv: () => this.generateCSV(report, dataSnapshot),
+      json: () => this.generateJSON(report, dataSnapshot),
+    };
 
     for (const format of formats) {
+      if (!generators[format]) continue;
       try {
-        switch (format) {
-          case 'pdf':
-            fileUrls.pdf = await this.generatePDF(report, dataSnapshot);
-            break;
-          case 'excel':
-            fileUrls.excel = await this.generateExcel(report, dataSnapshot);
-            break;
-          case 'csv':
-            fileUrls.csv = await this.generateCSV(report, dataSnapshot);
-            break;
-          case 'json':
-            fileUrls.json = await this.generateJSON(report, dataSnapshot);
-            break;
-        }
+        const { key, size } = await generators[format]();
+        fileKeys[format] = key;
+        fileSizes[format] = size;
       } catch (error) {
         console.error(`Failed to generate ${format}:`, error);
+        errors.push(`${format}: ${error.message}`);
       }
     }
 
-    return fileUrls;
+    return { fileKeys, fileSizes, errors };
   }
 
   // Generate PDF report
-  static async generatePDF(report, dataSnapshot) {
-    // TODO: Implement PDF generation using puppeteer or similar
-    // For now, return a placeholder URL
-    return `/reports/${report.reportId}/report.pdf`;
+  static async generatePDF(report, dataSnapshot, branding) {
+    const pdf = await reportRenderer.renderPDF(report, dataSnapshot, branding);
+    return this.storeFile(report, 'pdf', pdf);
   }
 
   // Generate Excel report
-  static async generateExcel(report, dataSnapshot) {
-    // TODO: Implement Excel generation using exceljs
-    // For now, return a placeholder URL
-    return `/reports/${report.reportId}/report.xlsx`;
+  static async generateExcel(report, dataSnapshot, branding) {
+    const workbook = await reportRenderer.renderExcel(report, dataSnapshot, branding);
+    return this.storeFile(report, 'excel', workbook);
   }
 
   // Generate CSV report
   static async generateCSV(report, dataSnapshot) {
-    // TODO: Implement CSV generation
-    // For now, return a placeholder URL
-    return `/reports/${report.reportId}/report.csv`;
+    return this.storeFile(report, 'csv', reportRenderer.csvStream(dataSnapshot));
   }
 
   // Generate JSON report
   static async generateJSON(report, dataSnapshot) {
-    // TODO: Implement JSON generation
-    // For now, return a placeholder URL
-    return `/reports/${report.reportId}/report.json`;
+    return this.storeFile(report, 'json', reportRenderer.jsonStream(report, dataSnapshot));
+  }
+
+  // Store a rendered file under a per-run key
+  static async storeFile(report, format, body) {
+    const extension = reportRenderer.fileExtensions[format];
+    const key = `reports/${report.reportId}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}.${extension}`;
+    return getStorage().put(key, body, { contentType: reportRenderer.contentTypes[format] });
+  }
+
+  // Storage keys of a report's files
+  static getFileKeys(report) {
+    return Object.keys(reportRenderer.fileExtensions)
+      .map(format => report.fileKeys?.[format])
+      .filter(Boolean);
+  }
+
+  // Delete stored files, logging failures
+  static async deleteFiles(keys) {
+    for (const key of keys) {
+      try {
+        await getStorage().delete(key);
+      } catch (error) {
+        console.error(`Failed to delete report file ${key}:`, error.message);
+      }
+    }
+  }
+
+  // Company customers get their own branding on rendered reports
+  static async getBranding(report) {
+    if (report.customerType !== 'Company') return {};
+
+    const company = await Company.findById(report.customerId).select('name branding').lean();
+    if (!company) return {};
+
+    return {
+      name: company.name,
+      primaryColor: company.branding?.primaryColor,
+      logoUrl: company.branding?.logo,
+    };
+  }
+
+  // Mark a report expired and delete its files
+  static async expireReport(report) {
+    await this.deleteFiles(this.getFileKeys(report));
+
+    report.status = 'expired';
+    report.fileKeys = {};
+    await report.save();
+  }
+
+  // Report query definition of a report's parameters: inline, or saved and
+  // owned by the customer
+  static async getQueryDefinition(parameters = {}, customer = {}) {
+    if (parameters.definition) {
+      return parameters.definition;
+    }
+    if (!parameters.definitionId) {
+      return null;
+    }
+
+    const saved = await ReportDefinition.findOne({
+      _id: parameters.definitionId,
+      customerId: customer.customerId,
+      customerType: customer.customerType
+    });
+
+    if (!saved) {
+      throw new Error('Report definition not found');
+    }
+
+    return saved.definition;
+  }
+
+  // Check a report's query definition before it is saved or scheduled, so
+  // mistakes are reported to the customer rather than at generation time
+  static async resolveQueryParameters(config) {
+    const definition = await this.getQueryDefinition(config.parameters, config);
+    if (!definition) return;
+
+    const normalized = reportQueryService.validate(definition);
+    if (config.parameters.definition) {
+      config.parameters = { ...config.parameters, definition: normalized };
+    }
+  }
+
+  // Save a report query definition
+  static async saveDefinition(data) {
+    try {
+      const definition = new ReportDefinition({
+        customerId: data.customerId,
+        customerType: data.customerType,
+        name: data.name,
+        description: data.description,
+        definition: reportQueryService.validate(data.definition)
+      });
+
+      await definition.save();
+
+      return definition;
+    } catch (error) {
+      throw new Error(`Failed to save report definition: ${error.message}`);
+    }
+  }
+
+  // Update a saved report query definition
+  static async updateDefinition(definitionId, customerId, customerType, data) {
+    try {
+      const definition = await ReportDefinition.findOne({ _id: definitionId, customerId, customerType });
+
+      if (!definition) {
+        throw new Error('Report definition not found');
+      }
+
+      if (data.name !== undefined) definition.name = data.name;
+      if (data.description !== undefined) definition.description = data.description;
+      if (data.definition !== undefined) {
+        definition.definition = reportQueryService.validate(data.definition);
+        definition.markModified('definition');
+      }
+
+      await definition.save();
+
+      return definition;
+    } catch (error) {
+      throw new Error(`Failed to update report definition: ${error.message}`);
+    }
+  }
+
+  // Get a saved report query definition
+  static async getDefinition(definitionId, customerId, customerType) {
+    try {
+      const definition = await ReportDefinition.findOne({ _id: definitionId, customerId, customerType });
+
+      if (!definition) {
+        throw new Error('Report definition not found');
+      }
+
+      return definition;
+    } catch (error) {
+      throw new Error(`Failed to get report definition: ${error.message}`);
+    }
+  }
+
+  // Get customer's saved report query definitions
+  static async getDefinitions(customerId, customerType, options = {}) {
+    try {
+      return await ReportDefinition.getCustomerDefinitions(customerId, customerType, options);
+    } catch (error) {
+      throw new Error(`Failed to get report definitions: ${error.message}`);
+    }
+  }
+
+  // Delete a saved report query definition
+  static async deleteDefinition(definitionId, customerId, customerType) {
+    try {
+      const definition = await ReportDefinition.findOneAndDelete({ _id: definitionId, customerId, customerType });
+
+      if (!definition) {
+        throw new Error('Report definition not found');
+      }
+
+      return definition;
+    } catch (error) {
+      throw new Error(`Failed to delete report definition: ${error.message}`);
+    }
+  }
+
+  // Preview a report query, inline or saved, with a capped number of rows
+  static async previewQuery(parameters, customer, limit) {
+    try {
+      const definition = await this.getQueryDefinition(parameters, customer);
+
+      if (!definition) {
+        throw new Error('A definition or definitionId is required');
+      }
+
+      return await this.runQuery(definition, customer, { preview: true, limit });
+    } catch (error) {
+      throw new Error(`Failed to preview report query: ${error.message}`);
+    }
   }
 
   // Request custom report
@@ -356,6 +644,8 @@ class ReportBuilderService {
   // Schedule recurring report
   static async scheduleReport(scheduleConfig) {
     try {
+      await this.resolveQueryParameters(scheduleConfig);
+
       const reportId = this.generateReportId();
       const expiresAt = new Date();
       expiresAt.setFullYear(expiresAt.getFullYear() + 1);
@@ -498,16 +788,25 @@ class ReportBuilderService {
         throw new Error('Report is not accessible or has expired');
       }
 
-      if (!report.fileUrls[format]) {
+      const key = report.fileKeys?.[format];
+      if (!key) {
         throw new Error(`Report not available in ${format} format`);
       }
 
+      const fileName = `${report.title.replace(/[\\/:*?"<>|]+/g, '_')}.${reportRenderer.fileExtensions[format]}`;
+      const { url, expiresAt } = await getStorage().getSignedUrl(key, {
+        fileName,
+        contentType: reportRenderer.contentTypes[format],
+      });
+
       // Record download
       await report.recordDownload(ipAddress, userAgent);
 
       return {
-        downloadUrl: report.fileUrls[format],
-        fileName: `${report.title}.${format}`,
+        downloadUrl: url,
+        expiresAt,
+        fileName,
+        fileSize: report.fileSizes?.[format],
         downloadCount: report.downloadCount
       };
     } catch (error) {
@@ -525,7 +824,7 @@ class ReportBuilderService {
           // Generate new report data
           await this.generateReportData(report, {
             parameters: report.parameters,
-            formats: ['pdf', 'excel']
+            formats: report.parameters?.formats || ['pdf', 'excel']
           });
 
           // Update next run date
@@ -0,0 +1,830 @@
+/**
+ * Report Query Service
+ * Compiles declarative report definitions into MongoDB aggregation
+ * pipelines. A definition names a whitelisted dataset and its dimensions,
+ * metrics, filters, time grain and comparisons. Only fields listed for the
+ * dataset can be grouped, measured or filtered on, and filter values are
+ * coerced to the field's type, so customer input never reaches a pipeline
+ * as an operator or an arbitrary path.
+ *
+ *   {
+ *     dataset: 'jobs',
+ *     dimensions: ['category'],
+ *     metrics: [{ op: 'count' }, { op: 'avg', field: 'salary.max', as: 'avgMaxSalary' }],
+ *     filters: [{ field: 'status', op: 'in', value: ['active', 'filled'] }],
+ *     timeGrain: 'month',
+ *     timeRange: { last: 6, unit: 'month' },
+ *     comparisons: ['previous_year'],
+ *   }
+ */
+
+const mongoose = require('mongoose');
+const { Job, Application, Company } = require('../models/index.js');
+const { ValidationError } = require('../middleware/errorHandler.js');
+const dataPrivacyService = require('./dataPrivacyService.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Datasets a definition can query, and the fields exposed on each
+const DATASETS = {
+  jobs: {
+    title: 'Job Postings',
+    model: Job,
+    timeField: 'createdAt',
+    // Drafts are not public
+    match: { status: { $ne: 'draft' } },
+    fields: {
+      title: { type: 'string', label: 'Title' },
+      companyId: { type: 'objectId', label: 'Company' },
+      category: { type: 'string', label: 'Category' },
+      department: { type: 'string', label: 'Department' },
+      type: { type: 'string', label: 'Employment Type' },
+      experienceLevel: { type: 'string', label: 'Experience Level' },
+      'location.city': { type: 'string', label: 'City' },
+      'location.country': { type: 'string', label: 'Country' },
+      'location.type': { type: 'string', label: 'Work Type' },
+      'salary.min': { type: 'number', label: 'Salary Min' },
+      'salary.max': { type: 'number', label: 'Salary Max' },
+      'salary.currency': { type: 'string', label: 'Salary Currency' },
+      referralBonus: { type: 'number', label: 'Referral Bonus' },
+      bonusCurrency: { type: 'string', label: 'Bonus Currency' },
+      status: { type: 'string', label: 'Status' },
+      isFeatured: { type: 'boolean', label: 'Featured' },
+      isUrgent: { type: 'boolean', label: 'Urgent' },
+      'stats.views': { type: 'number', label: 'Views' },
+      'stats.applications': { type: 'number', label: 'Applications' },
+      'stats.hires': { type: 'number', label: 'Hires' },
+      createdAt: { type: 'date', label: 'Posted' },
+      publishedAt: { type: 'date', label: 'Published' },
+      filledAt: { type: 'date', label: 'Filled' },
+    },
+  },
+  applications: {
+    title: 'Applications',
+    model: Application,
+    timeField: 'createdAt',
+    // Company customers only see applications to their own jobs
+    companyField: 'companyId',
+    fields: {
+      status: { type: 'string', label: 'Status' },
+      'source.type': { type: 'string', label: 'Source' },
+      rating: { type: 'number', label: 'Rating' },
+      createdAt: { type: 'date', label: 'Applied' },
+      submittedAt: { type: 'date', label: 'Submitted' },
+      hiredAt: { type: 'date', label: 'Hired' },
+    },
+  },
+  companies: {
+    title: 'Companies',
+    model: Company,
+    timeField: 'createdAt',
+    fields: {
+      industry: { type: 'string', label: 'Industry' },
+      companySize: { type: 'string', label: 'Company Size' },
+      'address.city': { type: 'string', label: 'City' },
+      'address.country': { type: 'string', label: 'Country' },
+      verificationStatus: { type: 'string', label: 'Verification Status' },
+      status: { type: 'string', label: 'Status' },
+      'stats.totalJobsPosted': { type: 'number', label: 'Jobs Posted' },
+      'stats.totalHires': { type: 'number', label: 'Hires' },
+      createdAt: { type: 'date', label: 'Joined' },
+    },
+  },
+};
+
+const METRIC_OPS = {
+  count: 'Count',
+  sum: 'Total',
+  avg: 'Average',
+  min: 'Minimum',
+  max: 'Maximum',
+  count_distinct: 'Distinct',
+};
+
+// Filter operators and the field types they apply to
+const FILTER_OPS = {
+  eq: null,
+  ne: null,
+  in: null,
+  nin: null,
+  gt: ['number', 'date'],
+  gte: ['number', 'date'],
+  lt: ['number', 'date'],
+  lte: ['number', 'date'],
+  between: ['number', 'date'],
+  exists: null,
+  contains: ['string'],
+};
+
+const TIME_GRAINS = ['day', 'week', 'month', 'quarter', 'year'];
+
+const COMPARISONS = {
+  previous_period: 'previous period',
+  previous_year: 'previous year',
+};
+
+// Shortest and longest length of each calendar unit, used to bound the
+// indexed match of a shifted comparison range
+const UNIT_MS = {
+  millisecond: [1, 1],
+  day: [DAY_MS, DAY_MS],
+  week: [7 * DAY_MS, 7 * DAY_MS],
+  month: [28 * DAY_MS, 31 * DAY_MS],
+  quarter: [89 * DAY_MS, 92 * DAY_MS],
+  year: [365 * DAY_MS, 366 * DAY_MS],
+};
+
+const DEFAULT_TIMEZONE = 'Asia/Yangon';
+
+const LIMITS = {
+  dimensions: 5,
+  metrics: 10,
+  filters: 20,
+  values: 100,
+  comparisons: 2,
+  sort: 10,
+  rangeUnits: 3660,
+};
+
+// Rows returned by a run, and by a preview
+const MAX_ROWS = 10000;
+const PREVIEW_ROWS = 100;
+
+const QUERY_TIMEOUT_MS = 30 * 1000;
+
+const ALIAS_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,39}$/;
+const RESERVED_ALIASES = ['period'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Definitions are customer input: look names up as own keys only
+const has = (object, key) => typeof key === 'string' && Object.prototype.hasOwnProperty.call(object, key);
+
+class ReportQueryService {
+  constructor() {
+    this.datasets = DATASETS;
+    this.maxRows = MAX_ROWS;
+    this.previewRows = PREVIEW_ROWS;
+  }
+
+  // ==================== CATALOG ====================
+
+  /**
+   * Datasets, fields and operators a definition can use
+   * @returns {Object}
+   */
+  getCatalog() {
+    return {
+      datasets: Object.entries(DATASETS).map(([key, dataset]) => ({
+        key,
+        title: dataset.title,
+        timeField: dataset.timeField,
+        fields: Object.entries(dataset.fields).map(([field, { type, label }]) => ({ field, type, label })),
+      })),
+      metrics: Object.keys(METRIC_OPS),
+      filters: Object.keys(FILTER_OPS),
+      timeGrains: TIME_GRAINS,
+      comparisons: Object.keys(COMPARISONS),
+      maxRows: MAX_ROWS,
+      previewRows: PREVIEW_ROWS,
+    };
+  }
+
+  // ==================== VALIDATION ====================
+
+  /**
+   * Validate a definition and return it in normalized form
+   * @param {Object} definition - Report definition
+   * @returns {Object} Normalized definition
+   * @throws {ValidationError} Listing every problem found
+   */
+  validate(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new ValidationError('Report definition must be an object');
+    }
+
+    const dataset = has(DATASETS, definition.dataset) ? DATASETS[definition.dataset] : null;
+    if (!dataset) {
+      throw new ValidationError(`Unknown dataset "${definition.dataset}"`, [
+        { field: 'dataset', message: `Must be one of ${Object.keys(DATASETS).join(', ')}` },
+      ]);
+    }
+
+    const errors = [];
+    const error = (field, message) => errors.push({ field, message });
+    const list = (value, name) => {
+      if (value === undefined || value === null) return [];
+      if (!Array.isArray(value)) {
+        error(name, 'Must be an array');
+        return [];
+      }
+      if (value.length > LIMITS[name]) {
+        error(name, `At most ${LIMITS[name]} allowed`);
+      }
+      return value.slice(0, LIMITS[name]);
+    };
+    const knownField = (field, name) => {
+      if (has(dataset.fields, field)) {
+        return true;
+      }
+      error(name, `Unknown field "${field}" for dataset ${definition.dataset}`);
+      return false;
+    };
+
+    const timeGrain = definition.timeGrain || null;
+    if (timeGrain && !TIME_GRAINS.includes(timeGrain)) {
+      error('timeGrain', `Must be one of ${TIME_GRAINS.join(', ')}`);
+    }
+
+    const dimensions = list(definition.dimensions, 'dimensions')
+      .map((dimension, index) => {
+        const { field, as } = typeof dimension === 'string' ? { field: dimension } : dimension || {};
+        if (!knownField(field, `dimensions[${index}]`)) return null;
+        return { field, as: as || field.replace(/\./g, '_') };
+      })
+      .filter(Boolean);
+
+    const metrics = list(definition.metrics, 'metrics')
+      .map((metric, index) => {
+        const { op, field, as } = typeof metric === 'string' ? { op: metric } : metric || {};
+        if (!has(METRIC_OPS, op)) {
+          error(`metrics[${index}]`, `Unknown metric "${op}"`);
+          return null;
+        }
+        if (op === 'count') {
+          return { op, field: null, as: as || 'count' };
+        }
+        if (!knownField(field, `metrics[${index}]`)) return null;
+        if (op !== 'count_distinct' && dataset.fields[field].type !== 'number') {
+          error(`metrics[${index}]`, `${op} needs a number field; ${field} is a ${dataset.fields[field].type}`);
+          return null;
+        }
+        return { op, field, as: as || `${op}_${field.replace(/\./g, '_')}` };
+      })
+      .filter(Boolean);
+
+    if (metrics.length === 0 && !errors.some(item => item.field.startsWith('metrics'))) {
+      error('metrics', 'At least one metric is required');
+    }
+
+    const aliases = [...dimensions, ...metrics].map(item => item.as);
+    aliases.forEach((alias, index) => {
+      if (!ALIAS_PATTERN.test(alias) || RESERVED_ALIASES.includes(alias)) {
+        error('as', `Invalid column name "${alias}"`);
+      } else if (aliases.indexOf(alias) !== index) {
+        error('as', `Duplicate column name "${alias}"`);
+      }
+    });
+
+    const filters = list(definition.filters, 'filters')
+      .map((filter, index) => this.validateFilter(dataset, filter || {}, `filters[${index}]`, error))
+      .filter(Boolean);
+
+    const timeRange = this.validateTimeRange(definition.timeRange, error);
+
+    const comparisons = [...new Set(list(definition.comparisons, 'comparisons'))];
+    comparisons.forEach(comparison => {
+      if (!has(COMPARISONS, comparison)) {
+        error('comparisons', `Unknown comparison "${comparison}"`);
+      }
+    });
+    if (comparisons.length > 0 && !timeRange) {
+      error('comparisons', 'Comparisons need a timeRange');
+    }
+
+    const timezone = definition.timezone || DEFAULT_TIMEZONE;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (rangeError) {
+      error('timezone', `Unknown time zone "${timezone}"`);
+    }
+
+    const columns = [...(timeGrain ? ['period'] : []), ...aliases];
+    const sort = list(definition.sort, 'sort')
+      .map((item, index) => {
+        const { field, direction = 'asc' } = typeof item === 'string' ? { field: item } : item || {};
+        if (!columns.includes(field)) {
+          error(`sort[${index}]`, `Sort field "${field}" is not a column of the report`);
+          return null;
+        }
+        if (!['asc', 'desc'].includes(direction)) {
+          error(`sort[${index}]`, 'Direction must be asc or desc');
+          return null;
+        }
+        return { field, direction };
+      })
+      .filter(Boolean);
+
+    let limit = null;
+    if (definition.limit !== undefined && definition.limit !== null) {
+      limit = Number(definition.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ROWS) {
+        error('limit', `Must be a whole number from 1 to ${MAX_ROWS}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(`Invalid report definition: ${errors.map(item => `${item.field}: ${item.message}`).join('; ')}`, errors);
+    }
+
+    return {
+      dataset: definition.dataset,
+      title: typeof definition.title === 'string' ? definition.title.trim().slice(0, 100) : undefined,
+      dimensions,
+      metrics,
+      filters,
+      timeGrain,
+      timeRange,
+      timezone,
+      comparisons,
+      sort,
+      limit,
+    };
+  }
+
+  /**
+   * Validate a filter and coerce its value to the field's type
+   * @returns {Object|null} { field, op, value }
+   */
+  validateFilter(dataset, filter, name, error) {
+    const { field, op = 'eq', value } = filter;
+    if (!has(dataset.fields, field)) {
+      error(name, `Unknown field "${field}"`);
+      return null;
+    }
+    if (!has(FILTER_OPS, op)) {
+      error(name, `Unknown operator "${op}"`);
+      return null;
+    }
+    const spec = dataset.fields[field];
+    if (FILTER_OPS[op] && !FILTER_OPS[op].includes(spec.type)) {
+      error(name, `${op} cannot be used on ${spec.type} field ${field}`);
+      return null;
+    }
+
+    if (op === 'exists') {
+      return { field, op, value: value !== false && value !== 'false' };
+    }
+
+    if (['in', 'nin', 'between'].includes(op)) {
+      const values = Array.isArray(value) ? value : [];
+      if (op === 'between' ? values.length !== 2 : values.length === 0 || values.length > LIMITS.values) {
+        error(name, op === 'between' ? 'between needs [from, to]' : `${op} needs 1 to ${LIMITS.values} values`);
+        return null;
+      }
+      const coerced = values.map(item => this.coerceValue(spec.type, item));
+      if (coerced.some(item => item === undefined)) {
+        error(name, `Values must be ${spec.type}s`);
+        return null;
+      }
+      return { field, op, value: coerced };
+    }
+
+    const coerced = this.coerceValue(spec.type, value);
+    if (coerced === undefined) {
+      error(name, `Value must be a ${spec.type}`);
+      return null;
+    }
+    return { field, op, value: coerced };
+  }
+
+  /**
+   * A filter value as the field's type
+   * @param {string} type - Field type
+   * @param {*} value - Value from the definition
+   * @returns {*} Coerced value, or undefined if it is not of the type
+   */
+  coerceValue(type, value) {
+    if (value === null || (typeof value === 'object' && !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId))) {
+      return undefined;
+    }
+
+    switch (type) {
+      case 'string':
+        return ['string', 'number'].includes(typeof value) ? String(value).slice(0, 200) : undefined;
+      case 'number': {
+        const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+        return Number.isFinite(number) ? number : undefined;
+      }
+      case 'date': {
+        const date = new Date(value);
+        return typeof value !== 'boolean' && !Number.isNaN(date.getTime()) ? date : undefined;
+      }
+      case 'boolean':
+        if (value === true || value === 'true') return true;
+        if (value === false || value === 'false') return false;
+        return undefined;
+      case 'objectId':
+        return mongoose.Types.ObjectId.isValid(value) ? new mongoose.Types.ObjectId(String(value)) : undefined;
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Validate a time range: a rolling window ({ last, unit }), resolved when
+   * the report runs, or fixed dates ({ start, end })
+   * @returns {Object|null}
+   */
+  validateTimeRange(timeRange, error) {
+    if (!timeRange) return null;
+
+    if (timeRange.last !== undefined) {
+      const last = Number(timeRange.last);
+      const unit = timeRange.unit || 'day';
+      if (!Number.isInteger(last) || last < 1 || last > LIMITS.rangeUnits) {
+        error('timeRange.last', `Must be a whole number from 1 to ${LIMITS.rangeUnits}`);
+        return null;
+      }
+      if (!TIME_GRAINS.includes(unit)) {
+        error('timeRange.unit', `Must be one of ${TIME_GRAINS.join(', ')}`);
+        return null;
+      }
+      return { last, unit };
+    }
+
+    const start = this.coerceValue('date', timeRange.start);
+    const end = this.coerceValue('date', timeRange.end);
+    if (!start || !end || start >= end) {
+      error('timeRange', 'Needs { last, unit } or a start date before the end date');
+      return null;
+    }
+    return { start, end };
+  }
+
+  // ==================== COMPILATION ====================
+
+  /**
+   * Dates a time range covers
+   * @param {Object} timeRange - Normalized time range
+   * @param {Date} now - Current time
+   * @returns {Object|null} { start, end }, end exclusive
+   */
+  resolveRange(timeRange, now = new Date()) {
+    if (!timeRange) return null;
+    if (timeRange.start) return { start: new Date(timeRange.start), end: new Date(timeRange.end) };
+
+    const start = new Date(now);
+    const { last, unit } = timeRange;
+    if (unit === 'day' || unit === 'week') {
+      start.setTime(now.getTime() - last * UNIT_MS[unit][0]);
+    } else {
+      start.setUTCMonth(start.getUTCMonth() - last * { month: 1, quarter: 3, year: 12 }[unit]);
+    }
+    return { start, end: new Date(now) };
+  }
+
+  /**
+   * How far back a comparison looks; comparison documents are moved forward
+   * by this much so their periods line up with the current ones
+   * @param {Object} definition - Normalized definition
+   * @param {string} comparison - Comparison
+   * @param {Object} range - Current { start, end }
+   * @returns {Object} { unit, amount }
+   */
+  getComparisonOffset(definition, comparison, range) {
+    if (comparison === 'previous_year') {
+      // Keep weekly periods on the same weekday
+      return definition.timeGrain === 'week' ? { unit: 'week', amount: 52 } : { unit: 'year', amount: 1 };
+    }
+    if (definition.timeRange?.last) {
+      return { unit: definition.timeRange.unit, amount: definition.timeRange.last };
+    }
+    return { unit: 'millisecond', amount: range.end - range.start };
+  }
+
+  /**
+   * Compile a definition into an aggregation pipeline
+   * @param {Object} definition - Report definition
+   * @param {Object} options - { customerId, customerType, companyId, now, limit, comparison }
+   *   companyId restricts company-scoped datasets to that company; it is
+   *   required for customerType 'Company'
+   *   comparison: compile the comparison range instead of the current one
+   * @returns {Object} { definition, model, pipeline, columns, range, scoped }
+   *   scoped: the result only covers the customer's own company
+   */
+  compile(definition, options = {}) {
+    const normalized = this.validate(definition);
+    const dataset = DATASETS[normalized.dataset];
+    const { timeField } = dataset;
+    const { timezone, timeGrain } = normalized;
+    const range = this.resolveRange(normalized.timeRange, options.now);
+    const offset = options.comparison ? this.getComparisonOffset(normalized, options.comparison, range) : null;
+
+    const conditions = [];
+    const scoped = Boolean(dataset.companyField && (options.companyId || options.customerType === 'Company'));
+    if (dataset.match) conditions.push(dataset.match);
+    if (scoped) {
+      if (!mongoose.Types.ObjectId.isValid(options.companyId)) {
+        throw new ValidationError('Company reports need the company ID');
+      }
+      conditions.push({ [dataset.companyField]: new mongoose.Types.ObjectId(String(options.companyId)) });
+    }
+    normalized.filters.forEach(filter => conditions.push(this.compileFilter(filter)));
+
+    const pipeline = [];
+    let time = `$${timeField}`;
+
+    if (range && offset) {
+      // Indexed match on a range wide enough for any calendar offset, then the
+      // exact range on the shifted time
+      const [shortest, longest] = UNIT_MS[offset.unit].map(ms => ms * offset.amount);
+      conditions.push({ [timeField]: { $gte: new Date(range.start - longest - DAY_MS), $lt: new Date(range.end - shortest + DAY_MS) } });
+      pipeline.push({ $match: { $and: conditions } });
+      pipeline.push({ $addFields: { _reportTime: { $dateAdd: { startDate: time, unit: offset.unit, amount: offset.amount, timezone } } } });
+      pipeline.push({ $match: { _reportTime: { $gte: range.start, $lt: range.end } } });
+      time = '$_reportTime';
+    } else {
+      if (range) conditions.push({ [timeField]: { $gte: range.start, $lt: range.end } });
+      pipeline.push({ $match: conditions.length > 0 ? { $and: conditions } : {} });
+    }
+
+    const groupId = {};
+    if (timeGrain) {
+      groupId.period = { $dateTrunc: { date: time, unit: timeGrain, timezone, ...(timeGrain === 'week' ? { startOfWeek: 'monday' } : {}) } };
+    }
+    normalized.dimensions.forEach(({ field, as }) => {
+      groupId[as] = `$${field}`;
+    });
+
+    // Records per group, for minimum cohort checks
+    const group = { _id: groupId, _records: { $sum: 1 } };
+    const project = { _id: 0 };
+    if (timeGrain) project.period = '$_id.period';
+    normalized.dimensions.forEach(({ as }) => {
+      project[as] = `$_id.${as}`;
+    });
+    normalized.metrics.forEach(({ op, field, as }) => {
+      if (op === 'count') {
+        group[as] = { $sum: 1 };
+        project[as] = 1;
+      } else if (op === 'count_distinct') {
+        group[as] = { $addToSet: `$${field}` };
+        project[as] = { $size: `$${as}` };
+      } else {
+        group[as] = { [`$${op}`]: `$${field}` };
+        project[as] = op === 'avg' ? { $round: [`$${as}`, 2] } : 1;
+      }
+    });
+
+    project._records = 1;
+
+    pipeline.push({ $group: group });
+    pipeline.push({ $project: project });
+    pipeline.push({ $sort: this.compileSort(normalized) });
+    pipeline.push({ $limit: Math.min(options.limit || normalized.limit || MAX_ROWS, MAX_ROWS + 1) });
+
+    return {
+      definition: normalized,
+      model: dataset.model,
+      pipeline,
+      columns: this.getColumns(normalized),
+      range,
+      scoped,
+    };
+  }
+
+  /**
+   * Match condition for a validated filter
+   * @param {Object} filter - { field, op, value }
+   * @returns {Object}
+   */
+  compileFilter({ field, op, value }) {
+    switch (op) {
+      case 'eq':
+        return { [field]: { $eq: value } };
+      case 'between':
+        return { [field]: { $gte: value[0], $lte: value[1] } };
+      case 'exists':
+        return value ? { [field]: { $exists: true, $ne: null } } : { [field]: { $in: [null] } };
+      case 'contains':
+        return { [field]: { $regex: escapeRegex(value), $options: 'i' } };
+      default:
+        return { [field]: { [`$${op}`]: value } };
+    }
+  }
+
+  /**
+   * Sort stage: the definition's sort, else chronological for a time grain
+   * and largest first metric otherwise; dimensions break ties
+   * @param {Object} definition - Normalized definition
+   * @returns {Object}
+   */
+  compileSort(definition) {
+    const sort = {};
+    definition.sort.forEach(({ field, direction }) => {
+      sort[field] = direction === 'desc' ? -1 : 1;
+    });
+    if (definition.sort.length === 0) {
+      if (definition.timeGrain) sort.period = 1;
+      else sort[definition.metrics[0].as] = -1;
+    }
+    if (definition.timeGrain && !sort.period) sort.period = 1;
+    definition.dimensions.forEach(({ as }) => {
+      if (!sort[as]) sort[as] = 1;
+    });
+    return sort;
+  }
+
+  /**
+   * Output columns of a definition
+   * @param {Object} definition - Normalized definition
+   * @returns {Array<Object>} [{ key, header, type, numeric }]
+   */
+  getColumns(definition) {
+    const { fields } = DATASETS[definition.dataset];
+    const columns = [];
+
+    if (definition.timeGrain) {
+      columns.push({ key: 'period', header: 'Period', type: 'date', numeric: false });
+    }
+    definition.dimensions.forEach(({ field, as }) => {
+      columns.push({ key: as, header: fields[field].label, type: fields[field].type, numeric: false });
+    });
+    definition.metrics.forEach(({ op, field, as }) => {
+      const header = op === 'count' ? 'Count' : `${METRIC_OPS[op]} ${fields[field].label}`;
+      columns.push({ key: as, header, type: 'number', numeric: true });
+    });
+
+    return columns;
+  }
+
+  // ==================== EXECUTION ====================
+
+  /**
+   * Run a definition, with its comparisons
+   * @param {Object} definition - Report definition
+   * @param {Object} options - { customerId, customerType, companyId, now, limit }
+   * @returns {Promise<Object>} { title, dataset, columns, rows, truncated, timeRange, timezone, scoped, generatedAt }
+   *   rows carry the number of records behind them in _records; see protect
+   */
+  async run(definition, options = {}) {
+    const now = options.now || new Date();
+    const normalized = this.validate(definition);
+    const limit = Math.min(options.limit || normalized.limit || MAX_ROWS, MAX_ROWS);
+
+    // One extra row tells whether the result was cut off
+    const { model, pipeline, columns, range, scoped } = this.compile(normalized, { ...options, now, limit: limit + 1 });
+    const rows = await this.aggregate(model, pipeline);
+    const truncated = rows.length > limit;
+    rows.splice(limit);
+
+    for (const comparison of normalized.comparisons) {
+      const compiled = this.compile(normalized, { ...options, now, comparison, limit: MAX_ROWS });
+      const previous = await this.aggregate(compiled.model, compiled.pipeline);
+      columns.push(...this.mergeComparison(rows, previous, normalized, comparison));
+    }
+
+    return {
+      title: normalized.title || this.getTitle(normalized),
+      dataset: normalized.dataset,
+      columns,
+      rows,
+      truncated,
+      timeRange: range,
+      timezone: normalized.timezone,
+      scoped,
+      metrics: normalized.metrics,
+      comparisons: normalized.comparisons,
+      generatedAt: new Date(),
+    };
+  }
+
+  /**
+   * Run a definition for a preview, capped at the preview row limit
+   * @param {Object} definition - Report definition
+   * @param {Object} options - As for run; limit is capped at PREVIEW_ROWS
+   * @returns {Promise<Object>}
+   */
+  async preview(definition, options = {}) {
+    const limit = Math.min(options.limit || PREVIEW_ROWS, PREVIEW_ROWS);
+    return this.run(definition, { ...options, limit });
+  }
+
+  async aggregate(model, pipeline) {
+    return model.aggregate(pipeline).option({ maxTimeMS: QUERY_TIMEOUT_MS });
+  }
+
+  /**
+   * Add a comparison's metrics, and their change in percent, to the rows
+   * @param {Array<Object>} rows - Current rows, updated in place
+   * @param {Array<Object>} previous - Comparison rows
+   * @param {Object} definition - Normalized definition
+   * @param {string} comparison - Comparison
+   * @returns {Array<Object>} Columns added
+   */
+  mergeComparison(rows, previous, definition, comparison) {
+    const key = row => JSON.stringify([
+      row.period ? new Date(row.period).toISOString() : null,
+      ...definition.dimensions.map(({ as }) => (row[as] == null ? null : String(row[as]))),
+    ]);
+    const byKey = new Map(previous.map(row => [key(row), row]));
+    const columns = [];
+
+    rows.forEach(row => {
+      row[`_records_${comparison}`] = byKey.get(key(row))?._records || 0;
+    });
+
+    definition.metrics.forEach(metric => {
+      const valueKey = `${metric.as}_${comparison}`;
+      const changeKey = `${valueKey}_change`;
+
+      rows.forEach(row => {
+        const before = byKey.get(key(row))?.[metric.as];
+        row[valueKey] = before ?? null;
+        row[changeKey] = this.getChange(row[metric.as], before);
+      });
+
+      const header = this.getColumns(definition).find(column => column.key === metric.as).header;
+      columns.push({ key: valueKey, header: `${header} (${COMPARISONS[comparison]})`, type: 'number', numeric: true });
+      columns.push({ key: changeKey, header: `${header} change % (${COMPARISONS[comparison]})`, type: 'number', numeric: true });
+    });
+
+    return columns;
+  }
+
+  /**
+   * Change from a previous value, in percent to one decimal
+   * @returns {number|null}
+   */
+  getChange(value, before) {
+    if (!before || typeof value !== 'number') return null;
+    return Math.round(((value - before) / Math.abs(before)) * 1000) / 10;
+  }
+
+  // ==================== PRIVACY ====================
+
+  /**
+   * Apply a privacy policy to a run result: rows and comparison values
+   * backed by fewer than k records are withheld, and figures get noise when
+   * the policy asks for it. The record counts are then removed from the rows.
+   * @param {Object} result - run result, updated in place
+   * @param {Object|null} policy - dataPrivacyService.getPolicy result; null
+   *   only removes the record counts (e.g. for a company's own data)
+   * @returns {Object} { rows, total, suppressed }
+   */
+  protect(result, policy) {
+    const strip = row => Object.keys(row)
+      .filter(key => key.startsWith('_records'))
+      .forEach(key => delete row[key]);
+
+    if (!policy) {
+      result.rows.forEach(strip);
+      return { rows: result.rows, total: result.rows.length, suppressed: 0 };
+    }
+
+    const isCount = metric => ['count', 'count_distinct'].includes(metric.op);
+    const counts = result.metrics.filter(isCount).map(metric => metric.as);
+    const values = result.metrics.filter(metric => !isCount(metric)).map(metric => metric.as);
+    const key = row => result.columns.filter(column => !column.numeric).map(column => row[column.key]);
+
+    const released = dataPrivacyService.protectAggregates(result.rows, { records: '_records', key, counts, values }, policy);
+
+    result.comparisons.forEach(comparison => {
+      const records = `_records_${comparison}`;
+      const rule = {
+        key: row => [...key(row), comparison],
+        counts: counts.map(as => `${as}_${comparison}`),
+        values: values.map(as => `${as}_${comparison}`),
+      };
+
+      released.rows.forEach(row => {
+        if (row[records] < policy.k) {
+          result.metrics.forEach(({ as }) => {
+            row[`${as}_${comparison}`] = null;
+          });
+        } else if (policy.noise) {
+          dataPrivacyService.addNoise(row, rule, policy, row[records]);
+        }
+        result.metrics.forEach(({ as }) => {
+          row[`${as}_${comparison}_change`] = this.getChange(row[as], row[`${as}_${comparison}`]);
+        });
+      });
+    });
+
+    released.rows.forEach(strip);
+    result.rows = released.rows;
+    return released;
+  }
+
+  /**
+   * Default title: the dataset and what it is grouped by
+   * @param {Object} definition - Normalized definition
+   * @returns {string}
+   */
+  getTitle(definition) {
+    const { title, fields } = DATASETS[definition.dataset];
+    const groups = definition.dimensions.map(({ field }) => fields[field].label);
+    if (definition.timeGrain) groups.push(definition.timeGrain.charAt(0).toUpperCase() + definition.timeGrain.slice(1));
+
+    return groups.length > 0 ? `${title} by ${groups.join(', ')}` : `${title} Totals`;
+  }
+}
+
+// Export singleton instance
+const reportQueryService = new ReportQueryService();
+module.exports = reportQueryService;
+module.exports.ReportQueryService = ReportQueryService;
+module.exports.DATASETS = DATASETS;
+module.exports.MAX_ROWS = MAX_ROWS;
+module.exports.PREVIEW_ROWS = PREVIEW_ROWS;
@@ -0,0 +1,561 @@
+/**
+ * Report Renderer
+ * Turns a report's dataSnapshot into downloadable files: branded PDFs with
+ * charts and tables, multi-sheet XLSX workbooks, and streamed CSV and JSON.
+ * puppeteer and exceljs are loaded on first use so the API does not pay
+ * for them unless a report is rendered.
+ */
+
+const { Readable } = require('stream');
+
+// Rows shown per table in the PDF; the full data is in the XLSX/CSV/JSON files
+const PDF_TABLE_ROW_LIMIT = 200;
+
+const DEFAULT_BRANDING = {
+  name: 'TRM',
+  primaryColor: '#2563eb',
+  logoUrl: null,
+};
+
+// Content types of the rendered files by report format
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  excel: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+};
+
+const FILE_EXTENSIONS = {
+  pdf: 'pdf',
+  excel: 'xlsx',
+  csv: 'csv',
+  json: 'json',
+};
+
+const get = (obj, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+// YYYY-MM-DD in a time zone, so query periods show the local day they start on
+const formatLocalDate = (value, timeZone = 'UTC') => (value
+  ? new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date(value))
+  : '');
+
+// Tables built from each dataSnapshot section
+const SECTIONS = [
+  {
+    key: 'jobs',
+    title: 'Job Postings',
+    columns: [
+      { header: 'Title', value: row => row.title, width: 36 },
+      { header: 'Category', value: row => row.category, width: 20 },
+      { header: 'Experience Level', value: row => row.experienceLevel, width: 16 },
+      { header: 'City', value: row => get(row, 'location.city'), width: 16 },
+      { header: 'Work Type', value: row => get(row, 'location.type'), width: 12 },
+      { header: 'Salary Min', value: row => get(row, 'salary.min'), width: 14, numeric: true },
+      { header: 'Salary Max', value: row => get(row, 'salary.max'), width: 14, numeric: true },
+      { header: 'Currency', value: row => get(row, 'salary.currency'), width: 10 },
+      { header: 'Status', value: row => row.status, width: 10 },
+      { header: 'Posted', value: row => formatDate(row.createdAt), width: 12 },
+    ],
+  },
+  {
+    key: 'applications',
+    title: 'Applications',
+    columns: [
+      { header: 'Job ID', value: row => row.jobId && String(row.jobId), width: 26 },
+      { header: 'Status', value: row => row.status, width: 14 },
+      { header: 'Source', value: row => row.source, width: 14 },
+      { header: 'Applied (month)', value: row => row.appliedMonth, width: 16 },
+    ],
+  },
+  {
+    key: 'companies',
+    title: 'Companies',
+    columns: [
+      { header: 'Name', value: row => row.name, width: 30 },
+      { header: 'Industry', value: row => row.industry, width: 20 },
+      { header: 'Size', value: row => row.size, width: 12 },
+      { header: 'City', value: row => get(row, 'address.city'), width: 16 },
+      { header: 'Verified', value: row => (row.isVerified ? 'Yes' : 'No'), width: 10 },
+    ],
+  },
+  {
+    key: 'salaryData',
+    title: 'Salary Statistics',
+    columns: [
+      { header: 'Industry', value: row => get(row, '_id.industry') || 'Unspecified', width: 22 },
+      { header: 'Experience Level', value: row => get(row, '_id.experienceLevel') || 'Unspecified', width: 16 },
+      { header: 'Avg Min Salary', value: row => row.avgMinSalary && Math.round(row.avgMinSalary), width: 16, numeric: true },
+      { header: 'Avg Max Salary', value: row => row.avgMaxSalary && Math.round(row.avgMaxSalary), width: 16, numeric: true },
+      { header: 'Median Salary', value: row => row.medianSalary && Math.round(row.medianSalary), width: 16, numeric: true },
+      { header: 'Jobs', value: row => row.count, width: 8, numeric: true },
+    ],
+  },
+];
+
+class ReportRenderer {
+  constructor() {
+    this.contentTypes = CONTENT_TYPES;
+    this.fileExtensions = FILE_EXTENSIONS;
+  }
+
+  // ==================== DATA ====================
+
+  /**
+   * Plain rows of a snapshot section; Mongoose documents are converted
+   * @param {Array} rows - Section data
+   * @returns {Array<Object>}
+   */
+  toPlainRows(rows) {
+    if (!Array.isArray(rows)) return [];
+    return rows.map(row => (row && typeof row.toObject === 'function' ? row.toObject() : row)).filter(Boolean);
+  }
+
+  /**
+   * Tables for every non-empty section of a snapshot
+   * @param {Object} dataSnapshot - Report data snapshot
+   * @returns {Array<Object>} [{ key, title, headers, rows, numericColumns }]
+   */
+  buildTables(dataSnapshot = {}) {
+    const query = this.buildQueryTable(dataSnapshot?.query);
+    const tables = SECTIONS
+      .map(section => {
+        const rows = this.toPlainRows(dataSnapshot?.[section.key]);
+        return {
+          key: section.key,
+          title: section.title,
+          headers: section.columns.map(column => column.header),
+          widths: section.columns.map(column => column.width),
+          numericColumns: section.columns.map(column => !!column.numeric),
+          rows: rows.map(row => section.columns.map(column => {
+            const value = column.value(row);
+            return value === undefined || value === null ? '' : value;
+          })),
+        };
+      })
+      .filter(table => table.rows.length > 0);
+
+    return query ? [query, ...tables] : tables;
+  }
+
+  /**
+   * Table for a report query result, whose columns come with the result
+   * @param {Object} query - reportQueryService.run result
+   * @returns {Object|null}
+   */
+  buildQueryTable(query) {
+    if (!query || !Array.isArray(query.columns) || !Array.isArray(query.rows) || query.rows.length === 0) {
+      return null;
+    }
+
+    return {
+      key: 'query',
+      title: query.title || 'Query',
+      headers: query.columns.map(column => column.header),
+      widths: query.columns.map(column => (column.numeric ? 16 : 22)),
+      numericColumns: query.columns.map(column => !!column.numeric),
+      rows: query.rows.map(row => query.columns.map(column => {
+        const value = row[column.key];
+        if (value === undefined || value === null) return '';
+        if (column.type === 'date') return formatLocalDate(value, query.timezone);
+        if (column.type === 'boolean') return value ? 'Yes' : 'No';
+        return column.numeric ? value : String(value);
+      })),
+    };
+  }
+
+  /**
+   * Chart series derived from a snapshot
+   * @param {Object} dataSnapshot - Report data snapshot
+   * @returns {Array<Object>} [{ title, points: [{ label, value }] }]
+   */
+  buildCharts(dataSnapshot = {}) {
+    const countBy = (rows, path) => {
+      const counts = new Map();
+      rows.forEach(row => {
+        const label = get(row, path) || 'Unspecified';
+        counts.set(label, (counts.get(label) || 0) + 1);
+      });
+      return [...counts.entries()]
+        .map(([label, value]) => ({ label: String(label), value }))
+        .sort((a, b) => b.value - a.value)
+        .slice(0, 10);
+    };
+
+    const charts = [];
+    const query = dataSnapshot?.query;
+    const jobs = this.toPlainRows(dataSnapshot?.jobs);
+    const applications = this.toPlainRows(dataSnapshot?.applications);
+    const salaryData = this.toPlainRows(dataSnapshot?.salaryData);
+
+    if (query?.rows?.length > 0) {
+      charts.push(this.buildQueryChart(query));
+    }
+    if (jobs.length > 0) {
+      charts.push({ title: 'Job postings by category', points: countBy(jobs, 'category') });
+      charts.push({ title: 'Job postings by experience level', points: countBy(jobs, 'experienceLevel') });
+    }
+    if (applications.length > 0) {
+      charts.push({ title: 'Applications by status', points: countBy(applications, 'status') });
+    }
+    if (salaryData.length > 0) {
+      const byLevel = new Map();
+      salaryData.forEach(row => {
+        const label = get(row, '_id.experienceLevel') || 'Unspecified';
+        const entry = byLevel.get(label) || { total: 0, count: 0 };
+        entry.total += (row.avgMaxSalary || 0) * (row.count || 0);
+        entry.count += row.count || 0;
+        byLevel.set(label, entry);
+      });
+      charts.push({
+        title: 'Average maximum salary by experience level',
+        points: [...byLevel.entries()]
+          .filter(([, entry]) => entry.count > 0)
+          .map(([label, entry]) => ({ label, value: Math.round(entry.total / entry.count) })),
+      });
+    }
+
+    return charts.filter(chart => chart.points.length > 0);
+  }
+
+  /**
+   * Chart of a report query's first metric by period, or by its first
+   * dimension when it has no time grain; results grouped more than one way
+   * are left to the table
+   * @param {Object} query - reportQueryService.run result
+   * @returns {Object} { title, points }
+   */
+  buildQueryChart(query) {
+    const metric = query.columns.find(column => column.numeric);
+    const labels = query.columns.filter(column => !column.numeric);
+    const label = labels[0];
+    if (!metric || labels.length > 1) return { title: query.title, points: [] };
+
+    const points = query.rows.map(row => ({
+      label: !label ? 'Total'
+        : label.type === 'date' ? formatLocalDate(row[label.key], query.timezone)
+          : String(row[label.key] ?? 'Unspecified'),
+      value: Number(row[metric.key]) || 0,
+    }));
+
+    return {
+      title: label ? `${metric.header} by ${label.header}` : metric.header,
+      points: label?.type === 'date'
+        ? points.slice(-24)
+        : points.sort((a, b) => b.value - a.value).slice(0, 10),
+    };
+  }
+
+  // ==================== PDF ====================
+
+  /**
+   * Render a branded PDF with charts and tables
+   * @param {Object} report - Report document
+   * @param {Object} dataSnapshot - Report data snapshot
+   * @param {Object} branding - { name, primaryColor, logoUrl }
+   * @returns {Promise<Buffer>}
+   */
+  async renderPDF(report, dataSnapshot, branding = {}) {
+    const html = this.renderHtml(report, dataSnapshot, branding);
+    const brand = { ...DEFAULT_BRANDING, ...branding };
+
+    return this.printPdf(html, `${brand.name} · ${report.reportId || ''}`);
+  }
+
+  /**
+   * Print an HTML document to an A4 PDF with a page-numbered footer
+   * @param {string} html - Self-contained HTML document
+   * @param {string} footerText - Text on the left of the footer
+   * @returns {Promise<Buffer>}
+   */
+  async printPdf(html, footerText = '') {
+    const puppeteer = require('puppeteer');
+    const browser = await puppeteer.launch({
+      headless: true,
+      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'],
+    });
+
+    try {
+      const page = await browser.newPage();
+      await page.setContent(html, { waitUntil: 'load', timeout: 60000 });
+      const pdf = await page.pdf({
+        format: 'A4',
+        printBackground: true,
+        margin: { top: '16mm', bottom: '18mm', left: '12mm', right: '12mm' },
+        displayHeaderFooter: true,
+        headerTemplate: '<span></span>',
+        footerTemplate: `<div style="font-size:8px;width:100%;padding:0 12mm;color:#6b7280;display:flex;justify-content:space-between;">
+          <span>${this.escapeHtml(footerText)}</span>
+          <span>Page <span class="pageNumber"></span> of <span class="totalPages"></span></span>
+        </div>`,
+      });
+      return Buffer.from(pdf);
+    } finally {
+      await browser.close();
+    }
+  }
+
+  /**
+   * HTML document the PDF is printed from
+   * @param {Object} report - Report document
+   * @param {Object} dataSnapshot - Report data snapshot
+   * @param {Object} branding - { name, primaryColor, logoUrl }
+   * @returns {string}
+   */
+  renderHtml(report, dataSnapshot, branding = {}) {
+    const brand = { ...DEFAULT_BRANDING, ...branding };
+    const color = this.brandColor(brand);
+    const tables = this.buildTables(dataSnapshot);
+    const charts = this.buildCharts(dataSnapshot);
+
+    const summary = tables.map(table => `
+      <div class="stat"><div class="stat-value">${table.rows.length.toLocaleString('en-US')}</div>
+      <div class="stat-label">${this.escapeHtml(table.title)}</div></div>`).join('');
+
+    const chartHtml = charts.map(chart => `
+      <div class="chart"><h3>${this.escapeHtml(chart.title)}</h3>${this.renderBarChart(chart.points, color)}</div>`).join('');
+
+    const tableHtml = tables.map(table => {
+      const shown = table.rows.slice(0, PDF_TABLE_ROW_LIMIT);
+      const note = table.rows.length > shown.length
+        ? `<p class="note">Showing ${shown.length} of ${table.rows.length.toLocaleString('en-US')} rows. The Excel, CSV and JSON exports contain every row.</p>`
+        : '';
+      return `
+      <section>
+        <h2>${this.escapeHtml(table.title)}</h2>
+        <table>
+          <thead><tr>${table.headers.map(header => `<th>${this.escapeHtml(header)}</th>`).join('')}</tr></thead>
+          <tbody>${shown.map(row => `<tr>${row.map((cell, index) =>
+            `<td${table.numericColumns[index] ? ' class="num"' : ''}>${this.escapeHtml(this.formatCell(cell))}</td>`).join('')}</tr>`).join('')}</tbody>
+        </table>
+        ${note}
+      </section>`;
+    }).join('');
+
+    const logo = brand.logoUrl ? `<img class="logo" src="${this.escapeHtml(brand.logoUrl)}" alt="">` : '';
+    const generatedAt = new Date().toISOString().replace('T', ' ').slice(0, 16);
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${this.escapeHtml(report.title)}</title>
+<style>
+  body { font-family: 'Helvetica Neue', Arial, 'Noto Sans Myanmar', sans-serif; color: #111827; font-size: 11px; margin: 0; }
+  header { border-bottom: 3px solid ${color}; padding-bottom: 12px; margin-bottom: 16px; display: flex; align-items: center; gap: 12px; }
+  header .logo { height: 36px; }
+  header .brand { color: ${color}; font-weight: 700; font-size: 14px; }
+  h1 { font-size: 22px; margin: 4px 0; }
+  h2 { font-size: 15px; color: ${color}; margin: 20px 0 8px; }
+  h3 { font-size: 12px; margin: 0 0 6px; }
+  .meta, .note { color: #6b7280; }
+  .stats { display: flex; gap: 12px; margin: 12px 0; }
+  .stat { flex: 1; border: 1px solid #e5e7eb; border-radius: 6px; padding: 10px; }
+  .stat-value { font-size: 18px; font-weight: 700; color: ${color}; }
+  .charts { display: flex; flex-wrap: wrap; gap: 16px; }
+  .chart { width: 48%; page-break-inside: avoid; }
+  table { width: 100%; border-collapse: collapse; font-size: 9px; }
+  th { background: ${color}; color: #fff; text-align: left; padding: 4px; }
+  td { border-bottom: 1px solid #e5e7eb; padding: 3px 4px; }
+  td.num { text-align: right; }
+  tr { page-break-inside: avoid; }
+</style>
+</head>
+<body>
+  <header>${logo}<div><div class="brand">${this.escapeHtml(brand.name)}</div>
+    <h1>${this.escapeHtml(report.title)}</h1>
+    <div class="meta">${this.escapeHtml(report.reportId || '')} · Generated ${generatedAt} UTC</div></div>
+  </header>
+  ${report.description ? `<p>${this.escapeHtml(report.description)}</p>` : ''}
+  <div class="stats">${summary}</div>
+  ${chartHtml ? `<h2>Overview</h2><div class="charts">${chartHtml}</div>` : ''}
+  ${tableHtml || '<p class="note">No data matched the report parameters.</p>'}
+</body>
+</html>`;
+  }
+
+  /**
+   * Horizontal bar chart as inline SVG
+   * @param {Array<Object>} points - [{ label, value }]
+   * @param {string} color - Bar colour
+   * @returns {string}
+   */
+  renderBarChart(points, color) {
+    const rowHeight = 20;
+    const labelWidth = 110;
+    const barWidth = 200;
+    const max = Math.max(...points.map(point => point.value), 1);
+
+    const bars = points.map((point, index) => {
+      const y = index * rowHeight;
+      const width = Math.max(1, Math.round((point.value / max) * barWidth));
+      const label = point.label.length > 18 ? `${point.label.slice(0, 17)}…` : point.label;
+      return `<text x="${labelWidth - 6}" y="${y + 14}" text-anchor="end" font-size="9">${this.escapeHtml(label)}</text>
+        <rect x="${labelWidth}" y="${y + 4}" width="${width}" height="${rowHeight - 8}" fill="${color}" rx="2"></rect>
+        <text x="${labelWidth + width + 4}" y="${y + 14}" font-size="9">${point.value.toLocaleString('en-US')}</text>`;
+    }).join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${labelWidth + barWidth + 70}" height="${points.length * rowHeight}">${bars}</svg>`;
+  }
+
+  // ==================== EXCEL ====================
+
+  /**
+   * Render a workbook with a summary sheet and one sheet per section
+   * @param {Object} report - Report document
+   * @param {Object} dataSnapshot - Report data snapshot
+   * @param {Object} branding - { name, primaryColor }
+   * @returns {Promise<Buffer>}
+   */
+  async renderExcel(report, dataSnapshot, branding = {}) {
+    const ExcelJS = require('exceljs');
+    const brand = { ...DEFAULT_BRANDING, ...branding };
+    const argb = `FF${this.brandColor(brand).slice(1).toUpperCase()}`;
+    const tables = this.buildTables(dataSnapshot);
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = brand.name;
+    workbook.created = new Date();
+
+    const summary = workbook.addWorksheet('Summary');
+    summary.columns = [{ width: 28 }, { width: 48 }];
+    summary.addRow([brand.name]).font = { bold: true, size: 14, color: { argb } };
+    summary.addRow([report.title]).font = { bold: true, size: 12 };
+    summary.addRow(['Report ID', report.reportId]);
+    summary.addRow(['Generated', new Date()]);
+    if (report.description) summary.addRow(['Description', report.description]);
+    summary.addRow([]);
+    summary.addRow(['Section', 'Rows']).font = { bold: true };
+    tables.forEach(table => summary.addRow([table.title, table.rows.length]));
+
+    tables.forEach(table => {
+      const sheet = workbook.addWorksheet(table.title.slice(0, 31), {
+        views: [{ state: 'frozen', ySplit: 1 }],
+      });
+      sheet.columns = table.headers.map((header, index) => ({ header, width: table.widths[index] }));
+
+      const headerRow = sheet.getRow(1);
+      headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+      headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb } };
+
+      table.rows.forEach(row => sheet.addRow(row));
+      table.numericColumns.forEach((numeric, index) => {
+        if (numeric) sheet.getColumn(index + 1).numFmt = '#,##0';
+      });
+      sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: table.headers.length } };
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  // ==================== CSV / JSON ====================
+
+  /**
+   * Stream every section as CSV; sections follow each other, each with a
+   * title line and its own header row, separated by a blank line
+   * @param {Object} dataSnapshot - Report data snapshot
+   * @returns {Readable}
+   */
+  csvStream(dataSnapshot) {
+    const renderer = this;
+    const tables = this.buildTables(dataSnapshot);
+
+    return Readable.from((function* () {
+      // BOM so Excel opens UTF-8 (Burmese text) correctly
+      yield '\uFEFF';
+      for (const [index, table] of tables.entries()) {
+        if (index > 0) yield '\r\n';
+        yield `${renderer.csvLine([table.title])}${renderer.csvLine(table.headers)}`;
+        for (const row of table.rows) {
+          yield renderer.csvLine(row);
+        }
+      }
+    })());
+  }
+
+  /**
+   * Stream the report and its data as a JSON document
+   * @param {Object} report - Report document
+   * @param {Object} dataSnapshot - Report data snapshot
+   * @returns {Readable}
+   */
+  jsonStream(report, dataSnapshot = {}) {
+    const renderer = this;
+    const sections = Object.keys(dataSnapshot || {}).filter(key => dataSnapshot[key] != null);
+
+    return Readable.from((function* () {
+      const meta = {
+        reportId: report.reportId,
+        title: report.title,
+        description: report.description,
+        parameters: report.parameters,
+        generatedAt: new Date().toISOString(),
+      };
+      yield `{"report":${JSON.stringify(meta)},"data":{`;
+
+      for (const [index, key] of sections.entries()) {
+        const value = dataSnapshot[key];
+        yield `${index > 0 ? ',' : ''}${JSON.stringify(key)}:`;
+        if (!Array.isArray(value)) {
+          yield JSON.stringify(value);
+          continue;
+        }
+        yield '[';
+        for (const [rowIndex, row] of renderer.toPlainRows(value).entries()) {
+          yield `${rowIndex > 0 ? ',' : ''}${JSON.stringify(row)}`;
+        }
+        yield ']';
+      }
+
+      yield '}}';
+    })());
+  }
+
+  // ==================== HELPERS ====================
+
+  /**
+   * Brand colour as #rrggbb, falling back to the default for invalid values
+   * @param {Object} brand - Branding
+   * @returns {string}
+   */
+  brandColor(brand) {
+    const color = String(brand.primaryColor || '');
+    if (/^#[0-9a-f]{6}$/i.test(color)) return color;
+    if (/^#[0-9a-f]{3}$/i.test(color)) return `#${[...color.slice(1)].map(char => char + char).join('')}`;
+    return DEFAULT_BRANDING.primaryColor;
+  }
+
+  csvLine(values) {
+    return `${values.map(value => this.csvCell(value)).join(',')}\r\n`;
+  }
+
+  csvCell(value) {
+    let text = value instanceof Date ? value.toISOString() : String(value ?? '');
+    // Keep spreadsheet apps from evaluating cells as formulas
+    if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  formatCell(value) {
+    return typeof value === 'number' ? value.toLocaleString('en-US') : String(value ?? '');
+  }
+
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+// Create singleton instance
+const reportRenderer = new ReportRenderer();
+
+module.exports = reportRenderer;
+module.exports.CONTENT_TYPES = CONTENT_TYPES;
+module.exports.FILE_EXTENSIONS = FILE_EXTENSIONS;
@@ -0,0 +1,42 @@
+/**
+ * AYAPaySettlementParser
+ * AYA Pay merchant account statement, laid out like a bank statement with
+ * separate debit and credit columns instead of a signed amount
+ */
+
+const BaseSettlementParser = require('./BaseSettlementParser');
+
+class AYAPaySettlementParser extends BaseSettlementParser {
+  constructor() {
+    super({
+      provider: 'ayapay',
+      name: 'AYA Pay',
+      columns: {
+        reference: ['transaction ref', 'transaction reference', 'reference no', 'reference no.'],
+        merchantReference: ['order id', 'external reference', 'external ref', 'merchant reference'],
+        debit: ['debit', 'debit amount', 'withdrawal'],
+        credit: ['credit', 'credit amount', 'deposit'],
+        fee: ['charges', 'fee', 'service charges'],
+        currency: ['currency', 'ccy'],
+        status: ['status'],
+        date: ['value date', 'transaction date', 'date'],
+      },
+      requiredColumns: ['debit', 'credit', 'date'],
+      settledStatuses: ['success', 'successful', 'completed', 'posted'],
+      dateOrder: 'DMY',
+    });
+  }
+
+  toLine(row, lineNumber) {
+    const credit = Math.abs(this.parseAmount(row.credit));
+    const debit = Math.abs(this.parseAmount(row.debit));
+
+    return super.toLine({ ...row, amount: credit || -debit }, lineNumber);
+  }
+
+  direction(row, amount) {
+    return amount < 0 ? 'out' : 'in';
+  }
+}
+
+module.exports = AYAPaySettlementParser;
@@ -0,0 +1,345 @@
+/**
+ * BaseSettlementParser
+ * Abstract base class for provider settlement and statement files
+ * Reads CSV or XLSX, finds the header row and turns each line into a
+ * normalized statement line; subclasses describe their columns
+ */
+
+const { ValidationError } = require('../../middleware/errorHandler.js');
+
+// How far down the sheet to look for the header row (title rows come first)
+const HEADER_SEARCH_ROWS = 20;
+
+// Myanmar Standard Time (UTC+06:30); provider files use local time
+const DEFAULT_UTC_OFFSET_MINUTES = 390;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+class BaseSettlementParser {
+  constructor(config = {}) {
+    this.provider = config.provider || 'base';
+    this.name = config.name || this.provider;
+
+    // Field => accepted header names (lowercase)
+    this.columns = config.columns || {};
+
+    // Fields whose column must exist in the file
+    this.requiredColumns = config.requiredColumns || ['amount', 'date'];
+
+    // Status values of settled lines; lines with other statuses are skipped
+    this.settledStatuses = config.settledStatuses || [];
+
+    // Order of day, month and year in text dates: 'YMD' or 'DMY'
+    this.dateOrder = config.dateOrder || 'YMD';
+
+    this.utcOffsetMinutes = config.utcOffsetMinutes ?? DEFAULT_UTC_OFFSET_MINUTES;
+  }
+
+  /**
+   * Parse a settlement file
+   * @param {Buffer|string} content - File content
+   * @param {string} format - csv or xlsx
+   * @returns {Promise<Object>} { lines, skipped, periodStart, periodEnd }
+   */
+  async parse(content, format) {
+    const rows = await this.readRows(content, format);
+    const header = this.findHeader(rows);
+
+    const lines = [];
+    let skipped = 0;
+
+    for (let i = header.index + 1; i < rows.length; i++) {
+      const values = rows[i];
+      if (!values.some(value => String(value ?? '').trim())) continue;
+
+      const row = {};
+      for (const [field, column] of Object.entries(header.columns)) {
+        row[field] = values[column];
+      }
+
+      const line = this.toLine(row, i + 1);
+      if (line) {
+        line.raw = this.rawRow(header.names, values);
+        lines.push(line);
+      } else {
+        skipped++;
+      }
+    }
+
+    const dates = lines.map(line => line.transactedAt).filter(Boolean).map(date => date.getTime());
+
+    return {
+      lines,
+      skipped,
+      periodStart: dates.length ? new Date(Math.min(...dates)) : null,
+      periodEnd: dates.length ? new Date(Math.max(...dates)) : null,
+    };
+  }
+
+  /**
+   * Turn a row into a statement line
+   * @param {Object} row - Cell values keyed by field
+   * @param {number} lineNumber - Line in the file
+   * @returns {Object|null} Line, or null to skip the row
+   */
+  toLine(row, lineNumber) {
+    if (!this.isSettled(row)) return null;
+
+    const amount = this.parseAmount(row.amount);
+    if (!amount) return null;
+
+    return {
+      lineNumber,
+      reference: this.text(row.reference),
+      merchantReference: this.text(row.merchantReference),
+      direction: this.direction(row, amount),
+      amount: Math.abs(amount),
+      fee: Math.abs(this.parseAmount(row.fee)),
+      currency: (this.text(row.currency) || 'MMK').toUpperCase(),
+      transactedAt: this.parseDate(row.date),
+    };
+  }
+
+  /**
+   * Whether money came in or went out on this row
+   * @param {Object} row - Cell values keyed by field
+   * @param {number} amount - Parsed amount
+   * @returns {string} in or out
+   */
+  direction(row, amount) {
+    throw new Error('direction() must be implemented by subclass');
+  }
+
+  /**
+   * Whether a row is a settled transaction
+   * @param {Object} row - Cell values keyed by field
+   * @returns {boolean}
+   */
+  isSettled(row) {
+    if (this.settledStatuses.length === 0 || row.status === undefined) return true;
+    return this.settledStatuses.includes(this.text(row.status).toLowerCase());
+  }
+
+  // ==================== READING ====================
+
+  /**
+   * Read a file into rows of cell values
+   * @param {Buffer|string} content - File content
+   * @param {string} format - csv or xlsx
+   * @returns {Promise<Array<Array>>}
+   */
+  async readRows(content, format) {
+    switch (format) {
+      case 'csv':
+        return this.readCsv(Buffer.isBuffer(content) ? content.toString('utf8') : String(content));
+      case 'xlsx':
+        return this.readXlsx(content);
+      default:
+        throw new ValidationError(`Unsupported settlement file format: ${format}`);
+    }
+  }
+
+  /**
+   * Parse CSV text; quoted cells may contain commas, quotes and newlines
+   * @param {string} text - CSV text
+   * @returns {Array<Array<string>>}
+   */
+  readCsv(text) {
+    const rows = [];
+    let row = [];
+    let current = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (inQuotes) {
+        if (char === '"' && input[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          current += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(current);
+        current = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        row.push(current);
+        rows.push(row);
+        row = [];
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    if (current || row.length) {
+      row.push(current);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Read the first worksheet of an XLSX workbook
+   * @param {Buffer} content - File content
+   * @returns {Promise<Array<Array>>}
+   */
+  async readXlsx(content) {
+    const ExcelJS = require('exceljs');
+    const workbook = new ExcelJS.Workbook();
+
+    try {
+      await workbook.xlsx.load(content);
+    } catch (error) {
+      throw new ValidationError(`Could not read XLSX file: ${error.message}`);
+    }
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) {
+      throw new ValidationError('XLSX file has no worksheets');
+    }
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+      const values = [];
+      row.eachCell({ includeEmpty: true }, (cell, column) => {
+        values[column - 1] = this.cellValue(cell.value);
+      });
+      rows[rowNumber - 1] = values;
+    });
+
+    return Array.from(rows, values => values || []);
+  }
+
+  /**
+   * Plain value of an exceljs cell (formula results, rich text, links)
+   * @param {*} value - Cell value
+   * @returns {*}
+   */
+  cellValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value;
+    if (typeof value === 'object') {
+      if (value.richText) return value.richText.map(part => part.text).join('');
+      if (value.result !== undefined) return this.cellValue(value.result);
+      if (value.text !== undefined) return value.text;
+    }
+    return value;
+  }
+
+  /**
+   * Find the header row and the column of each field
+   * @param {Array<Array>} rows - File rows
+   * @returns {Object} { index, columns, names }
+   */
+  findHeader(rows) {
+    const limit = Math.min(rows.length, HEADER_SEARCH_ROWS);
+
+    for (let index = 0; index < limit; index++) {
+      const names = rows[index].map(value => this.normalizeHeader(value));
+      const columns = {};
+
+      for (const [field, aliases] of Object.entries(this.columns)) {
+        const column = names.findIndex(name => aliases.includes(name));
+        if (column !== -1) columns[field] = column;
+      }
+
+      const hasReference = columns.reference !== undefined || columns.merchantReference !== undefined;
+      if (hasReference && this.requiredColumns.every(field => columns[field] !== undefined)) {
+        return { index, columns, names };
+      }
+    }
+
+    const expected = this.requiredColumns.map(field => `"${this.columns[field][0]}"`).join(', ');
+    throw new ValidationError(`Not a ${this.name} settlement file: expected a header row with a reference column and ${expected}`);
+  }
+
+  normalizeHeader(value) {
+    return String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  rawRow(names, values) {
+    const raw = {};
+    names.forEach((name, column) => {
+      if (name) raw[name] = values[column] instanceof Date ? values[column].toISOString() : values[column];
+    });
+    return raw;
+  }
+
+  // ==================== VALUES ====================
+
+  text(value) {
+    return value === null || value === undefined ? '' : String(value).trim();
+  }
+
+  /**
+   * Parse an amount such as "1,250,000.00", "MMK 5,000" or "(2,000)"
+   * @param {*} value - Cell value
+   * @returns {number}
+   */
+  parseAmount(value) {
+    if (typeof value === 'number') return value;
+
+    const text = this.text(value);
+    if (!text) return 0;
+
+    const negative = /^\(.*\)$/.test(text) || text.includes('-');
+    const amount = parseFloat(text.replace(/[^0-9.]/g, ''));
+    if (Number.isNaN(amount)) return 0;
+
+    return negative ? -amount : amount;
+  }
+
+  /**
+   * Parse a provider date in local time
+   * @param {*} value - Cell value (Date from XLSX, or text)
+   * @returns {Date|null}
+   */
+  parseDate(value) {
+    // XLSX dates carry the wall-clock time as if it were UTC
+    if (value instanceof Date) {
+      return new Date(value.getTime() - this.utcOffsetMinutes * 60 * 1000);
+    }
+
+    const text = this.text(value);
+    if (!text) return null;
+
+    let parts = null;
+    const compact = text.match(/^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?$/);
+    const ymd = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+    const dmy = text.match(/^(\d{1,2})[-/. ](\d{1,2}|[A-Za-z]{3})[-/. ](\d{4})(?:[ T,]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?)?/i);
+
+    if (compact) {
+      parts = compact.slice(1, 7);
+    } else if (this.dateOrder === 'DMY' && dmy) {
+      parts = [dmy[3], dmy[2], dmy[1], dmy[4], dmy[5], dmy[6]];
+      if (dmy[7] && parts[3]) {
+        const hour = parseInt(parts[3]) % 12;
+        parts[3] = dmy[7].toLowerCase() === 'pm' ? hour + 12 : hour;
+      }
+    } else if (ymd) {
+      parts = ymd.slice(1, 7);
+    }
+
+    if (!parts) return null;
+
+    const month = MONTHS.indexOf(String(parts[1]).toLowerCase()) !== -1
+      ? MONTHS.indexOf(String(parts[1]).toLowerCase())
+      : parseInt(parts[1]) - 1;
+    const [year, , day, hour, minute, second] = parts.map(part => parseInt(part) || 0);
+
+    const utc = Date.UTC(year, month, day, hour, minute, second) - this.utcOffsetMinutes * 60 * 1000;
+    const date = new Date(utc);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+}
+
+module.exports = BaseSettlementParser;
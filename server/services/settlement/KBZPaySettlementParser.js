@@ -0,0 +1,37 @@
+/**
+ * KBZPaySettlementParser
+ * KBZPay merchant settlement report (CSV or XLSX export from the merchant
+ * portal): one row per transaction with its type, status and MDR fee
+ */
+
+const BaseSettlementParser = require('./BaseSettlementParser');
+
+// Transaction types where money leaves the merchant account
+const OUTGOING_TYPES = /refund|disburse|transfer out|payout|withdraw|reversal/i;
+
+class KBZPaySettlementParser extends BaseSettlementParser {
+  constructor() {
+    super({
+      provider: 'kbzpay',
+      name: 'KBZPay',
+      columns: {
+        reference: ['trans id', 'transaction id', 'trans_id', 'kbzpay trans id'],
+        merchantReference: ['merchant order id', 'merch order id', 'merch_order_id', 'order id'],
+        type: ['trans type', 'transaction type', 'trade type'],
+        amount: ['amount', 'trans amount', 'total amount'],
+        fee: ['fee', 'mdr', 'merchant fee', 'mdr fee'],
+        currency: ['currency', 'trans currency'],
+        status: ['trans status', 'status'],
+        date: ['trans time', 'transaction time', 'trans_end_time', 'complete time'],
+      },
+      settledStatuses: ['success', 'successful', 'completed', 'paid'],
+      dateOrder: 'YMD',
+    });
+  }
+
+  direction(row, amount) {
+    return amount < 0 || OUTGOING_TYPES.test(this.text(row.type)) ? 'out' : 'in';
+  }
+}
+
+module.exports = KBZPaySettlementParser;
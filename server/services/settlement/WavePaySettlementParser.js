@@ -0,0 +1,36 @@
+/**
+ * WavePaySettlementParser
+ * WavePay (Wave Money) merchant statement: day-first dates, amounts in MMK
+ * and disbursements listed alongside customer payments
+ */
+
+const BaseSettlementParser = require('./BaseSettlementParser');
+
+// Transaction types where money leaves the merchant account
+const OUTGOING_TYPES = /disburse|cash out|refund|payout|transfer to/i;
+
+class WavePaySettlementParser extends BaseSettlementParser {
+  constructor() {
+    super({
+      provider: 'wavepay',
+      name: 'WavePay',
+      columns: {
+        reference: ['transaction id', 'wave transaction id', 'txn id'],
+        merchantReference: ['merchant reference', 'merchant reference id', 'merchant ref', 'order id'],
+        type: ['type', 'transaction type'],
+        amount: ['amount', 'amount (mmk)', 'transaction amount'],
+        fee: ['fee', 'fee (mmk)', 'commission'],
+        status: ['status', 'transaction status'],
+        date: ['date', 'transaction date', 'date/time', 'date time'],
+      },
+      settledStatuses: ['successful', 'success', 'completed'],
+      dateOrder: 'DMY',
+    });
+  }
+
+  direction(row, amount) {
+    return amount < 0 || OUTGOING_TYPES.test(this.text(row.type)) ? 'out' : 'in';
+  }
+}
+
+module.exports = WavePaySettlementParser;
@@ -0,0 +1,33 @@
+/**
+ * Settlement Parsers
+ * One parser per provider for the settlement and statement files finance
+ * receives; getSettlementParser picks the one for a provider code
+ */
+
+const KBZPaySettlementParser = require('./KBZPaySettlementParser');
+const WavePaySettlementParser = require('./WavePaySettlementParser');
+const AYAPaySettlementParser = require('./AYAPaySettlementParser');
+
+const PARSERS = {
+  kbzpay: KBZPaySettlementParser,
+  wavepay: WavePaySettlementParser,
+  ayapay: AYAPaySettlementParser,
+};
+
+/**
+ * Get the settlement parser for a provider
+ * @param {string} provider - Provider code
+ * @returns {BaseSettlementParser|null}
+ */
+function getSettlementParser(provider) {
+  const Parser = PARSERS[String(provider || '').toLowerCase()];
+  return Parser ? new Parser() : null;
+}
+
+module.exports = {
+  getSettlementParser,
+  SUPPORTED_PROVIDERS: Object.keys(PARSERS),
+  KBZPaySettlementParser,
+  WavePaySettlementParser,
+  AYAPaySettlementParser,
+};
@@ -0,0 +1,565 @@
+/**
+ * Settlement Reconciliation Service
+ * Imports provider settlement and statement files, matches each line to a
+ * PaymentTransaction or PayoutTransaction by reference and amount, and
+ * reports unmatched lines, amount mismatches and transactions missing from
+ * the file as exceptions for finance to resolve
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { SettlementImport, PayoutTransaction } = require('../models/index.js');
+const {
+  LINE_DIRECTIONS,
+  LINE_STATUS,
+  EXCEPTION_TYPES,
+  RESOLUTION_ACTIONS,
+} = require('../models/SettlementImport.js');
+const PaymentTransaction = require('../models/PaymentTransaction.js');
+const { TRANSACTION_STATUS: PAYOUT_TRANSACTION_STATUS } = require('../models/PayoutTransaction.js');
+const { getSettlementParser, SUPPORTED_PROVIDERS } = require('./settlement');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler.js');
+
+// Payment transaction types per statement direction
+const PAYMENT_TYPES = {
+  [LINE_DIRECTIONS.IN]: ['deposit'],
+  [LINE_DIRECTIONS.OUT]: ['withdrawal', 'refund'],
+};
+
+// Payment statuses that mean money moved at the provider
+const SETTLED_PAYMENT_STATUSES = ['completed', 'refunded', 'partially_refunded'];
+
+// Payout provider codes used for each settlement provider
+const PAYOUT_PROVIDER_CODES = {
+  kbzpay: ['kbzpay', 'kbz_pay'],
+  wavepay: ['wavepay', 'wave_pay', 'wave'],
+  ayapay: ['ayapay', 'aya_pay', 'aya'],
+};
+
+const toMinor = amount => Math.round((amount || 0) * 100);
+
+const payoutProviderCodes = provider => PAYOUT_PROVIDER_CODES[provider] || [provider];
+
+class SettlementReconciliationService {
+  // ==================== IMPORT ====================
+
+  /**
+   * Import a settlement file and reconcile it
+   * @param {Object} params - { provider, content, fileName, format, periodStart, periodEnd, userId }
+   * @returns {Promise<Object>} SettlementImport
+   */
+  async importFile({ provider, content, fileName, format, periodStart, periodEnd, userId }) {
+    const parser = getSettlementParser(provider);
+    if (!parser) {
+      throw new ValidationError(`provider must be one of: ${SUPPORTED_PROVIDERS.join(', ')}`);
+    }
+
+    const fileFormat = (format || path.extname(fileName || '').slice(1)).toLowerCase();
+    if (!['csv', 'xlsx'].includes(fileFormat)) {
+      throw new ValidationError('Settlement files must be CSV or XLSX');
+    }
+
+    const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+    const previous = await SettlementImport.findOne({ provider: parser.provider, sha256 }).select('_id createdAt');
+    if (previous) {
+      throw new ConflictError(`This file was already imported on ${previous.createdAt.toISOString()} (import ${previous._id})`);
+    }
+
+    const parsed = await parser.parse(content, fileFormat);
+    if (parsed.lines.length === 0) {
+      throw new ValidationError('The file has no settled transactions');
+    }
+
+    const settlement = new SettlementImport({
+      provider: parser.provider,
+      fileName,
+      format: fileFormat,
+      sha256,
+      periodStart: periodStart || parsed.periodStart,
+      periodEnd: periodEnd || parsed.periodEnd,
+      lines: parsed.lines,
+      importedBy: userId,
+    });
+
+    await this.matchLines(settlement);
+    await this.findMissingTransactions(settlement);
+    this.summarize(settlement);
+
+    await settlement.save();
+    await this.markReconciled(settlement);
+
+    return settlement;
+  }
+
+  /**
+   * Match every line to a transaction by reference, then compare amounts
+   * @param {Object} settlement - SettlementImport (unsaved)
+   * @returns {Promise<void>}
+   */
+  async matchLines(settlement) {
+    const candidates = await this.findCandidates(settlement.provider, settlement.lines);
+    const claimed = new Set();
+
+    for (const line of settlement.lines) {
+      const match = this.findMatch(candidates, line, claimed);
+
+      if (!match) {
+        line.status = LINE_STATUS.UNMATCHED;
+        settlement.exceptions.push({
+          type: EXCEPTION_TYPES.UNMATCHED_LINE,
+          lineNumber: line.lineNumber,
+          reference: line.reference || line.merchantReference,
+          statementAmount: line.amount,
+        });
+        continue;
+      }
+
+      const { model, transaction } = match;
+      claimed.add(String(transaction._id));
+      line.transactionModel = model;
+      line.transactionId = transaction._id;
+
+      const difference = toMinor(line.amount - transaction.amount) / 100;
+      if (difference === 0) {
+        line.status = LINE_STATUS.MATCHED;
+        continue;
+      }
+
+      line.status = LINE_STATUS.AMOUNT_MISMATCH;
+      settlement.exceptions.push({
+        type: EXCEPTION_TYPES.AMOUNT_MISMATCH,
+        lineNumber: line.lineNumber,
+        reference: line.reference || line.merchantReference,
+        transactionModel: model,
+        transactionId: transaction._id,
+        transactionNumber: transaction.transactionNumber,
+        expectedAmount: transaction.amount,
+        statementAmount: line.amount,
+        difference,
+      });
+    }
+  }
+
+  /**
+   * Load the transactions any line could refer to, in two queries
+   * @param {string} provider - Settlement provider
+   * @param {Array} lines - Statement lines
+   * @returns {Promise<Object>} { payments, payouts } lookup indexes
+   */
+  async findCandidates(provider, lines) {
+    const references = [...new Set(lines.map(line => line.reference).filter(Boolean))];
+    const merchantReferences = [...new Set(lines.map(line => line.merchantReference).filter(Boolean))];
+    const transactionNumbers = [...new Set([...references, ...merchantReferences].map(value => value.toUpperCase()))];
+
+    const [payments, payouts] = await Promise.all([
+      PaymentTransaction.find({
+        provider,
+        $or: [
+          { providerTransactionId: { $in: references } },
+          { orderId: { $in: merchantReferences } },
+          { transactionNumber: { $in: transactionNumbers } },
+        ],
+      }),
+      lines.some(line => line.direction === LINE_DIRECTIONS.OUT)
+        ? PayoutTransaction.find({
+          $or: [
+            { providerTransactionId: { $in: references } },
+            { providerReference: { $in: [...references, ...merchantReferences] } },
+            { transactionNumber: { $in: transactionNumbers } },
+          ],
+        })
+        : [],
+    ]);
+
+    return {
+      payments: this.indexBy(payments, ['providerTransactionId', 'orderId', 'transactionNumber']),
+      payouts: this.indexBy(payouts, ['providerTransactionId', 'providerReference', 'transactionNumber']),
+    };
+  }
+
+  /**
+   * Index transactions by each of their reference fields
+   * @param {Array} transactions - Transactions
+   * @param {Array<string>} fields - Reference fields
+   * @returns {Map} reference => transactions
+   */
+  indexBy(transactions, fields) {
+    const index = new Map();
+    for (const transaction of transactions) {
+      for (const field of fields) {
+        const value = transaction[field];
+        if (!value) continue;
+
+        const key = String(value).toUpperCase();
+        if (!index.has(key)) index.set(key, []);
+        if (!index.get(key).includes(transaction)) index.get(key).push(transaction);
+      }
+    }
+    return index;
+  }
+
+  /**
+   * Find the transaction a line refers to. Outgoing lines are payouts first,
+   * then payment withdrawals and refunds; a transaction matches one line only.
+   * @param {Object} candidates - Lookup indexes from findCandidates
+   * @param {Object} line - Statement line
+   * @param {Set} claimed - Transaction IDs already matched
+   * @returns {Object|null} { model, transaction }
+   */
+  findMatch(candidates, line, claimed) {
+    const keys = [line.reference, line.merchantReference].filter(Boolean).map(value => value.toUpperCase());
+
+    const lookup = (index, accept) => {
+      for (const key of keys) {
+        const found = (index.get(key) || []).find(transaction =>
+          !claimed.has(String(transaction._id)) && accept(transaction));
+        if (found) return found;
+      }
+      return null;
+    };
+
+    if (line.direction === LINE_DIRECTIONS.OUT) {
+      const payout = lookup(candidates.payouts, () => true);
+      if (payout) return { model: 'PayoutTransaction', transaction: payout };
+    }
+
+    const payment = lookup(candidates.payments, transaction => PAYMENT_TYPES[line.direction].includes(transaction.type));
+    return payment ? { model: 'PaymentTransaction', transaction: payment } : null;
+  }
+
+  /**
+   * Add an exception for every settled transaction in the statement period
+   * that no line matched and that has not been reconciled before
+   * @param {Object} settlement - SettlementImport (unsaved)
+   * @returns {Promise<void>}
+   */
+  async findMissingTransactions(settlement) {
+    if (!settlement.periodStart || !settlement.periodEnd) return;
+
+    const matched = settlement.lines.filter(line => line.transactionId).map(line => line.transactionId);
+    const period = { $gte: settlement.periodStart, $lte: settlement.periodEnd };
+    const payoutCodes = payoutProviderCodes(settlement.provider).map(code => new RegExp(`^${code}$`, 'i'));
+
+    const [payments, payouts] = await Promise.all([
+      PaymentTransaction.find({
+        _id: { $nin: matched },
+        provider: settlement.provider,
+        status: { $in: SETTLED_PAYMENT_STATUSES },
+        completedAt: period,
+        reconciledAt: null,
+      }).select('transactionNumber amount'),
+      PayoutTransaction.find({
+        _id: { $nin: matched },
+        providerCode: { $in: payoutCodes },
+        status: PAYOUT_TRANSACTION_STATUS.COMPLETED,
+        completedAt: period,
+        reconciled: false,
+      }).select('transactionNumber amount'),
+    ]);
+
+    const missing = [
+      ...payments.map(transaction => ({ model: 'PaymentTransaction', transaction })),
+      ...payouts.map(transaction => ({ model: 'PayoutTransaction', transaction })),
+    ];
+
+    for (const { model, transaction } of missing) {
+      settlement.exceptions.push({
+        type: EXCEPTION_TYPES.MISSING_TRANSACTION,
+        reference: transaction.transactionNumber,
+        transactionModel: model,
+        transactionId: transaction._id,
+        transactionNumber: transaction.transactionNumber,
+        expectedAmount: transaction.amount,
+      });
+    }
+  }
+
+  /**
+   * Count lines and exceptions and total the statement
+   * @param {Object} settlement - SettlementImport
+   */
+  summarize(settlement) {
+    const count = (items, key, value) => items.filter(item => item[key] === value).length;
+    const sum = (lines, field) => toMinor(lines.reduce((total, line) => total + (line[field] || 0), 0)) / 100;
+
+    settlement.summary = {
+      lineCount: settlement.lines.length,
+      matched: count(settlement.lines, 'status', LINE_STATUS.MATCHED),
+      amountMismatches: count(settlement.exceptions, 'type', EXCEPTION_TYPES.AMOUNT_MISMATCH),
+      unmatchedLines: count(settlement.exceptions, 'type', EXCEPTION_TYPES.UNMATCHED_LINE),
+      missingTransactions: count(settlement.exceptions, 'type', EXCEPTION_TYPES.MISSING_TRANSACTION),
+      totalIn: sum(settlement.lines.filter(line => line.direction === LINE_DIRECTIONS.IN), 'amount'),
+      totalOut: sum(settlement.lines.filter(line => line.direction === LINE_DIRECTIONS.OUT), 'amount'),
+      totalFees: sum(settlement.lines, 'fee'),
+    };
+  }
+
+  /**
+   * Record the outcome on matched and mismatched transactions
+   * @param {Object} settlement - Saved SettlementImport
+   * @returns {Promise<void>}
+   */
+  async markReconciled(settlement) {
+    for (const line of settlement.lines) {
+      if (!line.transactionId) continue;
+
+      const notes = `Settlement import ${settlement._id}, ${settlement.fileName || settlement.provider} line ${line.lineNumber}`;
+      if (line.status === LINE_STATUS.MATCHED) {
+        await this.setTransactionOutcome(line.transactionModel, line.transactionId, 'matched', notes);
+      } else if (line.status === LINE_STATUS.AMOUNT_MISMATCH) {
+        await this.setTransactionOutcome(line.transactionModel, line.transactionId, 'mismatched', notes);
+      }
+    }
+  }
+
+  /**
+   * Write a reconciliation outcome onto a transaction
+   * @param {string} model - PaymentTransaction or PayoutTransaction
+   * @param {string} transactionId - Transaction ID
+   * @param {string} outcome - matched, mismatched or disputed
+   * @param {string} notes - Reconciliation notes
+   * @returns {Promise<void>}
+   */
+  async setTransactionOutcome(model, transactionId, outcome, notes) {
+    const reconciled = outcome === 'matched';
+
+    if (model === 'PaymentTransaction') {
+      await PaymentTransaction.updateOne({ _id: transactionId }, {
+        $set: {
+          reconciliationStatus: outcome,
+          reconciledAt: reconciled ? new Date() : null,
+          reconciliationNotes: notes,
+        },
+      });
+    } else {
+      await PayoutTransaction.updateOne({ _id: transactionId }, {
+        $set: {
+          reconciled,
+          reconciledAt: reconciled ? new Date() : null,
+          reconciliationNotes: notes,
+        },
+      });
+    }
+  }
+
+  // ==================== EXCEPTIONS ====================
+
+  /**
+   * Resolve a reconciliation exception
+   * @param {string} importId - SettlementImport ID
+   * @param {string} exceptionId - Exception ID
+   * @param {Object} resolution - { action, notes, transactionId } (transactionId for link)
+   * @param {string} userId - Admin resolving it
+   * @returns {Promise<Object>} { settlement, exception }
+   */
+  async resolveException(importId, exceptionId, { action, notes, transactionId }, userId) {
+    if (!Object.values(RESOLUTION_ACTIONS).includes(action)) {
+      throw new ValidationError(`action must be one of: ${Object.values(RESOLUTION_ACTIONS).join(', ')}`);
+    }
+    if (!notes && action !== RESOLUTION_ACTIONS.LINK) {
+      throw new ValidationError('Notes are required to resolve an exception');
+    }
+
+    const settlement = await SettlementImport.findById(importId);
+    if (!settlement) {
+      throw new NotFoundError('Settlement import');
+    }
+
+    const exception = settlement.exceptions.id(exceptionId);
+    if (!exception) {
+      throw new NotFoundError('Settlement exception');
+    }
+    if (exception.resolved) {
+      throw new ConflictError('Exception is already resolved');
+    }
+
+    const line = exception.lineNumber
+      ? settlement.lines.find(item => item.lineNumber === exception.lineNumber)
+      : null;
+    const outcomeNotes = `Settlement import ${settlement._id}: ${action}${notes ? ` - ${notes}` : ''}`;
+
+    switch (action) {
+      case RESOLUTION_ACTIONS.LINK:
+        await this.linkLine(settlement, exception, line, transactionId, outcomeNotes);
+        break;
+      case RESOLUTION_ACTIONS.ACCEPT:
+        // A mismatch accepted as correct reconciles the transaction; a
+        // missing transaction stays open for the next file
+        if (exception.type === EXCEPTION_TYPES.AMOUNT_MISMATCH) {
+          await this.setTransactionOutcome(exception.transactionModel, exception.transactionId, 'matched', outcomeNotes);
+        }
+        break;
+      case RESOLUTION_ACTIONS.DISPUTE:
+        if (exception.transactionId) {
+          await this.setTransactionOutcome(exception.transactionModel, exception.transactionId, 'disputed', outcomeNotes);
+        }
+        break;
+      default:
+        break;
+    }
+
+    exception.resolved = true;
+    exception.resolution = {
+      action,
+      notes,
+      resolvedBy: userId,
+      resolvedAt: new Date(),
+    };
+
+    this.summarize(settlement);
+    await settlement.save();
+
+    return { settlement, exception };
+  }
+
+  /**
+   * Match an unmatched line to a transaction chosen by an admin. The
+   * transaction must be the file provider's and not reconciled already; a
+   * different amount is raised as an amount mismatch to resolve next.
+   * @param {Object} settlement - SettlementImport
+   * @param {Object} exception - Unmatched line exception
+   * @param {Object} line - Statement line
+   * @param {string} transactionId - PaymentTransaction or PayoutTransaction ID
+   * @param {string} notes - Reconciliation notes
+   * @returns {Promise<void>}
+   */
+  async linkLine(settlement, exception, line, transactionId, notes) {
+    if (exception.type !== EXCEPTION_TYPES.UNMATCHED_LINE || !line) {
+      throw new ValidationError('Only unmatched lines can be linked to a transaction');
+    }
+    if (!transactionId) {
+      throw new ValidationError('transactionId is required to link a line');
+    }
+
+    const [payout, payment] = await Promise.all([
+      line.direction === LINE_DIRECTIONS.OUT ? PayoutTransaction.findById(transactionId) : null,
+      PaymentTransaction.findById(transactionId),
+    ]);
+    const transaction = payout || payment;
+    if (!transaction) {
+      throw new NotFoundError('Transaction');
+    }
+
+    const model = payout ? 'PayoutTransaction' : 'PaymentTransaction';
+    const sameProvider = payout
+      ? payoutProviderCodes(settlement.provider).includes(String(payout.providerCode).toLowerCase())
+      : payment.provider === settlement.provider;
+    if (!sameProvider) {
+      throw new ValidationError(`Transaction ${transaction.transactionNumber} was not made through ${settlement.provider}`);
+    }
+
+    const alreadyMatched = settlement.lines.some(item => String(item.transactionId) === String(transaction._id));
+    if (alreadyMatched) {
+      throw new ConflictError(`Transaction ${transaction.transactionNumber} is already matched to a line in this file`);
+    }
+    if (payout ? payout.reconciled : payment.reconciledAt) {
+      throw new ConflictError(`Transaction ${transaction.transactionNumber} is already reconciled`);
+    }
+
+    const difference = toMinor(line.amount - transaction.amount) / 100;
+
+    line.transactionModel = model;
+    line.transactionId = transaction._id;
+    line.status = difference === 0 ? LINE_STATUS.MATCHED : LINE_STATUS.AMOUNT_MISMATCH;
+
+    exception.transactionModel = model;
+    exception.transactionId = transaction._id;
+    exception.transactionNumber = transaction.transactionNumber;
+    exception.expectedAmount = transaction.amount;
+    exception.difference = difference;
+
+    if (difference !== 0) {
+      settlement.exceptions.push({
+        type: EXCEPTION_TYPES.AMOUNT_MISMATCH,
+        lineNumber: line.lineNumber,
+        reference: line.reference || line.merchantReference,
+        transactionModel: model,
+        transactionId: transaction._id,
+        transactionNumber: transaction.transactionNumber,
+        expectedAmount: transaction.amount,
+        statementAmount: line.amount,
+        difference,
+      });
+    }
+
+    // The transaction is no longer missing from this file
+    for (const missing of settlement.exceptions) {
+      if (missing.type === EXCEPTION_TYPES.MISSING_TRANSACTION && !missing.resolved &&
+          String(missing.transactionId) === String(transaction._id)) {
+        missing.resolved = true;
+        missing.resolution = { action: RESOLUTION_ACTIONS.LINK, notes: `Linked to line ${line.lineNumber}`, resolvedAt: new Date() };
+      }
+    }
+
+    await this.setTransactionOutcome(model, transaction._id, difference === 0 ? 'matched' : 'mismatched', notes);
+  }
+
+  // ==================== QUERIES ====================
+
+  /**
+   * List imports without their lines
+   * @param {Object} filters - { provider, status, page, limit }
+   * @returns {Promise<Object>} { imports, pagination }
+   */
+  async listImports({ provider, status, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (provider) query.provider = provider;
+    if (status) query.status = status;
+
+    const pageNumber = parseInt(page) || 1;
+    const pageSize = parseInt(limit) || 20;
+
+    const [imports, total] = await Promise.all([
+      SettlementImport.find(query)
+        .select('-lines -exceptions')
+        .populate('importedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      SettlementImport.countDocuments(query),
+    ]);
+
+    return {
+      imports,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize),
+      },
+    };
+  }
+
+  /**
+   * Open (or all) exceptions across imports
+   * @param {Object} filters - { provider, type, resolved, limit }
+   * @returns {Promise<Array>}
+   */
+  async listExceptions({ provider, type, resolved = false, limit = 200 } = {}) {
+    const match = { 'exceptions.resolved': resolved };
+    if (type) match['exceptions.type'] = type;
+
+    return SettlementImport.aggregate([
+      { $match: provider ? { provider } : {} },
+      { $unwind: '$exceptions' },
+      { $match: match },
+      { $sort: { createdAt: -1, 'exceptions.lineNumber': 1 } },
+      { $limit: parseInt(limit) || 200 },
+      {
+        $project: {
+          _id: 0,
+          importId: '$_id',
+          provider: 1,
+          fileName: 1,
+          importedAt: '$createdAt',
+          exception: '$exceptions',
+        },
+      },
+    ]);
+  }
+}
+
+// Create singleton instance
+const settlementReconciliationService = new SettlementReconciliationService();
+
+module.exports = settlementReconciliationService;
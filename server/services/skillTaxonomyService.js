@@ -0,0 +1,602 @@
+/**
+ * Skill Taxonomy Service
+ * Canonical skill lookup and adjacency-aware skill matching. The active
+ * taxonomy is held in memory so matching stays synchronous; admin changes
+ * clear the snapshot and the next load picks them up.
+ */
+
+const Skill = require('../models/Skill.js');
+const { SKILL_CATEGORIES, normalizeSkillKey } = require('../models/Skill.js');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler.js');
+
+// How long the in-memory taxonomy is reused
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Credit for a required skill, by how the candidate's skill relates to it
+const ADJACENCY_CREDIT = {
+  exact: 1,
+  child: 0.8, // candidate has a specialisation, e.g. Vue for Frontend
+  related: 0.5, // explicitly related, e.g. MySQL for PostgreSQL
+  sibling: 0.4, // same parent, e.g. Vue for React
+  parent: 0.3, // candidate only has the broader skill, e.g. Frontend for React
+};
+
+// Deepest parent chain followed
+const MAX_DEPTH = 10;
+
+// Multi-value CSV cells are separated by pipes
+const CSV_LIST_SEPARATOR = '|';
+
+class SkillTaxonomyService {
+  constructor() {
+    this.nodes = new Map();
+    this.byKey = new Map();
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  // ==================== TAXONOMY SNAPSHOT ====================
+
+  /**
+   * Load the active taxonomy unless the snapshot is still fresh
+   * @param {Object} options - { force }
+   * @returns {Promise<void>}
+   */
+  async load({ force = false } = {}) {
+    if (!force && this.loadedAt && Date.now() - this.loadedAt < CACHE_TTL_MS) {
+      return;
+    }
+
+    if (!this.loading) {
+      this.loading = Skill.find({ isActive: true })
+        .select('name key aliasKeys category parentId relatedSkillIds')
+        .lean()
+        .then(skills => this.useTaxonomy(skills))
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+
+    await this.loading;
+  }
+
+  /**
+   * Replace the in-memory taxonomy
+   * @param {Array} skills - Skill documents (lean)
+   */
+  useTaxonomy(skills) {
+    this.nodes = new Map();
+    this.byKey = new Map();
+
+    skills.forEach(skill => {
+      const id = String(skill._id);
+      this.nodes.set(id, {
+        id,
+        name: skill.name,
+        key: skill.key || normalizeSkillKey(skill.name),
+        category: skill.category || SKILL_CATEGORIES.OTHER,
+        parentId: skill.parentId ? String(skill.parentId) : null,
+        related: new Set((skill.relatedSkillIds || []).map(String)),
+      });
+    });
+
+    this.nodes.forEach(node => {
+      this.byKey.set(node.key, node.id);
+      // Related skills count both ways
+      node.related.forEach(relatedId => this.nodes.get(relatedId)?.related.add(node.id));
+    });
+
+    // Canonical names win over aliases that collide with them
+    skills.forEach(skill => {
+      (skill.aliasKeys || []).forEach(aliasKey => {
+        if (!this.byKey.has(aliasKey)) this.byKey.set(aliasKey, String(skill._id));
+      });
+    });
+
+    this.loadedAt = Date.now();
+  }
+
+  /**
+   * Drop the snapshot so the next load reads the database
+   */
+  clearCache() {
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Find the taxonomy node a skill name or alias refers to
+   * @param {string} name - Skill name
+   * @returns {Object|null} Node
+   */
+  resolve(name) {
+    const id = this.byKey.get(normalizeSkillKey(name));
+    return id ? this.nodes.get(id) : null;
+  }
+
+  /**
+   * Canonical name of a skill, or the name as entered when unknown
+   * @param {string} name - Skill name
+   * @returns {string}
+   */
+  canonicalName(name) {
+    return this.resolve(name)?.name || String(name || '').trim();
+  }
+
+  /**
+   * Canonical names without duplicates
+   * @param {Array<string>} names - Skill names
+   * @returns {Array<string>}
+   */
+  canonicalizeList(names) {
+    const seen = new Set();
+    return (names || []).reduce((result, name) => {
+      const canonical = this.canonicalName(name);
+      const key = normalizeSkillKey(canonical);
+      if (key && !seen.has(key)) {
+        seen.add(key);
+        result.push(canonical);
+      }
+      return result;
+    }, []);
+  }
+
+  /**
+   * Categories of the known skills in a list
+   * @param {Array<string>} names - Skill names
+   * @returns {Array<string>} Categories, excluding 'other'
+   */
+  categorize(names) {
+    const categories = new Set();
+    (names || []).forEach(name => {
+      const node = this.resolve(name);
+      if (node && node.category !== SKILL_CATEGORIES.OTHER) categories.add(node.category);
+    });
+    return [...categories];
+  }
+
+  /**
+   * IDs of a node's ancestors, nearest first
+   * @param {Object} node - Taxonomy node
+   * @returns {Array<string>}
+   */
+  getAncestorIds(node) {
+    const ancestors = [];
+    let parentId = node.parentId;
+    while (parentId && ancestors.length < MAX_DEPTH && !ancestors.includes(parentId)) {
+      ancestors.push(parentId);
+      parentId = this.nodes.get(parentId)?.parentId;
+    }
+    return ancestors;
+  }
+
+  /**
+   * How a candidate skill relates to a required skill
+   * @param {Object} required - Required skill node
+   * @param {Object} candidate - Candidate skill node
+   * @returns {string|null} exact, child, related, sibling, parent or null
+   */
+  relationBetween(required, candidate) {
+    if (required.id === candidate.id) return 'exact';
+    if (this.getAncestorIds(candidate).includes(required.id)) return 'child';
+    if (required.related.has(candidate.id)) return 'related';
+    if (required.parentId && required.parentId === candidate.parentId) return 'sibling';
+    if (this.getAncestorIds(required).includes(candidate.id)) return 'parent';
+    return null;
+  }
+
+  /**
+   * Match required skills against a candidate's skills, crediting adjacent
+   * skills from the taxonomy. Skills missing from the taxonomy fall back to
+   * comparing their normalised names, including partial names.
+   * @param {Array<string>} requiredSkills - Skills the job asks for
+   * @param {Array<string>} candidateSkills - Skills the candidate has
+   * @returns {Object} { matched, adjacent, missing, extraSkills, credit, percentage }
+   */
+  matchSkills(requiredSkills, candidateSkills) {
+    const required = this.canonicalizeList(requiredSkills);
+    const candidates = this.canonicalizeList(candidateSkills).map(name => ({
+      name,
+      key: normalizeSkillKey(name),
+      node: this.resolve(name),
+    }));
+
+    const matched = [];
+    const adjacent = [];
+    const missing = [];
+    const used = new Set();
+    let credit = 0;
+
+    required.forEach(skill => {
+      const node = this.resolve(skill);
+      const key = normalizeSkillKey(skill);
+      let best = null;
+
+      candidates.forEach(candidate => {
+        let relation = null;
+        if (node && candidate.node) {
+          relation = this.relationBetween(node, candidate.node);
+        } else if (candidate.key === key || candidate.key.includes(key) || key.includes(candidate.key)) {
+          relation = 'exact';
+        }
+
+        if (relation && (!best || ADJACENCY_CREDIT[relation] > ADJACENCY_CREDIT[best.relation])) {
+          best = { relation, candidate };
+        }
+      });
+
+      if (!best) {
+        missing.push(skill);
+        return;
+      }
+
+      used.add(best.candidate.key);
+      credit += ADJACENCY_CREDIT[best.relation];
+
+      if (best.relation === 'exact') {
+        matched.push(skill);
+      } else {
+        adjacent.push({
+          skill,
+          candidateSkill: best.candidate.name,
+          relation: best.relation,
+          credit: ADJACENCY_CREDIT[best.relation],
+        });
+      }
+    });
+
+    return {
+      matched,
+      adjacent,
+      missing,
+      extraSkills: candidates.filter(candidate => !used.has(candidate.key)).map(candidate => candidate.name),
+      credit,
+      percentage: required.length > 0 ? (credit / required.length) * 100 : 100,
+    };
+  }
+
+  // ==================== ADMINISTRATION ====================
+
+  /**
+   * List skills
+   * @param {Object} options - { search, category, parentId, includeInactive, page, limit }
+   * @returns {Promise<Object>} { skills, pagination }
+   */
+  async listSkills({ search, category, parentId, includeInactive = false, page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (!includeInactive) query.isActive = true;
+    if (category) query.category = category;
+    if (parentId) query.parentId = parentId === 'root' ? null : parentId;
+    if (search) {
+      const key = normalizeSkillKey(search);
+      query.$or = [
+        { name: { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' } },
+        { key: { $regex: `^${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` } },
+        { aliasKeys: key },
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [skills, total] = await Promise.all([
+      Skill.find(query)
+        .populate('parentId', 'name')
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Skill.countDocuments(query),
+    ]);
+
+    return {
+      skills,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        limit: parseInt(limit),
+      },
+    };
+  }
+
+  /**
+   * Get a skill with its parent, children and related skills
+   * @param {string} id - Skill ID
+   * @returns {Promise<Object>}
+   */
+  async getSkill(id) {
+    const skill = await Skill.findById(id)
+      .populate('parentId', 'name category')
+      .populate('relatedSkillIds', 'name category');
+    if (!skill) {
+      throw new NotFoundError('Skill');
+    }
+
+    const children = await Skill.find({ parentId: skill._id }).select('name category isActive').sort({ name: 1 });
+    return { skill, children };
+  }
+
+  /**
+   * Create a skill
+   * @param {Object} data - { name, aliases, category, parentId, relatedSkillIds, description }
+   * @param {string} userId - Admin user ID
+   * @returns {Promise<Document>}
+   */
+  async createSkill(data, userId = null) {
+    const skill = new Skill({ createdBy: userId, updatedBy: userId });
+    await this.applyChanges(skill, data);
+    await skill.save();
+
+    this.clearCache();
+    return skill;
+  }
+
+  /**
+   * Update a skill
+   * @param {string} id - Skill ID
+   * @param {Object} data - Fields to change
+   * @param {string} userId - Admin user ID
+   * @returns {Promise<Document>}
+   */
+  async updateSkill(id, data, userId = null) {
+    const skill = await Skill.findById(id);
+    if (!skill) {
+      throw new NotFoundError('Skill');
+    }
+
+    await this.applyChanges(skill, data);
+    skill.updatedBy = userId;
+    await skill.save();
+
+    this.clearCache();
+    return skill;
+  }
+
+  /**
+   * Delete a skill; its children move up to its parent and links to it are removed
+   * @param {string} id - Skill ID
+   * @returns {Promise<Document>} Deleted skill
+   */
+  async deleteSkill(id) {
+    const skill = await Skill.findById(id);
+    if (!skill) {
+      throw new NotFoundError('Skill');
+    }
+
+    await Skill.updateMany({ parentId: skill._id }, { $set: { parentId: skill.parentId || null } });
+    await Skill.updateMany({ relatedSkillIds: skill._id }, { $pull: { relatedSkillIds: skill._id } });
+    await skill.deleteOne();
+
+    this.clearCache();
+    return skill;
+  }
+
+  /**
+   * Validate and apply changes to a skill document
+   * @param {Document} skill - Skill document
+   * @param {Object} data - Fields to change
+   * @returns {Promise<void>}
+   */
+  async applyChanges(skill, data) {
+    const fields = ['name', 'aliases', 'category', 'description', 'isActive'];
+    fields.forEach(field => {
+      if (data[field] !== undefined) skill[field] = data[field];
+    });
+
+    if (!skill.name) {
+      throw new ValidationError('Skill name is required');
+    }
+    if (skill.category && !Object.values(SKILL_CATEGORIES).includes(skill.category)) {
+      throw new ValidationError(`Category must be one of: ${Object.values(SKILL_CATEGORIES).join(', ')}`);
+    }
+
+    // Names and aliases must not point at another skill
+    const keys = [skill.name, ...(skill.aliases || [])].map(normalizeSkillKey).filter(Boolean);
+    const conflict = await Skill.findOne({
+      _id: { $ne: skill._id },
+      $or: [{ key: { $in: keys } }, { aliasKeys: { $in: keys } }],
+    }).select('name');
+    if (conflict) {
+      throw new ConflictError(`"${skill.name}" or one of its aliases is already used by ${conflict.name}`);
+    }
+
+    if (data.parentId !== undefined) {
+      skill.parentId = data.parentId || null;
+      await this.assertValidParent(skill);
+    }
+
+    if (data.relatedSkillIds !== undefined) {
+      const relatedIds = [...new Set(data.relatedSkillIds.map(String))].filter(relatedId => relatedId !== String(skill._id));
+      const found = await Skill.countDocuments({ _id: { $in: relatedIds } });
+      if (found !== relatedIds.length) {
+        throw new ValidationError('One or more related skills do not exist');
+      }
+      skill.relatedSkillIds = relatedIds;
+    }
+  }
+
+  /**
+   * Ensure a skill's parent exists and does not create a cycle
+   * @param {Document} skill - Skill document
+   * @returns {Promise<void>}
+   */
+  async assertValidParent(skill) {
+    let parentId = skill.parentId;
+
+    for (let depth = 0; parentId; depth++) {
+      if (String(parentId) === String(skill._id)) {
+        throw new ValidationError('A skill cannot be placed under itself or one of its children');
+      }
+      if (depth >= MAX_DEPTH) {
+        throw new ValidationError(`Skill hierarchy cannot be deeper than ${MAX_DEPTH} levels`);
+      }
+
+      const parent = await Skill.findById(parentId).select('parentId');
+      if (!parent) {
+        throw new ValidationError('Parent skill not found');
+      }
+      parentId = parent.parentId;
+    }
+  }
+
+  // ==================== CSV IMPORT ====================
+
+  /**
+   * Import skills from CSV with the columns
+   * name, aliases, category, parent, related, description.
+   * aliases and related hold pipe-separated lists; parent and related
+   * refer to skills by name or alias, in the file or already stored.
+   * @param {string} csv - CSV text
+   * @param {string} userId - Admin user ID
+   * @param {Object} options - { overwrite } - replace aliases and links of existing skills instead of merging
+   * @returns {Promise<Object>} { created, updated, errors }
+   */
+  async importCsv(csv, userId = null, { overwrite = false } = {}) {
+    const rows = this.parseCsv(csv);
+    const results = { created: 0, updated: 0, errors: [] };
+    const imported = [];
+
+    // Pass 1: skills and aliases
+    for (const row of rows) {
+      try {
+        if (!row.name) {
+          throw new Error('name is required');
+        }
+
+        const aliases = this.splitList(row.aliases);
+        let skill = await Skill.findByNameOrAlias(row.name);
+
+        if (skill) {
+          await this.applyChanges(skill, {
+            aliases: overwrite ? aliases : [...skill.aliases, ...aliases],
+            category: row.category || undefined,
+            description: row.description || undefined,
+          });
+          skill.updatedBy = userId;
+          await skill.save();
+          results.updated++;
+        } else {
+          skill = new Skill({ createdBy: userId, updatedBy: userId });
+          await this.applyChanges(skill, {
+            name: row.name,
+            aliases,
+            category: row.category || SKILL_CATEGORIES.OTHER,
+            description: row.description,
+          });
+          await skill.save();
+          results.created++;
+        }
+
+        imported.push({ row, skill });
+      } catch (error) {
+        results.errors.push({ line: row.line, name: row.name, error: error.message });
+      }
+    }
+
+    // Pass 2: hierarchy and related skills, now that every row exists
+    for (const { row, skill } of imported) {
+      try {
+        const changes = {};
+
+        if (row.parent) {
+          const parent = await Skill.findByNameOrAlias(row.parent);
+          if (!parent) throw new Error(`Parent skill "${row.parent}" not found`);
+          changes.parentId = parent._id;
+        }
+
+        const relatedNames = this.splitList(row.related);
+        if (relatedNames.length > 0) {
+          const related = [];
+          for (const name of relatedNames) {
+            const relatedSkill = await Skill.findByNameOrAlias(name);
+            if (!relatedSkill) throw new Error(`Related skill "${name}" not found`);
+            related.push(relatedSkill._id);
+          }
+          changes.relatedSkillIds = overwrite ? related : [...skill.relatedSkillIds, ...related];
+        }
+
+        if (Object.keys(changes).length > 0) {
+          await this.applyChanges(skill, changes);
+          await skill.save();
+        }
+      } catch (error) {
+        results.errors.push({ line: row.line, name: row.name, error: error.message });
+      }
+    }
+
+    this.clearCache();
+    return results;
+  }
+
+  /**
+   * Parse CSV text into rows keyed by header
+   * @param {string} csv - CSV text
+   * @returns {Array<Object>} Rows with their line number
+   */
+  parseCsv(csv) {
+    const lines = String(csv || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+    const headers = this.parseCsvLine(lines[0] || '').map(header => header.trim().toLowerCase());
+
+    if (!headers.includes('name')) {
+      throw new ValidationError('CSV must have a "name" column');
+    }
+
+    const rows = [];
+    for (let i = 1; i < lines.length; i++) {
+      if (!lines[i].trim()) continue;
+
+      const values = this.parseCsvLine(lines[i]);
+      const row = { line: i + 1 };
+      headers.forEach((header, index) => {
+        row[header] = (values[index] || '').trim();
+      });
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Parse a single CSV line
+   * @param {string} line - CSV line
+   * @returns {Array<string>} Values
+   */
+  parseCsvLine(line) {
+    const values = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+
+      if (char === '"') {
+        if (inQuotes && line[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else {
+          inQuotes = !inQuotes;
+        }
+      } else if (char === ',' && !inQuotes) {
+        values.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    values.push(current);
+    return values;
+  }
+
+  /**
+   * Split a pipe-separated CSV cell
+   * @param {string} value - Cell value
+   * @returns {Array<string>}
+   */
+  splitList(value) {
+    return String(value || '').split(CSV_LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+  }
+}
+
+// Create singleton instance
+const skillTaxonomyService = new SkillTaxonomyService();
+
+module.exports = skillTaxonomyService;
+module.exports.ADJACENCY_CREDIT = ADJACENCY_CREDIT;
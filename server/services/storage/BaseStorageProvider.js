@@ -0,0 +1,89 @@
+/**
+ * BaseStorageProvider
+ * Abstract base class for file storage backends
+ * Defines the contract that all storage providers must implement
+ */
+
+class BaseStorageProvider {
+  constructor(config = {}) {
+    this.name = config.name || 'base';
+    this.config = config;
+
+    // Default lifetime of signed download links (seconds)
+    this.defaultLinkTtl = config.linkTtl || 15 * 60;
+
+    // Validate configuration
+    this.validateConfig();
+  }
+
+  /**
+   * Validate provider configuration
+   * @throws {Error} If configuration is invalid
+   */
+  validateConfig() {
+    throw new Error('validateConfig() must be implemented by subclass');
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Storage key (path-like, e.g. reports/RPT-1/report.pdf)
+   * @param {Buffer|string|Readable} body - File content
+   * @param {Object} options - { contentType }
+   * @returns {Promise<Object>} { key, size }
+   */
+  async put(key, body, options = {}) {
+    throw new Error('put() must be implemented by subclass');
+  }
+
+  /**
+   * Open a stored file for reading
+   * @param {string} key - Storage key
+   * @returns {Promise<Readable>}
+   */
+  async getStream(key) {
+    throw new Error('getStream() must be implemented by subclass');
+  }
+
+  /**
+   * Delete a stored file; missing files are ignored
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    throw new Error('delete() must be implemented by subclass');
+  }
+
+  /**
+   * Create an expiring download link for a stored file
+   * @param {string} key - Storage key
+   * @param {Object} options - { expiresIn (seconds), fileName, contentType }
+   * @returns {Promise<Object>} { url, expiresAt }
+   */
+  async getSignedUrl(key, options = {}) {
+    throw new Error('getSignedUrl() must be implemented by subclass');
+  }
+
+  /**
+   * Validate a storage key: relative, no parent-directory segments
+   * @param {string} key - Storage key
+   * @returns {string} The key
+   */
+  assertValidKey(key) {
+    if (typeof key !== 'string' || !key || key.startsWith('/') || key.split('/').some(part => !part || part === '..' || part === '.')) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return key;
+  }
+
+  /**
+   * Content-Disposition header for a download
+   * @param {string} fileName - File name offered to the user
+   * @returns {string}
+   */
+  contentDisposition(fileName) {
+    const fallback = String(fileName).replace(/[^\x20-\x7E]/g, '_').replace(/["\\]/g, '_');
+    return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+  }
+}
+
+module.exports = BaseStorageProvider;
@@ -0,0 +1,136 @@
+/**
+ * LocalStorageProvider
+ * Stores files on the local filesystem. Download links point at the API's
+ * file endpoint and carry an HMAC signature and expiry instead of a session.
+ */
+
+const BaseStorageProvider = require('./BaseStorageProvider');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+class LocalStorageProvider extends BaseStorageProvider {
+  constructor(config = {}) {
+    super({
+      name: 'local',
+      ...config
+    });
+
+    this.rootDir = path.resolve(config.rootDir || path.join(process.cwd(), 'storage'));
+    this.signingSecret = config.signingSecret;
+    // Absolute URL of the endpoint that serves signed files
+    this.downloadUrl = config.downloadUrl;
+  }
+
+  validateConfig() {
+    if (!this.config.signingSecret) {
+      throw new Error('Local storage: signingSecret is required');
+    }
+    if (!this.config.downloadUrl) {
+      throw new Error('Local storage: downloadUrl is required');
+    }
+  }
+
+  /**
+   * Absolute path of a key, guaranteed to stay under the root directory
+   * @param {string} key - Storage key
+   * @returns {string}
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, this.assertValidKey(key));
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, body, options = {}) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write to a temporary file first so readers never see partial files
+    const tempPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      if (Buffer.isBuffer(body) || typeof body === 'string') {
+        await fs.promises.writeFile(tempPath, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(tempPath));
+      }
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+
+    const { size } = await fs.promises.stat(filePath);
+    return { key, size };
+  }
+
+  async getStream(key) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.access(filePath, fs.constants.R_OK);
+    return fs.createReadStream(filePath);
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolvePath(key), { force: true });
+  }
+
+  async getSignedUrl(key, options = {}) {
+    this.assertValidKey(key);
+    const expires = Math.floor(Date.now() / 1000) + (options.expiresIn || this.defaultLinkTtl);
+    const name = options.fileName || path.basename(key);
+
+    const params = new URLSearchParams({
+      key,
+      name,
+      expires: String(expires),
+      signature: this.sign(key, name, expires),
+    });
+
+    return {
+      url: `${this.downloadUrl}?${params.toString()}`,
+      expiresAt: new Date(expires * 1000),
+    };
+  }
+
+  /**
+   * Check a signed link's parameters
+   * @param {Object} params - { key, name, expires, signature }
+   * @returns {Object} { key, fileName }
+   * @throws {Error} When the signature is invalid or the link has expired
+   */
+  verifySignedParams({ key, name, expires, signature } = {}) {
+    if (!key || !name || !expires || !signature) {
+      throw new Error('Invalid download link');
+    }
+
+    const expected = Buffer.from(this.sign(key, name, expires));
+    const given = Buffer.from(String(signature));
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      throw new Error('Invalid download link');
+    }
+    if (Number(expires) * 1000 < Date.now()) {
+      throw new Error('Download link has expired');
+    }
+
+    return { key, fileName: name };
+  }
+
+  /**
+   * HMAC signature of a link
+   * @param {string} key - Storage key
+   * @param {string} name - Download file name
+   * @param {number|string} expires - Expiry (unix seconds)
+   * @returns {string}
+   */
+  sign(key, name, expires) {
+    return crypto
+      .createHmac('sha256', this.signingSecret)
+      .update(`${key}\n${name}\n${expires}`)
+      .digest('hex');
+  }
+}
+
+module.exports = LocalStorageProvider;
@@ -0,0 +1,320 @@
+/**
+ * S3StorageProvider
+ * Stores files in Amazon S3 or any S3-compatible object store (MinIO,
+ * DigitalOcean Spaces, Wasabi). Requests are signed with AWS Signature V4;
+ * downloads use presigned, expiring GET URLs.
+ */
+
+const BaseStorageProvider = require('./BaseStorageProvider');
+const axios = require('axios');
+const crypto = require('crypto');
+
+// Streams larger than this are uploaded in parts of this size (S3 minimum is 5 MB)
+const PART_SIZE = 8 * 1024 * 1024;
+
+// Presigned URLs may not outlive 7 days
+const MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60;
+
+class S3StorageProvider extends BaseStorageProvider {
+  constructor(config = {}) {
+    super({
+      name: 's3',
+      ...config
+    });
+
+    const endpoint = config.endpoint || `s3.${config.region}.amazonaws.com`;
+    this.endpoint = new URL(/^https?:\/\//.test(endpoint) ? endpoint : `https://${endpoint}`);
+    this.region = config.region;
+    this.bucket = config.bucket;
+    this.accessKeyId = config.accessKeyId;
+    this.secretAccessKey = config.secretAccessKey;
+    // Path-style addressing (endpoint/bucket/key) works with every S3-compatible store
+    this.pathStyle = config.pathStyle !== false;
+    this.timeout = config.timeout || 60000;
+  }
+
+  validateConfig() {
+    if (!this.config.bucket) {
+      throw new Error('S3 storage: bucket is required');
+    }
+    if (!this.config.region) {
+      throw new Error('S3 storage: region is required');
+    }
+    if (!this.config.accessKeyId || !this.config.secretAccessKey) {
+      throw new Error('S3 storage: accessKeyId and secretAccessKey are required');
+    }
+  }
+
+  async put(key, body, options = {}) {
+    this.assertValidKey(key);
+    const contentType = options.contentType || 'application/octet-stream';
+
+    if (Buffer.isBuffer(body) || typeof body === 'string') {
+      const buffer = Buffer.from(body);
+      await this.request('PUT', key, { body: buffer, headers: { 'content-type': contentType } });
+      return { key, size: buffer.length };
+    }
+
+    return this.putStream(key, body, contentType);
+  }
+
+  /**
+   * Upload a stream, switching to a multipart upload once it exceeds one part
+   * @param {string} key - Storage key
+   * @param {Readable} stream - File content
+   * @param {string} contentType - MIME type
+   * @returns {Promise<Object>} { key, size }
+   */
+  async putStream(key, stream, contentType) {
+    let chunks = [];
+    let buffered = 0;
+    let size = 0;
+    let uploadId = null;
+    const parts = [];
+
+    const uploadPart = async () => {
+      const partNumber = parts.length + 1;
+      const response = await this.request('PUT', key, {
+        query: { partNumber: String(partNumber), uploadId },
+        body: Buffer.concat(chunks),
+      });
+      parts.push({ partNumber, etag: response.headers.etag });
+      chunks = [];
+      buffered = 0;
+    };
+
+    try {
+      for await (const chunk of stream) {
+        const data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+        chunks.push(data);
+        buffered += data.length;
+        size += data.length;
+
+        if (buffered >= PART_SIZE) {
+          if (!uploadId) {
+            uploadId = await this.createMultipartUpload(key, contentType);
+          }
+          await uploadPart();
+        }
+      }
+
+      if (!uploadId) {
+        await this.request('PUT', key, { body: Buffer.concat(chunks), headers: { 'content-type': contentType } });
+        return { key, size };
+      }
+
+      if (buffered > 0) {
+        await uploadPart();
+      }
+      await this.completeMultipartUpload(key, uploadId, parts);
+      return { key, size };
+    } catch (error) {
+      if (uploadId) {
+        await this.request('DELETE', key, { query: { uploadId } }).catch(() => {});
+      }
+      throw error;
+    }
+  }
+
+  async createMultipartUpload(key, contentType) {
+    const response = await this.request('POST', key, {
+      query: { uploads: '' },
+      headers: { 'content-type': contentType },
+    });
+    const match = String(response.data).match(/<UploadId>([^<]+)<\/UploadId>/);
+    if (!match) {
+      throw new Error('S3 storage: no UploadId in CreateMultipartUpload response');
+    }
+    return match[1];
+  }
+
+  async completeMultipartUpload(key, uploadId, parts) {
+    const body = Buffer.from(
+      '<CompleteMultipartUpload>' +
+      parts.map(part => `<Part><PartNumber>${part.partNumber}</PartNumber><ETag>${part.etag}</ETag></Part>`).join('') +
+      '</CompleteMultipartUpload>'
+    );
+    const response = await this.request('POST', key, {
+      query: { uploadId },
+      body,
+      headers: { 'content-type': 'application/xml' },
+    });
+    // S3 can report a failed completion with a 200 status
+    if (/<Error>/.test(String(response.data))) {
+      throw new Error(`S3 storage: multipart upload failed: ${response.data}`);
+    }
+  }
+
+  async getStream(key) {
+    const response = await this.request('GET', key, { responseType: 'stream' });
+    return response.data;
+  }
+
+  async delete(key) {
+    await this.request('DELETE', key);
+  }
+
+  async getSignedUrl(key, options = {}) {
+    this.assertValidKey(key);
+    const expiresIn = Math.min(options.expiresIn || this.defaultLinkTtl, MAX_PRESIGN_SECONDS);
+    const now = options.now || new Date();
+
+    const query = {};
+    if (options.fileName) {
+      query['response-content-disposition'] = this.contentDisposition(options.fileName);
+    }
+    if (options.contentType) {
+      query['response-content-type'] = options.contentType;
+    }
+
+    return {
+      url: this.presign('GET', key, { query, expiresIn, now }),
+      expiresAt: new Date(now.getTime() + expiresIn * 1000),
+    };
+  }
+
+  // ==================== SIGNATURE V4 ====================
+
+  /**
+   * Send a signed request for an object
+   * @param {string} method - HTTP method
+   * @param {string} key - Storage key
+   * @param {Object} options - { query, headers, body, responseType }
+   * @returns {Promise<Object>} Axios response
+   */
+  async request(method, key, { query = {}, headers = {}, body, responseType } = {}) {
+    const { url, host, path } = this.objectLocation(key);
+    const amzDate = this.amzDate(new Date());
+    const payload = body || Buffer.alloc(0);
+
+    const requestHeaders = {
+      ...headers,
+      'x-amz-content-sha256': this.sha256(payload),
+      'x-amz-date': amzDate,
+    };
+    // Host is signed but set by the HTTP client
+    const authorization = this.authorizationHeader(method, path, query, { ...requestHeaders, host }, amzDate);
+
+    const queryString = this.canonicalQuery(query);
+    return axios({
+      method,
+      url: queryString ? `${url}?${queryString}` : url,
+      headers: { ...requestHeaders, authorization },
+      data: body,
+      responseType,
+      timeout: this.timeout,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+    });
+  }
+
+  /**
+   * Build a presigned URL
+   * @param {string} method - HTTP method
+   * @param {string} key - Storage key
+   * @param {Object} options - { query, expiresIn, now }
+   * @returns {string}
+   */
+  presign(method, key, { query = {}, expiresIn, now = new Date() }) {
+    const { url, host, path } = this.objectLocation(key);
+    const amzDate = this.amzDate(now);
+
+    const presignQuery = {
+      ...query,
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${this.accessKeyId}/${this.credentialScope(amzDate)}`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(expiresIn),
+      'X-Amz-SignedHeaders': 'host',
+    };
+
+    const canonicalRequest = [
+      method,
+      path,
+      this.canonicalQuery(presignQuery),
+      `host:${host}\n`,
+      'host',
+      'UNSIGNED-PAYLOAD',
+    ].join('\n');
+
+    const signature = this.signature(canonicalRequest, amzDate);
+    return `${url}?${this.canonicalQuery(presignQuery)}&X-Amz-Signature=${signature}`;
+  }
+
+  authorizationHeader(method, path, query, headers, amzDate) {
+    const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowered = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const canonicalHeaders = names.map(name => `${name}:${String(lowered[name]).trim().replace(/\s+/g, ' ')}\n`).join('');
+    const signedHeaderNames = names.join(';');
+
+    const canonicalRequest = [
+      method,
+      path,
+      this.canonicalQuery(query),
+      canonicalHeaders,
+      signedHeaderNames,
+      lowered['x-amz-content-sha256'],
+    ].join('\n');
+
+    const signature = this.signature(canonicalRequest, amzDate);
+    return `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${this.credentialScope(amzDate)}, ` +
+      `SignedHeaders=${signedHeaderNames}, Signature=${signature}`;
+  }
+
+  signature(canonicalRequest, amzDate) {
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      this.credentialScope(amzDate),
+      this.sha256(canonicalRequest),
+    ].join('\n');
+
+    const dateKey = this.hmac(`AWS4${this.secretAccessKey}`, amzDate.slice(0, 8));
+    const regionKey = this.hmac(dateKey, this.region);
+    const serviceKey = this.hmac(regionKey, 's3');
+    const signingKey = this.hmac(serviceKey, 'aws4_request');
+    return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  }
+
+  /**
+   * URL, Host header and canonical path of an object
+   * @param {string} key - Storage key
+   * @returns {Object} { url, host, path }
+   */
+  objectLocation(key) {
+    const encodedKey = key.split('/').map(segment => this.encode(segment)).join('/');
+    const host = this.pathStyle ? this.endpoint.host : `${this.bucket}.${this.endpoint.host}`;
+    const path = this.pathStyle ? `/${this.encode(this.bucket)}/${encodedKey}` : `/${encodedKey}`;
+    return { url: `${this.endpoint.protocol}//${host}${path}`, host, path };
+  }
+
+  canonicalQuery(query) {
+    return Object.keys(query)
+      .sort()
+      .map(name => `${this.encode(name)}=${this.encode(query[name])}`)
+      .join('&');
+  }
+
+  credentialScope(amzDate) {
+    return `${amzDate.slice(0, 8)}/${this.region}/s3/aws4_request`;
+  }
+
+  amzDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  // RFC 3986 encoding as required by Signature V4
+  encode(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  }
+
+  sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+
+  hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+  }
+}
+
+module.exports = S3StorageProvider;
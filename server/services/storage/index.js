@@ -0,0 +1,74 @@
+/**
+ * Storage
+ * Selects the file storage backend from the environment:
+ *   STORAGE_DRIVER=local (default) - files under STORAGE_LOCAL_PATH, served by signed API links
+ *   STORAGE_DRIVER=s3              - AWS S3 or an S3-compatible store (AWS_S3_* settings)
+ */
+
+const path = require('path');
+const LocalStorageProvider = require('./LocalStorageProvider');
+const S3StorageProvider = require('./S3StorageProvider');
+
+// API endpoint that serves locally stored files behind signed links
+const LOCAL_DOWNLOAD_PATH = '/api/v1/reports/files/download';
+
+let storage = null;
+
+/**
+ * Create a storage provider from configuration
+ * @param {Object} env - Environment variables
+ * @returns {BaseStorageProvider}
+ */
+function createStorage(env = process.env) {
+  const driver = (env.STORAGE_DRIVER || 'local').toLowerCase();
+  const linkTtl = parseInt(env.STORAGE_LINK_TTL_SECONDS) || 15 * 60;
+
+  switch (driver) {
+    case 's3':
+      return new S3StorageProvider({
+        endpoint: env.AWS_S3_ENDPOINT,
+        region: env.AWS_REGION,
+        bucket: env.AWS_S3_BUCKET,
+        accessKeyId: env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+        pathStyle: env.AWS_S3_PATH_STYLE !== 'false',
+        linkTtl,
+      });
+    case 'local':
+      return new LocalStorageProvider({
+        rootDir: env.STORAGE_LOCAL_PATH || path.join(process.cwd(), 'storage'),
+        signingSecret: env.STORAGE_SIGNING_SECRET || env.JWT_SECRET,
+        downloadUrl: `${env.API_URL || ''}${LOCAL_DOWNLOAD_PATH}`,
+        linkTtl,
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+/**
+ * Shared storage provider, created on first use
+ * @returns {BaseStorageProvider}
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+}
+
+/**
+ * Replace the shared storage provider (tests, scripts)
+ * @param {BaseStorageProvider|null} provider
+ */
+function setStorage(provider) {
+  storage = provider;
+}
+
+module.exports = {
+  createStorage,
+  getStorage,
+  setStorage,
+  LocalStorageProvider,
+  S3StorageProvider,
+};
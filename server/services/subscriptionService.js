@@ -12,6 +12,7 @@ const {
   User,
   TierBenefits,
 } = require('../models/index.js');
+const ledgerService = require('./ledgerService.js');
 const mongoose = require('mongoose');
 
 class SubscriptionService {
@@ -212,6 +213,8 @@ class SubscriptionService {
 
       await session.commitTransaction();
 
+      await ledgerService.recordInvoiceIssued(billingRecord[0]);
+
       return {
         subscription,
         billingRecord: billingRecord[0],
@@ -714,7 +717,7 @@ class SubscriptionService {
     await subscription.save();
 
     // Create billing record for renewal
-    await BillingRecord.create({
+    const billingRecord = await BillingRecord.create({
       companyId: subscription.companyId,
       subscriptionId: subscription._id,
       invoiceNumber: await this.generateInvoiceNumber(),
@@ -737,6 +740,8 @@ class SubscriptionService {
       status: 'pending',
     });
 
+    await ledgerService.recordInvoiceIssued(billingRecord);
+
     return subscription;
   }
 
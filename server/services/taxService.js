@@ -0,0 +1,180 @@
+/**
+ * TaxService
+ * Applies the per-region tax rules in RegionConfig.taxConfig: commercial tax
+ * on invoices (tax-inclusive or tax-exclusive pricing) and withholding tax
+ * deducted from referrer payouts
+ */
+
+const regionService = require('./regionService.js');
+
+// Currencies without minor units
+const ZERO_DECIMAL_CURRENCIES = ['MMK', 'VND', 'JPY', 'KRW'];
+
+class TaxService {
+  /**
+   * Tax rules for a region, with defaults filled in
+   * @param {string} regionCode - Region code (e.g. 'MM')
+   * @returns {Promise<Object>} Normalised rules
+   */
+  async getTaxRules(regionCode) {
+    const code = regionCode || regionService.defaultRegion;
+    const region = await regionService.getRegionConfig(code);
+    return this.normalizeRules(region?.taxConfig, code);
+  }
+
+  /**
+   * Normalise a RegionConfig.taxConfig
+   * @param {Object} taxConfig - Region tax configuration
+   * @param {string} regionCode - Region code
+   * @returns {Object} { regionCode, enabled, name, rate, inclusive, exemptItemTypes, registrationNumber, withholding }
+   */
+  normalizeRules(taxConfig = {}, regionCode = null) {
+    const config = taxConfig || {};
+    const withholding = config.withholding || {};
+    const rate = config.enabled ? Number(config.rate) || 0 : 0;
+    const withholdingRate = withholding.enabled ? Number(withholding.rate) || 0 : 0;
+
+    return {
+      regionCode,
+      enabled: rate > 0,
+      name: config.name || 'Commercial Tax',
+      rate,
+      inclusive: Boolean(config.pricesIncludeTax),
+      exemptItemTypes: config.exemptItemTypes || [],
+      registrationNumber: config.registrationNumber || null,
+      withholding: {
+        enabled: withholdingRate > 0,
+        name: withholding.name || 'Withholding Tax',
+        rate: withholdingRate,
+        threshold: Number(withholding.threshold) || 0,
+      },
+    };
+  }
+
+  /**
+   * Tax rules locked on an issued invoice, for recalculating it later
+   * @param {Object} invoice - BillingRecord
+   * @returns {Object} Normalised rules
+   */
+  rulesFromInvoice(invoice) {
+    return this.normalizeRules({
+      enabled: invoice.taxRate > 0,
+      name: invoice.taxName,
+      rate: invoice.taxRate,
+      pricesIncludeTax: invoice.taxInclusive,
+    }, invoice.regionCode);
+  }
+
+  /**
+   * Region of a billing address, matched against active regions by code or
+   * name and falling back to the default region
+   * @param {Object} address - { country }
+   * @returns {Promise<string>} Region code
+   */
+  async resolveRegionCode(address = {}) {
+    const country = String(address?.country || '').trim().toLowerCase();
+    if (!country) {
+      return regionService.defaultRegion;
+    }
+
+    const regions = await regionService.getActiveRegions();
+    const match = regions.find(region =>
+      [region.code, region.name, region.localName].some(value => value && value.toLowerCase() === country));
+
+    return match ? match.code : regionService.defaultRegion;
+  }
+
+  /**
+   * Calculate commercial tax and totals for invoice items.
+   * Items keep an explicit `taxable: false`; otherwise exempt item types are
+   * not taxed. Discounts reduce the taxable base in proportion to the taxable
+   * share of the subtotal.
+   * @param {Array} items - Invoice items ({ type, amount, taxable })
+   * @param {Object} rules - Normalised tax rules
+   * @param {Object} options - { discount, currency }
+   * @returns {Object} { items, subtotal, discount, taxableAmount, tax, taxRate, taxName, taxInclusive, total }
+   */
+  calculateInvoiceTax(items, rules, options = {}) {
+    const { discount = 0, currency = 'MMK' } = options;
+
+    const taxedItems = items.map(item => ({
+      ...item,
+      taxable: item.taxable !== false && !rules.exemptItemTypes.includes(item.type),
+    }));
+
+    const subtotal = taxedItems.reduce((sum, item) => sum + item.amount, 0);
+    const taxableGross = taxedItems
+      .filter(item => item.taxable)
+      .reduce((sum, item) => sum + item.amount, 0);
+    const taxableAmount = subtotal > 0 ? taxableGross - discount * (taxableGross / subtotal) : 0;
+
+    let tax = 0;
+    if (rules.enabled && taxableAmount > 0) {
+      tax = rules.inclusive
+        ? this.roundAmount(taxableAmount * rules.rate / (100 + rules.rate), currency)
+        : this.roundAmount(taxableAmount * rules.rate / 100, currency);
+    }
+
+    return {
+      items: taxedItems,
+      subtotal,
+      discount,
+      taxableAmount: this.roundAmount(taxableAmount, currency),
+      tax,
+      taxRate: rules.rate,
+      taxName: rules.name,
+      taxInclusive: rules.inclusive,
+      // Inclusive prices already contain the tax
+      total: this.roundAmount(subtotal - discount + (rules.inclusive ? 0 : tax), currency),
+    };
+  }
+
+  /**
+   * Tax contained in a tax-inclusive amount (e.g. a credit against a paid invoice)
+   * @param {number} amount - Gross amount
+   * @param {number} rate - Tax rate in percent
+   * @param {string} currency - Currency code
+   * @returns {number}
+   */
+  taxIncluded(amount, rate, currency = 'MMK') {
+    return rate > 0 ? this.roundAmount(amount * rate / (100 + rate), currency) : 0;
+  }
+
+  /**
+   * Withholding tax on a referrer payout
+   * @param {number} amount - Gross payout amount
+   * @param {Object} rules - Normalised tax rules
+   * @param {string} currency - Currency code
+   * @returns {Object} { gross, amount, net, rate, name, regionCode }
+   */
+  calculateWithholding(amount, rules, currency = 'MMK') {
+    const { enabled, rate, threshold, name } = rules.withholding;
+    const withheld = enabled && amount > threshold ? this.roundAmount(amount * rate / 100, currency) : 0;
+
+    return {
+      gross: amount,
+      amount: withheld,
+      net: amount - withheld,
+      rate: withheld > 0 ? rate : 0,
+      name,
+      regionCode: rules.regionCode,
+    };
+  }
+
+  /**
+   * Round to the currency's minor unit
+   * @param {number} amount - Amount
+   * @param {string} currency - Currency code
+   * @returns {number}
+   */
+  roundAmount(amount, currency = 'MMK') {
+    const factor = ZERO_DECIMAL_CURRENCIES.includes(String(currency).toUpperCase()) ? 1 : 100;
+    return Math.round(amount * factor) / factor;
+  }
+}
+
+// Create singleton instance
+const taxService = new TaxService();
+
+module.exports = taxService;
+module.exports.ZERO_DECIMAL_CURRENCIES = ZERO_DECIMAL_CURRENCIES;
@@ -14,6 +14,7 @@ const { SESSION_STATUS, CONTEXT_TYPE, USER_TYPE } = require('../models/WhatsAppS
 const WhatsAppMessage = require('../models/WhatsAppMessage.js');
 const { MESSAGE_DIRECTION, MESSAGE_TYPE, MESSAGE_STATUS } = require('../models/WhatsAppMessage.js');
 const { User, Referral, Job, Company } = require('../models/index.js');
+const { normalizeText } = require('../utils/myanmarText.js');
 
 // Platform types for multi-platform support
 const PLATFORM = {
@@ -692,7 +693,7 @@ const processIncomingMessage = async (message, context) => {
   
   if (message.type === 'text') {
     messageType = MESSAGE_TYPE.TEXT;
-    content.text = message.text?.body;
+    content.text = normalizeText(message.text?.body);
   } else if (message.type === 'interactive') {
     if (message.interactive?.type === 'button_reply') {
       messageType = MESSAGE_TYPE.BUTTON_REPLY;
@@ -711,13 +712,13 @@ const processIncomingMessage = async (message, context) => {
     messageType = MESSAGE_TYPE.IMAGE;
     content.mediaId = message.image?.id;
     content.mimeType = message.image?.mime_type;
-    content.caption = message.image?.caption;
+    content.caption = normalizeText(message.image?.caption);
   } else if (message.type === 'document') {
     messageType = MESSAGE_TYPE.DOCUMENT;
     content.mediaId = message.document?.id;
     content.fileName = message.document?.filename;
     content.mimeType = message.document?.mime_type;
-    content.caption = message.document?.caption;
+    content.caption = normalizeText(message.document?.caption);
   }
   
   // Create message record
@@ -11,7 +11,8 @@ const {
   TRIGGER_TYPES, 
   WORKFLOW_STATUS, 
   ACTION_TYPES,
-  CONDITION_OPERATORS 
+  CONDITION_OPERATORS,
+  ERROR_STRATEGIES
 } = require('../models/Workflow.js');
 const WorkflowExecution = require('../models/WorkflowExecution.js');
 const { 
@@ -29,12 +30,77 @@ const {
   WhatsAppTemplate,
   EmailLog,
   WhatsAppMessage,
-  Notification
+  Notification,
+  CompanyUser,
+  Task,
+  IdempotencyKey
 } = require('../models/index.js');
+const { REFERRAL_STATUS } = require('../models/Referral.js');
 const { sendEmail } = require('./emailMarketingService.js');
+const { enrollInSequence } = require('./sequenceEngineService.js');
 const { sendTemplateMessage, formatPhoneNumber } = require('./whatsappService.js');
 const notificationService = require('./notificationService.js');
 const sendAppNotification = notificationService.sendNotification;
+const workflowTimerService = require('./workflowTimerService.js');
+
+// Runtime limits
+const MAX_SUB_WORKFLOW_DEPTH = 5;
+const MAX_FOR_EACH_ITEMS = 500;
+
+// Collections a for_each action may query, with the only fields it may
+// filter or sort on and that are loaded into each item
+const FOR_EACH_MODELS = {
+  [ENTITY_TYPES.REFERRAL]: {
+    model: Referral,
+    fields: ['_id', 'code', 'jobId', 'referrerId', 'referredUserId', 'referredPerson.name', 'status', 'stage', 'createdAt', 'updatedAt'],
+  },
+  [ENTITY_TYPES.APPLICATION]: {
+    model: Application,
+    fields: ['_id', 'jobId', 'applicantId', 'companyId', 'fullName', 'status', 'source', 'rating', 'tags', 'submittedAt', 'createdAt', 'updatedAt'],
+  },
+  [ENTITY_TYPES.JOB]: {
+    model: Job,
+    fields: ['_id', 'title', 'slug', 'companyId', 'status', 'type', 'category', 'department', 'experienceLevel', 'location', 'createdAt', 'updatedAt'],
+  },
+  [ENTITY_TYPES.USER]: {
+    model: User,
+    fields: ['_id', 'name', 'email', 'role', 'status', 'createdAt', 'updatedAt'],
+  },
+};
+
+// Actions with external side effects, guarded by idempotency keys
+const SIDE_EFFECT_ACTIONS = [
+  ACTION_TYPES.SEND_EMAIL,
+  ACTION_TYPES.SEND_WHATSAPP,
+  ACTION_TYPES.SEND_NOTIFICATION,
+  ACTION_TYPES.WEBHOOK,
+  ACTION_TYPES.CREATE_TASK,
+  ACTION_TYPES.ENROLL_IN_SEQUENCE,
+];
+
+// Actions that change data or reach outside the platform - previewed instead
+// of performed in dry-run mode
+const MUTATING_ACTIONS = [
+  ...SIDE_EFFECT_ACTIONS,
+  ACTION_TYPES.UPDATE_STATUS,
+  ACTION_TYPES.ASSIGN_RECRUITER,
+  ACTION_TYPES.ADD_TAG,
+];
+
+// Entities that carry a tags array
+const TAGGABLE_MODELS = {
+  [ENTITY_TYPES.REFERRAL]: Referral,
+  [ENTITY_TYPES.APPLICATION]: Application,
+};
+
+// Referral statuses that no longer count towards a recruiter's workload
+const CLOSED_REFERRAL_STATUSES = [
+  REFERRAL_STATUS.HIRED,
+  REFERRAL_STATUS.REJECTED,
+  REFERRAL_STATUS.WITHDRAWN,
+  REFERRAL_STATUS.PAYMENT_PENDING,
+  REFERRAL_STATUS.PAID,
+];
 
 // ==================== PREDEFINED WORKFLOWS ====================
 
@@ -183,10 +249,14 @@ const triggerWorkflow = async (triggerType, context) => {
         // Create workflow execution
         const execution = await WorkflowExecution.create({
           workflowId: workflow._id,
+          workflowName: workflow.name,
           triggerType,
+          entityType: context.entityType || ENTITY_TYPES.SYSTEM,
+          entityId: context.entityId || workflow._id,
           context,
+          inputData: context.inputData || {},
           status: EXECUTION_STATUS.PENDING,
-          scheduledAt: calculateScheduleTime(workflow.actions[0]),
+          scheduledAt: new Date(),
         });
 
         executions.push(execution);
@@ -201,20 +271,45 @@ const triggerWorkflow = async (triggerType, context) => {
 };
 
 /**
- * Execute a pending workflow
+ * Execute a workflow execution. Only the instance holding the execution's
+ * lease runs it; an execution suspended on a durable timer is resumed by
+ * replaying the workflow against its checkpoints.
  * @param {string} executionId - Workflow execution ID
  * @returns {Promise<Object>} Execution result
  */
 const executeWorkflow = async (executionId) => {
+  const { instanceId, leaseMs } = workflowTimerService;
+  let heartbeat = null;
+
   try {
-    const execution = await WorkflowExecution.findById(executionId);
+    const execution = await WorkflowExecution.claimById(executionId, instanceId, leaseMs);
     if (!execution) {
-      throw new Error(`Execution not found: ${executionId}`);
+      // Not due yet, already finished or leased by another instance
+      const current = await WorkflowExecution.findById(executionId);
+      if (!current) {
+        throw new Error(`Execution not found: ${executionId}`);
+      }
+      return current;
     }
 
+    // Every save (and so every lease clear) only applies while this instance
+    // still owns the lease; a worker that took over keeps its state
+    execution.$where = { 'lease.owner': instanceId };
+
+    // Keep the lease alive while the workflow runs
+    heartbeat = setInterval(() => {
+      WorkflowExecution.renewLease(execution._id, instanceId, leaseMs)
+        .catch(error => console.error('[WorkflowEngine] Lease renewal failed:', error.message));
+    }, Math.floor(leaseMs / 3));
+    heartbeat.unref();
+
     // Update status to running
+    const resuming = execution.checkpoints.length > 0;
     execution.status = EXECUTION_STATUS.RUNNING;
-    execution.startedAt = new Date();
+    if (!resuming) {
+      execution.startedAt = new Date();
+    }
+    execution.addLog('info', resuming ? 'Execution resumed from checkpoints' : 'Execution started');
     await execution.save();
 
     // Get workflow
@@ -223,32 +318,39 @@ const executeWorkflow = async (executionId) => {
       throw new Error(`Workflow not found: ${execution.workflowId}`);
     }
 
-    // Execute actions
-    for (let i = 0; i < workflow.actions.length; i++) {
-      const action = workflow.actions[i];
-      const actionResult = await executeAction(action, execution.context, execution);
-      
-      execution.actionResults.push(actionResult);
-      
-      if (actionResult.status === ACTION_STATUS.FAILED) {
-        execution.status = EXECUTION_STATUS.FAILED;
-        execution.error = actionResult.error;
-        await execution.save();
-        return execution;
-      }
+    // Execute the action graph
+    const runtime = createRuntime({
+      workflowId: workflow._id,
+      executionId: execution._id,
+      checkpoints: execution.checkpoints,
+      previousTrace: execution.trace,
+    });
+    const outcome = await runActions(workflow.actions, execution.context, runtime);
 
-      // Handle condition branches
-      if (action.type === ACTION_TYPES.CONDITION) {
-        const conditionMet = actionResult.result;
-        const branch = conditionMet ? action.onTrue : action.onFalse;
-        
-        if (branch && branch.length > 0) {
-          for (const branchAction of branch) {
-            const branchResult = await executeAction(branchAction, execution.context, execution);
-            execution.actionResults.push(branchResult);
-          }
-        }
-      }
+    execution.trace = runtime.trace;
+    execution.checkpoints = [...runtime.checkpoints.values()];
+    execution.actionResults = buildActionResults(runtime.trace);
+    execution.lease = { owner: null, expiresAt: null };
+
+    if (outcome.status === ACTION_STATUS.WAITING) {
+      execution.status = EXECUTION_STATUS.WAITING;
+      execution.scheduledAt = outcome.wakeAt;
+      execution.nextScheduledAt = outcome.wakeAt;
+      execution.addLog('info', `Waiting at node ${outcome.nodeId} until ${outcome.wakeAt.toISOString()}`);
+      await execution.save();
+      await workflowTimerService.schedule(execution._id, outcome.wakeAt);
+      return execution;
+    }
+
+    if (outcome.status === ACTION_STATUS.FAILED) {
+      execution.status = EXECUTION_STATUS.FAILED;
+      execution.error = {
+        message: outcome.error,
+        actionIndex: Number(String(outcome.nodeId).split('.')[0]),
+      };
+      execution.addLog('error', `Node ${outcome.nodeId} failed: ${outcome.error}`);
+      await execution.save();
+      return execution;
     }
 
     // Mark as completed
@@ -260,81 +362,629 @@ const executeWorkflow = async (executionId) => {
   } catch (error) {
     console.error('[WorkflowEngine] Error executing workflow:', error);
     
-    // Update execution with error
-    await WorkflowExecution.findByIdAndUpdate(executionId, {
+    // Update execution with error, unless another instance has taken it over
+    await WorkflowExecution.findOneAndUpdate({ _id: executionId, 'lease.owner': instanceId }, {
       status: EXECUTION_STATUS.FAILED,
-      error: error.message,
+      error: { message: error.message },
       completedAt: new Date(),
+      lease: { owner: null, expiresAt: null },
     });
 
     throw error;
+  } finally {
+    if (heartbeat) {
+      clearInterval(heartbeat);
+    }
   }
 };
 
+// ==================== WORKFLOW RUNTIME ====================
+
 /**
- * Execute a single action
- * @param {Object} action - Action configuration
- * @param {Object} context - Execution context
- * @param {Object} execution - Workflow execution
- * @returns {Promise<Object>} Action result
+ * Thrown by a node that has to wait for a durable timer
  */
-const executeAction = async (action, context, execution) => {
-  const actionResult = {
-    actionId: new mongoose.Types.ObjectId(),
+class WorkflowSuspended extends Error {
+  constructor(wakeAt) {
+    super(`Suspended until ${wakeAt.toISOString()}`);
+    this.name = 'WorkflowSuspended';
+    this.wakeAt = wakeAt;
+  }
+}
+
+/**
+ * Convert a subdocument to a plain object
+ * @param {Object} doc - Subdocument or plain object
+ * @returns {Object}
+ */
+const toPlain = doc => (typeof doc.toObject === 'function' ? doc.toObject() : { ...doc });
+
+/**
+ * Create the state shared by every node of one run
+ * @param {Object} options - { workflowId, executionId, checkpoints, previousTrace, now, dryRun }
+ * @returns {Object} Runtime
+ */
+const createRuntime = ({
+  workflowId = null,
+  executionId = null,
+  checkpoints = [],
+  previousTrace = [],
+  now = new Date(),
+  dryRun = false,
+} = {}) => ({
+  workflowId,
+  executionId,
+  // Simulation - conditions and reads run, mutating actions are only previewed
+  dryRun,
+  // Timers compare against the time the run started
+  now,
+  trace: [],
+  // Trace of the run that suspended, reused for replayed nodes
+  previousTrace: previousTrace.map(toPlain),
+  checkpoints: new Map(checkpoints.map(checkpoint => [checkpoint.nodeId, toPlain(checkpoint)])),
+  // Workflow IDs currently on the sub-workflow call stack
+  workflowStack: workflowId ? [String(workflowId)] : [],
+});
+
+/**
+ * Run a list of actions in order, stopping at the first unhandled failure or
+ * at a node waiting on a timer
+ * @param {Array} actions - Action definitions
+ * @param {Object} scope - Variables visible to the actions (execution context plus loop variables)
+ * @param {Object} runtime - Runtime from createRuntime
+ * @param {Object} position - { parentNodeId, prefix, branch, iteration }
+ * @returns {Promise<Object>} { status, nodeId, error, wakeAt }
+ */
+const runActions = async (actions, scope, runtime, position = {}) => {
+  const list = actions || [];
+
+  for (let i = 0; i < list.length; i++) {
+    const nodeId = position.prefix ? `${position.prefix}.${i}` : String(i);
+    const outcome = await runNode(list[i], nodeId, scope, runtime, position);
+
+    if (outcome.status === ACTION_STATUS.FAILED || outcome.status === ACTION_STATUS.WAITING) {
+      return outcome;
+    }
+  }
+
+  return { status: ACTION_STATUS.COMPLETED };
+};
+
+/**
+ * Run a single action node: replay it from its checkpoint, or trace it,
+ * enforce its timeout and apply its error handler
+ * @param {Object} action - Action definition
+ * @param {string} nodeId - Node path
+ * @param {Object} scope - Variables visible to the action
+ * @param {Object} runtime - Runtime from createRuntime
+ * @param {Object} position - { parentNodeId, branch, iteration }
+ * @returns {Promise<Object>} { status, nodeId, error, wakeAt }
+ */
+const runNode = async (action, nodeId, scope, runtime, position = {}) => {
+  const checkpoint = runtime.checkpoints.get(nodeId);
+
+  // Finished in an earlier run - keep its trace and do not run it again
+  if (checkpoint && [ACTION_STATUS.COMPLETED, ACTION_STATUS.SKIPPED].includes(checkpoint.status)) {
+    replayTrace(runtime, action, nodeId, checkpoint, position);
+    return { status: checkpoint.status, nodeId };
+  }
+
+  const entry = {
+    nodeId,
+    parentNodeId: position.parentNodeId ?? null,
     actionType: action.type,
-    status: ACTION_STATUS.PENDING,
+    actionName: action.name,
+    status: ACTION_STATUS.RUNNING,
+    branch: position.branch,
+    iteration: position.iteration,
     startedAt: new Date(),
   };
+  runtime.trace.push(entry);
 
-  try {
-    switch (action.type) {
-      case ACTION_TYPES.SEND_EMAIL:
-        await executeSendEmail(action.config, context);
-        actionResult.status = ACTION_STATUS.COMPLETED;
-        break;
-
-      case ACTION_TYPES.SEND_WHATSAPP:
-        await executeSendWhatsApp(action.config, context);
-        actionResult.status = ACTION_STATUS.COMPLETED;
-        break;
-
-      case ACTION_TYPES.SEND_NOTIFICATION:
-        await executeSendNotification(action.config, context);
-        actionResult.status = ACTION_STATUS.COMPLETED;
-        break;
-
-      case ACTION_TYPES.UPDATE_STATUS:
-        await executeUpdateStatus(action.config, context);
-        actionResult.status = ACTION_STATUS.COMPLETED;
-        break;
-
-      case ACTION_TYPES.WEBHOOK:
-        await executeWebhook(action.config, context);
-        actionResult.status = ACTION_STATUS.COMPLETED;
-        break;
-
-      case ACTION_TYPES.DELAY:
-        await executeDelay(action.config);
-        actionResult.status = ACTION_STATUS.COMPLETED;
-        break;
-
-      case ACTION_TYPES.CONDITION:
-        const conditionResult = await evaluateCondition(action.config, context);
-        actionResult.status = ACTION_STATUS.COMPLETED;
-        actionResult.result = conditionResult;
-        break;
-
-      default:
-        throw new Error(`Unknown action type: ${action.type}`);
+  if (action.enabled === false) {
+    finishTraceEntry(entry, ACTION_STATUS.SKIPPED);
+    runtime.checkpoints.set(nodeId, { nodeId, status: ACTION_STATUS.SKIPPED });
+    return { status: ACTION_STATUS.SKIPPED, nodeId };
+  }
+
+  let failure;
+  if (checkpoint?.status === ACTION_STATUS.FAILED) {
+    // Failed in an earlier run whose error handler was suspended - go
+    // straight back to the handler
+    failure = { message: checkpoint.error, timedOut: Boolean(checkpoint.state?.timedOut) };
+  } else {
+    try {
+      entry.output = await withTimeout(
+        runWithIdempotency(action, nodeId, scope, runtime),
+        action.timeoutSeconds,
+        nodeId
+      );
+      finishTraceEntry(entry, ACTION_STATUS.COMPLETED);
+      runtime.checkpoints.set(nodeId, { nodeId, status: ACTION_STATUS.COMPLETED, output: entry.output });
+      return { status: ACTION_STATUS.COMPLETED, nodeId };
+    } catch (error) {
+      if (error instanceof WorkflowSuspended) {
+        entry.output = { wakeAt: error.wakeAt };
+        finishTraceEntry(entry, ACTION_STATUS.WAITING);
+        return { status: ACTION_STATUS.WAITING, nodeId, wakeAt: error.wakeAt };
+      }
+
+      console.error(`[WorkflowEngine] Action failed: ${action.type} (${nodeId})`, error.message);
+      failure = { message: error.message, timedOut: error.code === 'ACTION_TIMEOUT' };
     }
+  }
+
+  const strategy = action.onError?.strategy || ERROR_STRATEGIES.FAIL;
+  entry.error = failure.message;
+  entry.timedOut = failure.timedOut;
+  finishTraceEntry(entry, ACTION_STATUS.FAILED);
+
+  if (strategy === ERROR_STRATEGIES.FAIL) {
+    return { status: ACTION_STATUS.FAILED, nodeId, error: failure.message };
+  }
+
+  entry.errorHandled = strategy;
+  runtime.checkpoints.set(nodeId, {
+    nodeId,
+    status: ACTION_STATUS.FAILED,
+    error: failure.message,
+    state: { timedOut: failure.timedOut },
+  });
+
+  if (strategy === ERROR_STRATEGIES.FALLBACK) {
+    const fallbackScope = { ...scope, error: { nodeId, message: failure.message, timedOut: failure.timedOut } };
+    return runActions(action.onError.actions, fallbackScope, runtime, {
+      parentNodeId: nodeId,
+      prefix: `${nodeId}.onError`,
+    });
+  }
+
+  return { status: ACTION_STATUS.COMPLETED, nodeId };
+};
+
+/**
+ * Copy the trace of a node finished in an earlier run (and its nested
+ * nodes) into the current trace
+ * @param {Object} runtime - Runtime
+ * @param {Object} action - Action definition
+ * @param {string} nodeId - Node path
+ * @param {Object} checkpoint - Node checkpoint
+ * @param {Object} position - { parentNodeId, branch, iteration }
+ */
+const replayTrace = (runtime, action, nodeId, checkpoint, position) => {
+  const entries = runtime.previousTrace.filter(entry =>
+    entry.nodeId === nodeId || entry.nodeId.startsWith(`${nodeId}.`)
+  );
+
+  if (entries.length === 0) {
+    entries.push({
+      nodeId,
+      parentNodeId: position.parentNodeId ?? null,
+      actionType: action.type,
+      actionName: action.name,
+      status: checkpoint.status,
+      branch: position.branch,
+      iteration: position.iteration,
+      output: checkpoint.output,
+    });
+  }
+
+  runtime.trace.push(...entries);
+};
+
+/**
+ * Close a trace entry
+ * @param {Object} entry - Trace entry
+ * @param {string} status - Final status
+ */
+const finishTraceEntry = (entry, status) => {
+  entry.status = status;
+  entry.completedAt = new Date();
+  entry.durationMs = entry.completedAt.getTime() - entry.startedAt.getTime();
+};
+
+/**
+ * Reject when a promise does not settle in time. The underlying work is not
+ * cancelled - the workflow simply stops waiting for it.
+ * @param {Promise} promise - Action promise
+ * @param {number} timeoutSeconds - Limit in seconds (0/empty = none)
+ * @param {string} nodeId - Node path for the error message
+ * @returns {Promise<any>}
+ */
+const withTimeout = (promise, timeoutSeconds, nodeId) => {
+  if (!timeoutSeconds) {
+    return promise;
+  }
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Action ${nodeId} timed out after ${timeoutSeconds}s`);
+      error.code = 'ACTION_TIMEOUT';
+      reject(error);
+    }, timeoutSeconds * 1000);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Run an action, guarding side effects with an idempotency key per execution
+ * and node. A key that was already claimed - by an earlier run that crashed
+ * before checkpointing, or by another instance - is not performed again.
+ * @param {Object} action - Action definition
+ * @param {string} nodeId - Node path
+ * @param {Object} scope - Variables visible to the action
+ * @param {Object} runtime - Runtime
+ * @returns {Promise<any>} Action output
+ */
+const runWithIdempotency = async (action, nodeId, scope, runtime) => {
+  if (!runtime.executionId || !SIDE_EFFECT_ACTIONS.includes(action.type)) {
+    return executeAction(action, nodeId, scope, runtime);
+  }
+
+  const key = `workflow:${runtime.executionId}:${nodeId}`;
+  const { acquired, receipt } = await IdempotencyKey.claim(key, 'workflow_action', {
+    executionId: runtime.executionId,
+    nodeId,
+    actionType: action.type,
+  });
+
+  if (!acquired) {
+    return { ...(receipt?.response || {}), deduplicated: true };
+  }
+
+  try {
+    const output = await executeAction(action, nodeId, scope, runtime, key);
+    await IdempotencyKey.complete(key, output ?? null);
+    return output;
   } catch (error) {
-    actionResult.status = ACTION_STATUS.FAILED;
-    actionResult.error = error.message;
-    console.error(`[WorkflowEngine] Action failed: ${action.type}`, error);
+    await IdempotencyKey.release(key);
+    throw error;
+  }
+};
+
+/**
+ * Execute a single action. Config values may reference the scope with
+ * {{path}} placeholders. Throws on failure; composite actions throw when
+ * their nested actions fail.
+ * @param {Object} action - Action configuration
+ * @param {string} nodeId - Node path
+ * @param {Object} scope - Execution context plus loop variables
+ * @param {Object} runtime - Runtime from createRuntime
+ * @param {string} idempotencyKey - Key guarding the side effect, if any
+ * @returns {Promise<any>} Action output stored in the trace
+ */
+const executeAction = async (action, nodeId, scope, runtime, idempotencyKey = null) => {
+  const config = resolveTemplates(action.config || {}, scope);
+
+  if (runtime.dryRun && MUTATING_ACTIONS.includes(action.type)) {
+    return previewAction(action.type, config, scope);
   }
 
-  actionResult.completedAt = new Date();
-  return actionResult;
+  switch (action.type) {
+    case ACTION_TYPES.SEND_EMAIL:
+      await executeSendEmail(config, scope);
+      return undefined;
+
+    case ACTION_TYPES.SEND_WHATSAPP:
+      await executeSendWhatsApp(config, scope);
+      return undefined;
+
+    case ACTION_TYPES.SEND_NOTIFICATION:
+      await executeSendNotification(config, scope);
+      return undefined;
+
+    case ACTION_TYPES.UPDATE_STATUS:
+      await executeUpdateStatus(config, scope);
+      return undefined;
+
+    case ACTION_TYPES.WEBHOOK:
+      await executeWebhook(config, scope, idempotencyKey);
+      return undefined;
+
+    case ACTION_TYPES.DELAY:
+      return executeDelay(config, nodeId, runtime);
+
+    case ACTION_TYPES.CONDITION:
+      return executeConditionBranch(action, nodeId, scope, runtime);
+
+    case ACTION_TYPES.PARALLEL:
+      return executeParallel(action, nodeId, scope, runtime);
+
+    case ACTION_TYPES.FOR_EACH:
+      return executeForEach(action, config, nodeId, scope, runtime);
+
+    case ACTION_TYPES.SUB_WORKFLOW:
+      return executeSubWorkflow(config, nodeId, scope, runtime);
+
+    case ACTION_TYPES.CREATE_TASK:
+      return executeCreateTask(config, scope, runtime);
+
+    case ACTION_TYPES.ASSIGN_RECRUITER:
+      return executeAssignRecruiter(config, scope);
+
+    case ACTION_TYPES.ADD_TAG:
+      return executeAddTag(config, scope);
+
+    case ACTION_TYPES.ENROLL_IN_SEQUENCE:
+      return executeEnrollInSequence(config, scope);
+
+    default:
+      throw new Error(`Unknown action type: ${action.type}`);
+  }
+};
+
+/**
+ * Summarise top-level trace nodes as execution action results
+ * @param {Array} trace - Runtime trace
+ * @returns {Array} Action results
+ */
+const buildActionResults = (trace) => trace
+  .filter(entry => entry.parentNodeId === null)
+  .map(entry => ({
+    actionId: new mongoose.Types.ObjectId(),
+    actionType: entry.actionType,
+    actionName: entry.actionName || entry.actionType,
+    status: entry.status,
+    startedAt: entry.startedAt,
+    completedAt: entry.completedAt,
+    durationMs: entry.durationMs,
+    result: {
+      success: entry.status === ACTION_STATUS.COMPLETED,
+      data: entry.output,
+    },
+    error: entry.error ? { message: entry.error, code: entry.timedOut ? 'ACTION_TIMEOUT' : undefined } : undefined,
+  }));
+
+/**
+ * Earliest wake-up time among waiting outcomes
+ * @param {Array} outcomes - Waiting outcomes
+ * @returns {Date}
+ */
+const earliestWakeAt = outcomes => new Date(Math.min(...outcomes.map(outcome => outcome.wakeAt.getTime())));
+
+// ==================== CONTROL FLOW ACTIONS ====================
+
+/**
+ * Evaluate a condition action and run the matching branch. The result is
+ * checkpointed while the branch waits, so a resume takes the same branch.
+ * @param {Object} action - Condition action
+ * @param {string} nodeId - Node path
+ * @param {Object} scope - Variables visible to the action
+ * @param {Object} runtime - Runtime
+ * @returns {Promise<Object>} { result }
+ */
+const executeConditionBranch = async (action, nodeId, scope, runtime) => {
+  const checkpoint = runtime.checkpoints.get(nodeId);
+  const conditionMet = checkpoint?.state?.result ?? await evaluateActionCondition(action, scope);
+  const branch = conditionMet
+    ? (action.onTrue?.length ? action.onTrue : action.trueActions)
+    : (action.onFalse?.length ? action.onFalse : action.falseActions);
+
+  const outcome = await runActions(branch, scope, runtime, {
+    parentNodeId: nodeId,
+    prefix: `${nodeId}.${conditionMet ? 'true' : 'false'}`,
+  });
+
+  if (outcome.status === ACTION_STATUS.WAITING) {
+    runtime.checkpoints.set(nodeId, { nodeId, status: ACTION_STATUS.WAITING, state: { result: conditionMet } });
+    throw new WorkflowSuspended(outcome.wakeAt);
+  }
+  if (outcome.status === ACTION_STATUS.FAILED) {
+    throw new Error(`Branch failed at ${outcome.nodeId}: ${outcome.error}`);
+  }
+
+  return { result: conditionMet };
+};
+
+/**
+ * Run branches concurrently and join them. With join 'all' (default) every
+ * branch must succeed; with 'any' one successful branch is enough. Both
+ * modes wait for every branch to finish or suspend.
+ * @param {Object} action - Parallel action ({ branches, config: { join } })
+ * @param {string} nodeId - Node path
+ * @param {Object} scope - Variables visible to the action
+ * @param {Object} runtime - Runtime
+ * @returns {Promise<Object>} { join, succeeded, failed }
+ */
+const executeParallel = async (action, nodeId, scope, runtime) => {
+  const branches = action.branches || [];
+  const join = action.config?.join || 'all';
+
+  const outcomes = await Promise.all(branches.map((branch, index) =>
+    runActions(branch, scope, runtime, {
+      parentNodeId: nodeId,
+      prefix: `${nodeId}.branches.${index}`,
+      branch: index,
+    })
+  ));
+
+  const failed = outcomes.filter(outcome => outcome.status === ACTION_STATUS.FAILED);
+  const waiting = outcomes.filter(outcome => outcome.status === ACTION_STATUS.WAITING);
+  const succeeded = outcomes.length - failed.length - waiting.length;
+  const result = { join, succeeded, failed: failed.length };
+
+  if (join === 'any') {
+    if (succeeded > 0 || outcomes.length === 0) return result;
+    if (waiting.length > 0) throw new WorkflowSuspended(earliestWakeAt(waiting));
+  } else {
+    if (failed.length === 0 && waiting.length === 0) return result;
+    if (failed.length === 0) throw new WorkflowSuspended(earliestWakeAt(waiting));
+  }
+
+  throw new Error(`${failed.length} of ${outcomes.length} parallel branches failed: ${failed[0].error}`);
+};
+
+/**
+ * Run the nested actions once per item. Items come from a context path
+ * (config.items) or a query (config.query: { entity, filter, sort }) and are
+ * checkpointed while an item waits, so a resume iterates the same list.
+ * Queried items are checkpointed by ID and reloaded on resume.
+ * Each item is exposed to the nested actions as config.as (default 'item').
+ * @param {Object} action - For-each action ({ actions })
+ * @param {Object} config - Resolved for-each configuration
+ * @param {string} nodeId - Node path
+ * @param {Object} scope - Variables visible to the action
+ * @param {Object} runtime - Runtime
+ * @returns {Promise<Object>} { items, failed }
+ */
+const executeForEach = async (action, config, nodeId, scope, runtime) => {
+  const state = runtime.checkpoints.get(nodeId)?.state;
+  let items;
+  if (state?.itemIds) {
+    items = await loadForEachItems(config, state.itemIds);
+  } else {
+    items = state?.items || await resolveForEachItems(config, scope);
+  }
+  const as = config.as || 'item';
+  let failed = 0;
+
+  for (let index = 0; index < items.length; index++) {
+    // Removed since the loop started
+    if (!items[index]) continue;
+
+    const outcome = await runActions(action.actions, { ...scope, [as]: items[index], index }, runtime, {
+      parentNodeId: nodeId,
+      prefix: `${nodeId}.items.${index}`,
+      iteration: index,
+    });
+
+    if (outcome.status === ACTION_STATUS.WAITING) {
+      runtime.checkpoints.set(nodeId, {
+        nodeId,
+        status: ACTION_STATUS.WAITING,
+        state: config.query ? { itemIds: items.map(item => item?._id ?? null) } : { items },
+      });
+      throw new WorkflowSuspended(outcome.wakeAt);
+    }
+    if (outcome.status === ACTION_STATUS.FAILED) {
+      failed += 1;
+      if (!config.continueOnItemError) {
+        throw new Error(`Item ${index} failed at ${outcome.nodeId}: ${outcome.error}`);
+      }
+    }
+  }
+
+  return { items: items.length, failed };
+};
+
+/**
+ * Look up the queryable collection of a for_each action and check that its
+ * filter and sort only use that collection's allowed fields
+ * @param {Object} query - { entity, filter, sort }
+ * @returns {Object} { model, fields }
+ */
+const getForEachSource = (query) => {
+  const source = FOR_EACH_MODELS[query.entity];
+  if (!source) {
+    throw new Error(`Unsupported for_each entity: ${query.entity}`);
+  }
+
+  const keys = [...Object.keys(query.filter || {}), ...Object.keys(query.sort || {})];
+  const disallowed = keys.filter(key => !source.fields.includes(key));
+  if (disallowed.length > 0) {
+    throw new Error(`for_each query on ${query.entity} cannot use: ${disallowed.join(', ')}`);
+  }
+
+  return source;
+};
+
+/**
+ * Resolve the items of a for_each action
+ * @param {Object} config - For-each configuration
+ * @param {Object} scope - Variables visible to the action
+ * @returns {Promise<Array>}
+ */
+const resolveForEachItems = async (config, scope) => {
+  const limit = Math.min(config.limit || MAX_FOR_EACH_ITEMS, MAX_FOR_EACH_ITEMS);
+
+  if (config.query) {
+    const { model, fields } = getForEachSource(config.query);
+
+    return model.find(config.query.filter || {})
+      .select(fields.join(' '))
+      .sort(config.query.sort || { createdAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  if (!config.items) {
+    throw new Error('for_each requires config.items or config.query');
+  }
+
+  const items = resolveField(config.items, scope);
+  if (!Array.isArray(items)) {
+    throw new Error(`for_each items at ${config.items} is not an array`);
+  }
+
+  return items.slice(0, limit);
+};
+
+/**
+ * Reload checkpointed query items in their original order. Items removed
+ * since are left as null so the item positions still match the checkpoints.
+ * @param {Object} config - For-each configuration
+ * @param {Array} itemIds - Checkpointed item IDs
+ * @returns {Promise<Array>}
+ */
+const loadForEachItems = async (config, itemIds) => {
+  const { model, fields } = getForEachSource(config.query);
+
+  const docs = await model.find({ _id: { $in: itemIds.filter(Boolean) } })
+    .select(fields.join(' '))
+    .lean();
+  const byId = new Map(docs.map(doc => [String(doc._id), doc]));
+
+  return itemIds.map(id => (id ? byId.get(String(id)) || null : null));
+};
+
+/**
+ * Run another workflow's actions inline, as part of this execution. The
+ * sub-workflow sees the caller's context with config.inputData merged into
+ * inputData.
+ * @param {Object} config - { workflowId, inputData }
+ * @param {string} nodeId - Node path
+ * @param {Object} scope - Variables visible to the action
+ * @param {Object} runtime - Runtime
+ * @returns {Promise<Object>} { workflowId, workflowName }
+ */
+const executeSubWorkflow = async (config, nodeId, scope, runtime) => {
+  const { workflowId } = config;
+  if (!workflowId) {
+    throw new Error('sub_workflow requires config.workflowId');
+  }
+  if (runtime.workflowStack.includes(String(workflowId))) {
+    throw new Error(`Sub-workflow cycle detected: ${workflowId}`);
+  }
+  if (runtime.workflowStack.length > MAX_SUB_WORKFLOW_DEPTH) {
+    throw new Error(`Sub-workflows may only be nested ${MAX_SUB_WORKFLOW_DEPTH} levels deep`);
+  }
+
+  const workflow = await Workflow.findById(workflowId);
+  if (!workflow || workflow.status === WORKFLOW_STATUS.ARCHIVED) {
+    throw new Error(`Workflow not found: ${workflowId}`);
+  }
+
+  const childScope = {
+    ...scope,
+    inputData: { ...(scope.inputData || {}), ...(config.inputData || {}) },
+  };
+
+  // Same trace, own call stack - parallel branches may call the same sub-workflow
+  const childRuntime = { ...runtime, workflowStack: [...runtime.workflowStack, String(workflow._id)] };
+  const outcome = await runActions(workflow.actions, childScope, childRuntime, {
+    parentNodeId: nodeId,
+    prefix: `${nodeId}.workflow`,
+  });
+
+  if (outcome.status === ACTION_STATUS.WAITING) {
+    throw new WorkflowSuspended(outcome.wakeAt);
+  }
+  if (outcome.status === ACTION_STATUS.FAILED) {
+    throw new Error(`Sub-workflow ${workflow.name} failed at ${outcome.nodeId}: ${outcome.error}`);
+  }
+
+  return { workflowId: workflow._id, workflowName: workflow.name };
 };
 
 // ==================== ACTION EXECUTORS ====================
@@ -345,7 +995,69 @@ const executeAction = async (action, context, execution) => {
  * @param {Object} context - Execution context
  */
 const executeSendEmail = async (config, context) => {
-  const { template, subject, to } = config;
+  const email = await prepareEmail(config, context);
+
+  await sendEmail({
+    to: email.to,
+    subject: email.subject,
+    html: email.html,
+    text: email.text,
+  });
+};
+
+/**
+ * Execute send WhatsApp action
+ * @param {Object} config - Action configuration
+ * @param {Object} context - Execution context
+ */
+const executeSendWhatsApp = async (config, context) => {
+  const message = await prepareWhatsApp(config, context);
+
+  const components = message.params.length > 0
+    ? [{ type: 'body', parameters: message.params.map(value => ({ type: 'text', text: String(value) })) }]
+    : [];
+
+  await sendTemplateMessage(message.to, message.template, { components }, { language: message.language });
+};
+
+// ==================== MESSAGE RENDERING ====================
+
+/**
+ * Flatten the execution context into template variables, so email templates
+ * can use {{user.name}}, {{referral.code}}, {{inputData.newStatus}} and so on
+ * @param {Object} context - Execution context
+ * @param {Object} extra - Explicit variables from the action config
+ * @returns {Object} Variables
+ */
+const buildTemplateVariables = (context, extra = {}) => {
+  const variables = {};
+
+  const visit = (value, path, depth) => {
+    if (value === null || value === undefined) return;
+
+    if (value instanceof Date) {
+      variables[path] = value.toISOString();
+    } else if (value._bsontype === 'ObjectId' || typeof value !== 'object') {
+      variables[path] = String(value);
+    } else if (!Array.isArray(value) && depth < 3) {
+      for (const [key, item] of Object.entries(value)) {
+        visit(item, path ? `${path}.${key}` : key, depth + 1);
+      }
+    }
+  };
+
+  visit(context, '', 0);
+  return { ...variables, ...extra };
+};
+
+/**
+ * Resolve the recipient and render the email template of a send_email action
+ * @param {Object} config - { template (slug), subject, to, language, variables }
+ * @param {Object} context - Execution context
+ * @returns {Promise<Object>} { to, template, subject, html, text }
+ */
+const prepareEmail = async (config, context) => {
+  const { template, subject, to, language } = config;
   
   // Resolve recipient
   const recipientEmail = to || context.user?.email;
@@ -354,27 +1066,31 @@ const executeSendEmail = async (config, context) => {
   }
 
   // Get email template
-  const emailTemplate = await EmailTemplate.findOne({ code: template });
+  const emailTemplate = await EmailTemplate.findBySlug(template);
   if (!emailTemplate) {
     throw new Error(`Email template not found: ${template}`);
   }
 
-  // Send email
-  await sendEmail({
+  const rendered = emailTemplate.render(buildTemplateVariables(context, config.variables), language);
+
+  return {
     to: recipientEmail,
-    subject: subject || emailTemplate.subject,
-    html: emailTemplate.body,
-    variables: context,
-  });
+    template,
+    subject: subject || rendered.subject,
+    html: rendered.html,
+    text: rendered.text,
+  };
 };
 
 /**
- * Execute send WhatsApp action
- * @param {Object} config - Action configuration
+ * Resolve the recipient and render the WhatsApp template of a send_whatsapp
+ * action. config.params fill the template's numbered placeholders in order.
+ * @param {Object} config - { template (code), to, params, language }
  * @param {Object} context - Execution context
+ * @returns {Promise<Object>} { to, template, language, params, body }
  */
-const executeSendWhatsApp = async (config, context) => {
-  const { template, to } = config;
+const prepareWhatsApp = async (config, context) => {
+  const { template, to, params = [], language = 'en' } = config;
   
   // Resolve recipient
   const recipientPhone = to || context.user?.phone;
@@ -388,12 +1104,66 @@ const executeSendWhatsApp = async (config, context) => {
     throw new Error(`WhatsApp template not found: ${template}`);
   }
 
-  // Send message
-  await sendTemplateMessage({
-    phone: recipientPhone,
-    template: waTemplate,
-    variables: context,
-  });
+  const variables = Object.fromEntries(params.map((value, index) => [index + 1, value]));
+
+  return {
+    to: recipientPhone,
+    template: waTemplate.name,
+    language,
+    params,
+    body: waTemplate.renderBody(variables, language),
+  };
+};
+
+/**
+ * Describe what a mutating action would do, without doing it
+ * @param {string} type - Action type
+ * @param {Object} config - Resolved action configuration
+ * @param {Object} context - Execution context
+ * @returns {Promise<Object>} Preview stored as the node output
+ */
+const previewAction = async (type, config, context) => {
+  const preview = { simulated: true, effect: type };
+
+  switch (type) {
+    case ACTION_TYPES.SEND_EMAIL:
+      return { ...preview, ...(await prepareEmail(config, context)) };
+
+    case ACTION_TYPES.SEND_WHATSAPP:
+      return { ...preview, ...(await prepareWhatsApp(config, context)) };
+
+    case ACTION_TYPES.SEND_NOTIFICATION:
+      return { ...preview, to: config.to || context.user?._id, title: config.title, message: config.message };
+
+    case ACTION_TYPES.UPDATE_STATUS:
+      return { ...preview, entityType: config.entityType, entityId: config.entityId, field: config.field || 'status', value: config.status };
+
+    case ACTION_TYPES.WEBHOOK:
+      return { ...preview, url: config.url, method: config.method || 'POST' };
+
+    case ACTION_TYPES.CREATE_TASK:
+      return { ...preview, title: config.title, description: config.description, assignTo: config.assignTo, dueInHours: config.dueInHours };
+
+    case ACTION_TYPES.ASSIGN_RECRUITER: {
+      const referralId = resolveReferralId(config, context);
+      let recruiterId = config.recruiterId;
+      if (!recruiterId && referralId) {
+        const referral = await Referral.findById(referralId).select('jobId');
+        const job = referral ? await Job.findById(referral.jobId).select('companyId') : null;
+        recruiterId = await findLeastLoadedRecruiter(job?.companyId);
+      }
+      return { ...preview, referralId, recruiterId };
+    }
+
+    case ACTION_TYPES.ADD_TAG:
+      return { ...preview, entityType: config.entityType || context.entityType, entityId: config.entityId || context.entityId, tags: [].concat(config.tags || config.tag || []) };
+
+    case ACTION_TYPES.ENROLL_IN_SEQUENCE:
+      return { ...preview, sequenceId: config.sequenceId, userId: config.userId || context.user?._id };
+
+    default:
+      return preview;
+  }
 };
 
 /**
@@ -460,29 +1230,210 @@ const executeUpdateStatus = async (config, context) => {
  * Execute webhook action
  * @param {Object} config - Action configuration
  * @param {Object} context - Execution context
+ * @param {string} idempotencyKey - Sent as Idempotency-Key so receivers can dedupe
  */
-const executeWebhook = async (config, context) => {
+const executeWebhook = async (config, context, idempotencyKey = null) => {
   const { url, method, headers, payload } = config;
   
   await axios({
     url,
     method: method || 'POST',
-    headers: headers || {},
+    headers: {
+      ...(headers || {}),
+      ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}),
+    },
     data: payload || context,
   });
 };
 
 /**
- * Execute delay action
+ * Execute delay action as a durable timer. The first run records the
+ * wake-up time in a checkpoint and suspends the execution; the replay after
+ * the timer fires passes straight through.
  * @param {Object} config - Action configuration
+ * @param {string} nodeId - Node path
+ * @param {Object} runtime - Runtime
+ * @returns {Object} { wokeAt }
  */
-const executeDelay = async (config) => {
+const executeDelay = (config, nodeId, runtime) => {
   const { hours, days, minutes } = config;
   const delayMs = (days || 0) * 24 * 60 * 60 * 1000 + 
                   (hours || 0) * 60 * 60 * 1000 + 
                   (minutes || 0) * 60 * 1000;
-  
-  await new Promise(resolve => setTimeout(resolve, delayMs));
+
+  // Simulations do not wait
+  if (runtime.dryRun) {
+    return { simulated: true, waitMs: delayMs };
+  }
+
+  const checkpoint = runtime.checkpoints.get(nodeId);
+  const wakeAt = checkpoint?.wakeAt ? new Date(checkpoint.wakeAt) : new Date(runtime.now.getTime() + delayMs);
+
+  if (runtime.now >= wakeAt) {
+    return { wokeAt: wakeAt };
+  }
+
+  runtime.checkpoints.set(nodeId, { nodeId, status: ACTION_STATUS.WAITING, wakeAt });
+  throw new WorkflowSuspended(wakeAt);
+};
+
+/**
+ * Resolve the referral an action works on: config.referralId (templated),
+ * the execution entity, or the referral in the trigger input
+ * @param {Object} config - Action configuration
+ * @param {Object} context - Execution context
+ * @returns {string|null} Referral ID
+ */
+const resolveReferralId = (config, context) => {
+  if (config.referralId) return config.referralId;
+  if (context.entityType === ENTITY_TYPES.REFERRAL) return context.entityId;
+  return context.inputData?.referral?._id || context.referral?._id || null;
+};
+
+/**
+ * Execute create task action
+ * @param {Object} config - { title, description, assignTo, priority, dueInHours }
+ * @param {Object} context - Execution context
+ * @param {Object} runtime - Runtime
+ * @returns {Promise<Object>} { taskId }
+ */
+const executeCreateTask = async (config, context, runtime) => {
+  const { title } = config;
+  if (!title) {
+    throw new Error('create_task requires config.title');
+  }
+
+  // assignTo: a user ID (or template) or 'assigned_recruiter' for the referral's recruiter
+  let assignedTo = config.assignTo;
+  if (assignedTo === 'assigned_recruiter') {
+    const referral = await Referral.findById(resolveReferralId(config, context)).select('assignedRecruiterId');
+    assignedTo = referral?.assignedRecruiterId;
+  }
+
+  const hasEntity = context.entityId && context.entityType && context.entityType !== ENTITY_TYPES.SYSTEM;
+  const task = await Task.create({
+    title,
+    description: config.description,
+    companyId: context.companyId,
+    assignedTo: assignedTo || undefined,
+    entityType: hasEntity ? context.entityType : undefined,
+    entityId: hasEntity ? context.entityId : undefined,
+    priority: config.priority,
+    dueAt: config.dueInHours ? new Date(Date.now() + config.dueInHours * 60 * 60 * 1000) : undefined,
+    source: {
+      type: 'workflow',
+      workflowId: runtime.workflowId,
+      executionId: runtime.executionId,
+    },
+  });
+
+  return { taskId: task._id, assignedTo: task.assignedTo };
+};
+
+/**
+ * Execute assign recruiter action. Uses config.recruiterId when given,
+ * otherwise the company recruiter with the fewest open referrals.
+ * @param {Object} config - { recruiterId, referralId }
+ * @param {Object} context - Execution context
+ * @returns {Promise<Object>} { recruiterId }
+ */
+const executeAssignRecruiter = async (config, context) => {
+  const referral = await Referral.findById(resolveReferralId(config, context));
+  if (!referral) {
+    throw new Error('Referral not found');
+  }
+
+  let recruiterId = config.recruiterId;
+  if (!recruiterId) {
+    const job = await Job.findById(referral.jobId).select('companyId');
+    recruiterId = await findLeastLoadedRecruiter(job?.companyId);
+  }
+  if (!recruiterId) {
+    throw new Error('No active recruiter available');
+  }
+
+  referral.assignedRecruiterId = recruiterId;
+  await referral.save();
+
+  return { recruiterId };
+};
+
+/**
+ * Find the company recruiter with the fewest open assigned referrals
+ * @param {string} companyId - Company ID
+ * @returns {Promise<string|null>} Recruiter user ID
+ */
+const findLeastLoadedRecruiter = async (companyId) => {
+  if (!companyId) return null;
+
+  const members = await CompanyUser.find({ companyId, role: 'recruiter', isActive: true }).select('userId');
+  if (members.length === 0) return null;
+
+  const recruiterIds = members.map(member => member.userId);
+  const loads = await Referral.aggregate([
+    { $match: { assignedRecruiterId: { $in: recruiterIds }, status: { $nin: CLOSED_REFERRAL_STATUSES } } },
+    { $group: { _id: '$assignedRecruiterId', count: { $sum: 1 } } },
+  ]);
+  const loadById = new Map(loads.map(row => [String(row._id), row.count]));
+  const loadOf = id => loadById.get(String(id)) || 0;
+
+  return recruiterIds.reduce((best, id) => (loadOf(id) < loadOf(best) ? id : best));
+};
+
+/**
+ * Execute add tag action
+ * @param {Object} config - { tags, entityType, entityId }
+ * @param {Object} context - Execution context
+ * @returns {Promise<Object>} { tags }
+ */
+const executeAddTag = async (config, context) => {
+  const tags = [].concat(config.tags || config.tag || [])
+    .map(tag => String(tag).trim())
+    .filter(Boolean);
+  if (tags.length === 0) {
+    throw new Error('add_tag requires config.tags');
+  }
+
+  const entityType = config.entityType || context.entityType;
+  const Model = TAGGABLE_MODELS[entityType];
+  if (!Model) {
+    throw new Error(`Entity type cannot be tagged: ${entityType}`);
+  }
+
+  const entityId = config.entityId || context.entityId;
+  const result = await Model.updateOne({ _id: entityId }, { $addToSet: { tags: { $each: tags } } });
+  if (result.matchedCount === 0) {
+    throw new Error(`Entity not found: ${entityType}`);
+  }
+
+  return { tags };
+};
+
+/**
+ * Execute enroll in sequence action
+ * @param {Object} config - { sequenceId, userId }
+ * @param {Object} context - Execution context
+ * @returns {Promise<Object>} { sequenceName }
+ */
+const executeEnrollInSequence = async (config, context) => {
+  if (!config.sequenceId) {
+    throw new Error('enroll_in_sequence requires config.sequenceId');
+  }
+
+  const userId = config.userId
+    || context.user?._id
+    || (context.entityType === ENTITY_TYPES.USER ? context.entityId : null);
+  if (!userId) {
+    throw new Error('No user found to enroll');
+  }
+
+  const result = await enrollInSequence(config.sequenceId, userId, {
+    entityType: context.entityType,
+    entityId: context.entityId,
+    companyId: context.companyId,
+  }, 'automation');
+
+  return { sequenceName: result.sequenceName };
 };
 
 // ==================== CONDITION EVALUATION ====================
@@ -494,7 +1445,23 @@ const executeDelay = async (config) => {
  * @returns {Promise<boolean>} Whether conditions are met
  */
 const evaluateTriggerConditions = async (trigger, context) => {
-  // For now, always trigger. Can be extended with complex conditions
+  const config = trigger.config || {};
+
+  if (trigger.type === TRIGGER_TYPES.REFERRAL_STATUS_CHANGED) {
+    // Optional filters: canonical statuses, company pipeline stages, company
+    const { newStatus, newStage } = context.inputData || {};
+
+    if (config.companyId && String(config.companyId) !== String(context.companyId)) {
+      return false;
+    }
+    if (Array.isArray(config.statuses) && config.statuses.length > 0 && !config.statuses.includes(newStatus)) {
+      return false;
+    }
+    if (Array.isArray(config.stages) && config.stages.length > 0 && !config.stages.includes(newStage)) {
+      return false;
+    }
+  }
+
   return true;
 };
 
@@ -524,12 +1491,69 @@ const evaluateCondition = async (config, context) => {
     case CONDITION_OPERATORS.LESS_THAN_OR_EQUAL:
       return fieldValue <= value;
     case CONDITION_OPERATORS.CONTAINS:
-      return String(fieldValue).includes(value);
+      return Array.isArray(fieldValue) ? fieldValue.includes(value) : String(fieldValue).includes(value);
+    case CONDITION_OPERATORS.NOT_CONTAINS:
+      return Array.isArray(fieldValue) ? !fieldValue.includes(value) : !String(fieldValue).includes(value);
+    case CONDITION_OPERATORS.EXISTS:
+      return fieldValue !== undefined && fieldValue !== null;
+    case CONDITION_OPERATORS.NOT_EXISTS:
+      return fieldValue === undefined || fieldValue === null;
+    case CONDITION_OPERATORS.IN:
+      return Array.isArray(value) && value.includes(fieldValue);
+    case CONDITION_OPERATORS.NOT_IN:
+      return Array.isArray(value) && !value.includes(fieldValue);
     default:
       throw new Error(`Unknown operator: ${operator}`);
   }
 };
 
+/**
+ * Evaluate a condition action - either its conditions list (joined by
+ * conditionLogic) or a single { field, operator, value } in config
+ * @param {Object} action - Condition action
+ * @param {Object} context - Execution context
+ * @returns {Promise<boolean>}
+ */
+const evaluateActionCondition = async (action, context) => {
+  if (action.conditions && action.conditions.length > 0) {
+    const results = await Promise.all(action.conditions.map(condition => evaluateCondition(condition, context)));
+    return action.conditionLogic === 'or' ? results.some(Boolean) : results.every(Boolean);
+  }
+
+  return evaluateCondition(action.config || {}, context);
+};
+
+/**
+ * Resolve {{path}} placeholders against the context. A string that is a
+ * single placeholder keeps the value's type (e.g. an ObjectId); other
+ * strings are interpolated. Objects and arrays are resolved recursively.
+ * @param {any} value - Value to resolve
+ * @param {Object} context - Execution context
+ * @returns {any} Resolved value
+ */
+const resolveTemplates = (value, context) => {
+  if (typeof value === 'string') {
+    const single = value.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (single) {
+      return resolveField(single[1], context);
+    }
+    return value.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+      const resolved = resolveField(path, context);
+      return resolved === undefined || resolved === null ? '' : String(resolved);
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => resolveTemplates(item, context));
+  }
+
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveTemplates(item, context)]));
+  }
+
+  return value;
+};
+
 /**
  * Resolve a field value from context
  * @param {string} field - Field path (e.g., 'user.name')
@@ -547,25 +1571,6 @@ const resolveField = (field, context) => {
   return value;
 };
 
-/**
- * Calculate schedule time for an action
- * @param {Object} action - Action configuration
- * @returns {Date} Scheduled time
- */
-const calculateScheduleTime = (action) => {
-  const now = new Date();
-  
-  if (action.type === ACTION_TYPES.DELAY) {
-    const { hours, days, minutes } = action.config;
-    const delayMs = (days || 0) * 24 * 60 * 60 * 1000 + 
-                    (hours || 0) * 60 * 60 * 1000 + 
-                    (minutes || 0) * 60 * 1000;
-    return new Date(now.getTime() + delayMs);
-  }
-  
-  return now;
-};
-
 // ==================== PREDEFINED WORKFLOW INITIALIZATION ====================
 
 /**
@@ -597,6 +1602,9 @@ const initializePredefinedWorkflows = async () => {
 module.exports = {
   triggerWorkflow,
   executeWorkflow,
+  createRuntime,
+  runActions,
+  evaluateTriggerConditions,
   initializePredefinedWorkflows,
   PREDEFINED_WORKFLOWS,
 };
@@ -0,0 +1,172 @@
+/**
+ * Workflow Simulation Service
+ * Dry-runs a workflow against a historical entity (referral, application,
+ * company) or a synthetic payload. Conditions are evaluated and reads are
+ * performed for real; emails and WhatsApp messages are rendered but not
+ * sent, and no data is written.
+ */
+
+const Workflow = require('../models/Workflow.js');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler.js');
+const { ENTITY_TYPES, ACTION_STATUS } = require('../models/WorkflowExecution.js');
+const { User, Job, Company, Referral, Application } = require('../models/index.js');
+const { createRuntime, runActions, evaluateTriggerConditions } = require('./workflowEngine.js');
+
+// Entities a simulation can be replayed against
+const SIMULATION_ENTITY_TYPES = [
+  ENTITY_TYPES.REFERRAL,
+  ENTITY_TYPES.APPLICATION,
+  ENTITY_TYPES.COMPANY,
+];
+
+// User fields exposed to simulated templates
+const USER_FIELDS = 'name email phone role';
+
+class WorkflowSimulationService {
+  /**
+   * Validate an unsaved workflow definition without saving it
+   * @param {Object} definition - Workflow definition
+   * @returns {Object} { workflow, errors }
+   */
+  buildDraftWorkflow(definition) {
+    const workflow = new Workflow({
+      category: 'system',
+      trigger: { type: 'manual' },
+      ...definition,
+      name: definition.name || 'Draft workflow',
+    });
+
+    const errors = [];
+    const validation = workflow.validateSync();
+    if (validation) {
+      errors.push(...Object.values(validation.errors).map(error => error.message));
+    }
+    if (!workflow.actions || workflow.actions.length === 0) {
+      errors.push('At least one action is required');
+    }
+
+    return { workflow, errors };
+  }
+
+  /**
+   * Build the execution context for a simulation
+   * @param {Object} source - { entityType, entityId, inputData } or { payload }
+   * @returns {Promise<Object>} Execution context
+   */
+  async buildContext({ entityType, entityId, inputData = {}, payload }) {
+    if (payload) {
+      return {
+        entityType: payload.entityType || ENTITY_TYPES.SYSTEM,
+        ...payload,
+        inputData: { ...(payload.inputData || {}), ...inputData },
+      };
+    }
+
+    if (!SIMULATION_ENTITY_TYPES.includes(entityType)) {
+      throw new ValidationError(`Entity type must be one of: ${SIMULATION_ENTITY_TYPES.join(', ')}`);
+    }
+
+    switch (entityType) {
+      case ENTITY_TYPES.REFERRAL: {
+        const referral = await Referral.findById(entityId).lean();
+        if (!referral) throw new NotFoundError('Referral');
+
+        const job = await Job.findById(referral.jobId).lean();
+        const [company, user] = await Promise.all([
+          job ? Company.findById(job.companyId).lean() : null,
+          User.findById(referral.referrerId).select(USER_FIELDS).lean(),
+        ]);
+
+        return {
+          entityType,
+          entityId: referral._id,
+          companyId: job?.companyId,
+          inputData: { referral, oldStatus: referral.status, newStatus: referral.status, ...inputData },
+          referral,
+          job,
+          company,
+          user,
+        };
+      }
+
+      case ENTITY_TYPES.APPLICATION: {
+        const application = await Application.findById(entityId).lean();
+        if (!application) throw new NotFoundError('Application');
+
+        const [job, user] = await Promise.all([
+          Job.findById(application.jobId).lean(),
+          application.applicantId ? User.findById(application.applicantId).select(USER_FIELDS).lean() : null,
+        ]);
+
+        return {
+          entityType,
+          entityId: application._id,
+          companyId: application.companyId || job?.companyId,
+          inputData: { application, ...inputData },
+          application,
+          job,
+          user,
+        };
+      }
+
+      default: {
+        const company = await Company.findById(entityId).lean();
+        if (!company) throw new NotFoundError('Company');
+
+        return {
+          entityType,
+          entityId: company._id,
+          companyId: company._id,
+          inputData: { company, ...inputData },
+          company,
+        };
+      }
+    }
+  }
+
+  /**
+   * Dry-run a workflow
+   * @param {Object} workflow - Workflow document (saved or draft)
+   * @param {Object} source - { entityType, entityId, inputData } or { payload }
+   * @returns {Promise<Object>} Simulation report
+   */
+  async simulate(workflow, source) {
+    const context = await this.buildContext(source);
+    const triggerMatched = await evaluateTriggerConditions(workflow.trigger || {}, context);
+
+    const runtime = createRuntime({ workflowId: workflow._id, dryRun: true });
+    const outcome = await runActions(workflow.actions, context, runtime);
+
+    const path = runtime.trace.map(entry => ({
+      nodeId: entry.nodeId,
+      parentNodeId: entry.parentNodeId,
+      actionType: entry.actionType,
+      actionName: entry.actionName,
+      status: entry.status,
+      branch: entry.branch,
+      iteration: entry.iteration,
+      output: entry.output,
+      error: entry.error,
+    }));
+
+    return {
+      workflow: { id: workflow._id, name: workflow.name },
+      entity: { entityType: context.entityType, entityId: context.entityId },
+      triggerMatched,
+      status: outcome.status,
+      failedNodeId: outcome.status === ACTION_STATUS.FAILED ? outcome.nodeId : undefined,
+      error: outcome.error,
+      path,
+      // Rendered messages that would have been sent
+      messages: path
+        .filter(node => node.output?.simulated && ['send_email', 'send_whatsapp', 'send_notification'].includes(node.output.effect))
+        .map(node => ({ nodeId: node.nodeId, ...node.output })),
+    };
+  }
+}
+
+// Create singleton instance
+const workflowSimulationService = new WorkflowSimulationService();
+
+module.exports = workflowSimulationService;
+module.exports.SIMULATION_ENTITY_TYPES = SIMULATION_ENTITY_TYPES;
@@ -0,0 +1,101 @@
+/**
+ * Workflow Timer Service
+ * Durable timers for suspended workflow executions. MongoDB is the source of
+ * truth: a waiting execution stores its wake-up time in scheduledAt and is
+ * picked up by the workflow cron through a lease claim. When Redis is
+ * configured, a delayed Bull job additionally wakes the execution on time
+ * instead of on the next cron tick.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const Queue = require('bull');
+
+// How long a claimed execution stays locked to one worker without a renewal
+const LEASE_MS = 5 * 60 * 1000;
+
+class WorkflowTimerService {
+  constructor() {
+    // Unique per process, so leases distinguish instances on the same host
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.leaseMs = LEASE_MS;
+    this.queue = null;
+  }
+
+  /**
+   * Whether a Redis queue should back the timers
+   * @returns {boolean}
+   */
+  isQueueEnabled() {
+    if (process.env.WORKFLOW_TIMER_BACKEND === 'mongo') return false;
+    return Boolean(process.env.REDIS_URL || process.env.REDIS_HOST);
+  }
+
+  /**
+   * Start the Bull queue worker when Redis is available
+   * @param {Function} resumeHandler - async (executionId) => void
+   */
+  initialize(resumeHandler) {
+    if (this.queue || !this.isQueueEnabled()) {
+      return;
+    }
+
+    this.queue = new Queue('workflow-timers', process.env.REDIS_URL || {
+      redis: {
+        host: process.env.REDIS_HOST,
+        port: process.env.REDIS_PORT || 6379,
+        password: process.env.REDIS_PASSWORD || undefined,
+      },
+    });
+
+    this.queue.process(async (job) => {
+      await resumeHandler(job.data.executionId);
+    });
+
+    this.queue.on('error', (error) => {
+      console.error('[WorkflowTimer] Queue error:', error.message);
+    });
+
+    console.log('[WorkflowTimer] Redis timer queue initialized');
+  }
+
+  /**
+   * Schedule a wake-up for a waiting execution. The Mongo record already
+   * holds the timer, so queue failures only delay the resume until the next
+   * cron tick.
+   * @param {string} executionId - Workflow execution ID
+   * @param {Date} wakeAt - When to resume
+   * @returns {Promise<void>}
+   */
+  async schedule(executionId, wakeAt) {
+    if (!this.queue) return;
+
+    try {
+      await this.queue.add({ executionId: String(executionId) }, {
+        // One job per execution and wake-up time, however often it is scheduled
+        jobId: `${executionId}:${new Date(wakeAt).getTime()}`,
+        delay: Math.max(0, new Date(wakeAt).getTime() - Date.now()),
+        removeOnComplete: true,
+        removeOnFail: 100,
+      });
+    } catch (error) {
+      console.error('[WorkflowTimer] Failed to queue timer:', error.message);
+    }
+  }
+
+  /**
+   * Close the queue
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.queue) {
+      await this.queue.close();
+      this.queue = null;
+    }
+  }
+}
+
+// Create singleton instance
+const workflowTimerService = new WorkflowTimerService();
+
+module.exports = workflowTimerService;
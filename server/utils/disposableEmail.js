@@ -0,0 +1,61 @@
+/**
+ * Disposable Email Utilities
+ * Checks email addresses against the disposable-email-domains list of
+ * throwaway mailbox providers. Wildcard entries also match their subdomains
+ * (anything.33m.co).
+ */
+
+let domains = null;
+let wildcards = null;
+
+// The lists are large, so they are only loaded on first use
+function loadLists() {
+  if (!domains) {
+    domains = new Set(require('disposable-email-domains'));
+    wildcards = new Set(require('disposable-email-domains/wildcard.json'));
+  }
+}
+
+/**
+ * Domain part of an email address
+ * @param {string} email
+ * @returns {string|null} Lowercased domain, or null if there is none
+ */
+function getEmailDomain(email) {
+  if (typeof email !== 'string') return null;
+
+  const at = email.lastIndexOf('@');
+  if (at === -1) return null;
+
+  const domain = email.slice(at + 1).trim().toLowerCase().replace(/\.$/, '');
+  return domain || null;
+}
+
+/**
+ * Check whether an email address or domain belongs to a disposable provider
+ * @param {string} emailOrDomain - Email address, or a bare domain
+ * @returns {boolean}
+ */
+function isDisposableEmail(emailOrDomain) {
+  const domain = emailOrDomain?.includes?.('@')
+    ? getEmailDomain(emailOrDomain)
+    : (emailOrDomain || '').trim().toLowerCase();
+  if (!domain) return false;
+
+  loadLists();
+
+  if (domains.has(domain)) return true;
+
+  // Walk up the parent domains for wildcard entries
+  const labels = domain.split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    if (wildcards.has(labels.slice(i).join('.'))) return true;
+  }
+
+  return false;
+}
+
+module.exports = {
+  getEmailDomain,
+  isDisposableEmail,
+};
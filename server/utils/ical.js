@@ -0,0 +1,103 @@
+/**
+ * iCalendar Utilities
+ * Builds RFC 5545 calendar payloads for events and interview invites
+ */
+
+/**
+ * Format a date as an iCal UTC timestamp (YYYYMMDDTHHMMSSZ)
+ * @param {Date|string} date - Date to format
+ * @returns {string}
+ */
+const formatICalDate = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+};
+
+/**
+ * Escape text values (commas, semicolons, backslashes and newlines)
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+const escapeICalText = (text) => {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Build an iCalendar document with a single VEVENT
+ * @param {Object} entry - Calendar entry
+ * @param {string} entry.uid - Stable unique ID (kept across updates)
+ * @param {Date} entry.start - Start time
+ * @param {Date} entry.end - End time
+ * @param {string} entry.summary - Title
+ * @param {string} entry.description - Description
+ * @param {string} entry.location - Location or meeting URL
+ * @param {Object} entry.organizer - { name, email }
+ * @param {Array} entry.attendees - [{ name, email }]
+ * @param {string} entry.method - PUBLISH, REQUEST or CANCEL
+ * @param {number} entry.sequence - Revision number, incremented on reschedule
+ * @param {string} entry.prodId - Product identifier
+ * @returns {string}
+ */
+const buildICalendar = (entry) => {
+  const {
+    uid,
+    start,
+    end,
+    summary,
+    description,
+    location,
+    organizer,
+    attendees = [],
+    method,
+    sequence,
+    prodId = '-//TRM Platform//Event Calendar//EN',
+  } = entry;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${prodId}`,
+  ];
+
+  if (method) {
+    lines.push(`METHOD:${method}`);
+  }
+
+  lines.push(
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatICalDate(new Date())}`,
+    `DTSTART:${formatICalDate(start)}`,
+    `DTEND:${formatICalDate(end)}`,
+    `SUMMARY:${escapeICalText(summary)}`,
+    `DESCRIPTION:${escapeICalText(description)}`,
+    `LOCATION:${escapeICalText(location)}`,
+    `ORGANIZER;CN=${escapeICalText(organizer?.name || 'Organizer')}:mailto:${organizer?.email || 'events@trm-platform.com'}`
+  );
+
+  for (const attendee of attendees) {
+    if (!attendee?.email) continue;
+    lines.push(`ATTENDEE;CN=${escapeICalText(attendee.name || attendee.email)};RSVP=TRUE:mailto:${attendee.email}`);
+  }
+
+  if (sequence !== undefined) {
+    lines.push(`SEQUENCE:${sequence}`);
+  }
+
+  if (method === 'CANCEL') {
+    lines.push('STATUS:CANCELLED');
+  }
+
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+
+  return lines.join('\r\n');
+};
+
+module.exports = {
+  formatICalDate,
+  escapeICalText,
+  buildICalendar,
+};
@@ -0,0 +1,339 @@
+/**
+ * Myanmar Text Utilities
+ * Detects Zawgyi-encoded Burmese and converts it to Unicode.
+ * Zawgyi reuses the Myanmar code block in visual order: the e-vowel and
+ * medial ra are typed before the consonant, and stacked consonants and kinzi
+ * have code points of their own. The same word is therefore stored as
+ * different strings depending on the writer's font, so text is normalised
+ * to Unicode before it is stored, searched or matched.
+ */
+
+const MYANMAR_PATTERN = /[\u1000-\u109f]/;
+
+// Sequences that only occur in Zawgyi
+const ZAWGYI_PATTERNS = [
+  // Code points Zawgyi uses for glyph variants, stacked consonants and kinzi
+  /[\u1033\u1034\u105a\u1060-\u1097]/g,
+  // E-vowel or medial ra typed before the consonant
+  /(^|[^\u1000-\u102a\u103b-\u103f])\u1031/g,
+  /(^|[\s\u104a\u104b\u102b-\u1030\u1032\u1036-\u1039])[\u103b\u107e-\u1084]/g,
+  /\u1031[\u103b\u107e-\u1084]/g,
+  // Medial ha (U+103D in Zawgyi) under a vowel, which medial wa never takes
+  /\u103d[\u102d\u102f]/g,
+  // Asat (U+1039 in Zawgyi) that does not stack a consonant
+  /\u1039(?![\u1000-\u1021])/g,
+];
+
+// Sequences that only occur in Unicode
+const UNICODE_PATTERNS = [
+  // Kinzi
+  /\u1004\u103a\u1039/g,
+  // E-vowel stored after its consonant, followed by a vowel or sign
+  /\u1031[\u102b-\u1030\u1032\u1036-\u1038]/g,
+  // Asat ending a word, and the canonical dot-below + asat order
+  /\u103a(?=$|[\s\u104a\u104b])/g,
+  /\u1037\u103a/g,
+  // Medial ha
+  /\u103e/g,
+];
+
+// Position of each part of a syllable in Unicode storage order
+const SLOTS = ['kinzi', 'base', 'stack', 'medialY', 'medialR', 'medialW', 'medialH', 'e', 'upper', 'lower', 'aa', 'anusvara', 'dot', 'asat', 'visarga'];
+
+const KINZI = '\u1004\u103a\u1039';
+
+/**
+ * Zawgyi code points as [slot, Unicode text] parts; consonants not listed
+ * here are the same in both encodings
+ */
+const GLYPHS = {
+  // Consonant variants
+  '\u106a': [['base', '\u1009']],
+  '\u106b': [['base', '\u100a']],
+  '\u108f': [['base', '\u1014']],
+  '\u1090': [['base', '\u101b']],
+  '\u1086': [['base', '\u103f']],
+  // Consonants with their stacked consonant
+  '\u106e': [['base', '\u100d'], ['stack', '\u1039\u100d']],
+  '\u106f': [['base', '\u100d'], ['stack', '\u1039\u100e']],
+  '\u1091': [['base', '\u100f'], ['stack', '\u1039\u100d']],
+  '\u1092': [['base', '\u100b'], ['stack', '\u1039\u100c']],
+  '\u1097': [['base', '\u100b'], ['stack', '\u1039\u100b']],
+  // Stacked consonants
+  '\u1060': [['stack', '\u1039\u1000']],
+  '\u1061': [['stack', '\u1039\u1001']],
+  '\u1062': [['stack', '\u1039\u1002']],
+  '\u1063': [['stack', '\u1039\u1003']],
+  '\u1065': [['stack', '\u1039\u1005']],
+  '\u1066': [['stack', '\u1039\u1006']],
+  '\u1067': [['stack', '\u1039\u1006']],
+  '\u1068': [['stack', '\u1039\u1007']],
+  '\u1069': [['stack', '\u1039\u1008']],
+  '\u106c': [['stack', '\u1039\u100b']],
+  '\u106d': [['stack', '\u1039\u100c']],
+  '\u1070': [['stack', '\u1039\u100f']],
+  '\u1071': [['stack', '\u1039\u1010']],
+  '\u1072': [['stack', '\u1039\u1010']],
+  '\u1073': [['stack', '\u1039\u1011']],
+  '\u1074': [['stack', '\u1039\u1011']],
+  '\u1075': [['stack', '\u1039\u1012']],
+  '\u1076': [['stack', '\u1039\u1013']],
+  '\u1077': [['stack', '\u1039\u1014']],
+  '\u1078': [['stack', '\u1039\u1015']],
+  '\u1079': [['stack', '\u1039\u1016']],
+  '\u107a': [['stack', '\u1039\u1017']],
+  '\u107b': [['stack', '\u1039\u1018']],
+  '\u1093': [['stack', '\u1039\u1018']],
+  '\u107c': [['stack', '\u1039\u1019']],
+  '\u1085': [['stack', '\u1039\u101c']],
+  '\u1096': [['stack', '\u1039\u1010'], ['medialW', '\u103d']],
+  // Kinzi, alone and with a vowel or anusvara
+  '\u1064': [['kinzi', KINZI]],
+  '\u108b': [['kinzi', KINZI], ['upper', '\u102d']],
+  '\u108c': [['kinzi', KINZI], ['upper', '\u102e']],
+  '\u108d': [['kinzi', KINZI], ['anusvara', '\u1036']],
+  // Medials
+  '\u103a': [['medialY', '\u103b']],
+  '\u107d': [['medialY', '\u103b']],
+  '\u103b': [['medialR', '\u103c']],
+  '\u107e': [['medialR', '\u103c']],
+  '\u107f': [['medialR', '\u103c']],
+  '\u1080': [['medialR', '\u103c']],
+  '\u1081': [['medialR', '\u103c']],
+  '\u1082': [['medialR', '\u103c']],
+  '\u1083': [['medialR', '\u103c']],
+  '\u1084': [['medialR', '\u103c']],
+  '\u103c': [['medialW', '\u103d']],
+  '\u108a': [['medialW', '\u103d'], ['medialH', '\u103e']],
+  '\u103d': [['medialH', '\u103e']],
+  '\u103e': [['medialH', '\u103e']],
+  '\u1087': [['medialH', '\u103e']],
+  '\u1088': [['medialH', '\u103e'], ['lower', '\u102f']],
+  '\u1089': [['medialH', '\u103e'], ['lower', '\u1030']],
+  // Vowels and signs
+  '\u1031': [['e', '\u1031']],
+  '\u102d': [['upper', '\u102d']],
+  '\u102e': [['upper', '\u102e']],
+  '\u1032': [['upper', '\u1032']],
+  '\u108e': [['upper', '\u102d'], ['anusvara', '\u1036']],
+  '\u102f': [['lower', '\u102f']],
+  '\u1033': [['lower', '\u102f']],
+  '\u1030': [['lower', '\u1030']],
+  '\u1034': [['lower', '\u1030']],
+  '\u102b': [['aa', '\u102b']],
+  '\u102c': [['aa', '\u102c']],
+  '\u105a': [['aa', '\u102b'], ['asat', '\u103a']],
+  '\u1036': [['anusvara', '\u1036']],
+  '\u1037': [['dot', '\u1037']],
+  '\u1094': [['dot', '\u1037']],
+  '\u1095': [['dot', '\u1037']],
+  '\u1039': [['asat', '\u103a']],
+  '\u1038': [['visarga', '\u1038']],
+};
+
+// Parts typed before the consonant they belong to
+const PREFIX_SLOTS = ['e', 'medialR'];
+
+const isBase = char => /[\u1000-\u102a\u103f\u104c-\u104f]/.test(char) || (GLYPHS[char] && GLYPHS[char][0][0] === 'base');
+
+const isMark = char => Boolean(GLYPHS[char]) && !isBase(char) && !PREFIX_SLOTS.includes(GLYPHS[char][0][0]);
+
+const isDigit = char => /[\u1040-\u1049]/.test(char || '');
+
+/**
+ * Zawgyi writers often type zero for wa (ဝ) and seven for ra (ရ); read them
+ * as letters when they carry marks or sit among letters
+ */
+const isLetterDigit = (text, index, pending) => {
+  const char = text[index];
+  if (char !== '\u1040' && char !== '\u1047') return false;
+
+  const next = text[index + 1];
+  const previous = text[index - 1];
+  if (pending.length > 0 || isMark(next)) return true;
+  return /[\u1000-\u103f\u1050-\u109f]/.test(previous || '') && !isDigit(previous) && !isDigit(next);
+};
+
+/**
+ * Write a syllable's parts in Unicode storage order
+ */
+const writeSyllable = (syllable) => {
+  if (syllable.base === '\u1025' && syllable.upper.includes('\u102e')) {
+    syllable.base = '\u1026';
+    syllable.upper = syllable.upper.filter(vowel => vowel !== '\u102e');
+  } else if (syllable.base === '\u1025' && (syllable.asat.length || syllable.aa.length || syllable.stack.length)) {
+    syllable.base = '\u1009';
+  }
+  if (syllable.upper.includes('\u102d') && syllable.upper.includes('\u102e')) {
+    syllable.upper = syllable.upper.filter(vowel => vowel !== '\u102d');
+  }
+
+  // Contractions such as ကျွန်ုပ် keep the asat before the vowel
+  const contraction = syllable.asat.length && syllable.lower.length && !syllable.upper.length && !syllable.aa.length;
+
+  return SLOTS.map(slot => {
+    if (slot === 'asat' && contraction) return '';
+    const parts = slot === 'base' ? syllable.base : syllable[slot].join('');
+    return slot === 'stack' && contraction ? parts + syllable.asat.join('') : parts;
+  }).join('');
+};
+
+const createSyllable = () => SLOTS.reduce((syllable, slot) => ({ ...syllable, [slot]: [] }), {});
+
+const addPart = (syllable, slot, value) => {
+  if (slot === 'base') {
+    syllable.base = value;
+  } else if (!syllable[slot].includes(value)) {
+    syllable[slot].push(value);
+  }
+};
+
+/**
+ * Convert Zawgyi text to Unicode
+ * @param {string} text - Zawgyi text
+ * @returns {string}
+ */
+const zawgyiToUnicode = (text) => {
+  if (typeof text !== 'string' || !MYANMAR_PATTERN.test(text)) return text;
+
+  let output = '';
+  let syllable = null;
+  let pending = [];
+
+  const flush = () => {
+    if (syllable) output += writeSyllable(syllable);
+    syllable = null;
+  };
+  const flushPending = () => {
+    output += pending.map(([, value]) => value).join('');
+    pending = [];
+  };
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    const letterDigit = isLetterDigit(text, index, pending);
+
+    if (isBase(char) || letterDigit) {
+      flush();
+      syllable = createSyllable();
+      syllable.base = char;
+      if (letterDigit) syllable.base = char === '\u1040' ? '\u101d' : '\u101b';
+      (GLYPHS[char] && !letterDigit ? GLYPHS[char] : []).forEach(([slot, value]) => addPart(syllable, slot, value));
+      pending.forEach(([slot, value]) => addPart(syllable, slot, value));
+      pending = [];
+      continue;
+    }
+
+    const parts = GLYPHS[char];
+    if (!parts) {
+      flush();
+      flushPending();
+      output += char;
+      continue;
+    }
+
+    if (PREFIX_SLOTS.includes(parts[0][0])) {
+      flush();
+      pending.push(parts[0]);
+    } else if (syllable) {
+      parts.forEach(([slot, value]) => addPart(syllable, slot, value));
+    } else {
+      flushPending();
+      output += parts.map(([, value]) => value).join('');
+    }
+  }
+  flush();
+  flushPending();
+
+  return output
+    // ၎ is written alone for ၎င်း, sometimes with four for ၎
+    .replace(/[\u104e\u1044]\u1004\u103a\u1038/g, '\u104e\u1004\u103a\u1038')
+    .replace(/\u104e(?!\u1004)/g, '\u104e\u1004\u103a\u1038');
+};
+
+const countMatches = (text, patterns) => patterns.reduce((total, pattern) => total + (text.match(pattern) || []).length, 0);
+
+/**
+ * Detect the encoding of Burmese text
+ * @param {string} text - Text
+ * @returns {string|null} 'zawgyi', 'unicode', or null when there is no Burmese
+ */
+const detectEncoding = (text) => {
+  if (typeof text !== 'string' || !MYANMAR_PATTERN.test(text)) return null;
+
+  return countMatches(text, ZAWGYI_PATTERNS) > countMatches(text, UNICODE_PATTERNS) ? 'zawgyi' : 'unicode';
+};
+
+/**
+ * Check whether text is Zawgyi-encoded Burmese
+ * @param {string} text - Text
+ * @returns {boolean}
+ */
+const isZawgyi = text => detectEncoding(text) === 'zawgyi';
+
+/**
+ * Check whether text contains Burmese
+ * @param {string} text - Text
+ * @returns {boolean}
+ */
+const containsMyanmar = text => typeof text === 'string' && MYANMAR_PATTERN.test(text);
+
+/**
+ * Normalise Burmese text to Unicode. Each line is detected on its own, so
+ * text pasted together from several sources (such as a CV) is converted
+ * where needed and left alone elsewhere
+ * @param {string} text - Text
+ * @returns {string} The same string when nothing needed converting
+ */
+const normalizeText = (text) => {
+  if (!containsMyanmar(text)) return text;
+
+  const normalized = text
+    .split(/(\r?\n)/)
+    .map(line => (isZawgyi(line) ? zawgyiToUnicode(line) : line))
+    .join('');
+
+  return normalized === text ? text : normalized;
+};
+
+const isPlainObject = value => value !== null
+  && typeof value === 'object'
+  && [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+/**
+ * Normalise every string in a plain object or array. Other objects, such
+ * as ObjectIds, Dates and Buffers, are left alone
+ * @param {*} value - Value
+ * @param {number} depth - Current depth
+ * @param {Function} skipKey - key => true to leave that property as it is
+ * @returns {*} The same reference when nothing changed, otherwise a copy
+ */
+const normalizeDeep = (value, depth = 0, skipKey = null) => {
+  if (typeof value === 'string') return normalizeText(value);
+  if (depth > 20) return value;
+
+  if (Array.isArray(value)) {
+    const normalized = value.map(item => normalizeDeep(item, depth + 1, skipKey));
+    return normalized.some((item, index) => item !== value[index]) ? normalized : value;
+  }
+
+  if (!isPlainObject(value)) return value;
+
+  let changed = false;
+  const normalized = Object.create(Object.getPrototypeOf(value));
+  for (const [key, item] of Object.entries(value)) {
+    normalized[key] = skipKey && skipKey(key) ? item : normalizeDeep(item, depth + 1, skipKey);
+    if (normalized[key] !== item) changed = true;
+  }
+
+  return changed ? normalized : value;
+};
+
+module.exports = {
+  detectEncoding,
+  isZawgyi,
+  containsMyanmar,
+  zawgyiToUnicode,
+  normalizeText,
+  normalizeDeep,
+};
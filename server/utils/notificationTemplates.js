@@ -255,6 +255,17 @@ const inAppTemplates = {
     deepLink: 'saramart://profile/kyc',
   }),
 
+  [NOTIFICATION_TYPES.KYC_STEP_UP_REQUIRED]: (data) => ({
+    title: 'Further Verification Needed',
+    message: data.method === 'kyc_level'
+      ? `This payout is above your current limit. Complete KYC level ${data.requiredLevel} verification to raise it.`
+      : 'This payout is above your current limit. Our team will review your account and let you know.',
+    actions: data.method === 'kyc_level' ? [
+      { label: 'Verify Now', action: 'upgrade_kyc', url: '/profile/kyc', style: 'primary' },
+    ] : [],
+    deepLink: 'saramart://profile/kyc',
+  }),
+
   [NOTIFICATION_TYPES.PASSWORD_CHANGED]: (data) => ({
     title: 'Password Changed',
     message: 'Your password was changed successfully. If you did not make this change, please contact support immediately.',
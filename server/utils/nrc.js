@@ -0,0 +1,208 @@
+/**
+ * Myanmar NRC Utilities
+ * Parses National Registration Card numbers written in English
+ * (12/OUKAMA(N)123456) or Burmese (၁၂/ဥကမ(နိုင်)၁၂၃၄၅၆) into state code,
+ * township, citizenship type and serial number, and checks the township
+ * against the bundled township table
+ */
+
+const { normalizeText } = require('./myanmarText');
+const NRC_TOWNSHIPS = require('./nrcTownships');
+
+// State/region codes; Nay Pyi Taw numbers are issued under Mandalay (9)
+const STATE_REGIONS = {
+  '1': 'Kachin',
+  '2': 'Kayah',
+  '3': 'Kayin',
+  '4': 'Chin',
+  '5': 'Sagaing',
+  '6': 'Tanintharyi',
+  '7': 'Bago',
+  '8': 'Magway',
+  '9': 'Mandalay',
+  '10': 'Mon',
+  '11': 'Rakhine',
+  '12': 'Yangon',
+  '13': 'Shan',
+  '14': 'Ayeyarwady',
+};
+
+// Citizenship types, with the Burmese word written on the card
+const NRC_TYPES = {
+  N: { mm: 'နိုင်', name: 'Citizen' },
+  E: { mm: 'ဧည့်', name: 'Associate Citizen' },
+  P: { mm: 'ပြု', name: 'Naturalized Citizen' },
+  T: { mm: 'သာသနာ', name: 'Religious' },
+  Y: { mm: 'ယာယီ', name: 'Temporary' },
+  S: { mm: 'စ', name: 'Special' },
+};
+
+// Romanized type words sometimes printed instead of the letter
+const TYPE_ALIASES = {
+  NAING: 'N',
+  AE: 'E',
+  PYU: 'P',
+  THATHANA: 'T',
+  YAYI: 'Y',
+  SA: 'S',
+};
+
+const TYPE_BY_WORD = Object.entries(NRC_TYPES).reduce((map, [code, type]) => {
+  map[type.mm] = code;
+  return map;
+}, { ...TYPE_ALIASES });
+
+// state/township(type)serial, in either script; whitespace is removed first
+const NRC_PATTERN = /([0-9၀-၉]{1,2})\/([A-Z]{3,9}|[က-၏]{2,4})\(([A-Z]{1,8}|[က-႟]{1,8})\)([0-9၀-၉]{6})/;
+
+// Abbreviation lookups per state, by English and by Burmese spelling
+const TOWNSHIPS = Object.entries(NRC_TOWNSHIPS).reduce((index, [stateCode, rows]) => {
+  index[stateCode] = { en: {}, mm: {} };
+  rows.forEach(([en, mm, name, nameMm]) => {
+    const township = { code: en, mm, name, nameMm };
+    index[stateCode].en[en] = index[stateCode].en[en] || [];
+    index[stateCode].en[en].push(township);
+    index[stateCode].mm[mm] = index[stateCode].mm[mm] || [];
+    index[stateCode].mm[mm].push(township);
+  });
+  return index;
+}, {});
+
+/**
+ * Convert Burmese digits to ASCII digits
+ * @param {string} text
+ * @returns {string}
+ */
+function toAsciiDigits(text) {
+  return text.replace(/[၀-၉]/g, digit => String(digit.charCodeAt(0) - 0x1040));
+}
+
+/**
+ * Convert ASCII digits to Burmese digits
+ * @param {string} text
+ * @returns {string}
+ */
+function toBurmeseDigits(text) {
+  return String(text).replace(/[0-9]/g, digit => String.fromCharCode(0x1040 + Number(digit)));
+}
+
+/**
+ * Clean a written NRC number for matching: Zawgyi converted, whitespace
+ * removed, Latin letters upper-cased and full-width brackets made ASCII
+ * @param {string} input
+ * @returns {string}
+ */
+function compact(input) {
+  return normalizeText(String(input))
+    .replace(/\s+/g, '')
+    .replace(/[（]/g, '(')
+    .replace(/[）]/g, ')')
+    .replace(/[\\|]/g, '/')
+    .toUpperCase();
+}
+
+/**
+ * Look up a township abbreviation
+ * @param {string} stateCode - State/region code
+ * @param {string} abbreviation - English or Burmese abbreviation
+ * @returns {Object|null} { code, mm, name, nameMm, alternatives }
+ */
+function findTownship(stateCode, abbreviation) {
+  const state = TOWNSHIPS[stateCode];
+  if (!state) return null;
+
+  // Burmese zero (၀) is routinely typed for the letter wa (ဝ)
+  const matches = /[A-Z]/.test(abbreviation)
+    ? state.en[abbreviation]
+    : state.mm[abbreviation.replace(/၀/g, 'ဝ')];
+  if (!matches) return null;
+
+  const [township, ...others] = matches;
+  return { ...township, alternatives: others.map(other => other.name) };
+}
+
+/**
+ * Parse an NRC number
+ * @param {string} input - NRC number in English, Burmese or mixed script
+ * @returns {Object} { valid, format, stateCode, state, township, townshipKnown, type, typeName, serial, fullNumber, burmeseNumber } or { valid: false, error }
+ */
+function parseNRC(input) {
+  if (!input || typeof input !== 'string') {
+    return { valid: false, error: 'NRC number is required' };
+  }
+
+  const text = compact(input);
+  const parts = text.match(new RegExp(`^${NRC_PATTERN.source}$`));
+  if (!parts) {
+    return {
+      valid: false,
+      error: 'Invalid NRC format. Expected format: 12/OUKAMA(N)123456 or ၁၂/ဥကမ(နိုင်)၁၂၃၄၅၆',
+      format: null,
+    };
+  }
+
+  const [, stateDigits, abbreviation, typeWord, serialDigits] = parts;
+  const stateCode = String(Number(toAsciiDigits(stateDigits)));
+  const state = STATE_REGIONS[stateCode];
+  if (!state) {
+    return { valid: false, error: `Invalid state/region code: ${stateCode}` };
+  }
+
+  const type = NRC_TYPES[typeWord] ? typeWord : TYPE_BY_WORD[typeWord];
+  if (!type) {
+    return { valid: false, error: `Invalid NRC type: ${typeWord}` };
+  }
+
+  const serial = toAsciiDigits(serialDigits);
+  const township = findTownship(stateCode, abbreviation);
+  const format = /[က-႟]/.test(abbreviation + typeWord + stateDigits) ? 'burmese' : 'english';
+  const englishCode = township ? township.code : (format === 'english' ? abbreviation : null);
+  const burmeseCode = township ? township.mm : (format === 'burmese' ? abbreviation : null);
+
+  return {
+    valid: true,
+    format,
+    stateCode,
+    state,
+    township: township || null,
+    townshipCode: abbreviation,
+    townshipKnown: Boolean(township),
+    type,
+    typeName: NRC_TYPES[type].name,
+    serial,
+    fullNumber: englishCode ? `${stateCode}/${englishCode}(${type})${serial}` : null,
+    burmeseNumber: burmeseCode ? `${toBurmeseDigits(stateCode)}/${burmeseCode}(${NRC_TYPES[type].mm})${toBurmeseDigits(serial)}` : null,
+  };
+}
+
+/**
+ * Find the first well-formed NRC number in a block of text, such as OCR
+ * output; candidates are tried line by line
+ * @param {string|string[]} text - Text or lines
+ * @returns {Object|null} Parsed NRC with the index of its line, or null
+ */
+function findNRC(text) {
+  const lines = Array.isArray(text) ? text : String(text || '').split('\n');
+
+  for (let index = 0; index < lines.length; index++) {
+    const match = compact(lines[index]).match(NRC_PATTERN);
+    if (!match) continue;
+
+    const parsed = parseNRC(match[0]);
+    if (parsed.valid) {
+      return { ...parsed, line: index };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  STATE_REGIONS,
+  NRC_TYPES,
+  parseNRC,
+  findNRC,
+  findTownship,
+  toAsciiDigits,
+  toBurmeseDigits,
+};
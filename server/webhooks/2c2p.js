@@ -4,7 +4,7 @@
  */
 
 const express = require('express');
-const { paymentGatewayService } = require('../services/paymentGatewayService.js');
+const paymentService = require('../services/payment/PaymentService.js');
 const { billingEngine } = require('../services/billingEngine.js');
 const { BillingRecord, Subscription } = require('../models/index.js');
 
@@ -17,50 +17,47 @@ const router = express.Router();
  */
 router.post('/', async (req, res) => {
   try {
-    console.log('[2C2P Webhook] Received:', req.body);
+    console.log('[2C2P Webhook] Received notification');
 
-    // Verify webhook signature
-    const isValid = paymentGatewayService.verifyTwoC2PResponse(req.body);
+    // Verifies the signed payload and settles payments made through PaymentService
+    const result = await paymentService.handleWebhook('twoc2p', req.body, req.headers);
+    const webhookData = result.webhookData;
 
-    if (!isValid) {
-      console.error('[2C2P Webhook] Invalid signature');
-      return res.status(400).json({ error: 'Invalid signature' });
-    }
-
-    // Parse webhook data
-    const webhookData = await paymentGatewayService.handleTwoC2PWebhook(req.body);
+    console.log('[2C2P Webhook] Parsed:', webhookData.orderId, webhookData.status);
 
-    console.log('[2C2P Webhook] Parsed:', webhookData);
+    if (result.success) {
+      return res.json({ status: 'received' });
+    }
 
-    // Find invoice by invoice number
+    // Hosted-page payments for invoices use the invoice number as the 2C2P invoice
     const invoice = await BillingRecord.findOne({
-      invoiceNumber: webhookData.invoiceNo,
+      invoiceNumber: webhookData.orderId,
     });
 
     if (!invoice) {
-      console.error('[2C2P Webhook] Invoice not found:', webhookData.invoiceNo);
+      console.error('[2C2P Webhook] Invoice not found:', webhookData.orderId);
       return res.status(404).json({ error: 'Invoice not found' });
     }
 
     // Process based on status
-    if (webhookData.status === 'success') {
+    if (webhookData.status === 'completed') {
       // Process successful payment
       await billingEngine.processPayment(invoice._id, {
         amount: webhookData.amount,
-        paymentMethod: webhookData.paymentMethod || '2c2p',
+        paymentMethod: webhookData.paymentChannel || '2c2p',
         provider: '2c2p',
         transactionId: webhookData.transactionId,
         metadata: {
-          paymentChannel: webhookData.paymentMethod,
+          paymentChannel: webhookData.paymentChannel,
           processedAt: webhookData.paidAt,
         },
       });
 
       console.log('[2C2P Webhook] Payment processed successfully:', invoice._id);
-    } else {
+    } else if (webhookData.status === 'failed') {
       // Record failed payment
       await billingEngine.recordFailedPayment(invoice._id, {
-        reason: 'Payment failed',
+        reason: webhookData.errorMessage || 'Payment failed',
         provider: '2c2p',
         attemptNumber: 1,
       });
@@ -72,6 +69,10 @@ router.post('/', async (req, res) => {
     res.json({ status: 'received' });
   } catch (error) {
     console.error('[2C2P Webhook] Error:', error);
+
+    if (error.message === 'Invalid webhook signature') {
+      return res.status(400).json({ error: 'Invalid signature' });
+    }
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -83,33 +84,35 @@ router.post('/', async (req, res) => {
  */
 router.post('/redirect', async (req, res) => {
   try {
-    const { order_id, status, hash_value } = req.body;
+    // The frontend return is not signed: take the invoice from it, then ask 2C2P for the outcome
+    const paymentResponse = JSON.parse(
+      Buffer.from(req.body.paymentResponse || '', 'base64').toString('utf8') || '{}'
+    );
+    const invoiceNo = paymentResponse.invoiceNo;
 
-    console.log('[2C2P Redirect] Received:', req.body);
+    console.log('[2C2P Redirect] Received:', paymentResponse);
 
-    // Verify response
-    const isValid = paymentGatewayService.verifyTwoC2PResponse(req.body);
-
-    if (!isValid) {
-      console.error('[2C2P Redirect] Invalid signature');
-      return res.redirect(`${process.env.FRONTEND_URL}/payment/error?reason=invalid_signature`);
+    if (!invoiceNo) {
+      return res.redirect(`${process.env.FRONTEND_URL}/payment/error?reason=invalid_response`);
     }
 
     // Find invoice
-    const invoice = await BillingRecord.findOne({ invoiceNumber: order_id });
+    const invoice = await BillingRecord.findOne({ invoiceNumber: invoiceNo });
 
     if (!invoice) {
-      console.error('[2C2P Redirect] Invoice not found:', order_id);
+      console.error('[2C2P Redirect] Invoice not found:', invoiceNo);
       return res.redirect(`${process.env.FRONTEND_URL}/payment/error?reason=invoice_not_found`);
     }
 
+    const status = await paymentService.getProvider('twoc2p').checkStatus(null, invoiceNo);
+
     // Redirect based on status
-    if (status === '000') {
+    if (status.status === 'completed') {
       // Success
       res.redirect(`${process.env.FRONTEND_URL}/payment/success?invoice=${invoice._id}`);
     } else {
       // Failure
-      res.redirect(`${process.env.FRONTEND_URL}/payment/failed?invoice=${invoice._id}&code=${status}`);
+      res.redirect(`${process.env.FRONTEND_URL}/payment/failed?invoice=${invoice._id}&code=${paymentResponse.respCode}`);
     }
   } catch (error) {
     console.error('[2C2P Redirect] Error:', error);
@@ -4,7 +4,7 @@
  */
 
 const express = require('express');
-const { paymentGatewayService } = require('../services/paymentGatewayService.js');
+const paymentService = require('../services/payment/PaymentService.js');
 const { billingEngine } = require('../services/billingEngine.js');
 const { subscriptionService } = require('../services/subscriptionService.js');
 const { BillingRecord, Subscription, Company, User } = require('../models/index.js');
@@ -16,26 +16,28 @@ const router = express.Router();
  * @desc Handle Stripe webhook events
  * @access Public (secured by signature verification)
  */
-router.post('/', express.raw({ type: 'application/json' }), async (req, res) => {
+router.post('/', async (req, res) => {
   try {
-    const signature = req.headers['stripe-signature'];
-    const payload = req.body;
-
     console.log('[Stripe Webhook] Received event');
 
-    // Verify and parse webhook
-    const event = await paymentGatewayService.handleStripeWebhook(payload, signature);
+    // Verifies the signature and settles payments made through PaymentService
+    const result = await paymentService.handleWebhook('stripe', req.body, req.headers, req.rawBody);
+    const event = result.webhookData.rawPayload;
 
     console.log('[Stripe Webhook] Event type:', event.type);
 
-    // Handle different event types
+    // Handle events PaymentService does not track
     switch (event.type) {
       case 'payment_intent.succeeded':
-        await handlePaymentIntentSucceeded(event.data.object);
+        if (!result.success) {
+          await handlePaymentIntentSucceeded(event.data.object);
+        }
         break;
 
       case 'payment_intent.payment_failed':
-        await handlePaymentIntentFailed(event.data.object);
+        if (!result.success) {
+          await handlePaymentIntentFailed(event.data.object);
+        }
         break;
 
       case 'invoice.payment_succeeded':
@@ -63,7 +65,9 @@ router.post('/', express.raw({ type: 'application/json' }), async (req, res) =>
         break;
 
       default:
-        console.log('[Stripe Webhook] Unhandled event type:', event.type);
+        if (!result.success) {
+          console.log('[Stripe Webhook] Unhandled event type:', event.type);
+        }
     }
 
     // Acknowledge receipt
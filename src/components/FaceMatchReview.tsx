@@ -0,0 +1,323 @@
+import { useState, useEffect, useCallback } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import {
+  User,
+  Calendar,
+  Loader2,
+  Check,
+  X,
+  ImageOff,
+} from 'lucide-react'
+
+interface FaceMatch {
+  idDocumentId: {
+    _id: string
+    documentType: string
+  }
+  provider: string
+  score: number | null
+  livenessScore: number | null
+  level: number
+  thresholds: {
+    match: number
+    review: number
+    liveness: number
+  }
+  decision: string
+  reasons: string[]
+  matchedAt: string
+}
+
+interface FaceReview {
+  _id: string
+  userId: {
+    _id: string
+    name: string
+    email: string
+  }
+  ocrData?: {
+    faceDetection?: {
+      faceCount?: number
+      liveness?: {
+        score: number | null
+        checks?: Record<string, number>
+      }
+    }
+  }
+  faceMatch: FaceMatch
+  createdAt: string
+}
+
+const REASON_LABELS: Record<string, string> = {
+  borderline_match: 'Borderline match score',
+  low_liveness: 'Low liveness score',
+  liveness_not_scored: 'Liveness not scored',
+  not_scored: 'Not scored automatically',
+}
+
+const CHECK_LABELS: Record<string, string> = {
+  detection: 'Detection',
+  faceSize: 'Face size',
+  sharpness: 'Sharpness',
+  glare: 'No glare',
+  colour: 'Natural colour',
+  exposure: 'Exposure',
+}
+
+const authHeaders = () => ({
+  'Authorization': `Bearer ${localStorage.getItem('token')}`,
+})
+
+export function FaceMatchReview() {
+  const [reviews, setReviews] = useState<FaceReview[]>([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [selected, setSelected] = useState<FaceReview | null>(null)
+  const [notes, setNotes] = useState('')
+  const [isProcessing, setIsProcessing] = useState(false)
+
+  const fetchReviews = useCallback(async () => {
+    setIsLoading(true)
+    try {
+      const response = await fetch('/api/v1/kyc/admin/face-reviews?limit=50', {
+        headers: authHeaders(),
+      })
+
+      if (!response.ok) throw new Error('Failed to fetch face reviews')
+
+      const data = await response.json()
+      setReviews(data.data)
+    } catch (error) {
+      console.error('Error fetching face reviews:', error)
+    } finally {
+      setIsLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchReviews()
+  }, [fetchReviews])
+
+  const handleDecision = async (approved: boolean) => {
+    if (!selected) return
+
+    setIsProcessing(true)
+    try {
+      const response = await fetch(`/api/v1/kyc/admin/face-reviews/${selected._id}/decision`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...authHeaders(),
+        },
+        body: JSON.stringify({ approved, notes }),
+      })
+
+      if (!response.ok) throw new Error('Failed to record decision')
+
+      setReviews(current => current.filter(r => r._id !== selected._id))
+      setSelected(null)
+      setNotes('')
+    } catch (error) {
+      console.error('Error recording face review:', error)
+    } finally {
+      setIsProcessing(false)
+    }
+  }
+
+  return (
+    <div>
+      {isLoading ? (
+        <div className="px-6 py-12 text-center">
+          <Loader2 className="w-8 h-8 animate-spin text-blue-600 mx-auto" />
+        </div>
+      ) : reviews.length === 0 ? (
+        <div className="px-6 py-12 text-center text-gray-500">
+          No selfie matches awaiting review
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {reviews.map((review) => (
+            <li
+              key={review._id}
+              className="px-6 py-4 flex items-center justify-between hover:bg-gray-50 cursor-pointer"
+              onClick={() => setSelected(review)}
+            >
+              <div className="flex items-center">
+                <div className="w-10 h-10 rounded-full bg-blue-100 flex items-center justify-center">
+                  <User className="w-5 h-5 text-blue-600" />
+                </div>
+                <div className="ml-4">
+                  <div className="text-sm font-medium text-gray-900">{review.userId.name}</div>
+                  <div className="text-sm text-gray-500">{review.userId.email}</div>
+                </div>
+              </div>
+              <div className="flex items-center gap-6">
+                <ScoreBadge label="Match" score={review.faceMatch.score} threshold={review.faceMatch.thresholds.match} />
+                <ScoreBadge label="Liveness" score={review.faceMatch.livenessScore} threshold={review.faceMatch.thresholds.liveness} />
+                <span className="text-sm text-gray-500">Lvl {review.faceMatch.level}</span>
+                <div className="flex items-center gap-2 text-sm text-gray-500">
+                  <Calendar className="w-4 h-4" />
+                  {new Date(review.faceMatch.matchedAt).toLocaleDateString()}
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Side-by-side Review Modal */}
+      <AnimatePresence>
+        {selected && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50"
+            onClick={() => setSelected(null)}
+          >
+            <motion.div
+              initial={{ scale: 0.95, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.95, opacity: 0 }}
+              onClick={(e) => e.stopPropagation()}
+              className="bg-white rounded-xl shadow-xl max-w-5xl w-full max-h-[90vh] overflow-y-auto"
+            >
+              <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+                <div>
+                  <h2 className="text-xl font-bold text-gray-900">{selected.userId.name}</h2>
+                  <p className="text-sm text-gray-500">
+                    Level {selected.faceMatch.level} selfie match · {selected.faceMatch.provider}
+                  </p>
+                </div>
+                <button
+                  onClick={() => setSelected(null)}
+                  className="p-2 hover:bg-gray-100 rounded-lg"
+                >
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
+
+              <div className="p-6 space-y-6">
+                <div className="grid grid-cols-2 gap-4">
+                  <DocumentImage documentId={selected._id} label="Selfie" />
+                  <DocumentImage documentId={selected.faceMatch.idDocumentId._id} label="ID document" />
+                </div>
+
+                <div className="grid grid-cols-2 gap-4">
+                  <div className="p-4 bg-gray-50 rounded-lg space-y-2">
+                    <ScoreBadge label="Match" score={selected.faceMatch.score} threshold={selected.faceMatch.thresholds.match} />
+                    <p className="text-xs text-gray-500">
+                      Passes at {selected.faceMatch.thresholds.match}, fails below {selected.faceMatch.thresholds.review}
+                    </p>
+                    <ScoreBadge label="Liveness" score={selected.faceMatch.livenessScore} threshold={selected.faceMatch.thresholds.liveness} />
+                    <ul className="text-sm text-amber-700 list-disc list-inside">
+                      {selected.faceMatch.reasons.map(reason => (
+                        <li key={reason}>{REASON_LABELS[reason] || reason}</li>
+                      ))}
+                    </ul>
+                  </div>
+                  <div className="p-4 bg-gray-50 rounded-lg">
+                    <h3 className="text-sm font-medium text-gray-900 mb-2">Liveness checks</h3>
+                    <dl className="grid grid-cols-2 gap-x-4 gap-y-1 text-sm">
+                      {Object.entries(CHECK_LABELS).map(([check, label]) => {
+                        const value = selected.ocrData?.faceDetection?.liveness?.checks?.[check]
+                        return value === undefined ? null : (
+                          <div key={check} className="contents">
+                            <dt className="text-gray-500">{label}</dt>
+                            <dd className="text-gray-900">{value}</dd>
+                          </div>
+                        )
+                      })}
+                    </dl>
+                  </div>
+                </div>
+
+                <textarea
+                  value={notes}
+                  onChange={(e) => setNotes(e.target.value)}
+                  placeholder="Review notes (optional)"
+                  rows={2}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+
+              <div className="px-6 py-4 border-t border-gray-200 flex justify-end gap-3">
+                <button
+                  onClick={() => handleDecision(false)}
+                  disabled={isProcessing}
+                  className="flex items-center gap-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+                >
+                  <X className="w-4 h-4" />
+                  Not the same person
+                </button>
+                <button
+                  onClick={() => handleDecision(true)}
+                  disabled={isProcessing}
+                  className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+                >
+                  {isProcessing ? <Loader2 className="w-4 h-4 animate-spin" /> : <Check className="w-4 h-4" />}
+                  Same person
+                </button>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  )
+}
+
+function DocumentImage({ documentId, label }: { documentId: string; label: string }) {
+  const [src, setSrc] = useState<string | null>(null)
+  const [failed, setFailed] = useState(false)
+
+  useEffect(() => {
+    let objectUrl: string | null = null
+    setSrc(null)
+    setFailed(false)
+
+    // Document files need the admin token, so they are fetched rather than linked
+    fetch(`/api/v1/kyc/admin/documents/${documentId}/file`, { headers: authHeaders() })
+      .then(response => {
+        if (!response.ok) throw new Error('Failed to load document image')
+        return response.blob()
+      })
+      .then(blob => {
+        objectUrl = URL.createObjectURL(blob)
+        setSrc(objectUrl)
+      })
+      .catch(() => setFailed(true))
+
+    return () => {
+      if (objectUrl) URL.revokeObjectURL(objectUrl)
+    }
+  }, [documentId])
+
+  return (
+    <figure>
+      <div className="aspect-[3/4] bg-gray-100 rounded-lg overflow-hidden flex items-center justify-center">
+        {src ? (
+          <img src={src} alt={label} className="w-full h-full object-contain" />
+        ) : failed ? (
+          <ImageOff className="w-8 h-8 text-gray-400" />
+        ) : (
+          <Loader2 className="w-8 h-8 animate-spin text-gray-400" />
+        )}
+      </div>
+      <figcaption className="mt-2 text-sm text-center text-gray-600">{label}</figcaption>
+    </figure>
+  )
+}
+
+function ScoreBadge({ label, score, threshold }: { label: string; score: number | null; threshold: number }) {
+  const color = score === null
+    ? 'bg-gray-100 text-gray-700'
+    : score >= threshold
+      ? 'bg-green-100 text-green-700'
+      : 'bg-amber-100 text-amber-700'
+
+  return (
+    <span className={`inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium ${color}`}>
+      {label}: {score === null ? 'n/a' : score}
+    </span>
+  )
+}
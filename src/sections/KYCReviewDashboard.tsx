@@ -22,6 +22,7 @@ import {
   X
 } from 'lucide-react'
 import { KYCStatusBadge, KYCProgress } from '../components/KYCStatusBadge'
+import { FaceMatchReview } from '../components/FaceMatchReview'
 
 interface KYCReview {
   _id: string
@@ -101,7 +102,7 @@ export function KYCReviewDashboard() {
   const [rejectionReason, setRejectionReason] = useState('')
   const [rejectionCode, setRejectionCode] = useState('')
   const [showRejectionModal, setShowRejectionModal] = useState(false)
-  const [activeTab, setActiveTab] = useState<'pending' | 'all' | 'verified' | 'rejected'>('pending')
+  const [activeTab, setActiveTab] = useState<'pending' | 'all' | 'verified' | 'rejected' | 'faces'>('pending')
 
   const fetchReviews = useCallback(async () => {
     setIsLoading(true)
@@ -327,7 +328,7 @@ export function KYCReviewDashboard() {
           {/* Tabs */}
           <div className="border-b border-gray-200">
             <div className="flex">
-              {(['pending', 'all', 'verified', 'rejected'] as const).map((tab) => (
+              {(['pending', 'all', 'verified', 'rejected', 'faces'] as const).map((tab) => (
                 <button
                   key={tab}
                   onClick={() => setActiveTab(tab)}
@@ -339,7 +340,7 @@ export function KYCReviewDashboard() {
                     }
                   `}
                 >
-                  {tab.charAt(0).toUpperCase() + tab.slice(1)}
+                  {tab === 'faces' ? 'Face Matches' : tab.charAt(0).toUpperCase() + tab.slice(1)}
                   {tab === 'pending' && stats && stats.pendingReview > 0 && (
                     <span className="ml-2 px-2 py-0.5 bg-amber-100 text-amber-700 rounded-full text-xs">
                       {stats.pendingReview}
@@ -350,6 +351,10 @@ export function KYCReviewDashboard() {
             </div>
           </div>
 
+          {activeTab === 'faces' ? (
+            <FaceMatchReview />
+          ) : (
+          <>
           {/* Filters */}
           <div className="p-4 border-b border-gray-200 flex flex-wrap gap-4">
             <div className="flex-1 min-w-[300px]">
@@ -518,6 +523,8 @@ export function KYCReviewDashboard() {
               </button>
             </div>
           </div>
+          </>
+          )}
         </div>
       </div>
 
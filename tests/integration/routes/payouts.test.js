@@ -0,0 +1,69 @@
+/**
+ * Payout Routes Integration Tests
+ * Tests for payout API endpoints
+ */
+
+const request = require('supertest');
+const app = require('../../../server/server');
+const { PayoutRequest, CurrencyRate, User } = require('../../../server/models');
+const { userFactory } = require('../../factories');
+
+describe('Payout Routes', () => {
+  let authToken;
+  let referrer;
+
+  beforeEach(async () => {
+    referrer = await userFactory.createVerifiedReferrer({
+      referrerProfile: { availableBalance: 500000, pendingBalance: 0 },
+    });
+    const loginResponse = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: referrer.email,
+        password: 'TestPassword123!',
+      });
+    authToken = loginResponse.body.data.tokens.accessToken;
+
+    await CurrencyRate.create({
+      baseCurrency: 'USD',
+      targetCurrency: 'MMK',
+      rate: 2100,
+      inverseRate: 1 / 2100,
+    });
+  });
+
+  describe('POST /api/payouts', () => {
+    const paymentMethod = {
+      type: 'kbzpay',
+      phoneNumber: '09123456789',
+      accountName: 'Test User',
+    };
+
+    it('should check a foreign-currency request against the converted balance', async () => {
+      // 300 USD is 630,000 MMK, more than the 500,000 MMK available
+      const response = await request(app)
+        .post('/api/payouts')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ amount: 300, currency: 'USD', paymentMethod })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error.message).toContain('Insufficient balance');
+
+      const user = await User.findById(referrer._id);
+      expect(user.referrerProfile.availableBalance).toBe(500000);
+      expect(user.referrerProfile.pendingBalance).toBe(0);
+      expect(await PayoutRequest.countDocuments({ referrerId: referrer._id })).toBe(0);
+    });
+
+    it('should reject a request below the minimum once converted', async () => {
+      const response = await request(app)
+        .post('/api/payouts')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ amount: 0.25, currency: 'USD', paymentMethod })
+        .expect(400);
+
+      expect(response.body.error.message).toContain('Minimum payout amount');
+    });
+  });
+});
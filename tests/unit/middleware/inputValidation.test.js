@@ -0,0 +1,130 @@
+/**
+ * Input Validation Middleware Unit Tests
+ * Tests for Zawgyi detection and conversion of Burmese request text
+ */
+
+const {
+  validateString,
+  sanitizeRequestBody,
+  normalizeRequestText,
+} = require('../../../server/middleware/inputValidation');
+const { detectEncoding, zawgyiToUnicode, normalizeText } = require('../../../server/utils/myanmarText');
+const LocalNLP = require('../../../server/nlp/localNLP');
+const { createMockRequest, createMockResponse, createMockNext } = require('../../utils/test-helpers');
+
+// Zawgyi spellings of the Unicode words they are converted to
+const ZAWGYI = {
+  myanmar: '\u103b\u1019\u1014\u1039\u1019\u102c',
+  thanks: '\u1031\u1000\u103a\u1038\u1007\u1030\u1038',
+  mingalaba: '\u1019\u1002\u1064\u101c\u102c\u1015\u102b',
+  kyanawl: '\u1000\u107d\u103c\u1014\u1039\u1031\u1010\u102c\u1039',
+  company: '\u1000\u102f\u1019\u1078\u100f\u102e',
+  thingyan: '\u101e\u107e\u1000\u1064\u1014\u1039',
+  kyanoke: '\u1000\u103a\u103c\u1014\u1039\u102f\u1015\u1039',
+  have: '\u101b\u103d\u102d',
+  clothes: '\u1021\u1040\u1010\u1039',
+};
+
+describe('Burmese Text Normalization', () => {
+  describe('zawgyiToUnicode', () => {
+    it.each([
+      ['myanmar', 'မြန်မာ'],
+      ['thanks', 'ကျေးဇူး'],
+      ['mingalaba', 'မင်္ဂလာပါ'],
+      ['kyanawl', 'ကျွန်တော်'],
+      ['company', 'ကုမ္ပဏီ'],
+      ['thingyan', 'သင်္ကြန်'],
+      ['kyanoke', 'ကျွန်ုပ်'],
+      ['have', 'ရှိ'],
+      ['clothes', 'အဝတ်'],
+    ])('should convert %s', (word, unicode) => {
+      expect(zawgyiToUnicode(ZAWGYI[word])).toBe(unicode);
+    });
+
+    it('should keep Burmese digits that are numbers', () => {
+      expect(zawgyiToUnicode(`၁၀၀ ${ZAWGYI.thanks}`)).toBe('၁၀၀ ကျေးဇူး');
+    });
+  });
+
+  describe('detectEncoding', () => {
+    it('should tell Zawgyi from Unicode', () => {
+      Object.values(ZAWGYI).forEach(word => expect(detectEncoding(word)).toBe('zawgyi'));
+      ['မြန်မာ', 'ကျေးဇူးတင်ပါတယ်', 'မင်္ဂလာပါ', 'ကျွန်တော် အလုပ်ရှာနေပါတယ်', 'ရှိ'].forEach(text => {
+        expect(detectEncoding(text)).toBe('unicode');
+      });
+      expect(detectEncoding('Senior Node.js Developer')).toBeNull();
+    });
+
+    it('should leave Unicode and other text untouched', () => {
+      const unicode = 'ကျွန်တော် အလုပ်ရှာနေပါတယ်';
+
+      expect(normalizeText(unicode)).toBe(unicode);
+      expect(normalizeText('Yangon')).toBe('Yangon');
+    });
+
+    it('should convert each line of mixed text on its own', () => {
+      expect(normalizeText(`${ZAWGYI.kyanawl}\nကုမ္ပဏီ - Node.js`)).toBe('ကျွန်တော်\nကုမ္ပဏီ - Node.js');
+    });
+  });
+
+  describe('middleware', () => {
+    it('should normalize nested body values and the query', () => {
+      const req = createMockRequest({
+        path: '/api/v1/referrals',
+        body: { referredPerson: { name: ZAWGYI.kyanawl }, skills: [ZAWGYI.company, 'SQL'], salary: 500000 },
+      });
+      Object.defineProperty(req, 'query', { get: () => ({ search: ZAWGYI.myanmar }), configurable: true });
+      const next = createMockNext();
+
+      normalizeRequestText()(req, createMockResponse(), next);
+
+      expect(req.body).toEqual({ referredPerson: { name: 'ကျွန်တော်' }, skills: ['ကုမ္ပဏီ', 'SQL'], salary: 500000 });
+      expect(req.query).toEqual({ search: 'မြန်မာ' });
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should leave passwords, tokens and one-time codes as typed', () => {
+      const body = {
+        currentPassword: ZAWGYI.kyanawl,
+        newPassword: ZAWGYI.company,
+        refreshToken: ZAWGYI.thanks,
+        otp: ZAWGYI.myanmar,
+        bio: ZAWGYI.kyanawl,
+      };
+      const req = createMockRequest({ path: '/api/v1/auth/change-password', body });
+
+      normalizeRequestText()(req, createMockResponse(), createMockNext());
+
+      expect(req.body).toEqual({ ...body, bio: 'ကျွန်တော်' });
+    });
+
+    it('should leave webhook payloads as received', () => {
+      const body = { message: { text: ZAWGYI.thanks } };
+      const req = createMockRequest({ path: '/api/v1/messaging/telegram/webhook', body });
+
+      normalizeRequestText()(req, createMockResponse(), createMockNext());
+
+      expect(req.body).toBe(body);
+    });
+
+    it('should normalize validated and sanitized strings', () => {
+      const req = createMockRequest({ body: { title: ZAWGYI.company, password: ZAWGYI.company } });
+
+      sanitizeRequestBody()(req, createMockResponse(), createMockNext());
+
+      expect(validateString(` ${ZAWGYI.mingalaba} `).value).toBe('မင်္ဂလာပါ');
+      expect(req.body.title).toBe('ကုမ္ပဏီ');
+      expect(req.body.password).toBe(ZAWGYI.company);
+    });
+  });
+
+  describe('local NLP', () => {
+    it('should recognize Zawgyi messages as Burmese', () => {
+      const nlp = new LocalNLP();
+
+      expect(nlp.detectLanguage(ZAWGYI.have)).toBe('my');
+      expect(nlp.detectLanguage('hello')).toBe('en');
+      expect(nlp.classifyIntent(ZAWGYI.mingalaba).intent).toBe('greeting');
+    });
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Billing Engine Unit Tests
+ * Tests for invoice refunds
+ */
+
+const mongoose = require('mongoose');
+const { billingEngine } = require('../../../server/services/billingEngine');
+const ledgerService = require('../../../server/services/ledgerService');
+const { BillingRecord } = require('../../../server/models/index.js');
+
+describe('Billing Engine', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('processRefund', () => {
+    let invoice;
+
+    beforeEach(() => {
+      invoice = new BillingRecord({
+        companyId: new mongoose.Types.ObjectId(),
+        invoiceNumber: 'INV-1',
+        total: 300000,
+        amountPaid: 300000,
+        status: 'paid',
+        dueDate: new Date(),
+      });
+      jest.spyOn(invoice, 'save').mockResolvedValue(invoice);
+      jest.spyOn(BillingRecord, 'findById').mockReturnValue({ session: jest.fn().mockResolvedValue(invoice) });
+      jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+        startTransaction: jest.fn(),
+        commitTransaction: jest.fn(),
+        abortTransaction: jest.fn(),
+        endSession: jest.fn(),
+      });
+      jest.spyOn(ledgerService, 'recordInvoiceRefund').mockResolvedValue({});
+    });
+
+    it('should keep a partly refunded invoice open to later refunds', async () => {
+      const first = await billingEngine.processRefund(invoice._id, { amount: 100000, reason: 'Early exit' });
+      expect(invoice.status).toBe('partially_refunded');
+
+      const second = await billingEngine.processRefund(invoice._id, { amount: 200000, reason: 'Early exit' });
+
+      expect(invoice.status).toBe('refunded');
+      expect(invoice.refundAmount).toBe(300000);
+      expect(invoice.refunds.map(refund => refund.amount)).toEqual([100000, 200000]);
+      expect(first.refund._id).not.toEqual(second.refund._id);
+      expect(ledgerService.recordInvoiceRefund).toHaveBeenNthCalledWith(1, invoice, invoice.refunds[0]);
+      expect(ledgerService.recordInvoiceRefund).toHaveBeenNthCalledWith(2, invoice, invoice.refunds[1]);
+    });
+
+    it('should not refund more than was paid across refunds', async () => {
+      await billingEngine.processRefund(invoice._id, { amount: 250000, reason: 'Early exit' });
+
+      await expect(billingEngine.processRefund(invoice._id, { amount: 100000, reason: 'Early exit' }))
+        .rejects.toThrow('Refund amount cannot exceed amount paid');
+      expect(invoice.refundAmount).toBe(250000);
+    });
+  });
+});
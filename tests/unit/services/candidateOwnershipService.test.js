@@ -0,0 +1,71 @@
+/**
+ * Candidate Ownership Service Unit Tests
+ * Tests for candidate identity normalization and duplicate matching
+ */
+
+const candidateOwnershipService = require('../../../server/services/candidateOwnershipService');
+
+describe('Candidate Ownership Service', () => {
+  describe('normalizeEmail', () => {
+    it('should lowercase and trim emails', () => {
+      expect(candidateOwnershipService.normalizeEmail('  Aung.Aung@Example.com ')).toBe('aung.aung@example.com');
+    });
+
+    it('should strip plus tags', () => {
+      expect(candidateOwnershipService.normalizeEmail('mya+jobs@example.com')).toBe('mya@example.com');
+    });
+
+    it('should ignore dots in Gmail addresses', () => {
+      expect(candidateOwnershipService.normalizeEmail('kyaw.zin@googlemail.com')).toBe('kyawzin@gmail.com');
+    });
+
+    it('should return null for invalid input', () => {
+      expect(candidateOwnershipService.normalizeEmail('not-an-email')).toBeNull();
+      expect(candidateOwnershipService.normalizeEmail(undefined)).toBeNull();
+    });
+  });
+
+  describe('normalizePhone', () => {
+    it('should reduce Myanmar international numbers to local form', () => {
+      expect(candidateOwnershipService.normalizePhone('+95 9 450 123 456')).toBe('09450123456');
+      expect(candidateOwnershipService.normalizePhone('0095-9-450123456')).toBe('09450123456');
+    });
+
+    it('should keep local Myanmar numbers', () => {
+      expect(candidateOwnershipService.normalizePhone('09-450-123-456')).toBe('09450123456');
+    });
+
+    it('should return null for too-short numbers', () => {
+      expect(candidateOwnershipService.normalizePhone('123')).toBeNull();
+    });
+  });
+
+  describe('normalizeLinkedIn', () => {
+    it('should reduce profile URLs to the profile slug', () => {
+      expect(candidateOwnershipService.normalizeLinkedIn('https://www.linkedin.com/in/Thant-Zin/?trk=abc'))
+        .toBe('linkedin.com/in/thant-zin');
+      expect(candidateOwnershipService.normalizeLinkedIn('mm.linkedin.com/in/thant-zin'))
+        .toBe('linkedin.com/in/thant-zin');
+    });
+
+    it('should return null for non-profile URLs', () => {
+      expect(candidateOwnershipService.normalizeLinkedIn('https://linkedin.com/company/trm')).toBeNull();
+    });
+  });
+
+  describe('getMatchedFields', () => {
+    it('should report every field both key sets share', () => {
+      const a = candidateOwnershipService.buildCandidateKeys({
+        email: 'Su.Su@gmail.com',
+        phone: '+959450123456',
+      });
+      const b = candidateOwnershipService.buildCandidateKeys({
+        email: 'susu@gmail.com',
+        phone: '09450123456',
+        linkedInUrl: 'https://linkedin.com/in/susu',
+      });
+
+      expect(candidateOwnershipService.getMatchedFields(a, b)).toEqual(['email', 'phone']);
+    });
+  });
+});
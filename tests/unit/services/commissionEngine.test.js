@@ -0,0 +1,129 @@
+/**
+ * Commission Engine Unit Tests
+ * Tests for commission rule selection and bonus splitting
+ */
+
+const commissionEngine = require('../../../server/services/commissionEngine');
+const CommissionPolicy = require('../../../server/models/CommissionPolicy');
+
+describe('Commission Engine', () => {
+  const policy = {
+    _id: 'policy-3',
+    version: 3,
+    defaultPlatformRate: 0.15,
+    rules: [
+      {
+        _id: 'rule-enterprise',
+        name: 'Enterprise plan',
+        priority: 10,
+        conditions: { companyPlans: ['enterprise'] },
+        platformRate: 0.1,
+      },
+      {
+        _id: 'rule-enterprise-it-gold',
+        name: 'Enterprise IT gold referrers',
+        priority: 10,
+        conditions: { companyPlans: ['enterprise'], jobCategories: ['it'], referrerTiers: ['gold'] },
+        platformRate: 0.05,
+      },
+      {
+        _id: 'rule-promo',
+        name: 'Thingyan promotion',
+        priority: 20,
+        conditions: { promotionCodes: ['THINGYAN'] },
+        platformRate: 0,
+        startsAt: new Date('2026-04-10'),
+        endsAt: new Date('2026-04-20'),
+      },
+    ],
+  };
+
+  describe('selectRule', () => {
+    it('should prefer the more specific rule on equal priority', () => {
+      const rule = commissionEngine.selectRule(policy, {
+        companyPlan: 'Enterprise',
+        jobCategory: 'IT',
+        referrerTier: 'gold',
+      });
+
+      expect(rule.name).toBe('Enterprise IT gold referrers');
+    });
+
+    it('should only apply promotions inside their time window', () => {
+      const context = { companyPlan: 'enterprise', promotionCode: 'thingyan' };
+
+      expect(commissionEngine.selectRule(policy, context, new Date('2026-04-15')).name).toBe('Thingyan promotion');
+      expect(commissionEngine.selectRule(policy, context, new Date('2026-05-01')).name).toBe('Enterprise plan');
+    });
+
+    it('should return null when no rule matches', () => {
+      expect(commissionEngine.selectRule(policy, { companyPlan: 'starter' })).toBeNull();
+    });
+  });
+
+  describe('split', () => {
+    it('should fall back to the policy default rate', () => {
+      const result = commissionEngine.split(100000, policy, { companyPlan: 'starter' });
+
+      expect(result.platformCommission).toBe(15000);
+      expect(result.referrerPayout).toBe(85000);
+      expect(result.commissionPolicy.version).toBe(3);
+      expect(result.commissionPolicy.ruleName).toBe('default');
+    });
+
+    it('should use the built-in default without a policy', () => {
+      const result = commissionEngine.split(200000, null, {});
+
+      expect(result.platformCommission).toBe(30000);
+      expect(result.referrerPayout).toBe(170000);
+      expect(result.commissionPolicy.version).toBe(0);
+    });
+
+    it('should record the applied rule', () => {
+      const result = commissionEngine.split(100000, policy, { companyPlan: 'enterprise' });
+
+      expect(result.platformCommission).toBe(10000);
+      expect(result.commissionPolicy.ruleId).toBe('rule-enterprise');
+      expect(result.commissionPolicy.platformRate).toBe(0.1);
+    });
+  });
+
+  describe('calculateNetworkShares', () => {
+    const ancestors = [
+      { ancestorId: 'grandparent', depth: 2 },
+      { ancestorId: 'parent', depth: 1 },
+      { ancestorId: 'great-grandparent', depth: 3 },
+      { ancestorId: 'root', depth: 5 },
+    ];
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should pay the upline at the applied policy\'s network rates', async () => {
+      jest.spyOn(CommissionPolicy, 'findById').mockResolvedValue({ networkRates: [0.04, 0.02] });
+
+      const shares = await commissionEngine.calculateNetworkShares(
+        { referralBonus: 100000, platformCommission: 15000, commissionPolicy: { policyId: 'policy-3' } },
+        ancestors
+      );
+
+      expect(CommissionPolicy.findById).toHaveBeenCalledWith('policy-3');
+      expect(shares.map(share => [share.ancestorId, share.amount])).toEqual([
+        ['parent', 4000],
+        ['grandparent', 2000],
+        ['great-grandparent', 2000],
+        ['root', 2000],
+      ]);
+    });
+
+    it('should never pay the upline more than the platform commission', async () => {
+      const shares = await commissionEngine.calculateNetworkShares(
+        { referralBonus: 100000, platformCommission: 7000, commissionPolicy: { version: 0 } },
+        ancestors
+      );
+
+      expect(shares.map(share => share.amount)).toEqual([5000, 2000]);
+    });
+  });
+});
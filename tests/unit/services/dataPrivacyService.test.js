@@ -0,0 +1,212 @@
+/**
+ * Data Privacy Service Unit Tests
+ * Tests for minimum cohort sizes, noise on released figures and the audit
+ * of suppressed queries across the Data API and reports
+ */
+
+process.env.DATA_PRIVACY_NOISE_SECRET = 'test-noise-secret';
+
+const mongoose = require('mongoose');
+const dataPrivacyService = require('../../../server/services/dataPrivacyService');
+const reportQueryService = require('../../../server/services/reportQueryService');
+const DataAPIService = require('../../../server/services/dataAPIService');
+const ReportBuilderService = require('../../../server/services/reportBuilderService');
+const DataSuppression = require('../../../server/models/DataSuppression');
+const { Job, Application } = require('../../../server/models/index.js');
+
+const policy = (overrides = {}) => ({ k: 5, noise: false, epsilon: 1, ...overrides });
+
+const salaryRows = () => [
+  { industry: 'Banking', role: 'Teller', experienceLevel: 'entry', count: 12, salaryRange: { min: 300000, max: 700000 }, averageSalary: { min: 350000, max: 600000 }, median: 480000 },
+  { industry: 'Banking', role: 'CFO', experienceLevel: 'executive', count: 2, salaryRange: { min: 9000000, max: 12000000 }, averageSalary: { min: 9000000, max: 12000000 }, median: 10500000 },
+];
+
+describe('Data Privacy Service', () => {
+  let create;
+
+  beforeEach(() => {
+    create = jest.spyOn(DataSuppression, 'create').mockImplementation(async doc => doc);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('policy', () => {
+    it('should let data products be stricter but not looser than the platform', () => {
+      expect(dataPrivacyService.getPolicy()).toEqual({ k: dataPrivacyService.minCohortSize, noise: dataPrivacyService.noise, epsilon: dataPrivacyService.epsilon });
+      expect(dataPrivacyService.getPolicy({ minCohortSize: 2, epsilon: 50 })).toMatchObject({ k: dataPrivacyService.minCohortSize, epsilon: dataPrivacyService.epsilon });
+      expect(dataPrivacyService.getPolicy({ minCohortSize: 20, noise: true, epsilon: 0.5 })).toEqual({ k: 20, noise: true, epsilon: 0.5 });
+    });
+  });
+
+  describe('aggregates', () => {
+    it('should suppress groups smaller than k', () => {
+      const released = dataPrivacyService.protectAggregates(salaryRows(), DataAPIService.PRIVACY_RULES.salaries, policy());
+
+      expect(released.rows.map(row => row.role)).toEqual(['Teller']);
+      expect(released.rows[0].median).toBe(480000);
+      expect(released).toMatchObject({ total: 2, suppressed: 1 });
+    });
+
+    it('should add the same noise to the same figure', () => {
+      const first = dataPrivacyService.protectAggregates(salaryRows(), DataAPIService.PRIVACY_RULES.salaries, policy({ noise: true })).rows[0];
+      const again = dataPrivacyService.protectAggregates(salaryRows(), DataAPIService.PRIVACY_RULES.salaries, policy({ noise: true })).rows[0];
+
+      expect(again).toEqual(first);
+      expect(first.median).not.toBe(480000);
+      expect(Number.isInteger(first.count)).toBe(true);
+      expect(first.count).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should draw Laplace noise of the given scale', () => {
+      const samples = Array.from({ length: 4000 }, (_, index) => dataPrivacyService.laplace(10, `seed-${index}`));
+      const mean = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+      const meanAbsolute = samples.reduce((sum, value) => sum + Math.abs(value), 0) / samples.length;
+
+      expect(Math.abs(mean)).toBeLessThan(1);
+      expect(meanAbsolute).toBeGreaterThan(9);
+      expect(meanAbsolute).toBeLessThan(11);
+    });
+
+    it('should refuse to add noise without a configured secret', () => {
+      const { noiseSecret } = dataPrivacyService;
+      dataPrivacyService.noiseSecret = undefined;
+
+      try {
+        expect(() => dataPrivacyService.laplace(10, 'seed')).toThrow('Data privacy noise secret is not configured');
+      } finally {
+        dataPrivacyService.noiseSecret = noiseSecret;
+      }
+    });
+  });
+
+  describe('records', () => {
+    it('should release only records sharing their quasi-identifiers with k others', () => {
+      const rows = [
+        ...Array.from({ length: 5 }, () => ({ location: 'Yangon', yearsOfExperience: '3-5' })),
+        { location: 'Myitkyina', yearsOfExperience: '16+' },
+      ];
+
+      const released = dataPrivacyService.kAnonymize(rows, row => [row.location, row.yearsOfExperience], policy());
+
+      expect(released.rows).toHaveLength(5);
+      expect(released.suppressed).toBe(1);
+      expect([0, 4, 7, 20].map(years => dataPrivacyService.band(years, [0, 3, 6, 11, 16]))).toEqual(['0-2', '3-5', '6-10', '16+']);
+    });
+  });
+
+  describe('Data API', () => {
+    it('should suppress small cohorts and audit the query', async () => {
+      const customerId = new mongoose.Types.ObjectId();
+
+      const { data, privacy } = await DataAPIService.protectResult('salaries', salaryRows(), {
+        customerId,
+        customerType: 'Company',
+        query: { industry: 'Banking' },
+      });
+
+      expect(data.map(row => row.role)).toEqual(['Teller']);
+      expect(privacy).toEqual({ minCohortSize: dataPrivacyService.minCohortSize, suppressed: 1, noise: false });
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        source: 'data_api',
+        endpoint: 'salaries',
+        customerId,
+        query: '{"industry":"Banking"}',
+        totalGroups: 2,
+        suppressedGroups: 1,
+        fullySuppressed: false,
+      }));
+    });
+
+    it('should not audit releases without suppression or public listings', async () => {
+      await DataAPIService.protectResult('salaries', salaryRows().slice(0, 1), {});
+      const jobs = await DataAPIService.protectResult('jobs', [{ title: 'Teller' }], {});
+
+      expect(jobs).toEqual({ data: [{ title: 'Teller' }], privacy: null });
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should generalize candidate quasi-identifiers', () => {
+      const candidate = DataAPIService.anonymizeCandidateData({ _id: 'u1', email: 'a@b.c', yearsOfExperience: 7, expectedSalary: 1234567, location: 'Yangon' });
+
+      expect(candidate).toEqual({ yearsOfExperience: '6-10', expectedSalary: 1200000, location: 'Yangon' });
+    });
+  });
+
+  describe('reports', () => {
+    const queryResult = () => ({
+      columns: [
+        { key: 'category', header: 'Category', numeric: false },
+        { key: 'count', header: 'Count', numeric: true },
+      ],
+      metrics: [{ op: 'count', field: null, as: 'count' }],
+      comparisons: ['previous_year'],
+      rows: [
+        { category: 'Engineering', count: 30, _records: 30, count_previous_year: 3, _records_previous_year: 3 },
+        { category: 'Legal', count: 2, _records: 2, count_previous_year: 4, _records_previous_year: 4 },
+      ],
+    });
+
+    it('should withhold small groups and small comparison cohorts from query results', () => {
+      const result = queryResult();
+      const released = reportQueryService.protect(result, policy());
+
+      expect(released.suppressed).toBe(1);
+      expect(result.rows).toEqual([{ category: 'Engineering', count: 30, count_previous_year: null, count_previous_year_change: null }]);
+    });
+
+    it('should leave a company its own small groups', () => {
+      const result = queryResult();
+      reportQueryService.protect(result, null);
+
+      expect(result.rows.map(row => Object.keys(row).some(key => key.startsWith('_records')))).toEqual([false, false]);
+      expect(result.rows).toHaveLength(2);
+    });
+
+    it('should audit suppressed report queries under the product policy', async () => {
+      jest.spyOn(Job, 'aggregate').mockReturnValue({
+        option: jest.fn().mockResolvedValue([
+          { category: 'Engineering', count: 30, _records: 30 },
+          { category: 'Legal', count: 6, _records: 6 },
+        ]),
+      });
+
+      const data = await ReportBuilderService.aggregateData(
+        { definition: { dataset: 'jobs', dimensions: ['category'], metrics: ['count'] } },
+        { customerType: 'User', reportId: 'RPT-1', privacy: { minCohortSize: 10 } }
+      );
+
+      expect(data.query.rows).toEqual([{ category: 'Engineering', count: 30 }]);
+      expect(data.privacy).toEqual({ minCohortSize: 10, noise: dataPrivacyService.noise });
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ source: 'report', endpoint: 'query', reportId: 'RPT-1', minCohortSize: 10 }));
+    });
+
+    it('should release applications only as generalized fields in cohorts of k', async () => {
+      const jobId = new mongoose.Types.ObjectId();
+      const application = (day, status) => ({
+        _id: new mongoose.Types.ObjectId(),
+        jobId,
+        status,
+        source: { type: 'referral' },
+        createdAt: new Date(`2026-09-${day}T08:00:00Z`),
+      });
+      const select = jest.fn().mockReturnValue({
+        limit: jest.fn().mockReturnValue({
+          lean: jest.fn().mockResolvedValue([
+            ...[1, 2, 3, 4, 5].map(day => application(String(day).padStart(2, '0'), 'under_review')),
+            application('06', 'hired'),
+          ]),
+        }),
+      });
+      jest.spyOn(Application, 'find').mockReturnValue({ select });
+
+      const data = await ReportBuilderService.aggregateData({ dataSources: ['applications'] }, { customerType: 'User' });
+
+      expect(select).toHaveBeenCalledWith('jobId status source.type createdAt');
+      expect(data.applications).toHaveLength(5);
+      expect(data.applications[0]).toEqual({ jobId: String(jobId), status: 'under_review', source: 'referral', appliedMonth: '2026-09' });
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ endpoint: 'applications', suppressedGroups: 1 }));
+    });
+  });
+});
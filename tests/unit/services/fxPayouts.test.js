@@ -0,0 +1,178 @@
+/**
+ * FX Payout Unit Tests
+ * Tests for locked FX quotes, settlement in the referrer's currency and the
+ * realised gain or loss posted to the ledger
+ */
+
+const mongoose = require('mongoose');
+const currencyService = require('../../../server/services/currencyService');
+const payoutProcessor = require('../../../server/services/payoutProcessor');
+const regionService = require('../../../server/services/regionService');
+const ledgerService = require('../../../server/services/ledgerService');
+const CurrencyRate = require('../../../server/models/CurrencyRate');
+const LedgerEntry = require('../../../server/models/LedgerEntry');
+const { PayoutRequest } = require('../../../server/models/index.js');
+
+const HOUR = 60 * 60 * 1000;
+
+const payoutRequest = (data = {}) => new PayoutRequest({
+  requestNumber: 'PYO-202610-0001',
+  referrerId: new mongoose.Types.ObjectId(),
+  amount: 1000,
+  currency: 'USD',
+  paymentMethod: { type: 'kbzpay', phoneNumber: '09123456789', accountName: 'Aung Aung' },
+  status: 'pending',
+  ...data,
+});
+
+describe('FX payouts', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    currencyService.clearCache();
+    jest.spyOn(CurrencyRate, 'getRate').mockResolvedValue({ rate: 2100, lastUpdated: new Date('2026-10-19T00:00:00Z') });
+    jest.spyOn(regionService, 'getRegionFromUserProfile').mockResolvedValue('MM');
+    jest.spyOn(regionService, 'getRegionConfig').mockResolvedValue({ code: 'MM', defaultCurrency: 'MMK' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('currencyService quotes', () => {
+    it('should lock the current rate for the quote window', async () => {
+      const quote = await currencyService.lockQuote(1000, 'usd', 'mmk');
+
+      expect(quote).toMatchObject({
+        sourceAmount: 1000,
+        sourceCurrency: 'USD',
+        targetCurrency: 'MMK',
+        rate: 2100,
+        convertedAmount: 2100000,
+      });
+      expect(quote.expiresAt - quote.quotedAt).toBe(24 * HOUR);
+      expect(currencyService.isQuoteValid(quote)).toBe(true);
+      expect(currencyService.isQuoteValid(quote, new Date(quote.quotedAt.getTime() + 25 * HOUR))).toBe(false);
+    });
+
+    it('should fail when there is no rate to lock', async () => {
+      CurrencyRate.getRate.mockResolvedValue(null);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(currencyService.lockQuote(1000, 'USD', 'THB')).rejects.toThrow('Exchange rate not found for USD to THB');
+    });
+
+    it('should value the gain or loss in the source currency', () => {
+      const quote = { rate: 2100, sourceCurrency: 'USD' };
+
+      // Kyat weakened: 2,100,000 MMK cost less than the 1,000 USD owed
+      expect(currencyService.getRealisedGainLoss(quote, 2100000, 2200)).toBe(45.45);
+      expect(currencyService.getRealisedGainLoss(quote, 2100000, 2000)).toBe(-50);
+      expect(currencyService.roundAmount(1234.5, 'MMK')).toBe(1235);
+    });
+  });
+
+  describe('payoutProcessor', () => {
+    it('should not quote a payout already in the referrer currency', async () => {
+      const request = payoutRequest({
+        currency: 'MMK',
+        amount: 500000,
+        fx: { sourceCurrency: 'MMK', targetCurrency: 'THB', rate: 0.0167, expiresAt: new Date(Date.now() + HOUR) },
+      });
+
+      expect(await payoutProcessor.lockFxQuote(request)).toBeNull();
+      expect(request.fx).toBeUndefined();
+      expect(payoutProcessor.getSettlement(request)).toEqual({ amount: 500000, currency: 'MMK' });
+    });
+
+    it('should lock a quote on approval and pay the net amount at that rate', async () => {
+      const request = payoutRequest();
+      jest.spyOn(request, 'save').mockResolvedValue(request);
+
+      await payoutProcessor.approvePayout(request, new mongoose.Types.ObjectId());
+      request.withholdingTax = { amount: 20, rate: 0.02 };
+
+      expect(request.status).toBe('approved');
+      expect(request.fx).toMatchObject({ sourceCurrency: 'USD', targetCurrency: 'MMK', rate: 2100, convertedAmount: 2100000 });
+      expect(payoutProcessor.getSettlement(request)).toEqual({ amount: 2058000, currency: 'MMK' });
+
+      // Processing re-checks the quote against the net amount at the locked rate
+      await payoutProcessor.lockFxQuote(request);
+      expect(request.fx).toMatchObject({ sourceAmount: 980, rate: 2100, convertedAmount: 2058000 });
+    });
+
+    it('should keep a live quote and re-quote an expired one', async () => {
+      const request = payoutRequest({ status: 'approved' });
+      await payoutProcessor.lockFxQuote(request);
+
+      CurrencyRate.getRate.mockResolvedValue({ rate: 2150, lastUpdated: new Date() });
+      currencyService.clearCache();
+      await payoutProcessor.lockFxQuote(request);
+      expect(request.fx.rate).toBe(2100);
+
+      request.fx.expiresAt = new Date(Date.now() - 1000);
+      await payoutProcessor.lockFxQuote(request);
+      expect(request.fx.rate).toBe(2150);
+      expect(request.processingHistory[request.processingHistory.length - 1].notes).toContain('re-quoted USD/MMK at 2150');
+    });
+
+    it('should settle in the referrer region currency and record the realised result', async () => {
+      regionService.getRegionFromUserProfile.mockResolvedValue('TH');
+      regionService.getRegionConfig.mockResolvedValue({ code: 'TH', defaultCurrency: 'THB' });
+      CurrencyRate.getRate.mockResolvedValue({ rate: 35, lastUpdated: new Date() });
+      const request = payoutRequest({ status: 'approved' });
+      await payoutProcessor.lockFxQuote(request);
+
+      CurrencyRate.getRate.mockResolvedValue({ rate: 34, lastUpdated: new Date() });
+      currencyService.clearCache();
+      await payoutProcessor.settleFx(request, 35000);
+
+      expect(request.fx).toMatchObject({ targetCurrency: 'THB', settledAmount: 35000, settlementRate: 34, realisedGainLoss: -29.41 });
+      expect(request.formattedConvertedAmount).toBe('35,000 THB');
+    });
+  });
+
+  describe('ledger', () => {
+    it('should post the payout through the FX conversion account with the realised gain', async () => {
+      const create = jest.spyOn(LedgerEntry, 'create').mockImplementation(async doc => doc);
+      jest.spyOn(LedgerEntry, 'findOne').mockResolvedValue(null);
+
+      const request = payoutRequest({
+        status: 'paid',
+        withholdingTax: { amount: 20 },
+        fx: {
+          sourceAmount: 1000,
+          sourceCurrency: 'USD',
+          targetCurrency: 'MMK',
+          rate: 2100,
+          convertedAmount: 2100000,
+          expiresAt: new Date(),
+          settledAmount: 2058000,
+          settlementRate: 2200,
+          realisedGainLoss: 44.55,
+          settledAt: new Date(),
+        },
+      });
+
+      const posted = await ledgerService.recordPayout(request, 'KBZPAY');
+      const [payout, conversion] = create.mock.calls.map(([doc]) => doc);
+
+      expect(posted).toBe(payout);
+      expect(payout.currency).toBe('USD');
+      expect(payout.lines).toEqual([
+        expect.objectContaining({ account: ledgerService.accounts.referrerAvailable(request.referrerId), debit: 1000 }),
+        expect.objectContaining({ account: 'equity:fx_conversion', credit: 935.45 }),
+        expect.objectContaining({ account: 'liabilities:tax:withholding', credit: 20 }),
+        expect.objectContaining({ account: 'revenue:fx_gain_loss', credit: 44.55 }),
+      ]);
+      expect(conversion).toMatchObject({ type: 'fx_conversion', currency: 'MMK', idempotencyKey: `payout_request:${request._id}:fx` });
+      expect(conversion.lines).toEqual([
+        expect.objectContaining({ account: 'equity:fx_conversion', debit: 2058000 }),
+        expect.objectContaining({ account: 'assets:providers:kbzpay', credit: 2058000 }),
+      ]);
+
+      for (const entry of [payout, conversion]) {
+        await expect(new LedgerEntry(entry).validate()).resolves.toBeUndefined();
+      }
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Guarantee Service Unit Tests
+ * Tests for guarantee policies, staged payouts, refund calculation, payout
+ * requests affected by an early exit and the company remedy
+ */
+
+const mongoose = require('mongoose');
+const guaranteeService = require('../../../server/services/guaranteeService');
+const notificationService = require('../../../server/services/notificationService');
+const { billingEngine } = require('../../../server/services/billingEngine');
+const { PayoutRequest, User, Referral, BillingRecord } = require('../../../server/models/index.js');
+
+describe('Guarantee Service', () => {
+  const hiredAt = new Date('2026-01-01T00:00:00Z');
+
+  describe('getPolicy', () => {
+    it('should prefer the job override over company settings', () => {
+      const job = { guaranteePolicy: { guaranteeDays: 60, companyRemedy: 'refund' } };
+      const company = { settings: { guaranteePolicy: { guaranteeDays: 90 } } };
+
+      const policy = guaranteeService.getPolicy(job, company);
+
+      expect(policy.guaranteeDays).toBe(60);
+      expect(policy.companyRemedy).toBe('refund');
+      expect(policy.clawbackFromReferrer).toBe(true);
+    });
+
+    it('should default to no guarantee', () => {
+      const policy = guaranteeService.getPolicy(null, {});
+
+      expect(policy.guaranteeDays).toBe(0);
+      expect(policy.installments).toEqual([]);
+    });
+  });
+
+  describe('buildInstallments', () => {
+    it('should pay everything at hire without a guarantee', () => {
+      const installments = guaranteeService.buildInstallments(85000, guaranteeService.getPolicy(null, null), hiredAt);
+
+      expect(installments).toHaveLength(1);
+      expect(installments[0].amount).toBe(85000);
+      expect(installments[0].dueAt).toEqual(hiredAt);
+    });
+
+    it('should hold the full payout until a guarantee ends', () => {
+      const policy = guaranteeService.getPolicy(null, { settings: { guaranteePolicy: { guaranteeDays: 90 } } });
+      const [installment] = guaranteeService.buildInstallments(85000, policy, hiredAt);
+
+      expect(installment.dueAt).toEqual(new Date('2026-04-01T00:00:00Z'));
+    });
+
+    it('should split staged payouts and let the last installment absorb rounding', () => {
+      const policy = {
+        guaranteeDays: 90,
+        installments: [{ percent: 50, afterDays: 90 }, { percent: 50, afterDays: 0 }],
+      };
+
+      const installments = guaranteeService.buildInstallments(85001, policy, hiredAt);
+
+      expect(installments.map(i => i.sequence)).toEqual([1, 2]);
+      expect(installments[0].dueAt).toEqual(hiredAt);
+      expect(installments[0].amount).toBe(42501);
+      expect(installments[1].amount).toBe(42500);
+    });
+  });
+
+  describe('getRefundFraction', () => {
+    const guarantee = {
+      startsAt: hiredAt,
+      endsAt: new Date('2026-04-01T00:00:00Z'),
+    };
+
+    it('should refund the full fee by default', () => {
+      expect(guaranteeService.getRefundFraction(guarantee, { refundBasis: 'full' }, new Date('2026-03-01'))).toBe(1);
+    });
+
+    it('should refund the unused share of the guarantee on a pro-rata basis', () => {
+      const halfway = new Date((hiredAt.getTime() + guarantee.endsAt.getTime()) / 2);
+
+      expect(guaranteeService.getRefundFraction(guarantee, { refundBasis: 'pro_rata' }, halfway)).toBeCloseTo(0.5);
+    });
+  });
+
+  describe('rejectOpenPayoutRequests', () => {
+    const referrerId = new mongoose.Types.ObjectId();
+    const breached = { _id: new mongoose.Types.ObjectId(), code: 'REF12345' };
+    const clean = new mongoose.Types.ObjectId();
+
+    const buildRequest = referrals => {
+      const request = new PayoutRequest({
+        referrerId,
+        amount: referrals.reduce((sum, item) => sum + item.amount, 0),
+        paymentMethod: { type: 'kbzpay', phoneNumber: '09123456789', accountName: 'Aung Aung' },
+        referrals,
+      });
+      jest.spyOn(request, 'save').mockResolvedValue(request);
+      return request;
+    };
+
+    beforeEach(() => {
+      jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({});
+      jest.spyOn(notificationService, 'sendPayoutNotification').mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should remove only the breached referral from a request covering several referrals', async () => {
+      const request = buildRequest([
+        { referralId: breached._id, amount: 85000 },
+        { referralId: clean, amount: 50000 },
+      ]);
+      jest.spyOn(PayoutRequest, 'findOpenForReferral').mockResolvedValue([request]);
+
+      const result = await guaranteeService.rejectOpenPayoutRequests(breached, null, 'resigned');
+
+      expect(result).toEqual({ rejected: 0, adjusted: 1 });
+      expect(request.status).toBe('pending');
+      expect(request.amount).toBe(50000);
+      expect(request.referrals.map(item => item.referralId)).toEqual([clean]);
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(referrerId, {
+        $inc: { 'referrerProfile.availableBalance': 85000, 'referrerProfile.pendingBalance': -85000 },
+      });
+      expect(notificationService.sendPayoutNotification).not.toHaveBeenCalled();
+    });
+
+    it('should reject a request that only covers the breached referral', async () => {
+      const request = buildRequest([{ referralId: breached._id, amount: 85000 }]);
+      jest.spyOn(request, 'reject').mockImplementation(async function() {
+        this.status = 'rejected';
+        return this;
+      });
+      jest.spyOn(PayoutRequest, 'findOpenForReferral').mockResolvedValue([request]);
+
+      const result = await guaranteeService.rejectOpenPayoutRequests(breached, null, 'resigned');
+
+      expect(result).toEqual({ rejected: 1, adjusted: 0 });
+      expect(request.status).toBe('rejected');
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(referrerId, {
+        $inc: { 'referrerProfile.availableBalance': 85000, 'referrerProfile.pendingBalance': -85000 },
+      });
+      expect(notificationService.sendPayoutNotification).toHaveBeenCalledWith(referrerId, request._id, 'rejected', expect.any(Object));
+    });
+  });
+
+  describe('recordEarlyExit', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should not repeat the clawback when the exit was already recorded', async () => {
+      const referral = {
+        _id: new mongoose.Types.ObjectId(),
+        guarantee: { status: 'active', days: 90, startsAt: hiredAt, endsAt: new Date('2026-04-01T00:00:00Z') },
+      };
+      jest.spyOn(Referral, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+      const loadContext = jest.spyOn(guaranteeService, 'loadContext');
+
+      await expect(guaranteeService.recordEarlyExit(referral, { leftAt: '2026-02-01' }))
+        .rejects.toThrow('Early exit has already been recorded for this referral');
+      expect(Referral.updateOne).toHaveBeenCalledWith(
+        { _id: referral._id, 'guarantee.status': 'active' },
+        { $set: expect.objectContaining({ 'guarantee.status': 'breached' }) }
+      );
+      expect(loadContext).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('applyCompanyRemedy', () => {
+    const referral = { _id: new mongoose.Types.ObjectId() };
+    const company = { _id: new mongoose.Types.ObjectId() };
+
+    const mockInvoice = data => {
+      const invoice = {
+        _id: new mongoose.Types.ObjectId(),
+        subtotal: 600000,
+        discount: 0,
+        amountPaid: 0,
+        refundAmount: 0,
+        items: [
+          { amount: 300000, metadata: { hireId: referral._id } },
+          { amount: 300000, metadata: { hireId: new mongoose.Types.ObjectId() } },
+        ],
+        ...data,
+      };
+      jest.spyOn(BillingRecord, 'findOne').mockResolvedValue(invoice);
+      return invoice;
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should add to the discount already on an unpaid invoice', async () => {
+      const invoice = mockInvoice({ discount: 300000 });
+      jest.spyOn(billingEngine, 'applyDiscount').mockResolvedValue(invoice);
+
+      const result = await guaranteeService.applyCompanyRemedy(referral, company, { companyRemedy: 'refund' }, { fraction: 0.5 });
+
+      expect(result.companyAmount).toBe(150000);
+      expect(billingEngine.applyDiscount).toHaveBeenCalledWith(invoice._id, expect.objectContaining({ amount: 450000 }));
+    });
+
+    it('should refund only what is left after earlier refunds', async () => {
+      const invoice = mockInvoice({ amountPaid: 400000, refundAmount: 300000, status: 'partially_refunded' });
+      jest.spyOn(billingEngine, 'processRefund').mockResolvedValue({});
+
+      const result = await guaranteeService.applyCompanyRemedy(referral, company, { companyRemedy: 'refund' }, { fraction: 1 });
+
+      expect(result.companyAmount).toBe(100000);
+      expect(billingEngine.processRefund).toHaveBeenCalledWith(invoice._id, expect.objectContaining({ amount: 100000 }));
+    });
+  });
+});
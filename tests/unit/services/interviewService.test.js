@@ -0,0 +1,97 @@
+/**
+ * Interview Service Unit Tests
+ * Tests for candidate messages, calendar invites and interviewer assignment
+ */
+
+const mongoose = require('mongoose');
+const interviewService = require('../../../server/services/interviewService');
+const messagingService = require('../../../server/services/messagingService');
+const Interview = require('../../../server/models/Interview');
+const { User } = require('../../../server/models/index.js');
+const { buildICalendar } = require('../../../server/utils/ical');
+
+describe('Interview Service', () => {
+  const interview = {
+    startsAt: new Date('2026-03-02T03:30:00Z'),
+    timezone: 'Asia/Yangon',
+    type: 'video',
+    meetingUrl: 'https://meet.example.com/abc',
+  };
+
+  describe('formatWhen', () => {
+    it('should format the start time in the interview timezone', () => {
+      expect(interviewService.formatWhen(interview)).toContain('10:00');
+    });
+  });
+
+  describe('buildScheduleMessage', () => {
+    it('should include the meeting link in confirmations and reminders', () => {
+      expect(interviewService.buildScheduleMessage(interview, 'scheduled')).toContain('https://meet.example.com/abc');
+      expect(interviewService.buildScheduleMessage(interview, 'reminder')).toMatch(/^⏰ Reminder/);
+    });
+
+    it('should fall back to the interview type without a location', () => {
+      const phone = { ...interview, type: 'phone', meetingUrl: undefined };
+      expect(interviewService.buildScheduleMessage(phone, 'rescheduled')).toContain('Where: phone');
+    });
+  });
+
+  describe('buildICalendar', () => {
+    const entry = {
+      uid: 'interview-1@trm-platform.com',
+      start: new Date('2026-03-02T03:30:00Z'),
+      end: new Date('2026-03-02T04:30:00Z'),
+      summary: 'Interview - Backend Engineer, Yangon',
+      organizer: { name: 'Recruiter', email: 'recruiter@example.com' },
+      attendees: [{ name: 'Candidate', email: 'candidate@example.com' }, { name: 'No email' }],
+      method: 'REQUEST',
+      sequence: 2,
+    };
+
+    it('should build a request with attendees and sequence', () => {
+      const ical = buildICalendar(entry);
+
+      expect(ical).toContain('METHOD:REQUEST');
+      expect(ical).toContain('DTSTART:20260302T033000Z');
+      expect(ical).toContain('SUMMARY:Interview - Backend Engineer\\, Yangon');
+      expect(ical).toContain('ATTENDEE;CN=Candidate;RSVP=TRUE:mailto:candidate@example.com');
+      expect(ical).not.toContain('No email');
+      expect(ical).toContain('SEQUENCE:2');
+    });
+
+    it('should mark cancellations as cancelled', () => {
+      const ical = buildICalendar({ ...entry, method: 'CANCEL' });
+
+      expect(ical).toContain('METHOD:CANCEL');
+      expect(ical).toContain('STATUS:CANCELLED');
+    });
+  });
+
+  describe('notifyCandidate', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should report the channel that actually failed', async () => {
+      jest.spyOn(User, 'findById').mockReturnValue({
+        select: jest.fn().mockResolvedValue({ messagingPreferences: { preferredPlatform: 'telegram', platformUserId: '42' } }),
+      });
+      jest.spyOn(messagingService, 'sendMessage').mockRejectedValue(new Error('Bot blocked'));
+
+      const results = await interviewService.notifyCandidate({ candidate: { userId: 'user-1' } }, 'Hello');
+
+      expect(results).toEqual([{ channel: 'telegram', success: false, error: 'Bot blocked' }]);
+    });
+  });
+
+  describe('assignedInterviewerIds', () => {
+    it('should expect the assigned interviewers, or the recruiter when none are assigned', () => {
+      const recruiterId = new mongoose.Types.ObjectId();
+      const interviewerId = new mongoose.Types.ObjectId();
+
+      expect(new Interview({ recruiterId }).assignedInterviewerIds).toEqual([recruiterId.toString()]);
+      expect(new Interview({ recruiterId, interviewerIds: [interviewerId] }).assignedInterviewerIds)
+        .toEqual([interviewerId.toString()]);
+    });
+  });
+});
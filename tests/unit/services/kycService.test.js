@@ -0,0 +1,316 @@
+/**
+ * KYC Service Unit Tests
+ * Tests for NRC parsing, reading documents with the OCR pipeline,
+ * checking extracted names and dates of birth against the profile and
+ * matching selfies to ID documents
+ */
+
+const kycService = require('../../../server/services/kycService');
+const { setOCREngine } = require('../../../server/services/ocr');
+const { setFaceProvider } = require('../../../server/services/face');
+const LocalFaceProvider = require('../../../server/services/face/LocalFaceProvider');
+const { parseDocument, parseDate } = require('../../../server/services/ocr/documentParsers');
+const { parseNRC, findNRC } = require('../../../server/utils/nrc');
+const KYCDocument = require('../../../server/models/KYCDocument');
+const { KYCStatus } = require('../../../server/models/KYCStatus');
+const { User } = require('../../../server/models/index.js');
+
+const ocrEngine = (lines) => ({
+  name: 'tesseract',
+  supports: mimeType => mimeType !== 'application/pdf',
+  recognize: jest.fn().mockResolvedValue({
+    text: lines.map(line => line.text).join('\n'),
+    confidence: 80,
+    lines,
+  }),
+});
+
+const mockDocument = (documentType, mimeType = 'image/jpeg') => ({
+  _id: 'doc1',
+  userId: 'user1',
+  kycStatusId: 'kyc1',
+  documentType,
+  file: { path: '/uploads/kyc/doc1.jpg', mimeType },
+  markProcessing: jest.fn().mockResolvedValue(),
+  updateOCRResults: jest.fn(async function(results) {
+    this.ocrData = results;
+  }),
+});
+
+const faceProvider = ({ score, liveness }) => ({
+  name: 'local',
+  supports: mimeType => mimeType !== 'application/pdf',
+  detect: jest.fn().mockResolvedValue({
+    faces: [{ confidence: 97, box: { x: 10, y: 10, width: 200, height: 240 } }],
+    quality: { brightness: 55, sharpness: 60, contrast: 40, glare: 0, saturation: 0.3 },
+  }),
+  compare: jest.fn().mockResolvedValue({ score, selfieFaces: 1, idFaces: 1, details: {} }),
+  checkLiveness: jest.fn().mockResolvedValue({ score: liveness, checks: { faceCount: 1, sharpness: 90 } }),
+});
+
+const mockSelfieMatch = (targetLevel = 2) => {
+  const selfie = {
+    ...mockDocument('selfie'),
+    _id: 'selfie1',
+    relatedDocuments: [],
+    save: jest.fn(),
+  };
+  const idDocument = { ...mockDocument('nrc_front'), _id: 'nrc1' };
+  const kycStatus = {
+    targetLevel,
+    levelStatus: { level2: {} },
+    updateStep: jest.fn(),
+    save: jest.fn(),
+  };
+  jest.spyOn(KYCDocument, 'findById').mockImplementation(async id => ({ selfie1: selfie, nrc1: idDocument })[id] || null);
+  KYCStatus.findById.mockResolvedValue(kycStatus);
+  return { selfie, kycStatus };
+};
+
+const mockProfile = (profile) => {
+  jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(profile) });
+};
+
+const NRC_CARD = [
+  { text: 'ပြည်ထောင်စုသမ္မတမြန်မာနိုင်ငံတော်', confidence: 88 },
+  { text: '၁၂/ဥကမ(နိုင်)၁၂၃၄၅၆', confidence: 91 },
+  { text: 'အမည် မောင်ကျော်ဇင်', confidence: 84 },
+  { text: 'အဘအမည် ဦးလှမောင်', confidence: 79 },
+  { text: 'မွေးသက္ကရာဇ် ၁၅-၆-၁၉၉၀', confidence: 86 },
+];
+
+describe('KYC Service', () => {
+  let document;
+
+  beforeEach(() => {
+    jest.spyOn(KYCStatus, 'findById').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    setOCREngine(null);
+    setFaceProvider(null);
+    jest.restoreAllMocks();
+  });
+
+  describe('NRC numbers', () => {
+    it('should parse English and Burmese numbers into their parts', () => {
+      const english = parseNRC('12/oukama (n) 123456');
+      const burmese = parseNRC('၁၂/ဥကမ(နိုင်)၁၂၃၄၅၆');
+
+      expect(english).toMatchObject({
+        valid: true,
+        format: 'english',
+        stateCode: '12',
+        state: 'Yangon',
+        townshipKnown: true,
+        type: 'N',
+        typeName: 'Citizen',
+        serial: '123456',
+        fullNumber: '12/OUKAMA(N)123456',
+      });
+      expect(english.township).toMatchObject({ code: 'OUKAMA', name: 'North Okkalapa' });
+      expect(burmese).toMatchObject({ format: 'burmese', fullNumber: '12/OUKAMA(N)123456', burmeseNumber: '၁၂/ဥကမ(နိုင်)၁၂၃၄၅၆' });
+    });
+
+    it('should flag townships missing from the table and reject bad states and types', () => {
+      expect(parseNRC('12/ABCDEF(N)123456')).toMatchObject({ valid: true, townshipKnown: false, township: null });
+      expect(parseNRC('15/OUKAMA(N)123456')).toMatchObject({ valid: false, error: 'Invalid state/region code: 15' });
+      expect(parseNRC('12/OUKAMA(X)123456')).toMatchObject({ valid: false, error: 'Invalid NRC type: X' });
+      expect(kycService.validateNRC('9/PAMANA(N)012345')).toMatchObject({ valid: true, state: 'Mandalay' });
+    });
+
+    it('should find a number in OCR text', () => {
+      expect(findNRC('NATIONAL REGISTRATION CARD\nNo. 12 / OUKAMA (N) 123456')).toMatchObject({ line: 1, serial: '123456' });
+      expect(findNRC('no number here')).toBeNull();
+    });
+  });
+
+  describe('document parsing', () => {
+    it('should read a passport machine readable zone and check its digits', () => {
+      const mrz = (line2) => ({
+        text: `PASSPORT\nP<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<\n${line2}`,
+        confidence: 90,
+      });
+
+      const valid = parseDocument('passport', mrz('L898902C36UTO7408122F1204159ZE184226B<<<<<10'));
+      const tampered = parseDocument('passport', mrz('L898902C46UTO7408122F1204159ZE184226B<<<<<10'));
+
+      expect(valid.extractedData).toMatchObject({ passportNumber: 'L898902C3', issuingCountry: 'UTO', name: 'ANNA MARIA ERIKSSON' });
+      expect(valid.extractedData.dateOfBirth).toEqual(new Date('1974-08-12'));
+      expect(valid.issues).toEqual([]);
+      expect(tampered.fields.find(field => field.field === 'passportNumber')).toMatchObject({ valid: false, confidence: 45 });
+      expect(tampered.issues).toContain('mrz_check_failed');
+    });
+
+    it('should read business registration details', () => {
+      const { extractedData, issues } = parseDocument('business_registration', {
+        text: 'CERTIFICATE OF INCORPORATION\nGolden Lotus Trading Co., Ltd.\nCompany Registration No. 123456789\nTIN: 123 456 789',
+        confidence: 75,
+      });
+
+      expect(extractedData).toEqual({ businessName: 'Golden Lotus Trading Co., Ltd.', registrationNumber: '123456789', tinNumber: '123456789' });
+      expect(issues).toEqual([]);
+    });
+
+    it('should parse printed dates day first', () => {
+      expect(parseDate('၁၅-၆-၁၉၉၀')).toEqual(new Date('1990-06-15'));
+      expect(parseDate('03/04/2001')).toEqual(new Date('2001-04-03'));
+      expect(parseDate('12 March 2021')).toEqual(new Date('2021-03-12'));
+      expect(parseDate('31-02-1990')).toBeNull();
+    });
+  });
+
+  describe('processOCR', () => {
+    it('should record per-field confidence and the profile match for an NRC', async () => {
+      document = mockDocument('nrc_front');
+      jest.spyOn(KYCDocument, 'findById').mockResolvedValue(document);
+      mockProfile({ name: 'ကျော်ဇင်', dateOfBirth: new Date('1990-06-15') });
+      setOCREngine(ocrEngine(NRC_CARD));
+
+      const results = await kycService.processOCR('doc1');
+
+      expect(results.extractedData).toMatchObject({
+        nrcNumber: '12/OUKAMA(N)123456',
+        nrcStateRegion: 'Yangon',
+        nrcTownship: 'OUKAMA',
+        nrcType: 'N',
+        nrcSerial: '123456',
+        name: 'မောင်ကျော်ဇင်',
+        fatherName: 'ဦးလှမောင်',
+      });
+      expect(results.confidence.fields).toEqual([
+        { field: 'nrcNumber', value: '12/OUKAMA(N)123456', confidence: 91, valid: true },
+        { field: 'name', value: 'မောင်ကျော်ဇင်', confidence: 84, valid: true, profileMatch: true, profileScore: 100 },
+        { field: 'fatherName', value: 'ဦးလှမောင်', confidence: 79, valid: true },
+        { field: 'dateOfBirth', value: '1990-06-15', confidence: 86, valid: true, profileMatch: true, profileScore: 100 },
+      ]);
+      expect(results).toMatchObject({ engine: 'tesseract', requiresReview: false, reviewReasons: [] });
+      expect(results.confidence.overall).toBe(85);
+      expect(document.updateOCRResults).toHaveBeenCalledWith(results);
+    });
+
+    it('should send mismatches, unknown townships and unclear fields to review', async () => {
+      document = mockDocument('nrc_front');
+      jest.spyOn(KYCDocument, 'findById').mockResolvedValue(document);
+      mockProfile({ name: 'အောင်အောင်', dateOfBirth: new Date('1991-06-15') });
+      setOCREngine(ocrEngine([
+        { text: '12/ABCDEF(N)123456', confidence: 90 },
+        ...NRC_CARD.slice(2, 4),
+        { text: 'မွေးသက္ကရာဇ် ၁၅-၆-၁၉၉၀', confidence: 40 },
+      ]));
+
+      const results = await kycService.processOCR('doc1');
+
+      expect(results.requiresReview).toBe(true);
+      expect(results.reviewReasons).toEqual(['nrc_township_unknown', 'name_mismatch', 'date_of_birth_mismatch', 'low_confidence']);
+      expect(results.confidence.fields[0]).toMatchObject({ field: 'nrcNumber', valid: false, confidence: 45 });
+      expect(results.confidence.fields.find(field => field.field === 'dateOfBirth')).toMatchObject({ profileMatch: false, profileScore: 0 });
+    });
+
+    it('should leave files the engine cannot read to a reviewer', async () => {
+      document = mockDocument('passport', 'application/pdf');
+      jest.spyOn(KYCDocument, 'findById').mockResolvedValue(document);
+      const engine = ocrEngine([]);
+      setOCREngine(engine);
+
+      const results = await kycService.processOCR('doc1');
+
+      expect(engine.recognize).not.toHaveBeenCalled();
+      expect(results.engine).toBe('manual');
+      expect(results.reviewReasons).toEqual(expect.arrayContaining(['unsupported_file', 'no_text', 'missing_passportNumber']));
+    });
+  });
+
+  describe('selfie matching', () => {
+    it('should detect the face and score liveness when a selfie is processed', async () => {
+      document = mockDocument('selfie');
+      jest.spyOn(KYCDocument, 'findById').mockResolvedValue(document);
+      const provider = faceProvider({ score: null, liveness: 82 });
+      setFaceProvider(provider);
+
+      const results = await kycService.processOCR('doc1');
+
+      expect(provider.detect).toHaveBeenCalledWith('/uploads/kyc/doc1.jpg');
+      expect(results.faceDetection).toMatchObject({
+        provider: 'local',
+        detected: true,
+        confidence: 97,
+        faceCount: 1,
+        quality: { brightness: 55, sharpness: 60, contrast: 40 },
+        liveness: { score: 82, checks: { faceCount: 1, sharpness: 90 } },
+      });
+      expect(results).toMatchObject({ requiresReview: false, reviewReasons: [] });
+    });
+
+    it('should apply the thresholds of the target level', async () => {
+      const { selfie, kycStatus } = mockSelfieMatch(2);
+      setFaceProvider(faceProvider({ score: 70, liveness: 65 }));
+
+      const result = await kycService.matchSelfie('selfie1', 'nrc1', 'user1');
+
+      expect(result).toMatchObject({ matched: true, decision: 'matched', score: 70, level: 2 });
+      expect(selfie.faceMatch).toMatchObject({ provider: 'local', thresholds: { match: 67, review: 45, liveness: 50 } });
+      expect(selfie.faceMatch.review).toBeUndefined();
+      expect(kycStatus.updateStep).toHaveBeenCalledWith('selfie_matching', 'completed', expect.objectContaining({ matchScore: 70 }));
+      expect(kycStatus.levelStatus.level2).toMatchObject({ selfieVerified: true, selfieMatchScore: 70 });
+
+      const higher = mockSelfieMatch(4);
+      setFaceProvider(faceProvider({ score: 70, liveness: 65 }));
+
+      const review = await kycService.matchSelfie('selfie1', 'nrc1', 'user1');
+
+      expect(review).toMatchObject({ matched: false, decision: 'review', reasons: ['borderline_match', 'low_liveness'], level: 4 });
+      expect(higher.selfie.faceMatch.review.status).toBe('pending');
+      expect(higher.kycStatus.updateStep).toHaveBeenCalledWith('selfie_matching', 'in_progress', expect.any(Object));
+      expect(higher.kycStatus.levelStatus.level2.selfieVerified).toBeUndefined();
+    });
+
+    it('should review rather than reject faces within face-api\'s same-person distance', () => {
+      const provider = new LocalFaceProvider();
+
+      expect(provider.scoreDistance(0)).toBe(100);
+      expect(provider.scoreDistance(0.6)).toBe(50);
+      expect(provider.scoreDistance(1.5)).toBe(0);
+      for (const level of [2, 3, 4]) {
+        const thresholds = kycService.getFaceThresholds(level);
+        expect(kycService.decideFaceMatch(provider.scoreDistance(0.59), 90, thresholds).decision).not.toBe('failed');
+        expect(kycService.decideFaceMatch(provider.scoreDistance(0.3), 90, thresholds).decision).toBe('matched');
+      }
+    });
+
+    it('should fail clear mismatches and refuse other users\' documents', async () => {
+      const { kycStatus } = mockSelfieMatch(2);
+      setFaceProvider(faceProvider({ score: 30, liveness: 90 }));
+
+      const result = await kycService.matchSelfie('selfie1', 'nrc1', 'user1');
+
+      expect(result).toMatchObject({ decision: 'failed', reasons: ['face_mismatch'] });
+      expect(kycStatus.updateStep).toHaveBeenCalledWith('selfie_matching', 'failed', expect.any(Object));
+      await expect(kycService.matchSelfie('selfie1', 'nrc1', 'user2')).rejects.toThrow('Documents not found');
+    });
+
+    it('should settle a borderline match after review', async () => {
+      const { selfie, kycStatus } = mockSelfieMatch(3);
+      setFaceProvider(faceProvider({ score: 55, liveness: 90 }));
+      await kycService.matchSelfie('selfie1', 'nrc1', 'user1');
+
+      await kycService.reviewFaceMatch('selfie1', 'admin1', true, 'Same person, older ID photo');
+
+      expect(selfie.faceMatch).toMatchObject({
+        decision: 'matched',
+        review: { status: 'approved', reviewedBy: 'admin1', notes: 'Same person, older ID photo' },
+      });
+      expect(kycStatus.updateStep).toHaveBeenLastCalledWith('selfie_matching', 'completed', expect.objectContaining({ reviewedBy: 'admin1' }));
+      expect(kycStatus.levelStatus.level2.selfieVerified).toBe(true);
+      await expect(kycService.reviewFaceMatch('selfie1', 'admin1', false)).rejects.toThrow('No face match awaiting review');
+    });
+  });
+
+  describe('compareNames', () => {
+    it('should ignore honorifics and word order but not scripts', () => {
+      expect(kycService.compareNames('KYAW ZIN AUNG', 'U Aung Kyaw Zin')).toBe(100);
+      expect(kycService.compareNames('Kyaw Zin', 'Kyaw Win')).toBeLessThan(90);
+      expect(kycService.compareNames('မောင်ကျော်ဇင်', 'Kyaw Zin')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Ledger Service Unit Tests
+ * Tests for balanced journal entries, posting and reconciliation
+ */
+
+const LedgerEntry = require('../../../server/models/LedgerEntry');
+const ledgerService = require('../../../server/services/ledgerService');
+
+const { ACCOUNTS } = ledgerService;
+
+const validate = (lines) => new LedgerEntry({
+  entryNumber: 'JE-TEST',
+  type: 'deposit',
+  lines,
+}).validate().then(() => undefined, error => error);
+
+describe('Ledger Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('LedgerEntry validation', () => {
+    it('should accept a balanced entry', async () => {
+      const error = await validate([
+        { account: ACCOUNTS.providerCash('kbzpay'), debit: 50000 },
+        { account: ACCOUNTS.userWallet('u1'), credit: 50000 },
+      ]);
+
+      expect(error).toBeUndefined();
+    });
+
+    it('should reject an entry whose debits and credits differ', async () => {
+      const error = await validate([
+        { account: ACCOUNTS.providerCash('kbzpay'), debit: 50000 },
+        { account: ACCOUNTS.userWallet('u1'), credit: 49999 },
+      ]);
+
+      expect(error.errors.lines.message).toContain('does not balance');
+    });
+
+    it('should reject lines with both or neither side set', async () => {
+      const error = await validate([
+        { account: ACCOUNTS.providerCash('kbzpay'), debit: 100, credit: 100 },
+        { account: ACCOUNTS.userWallet('u1'), credit: 0 },
+      ]);
+
+      expect(error.errors.lines.message).toContain('either a debit or a credit');
+    });
+
+    it('should reject account codes outside the chart of accounts', async () => {
+      const error = await validate([
+        { account: 'cash:kbzpay', debit: 100 },
+        { account: ACCOUNTS.userWallet('u1'), credit: 100 },
+      ]);
+
+      expect(error).toBeDefined();
+    });
+  });
+
+  describe('post', () => {
+    it('should drop zero lines and return the existing entry for a repeated event', async () => {
+      const existing = { entryNumber: 'JE-1' };
+      jest.spyOn(LedgerEntry, 'findOne').mockResolvedValue(existing);
+      const create = jest.spyOn(LedgerEntry, 'create');
+
+      const result = await ledgerService.post({
+        type: 'payout',
+        lines: [
+          { account: ACCOUNTS.referrerAvailable('r1'), debit: 1000 },
+          { account: ACCOUNTS.providerCash('wavepay'), credit: 1000 },
+          { account: ACCOUNTS.withholdingTax, credit: 0 },
+        ],
+        idempotencyKey: 'payout_request:p1:paid',
+      });
+
+      expect(result).toBe(existing);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should post nothing when no money moved', async () => {
+      const result = await ledgerService.post({
+        type: 'clawback',
+        lines: [
+          { account: ACCOUNTS.referrerPending('r1'), debit: 0 },
+          { account: ACCOUNTS.bonusReceivable('c1'), credit: 0 },
+        ],
+      });
+
+      expect(result).toBeNull();
+    });
+
+    it('should post invoices split between revenue and commercial tax', async () => {
+      const create = jest.spyOn(LedgerEntry, 'create').mockImplementation(async doc => doc);
+      jest.spyOn(LedgerEntry, 'findOne').mockResolvedValue(null);
+
+      const posted = await ledgerService.recordInvoiceIssued({
+        _id: 'i1',
+        companyId: 'c1',
+        invoiceNumber: 'INV-1',
+        currency: 'MMK',
+        total: 210000,
+        tax: 10000,
+      });
+
+      expect(create).toHaveBeenCalledTimes(1);
+      expect(posted.lines).toEqual([
+        expect.objectContaining({ account: 'assets:receivables:invoices:c1', debit: 210000 }),
+        expect.objectContaining({ account: 'revenue:billing', credit: 200000 }),
+        expect.objectContaining({ account: 'liabilities:tax:commercial', credit: 10000 }),
+      ]);
+    });
+
+    it('should key each refund of an invoice separately', async () => {
+      jest.spyOn(LedgerEntry, 'findOne').mockResolvedValue(null);
+      jest.spyOn(LedgerEntry, 'create').mockImplementation(async doc => doc);
+      const invoice = {
+        _id: 'i1',
+        invoiceNumber: 'INV-1',
+        currency: 'MMK',
+        taxRate: 0.05,
+        paymentHistory: [{ status: 'completed', provider: 'kbzpay' }],
+      };
+
+      const first = await ledgerService.recordInvoiceRefund(invoice, { _id: 'r1', amount: 21000 });
+      const second = await ledgerService.recordInvoiceRefund(invoice, { _id: 'r2', amount: 21000 });
+
+      expect(first.idempotencyKey).toBe('invoice:i1:refund:r1');
+      expect(second.idempotencyKey).toBe('invoice:i1:refund:r2');
+      expect(first.lines[2]).toMatchObject({ credit: 21000 });
+    });
+
+    it('should log and swallow failures when recording an event', async () => {
+      jest.spyOn(LedgerEntry, 'findOne').mockRejectedValue(new Error('connection lost'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await ledgerService.recordDeposit({
+        _id: 't1', userId: 'u1', provider: 'kbzpay', amount: 1000, currency: 'MMK',
+      });
+
+      expect(result).toBeNull();
+      expect(console.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('reporting', () => {
+    it('should report balances from the normal side of the account', () => {
+      expect(ledgerService.normalBalance('assets:providers:kbzpay', 500, 200)).toBe(300);
+      expect(ledgerService.normalBalance('liabilities:wallets:u1', 500, 200)).toBe(-300);
+      expect(ledgerService.normalBalance('revenue:billing', 0, 99.99)).toBe(99.99);
+    });
+
+    it('should list accounts where the ledger and records disagree', () => {
+      const ledger = new Map([
+        ['assets:providers:kbzpay', 1000],
+        ['assets:providers:wavepay', 250],
+      ]);
+      const records = new Map([
+        ['kbzpay', 1000],
+        ['mpu', 300],
+      ]);
+
+      const result = ledgerService.compare(ledger, records, 'assets:providers:', ACCOUNTS.providerCash);
+
+      expect(result.map(row => [row.key, row.difference])).toEqual([
+        ['kbzpay', 0],
+        ['mpu', -300],
+        ['wavepay', 250],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Matching Engine Unit Tests
+ * Tests for per-factor score explanations, taxonomy-aware skill matching
+ * and fitting factor weights from hire outcomes
+ */
+
+jest.mock('../../../server/services/notificationService.js', () => ({ sendNotification: jest.fn() }));
+
+const matchingEngine = require('../../../server/services/matchingEngine');
+const matchWeightModel = require('../../../server/ml/matchWeightModel');
+const skillTaxonomyService = require('../../../server/services/skillTaxonomyService');
+
+// In-memory taxonomy so matching does not read the database
+const TAXONOMY = [
+  { _id: 'frontend', name: 'Frontend Development', key: 'frontenddevelopment', aliasKeys: ['frontend'], category: 'web' },
+  { _id: 'react', name: 'React.js', key: 'reactjs', aliasKeys: ['react'], category: 'web', parentId: 'frontend', relatedSkillIds: ['nextjs'] },
+  { _id: 'vue', name: 'Vue.js', key: 'vuejs', aliasKeys: ['vue'], category: 'web', parentId: 'frontend' },
+  { _id: 'nextjs', name: 'Next.js', key: 'nextjs', category: 'web', parentId: 'react' },
+  { _id: 'node', name: 'Node.js', key: 'nodejs', aliasKeys: ['node'], category: 'web' },
+];
+
+beforeAll(() => {
+  skillTaxonomyService.useTaxonomy(TAXONOMY);
+});
+
+const FACTORS = ['skills', 'experience', 'location', 'salary', 'candidateQuality', 'referrerNetwork'];
+
+describe('Matching Engine explanations', () => {
+  const job = {
+    skills: ['React', 'Node.js', 'MongoDB'],
+    experienceLevel: 'senior',
+    location: { type: 'onsite', city: 'Yangon' },
+    salary: { min: 1000000, max: 2000000 },
+  };
+  const candidate = {
+    jobseekerProfile: { skills: ['react', 'node.js', 'graphql'], experience: '3 years' },
+  };
+
+  it('should explain which skills matched and why experience and location scored low', async () => {
+    const factorScores = await matchingEngine.calculateFactorScores(job, candidate);
+    const explanations = matchingEngine.buildExplanations(factorScores, matchingEngine.weights);
+    const byFactor = Object.fromEntries(explanations.map(explanation => [explanation.factor, explanation]));
+
+    expect(explanations.map(explanation => explanation.factor).sort()).toEqual([...FACTORS].sort());
+    expect(byFactor.skills.details.matched).toEqual(['React.js', 'Node.js']);
+    expect(byFactor.skills.details.missing).toEqual(['MongoDB']);
+    expect(byFactor.skills.summary).toContain('Matched 2 of 3 required skills; missing MongoDB');
+    expect(byFactor.experience.score).toBe(50);
+    expect(byFactor.experience.summary).toBe('3 years is 2 years short of the 5-10 years for senior level');
+    expect(byFactor.location.summary).toContain('Onsite role in Yangon');
+  });
+
+  it('should sum factor contributions to the overall score', async () => {
+    const factorScores = await matchingEngine.calculateFactorScores(job, candidate);
+    const explanations = matchingEngine.buildExplanations(factorScores, matchingEngine.weights);
+    const total = explanations.reduce((sum, explanation) => sum + explanation.contribution, 0);
+
+    expect(Math.round(total)).toBe(matchingEngine.calculateOverallScore(factorScores));
+    expect(explanations[0].contribution).toBeGreaterThanOrEqual(explanations[explanations.length - 1].contribution);
+  });
+});
+
+describe('Matching Engine skill taxonomy', () => {
+  it('should match skill aliases to the same canonical skill', () => {
+    const result = matchingEngine.calculateSkillsMatch(
+      { skills: ['ReactJS', 'node'] },
+      { jobseekerProfile: { skills: ['React.js', 'NodeJS'] } }
+    );
+
+    expect(result.matched).toEqual(['React.js', 'Node.js']);
+    expect(result.missing).toEqual([]);
+    expect(result.percentage).toBe(100);
+  });
+
+  it('should give partial credit for adjacent skills', () => {
+    const frontend = skillTaxonomyService.matchSkills(['Frontend'], ['Vue']);
+    expect(frontend.adjacent).toEqual([
+      { skill: 'Frontend Development', candidateSkill: 'Vue.js', relation: 'child', credit: 0.8 },
+    ]);
+
+    const sibling = skillTaxonomyService.matchSkills(['React'], ['Vue.js']);
+    expect(sibling.adjacent[0].relation).toBe('sibling');
+    expect(sibling.percentage).toBe(40);
+
+    const related = skillTaxonomyService.matchSkills(['Next.js'], ['React']);
+    expect(related.adjacent[0].relation).toBe('related');
+  });
+
+  it('should keep skills outside the taxonomy comparable by name', () => {
+    const result = skillTaxonomyService.matchSkills(['GraphQL', 'Kotlin'], ['graphql']);
+
+    expect(result.matched).toEqual(['GraphQL']);
+    expect(result.missing).toEqual(['Kotlin']);
+  });
+
+  it('should parse quoted CSV fields and pipe-separated lists', () => {
+    const rows = skillTaxonomyService.parseCsv('name,aliases,parent\n"Node.js","Node|NodeJS",Backend\n');
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0].name).toBe('Node.js');
+    expect(skillTaxonomyService.splitList(rows[0].aliases)).toEqual(['Node', 'NodeJS']);
+  });
+});
+
+describe('Match weight model', () => {
+  // Hires are driven by skills only; location is noise
+  const samples = Array.from({ length: 200 }, (_, i) => {
+    const skills = (i % 10) / 10;
+    const location = ((i * 7) % 10) / 10;
+    return {
+      features: { skills, experience: 0.5, location, salary: 0.7, candidateQuality: 0.5, referrerNetwork: 0.5 },
+      label: skills >= 0.6 ? 1 : 0,
+    };
+  });
+
+  it('should fit normalised weights that favour the predictive factor', () => {
+    const { weights } = matchWeightModel.fit(samples, FACTORS);
+
+    const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    expect(total).toBeCloseTo(1, 3);
+    expect(weights.skills).toBeGreaterThan(weights.location);
+    Object.values(weights).forEach(weight => expect(weight).toBeGreaterThanOrEqual(0));
+  });
+
+  it('should evaluate old and new weights on held-out outcomes', () => {
+    const { train, test } = matchWeightModel.split(samples);
+    const { weights } = matchWeightModel.fit(train, FACTORS);
+
+    expect(train.length + test.length).toBe(samples.length);
+    expect(test.some(sample => sample.label === 1)).toBe(true);
+
+    const baseline = matchWeightModel.evaluate(test, { ...matchingEngine.weights, skills: 0, location: 0.45 });
+    const candidate = matchWeightModel.evaluate(test, weights);
+    expect(candidate.auc).toBeGreaterThan(baseline.auc);
+    expect(candidate.topQuartileHireRate).toBe(1);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * MMQR Service Unit Tests
+ * Tests for decoding and verifying MMQR/EMVCo QR codes and for signed
+ * dynamic QR codes
+ */
+
+const MMQRService = require('../../../server/services/payment/MMQRService');
+
+describe('MMQR Service - parsing and verification', () => {
+  let mmqrService;
+
+  beforeEach(() => {
+    mmqrService = new MMQRService({
+      merchantId: 'test_merchant',
+      merchantName: 'Test Merchant',
+      signingSecret: 'test-signing-secret',
+    });
+  });
+
+  const replaceField = (qrString, tag, value) => {
+    const fields = mmqrService.decodeTLV(qrString.slice(0, -8));
+    const body = fields.map(field => (field.tag === tag ? mmqrService.buildTLV(tag, value) : field.raw)).join('');
+    return mmqrService.calculateCRC(body);
+  };
+
+  it('should decode tags, merchant accounts and amount from a generated code', async () => {
+    const { qrString } = await mmqrService.generateUnifiedQRCode({ amount: 250000, orderId: 'INV-1' });
+
+    const data = mmqrService.parseQRCode(qrString);
+
+    expect(data.amount).toBe(250000);
+    expect(data.currency).toBe('MMK');
+    expect(data.merchantName).toBe('Test Merchant');
+    expect(data.isDynamic).toBe(true);
+    expect(data.additionalData.billNumber).toBe('INV-1');
+    expect(data.merchantAccounts.map(account => [account.tag, account.provider, account.merchantId])).toEqual([
+      ['26', 'kbzpay', 'test_merchant'],
+      ['27', 'wavepay', 'test_merchant'],
+      ['28', 'ayapay', 'test_merchant'],
+    ]);
+    expect(mmqrService.verifyQRCode(qrString).valid).toBe(true);
+  });
+
+  it('should verify a third-party static code with card network accounts', () => {
+    const body = [
+      mmqrService.buildTLV('00', '01'),
+      mmqrService.buildTLV('01', '11'),
+      mmqrService.buildTLV('04', '4111111111111111'),
+      mmqrService.buildTLV('52', '5812'),
+      mmqrService.buildTLV('53', '104'),
+      mmqrService.buildTLV('58', 'MM'),
+      mmqrService.buildTLV('59', 'Tea Shop'),
+      mmqrService.buildTLV('60', 'Mandalay'),
+    ].join('');
+
+    const result = mmqrService.verifyQRCode(mmqrService.calculateCRC(body));
+
+    expect(result.valid).toBe(true);
+    expect(result.issuedByPlatform).toBe(false);
+    expect(result.data.amount).toBeNull();
+    expect(result.data.merchantAccounts[0]).toEqual({ tag: '04', merchantId: '4111111111111111' });
+  });
+
+  it('should check the CRC', () => {
+    expect(mmqrService.validateCRC(mmqrService.calculateCRC('000201010211'))).toBe(true);
+    expect(mmqrService.validateCRC('00020101026304ABCD')).toBe(false);
+  });
+
+  it('should report malformed and incomplete codes', () => {
+    expect(mmqrService.verifyQRCode('0002019952').errors[0]).toContain('shorter than its length');
+
+    const result = mmqrService.verifyQRCode(mmqrService.calculateCRC('000201' + mmqrService.buildTLV('54', '12,000')));
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(expect.arrayContaining([
+      'Missing merchant name (tag 59)',
+      'Missing merchant account information (tags 02-51)',
+      'Transaction amount is not a valid amount',
+    ]));
+  });
+
+  describe('dynamic codes', () => {
+    const issue = (overrides = {}) => mmqrService.generateDynamicQRCode({
+      amount: 150000,
+      orderId: 'QR1',
+      reference: 'A1B2C3D4',
+      expiresAt: new Date(Date.now() + 10 * 60 * 1000),
+      ...overrides,
+    });
+
+    it('should carry a signed one-time reference and expiry', async () => {
+      const { qrString, expiryTime } = await issue();
+
+      const result = mmqrService.verifyQRCode(qrString);
+
+      expect(result.valid).toBe(true);
+      expect(result.issuedByPlatform).toBe(true);
+      expect(result.signatureValid).toBe(true);
+      expect(result.data.pointOfInitiation).toBe('12');
+      expect(result.data.platform.reference).toBe('A1B2C3D4');
+      expect(result.data.platform.expiresAt.toISOString()).toBe(expiryTime);
+    });
+
+    it('should detect an altered amount even with a recalculated CRC', async () => {
+      const { qrString } = await issue();
+
+      const result = mmqrService.verifyQRCode(replaceField(qrString, '54', '1500.00'));
+
+      expect(result.signatureValid).toBe(false);
+      expect(result.errors).toContain('Signature mismatch: the QR code was altered');
+    });
+
+    it('should reject expired codes', async () => {
+      const { qrString } = await issue({ expiresAt: new Date(Date.now() - 1000) });
+
+      const result = mmqrService.verifyQRCode(qrString);
+
+      expect(result.expired).toBe(true);
+      expect(result.valid).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Card Payment Provider Unit Tests
+ * Tests for the Stripe and 2C2P providers and their webhooks through PaymentService
+ */
+
+const jwt = require('jsonwebtoken');
+const StripeProvider = require('../../../server/services/payment/providers/StripeProvider');
+const TwoC2PProvider = require('../../../server/services/payment/providers/TwoC2PProvider');
+const paymentService = require('../../../server/services/payment/PaymentService');
+const PaymentTransaction = require('../../../server/models/PaymentTransaction');
+
+describe('Stripe Provider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new StripeProvider({ secretKey: 'sk_test_123', webhookSecret: 'whsec_test' });
+    jest.spyOn(provider, 'log').mockImplementation(() => {});
+  });
+
+  const signedEvent = (event, secret = 'whsec_test') => {
+    const rawBody = JSON.stringify(event, null, 2);
+    const signature = provider.stripe.webhooks.generateTestHeaderString({ payload: rawBody, secret });
+    return { rawBody: Buffer.from(rawBody), headers: { 'stripe-signature': signature } };
+  };
+
+  const succeeded = {
+    id: 'evt_1',
+    type: 'payment_intent.succeeded',
+    created: 1791000000,
+    data: { object: { object: 'payment_intent', id: 'pi_1', amount: 125050, currency: 'usd', metadata: { orderId: 'DEP1' } } },
+  };
+
+  it('should require a secret key and webhook secret', () => {
+    expect(() => new StripeProvider({ secretKey: 'sk_test_123' })).toThrow('Stripe: webhookSecret is required');
+  });
+
+  it('should create payment intents in minor units', async () => {
+    const create = jest.fn().mockResolvedValue({ id: 'pi_1', client_secret: 'pi_1_secret', status: 'requires_payment_method' });
+    provider.stripe = { paymentIntents: { create } };
+
+    const result = await provider.createDeposit({ orderId: 'DEP1', amount: 1250.5, currency: 'USD' });
+
+    expect(create.mock.calls[0][0]).toMatchObject({ amount: 125050, currency: 'usd', metadata: { orderId: 'DEP1' } });
+    expect(result).toMatchObject({ transactionId: 'pi_1', clientSecret: 'pi_1_secret', status: 'pending' });
+    expect(provider.toMinorUnits(5000, 'JPY')).toBe(5000);
+  });
+
+  it('should verify signatures over the raw body only', () => {
+    const { rawBody, headers } = signedEvent(succeeded);
+
+    expect(provider.verifyWebhook(succeeded, undefined, headers, rawBody)).toBe(true);
+    expect(provider.verifyWebhook(succeeded, undefined, signedEvent(succeeded, 'whsec_other').headers, rawBody)).toBe(false);
+  });
+
+  it('should parse payment intent events', () => {
+    expect(provider.parseWebhook(succeeded)).toMatchObject({
+      orderId: 'DEP1',
+      transactionId: 'pi_1',
+      status: 'completed',
+      amount: 1250.5,
+      currency: 'USD',
+    });
+
+    const subscription = provider.parseWebhook({ type: 'customer.subscription.updated', data: { object: { object: 'subscription' } } });
+    expect(subscription.orderId).toBeNull();
+    expect(subscription.status).toBe('unknown');
+  });
+
+  it('should refund a succeeded payment', async () => {
+    const refunds = { create: jest.fn().mockResolvedValue({ id: 're_1', amount: 5000, currency: 'usd', status: 'succeeded' }) };
+    provider.stripe = {
+      paymentIntents: { retrieve: jest.fn().mockResolvedValue({ status: 'succeeded', currency: 'usd' }) },
+      refunds,
+    };
+
+    const result = await provider.cancel('pi_1', 'DEP1', 50, 'Duplicate');
+
+    expect(refunds.create.mock.calls[0][0]).toMatchObject({ payment_intent: 'pi_1', amount: 5000 });
+    expect(result).toMatchObject({ refundId: 're_1', amount: 50, status: 'refunded' });
+  });
+});
+
+describe('2C2P Provider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new TwoC2PProvider({ merchantId: 'JT01', secretKey: 'twoc2p-secret' });
+    jest.spyOn(provider, 'log').mockImplementation(() => {});
+  });
+
+  const notification = (data, secret = 'twoc2p-secret') => ({ payload: jwt.sign(data, secret) });
+
+  it('should verify signed notifications', () => {
+    const data = { invoiceNo: 'DEP2', respCode: '0000' };
+
+    expect(provider.verifyWebhook(notification(data))).toBe(true);
+    expect(provider.verifyWebhook(notification(data, 'wrong-secret'))).toBe(false);
+    expect(provider.verifyWebhook({ invoiceNo: 'DEP2' })).toBe(false);
+  });
+
+  it('should parse notifications in Myanmar time', () => {
+    const webhookData = provider.parseWebhook(notification({
+      invoiceNo: 'DEP2',
+      tranRef: 'T100',
+      amount: 30000,
+      currencyCode: 'MMK',
+      respCode: '0000',
+      transactionDateTime: '20261005143000',
+      channelCode: 'CC',
+    }));
+
+    expect(webhookData).toMatchObject({ orderId: 'DEP2', transactionId: 'T100', amount: 30000, status: 'completed' });
+    expect(webhookData.paidAt.toISOString()).toBe('2026-10-05T08:00:00.000Z');
+    expect(provider.mapStatus('4005')).toBe('failed');
+  });
+
+  it('should create a hosted payment page', async () => {
+    jest.spyOn(provider, 'request').mockResolvedValue({
+      respCode: '0000',
+      paymentToken: 'tok_1',
+      webPaymentUrl: 'https://pgw.example/tok_1',
+    });
+
+    const result = await provider.createDeposit({ orderId: 'DEP2', amount: 30000 });
+
+    expect(provider.request).toHaveBeenCalledWith('/paymentToken', expect.objectContaining({ invoiceNo: 'DEP2', amount: 30000 }));
+    expect(result).toMatchObject({ providerOrderId: 'tok_1', paymentUrl: 'https://pgw.example/tok_1' });
+  });
+
+  it('should not support withdrawals', async () => {
+    expect(provider.getCapabilities().withdrawals).toBe(false);
+    await expect(provider.createWithdrawal({})).rejects.toThrow('2C2P does not support withdrawals');
+  });
+});
+
+describe('PaymentService card webhooks', () => {
+  const twoC2P = new TwoC2PProvider({ merchantId: 'JT01', secretKey: 'twoc2p-secret' });
+
+  beforeEach(() => {
+    paymentService.providers.set('twoc2p', twoC2P);
+    jest.spyOn(twoC2P, 'log').mockImplementation(() => {});
+    jest.spyOn(paymentService, 'recordCompletedDeposit').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should settle the transaction named in a 2C2P notification', async () => {
+    const transaction = {
+      status: 'initiated',
+      updateStatus: jest.fn(function (status) { this.status = status; }),
+      save: jest.fn(),
+    };
+    jest.spyOn(PaymentTransaction, 'findOne').mockResolvedValue(transaction);
+
+    const result = await paymentService.handleWebhook('2c2p', {
+      payload: jwt.sign({ invoiceNo: 'DEP2', tranRef: 'T100', respCode: '0000' }, 'twoc2p-secret'),
+    }, {});
+
+    expect(result.success).toBe(true);
+    expect(PaymentTransaction.findOne).toHaveBeenCalledWith({ orderId: 'DEP2' });
+    expect(transaction.status).toBe('completed');
+    expect(transaction.providerTransactionId).toBe('T100');
+    expect(paymentService.recordCompletedDeposit).toHaveBeenCalledWith(transaction);
+  });
+
+  it('should reject notifications with a bad signature', async () => {
+    await expect(paymentService.handleWebhook('twoc2p', {
+      payload: jwt.sign({ invoiceNo: 'DEP2', respCode: '0000' }, 'forged'),
+    }, {})).rejects.toThrow('Invalid webhook signature');
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Payout Limit Service Unit Tests
+ * Tests for risk tiers, KYC level caps, usage across currencies and step-up
+ * verification when a payout is over its caps
+ */
+
+const mongoose = require('mongoose');
+const payoutLimitService = require('../../../server/services/payoutLimitService');
+const currencyService = require('../../../server/services/currencyService');
+const notificationService = require('../../../server/services/notificationService');
+const CurrencyRate = require('../../../server/models/CurrencyRate');
+const KYCDocument = require('../../../server/models/KYCDocument');
+const { KYCStatus } = require('../../../server/models/KYCStatus');
+const { User, Referral, PayoutRequest } = require('../../../server/models/index.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const userId = new mongoose.Types.ObjectId();
+
+const mockAccount = ({ ageDays = 365, status = 'active', hires = 6, breaches = 0, flagged = [], kycStatus }) => {
+  jest.spyOn(User, 'findById').mockReturnValue({
+    select: jest.fn().mockResolvedValue({ createdAt: new Date(Date.now() - ageDays * DAY), status }),
+  });
+  jest.spyOn(KYCStatus, 'findOne').mockResolvedValue(kycStatus);
+  jest.spyOn(Referral, 'countDocuments').mockImplementation(async query => (query['guarantee.status'] ? breaches : hires));
+  jest.spyOn(KYCDocument, 'find').mockReturnValue({
+    select: jest.fn().mockResolvedValue(flagged.map(riskLevel => ({ verification: { fraudCheck: { riskLevel } } }))),
+  });
+};
+
+const mockUsage = ({ daily = {}, monthly = {} } = {}) => {
+  jest.spyOn(PayoutRequest, 'getVolumeByCurrency').mockImplementation(async (id, since) => {
+    const volumes = since.getTime() === payoutLimitService.startOfDay().getTime() ? daily : monthly;
+    return new Map(Object.entries(volumes));
+  });
+};
+
+const kycStatusAt = (level, data = {}) => {
+  const kycStatus = new KYCStatus({
+    userId,
+    currentLevel: level,
+    targetLevel: level,
+    status: 'verified',
+    ...data,
+  });
+  jest.spyOn(kycStatus, 'save').mockResolvedValue(kycStatus);
+  return kycStatus;
+};
+
+describe('Payout Limit Service', () => {
+  beforeEach(() => {
+    currencyService.clearCache();
+    jest.spyOn(CurrencyRate, 'getRate').mockResolvedValue({ rate: 2100, lastUpdated: new Date() });
+    jest.spyOn(notificationService, 'sendKYCStepUpNotification').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('evaluate', () => {
+    it('should give a trusted, verified referrer the full caps of their level', async () => {
+      mockAccount({ kycStatus: kycStatusAt(2) });
+      mockUsage({ daily: { MMK: 500000 }, monthly: { MMK: 3000000 } });
+
+      const result = await payoutLimitService.evaluate(userId, 800000, 'MMK');
+
+      expect(result).toMatchObject({
+        allowed: true,
+        kycLevel: 2,
+        riskTier: 'low',
+        riskScore: 0,
+        limits: { perTransaction: 1000000, daily: 2000000, monthly: 10000000 },
+        usage: { daily: 500000, monthly: 3000000 },
+        remaining: { daily: 1500000, monthly: 7000000 },
+        exceeded: [],
+        stepUp: null,
+      });
+      expect(result.factors).toEqual([
+        expect.objectContaining({ factor: 'referral_history', points: -10 }),
+      ]);
+    });
+
+    it('should scale caps down for new accounts without hires and ask for the next level', async () => {
+      mockAccount({ ageDays: 10, hires: 0, kycStatus: kycStatusAt(2) });
+      mockUsage();
+
+      const result = await payoutLimitService.evaluate(userId, 800000, 'MMK');
+
+      expect(result).toMatchObject({
+        allowed: false,
+        riskScore: 35,
+        riskTier: 'medium',
+        limits: { perTransaction: 500000, daily: 1000000, monthly: 5000000 },
+        exceeded: ['per_transaction'],
+        stepUp: { method: 'kyc_level', requiredLevel: 3 },
+      });
+    });
+
+    it('should count payouts in other currencies against the daily cap', async () => {
+      mockAccount({ kycStatus: kycStatusAt(2) });
+      mockUsage({ daily: { USD: 600, MMK: 500000 }, monthly: { USD: 600, MMK: 500000 } });
+
+      const result = await payoutLimitService.evaluate(userId, 300, 'USD');
+
+      expect(result.amount).toBe(630000);
+      expect(result.usage).toEqual({ daily: 1760000, monthly: 1760000 });
+      expect(result.exceeded).toEqual(['daily']);
+      expect(result.stepUp).toEqual({ method: 'kyc_level', requiredLevel: 3 });
+    });
+
+    it('should leave no cap for fraud signals or lapsed verification', async () => {
+      mockAccount({ flagged: ['high', 'critical'], kycStatus: kycStatusAt(4) });
+      mockUsage();
+
+      const flagged = await payoutLimitService.evaluate(userId, 1000, 'MMK');
+
+      expect(flagged).toMatchObject({ riskTier: 'critical', limits: { perTransaction: 0 } });
+      expect(flagged.factors).toContainEqual(expect.objectContaining({ factor: 'document_fraud', points: 100 }));
+      expect(flagged.stepUp).toEqual({ method: 'manual_review', requiredLevel: null });
+
+      mockAccount({ kycStatus: kycStatusAt(3, { expiresAt: new Date(Date.now() - DAY) }) });
+
+      const lapsed = await payoutLimitService.evaluate(userId, 1000, 'MMK');
+
+      expect(lapsed).toMatchObject({ kycLevel: 0, stepUp: { method: 'kyc_level', requiredLevel: 1 } });
+    });
+  });
+
+  describe('step-up verification', () => {
+    it('should open one level step-up, raise the target level and notify the user', async () => {
+      const kycStatus = kycStatusAt(2);
+      mockAccount({ ageDays: 10, hires: 0, kycStatus });
+      mockUsage();
+
+      const first = await payoutLimitService.checkPayout(userId, 800000, 'MMK');
+      const second = await payoutLimitService.checkPayout(userId, 900000, 'MMK');
+
+      expect(first.allowed).toBe(false);
+      expect(kycStatus.stepUpRequests).toHaveLength(1);
+      expect(second.stepUp).toMatchObject({ method: 'kyc_level', requiredLevel: 3, amount: 900000, status: 'pending' });
+      expect(kycStatus.targetLevel).toBe(3);
+      expect(notificationService.sendKYCStepUpNotification).toHaveBeenCalledWith(userId, second.stepUp);
+
+      kycStatus.status = 'pending_review';
+      await kycStatus.approve(new mongoose.Types.ObjectId());
+
+      expect(kycStatus.currentLevel).toBe(3);
+      expect(kycStatus.stepUpRequests[0].status).toBe('completed');
+    });
+
+    it('should create a KYC status to carry the step-up when the user has none', async () => {
+      mockAccount({ ageDays: 10, hires: 0, kycStatus: null });
+      mockUsage();
+      const save = jest.spyOn(KYCStatus.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+
+      const check = await payoutLimitService.checkPayout(userId, 100000, 'MMK');
+
+      expect(check.allowed).toBe(false);
+      expect(check.stepUp).toMatchObject({ method: 'kyc_level', requiredLevel: 2, status: 'pending' });
+      expect(save).toHaveBeenCalledTimes(1);
+      expect(save.mock.contexts[0]).toMatchObject({ userId, currentLevel: 0, targetLevel: 2 });
+    });
+
+    it('should allow one payout after a manual review approves it', async () => {
+      const kycStatus = kycStatusAt(4);
+      mockAccount({ kycStatus });
+      mockUsage();
+
+      const check = await payoutLimitService.checkPayout(userId, 25000000, 'MMK');
+      expect(check.stepUp).toMatchObject({ method: 'manual_review', amount: 25000000 });
+
+      jest.spyOn(KYCStatus, 'findOne').mockResolvedValue(kycStatus);
+      const stepUp = await payoutLimitService.resolveStepUp(check.stepUp._id, new mongoose.Types.ObjectId(), true, 'Known partner');
+
+      expect(stepUp.status).toBe('approved');
+      expect(stepUp.expiresAt - stepUp.resolvedAt).toBe(7 * DAY);
+
+      const approved = await payoutLimitService.evaluate(userId, 25000000, 'MMK');
+      expect(approved).toMatchObject({ allowed: true, approvedStepUp: stepUp._id });
+
+      // Used by a payout: only that payout may rely on it
+      const payoutRequestId = new mongoose.Types.ObjectId();
+      stepUp.payoutRequestId = payoutRequestId;
+
+      expect((await payoutLimitService.evaluate(userId, 25000000, 'MMK', { payoutRequestId })).allowed).toBe(true);
+      expect((await payoutLimitService.evaluate(userId, 25000000, 'MMK')).allowed).toBe(false);
+      await expect(payoutLimitService.resolveStepUp(stepUp._id, userId, false)).rejects.toThrow('No manual review step-up awaiting a decision');
+    });
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Payout Router Unit Tests
+ * Tests for choosing payout routes by fee, health and limits, and for
+ * recording failover on the transaction
+ */
+
+const mongoose = require('mongoose');
+const payoutRouter = require('../../../server/services/payoutRouter');
+const paymentService = require('../../../server/services/payment/PaymentService');
+const PaymentMethod = require('../../../server/models/PaymentMethod');
+const { PayoutProvider, PayoutTransaction } = require('../../../server/models/index.js');
+
+const provider = (data) => ({
+  instance: {},
+  config: new PayoutProvider({
+    displayName: data.name,
+    supportedCurrencies: ['MMK'],
+    ...data,
+  }),
+});
+
+const wallet = (code, type, percentage, extra = {}) => provider({
+  code,
+  name: code,
+  type,
+  feeStructure: { type: 'percentage', percentage, minFee: 500, maxFee: 10000 },
+  limits: { minTransaction: 1000, maxTransaction: 5000000, dailyLimit: 20000000 },
+  ...extra,
+});
+
+const bank = (code, bankCode, priority) => provider({
+  code,
+  name: code,
+  type: 'bank_transfer',
+  bankCode,
+  priority,
+  feeStructure: { type: 'fixed', fixedAmount: 2500 },
+  limits: { minTransaction: 5000, maxTransaction: 100000000, dailyLimit: 500000000 },
+});
+
+describe('Payout Router', () => {
+  const kbzPay = { type: 'kbzpay', phoneNumber: '09123456789', accountName: 'Aung Aung' };
+  const ayaAccount = { type: 'bank_transfer', bankName: 'Ayeyarwady Bank', accountNumber: '0011223344', accountName: 'Aung Aung' };
+  const payoutRequest = { referrerId: new mongoose.Types.ObjectId(), currency: 'MMK', paymentMethod: kbzPay };
+
+  let providers;
+
+  beforeEach(() => {
+    providers = new Map([
+      ['KBZPAY', wallet('KBZPAY', 'kbzpay', 1.5, { priority: 10 })],
+      ['WAVEPAY', wallet('WAVEPAY', 'wavepay', 1)],
+      ['KBZ_BANK', bank('KBZ_BANK', 'KBZ', 7)],
+      ['AYA_BANK', bank('AYA_BANK', 'AYA', 5)],
+    ]);
+
+    payoutRouter.outages.clear();
+    payoutRouter.healthCache = null;
+    jest.spyOn(payoutRouter, 'getPayoutAccounts').mockResolvedValue([{ ...kbzPay, requested: true }, ayaAccount]);
+    jest.spyOn(PayoutTransaction, 'getVolumeByProvider').mockResolvedValue(new Map());
+    jest.spyOn(paymentService, 'getProviderHealth').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should order routes by fee, preferring same-bank transfers', async () => {
+    const { routes } = await payoutRouter.planRoutes(payoutRequest, { amount: 500000, providers });
+
+    // KBZPay 1.5% = 7,500; bank transfers 2,500 flat
+    expect(routes.map(route => [route.providerCode, route.fee, route.account.type])).toEqual([
+      ['AYA_BANK', 2500, 'bank_transfer'],
+      ['KBZ_BANK', 2500, 'bank_transfer'],
+      ['KBZPAY', 7500, 'kbzpay'],
+    ]);
+    expect(routes[0].requested).toBe(false);
+    expect(routes[2].account).toEqual(kbzPay);
+  });
+
+  it('should try the preferred provider first', async () => {
+    const { routes } = await payoutRouter.planRoutes(payoutRequest, { amount: 500000, providers, preferredProviderCode: 'KBZPAY' });
+
+    expect(routes[0].providerCode).toBe('KBZPAY');
+  });
+
+  it('should skip providers over their limits, inactive or unhealthy', async () => {
+    PayoutTransaction.getVolumeByProvider.mockResolvedValue(new Map([['AYA_BANK', 499800000]]));
+    paymentService.getProviderHealth.mockResolvedValue([{ provider: 'kbzpay', status: 'unhealthy', error: 'timeout' }]);
+    providers.get('KBZ_BANK').config.status = 'maintenance';
+
+    const { routes, skipped } = await payoutRouter.planRoutes(payoutRequest, { amount: 500000, providers });
+
+    expect(routes).toHaveLength(0);
+    expect(skipped).toEqual([
+      { providerCode: 'KBZPAY', reason: 'provider API unhealthy: timeout' },
+      { providerCode: 'KBZ_BANK', reason: 'provider is maintenance' },
+      { providerCode: 'AYA_BANK', reason: 'daily limit of 500000000 reached' },
+    ]);
+    expect(PayoutTransaction.getVolumeByProvider).toHaveBeenCalledWith(expect.any(Array), expect.any(Date), 'MMK');
+  });
+
+  it('should skip a provider for a while after an outage', async () => {
+    payoutRouter.recordOutage('AYA_BANK');
+
+    const { routes, skipped } = await payoutRouter.planRoutes(payoutRequest, { amount: 500000, providers });
+
+    expect(routes[0].providerCode).toBe('KBZ_BANK');
+    expect(skipped).toEqual([{ providerCode: 'AYA_BANK', reason: 'recent outage' }]);
+  });
+
+  it('should add verified accounts to the requested one', async () => {
+    payoutRouter.getPayoutAccounts.mockRestore();
+    jest.spyOn(PaymentMethod, 'find').mockReturnValue({
+      sort: jest.fn().mockResolvedValue([
+        { type: 'kbzpay', mobileWallet: { phoneNumber: '+95 9 123456789', accountName: 'Aung Aung' } },
+        { type: 'wavepay', mobileWallet: { phoneNumber: '09987654321', accountName: 'Aung Aung' } },
+      ]),
+    });
+
+    const accounts = await payoutRouter.getPayoutAccounts({ ...payoutRequest, paymentMethod: { ...kbzPay, phoneNumber: '+959123456789' } });
+
+    expect(accounts.map(account => [account.type, Boolean(account.requested)])).toEqual([
+      ['kbzpay', true],
+      ['wavepay', false],
+    ]);
+    expect(PaymentMethod.find.mock.calls[0][0].status).toBe('verified');
+  });
+
+  it('should tell outages from account errors', () => {
+    expect(payoutRouter.isOutage({ success: false, errorCode: 'PROCESSOR_ERROR', errorMessage: 'connect ECONNREFUSED 10.0.0.5:443', networkErrorCode: 'ECONNREFUSED' })).toBe(true);
+    expect(payoutRouter.isOutage({ success: false, errorCode: 'PROCESSOR_ERROR', errorMessage: 'Request failed with status code 503', httpStatus: 503 })).toBe(true);
+    expect(payoutRouter.isOutage({ success: false, errorCode: 'PROCESSOR_ERROR', errorMessage: 'Request failed with status code 500', httpStatus: 500 })).toBe(false);
+    expect(payoutRouter.isOutage({ success: false, errorCode: 'KBZ_ERROR_009', errorMessage: 'Recipient wallet unavailable' })).toBe(false);
+    expect(payoutRouter.isOutage({ success: false, errorCode: 'BANK_ERROR_004', errorMessage: 'Invalid account number or bank system maintenance' })).toBe(false);
+    expect(payoutRouter.isOutage({ success: false, errorCode: 'WAVE_ERROR_002', errorMessage: 'Transaction limit exceeded or wallet not verified' })).toBe(false);
+    expect(payoutRouter.isOutage({ success: true })).toBe(false);
+  });
+
+  it('should not fail over when the provider may have accepted the payment', () => {
+    const timedOut = { success: false, errorCode: 'PROCESSOR_ERROR', errorMessage: 'timeout of 30000ms exceeded' };
+    const hangUp = { success: false, errorCode: 'PROCESSOR_ERROR', errorMessage: 'socket hang up' };
+    const thrown = { success: false, errorCode: 'PROCESSOR_ERROR', errorMessage: 'Unexpected token < in JSON' };
+
+    for (const result of [timedOut, hangUp, thrown]) {
+      expect(payoutRouter.isOutage(result)).toBe(false);
+      expect(payoutRouter.isUncertain(result)).toBe(true);
+    }
+    expect(payoutRouter.isUncertain({ success: false, errorCode: 'PROCESSOR_ERROR', errorMessage: 'getaddrinfo ENOTFOUND api.ayabank.com', networkErrorCode: 'ENOTFOUND' })).toBe(false);
+    expect(payoutRouter.isUncertain({ success: false, errorCode: 'BANK_ERROR_004', errorMessage: 'Invalid account number or bank system maintenance' })).toBe(false);
+  });
+
+  it('should start the day at Myanmar midnight', () => {
+    expect(payoutRouter.startOfDay(new Date('2026-10-19T20:00:00Z')).toISOString()).toBe('2026-10-19T17:30:00.000Z');
+    expect(payoutRouter.startOfDay(new Date('2026-10-19T15:00:00Z')).toISOString()).toBe('2026-10-18T17:30:00.000Z');
+  });
+});
+
+describe('PayoutTransaction failover', () => {
+  it('should keep the original route and record the fallback', async () => {
+    const kbzPayId = new mongoose.Types.ObjectId();
+    const wavePayId = new mongoose.Types.ObjectId();
+    const transaction = new PayoutTransaction({
+      transactionNumber: 'TXN-1',
+      payoutRequestId: new mongoose.Types.ObjectId(),
+      referrerId: new mongoose.Types.ObjectId(),
+      providerId: kbzPayId,
+      providerCode: 'KBZPAY',
+      amount: 500000,
+      fee: 7500,
+      netAmount: 492500,
+      paymentDetails: { type: 'kbzpay', phoneNumber: '09123456789' },
+      routing: { originalRoute: { providerId: kbzPayId, providerCode: 'KBZPAY', accountType: 'kbzpay', fee: 7500 } },
+    });
+    jest.spyOn(transaction, 'save').mockResolvedValue(transaction);
+
+    transaction.recordRouteAttempt('outage', { errorCode: 'PROCESSOR_ERROR', errorMessage: 'ECONNREFUSED' });
+    await transaction.failOver({
+      providerId: wavePayId,
+      providerCode: 'WAVEPAY',
+      account: { type: 'wavepay', phoneNumber: '09987654321' },
+      fee: 5000,
+    }, 'KBZPAY outage: ECONNREFUSED');
+    transaction.recordRouteAttempt('completed');
+
+    expect(transaction.routing.originalRoute.providerCode).toBe('KBZPAY');
+    expect(transaction.routing.fallbackRoute.toObject()).toEqual({ providerId: wavePayId, providerCode: 'WAVEPAY', accountType: 'wavepay', fee: 5000 });
+    expect(transaction.routing.attempts.map(attempt => [attempt.providerCode, attempt.status])).toEqual([
+      ['KBZPAY', 'outage'],
+      ['WAVEPAY', 'completed'],
+    ]);
+    expect(transaction.providerCode).toBe('WAVEPAY');
+    expect(transaction.paymentDetails.phoneNumber).toBe('09987654321');
+    expect(transaction.fee).toBe(5000);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Pipeline Service Unit Tests
+ * Tests for company pipeline validation and stage transitions
+ */
+
+const pipelineService = require('../../../server/services/pipelineService');
+const { ValidationError } = require('../../../server/middleware/errorHandler');
+const { isStatusReachable } = require('../../../server/models/Referral');
+
+describe('Pipeline Service', () => {
+  const pipeline = {
+    isDefault: false,
+    stages: [
+      { key: 'applied', name: 'Applied', canonicalStatus: 'submitted', order: 0 },
+      { key: 'assessment', name: 'Assessment', canonicalStatus: 'under_review', order: 1 },
+      { key: 'interview_1', name: 'Interview 1', canonicalStatus: 'interview_scheduled', order: 2 },
+      { key: 'interview_2', name: 'Interview 2', canonicalStatus: 'interview_scheduled', order: 3 },
+      { key: 'background_check', name: 'Background check', canonicalStatus: 'offer_extended', order: 4 },
+      { key: 'hired', name: 'Hired', canonicalStatus: 'hired', order: 5 },
+      { key: 'rejected', name: 'Rejected', canonicalStatus: 'rejected', order: 6 },
+    ],
+    transitions: [
+      { from: 'applied', to: 'assessment' },
+      { from: 'assessment', to: 'interview_1' },
+      { from: 'interview_1', to: 'interview_2' },
+      { from: 'interview_2', to: 'background_check' },
+      { from: 'background_check', to: 'hired' },
+    ],
+  };
+
+  describe('isStatusReachable', () => {
+    it('should follow the canonical flow forwards only', () => {
+      expect(isStatusReachable('under_review', 'interview_scheduled')).toBe(true);
+      expect(isStatusReachable('offer_extended', 'under_review')).toBe(false);
+      expect(isStatusReachable('rejected', 'hired')).toBe(false);
+    });
+  });
+
+  describe('validateDefinition', () => {
+    it('should accept a valid custom pipeline', () => {
+      expect(pipelineService.validateDefinition(pipeline)).toEqual([]);
+    });
+
+    it('should reject transitions that move backwards canonically', () => {
+      const errors = pipelineService.validateDefinition({
+        ...pipeline,
+        transitions: [{ from: 'background_check', to: 'assessment' }],
+      });
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toContain('moves backwards');
+    });
+
+    it('should require submitted and hired stages and known canonical statuses', () => {
+      const errors = pipelineService.validateDefinition({
+        stages: [
+          { key: 'screen', name: 'Screen', canonicalStatus: 'under_review' },
+          { key: 'paid', name: 'Paid', canonicalStatus: 'paid' },
+        ],
+      });
+
+      expect(errors).toEqual(expect.arrayContaining([
+        expect.stringContaining('Stage paid must map'),
+        'Pipeline needs a stage mapped to submitted',
+        'Pipeline needs a stage mapped to hired',
+      ]));
+    });
+  });
+
+  describe('getCurrentStage', () => {
+    it('should use the stored stage when it matches the canonical status', () => {
+      const stage = pipelineService.getCurrentStage({ status: 'interview_scheduled', stage: 'interview_2' }, pipeline);
+      expect(stage.key).toBe('interview_2');
+    });
+
+    it('should fall back to the first stage for a stale stage', () => {
+      const stage = pipelineService.getCurrentStage({ status: 'interview_scheduled', stage: 'assessment' }, pipeline);
+      expect(stage.key).toBe('interview_1');
+    });
+  });
+
+  describe('resolveTarget', () => {
+    it('should allow configured transitions and rejection from open stages', () => {
+      const current = pipelineService.getStage(pipeline, 'interview_1');
+
+      expect(pipelineService.resolveTarget(pipeline, current, { stage: 'interview_2' }).key).toBe('interview_2');
+      expect(pipelineService.resolveTarget(pipeline, current, { status: 'rejected' }).key).toBe('rejected');
+    });
+
+    it('should reject transitions that are not configured', () => {
+      const current = pipelineService.getStage(pipeline, 'applied');
+
+      expect(() => pipelineService.resolveTarget(pipeline, current, { stage: 'hired' }))
+        .toThrow('Invalid stage transition from applied to hired');
+    });
+
+    it('should not allow leaving a hired stage', () => {
+      const current = pipelineService.getStage(pipeline, 'hired');
+
+      expect(pipelineService.getNextStages(pipeline, current)).toEqual([]);
+    });
+  });
+
+  describe('moveReferral', () => {
+    const buildReferral = () => ({
+      _id: 'referral-1',
+      status: 'interview_scheduled',
+      stage: 'interview_1',
+      updateStatus: jest.fn(async (newStatus, options) => ({
+        oldStatus: 'interview_scheduled',
+        newStatus,
+        oldStage: 'interview_1',
+        newStage: options.stage,
+      })),
+    });
+
+    beforeEach(() => {
+      jest.spyOn(pipelineService, 'getPipelineForReferral').mockResolvedValue({ pipeline, companyId: 'company-1' });
+      jest.spyOn(pipelineService, 'emitStatusChanged').mockResolvedValue();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should only fire the status changed trigger when the canonical status changes', async () => {
+      const referral = buildReferral();
+
+      await pipelineService.moveReferral(referral, { stage: 'interview_2' });
+      expect(pipelineService.emitStatusChanged).not.toHaveBeenCalled();
+
+      await pipelineService.moveReferral(referral, { status: 'rejected' });
+      expect(pipelineService.emitStatusChanged).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject moves the pipeline does not allow with a validation error', async () => {
+      const referral = buildReferral();
+
+      await expect(pipelineService.moveReferral(referral, { stage: 'applied' }))
+        .rejects.toBeInstanceOf(ValidationError);
+      expect(referral.updateStatus).not.toHaveBeenCalled();
+    });
+  });
+});
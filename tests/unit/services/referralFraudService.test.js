@@ -0,0 +1,192 @@
+/**
+ * Referral Fraud Service Unit Tests
+ * Tests for fraud signals, the review threshold, payout holds and the
+ * admin review decision
+ */
+
+const mongoose = require('mongoose');
+const referralFraudService = require('../../../server/services/referralFraudService');
+const authSecurityService = require('../../../server/services/authSecurityService');
+const { Referral, User, ReferralNetwork, AuditLog } = require('../../../server/models/index.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const referrerId = new mongoose.Types.ObjectId();
+const candidateId = new mongoose.Types.ObjectId();
+const FINGERPRINT = 'a'.repeat(64);
+
+const buildReferral = (data = {}) => {
+  const referral = new Referral({
+    code: 'REF12345',
+    jobId: new mongoose.Types.ObjectId(),
+    referrerId,
+    referredPerson: { name: 'Aung Aung', email: 'aung@example.com' },
+    source: { ipAddress: '203.0.113.7', deviceFingerprint: FINGERPRINT },
+    referralBonus: 100000,
+    platformCommission: 15000,
+    referrerPayout: 85000,
+    submittedAt: new Date(),
+    ...data,
+  });
+  jest.spyOn(referral, 'save').mockResolvedValue(referral);
+  return referral;
+};
+
+const mockLookups = ({
+  referrerEmail = 'referrer@example.com',
+  candidate = null,
+  otherReferrers = [],
+  isUpline = false,
+  referredBack = false,
+  recentReferrals = 1,
+  breached = [],
+  knownDevice = false,
+} = {}) => {
+  jest.spyOn(User, 'findById').mockImplementation(id => ({
+    select: jest.fn().mockResolvedValue(
+      referrerId.equals(id) ? { _id: referrerId, email: referrerEmail } : candidate
+    ),
+  }));
+  jest.spyOn(User, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(candidate) });
+  jest.spyOn(Referral, 'distinct').mockResolvedValue(otherReferrers);
+  jest.spyOn(Referral, 'exists').mockResolvedValue(referredBack ? { _id: new mongoose.Types.ObjectId() } : null);
+  jest.spyOn(Referral, 'countDocuments').mockResolvedValue(recentReferrals);
+  jest.spyOn(Referral, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue(breached) });
+  jest.spyOn(ReferralNetwork, 'isInDownline').mockResolvedValue(isUpline);
+  jest.spyOn(authSecurityService, 'isKnownDevice').mockResolvedValue(knownDevice);
+};
+
+describe('Referral Fraud Service', () => {
+  beforeEach(() => {
+    jest.spyOn(AuditLog, 'logUserAction').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('assessReferral', () => {
+    it('should leave an ordinary referral unflagged', async () => {
+      mockLookups();
+      const referral = buildReferral();
+
+      const fraud = await referralFraudService.assessReferral(referral);
+
+      expect(fraud).toMatchObject({ score: 0, level: 'low', signals: [] });
+      expect(fraud.review.status).toBe('none');
+      expect(referral.isPayoutOnHold).toBe(false);
+      expect(AuditLog.logUserAction).not.toHaveBeenCalled();
+    });
+
+    it('should flag a candidate visiting from the referrer\'s device with a disposable email and hold the payout', async () => {
+      mockLookups();
+      const referral = buildReferral({
+        referredPerson: { name: 'Aung Aung', email: 'aung@mailinator.com' },
+      });
+      referral.fraud.candidateVisits.push({ ipAddress: '203.0.113.7', deviceFingerprint: FINGERPRINT });
+
+      const fraud = await referralFraudService.assessReferral(referral);
+
+      expect(fraud.score).toBe(75);
+      expect(fraud.level).toBe('high');
+      expect(fraud.signals.map(signal => signal.signal)).toEqual(['shared_device', 'disposable_email']);
+      expect(fraud.review.status).toBe('pending');
+      expect(referral.isPayoutOnHold).toBe(true);
+      expect(referral.payout.holds[0]).toMatchObject({ source: 'fraud_review' });
+      expect(AuditLog.logUserAction).toHaveBeenCalledWith(expect.objectContaining({ action: 'referral_fraud_flagged' }));
+    });
+
+    it('should score self-referrals, circular referrals and device rings', async () => {
+      mockLookups({ referrerEmail: 'Aung@Example.com' });
+      const self = await referralFraudService.assessReferral(buildReferral());
+
+      expect(self.signals).toContainEqual(expect.objectContaining({ signal: 'self_referral', points: 100 }));
+      expect(self.score).toBe(100);
+
+      mockLookups({ candidate: { _id: candidateId, email: 'aung@example.com' }, isUpline: true, otherReferrers: [candidateId] });
+      const circular = await referralFraudService.assessReferral(buildReferral());
+
+      expect(ReferralNetwork.isInDownline).toHaveBeenCalledWith(candidateId, referrerId);
+      expect(circular.signals.map(signal => signal.signal)).toEqual(['shared_device', 'circular_referral']);
+      expect(circular.score).toBe(90);
+    });
+
+    it('should score referral bursts and hires who leave almost immediately', async () => {
+      const hiredAt = new Date(Date.now() - 20 * DAY);
+      mockLookups({
+        recentReferrals: 8,
+        breached: [{ hiredAt, guarantee: { status: 'breached', leftAt: new Date(hiredAt.getTime() + 3 * DAY) } }],
+      });
+      const referral = buildReferral({
+        hiredAt,
+        guarantee: { status: 'breached', startsAt: hiredAt, leftAt: new Date(hiredAt.getTime() + 5 * DAY) },
+      });
+
+      const fraud = await referralFraudService.assessReferral(referral);
+
+      expect(fraud.signals).toEqual([
+        expect.objectContaining({ signal: 'referral_burst', points: 25, detail: '8 referrals within an hour' }),
+        expect.objectContaining({ signal: 'early_exit', points: 40, detail: 'Hire left after 5 day(s)' }),
+        expect.objectContaining({ signal: 'early_exit', points: 15 }),
+      ]);
+      expect(fraud.review.status).toBe('pending');
+    });
+  });
+
+  describe('review', () => {
+    it('should release the payout hold when a review clears the referral and only re-flag above the cleared score', async () => {
+      mockLookups();
+      const referral = buildReferral({
+        referredPerson: { name: 'Aung Aung', email: 'aung@mailinator.com' },
+      });
+      referral.fraud.candidateVisits.push({ ipAddress: '203.0.113.7', deviceFingerprint: FINGERPRINT });
+      await referralFraudService.assessReferral(referral);
+
+      jest.spyOn(Referral, 'findById').mockResolvedValue(referral);
+      const adminId = new mongoose.Types.ObjectId();
+      await referralFraudService.resolveReview(referral._id, { confirmed: false, user: { _id: adminId }, notes: 'Shared family laptop' });
+
+      expect(referral.fraud.review).toMatchObject({ status: 'cleared', reviewedScore: 75, notes: 'Shared family laptop' });
+      expect(referral.isPayoutOnHold).toBe(false);
+      await expect(referralFraudService.resolveReview(referral._id, { confirmed: true })).rejects.toThrow('No fraud review awaiting a decision');
+
+      await referralFraudService.assessReferral(referral);
+      expect(referral.fraud.review.status).toBe('cleared');
+
+      mockLookups({ recentReferrals: 8 });
+      await referralFraudService.assessReferral(referral);
+      expect(referral.fraud.score).toBe(100);
+      expect(referral.fraud.review.status).toBe('pending');
+      expect(referral.isPayoutOnHold).toBe(true);
+
+      await referralFraudService.resolveReview(referral._id, { confirmed: true, user: { _id: adminId } });
+      expect(referral.fraud.review.status).toBe('confirmed');
+      expect(referral.isPayoutOnHold).toBe(true);
+    });
+
+    it('should record candidate visits from new devices but ignore the referrer', async () => {
+      mockLookups();
+      const referral = buildReferral();
+      jest.spyOn(Referral, 'findById').mockResolvedValue(referral);
+      const req = { headers: { 'user-agent': 'Mozilla/5.0 (Android)' }, ip: '198.51.100.20' };
+
+      expect(await referralFraudService.recordCandidateVisit(referral._id, { ...req, user: { _id: referrerId } })).toBeNull();
+      expect(referral.fraud.candidateVisits).toHaveLength(0);
+
+      const fraud = await referralFraudService.recordCandidateVisit(referral._id, req);
+      expect(fraud.assessedAt).toBeInstanceOf(Date);
+      expect(referral.fraud.candidateVisits).toHaveLength(1);
+      expect(referral.fraud.candidateVisits[0].ipAddress).toBe('198.51.100.20');
+
+      expect(await referralFraudService.recordCandidateVisit(referral._id, req)).toBeNull();
+      expect(referral.fraud.candidateVisits).toHaveLength(1);
+
+      // A new browser from the same address is recorded but not re-scored
+      const assess = jest.spyOn(referralFraudService, 'assessReferral');
+      const otherBrowser = { ...req, headers: { 'user-agent': 'Mozilla/5.0 (iPhone)' } };
+      expect(await referralFraudService.recordCandidateVisit(referral._id, otherBrowser)).toBeNull();
+      expect(referral.fraud.candidateVisits).toHaveLength(2);
+      expect(assess).not.toHaveBeenCalled();
+    });
+  });
+});
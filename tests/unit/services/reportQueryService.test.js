@@ -0,0 +1,230 @@
+/**
+ * Report Query Service Unit Tests
+ * Tests for validating report definitions, compiling them into aggregation
+ * pipelines, comparisons and row limits
+ */
+
+const mongoose = require('mongoose');
+const reportQueryService = require('../../../server/services/reportQueryService');
+const reportRenderer = require('../../../server/services/reportRenderer');
+const ReportBuilderService = require('../../../server/services/reportBuilderService');
+const ReportDefinition = require('../../../server/models/ReportDefinition');
+const CompanyUser = require('../../../server/models/CompanyUser');
+const { Job, Application } = require('../../../server/models/index.js');
+
+const NOW = new Date('2026-10-19T00:00:00Z');
+
+const aggregateReturning = (...results) => {
+  const option = jest.fn();
+  results.forEach(rows => option.mockResolvedValueOnce(rows));
+  return jest.fn(() => ({ option }));
+};
+
+describe('Report Query Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validate', () => {
+    it('should normalize dimensions, metrics and filters', () => {
+      const definition = reportQueryService.validate({
+        dataset: 'jobs',
+        dimensions: ['location.city'],
+        metrics: ['count', { op: 'avg', field: 'salary.max', as: 'avgMaxSalary' }],
+        filters: [
+          { field: 'salary.min', op: 'gte', value: '500000' },
+          { field: 'isFeatured', value: 'true' },
+        ],
+      });
+
+      expect(definition.dimensions).toEqual([{ field: 'location.city', as: 'location_city' }]);
+      expect(definition.metrics).toEqual([
+        { op: 'count', field: null, as: 'count' },
+        { op: 'avg', field: 'salary.max', as: 'avgMaxSalary' },
+      ]);
+      expect(definition.filters).toEqual([
+        { field: 'salary.min', op: 'gte', value: 500000 },
+        { field: 'isFeatured', op: 'eq', value: true },
+      ]);
+      expect(definition.timezone).toBe('Asia/Yangon');
+    });
+
+    it('should reject fields and datasets outside the whitelist', () => {
+      expect(() => reportQueryService.validate({ dataset: 'users', metrics: ['count'] })).toThrow('Unknown dataset "users"');
+      expect(() => reportQueryService.validate({
+        dataset: 'applications',
+        dimensions: ['email'],
+        metrics: ['count'],
+      })).toThrow('Unknown field "email" for dataset applications');
+      expect(() => reportQueryService.validate({
+        dataset: 'jobs',
+        metrics: [{ op: 'sum', field: 'title' }],
+      })).toThrow('sum needs a number field');
+    });
+
+    it('should not let filter values become operators', () => {
+      expect(() => reportQueryService.validate({
+        dataset: 'jobs',
+        metrics: ['count'],
+        filters: [{ field: 'status', value: { $ne: null } }],
+      })).toThrow('Value must be a string');
+      expect(() => reportQueryService.validate({
+        dataset: 'jobs',
+        metrics: ['count'],
+        filters: [{ field: 'status', op: 'where', value: '1' }],
+      })).toThrow('Unknown operator "where"');
+    });
+  });
+
+  describe('compile', () => {
+    it('should compile a grouped, time-bucketed pipeline', () => {
+      const { model, pipeline, columns } = reportQueryService.compile({
+        dataset: 'jobs',
+        dimensions: ['category'],
+        metrics: ['count', { op: 'count_distinct', field: 'companyId', as: 'companies' }],
+        filters: [{ field: 'title', op: 'contains', value: 'node.js' }],
+        timeGrain: 'month',
+        timeRange: { last: 3, unit: 'month' },
+      }, { now: NOW });
+
+      expect(model).toBe(Job);
+      expect(pipeline[0].$match.$and).toEqual([
+        { status: { $ne: 'draft' } },
+        { title: { $regex: 'node\\.js', $options: 'i' } },
+        { createdAt: { $gte: new Date('2026-07-19T00:00:00Z'), $lt: NOW } },
+      ]);
+      expect(pipeline[1].$group).toEqual({
+        _id: {
+          period: { $dateTrunc: { date: '$createdAt', unit: 'month', timezone: 'Asia/Yangon' } },
+          category: '$category',
+        },
+        _records: { $sum: 1 },
+        count: { $sum: 1 },
+        companies: { $addToSet: '$companyId' },
+      });
+      expect(pipeline[2].$project).toEqual({ _id: 0, period: '$_id.period', category: '$_id.category', count: 1, companies: { $size: '$companies' }, _records: 1 });
+      expect(pipeline[3].$sort).toEqual({ period: 1, category: 1 });
+      expect(pipeline[4].$limit).toBe(reportQueryService.maxRows);
+      expect(columns.map(column => column.header)).toEqual(['Period', 'Category', 'Count', 'Distinct Company']);
+    });
+
+    it('should scope company datasets to the company', () => {
+      const companyId = new mongoose.Types.ObjectId();
+      const { model, pipeline } = reportQueryService.compile(
+        { dataset: 'applications', dimensions: ['status'], metrics: ['count'] },
+        { customerId: companyId, customerType: 'Company', companyId }
+      );
+
+      expect(model).toBe(Application);
+      expect(pipeline[0].$match.$and).toEqual([{ companyId }]);
+    });
+
+    it('should shift comparison documents onto the current periods', () => {
+      const { pipeline } = reportQueryService.compile({
+        dataset: 'jobs',
+        metrics: ['count'],
+        timeGrain: 'month',
+        timeRange: { start: '2026-01-01', end: '2026-04-01' },
+      }, { comparison: 'previous_year' });
+
+      expect(pipeline[1].$addFields._reportTime.$dateAdd).toEqual({ startDate: '$createdAt', unit: 'year', amount: 1, timezone: 'Asia/Yangon' });
+      expect(pipeline[2].$match._reportTime).toEqual({ $gte: new Date('2026-01-01'), $lt: new Date('2026-04-01') });
+      expect(pipeline[3].$group._id.period.$dateTrunc.date).toBe('$_reportTime');
+    });
+  });
+
+  describe('run', () => {
+    it('should add comparison values and the change in percent', async () => {
+      jest.spyOn(Job, 'aggregate').mockImplementation(aggregateReturning(
+        [{ category: 'Engineering', count: 30, _records: 30 }, { category: 'Sales', count: 10, _records: 10 }],
+        [{ category: 'Engineering', count: 20, _records: 20 }]
+      ));
+
+      const result = await reportQueryService.run({
+        dataset: 'jobs',
+        dimensions: ['category'],
+        metrics: ['count'],
+        timeRange: { last: 30, unit: 'day' },
+        comparisons: ['previous_period'],
+      }, { now: NOW });
+
+      expect(result.rows).toEqual([
+        { category: 'Engineering', count: 30, _records: 30, _records_previous_period: 20, count_previous_period: 20, count_previous_period_change: 50 },
+        { category: 'Sales', count: 10, _records: 10, _records_previous_period: 0, count_previous_period: null, count_previous_period_change: null },
+      ]);
+      expect(result.title).toBe('Job Postings by Category');
+      expect(result.columns.map(column => column.key)).toEqual(['category', 'count', 'count_previous_period', 'count_previous_period_change']);
+      expect(Job.aggregate.mock.calls[1][0][1].$addFields._reportTime.$dateAdd).toMatchObject({ unit: 'day', amount: 30 });
+    });
+
+    it('should cap previews and flag truncated results', async () => {
+      const rows = Array.from({ length: reportQueryService.previewRows + 1 }, (_, index) => ({ title: `Job ${index}`, count: 1 }));
+      jest.spyOn(Job, 'aggregate').mockImplementation(aggregateReturning(rows));
+
+      const result = await reportQueryService.preview({ dataset: 'jobs', dimensions: ['title'], metrics: ['count'] }, { limit: 5000 });
+
+      expect(Job.aggregate.mock.calls[0][0].slice(-1)[0].$limit).toBe(reportQueryService.previewRows + 1);
+      expect(result.rows).toHaveLength(reportQueryService.previewRows);
+      expect(result.truncated).toBe(true);
+    });
+  });
+
+  describe('reports', () => {
+    it('should run saved definitions only for their owner and render the result', async () => {
+      const customerId = new mongoose.Types.ObjectId();
+      const definition = reportQueryService.validate({ dataset: 'jobs', timeGrain: 'month', metrics: ['count'] });
+      jest.spyOn(ReportDefinition, 'findOne').mockResolvedValue({ definition });
+      jest.spyOn(ReportDefinition, 'updateOne').mockResolvedValue({});
+      jest.spyOn(Job, 'aggregate').mockImplementation(aggregateReturning([{ period: new Date('2026-09-30T17:30:00Z'), count: 12, _records: 12 }]));
+
+      const data = await ReportBuilderService.aggregateData({ definitionId: 'def1' }, { customerId, customerType: 'User' });
+
+      expect(ReportDefinition.findOne).toHaveBeenCalledWith({ _id: 'def1', customerId, customerType: 'User' });
+      expect(reportRenderer.buildTables(data)).toEqual([expect.objectContaining({
+        key: 'query',
+        title: 'Job Postings by Month',
+        headers: ['Period', 'Count'],
+        rows: [['2026-10-01', 12]],
+      })]);
+      expect(reportRenderer.buildCharts(data)).toEqual([{ title: 'Count by Period', points: [{ label: '2026-10-01', value: 12 }] }]);
+    });
+
+    it('should limit a company member to their own company\'s data', async () => {
+      const userId = new mongoose.Types.ObjectId();
+      const companyId = new mongoose.Types.ObjectId();
+      jest.spyOn(CompanyUser, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue({ companyId, role: 'recruiter' }) });
+      jest.spyOn(Application, 'aggregate').mockImplementation(aggregateReturning([{ status: 'hired', count: 2, _records: 2 }]));
+
+      const customer = await ReportBuilderService.getCustomer({ _id: userId, role: 'recruiter' });
+      const result = await ReportBuilderService.previewQuery(
+        { definition: { dataset: 'applications', dimensions: ['status'], metrics: ['count'] } },
+        customer
+      );
+
+      expect(customer).toEqual({ customerId: companyId, customerType: 'Company', companyId, companyRole: 'recruiter' });
+      expect(CompanyUser.findOne).toHaveBeenCalledWith({ userId, isActive: true, invitationStatus: 'accepted' });
+      expect(Application.aggregate.mock.calls[0][0][0].$match.$and).toEqual([{ companyId }]);
+      expect(result.scoped).toBe(true);
+    });
+
+    it('should not scope users outside a company to any one company', async () => {
+      const userId = new mongoose.Types.ObjectId();
+      jest.spyOn(CompanyUser, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+      const customer = await ReportBuilderService.getCustomer({ _id: userId });
+
+      expect(customer).toEqual({ customerId: userId, customerType: 'User' });
+      expect(() => reportQueryService.compile(
+        { dataset: 'applications', metrics: ['count'] },
+        { customerId: userId, customerType: 'Company' }
+      )).toThrow('Company reports need the company ID');
+    });
+
+    it('should reject an invalid definition before scheduling it', async () => {
+      await expect(ReportBuilderService.scheduleReport({
+        frequency: 'weekly',
+        parameters: { definition: { dataset: 'jobs', metrics: [] } },
+      })).rejects.toThrow('Failed to schedule report: Invalid report definition: metrics: At least one metric is required');
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Settlement Reconciliation Unit Tests
+ * Tests for provider settlement file parsers, line matching and linking
+ * unmatched lines
+ */
+
+const ExcelJS = require('exceljs');
+const { getSettlementParser } = require('../../../server/services/settlement');
+const settlementReconciliationService = require('../../../server/services/settlementReconciliationService');
+const PaymentTransaction = require('../../../server/models/PaymentTransaction');
+const { PayoutTransaction } = require('../../../server/models/index.js');
+
+describe('Settlement Parsers', () => {
+  it('should parse a KBZPay CSV and skip failed transactions', async () => {
+    const csv = [
+      'KBZPay Merchant Settlement Report',
+      'Merchant,TRM Platform',
+      '',
+      'Trans ID,Merchant Order ID,Trans Type,Amount,Fee,Currency,Trans Status,Trans Time',
+      'KBZ001,ORD-1,Payment,"50,000.00",500,MMK,SUCCESS,2026-10-01 09:30:00',
+      'KBZ002,ORD-2,Payment,20000,200,MMK,FAILED,2026-10-01 10:00:00',
+      'KBZ003,PAY-9,Disbursement,100000,0,MMK,SUCCESS,2026-10-01 11:00:00',
+    ].join('\r\n');
+
+    const parsed = await getSettlementParser('kbzpay').parse(Buffer.from(csv), 'csv');
+
+    expect(parsed.skipped).toBe(1);
+    expect(parsed.lines).toHaveLength(2);
+    expect(parsed.lines[0]).toMatchObject({
+      lineNumber: 5,
+      reference: 'KBZ001',
+      merchantReference: 'ORD-1',
+      direction: 'in',
+      amount: 50000,
+      fee: 500,
+    });
+    expect(parsed.lines[1].direction).toBe('out');
+    // Myanmar time is UTC+06:30
+    expect(parsed.periodStart.toISOString()).toBe('2026-10-01T03:00:00.000Z');
+  });
+
+  it('should read day-first dates from WavePay statements', async () => {
+    const csv = [
+      'Transaction ID,Merchant Reference,Type,Amount (MMK),Fee (MMK),Status,Date',
+      'W-77,ORD-3,Payment,15000,150,Successful,"05/10/2026 14:05"',
+    ].join('\n');
+
+    const parsed = await getSettlementParser('wavepay').parse(csv, 'csv');
+
+    expect(parsed.lines[0].transactedAt.toISOString()).toBe('2026-10-05T07:35:00.000Z');
+  });
+
+  it('should use debit and credit columns for AYA Pay statements', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Statement');
+    sheet.addRow(['AYA Pay Account Statement']);
+    sheet.addRow(['Value Date', 'Reference No', 'Order ID', 'Debit', 'Credit', 'Charges']);
+    sheet.addRow(['02-Oct-2026', 'AYA-1', 'ORD-4', '', 30000, 0]);
+    sheet.addRow(['02-Oct-2026', 'AYA-2', 'PAY-1', 75000, '', 250]);
+    const buffer = await workbook.xlsx.writeBuffer();
+
+    const parsed = await getSettlementParser('ayapay').parse(Buffer.from(buffer), 'xlsx');
+
+    expect(parsed.lines.map(line => [line.reference, line.direction, line.amount])).toEqual([
+      ['AYA-1', 'in', 30000],
+      ['AYA-2', 'out', 75000],
+    ]);
+  });
+
+  it('should reject files from another provider', async () => {
+    const csv = 'Transaction ID,Merchant Reference,Type,Amount (MMK),Status,Date\nW-1,ORD,Payment,100,Successful,01/10/2026';
+
+    await expect(getSettlementParser('kbzpay').parse(csv, 'csv')).rejects.toThrow('Not a KBZPay settlement file');
+  });
+
+  it('should not have a parser for unsupported providers', () => {
+    expect(getSettlementParser('stripe')).toBeNull();
+  });
+});
+
+describe('Settlement Reconciliation Service', () => {
+  const payment = { _id: 'p1', type: 'deposit', transactionNumber: 'PAY-1', orderId: 'ORD-1', providerTransactionId: 'KBZ001', amount: 50000 };
+  const withdrawal = { _id: 'p2', type: 'withdrawal', transactionNumber: 'PAY-2', orderId: 'ORD-2', amount: 10000 };
+  const payout = { _id: 'po1', transactionNumber: 'PO-1', providerReference: 'KBZ003', amount: 100000 };
+
+  const line = (overrides) => ({ direction: 'in', amount: 50000, fee: 0, ...overrides });
+
+  const settlementWith = (lines) => ({ provider: 'kbzpay', lines, exceptions: [] });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(settlementReconciliationService, 'findCandidates').mockResolvedValue({
+      payments: settlementReconciliationService.indexBy([payment, withdrawal], ['providerTransactionId', 'orderId', 'transactionNumber']),
+      payouts: settlementReconciliationService.indexBy([payout], ['providerTransactionId', 'providerReference', 'transactionNumber']),
+    });
+  });
+
+  it('should match lines by provider or merchant reference', async () => {
+    const settlement = settlementWith([
+      line({ lineNumber: 2, reference: 'KBZ001' }),
+      line({ lineNumber: 3, merchantReference: 'po-1', direction: 'out', amount: 100000 }),
+    ]);
+
+    await settlementReconciliationService.matchLines(settlement);
+
+    expect(settlement.lines.map(item => [item.status, item.transactionModel])).toEqual([
+      ['matched', 'PaymentTransaction'],
+      ['matched', 'PayoutTransaction'],
+    ]);
+    expect(settlement.exceptions).toHaveLength(0);
+  });
+
+  it('should raise amount mismatches and unmatched lines', async () => {
+    const settlement = settlementWith([
+      line({ lineNumber: 2, merchantReference: 'ORD-1', amount: 49500 }),
+      line({ lineNumber: 3, reference: 'UNKNOWN-1' }),
+      // A deposit reference on an outgoing line is not a match
+      line({ lineNumber: 4, merchantReference: 'ORD-1', direction: 'out' }),
+    ]);
+
+    await settlementReconciliationService.matchLines(settlement);
+
+    expect(settlement.exceptions.map(exception => [exception.type, exception.lineNumber, exception.difference])).toEqual([
+      ['amount_mismatch', 2, -500],
+      ['unmatched_line', 3, undefined],
+      ['unmatched_line', 4, undefined],
+    ]);
+  });
+
+  it('should match each transaction to one line only', async () => {
+    const settlement = settlementWith([
+      line({ lineNumber: 2, reference: 'KBZ001' }),
+      line({ lineNumber: 3, reference: 'KBZ001' }),
+    ]);
+
+    await settlementReconciliationService.matchLines(settlement);
+
+    expect(settlement.lines.map(item => item.status)).toEqual(['matched', 'unmatched']);
+  });
+
+  it('should summarize lines and exceptions', () => {
+    const settlement = {
+      lines: [
+        { status: 'matched', direction: 'in', amount: 100.5, fee: 1 },
+        { status: 'amount_mismatch', direction: 'out', amount: 40, fee: 0.25 },
+      ],
+      exceptions: [{ type: 'amount_mismatch' }, { type: 'missing_transaction' }],
+    };
+
+    settlementReconciliationService.summarize(settlement);
+
+    expect(settlement.summary).toEqual({
+      lineCount: 2,
+      matched: 1,
+      amountMismatches: 1,
+      unmatchedLines: 0,
+      missingTransactions: 1,
+      totalIn: 100.5,
+      totalOut: 40,
+      totalFees: 1.25,
+    });
+  });
+
+  describe('linkLine', () => {
+    const unmatched = (lineData) => {
+      const settlement = settlementWith([line({ lineNumber: 5, reference: 'MANUAL-1', status: 'unmatched', ...lineData })]);
+      const exception = { type: 'unmatched_line', lineNumber: 5 };
+      settlement.exceptions.push(exception);
+      return { settlement, exception, statementLine: settlement.lines[0] };
+    };
+
+    beforeEach(() => {
+      jest.spyOn(settlementReconciliationService, 'setTransactionOutcome').mockResolvedValue();
+      jest.spyOn(PayoutTransaction, 'findById').mockResolvedValue(null);
+    });
+
+    it('should raise a linked line with a different amount as a mismatch', async () => {
+      const { settlement, exception, statementLine } = unmatched({ amount: 49000 });
+      jest.spyOn(PaymentTransaction, 'findById').mockResolvedValue({ ...payment, provider: 'kbzpay', reconciledAt: null });
+
+      await settlementReconciliationService.linkLine(settlement, exception, statementLine, 'p1', 'Found by hand');
+
+      expect(statementLine.status).toBe('amount_mismatch');
+      expect(settlement.exceptions[1]).toMatchObject({ type: 'amount_mismatch', transactionId: 'p1', difference: -1000 });
+      expect(settlementReconciliationService.setTransactionOutcome)
+        .toHaveBeenCalledWith('PaymentTransaction', 'p1', 'mismatched', 'Found by hand');
+    });
+
+    it('should not link another provider\'s or an already reconciled transaction', async () => {
+      const { settlement, exception, statementLine } = unmatched();
+
+      jest.spyOn(PaymentTransaction, 'findById').mockResolvedValue({ ...payment, provider: 'wavepay', reconciledAt: null });
+      await expect(settlementReconciliationService.linkLine(settlement, exception, statementLine, 'p1'))
+        .rejects.toThrow('Transaction PAY-1 was not made through kbzpay');
+
+      PaymentTransaction.findById.mockResolvedValue({ ...payment, provider: 'kbzpay', reconciledAt: new Date() });
+      await expect(settlementReconciliationService.linkLine(settlement, exception, statementLine, 'p1'))
+        .rejects.toThrow('Transaction PAY-1 is already reconciled');
+
+      expect(statementLine.transactionId).toBeUndefined();
+      expect(settlementReconciliationService.setTransactionOutcome).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Tax Service Unit Tests
+ * Tests for regional commercial tax, withholding on payouts and the
+ * invoice documents that show them
+ */
+
+const taxService = require('../../../server/services/taxService');
+const invoiceRenderer = require('../../../server/services/invoiceRenderer');
+
+const myanmarTax = taxService.normalizeRules({
+  enabled: true,
+  name: 'Commercial Tax',
+  rate: 5,
+  registrationNumber: '123456789',
+  exemptItemTypes: ['credit'],
+  withholding: { enabled: true, name: 'Withholding Tax', rate: 2, threshold: 100000 },
+}, 'MM');
+
+describe('Tax Service', () => {
+  describe('normalizeRules', () => {
+    it('should treat a disabled or missing config as no tax', () => {
+      const rules = taxService.normalizeRules({ enabled: false, rate: 5 }, 'TH');
+
+      expect(rules.enabled).toBe(false);
+      expect(rules.rate).toBe(0);
+      expect(rules.withholding.enabled).toBe(false);
+      expect(taxService.normalizeRules(null).rate).toBe(0);
+    });
+  });
+
+  describe('calculateInvoiceTax', () => {
+    const items = [
+      { description: 'Growth plan', type: 'subscription', quantity: 1, unitPrice: 200000, amount: 200000 },
+      { description: 'Promo credit', type: 'credit', quantity: 1, unitPrice: 50000, amount: 50000 },
+    ];
+
+    it('should add tax on top of tax-exclusive prices and skip exempt items', () => {
+      const totals = taxService.calculateInvoiceTax(items, myanmarTax);
+
+      expect(totals.taxableAmount).toBe(200000);
+      expect(totals.tax).toBe(10000);
+      expect(totals.total).toBe(260000);
+      expect(totals.items.map(item => item.taxable)).toEqual([true, false]);
+    });
+
+    it('should extract tax from tax-inclusive prices without changing the total', () => {
+      const rules = { ...myanmarTax, inclusive: true };
+      const totals = taxService.calculateInvoiceTax([items[0]], rules);
+
+      expect(totals.tax).toBe(9524);
+      expect(totals.total).toBe(200000);
+      expect(totals.taxInclusive).toBe(true);
+    });
+
+    it('should reduce the taxable base by the taxable share of a discount', () => {
+      const totals = taxService.calculateInvoiceTax(items, myanmarTax, { discount: 25000 });
+
+      expect(totals.taxableAmount).toBe(180000);
+      expect(totals.tax).toBe(9000);
+      expect(totals.total).toBe(234000);
+    });
+
+    it('should round to minor units for currencies that have them', () => {
+      const totals = taxService.calculateInvoiceTax(
+        [{ type: 'subscription', amount: 99.99 }],
+        { ...myanmarTax, rate: 7 },
+        { currency: 'USD' }
+      );
+
+      expect(totals.tax).toBe(7);
+      expect(totals.total).toBe(106.99);
+    });
+  });
+
+  describe('calculateWithholding', () => {
+    it('should withhold tax from payouts above the threshold', () => {
+      const withholding = taxService.calculateWithholding(500000, myanmarTax);
+
+      expect(withholding.amount).toBe(10000);
+      expect(withholding.net).toBe(490000);
+      expect(withholding.regionCode).toBe('MM');
+    });
+
+    it('should pay small payouts in full', () => {
+      const withholding = taxService.calculateWithholding(100000, myanmarTax);
+
+      expect(withholding.amount).toBe(0);
+      expect(withholding.rate).toBe(0);
+    });
+  });
+
+  it('should work out the tax contained in a credited amount', () => {
+    expect(taxService.taxIncluded(105000, 5)).toBe(5000);
+    expect(taxService.taxIncluded(105000, 0)).toBe(0);
+  });
+});
+
+describe('Invoice Renderer', () => {
+  const issuer = { name: 'TRM Platform', address: 'Yangon', email: 'billing@trm.com' };
+  const customer = { name: 'Acme <Myanmar>', address: { city: 'Yangon', country: 'Myanmar' }, taxId: 'TAX-1' };
+  const invoice = {
+    invoiceNumber: 'INV-202610-0001',
+    status: 'partial',
+    currency: 'MMK',
+    items: [
+      { description: 'Growth plan', quantity: 1, unitPrice: 200000, amount: 200000, taxable: true },
+      { description: 'Late payment fee (5%)', quantity: 1, unitPrice: 10000, amount: 10000, taxable: false },
+    ],
+    subtotal: 210000,
+    discount: 0,
+    tax: 10000,
+    taxRate: 5,
+    taxName: 'Commercial Tax',
+    taxInclusive: false,
+    taxRegistrationNumber: '123456789',
+    total: 220000,
+    amountPaid: 100000,
+    paymentHistory: [
+      { _id: 'p1', amount: 100000, method: 'kbzpay', transactionId: 'TX-1', status: 'completed', attemptedAt: new Date('2026-10-01') },
+      { _id: 'p2', provider: 'wavepay', status: 'failed', failureReason: 'Insufficient funds', attemptedAt: new Date('2026-10-02') },
+    ],
+    createdAt: new Date('2026-10-01'),
+    dueDate: new Date('2026-10-08'),
+  };
+
+  it('should render line items, tax, payment history and the balance', () => {
+    const html = invoiceRenderer.renderInvoiceHtml({ invoice, customer, issuer });
+
+    expect(html).toContain('Tax Invoice');
+    expect(html).toContain('Commercial Tax (5%)');
+    expect(html).toContain('Tax registration no. 123456789');
+    expect(html).toContain('Late payment fee (5%) *');
+    expect(html).toContain('KBZPay');
+    expect(html).toContain('failed - Insufficient funds');
+    expect(html).toContain('120,000 MMK');
+    expect(html).toContain('Acme &lt;Myanmar&gt;');
+    expect(html).not.toContain('Revision');
+  });
+
+  it('should number receipts against payments made so far', () => {
+    const html = invoiceRenderer.renderReceiptHtml({
+      invoice,
+      payment: invoice.paymentHistory[0],
+      receiptNumber: 'RCT-202610-0001-1',
+      customer,
+      issuer,
+    });
+
+    expect(html).toContain('RCT-202610-0001-1');
+    expect(html).toContain('Paid to date</td><td class="num">100,000 MMK');
+  });
+
+  it('should split the tax out of a credit note', () => {
+    const html = invoiceRenderer.renderCreditNoteHtml({
+      creditNote: { creditNoteNumber: 'CN-1', amount: 105000, tax: 5000, taxRate: 5, currency: 'MMK', reason: 'Guarantee refund' },
+      invoice,
+      customer,
+      issuer,
+    });
+
+    expect(html).toContain('Net amount</td><td class="num">100,000 MMK');
+    expect(html).toContain('Original invoice');
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Workflow Engine Unit Tests
+ * Tests for the workflow runtime: branching, parallel joins, loops,
+ * timeouts, error handlers, durable timers, the execution trace and
+ * worker leases
+ */
+
+jest.mock('axios', () => jest.fn());
+jest.mock('../../../server/services/emailMarketingService.js', () => ({ sendEmail: jest.fn() }));
+jest.mock('../../../server/services/whatsappService.js', () => ({ sendTemplateMessage: jest.fn(), formatPhoneNumber: jest.fn() }));
+jest.mock('../../../server/services/notificationService.js', () => ({ sendNotification: jest.fn() }));
+jest.mock('../../../server/services/sequenceEngineService.js', () => ({ enrollInSequence: jest.fn() }));
+
+const axios = require('axios');
+const { createRuntime, runActions, executeWorkflow } = require('../../../server/services/workflowEngine');
+const workflowTimerService = require('../../../server/services/workflowTimerService');
+const Workflow = require('../../../server/models/Workflow.js');
+const WorkflowExecution = require('../../../server/models/WorkflowExecution.js');
+const { User } = require('../../../server/models/index.js');
+
+const webhook = (name, extra = {}) => ({ type: 'webhook', name, config: { url: `https://example.com/${name}` }, ...extra });
+
+describe('Workflow Engine', () => {
+  beforeEach(() => {
+    axios.mockReset();
+    axios.mockResolvedValue({ status: 200 });
+  });
+
+  it('should run the matching condition branch and trace nested nodes', async () => {
+    const runtime = createRuntime();
+    const actions = [{
+      type: 'condition',
+      name: 'Is hired',
+      config: { field: 'inputData.newStatus', operator: 'equals', value: 'hired' },
+      onTrue: [webhook('hired')],
+      onFalse: [webhook('other')],
+    }];
+
+    const outcome = await runActions(actions, { inputData: { newStatus: 'hired' } }, runtime);
+
+    expect(outcome.status).toBe('completed');
+    expect(runtime.trace.map(entry => entry.nodeId)).toEqual(['0', '0.true.0']);
+    expect(runtime.trace[1].parentNodeId).toBe('0');
+    expect(axios).toHaveBeenCalledWith(expect.objectContaining({ url: 'https://example.com/hired' }));
+  });
+
+  it('should join parallel branches and fail when any branch fails by default', async () => {
+    axios.mockImplementation(({ url }) => (url.endsWith('/bad') ? Promise.reject(new Error('boom')) : Promise.resolve({})));
+    const parallel = { type: 'parallel', name: 'Fan out', branches: [[webhook('good')], [webhook('bad')]] };
+
+    const runtime = createRuntime();
+    const outcome = await runActions([parallel], {}, runtime);
+
+    expect(outcome.status).toBe('failed');
+    expect(runtime.trace.find(entry => entry.nodeId === '0.branches.1.0').branch).toBe(1);
+
+    const anyRuntime = createRuntime();
+    const anyOutcome = await runActions([{ ...parallel, config: { join: 'any' } }], {}, anyRuntime);
+    expect(anyOutcome.status).toBe('completed');
+    expect(anyRuntime.trace[0].output).toEqual({ join: 'any', succeeded: 1, failed: 1 });
+  });
+
+  it('should run for_each actions once per item with templated config', async () => {
+    const runtime = createRuntime();
+    const actions = [{
+      type: 'for_each',
+      name: 'Each referral',
+      config: { items: 'inputData.referrals', as: 'referral' },
+      actions: [webhook('notify', { config: { url: 'https://example.com/{{referral.code}}' } })],
+    }];
+
+    await runActions(actions, { inputData: { referrals: [{ code: 'A1' }, { code: 'B2' }] } }, runtime);
+
+    expect(axios.mock.calls.map(([request]) => request.url)).toEqual(['https://example.com/A1', 'https://example.com/B2']);
+    expect(runtime.trace.filter(entry => entry.parentNodeId === '0').map(entry => entry.iteration)).toEqual([0, 1]);
+  });
+
+  it('should load only safe fields for queried items and checkpoint them by ID', async () => {
+    const users = [{ _id: 'u1', name: 'Aung' }, { _id: 'u2', name: 'Hla' }];
+    const query = { select: jest.fn(), sort: jest.fn(), limit: jest.fn(), lean: jest.fn().mockResolvedValue(users) };
+    query.select.mockReturnValue(query);
+    query.sort.mockReturnValue(query);
+    query.limit.mockReturnValue(query);
+    jest.spyOn(User, 'find').mockReturnValue(query);
+
+    const actions = [{
+      type: 'for_each',
+      name: 'Each user',
+      config: { query: { entity: 'user', filter: { role: 'referrer' } } },
+      actions: [{ type: 'delay', name: 'Wait', config: { hours: 1 } }],
+    }];
+    const runtime = createRuntime({ now: new Date('2026-01-01T00:00:00Z') });
+    await runActions(actions, {}, runtime);
+
+    expect(query.select).toHaveBeenCalledWith(expect.not.stringContaining('password'));
+    expect(runtime.checkpoints.get('0').state).toEqual({ itemIds: ['u1', 'u2'] });
+
+    const blocked = createRuntime();
+    const outcome = await runActions([{ ...actions[0], config: { query: { entity: 'user', filter: { password: { $exists: true } } } } }], {}, blocked);
+    expect(outcome).toMatchObject({ status: 'failed', error: 'for_each query on user cannot use: password' });
+
+    jest.restoreAllMocks();
+  });
+
+  it('should time out slow actions and run the fallback handler', async () => {
+    axios.mockImplementation(({ url }) => (url.endsWith('/slow') ? new Promise(() => {}) : Promise.resolve({})));
+    const runtime = createRuntime();
+    const actions = [
+      webhook('slow', { timeoutSeconds: 1, onError: { strategy: 'fallback', actions: [webhook('fallback')] } }),
+      webhook('after'),
+    ];
+
+    const outcome = await runActions(actions, {}, runtime);
+
+    expect(outcome.status).toBe('completed');
+    expect(runtime.trace[0]).toEqual(expect.objectContaining({ status: 'failed', timedOut: true, errorHandled: 'fallback' }));
+    expect(runtime.trace.map(entry => entry.nodeId)).toEqual(['0', '0.onError.0', '1']);
+  });
+
+  it('should suspend on a delay and resume from checkpoints without repeating finished nodes', async () => {
+    const actions = [webhook('before'), { type: 'delay', name: 'Wait', config: { hours: 2 } }, webhook('after')];
+    const start = new Date('2026-01-01T00:00:00Z');
+
+    const first = createRuntime({ now: start });
+    const waiting = await runActions(actions, {}, first);
+
+    expect(waiting).toEqual({ status: 'waiting', nodeId: '1', wakeAt: new Date('2026-01-01T02:00:00Z') });
+    expect(axios).toHaveBeenCalledTimes(1);
+
+    const early = createRuntime({ now: new Date('2026-01-01T01:00:00Z'), checkpoints: [...first.checkpoints.values()] });
+    expect((await runActions(actions, {}, early)).status).toBe('waiting');
+
+    const resumed = createRuntime({
+      now: new Date('2026-01-01T02:00:00Z'),
+      checkpoints: [...first.checkpoints.values()],
+      previousTrace: first.trace,
+    });
+    const outcome = await runActions(actions, {}, resumed);
+
+    expect(outcome.status).toBe('completed');
+    expect(axios.mock.calls.map(([request]) => request.url)).toEqual(['https://example.com/before', 'https://example.com/after']);
+    expect(resumed.trace.map(entry => [entry.nodeId, entry.status])).toEqual([['0', 'completed'], ['1', 'completed'], ['2', 'completed']]);
+  });
+
+  it('should keep the condition branch taken before a timer on resume', async () => {
+    const actions = [{
+      type: 'condition',
+      name: 'Still open',
+      config: { field: 'inputData.open', operator: 'equals', value: true },
+      onTrue: [{ type: 'delay', name: 'Wait', config: { minutes: 30 } }, webhook('open')],
+      onFalse: [webhook('closed')],
+    }];
+
+    const first = createRuntime({ now: new Date('2026-01-01T00:00:00Z') });
+    await runActions(actions, { inputData: { open: true } }, first);
+
+    const resumed = createRuntime({ now: new Date('2026-01-01T01:00:00Z'), checkpoints: [...first.checkpoints.values()] });
+    await runActions(actions, { inputData: { open: false } }, resumed);
+
+    expect(axios).toHaveBeenCalledWith(expect.objectContaining({ url: 'https://example.com/open' }));
+    expect(axios).not.toHaveBeenCalledWith(expect.objectContaining({ url: 'https://example.com/closed' }));
+  });
+
+  it('should stop at a failed action unless told to continue', async () => {
+    axios.mockRejectedValueOnce(new Error('boom'));
+    const runtime = createRuntime();
+
+    const outcome = await runActions([webhook('first'), webhook('second')], {}, runtime);
+
+    expect(outcome).toEqual({ status: 'failed', nodeId: '0', error: 'boom' });
+    expect(runtime.trace).toHaveLength(1);
+
+    axios.mockRejectedValueOnce(new Error('boom'));
+    const continueRuntime = createRuntime();
+    const continued = await runActions([webhook('first', { onError: { strategy: 'continue' } }), webhook('second')], {}, continueRuntime);
+    expect(continued.status).toBe('completed');
+    expect(continueRuntime.trace).toHaveLength(2);
+  });
+
+  it('should preview side effects in dry-run mode without performing them', async () => {
+    const runtime = createRuntime({ dryRun: true });
+    const actions = [
+      { type: 'delay', name: 'Wait a day', config: { days: 1 } },
+      {
+        type: 'condition',
+        name: 'Is shortlisted',
+        config: { field: 'inputData.newStatus', operator: 'in', value: ['shortlisted', 'interviewing'] },
+        onTrue: [webhook('shortlisted')],
+      },
+    ];
+
+    const outcome = await runActions(actions, { inputData: { newStatus: 'interviewing' } }, runtime);
+
+    expect(outcome.status).toBe('completed');
+    expect(axios).not.toHaveBeenCalled();
+    expect(runtime.trace.map(entry => entry.nodeId)).toEqual(['0', '1', '1.true.0']);
+    expect(runtime.trace[2].output).toEqual({
+      simulated: true,
+      effect: 'webhook',
+      url: 'https://example.com/shortlisted',
+      method: 'POST',
+    });
+  });
+
+  it('should only write back or clear the lease while this instance owns it', async () => {
+    const execution = {
+      _id: 'exec-1',
+      checkpoints: [],
+      addLog: jest.fn(),
+      save: jest.fn().mockResolvedValue(),
+    };
+    jest.spyOn(WorkflowExecution, 'claimById').mockResolvedValue(execution);
+    jest.spyOn(WorkflowExecution, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Workflow, 'findById').mockResolvedValue(null);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(executeWorkflow('exec-1')).rejects.toThrow('Workflow not found');
+
+    expect(execution.$where).toEqual({ 'lease.owner': workflowTimerService.instanceId });
+    expect(WorkflowExecution.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'exec-1', 'lease.owner': workflowTimerService.instanceId },
+      expect.objectContaining({ status: 'failed', lease: { owner: null, expiresAt: null } })
+    );
+    jest.restoreAllMocks();
+  });
+});